@@ -4,6 +4,7 @@ import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { Toaster } from "react-hot-toast";
 import { UserAuthProvider } from "./contexts/UserAuthContext";
+import { LanguageProvider } from "./contexts/LanguageContext";
 import ProtectedRoute from "./components/auth/ProtectedRoute";
 import Header from "./components/common/Header";
 import Footer from "./components/common/Footer";
@@ -20,6 +21,9 @@ const AdminPage = React.lazy(() => import("./pages/AdminPage"));
 const DashboardPage = React.lazy(() => import("./pages/DashboardPage"));
 const SettingsPage = React.lazy(() => import("./pages/SettingsPage"));
 const FavoritesPage = React.lazy(() => import("./pages/FavoritesPage"));
+const OwnerDashboardPage = React.lazy(() =>
+    import("./pages/OwnerDashboardPage")
+);
 // Auth flow pages - lazy loaded
 const VerifyEmailPage = React.lazy(() => import("./pages/VerifyEmailPage"));
 const ForgotPasswordPage = React.lazy(() => import("./pages/ForgotPasswordPage"));
@@ -29,6 +33,8 @@ const AboutPage = React.lazy(() => import("./pages/AboutPage"));
 const ContactPage = React.lazy(() => import("./pages/ContactPage"));
 // NEW: Business listing page - lazy loaded
 const SendListingPage = React.lazy(() => import("./pages/SendListingPage"));
+// Public status of reports and submissions (linked from emails)
+const CaseStatusPage = React.lazy(() => import("./pages/CaseStatusPage"));
 
 // Create a client for React Query
 const queryClient = new QueryClient({
@@ -44,110 +50,125 @@ function App() {
     return (
         <QueryClientProvider client={queryClient}>
             <UserAuthProvider>
-                <Router>
-                    <div className="App">
-                        <Header />
-                        <main className="main-content">
-                            <ChunkErrorBoundary>
-                                <Suspense fallback={<PageLoadingSpinner />}>
-                                    <Routes>
-                                <Route path="/" element={<HomePage />} />
-                                <Route path="/about" element={<AboutPage />} />
-                                <Route
-                                    path="/contact"
-                                    element={<ContactPage />}
-                                />
-                                <Route
-                                    path="/send-listing"
-                                    element={<SendListingPage />}
-                                />
-                                <Route
-                                    path="/business/:id"
-                                    element={<BusinessDetailPage />}
-                                />
+                <LanguageProvider>
+                    <Router>
+                        <div className="App">
+                            <Header />
+                            <main className="main-content">
+                                <ChunkErrorBoundary>
+                                    <Suspense fallback={<PageLoadingSpinner />}>
+                                        <Routes>
+                                    <Route path="/" element={<HomePage />} />
+                                    <Route path="/about" element={<AboutPage />} />
+                                    <Route
+                                        path="/contact"
+                                        element={<ContactPage />}
+                                    />
+                                    <Route
+                                        path="/send-listing"
+                                        element={<SendListingPage />}
+                                    />
+                                    <Route
+                                        path="/business/:id"
+                                        element={<BusinessDetailPage />}
+                                    />
+                                    <Route
+                                        path="/status/:type/:id"
+                                        element={<CaseStatusPage />}
+                                    />
 
-                                {/* NEW: Email Verification Routes */}
-                                <Route
-                                    path="/verify-email"
-                                    element={<VerifyEmailPage />}
-                                />
-                                <Route
-                                    path="/verify-email/confirm/:token"
-                                    element={<VerifyEmailPage />}
-                                />
+                                    {/* NEW: Email Verification Routes */}
+                                    <Route
+                                        path="/verify-email"
+                                        element={<VerifyEmailPage />}
+                                    />
+                                    <Route
+                                        path="/verify-email/confirm/:token"
+                                        element={<VerifyEmailPage />}
+                                    />
 
-                                {/* NEW: Password Reset Routes */}
-                                <Route
-                                    path="/forgot-password"
-                                    element={<ForgotPasswordPage />}
-                                />
-                                <Route
-                                    path="/reset-password/:token"
-                                    element={<ResetPasswordPage />}
-                                />
+                                    {/* NEW: Password Reset Routes */}
+                                    <Route
+                                        path="/forgot-password"
+                                        element={<ForgotPasswordPage />}
+                                    />
+                                    <Route
+                                        path="/reset-password/:token"
+                                        element={<ResetPasswordPage />}
+                                    />
 
-                                {/* PROTECTED: Dashboard route now requires authentication AND email verification */}
-                                <Route
-                                    path="/dashboard"
-                                    element={
-                                        <ProtectedRoute>
-                                            <DashboardPage />
-                                        </ProtectedRoute>
-                                    }
-                                />
-                                {/* PROTECTED: Settings route now requires authentication AND email verification */}
-                                <Route
-                                    path="/settings"
-                                    element={
-                                        <ProtectedRoute>
-                                            <SettingsPage />
-                                        </ProtectedRoute>
-                                    }
-                                />
-                                {/* PROTECTED: Favorites route requires authentication */}
-                                <Route
-                                    path="/favorites"
-                                    element={
-                                        <ProtectedRoute>
-                                            <FavoritesPage />
-                                        </ProtectedRoute>
-                                    }
-                                />
-                                <Route
-                                    path="/admin/*"
-                                    element={<AdminPage />}
-                                />
-                                    </Routes>
-                                </Suspense>
-                            </ChunkErrorBoundary>
-                        </main>
-                        <Footer />
+                                    {/* PROTECTED: Dashboard route now requires authentication AND email verification */}
+                                    <Route
+                                        path="/dashboard"
+                                        element={
+                                            <ProtectedRoute>
+                                                <DashboardPage />
+                                            </ProtectedRoute>
+                                        }
+                                    />
+                                    {/* PROTECTED: Settings route now requires authentication AND email verification */}
+                                    <Route
+                                        path="/settings"
+                                        element={
+                                            <ProtectedRoute>
+                                                <SettingsPage />
+                                            </ProtectedRoute>
+                                        }
+                                    />
+                                    {/* PROTECTED: Favorites route requires authentication */}
+                                    <Route
+                                        path="/favorites"
+                                        element={
+                                            <ProtectedRoute>
+                                                <FavoritesPage />
+                                            </ProtectedRoute>
+                                        }
+                                    />
+                                    {/* PROTECTED: Owner dashboard for claimed listings */}
+                                    <Route
+                                        path="/owner"
+                                        element={
+                                            <ProtectedRoute>
+                                                <OwnerDashboardPage />
+                                            </ProtectedRoute>
+                                        }
+                                    />
+                                    <Route
+                                        path="/admin/*"
+                                        element={<AdminPage />}
+                                    />
+                                        </Routes>
+                                    </Suspense>
+                                </ChunkErrorBoundary>
+                            </main>
+                            <Footer />
                         
-                        {/* Toast notifications */}
-                        <Toaster
-                            position="top-right"
-                            toastOptions={{
-                                duration: 3000,
-                                style: {
-                                    background: '#333',
-                                    color: '#fff',
-                                },
-                                success: {
-                                    iconTheme: {
-                                        primary: '#4ade80',
-                                        secondary: '#fff',
+                            {/* Toast notifications */}
+                            <Toaster
+                                position="top-right"
+                                toastOptions={{
+                                    duration: 3000,
+                                    style: {
+                                        background: '#333',
+                                        color: '#fff',
                                     },
-                                },
-                                error: {
-                                    iconTheme: {
-                                        primary: '#ef4444',
-                                        secondary: '#fff',
+                                    success: {
+                                        iconTheme: {
+                                            primary: '#4ade80',
+                                            secondary: '#fff',
+                                        },
                                     },
-                                },
-                            }}
-                        />
-                    </div>
-                </Router>
+                                    error: {
+                                        iconTheme: {
+                                            primary: '#ef4444',
+                                            secondary: '#fff',
+                                        },
+                                    },
+                                }}
+                            />
+                        </div>
+                    </Router>
+                </LanguageProvider>
             </UserAuthProvider>
         </QueryClientProvider>
     );
@@ -1,6 +1,7 @@
 // client/src/components/admin/AdminDashboard.js - Enhanced logout
 import React, { useState } from "react";
 import { Routes, Route, Link, useNavigate } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
 import authService from "../../services/authService";
 import DashboardStats from "./DashboardStats";
 import DashboardCharts from "./DashboardCharts";
@@ -10,14 +11,31 @@ import ManageBusinesses from "./ManageBusinesses";
 import BusinessForm from "./BusinessForm";
 import CategoryManager from "./CategoryManager";
 import ReportsManagement from "./ReportsManagement"; // NEW: Import reports component
+import ReportReasonsManager from "./ReportReasonsManager";
+import ReviewsModeration from "./ReviewsModeration";
 import UserManagement from "./UserManagement"; // NEW: Import user management component
 import SubmissionsManager from "./SubmissionsManager"; // NEW: Import submissions component
+import AdminUsersManager from "./AdminUsersManager";
+import AuditLog from "./AuditLog";
+import EmailOutbox from "./EmailOutbox";
+import OwnershipRequests from "./OwnershipRequests";
 import "../../styles/admin.css";
 
 const AdminDashboard = ({ onLogout }) => {
     const navigate = useNavigate();
     const [isLoggingOut, setIsLoggingOut] = useState(false);
 
+    // Signed-in admin; starts from the login response and is refreshed so
+    // role changes made by a superadmin show up without logging in again
+    const { data: admin } = useQuery({
+        queryKey: ["admin-me"],
+        queryFn: authService.getCurrentAdmin,
+        initialData: authService.getAdmin,
+        staleTime: 0,
+    });
+
+    const can = (permission) => authService.hasPermission(permission, admin);
+
     const handleLogout = async () => {
         try {
             setIsLoggingOut(true);
@@ -52,6 +70,11 @@ const AdminDashboard = ({ onLogout }) => {
             <div className="admin-header">
                 <div className="container">
                     <h1>Admin Dashboard</h1>
+                    {admin && (
+                        <span className="admin-identity">
+                            {admin.username} ({admin.role})
+                        </span>
+                    )}
                     <button
                         onClick={handleLogout}
                         className={`logout-btn ${
@@ -70,27 +93,73 @@ const AdminDashboard = ({ onLogout }) => {
                         <Link to="/admin/" className="admin-nav-link">
                             Dashboard
                         </Link>
-                        <Link to="/admin/businesses" className="admin-nav-link">
-                            Manage Businesses
-                        </Link>
-                        <Link
-                            to="/admin/businesses/new"
-                            className="admin-nav-link"
-                        >
-                            Add Business
-                        </Link>
-                        <Link to="/admin/categories" className="admin-nav-link">
-                            Categories
-                        </Link>
-                        <Link to="/admin/submissions" className="admin-nav-link">
-                            Submissions
-                        </Link>
-                        <Link to="/admin/reports" className="admin-nav-link">
-                            Reports
-                        </Link>
-                        <Link to="/admin/users" className="admin-nav-link">
-                            User Management
-                        </Link>
+                        {can("businesses:read") && (
+                            <Link
+                                to="/admin/businesses"
+                                className="admin-nav-link"
+                            >
+                                Manage Businesses
+                            </Link>
+                        )}
+                        {can("businesses:write") && (
+                            <Link
+                                to="/admin/businesses/new"
+                                className="admin-nav-link"
+                            >
+                                Add Business
+                            </Link>
+                        )}
+                        {can("categories:read") && (
+                            <Link
+                                to="/admin/categories"
+                                className="admin-nav-link"
+                            >
+                                Categories
+                            </Link>
+                        )}
+                        {can("submissions:read") && (
+                            <Link
+                                to="/admin/submissions"
+                                className="admin-nav-link"
+                            >
+                                Submissions
+                            </Link>
+                        )}
+                        {can("businesses:read") && (
+                            <Link to="/admin/owners" className="admin-nav-link">
+                                Owner Requests
+                            </Link>
+                        )}
+                        {can("reports:read") && (
+                            <Link to="/admin/reports" className="admin-nav-link">
+                                Reports
+                            </Link>
+                        )}
+                        {can("reviews:read") && (
+                            <Link to="/admin/reviews" className="admin-nav-link">
+                                Reviews
+                            </Link>
+                        )}
+                        {can("users:read") && (
+                            <Link to="/admin/users" className="admin-nav-link">
+                                User Management
+                            </Link>
+                        )}
+                        {can("admins:manage") && (
+                            <Link to="/admin/admins" className="admin-nav-link">
+                                Admin Accounts
+                            </Link>
+                        )}
+                        {can("audit:read") && (
+                            <Link to="/admin/audit" className="admin-nav-link">
+                                Audit Log
+                            </Link>
+                        )}
+                        {can("emails:read") && (
+                            <Link to="/admin/emails" className="admin-nav-link">
+                                Email Outbox
+                            </Link>
+                        )}
                     </nav>
 
                     <div className="admin-main">
@@ -106,7 +175,9 @@ const AdminDashboard = ({ onLogout }) => {
                                             </div>
                                             <div className="dashboard-right">
                                                 <RecentActivity />
-                                                <SystemStatus />
+                                                {can("system:read") && (
+                                                    <SystemStatus />
+                                                )}
                                             </div>
                                         </div>
                                     </div>
@@ -132,14 +203,45 @@ const AdminDashboard = ({ onLogout }) => {
                                 path="/submissions"
                                 element={<SubmissionsManager />}
                             />
+                            {can("businesses:read") && (
+                                <Route
+                                    path="/owners"
+                                    element={<OwnershipRequests />}
+                                />
+                            )}
                             <Route
                                 path="/reports"
                                 element={<ReportsManagement />}
                             />
                             <Route
-                                path="/users"
-                                element={<UserManagement />}
+                                path="/reports/reasons"
+                                element={<ReportReasonsManager />}
+                            />
+                            <Route
+                                path="/reviews"
+                                element={<ReviewsModeration />}
                             />
+                            {can("users:read") && (
+                                <Route
+                                    path="/users"
+                                    element={<UserManagement />}
+                                />
+                            )}
+                            {can("admins:manage") && (
+                                <Route
+                                    path="/admins"
+                                    element={<AdminUsersManager />}
+                                />
+                            )}
+                            {can("audit:read") && (
+                                <Route path="/audit" element={<AuditLog />} />
+                            )}
+                            {can("emails:read") && (
+                                <Route
+                                    path="/emails"
+                                    element={<EmailOutbox />}
+                                />
+                            )}
                         </Routes>
                     </div>
                 </div>
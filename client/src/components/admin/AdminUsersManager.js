@@ -0,0 +1,362 @@
+// client/src/components/admin/AdminUsersManager.js
+import React, { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import adminService from "../../services/adminService";
+import LoadingSpinner from "../common/LoadingSpinner";
+import "../../styles/admin.css";
+
+const ROLE_OPTIONS = [
+    {
+        value: "superadmin",
+        label: "Superadmin",
+        description: "Full access, including admin accounts",
+    },
+    {
+        value: "editor",
+        label: "Editor",
+        description: "Businesses, categories and submissions",
+    },
+    {
+        value: "moderator",
+        label: "Moderator",
+        description: "Reports, reviews and submissions",
+    },
+];
+
+const EMPTY_FORM = { username: "", password: "", role: "moderator" };
+
+/**
+ * AdminUsersManager Component
+ *
+ * Superadmin screen for admin accounts: create accounts, change roles,
+ * reset passwords, activate/deactivate and delete.
+ */
+const AdminUsersManager = () => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const queryClient = useQueryClient();
+
+    const { data, isLoading, isError } = useQuery({
+        queryKey: ["admin-accounts"],
+        queryFn: adminService.getAdmins,
+    });
+
+    const handleMutationError = (action) => (error) => {
+        const details = error.response?.data?.details;
+        alert(
+            `Error ${action}: ${error.response?.data?.error || error.message}${
+                Array.isArray(details) ? `\n\n${details.join("\n")}` : ""
+            }`
+        );
+    };
+
+    const createMutation = useMutation({
+        mutationFn: adminService.createAdmin,
+        onSuccess: (response) => {
+            queryClient.invalidateQueries({ queryKey: ["admin-accounts"] });
+            setForm(EMPTY_FORM);
+            alert(`Admin account "${response.admin.username}" created`);
+        },
+        onError: handleMutationError("creating admin"),
+    });
+
+    const updateMutation = useMutation({
+        mutationFn: ({ id, data }) => adminService.updateAdmin(id, data),
+        onSuccess: (response) => {
+            queryClient.invalidateQueries({ queryKey: ["admin-accounts"] });
+            alert(response.message);
+        },
+        onError: handleMutationError("updating admin"),
+    });
+
+    const deleteMutation = useMutation({
+        mutationFn: adminService.deleteAdmin,
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ["admin-accounts"] });
+            alert("Admin account deleted");
+        },
+        onError: handleMutationError("deleting admin"),
+    });
+
+    const isMutating =
+        createMutation.isPending ||
+        updateMutation.isPending ||
+        deleteMutation.isPending;
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        createMutation.mutate({
+            username: form.username.trim(),
+            password: form.password,
+            role: form.role,
+        });
+    };
+
+    const handleRoleChange = (admin, role) => {
+        if (
+            role !== admin.role &&
+            window.confirm(`Change ${admin.username}'s role to ${role}?`)
+        ) {
+            updateMutation.mutate({ id: admin._id, data: { role } });
+        }
+    };
+
+    const handleToggleActive = (admin) => {
+        const action = admin.isActive ? "Deactivate" : "Activate";
+        if (window.confirm(`${action} ${admin.username}?`)) {
+            updateMutation.mutate({
+                id: admin._id,
+                data: { isActive: !admin.isActive },
+            });
+        }
+    };
+
+    const handleResetPassword = (admin) => {
+        const password = prompt(
+            `New password for ${admin.username} (at least 8 characters):`
+        );
+
+        if (password) {
+            updateMutation.mutate({ id: admin._id, data: { password } });
+        }
+    };
+
+    const handleDelete = (admin) => {
+        if (
+            window.confirm(
+                `Permanently delete the admin account "${admin.username}"?\n\nThis action cannot be undone. Deactivating keeps their review history readable.`
+            )
+        ) {
+            deleteMutation.mutate(admin._id);
+        }
+    };
+
+    const formatDate = (dateString) => {
+        if (!dateString) return "Never";
+        return new Date(dateString).toLocaleDateString("en-US", {
+            year: "numeric",
+            month: "short",
+            day: "numeric",
+            hour: "2-digit",
+            minute: "2-digit",
+        });
+    };
+
+    if (isLoading) return <LoadingSpinner size="large" />;
+
+    if (isError) {
+        return (
+            <div className="error-state">
+                <h3>Error Loading Admin Accounts</h3>
+                <p>Unable to fetch admin accounts. Please try again later.</p>
+                <button onClick={() => window.location.reload()}>Retry</button>
+            </div>
+        );
+    }
+
+    const { admins = [], currentAdminId } = data || {};
+
+    return (
+        <div className="category-manager admin-accounts">
+            <div className="category-manager-header">
+                <h2>🔑 Admin Accounts</h2>
+                <p>Manage who can access the admin dashboard and what they can do</p>
+            </div>
+
+            <div className="category-info-panel">
+                <div className="info-card">
+                    <h4>📋 Roles</h4>
+                    <ul>
+                        {ROLE_OPTIONS.map((role) => (
+                            <li key={role.value}>
+                                <strong>{role.label}:</strong>{" "}
+                                {role.description}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+                <div className="info-card">
+                    <h4>📊 Quick Stats</h4>
+                    <div className="stat-grid">
+                        <span className="stat-item">
+                            <strong>
+                                {admins.filter((admin) => admin.isActive).length}
+                            </strong>{" "}
+                            Active
+                        </span>
+                        <span className="stat-item">
+                            <strong>
+                                {admins.filter((admin) => !admin.isActive).length}
+                            </strong>{" "}
+                            Inactive
+                        </span>
+                        <span className="stat-item">
+                            <strong>{admins.length}</strong> Total
+                        </span>
+                    </div>
+                </div>
+            </div>
+
+            {/* Add New Admin */}
+            <div className="add-category">
+                <h3>Add Admin Account</h3>
+                <form onSubmit={handleCreate} className="category-form">
+                    <input
+                        type="text"
+                        value={form.username}
+                        onChange={(e) =>
+                            setForm({ ...form, username: e.target.value })
+                        }
+                        placeholder="Username"
+                        autoComplete="off"
+                        required
+                        disabled={createMutation.isPending}
+                    />
+                    <input
+                        type="password"
+                        value={form.password}
+                        onChange={(e) =>
+                            setForm({ ...form, password: e.target.value })
+                        }
+                        placeholder="Password (min. 8 characters)"
+                        autoComplete="new-password"
+                        minLength={8}
+                        required
+                        disabled={createMutation.isPending}
+                    />
+                    <select
+                        value={form.role}
+                        onChange={(e) =>
+                            setForm({ ...form, role: e.target.value })
+                        }
+                        disabled={createMutation.isPending}
+                    >
+                        {ROLE_OPTIONS.map((role) => (
+                            <option key={role.value} value={role.value}>
+                                {role.label}
+                            </option>
+                        ))}
+                    </select>
+                    <button
+                        type="submit"
+                        disabled={createMutation.isPending}
+                        className="btn btn-primary"
+                    >
+                        {createMutation.isPending ? "Adding..." : "Add"}
+                    </button>
+                </form>
+            </div>
+
+            {/* Existing Admins */}
+            <div className="categories-list">
+                <h3>Existing Accounts</h3>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Username</th>
+                            <th>Role</th>
+                            <th>Status</th>
+                            <th>Last Login</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {admins.map((admin) => {
+                            const isSelf = admin._id === currentAdminId;
+
+                            return (
+                                <tr key={admin._id}>
+                                    <td>
+                                        {admin.username}
+                                        {isSelf && (
+                                            <span className="admin-account-self">
+                                                You
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td>
+                                        <select
+                                            value={admin.role}
+                                            onChange={(e) =>
+                                                handleRoleChange(
+                                                    admin,
+                                                    e.target.value
+                                                )
+                                            }
+                                            disabled={isMutating}
+                                        >
+                                            {ROLE_OPTIONS.map((role) => (
+                                                <option
+                                                    key={role.value}
+                                                    value={role.value}
+                                                >
+                                                    {role.label}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <span
+                                            className={`status ${
+                                                admin.isActive
+                                                    ? "active"
+                                                    : "inactive"
+                                            }`}
+                                        >
+                                            {admin.isActive
+                                                ? "Active"
+                                                : "Inactive"}
+                                        </span>
+                                    </td>
+                                    <td>{formatDate(admin.lastLoginAt)}</td>
+                                    <td className="actions">
+                                        <button
+                                            onClick={() =>
+                                                handleResetPassword(admin)
+                                            }
+                                            className="btn btn-small btn-secondary"
+                                            disabled={isMutating}
+                                        >
+                                            Reset Password
+                                        </button>
+                                        {!isSelf && (
+                                            <>
+                                                <button
+                                                    onClick={() =>
+                                                        handleToggleActive(
+                                                            admin
+                                                        )
+                                                    }
+                                                    className={`btn btn-small ${
+                                                        admin.isActive
+                                                            ? "btn-warning"
+                                                            : "btn-success"
+                                                    }`}
+                                                    disabled={isMutating}
+                                                >
+                                                    {admin.isActive
+                                                        ? "Deactivate"
+                                                        : "Activate"}
+                                                </button>
+                                                <button
+                                                    onClick={() =>
+                                                        handleDelete(admin)
+                                                    }
+                                                    className="btn btn-small btn-danger"
+                                                    disabled={isMutating}
+                                                >
+                                                    Delete
+                                                </button>
+                                            </>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default AdminUsersManager;
@@ -0,0 +1,385 @@
+// client/src/components/admin/AuditLog.js
+import React, { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { useSearchParams } from "react-router-dom";
+import adminService from "../../services/adminService";
+import LoadingSpinner from "../common/LoadingSpinner";
+import "../../styles/admin.css";
+
+const EMPTY_FILTERS = {
+    actor: "",
+    action: "",
+    targetType: "",
+    search: "",
+    dateFrom: "",
+    dateTo: "",
+};
+
+// Helper: short display of a diff value
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === "") return "—";
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+};
+
+/**
+ * AuditLog Component
+ *
+ * Read-only view of the admin audit log, laid out like ReportsManagement:
+ * - URL-based pagination with searchParams
+ * - Filters by admin, action, target type, target name and date range
+ * - Expandable before/after diff per entry
+ * - CSV/JSON export of the current filters
+ */
+const AuditLog = () => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [draftFilters, setDraftFilters] = useState(EMPTY_FILTERS);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [expandedId, setExpandedId] = useState(null);
+    const [isExporting, setIsExporting] = useState(false);
+
+    const page = parseInt(searchParams.get("page")) || 1;
+
+    const { data, isLoading, isError } = useQuery({
+        queryKey: ["admin-audit", page, filters],
+        queryFn: () => adminService.getAuditLog({ page, limit: 25, ...filters }),
+    });
+
+    const { data: filterOptions } = useQuery({
+        queryKey: ["admin-audit", "filters"],
+        queryFn: adminService.getAuditFilters,
+    });
+
+    const setPage = (newPage) => {
+        setSearchParams({ page: newPage.toString() });
+    };
+
+    const updateDraft = (field) => (e) =>
+        setDraftFilters({ ...draftFilters, [field]: e.target.value });
+
+    const applyFilters = () => {
+        setFilters(draftFilters);
+        setPage(1);
+    };
+
+    const clearFilters = () => {
+        setDraftFilters(EMPTY_FILTERS);
+        setFilters(EMPTY_FILTERS);
+        setPage(1);
+    };
+
+    const handleExport = async (format) => {
+        try {
+            setIsExporting(true);
+            const blob = await adminService.exportAuditLog({
+                ...filters,
+                format,
+            });
+
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = `audit-log-${new Date()
+                .toISOString()
+                .slice(0, 10)}.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            alert(`Error exporting audit log: ${error.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString("en-US", {
+            year: "numeric",
+            month: "short",
+            day: "numeric",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+        });
+    };
+
+    if (isLoading) return <LoadingSpinner size="large" />;
+
+    if (isError) {
+        return (
+            <div className="error-state">
+                <h3>Error Loading Audit Log</h3>
+                <p>Unable to fetch the audit log. Please try again later.</p>
+                <button onClick={() => window.location.reload()}>Retry</button>
+            </div>
+        );
+    }
+
+    const { entries = [], pagination } = data || {};
+    const hasFilters = Object.values(filters).some(Boolean);
+
+    return (
+        <div className="reports-management">
+            <div className="manage-header">
+                <h2>Audit Log</h2>
+                <div className="audit-export-buttons">
+                    <button
+                        onClick={() => handleExport("csv")}
+                        className="btn btn-secondary"
+                        disabled={isExporting}
+                    >
+                        {isExporting ? "Exporting..." : "Export CSV"}
+                    </button>
+                    <button
+                        onClick={() => handleExport("json")}
+                        className="btn btn-secondary"
+                        disabled={isExporting}
+                    >
+                        Export JSON
+                    </button>
+                </div>
+            </div>
+
+            {/* Filters Section */}
+            <div className="filters-section">
+                <div className="search-filter">
+                    <input
+                        type="text"
+                        placeholder="Search target name..."
+                        value={draftFilters.search}
+                        onChange={updateDraft("search")}
+                        onKeyPress={(e) => e.key === "Enter" && applyFilters()}
+                    />
+                    <button onClick={applyFilters} className="btn btn-primary">
+                        Apply
+                    </button>
+                </div>
+
+                <div className="dropdown-filters">
+                    <select
+                        value={draftFilters.actor}
+                        onChange={updateDraft("actor")}
+                    >
+                        <option value="">All Admins</option>
+                        {filterOptions?.actors.map((actor) => (
+                            <option key={actor} value={actor}>
+                                {actor}
+                            </option>
+                        ))}
+                    </select>
+
+                    <select
+                        value={draftFilters.targetType}
+                        onChange={updateDraft("targetType")}
+                    >
+                        <option value="">All Targets</option>
+                        {filterOptions?.targetTypes.map((type) => (
+                            <option key={type} value={type}>
+                                {type}
+                            </option>
+                        ))}
+                    </select>
+
+                    <select
+                        value={draftFilters.action}
+                        onChange={updateDraft("action")}
+                    >
+                        <option value="">All Actions</option>
+                        {filterOptions?.actions.map((action) => (
+                            <option key={action} value={action}>
+                                {action}
+                            </option>
+                        ))}
+                    </select>
+
+                    <input
+                        type="date"
+                        value={draftFilters.dateFrom}
+                        onChange={updateDraft("dateFrom")}
+                        title="From date"
+                    />
+                    <input
+                        type="date"
+                        value={draftFilters.dateTo}
+                        onChange={updateDraft("dateTo")}
+                        title="To date"
+                    />
+
+                    <button
+                        onClick={clearFilters}
+                        className="btn btn-secondary"
+                    >
+                        Clear Filters
+                    </button>
+                </div>
+            </div>
+
+            {/* Audit Table */}
+            <div className="table-container">
+                {entries.length === 0 ? (
+                    <div className="no-results">
+                        <h3>No Entries Found</h3>
+                        <p>
+                            {hasFilters
+                                ? "Try adjusting your filters."
+                                : "No admin actions have been recorded yet."}
+                        </p>
+                    </div>
+                ) : (
+                    <table className="reports-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Admin</th>
+                                <th>Action</th>
+                                <th>Target</th>
+                                <th>Changes</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.map((entry) => {
+                                const isExpanded = expandedId === entry._id;
+                                const changeCount = entry.changes.length;
+                                const changeLabel = `Show ${changeCount} change${
+                                    changeCount === 1 ? "" : "s"
+                                }`;
+
+                                return (
+                                    <tr key={entry._id}>
+                                        <td>
+                                            <div className="report-date">
+                                                {formatDate(entry.createdAt)}
+                                            </div>
+                                            <div className="report-ip">
+                                                IP: {entry.ipAddress || "unknown"}
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <div className="business-info">
+                                                <div className="business-name">
+                                                    {entry.actor.username}
+                                                </div>
+                                                <div className="business-details">
+                                                    {entry.actor.role}
+                                                </div>
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <span className="audit-action">
+                                                {entry.action}
+                                            </span>
+                                        </td>
+                                        <td>
+                                            <div className="business-info">
+                                                <div className="business-name">
+                                                    {entry.targetLabel || "—"}
+                                                </div>
+                                                <div className="business-id">
+                                                    {entry.targetType}
+                                                    {entry.targetId &&
+                                                        ` • ${entry.targetId}`}
+                                                </div>
+                                            </div>
+                                        </td>
+                                        <td>
+                                            {entry.changes.length === 0 &&
+                                            !entry.metadata ? (
+                                                <span className="report-ip">
+                                                    No field changes
+                                                </span>
+                                            ) : (
+                                                <button
+                                                    onClick={() =>
+                                                        setExpandedId(
+                                                            isExpanded
+                                                                ? null
+                                                                : entry._id
+                                                        )
+                                                    }
+                                                    className="btn btn-info btn-sm"
+                                                >
+                                                    {isExpanded
+                                                        ? "Hide"
+                                                        : changeLabel}
+                                                </button>
+                                            )}
+
+                                            {isExpanded && (
+                                                <div className="audit-diff">
+                                                    {entry.changes.map(
+                                                        (change) => (
+                                                            <div
+                                                                key={
+                                                                    change.field
+                                                                }
+                                                                className="audit-diff-row"
+                                                            >
+                                                                <strong>
+                                                                    {
+                                                                        change.field
+                                                                    }
+                                                                </strong>
+                                                                <span className="audit-diff-before">
+                                                                    {formatValue(
+                                                                        change.before
+                                                                    )}
+                                                                </span>
+                                                                <span className="audit-diff-after">
+                                                                    {formatValue(
+                                                                        change.after
+                                                                    )}
+                                                                </span>
+                                                            </div>
+                                                        )
+                                                    )}
+                                                    {entry.metadata && (
+                                                        <pre className="audit-metadata">
+                                                            {JSON.stringify(
+                                                                entry.metadata,
+                                                                null,
+                                                                2
+                                                            )}
+                                                        </pre>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {/* Pagination */}
+            {pagination && pagination.totalPages > 1 && (
+                <div className="pagination">
+                    <button
+                        onClick={() => setPage(page - 1)}
+                        disabled={!pagination.hasPrev}
+                        className="btn btn-secondary"
+                    >
+                        Previous
+                    </button>
+
+                    <div className="page-info">
+                        Page {pagination.currentPage} of {pagination.totalPages}{" "}
+                        ({pagination.totalEntries} entries)
+                    </div>
+
+                    <button
+                        onClick={() => setPage(page + 1)}
+                        disabled={!pagination.hasNext}
+                        className="btn btn-secondary"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuditLog;
@@ -5,7 +5,26 @@ import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import adminService from "../../services/adminService";
 import businessService from "../../services/businessService";
 import LoadingSpinner from "../common/LoadingSpinner";
+import OpeningHoursEditor from "../forms/OpeningHoursEditor";
+import LocationPicker from "../forms/LocationPicker";
+import GalleryEditor from "./GalleryEditor";
 import { getImageUrl, getPlaceholderData } from "../../utils/imageHelper";
+import {
+    CONTENT_LANGUAGES,
+    emptyTranslations,
+    getEditableTranslations,
+    hasBusinessName,
+} from "../../utils/listingContent";
+import {
+    emptyOpeningHours,
+    getEditableOpeningHours,
+    getOpeningHoursError,
+    serializeOpeningHours,
+} from "../../utils/openingHours";
+import { getLatLng } from "../../utils/geo";
+import { GEORGIAN_CITIES } from "../../constants/formData";
+
+const NATIONWIDE_CITY = "All Georgia";
 
 const BusinessForm = () => {
     const { id } = useParams();
@@ -14,17 +33,19 @@ const BusinessForm = () => {
     const isEdit = !!id;
 
     const [formData, setFormData] = useState({
-        businessName: "",
-        category: "",
+        translations: emptyTranslations(),
+        categories: [],
         businessType: "individual",
-        city: "",
+        cities: [],
         mobile: "",
-        shortDescription: "",
         socialLinks: {
             facebook: "",
             instagram: "",
             tiktok: "",
+            youtube: "",
         },
+        openingHours: emptyOpeningHours(),
+        location: null,
     });
     const [imageFile, setImageFile] = useState(null);
     const [showImageModal, setShowImageModal] = useState(false);
@@ -45,17 +66,19 @@ const BusinessForm = () => {
     useEffect(() => {
         if (business) {
             setFormData({
-                businessName: business.businessName || "",
-                category: business.category || "",
+                translations: getEditableTranslations(business),
+                categories: business.categories || [],
                 businessType: business.businessType || "individual",
-                city: business.city || "",
+                cities: business.cities || [],
                 mobile: business.mobile || "",
-                shortDescription: business.shortDescription || "",
                 socialLinks: {
                     facebook: business.socialLinks?.facebook || "",
                     instagram: business.socialLinks?.instagram || "",
                     tiktok: business.socialLinks?.tiktok || "",
+                    youtube: business.socialLinks?.youtube || "",
                 },
+                openingHours: getEditableOpeningHours(business),
+                location: getLatLng(business.location),
             });
         }
     }, [business]);
@@ -82,9 +105,38 @@ const BusinessForm = () => {
     const handleSubmit = (e) => {
         e.preventDefault();
 
+        if (!hasBusinessName(formData.translations)) {
+            alert("Enter the business name in Georgian or English");
+            return;
+        }
+
+        if (formData.categories.length === 0) {
+            alert("Select at least one category");
+            return;
+        }
+        if (formData.cities.length === 0) {
+            alert("Select at least one service area");
+            return;
+        }
+
+        const openingHours = serializeOpeningHours(formData.openingHours);
+        const openingHoursError = getOpeningHoursError(openingHours);
+        if (openingHoursError) {
+            alert(openingHoursError);
+            return;
+        }
+
         const submitData = new FormData();
         Object.keys(formData).forEach((key) => {
-            if (key === "socialLinks") {
+            if (key === "openingHours") {
+                submitData.append(key, JSON.stringify(openingHours));
+            } else if (
+                key === "socialLinks" ||
+                key === "translations" ||
+                key === "location" ||
+                key === "categories" ||
+                key === "cities"
+            ) {
                 submitData.append(key, JSON.stringify(formData[key]));
             } else {
                 submitData.append(key, formData[key]);
@@ -117,6 +169,49 @@ const BusinessForm = () => {
         }
     };
 
+    const handleCategoryToggle = (name) => {
+        setFormData((prev) => ({
+            ...prev,
+            categories: prev.categories.includes(name)
+                ? prev.categories.filter((category) => category !== name)
+                : [...prev.categories, name],
+        }));
+    };
+
+    // "All Georgia" replaces specific cities and the other way round
+    const handleCityToggle = (city) => {
+        setFormData((prev) => {
+            if (prev.cities.includes(city)) {
+                return {
+                    ...prev,
+                    cities: prev.cities.filter((item) => item !== city),
+                };
+            }
+            return {
+                ...prev,
+                cities:
+                    city === NATIONWIDE_CITY
+                        ? [city]
+                        : [
+                              ...prev.cities.filter(
+                                  (item) => item !== NATIONWIDE_CITY
+                              ),
+                              city,
+                          ],
+            };
+        });
+    };
+
+    const handleTranslationChange = (language, field, value) => {
+        setFormData((prev) => ({
+            ...prev,
+            translations: {
+                ...prev.translations,
+                [language]: { ...prev.translations[language], [field]: value },
+            },
+        }));
+    };
+
     const handleRemoveImage = async () => {
         if (!window.confirm("Are you sure you want to delete this image?")) {
             return;
@@ -132,39 +227,68 @@ const BusinessForm = () => {
 
     if (isEdit && isLoading) return <LoadingSpinner size="large" />;
 
+    // Keep values that are no longer active categories visible, so they can be removed
+    const categoryOptions = [
+        ...new Set([
+            ...categories.map((category) => category.name),
+            ...formData.categories,
+        ]),
+    ];
+
     return (
         <div className="business-form">
             <h2>{isEdit ? "Edit Business" : "Add New Business"}</h2>
 
             <form onSubmit={handleSubmit} className="form">
-                <div className="form-row">
-                    <div className="form-group">
-                        <label>Business Name *</label>
-                        <input
-                            type="text"
-                            name="businessName"
-                            value={formData.businessName}
-                            onChange={handleChange}
-                            required
-                        />
-                    </div>
+                <div className="form-section form-section-first">
+                    <h3>Name & Description</h3>
+                    <p className="form-section-hint">
+                        Fill in Georgian, English or both (a name is required
+                        in at least one). Visitors see their language and fall
+                        back to the other one.
+                    </p>
+                    {CONTENT_LANGUAGES.map(({ code, label }) => (
+                        <div className="form-row" key={code}>
+                            <div className="form-group">
+                                <label>Business Name ({label})</label>
+                                <input
+                                    type="text"
+                                    lang={code}
+                                    value={
+                                        formData.translations[code].businessName
+                                    }
+                                    onChange={(e) =>
+                                        handleTranslationChange(
+                                            code,
+                                            "businessName",
+                                            e.target.value
+                                        )
+                                    }
+                                    maxLength={100}
+                                />
+                            </div>
 
-                    <div className="form-group">
-                        <label>Category *</label>
-                        <select
-                            name="category"
-                            value={formData.category}
-                            onChange={handleChange}
-                            required
-                        >
-                            <option value="">Select Category</option>
-                            {categories.map((cat) => (
-                                <option key={cat._id} value={cat.name}>
-                                    {cat.name}
-                                </option>
-                            ))}
-                        </select>
-                    </div>
+                            <div className="form-group">
+                                <label>Short Description ({label})</label>
+                                <textarea
+                                    lang={code}
+                                    value={
+                                        formData.translations[code]
+                                            .shortDescription
+                                    }
+                                    onChange={(e) =>
+                                        handleTranslationChange(
+                                            code,
+                                            "shortDescription",
+                                            e.target.value
+                                        )
+                                    }
+                                    maxLength={500}
+                                    rows="3"
+                                />
+                            </div>
+                        </div>
+                    ))}
                 </div>
 
                 <div className="form-row">
@@ -182,38 +306,17 @@ const BusinessForm = () => {
                     </div>
 
                     <div className="form-group">
-                        <label>City *</label>
+                        <label>Mobile *</label>
                         <input
                             type="text"
-                            name="city"
-                            value={formData.city}
+                            name="mobile"
+                            value={formData.mobile}
                             onChange={handleChange}
                             required
                         />
                     </div>
                 </div>
 
-                <div className="form-group">
-                    <label>Mobile *</label>
-                    <input
-                        type="text"
-                        name="mobile"
-                        value={formData.mobile}
-                        onChange={handleChange}
-                        required
-                    />
-                </div>
-
-                <div className="form-group">
-                    <label>Short Description</label>
-                    <textarea
-                        name="shortDescription"
-                        value={formData.shortDescription}
-                        onChange={handleChange}
-                        rows="3"
-                    />
-                </div>
-
                 <div className="form-group">
                     <label>Profile Image *</label>
 
@@ -226,7 +329,7 @@ const BusinessForm = () => {
                                         business.profileImage,
                                         "thumbnail"
                                     )}
-                                    alt={`${formData.businessName} current profile`}
+                                    alt={`${business.businessName} current profile`}
                                     className="image-thumbnail"
                                     onClick={() => setShowImageModal(true)}
                                     style={{ cursor: "pointer" }}
@@ -257,12 +360,12 @@ const BusinessForm = () => {
                                 className="image-thumbnail placeholder"
                                 style={{
                                     backgroundColor: getPlaceholderData(
-                                        formData.businessName
+                                        business?.businessName
                                     ).backgroundColor,
                                 }}
                             >
                                 {
-                                    getPlaceholderData(formData.businessName)
+                                    getPlaceholderData(business?.businessName)
                                         .letter
                                 }
                             </div>
@@ -309,7 +412,7 @@ const BusinessForm = () => {
                                         business.profileImage,
                                         "detail"
                                     )}
-                                    alt={`${formData.businessName} full profile`}
+                                    alt={`${business.businessName} full profile`}
                                     onClick={(e) => e.stopPropagation()}
                                 />
                                 <button
@@ -323,6 +426,62 @@ const BusinessForm = () => {
                     )}
                 </div>
 
+                <div className="form-section">
+                    <h3>Photos</h3>
+                    {isEdit ? (
+                        <>
+                            <p className="form-section-hint">
+                                Changes to the gallery are saved immediately.
+                            </p>
+                            <GalleryEditor
+                                businessId={id}
+                                initialPhotos={business?.photos}
+                            />
+                        </>
+                    ) : (
+                        <p className="form-section-hint">
+                            Save the business first to add gallery photos.
+                        </p>
+                    )}
+                </div>
+
+                <div className="form-section">
+                    <h3>Categories *</h3>
+                    <div className="option-grid">
+                        {categoryOptions.map((name) => (
+                            <label key={name} className="option-grid-item">
+                                <input
+                                    type="checkbox"
+                                    checked={formData.categories.includes(name)}
+                                    onChange={() => handleCategoryToggle(name)}
+                                />
+                                {name}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="form-section">
+                    <h3>Service Areas *</h3>
+                    <p className="form-section-hint">
+                        Up to 10 cities, or "All Georgia" for listings that
+                        serve the whole country (they show up for every city
+                        filter).
+                    </p>
+                    <div className="option-grid">
+                        {GEORGIAN_CITIES.map((city) => (
+                            <label key={city} className="option-grid-item">
+                                <input
+                                    type="checkbox"
+                                    checked={formData.cities.includes(city)}
+                                    onChange={() => handleCityToggle(city)}
+                                />
+                                {city}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
                 <div className="form-section">
                     <h3>Social Links</h3>
                     <div className="form-row">
@@ -355,9 +514,39 @@ const BusinessForm = () => {
                                 onChange={handleChange}
                             />
                         </div>
+
+                        <div className="form-group">
+                            <label>YouTube</label>
+                            <input
+                                type="url"
+                                name="social.youtube"
+                                value={formData.socialLinks.youtube}
+                                onChange={handleChange}
+                            />
+                        </div>
                     </div>
                 </div>
 
+                <div className="form-section">
+                    <h3>Opening Hours</h3>
+                    <OpeningHoursEditor
+                        value={formData.openingHours}
+                        onChange={(openingHours) =>
+                            setFormData((prev) => ({ ...prev, openingHours }))
+                        }
+                    />
+                </div>
+
+                <div className="form-section">
+                    <h3>Location</h3>
+                    <LocationPicker
+                        value={formData.location}
+                        onChange={(location) =>
+                            setFormData((prev) => ({ ...prev, location }))
+                        }
+                    />
+                </div>
+
                 <div className="form-actions">
                     <button
                         type="button"
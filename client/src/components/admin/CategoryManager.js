@@ -4,11 +4,23 @@ import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import adminService from "../../services/adminService";
 import LoadingSpinner from "../common/LoadingSpinner";
 
+const EMPTY_TRANSLATIONS = { ka: "", ru: "" };
+
+const trimTranslations = (translations) => ({
+    ka: translations.ka.trim(),
+    ru: translations.ru.trim(),
+});
+
 const CategoryManager = () => {
     const [newCategory, setNewCategory] = useState("");
     const [editingId, setEditingId] = useState(null);
     const [editName, setEditName] = useState("");
 
+    // Georgian / Russian display names (English name is the stored value)
+    const [newTranslations, setNewTranslations] = useState(EMPTY_TRANSLATIONS);
+    const [editTranslations, setEditTranslations] =
+        useState(EMPTY_TRANSLATIONS);
+
     // Confirmation dialog state
     const [showConfirmDialog, setShowConfirmDialog] = useState(false);
     const [confirmationData, setConfirmationData] = useState(null);
@@ -35,6 +47,7 @@ const CategoryManager = () => {
             queryClient.invalidateQueries(["admin-categories"]);
             queryClient.invalidateQueries(["categories"]); // Also invalidate public categories
             setNewCategory("");
+            setNewTranslations(EMPTY_TRANSLATIONS);
             alert("Category created successfully");
         },
         onError: (error) => {
@@ -116,13 +129,20 @@ const CategoryManager = () => {
     const handleCreate = (e) => {
         e.preventDefault();
         if (newCategory.trim()) {
-            createMutation.mutate({ name: newCategory.trim() });
+            createMutation.mutate({
+                name: newCategory.trim(),
+                translations: trimTranslations(newTranslations),
+            });
         }
     };
 
     const handleEdit = (category) => {
         setEditingId(category._id);
         setEditName(category.name);
+        setEditTranslations({
+            ka: category.translations?.ka || "",
+            ru: category.translations?.ru || "",
+        });
     };
 
     // Enhanced update with confirmation
@@ -131,6 +151,7 @@ const CategoryManager = () => {
 
         const trimmedName = editName.trim();
         if (!trimmedName) return;
+        const translations = trimTranslations(editTranslations);
 
         // Find the original category
         const originalCategory = categories.find(
@@ -142,7 +163,7 @@ const CategoryManager = () => {
         if (originalCategory.name === trimmedName) {
             updateMutation.mutate({
                 id: editingId,
-                data: { name: trimmedName },
+                data: { name: trimmedName, translations },
             });
             return;
         }
@@ -155,7 +176,7 @@ const CategoryManager = () => {
                 // No businesses affected, update directly
                 updateMutation.mutate({
                     id: editingId,
-                    data: { name: trimmedName },
+                    data: { name: trimmedName, translations },
                 });
             } else {
                 // Show confirmation dialog
@@ -163,6 +184,7 @@ const CategoryManager = () => {
                     categoryId: editingId,
                     oldName: originalCategory.name,
                     newName: trimmedName,
+                    translations,
                     businessCount: countData.businessCount,
                 });
                 setShowConfirmDialog(true);
@@ -181,7 +203,10 @@ const CategoryManager = () => {
         if (confirmationData) {
             updateMutation.mutate({
                 id: confirmationData.categoryId,
-                data: { name: confirmationData.newName },
+                data: {
+                    name: confirmationData.newName,
+                    translations: confirmationData.translations,
+                },
             });
         }
     };
@@ -273,6 +298,32 @@ const CategoryManager = () => {
                         required
                         disabled={createMutation.isPending}
                     />
+                    <input
+                        type="text"
+                        value={newTranslations.ka}
+                        onChange={(e) =>
+                            setNewTranslations({
+                                ...newTranslations,
+                                ka: e.target.value,
+                            })
+                        }
+                        placeholder="Georgian name (optional)"
+                        maxLength={100}
+                        disabled={createMutation.isPending}
+                    />
+                    <input
+                        type="text"
+                        value={newTranslations.ru}
+                        onChange={(e) =>
+                            setNewTranslations({
+                                ...newTranslations,
+                                ru: e.target.value,
+                            })
+                        }
+                        placeholder="Russian name (optional)"
+                        maxLength={100}
+                        disabled={createMutation.isPending}
+                    />
                     <button
                         type="submit"
                         disabled={createMutation.isPending}
@@ -290,6 +341,7 @@ const CategoryManager = () => {
                     <thead>
                         <tr>
                             <th>Name</th>
+                            <th>Translations</th>
                             <th>Status</th>
                             <th>Actions</th>
                         </tr>
@@ -315,6 +367,38 @@ const CategoryManager = () => {
                                                     businessCountQuery.isPending
                                                 }
                                             />
+                                            <input
+                                                type="text"
+                                                value={editTranslations.ka}
+                                                onChange={(e) =>
+                                                    setEditTranslations({
+                                                        ...editTranslations,
+                                                        ka: e.target.value,
+                                                    })
+                                                }
+                                                placeholder="Georgian"
+                                                maxLength={100}
+                                                disabled={
+                                                    updateMutation.isPending ||
+                                                    businessCountQuery.isPending
+                                                }
+                                            />
+                                            <input
+                                                type="text"
+                                                value={editTranslations.ru}
+                                                onChange={(e) =>
+                                                    setEditTranslations({
+                                                        ...editTranslations,
+                                                        ru: e.target.value,
+                                                    })
+                                                }
+                                                placeholder="Russian"
+                                                maxLength={100}
+                                                disabled={
+                                                    updateMutation.isPending ||
+                                                    businessCountQuery.isPending
+                                                }
+                                            />
                                             <button
                                                 type="submit"
                                                 className="btn btn-small btn-primary"
@@ -333,6 +417,9 @@ const CategoryManager = () => {
                                                 onClick={() => {
                                                     setEditingId(null);
                                                     setEditName("");
+                                                    setEditTranslations(
+                                                        EMPTY_TRANSLATIONS
+                                                    );
                                                 }}
                                                 className="btn btn-small btn-secondary"
                                                 disabled={
@@ -347,6 +434,27 @@ const CategoryManager = () => {
                                         category.name
                                     )}
                                 </td>
+                                <td className="category-translations">
+                                    {category.translations?.ka ||
+                                    category.translations?.ru ? (
+                                        <>
+                                            {category.translations?.ka && (
+                                                <div>
+                                                    KA: {category.translations.ka}
+                                                </div>
+                                            )}
+                                            {category.translations?.ru && (
+                                                <div>
+                                                    RU: {category.translations.ru}
+                                                </div>
+                                            )}
+                                        </>
+                                    ) : (
+                                        <span className="category-translations-missing">
+                                            English only
+                                        </span>
+                                    )}
+                                </td>
                                 <td>
                                     <span
                                         className={`status ${
@@ -86,6 +86,14 @@ const DashboardStats = () => {
                 </div>
                 <div className="stat-label">new submissions</div>
             </div>
+
+            <div className="stat-card">
+                <h3>Pending Registrations</h3>
+                <div className="stat-number pending">
+                    {stats?.pendingRegistrations || 0}
+                </div>
+                <div className="stat-label">awaiting email verification</div>
+            </div>
         </div>
     );
 };
@@ -0,0 +1,403 @@
+// client/src/components/admin/EmailOutbox.js
+import React, { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useSearchParams } from "react-router-dom";
+import adminService from "../../services/adminService";
+import authService from "../../services/authService";
+import LoadingSpinner from "../common/LoadingSpinner";
+import "../../styles/admin.css";
+
+const EMPTY_FILTERS = {
+    status: "",
+    category: "",
+    search: "",
+};
+
+const STATUS_OPTIONS = ["queued", "sending", "sent", "failed"];
+
+// Helper: "password_reset" -> "password reset"
+const formatCategory = (category) => category.replace(/_/g, " ");
+
+/**
+ * EmailMessageDetails Component
+ *
+ * Body preview and delivery log of one message, loaded when expanded.
+ * Sensitive messages (sign-in links and codes) come without a body.
+ */
+const EmailMessageDetails = ({ messageId, formatDate }) => {
+    const { data, isLoading, isError } = useQuery({
+        queryKey: ["admin-emails", "message", messageId],
+        queryFn: () => adminService.getEmailMessage(messageId),
+    });
+
+    if (isLoading) return <LoadingSpinner size="small" />;
+    if (isError) {
+        return <div className="report-ip">Unable to load this message.</div>;
+    }
+
+    const { message } = data;
+
+    return (
+        <div className="audit-diff">
+            {message.attemptLog.length === 0 ? (
+                <div className="report-ip">No delivery attempts yet</div>
+            ) : (
+                message.attemptLog.map((attempt, index) => (
+                    <div key={index} className="email-attempt-row">
+                        <span>{formatDate(attempt.at)}</span>
+                        <span className={`email-attempt-${attempt.outcome}`}>
+                            {attempt.outcome}
+                        </span>
+                        <span>
+                            {attempt.error || attempt.messageId}
+                            {" • "}
+                            {attempt.durationMs} ms
+                        </span>
+                    </div>
+                ))
+            )}
+
+            {message.sensitive ? (
+                <div className="email-body-hidden">
+                    Contains a sign-in link or code: the body is not shown.
+                </div>
+            ) : (
+                message.text && (
+                    <pre className="audit-metadata">{message.text}</pre>
+                )
+            )}
+        </div>
+    );
+};
+
+/**
+ * EmailOutbox Component
+ *
+ * Every email the app sends goes through the outbox. Laid out like AuditLog:
+ * - Counts per status and the worker's last run
+ * - Filters by status, category and recipient
+ * - Expandable delivery log per message
+ * - Resend for failed messages (emails:write)
+ */
+const EmailOutbox = () => {
+    const queryClient = useQueryClient();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [draftFilters, setDraftFilters] = useState(EMPTY_FILTERS);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [expandedId, setExpandedId] = useState(null);
+
+    const page = parseInt(searchParams.get("page")) || 1;
+    const canResend = authService.hasPermission("emails:write");
+
+    const { data, isLoading, isError } = useQuery({
+        queryKey: ["admin-emails", page, filters],
+        queryFn: () => adminService.getEmailOutbox({ page, limit: 25, ...filters }),
+        refetchInterval: 30 * 1000,
+    });
+
+    const { data: stats } = useQuery({
+        queryKey: ["admin-emails", "stats"],
+        queryFn: adminService.getEmailOutboxStats,
+        refetchInterval: 30 * 1000,
+    });
+
+    const resendMutation = useMutation({
+        mutationFn: adminService.resendEmailMessage,
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ["admin-emails"] });
+        },
+        onError: (error) => {
+            alert(
+                `Error resending email: ${
+                    error.response?.data?.error || error.message
+                }`
+            );
+        },
+    });
+
+    const setPage = (newPage) => {
+        setSearchParams({ page: newPage.toString() });
+    };
+
+    const updateDraft = (field) => (e) =>
+        setDraftFilters({ ...draftFilters, [field]: e.target.value });
+
+    const applyFilters = () => {
+        setFilters(draftFilters);
+        setPage(1);
+    };
+
+    const clearFilters = () => {
+        setDraftFilters(EMPTY_FILTERS);
+        setFilters(EMPTY_FILTERS);
+        setPage(1);
+    };
+
+    const handleResend = (message) => {
+        if (
+            window.confirm(
+                `Queue "${message.subject}" to ${message.to} again?`
+            )
+        ) {
+            resendMutation.mutate(message._id);
+        }
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString("en-US", {
+            year: "numeric",
+            month: "short",
+            day: "numeric",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+        });
+    };
+
+    if (isLoading) return <LoadingSpinner size="large" />;
+
+    if (isError) {
+        return (
+            <div className="error-state">
+                <h3>Error Loading Email Outbox</h3>
+                <p>Unable to fetch the email outbox. Please try again later.</p>
+                <button onClick={() => window.location.reload()}>Retry</button>
+            </div>
+        );
+    }
+
+    const { messages = [], pagination } = data || {};
+    const hasFilters = Object.values(filters).some(Boolean);
+
+    return (
+        <div className="reports-management">
+            <div className="manage-header">
+                <h2>Email Outbox</h2>
+                {stats && (
+                    <div className="stat-grid">
+                        {STATUS_OPTIONS.map((status) => (
+                            <span key={status} className="stat-item">
+                                <strong>{stats.counts[status]}</strong>{" "}
+                                {status}
+                            </span>
+                        ))}
+                        <span className="stat-item">
+                            Last run:{" "}
+                            {stats.worker.lastRunAt
+                                ? formatDate(stats.worker.lastRunAt)
+                                : "not yet"}
+                        </span>
+                    </div>
+                )}
+            </div>
+
+            {/* Filters Section */}
+            <div className="filters-section">
+                <div className="search-filter">
+                    <input
+                        type="text"
+                        placeholder="Search recipient..."
+                        value={draftFilters.search}
+                        onChange={updateDraft("search")}
+                        onKeyPress={(e) => e.key === "Enter" && applyFilters()}
+                    />
+                    <button onClick={applyFilters} className="btn btn-primary">
+                        Apply
+                    </button>
+                </div>
+
+                <div className="dropdown-filters">
+                    <select
+                        value={draftFilters.status}
+                        onChange={updateDraft("status")}
+                    >
+                        <option value="">All Statuses</option>
+                        {STATUS_OPTIONS.map((status) => (
+                            <option key={status} value={status}>
+                                {status}
+                            </option>
+                        ))}
+                    </select>
+
+                    <select
+                        value={draftFilters.category}
+                        onChange={updateDraft("category")}
+                    >
+                        <option value="">All Categories</option>
+                        {stats?.categories.map((category) => (
+                            <option key={category} value={category}>
+                                {formatCategory(category)}
+                            </option>
+                        ))}
+                    </select>
+
+                    <button
+                        onClick={clearFilters}
+                        className="btn btn-secondary"
+                    >
+                        Clear Filters
+                    </button>
+                </div>
+            </div>
+
+            {/* Messages Table */}
+            <div className="table-container">
+                {messages.length === 0 ? (
+                    <div className="no-results">
+                        <h3>No Messages Found</h3>
+                        <p>
+                            {hasFilters
+                                ? "Try adjusting your filters."
+                                : "No emails have been queued yet."}
+                        </p>
+                    </div>
+                ) : (
+                    <table className="reports-table">
+                        <thead>
+                            <tr>
+                                <th>Queued</th>
+                                <th>Recipient</th>
+                                <th>Subject</th>
+                                <th>Status</th>
+                                <th>Delivery</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {messages.map((message) => {
+                                const isExpanded = expandedId === message._id;
+
+                                return (
+                                    <tr key={message._id}>
+                                        <td>
+                                            <div className="report-date">
+                                                {formatDate(message.createdAt)}
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <div className="business-info">
+                                                <div className="business-name">
+                                                    {message.to}
+                                                </div>
+                                                <div className="business-details">
+                                                    {formatCategory(
+                                                        message.category
+                                                    )}
+                                                </div>
+                                            </div>
+                                        </td>
+                                        <td>{message.subject}</td>
+                                        <td>
+                                            <span
+                                                className={`status email-status-${message.status}`}
+                                            >
+                                                {message.status}
+                                            </span>
+                                            <div className="report-ip">
+                                                {message.attempts}/
+                                                {message.maxAttempts} attempts
+                                                {message.resendCount > 0 &&
+                                                    ` • resent ${message.resendCount}×`}
+                                            </div>
+                                            {message.status === "sent" &&
+                                                message.sentAt && (
+                                                    <div className="report-ip">
+                                                        {formatDate(
+                                                            message.sentAt
+                                                        )}
+                                                    </div>
+                                                )}
+                                            {message.status === "queued" &&
+                                                message.attempts > 0 && (
+                                                    <div className="report-ip">
+                                                        Next try{" "}
+                                                        {formatDate(
+                                                            message.nextAttemptAt
+                                                        )}
+                                                    </div>
+                                                )}
+                                            {message.lastError &&
+                                                message.status !== "sent" && (
+                                                    <div className="email-last-error">
+                                                        {message.lastError}
+                                                    </div>
+                                                )}
+                                        </td>
+                                        <td>
+                                            <div className="action-buttons">
+                                                <button
+                                                    onClick={() =>
+                                                        setExpandedId(
+                                                            isExpanded
+                                                                ? null
+                                                                : message._id
+                                                        )
+                                                    }
+                                                    className="btn btn-info btn-sm"
+                                                >
+                                                    {isExpanded
+                                                        ? "Hide"
+                                                        : "Details"}
+                                                </button>
+                                                {message.status === "failed" &&
+                                                    canResend && (
+                                                        <button
+                                                            onClick={() =>
+                                                                handleResend(
+                                                                    message
+                                                                )
+                                                            }
+                                                            className="btn btn-success btn-sm"
+                                                            disabled={
+                                                                resendMutation.isPending
+                                                            }
+                                                        >
+                                                            Resend
+                                                        </button>
+                                                    )}
+                                            </div>
+
+                                            {isExpanded && (
+                                                <EmailMessageDetails
+                                                    messageId={message._id}
+                                                    formatDate={formatDate}
+                                                />
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {/* Pagination */}
+            {pagination && pagination.totalPages > 1 && (
+                <div className="pagination">
+                    <button
+                        onClick={() => setPage(page - 1)}
+                        disabled={!pagination.hasPrev}
+                        className="btn btn-secondary"
+                    >
+                        Previous
+                    </button>
+
+                    <div className="page-info">
+                        Page {pagination.currentPage} of {pagination.totalPages}{" "}
+                        ({pagination.totalMessages} messages)
+                    </div>
+
+                    <button
+                        onClick={() => setPage(page + 1)}
+                        disabled={!pagination.hasNext}
+                        className="btn btn-secondary"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EmailOutbox;
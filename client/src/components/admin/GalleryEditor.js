@@ -0,0 +1,248 @@
+// client/src/components/admin/GalleryEditor.js
+import React, { useState, useEffect } from "react";
+import adminService from "../../services/adminService";
+import { getImageUrl } from "../../utils/imageHelper";
+
+/**
+ * GalleryEditor Component
+ *
+ * Photo gallery of an existing business (BusinessForm, edit mode). Every
+ * change is saved right away, separately from the form's Update button.
+ * Photos uploaded by the owner show as pending until approved here or in
+ * Ownership Requests.
+ *
+ * Works on its own copy of the photos - refreshing the business query would
+ * reset the unsaved form fields.
+ *
+ * @param {string} businessId
+ * @param {Array} initialPhotos - business.photos
+ */
+const GalleryEditor = ({ businessId, initialPhotos }) => {
+    const [photos, setPhotos] = useState(initialPhotos || []);
+    const [captions, setCaptions] = useState({});
+    const [isUploading, setIsUploading] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        setPhotos(initialPhotos || []);
+    }, [initialPhotos]);
+
+    const showError = (error) =>
+        alert(`Error: ${error.response?.data?.error || error.message}`);
+
+    const handleUpload = async (e) => {
+        const input = e.target;
+        const files = Array.from(input.files || []);
+        if (files.length === 0) return;
+
+        setIsUploading(true);
+        try {
+            const data = await adminService.uploadBusinessPhotos(
+                businessId,
+                files
+            );
+            setPhotos(data.photos);
+        } catch (error) {
+            showError(error);
+        } finally {
+            setIsUploading(false);
+            input.value = "";
+        }
+    };
+
+    const handleMove = async (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= photos.length) return;
+
+        const previous = photos;
+        const reordered = [...photos];
+        [reordered[index], reordered[target]] = [
+            reordered[target],
+            reordered[index],
+        ];
+        setPhotos(reordered);
+
+        try {
+            const data = await adminService.reorderBusinessPhotos(
+                businessId,
+                reordered.map((photo) => photo._id)
+            );
+            setPhotos(data.photos);
+        } catch (error) {
+            setPhotos(previous);
+            showError(error);
+        }
+    };
+
+    const updatePhoto = async (photo, data) => {
+        setBusyId(photo._id);
+        try {
+            const result = await adminService.updateBusinessPhoto(
+                businessId,
+                photo._id,
+                data
+            );
+            setPhotos(result.photos);
+            return true;
+        } catch (error) {
+            showError(error);
+            return false;
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleCaptionSave = async (photo) => {
+        const caption = captions[photo._id];
+        if (caption === undefined || caption.trim() === photo.caption) return;
+
+        if (await updatePhoto(photo, { caption })) {
+            setCaptions(({ [photo._id]: _saved, ...rest }) => rest);
+        }
+    };
+
+    const handleDelete = async (photo) => {
+        const message =
+            photo.status === "pending"
+                ? "Reject this photo? It will be deleted."
+                : "Are you sure you want to delete this photo?";
+        if (!window.confirm(message)) return;
+
+        setBusyId(photo._id);
+        try {
+            const data = await adminService.deleteBusinessPhoto(
+                businessId,
+                photo._id
+            );
+            setPhotos(data.photos);
+        } catch (error) {
+            showError(error);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="gallery-editor">
+            {photos.length > 0 && (
+                <ul className="gallery-editor-list">
+                    {photos.map((photo, index) => (
+                        <li
+                            key={photo._id}
+                            className={`gallery-editor-item ${
+                                photo.status === "pending" ? "pending" : ""
+                            }`}
+                        >
+                            <a
+                                href={getImageUrl(photo.webp, "detail")}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                            >
+                                <img
+                                    src={getImageUrl(photo.webp, "thumbnail")}
+                                    alt={photo.caption || `Photo ${index + 1}`}
+                                    className="gallery-editor-thumb"
+                                />
+                            </a>
+
+                            <div className="gallery-editor-details">
+                                {photo.status === "pending" && (
+                                    <span className="gallery-editor-badge">
+                                        Pending review (uploaded by owner)
+                                    </span>
+                                )}
+                                <input
+                                    type="text"
+                                    placeholder="Caption (optional)"
+                                    maxLength={200}
+                                    value={
+                                        captions[photo._id] ??
+                                        photo.caption ??
+                                        ""
+                                    }
+                                    onChange={(e) =>
+                                        setCaptions((prev) => ({
+                                            ...prev,
+                                            [photo._id]: e.target.value,
+                                        }))
+                                    }
+                                    onBlur={() => handleCaptionSave(photo)}
+                                    onKeyDown={(e) => {
+                                        // Save instead of submitting the form
+                                        if (e.key === "Enter") {
+                                            e.preventDefault();
+                                            e.target.blur();
+                                        }
+                                    }}
+                                    disabled={busyId === photo._id}
+                                />
+                            </div>
+
+                            <div className="gallery-editor-actions">
+                                <button
+                                    type="button"
+                                    className="btn-sm btn-info"
+                                    onClick={() => handleMove(index, -1)}
+                                    disabled={index === 0}
+                                    title="Move up"
+                                >
+                                    ↑
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn-sm btn-info"
+                                    onClick={() => handleMove(index, 1)}
+                                    disabled={index === photos.length - 1}
+                                    title="Move down"
+                                >
+                                    ↓
+                                </button>
+                                {photo.status === "pending" && (
+                                    <button
+                                        type="button"
+                                        className="btn-sm btn-success"
+                                        onClick={() =>
+                                            updatePhoto(photo, {
+                                                status: "approved",
+                                            })
+                                        }
+                                        disabled={busyId === photo._id}
+                                    >
+                                        Approve
+                                    </button>
+                                )}
+                                <button
+                                    type="button"
+                                    className="btn-sm btn-danger"
+                                    onClick={() => handleDelete(photo)}
+                                    disabled={busyId === photo._id}
+                                >
+                                    {photo.status === "pending"
+                                        ? "Reject"
+                                        : "Delete"}
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <label className="gallery-editor-upload">
+                <span>
+                    {isUploading
+                        ? "Uploading and converting photos..."
+                        : `Add photos (${photos.length} in gallery)`}
+                </span>
+                <input
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    onChange={handleUpload}
+                    disabled={isUploading}
+                />
+            </label>
+        </div>
+    );
+};
+
+export default GalleryEditor;
@@ -231,8 +231,8 @@ const ManageBusinesses = () => {
                                         </div>
                                     </div>
                                 </td>
-                                <td>{business.category}</td>
-                                <td>{business.city}</td>
+                                <td>{business.categories?.join(", ")}</td>
+                                <td>{business.cities?.join(", ")}</td>
                                 <td>{business.businessType}</td>
                                 <td>
                                     {/* 🔥 ONLY CHANGE: Update onClick to use new handler */}
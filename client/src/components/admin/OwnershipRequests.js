@@ -0,0 +1,618 @@
+// client/src/components/admin/OwnershipRequests.js
+import React, { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useSearchParams } from "react-router-dom";
+import adminService from "../../services/adminService";
+import authService from "../../services/authService";
+import LoadingSpinner from "../common/LoadingSpinner";
+import { getImageUrl } from "../../utils/imageHelper";
+import "../../styles/admin.css";
+
+const STATUS_OPTIONS = {
+    claims: ["pending", "approved", "rejected", "all"],
+    edits: ["pending", "approved", "rejected", "withdrawn", "all"],
+};
+
+const EMPTY_LABELS = {
+    claims: "ownership claims",
+    edits: "edit requests",
+    photos: "gallery photos",
+};
+
+const VERIFICATION_LABELS = {
+    submitter_email: "Submitter email match",
+    admin_review: "Admin review",
+};
+
+const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+
+/**
+ * OwnershipRequests Component
+ *
+ * Review queue for the business owner flow, laid out like ReportsManagement:
+ * - Claims tab: approve/reject ownership claims, remove an owner
+ * - Edits tab: before/after diff of owner-proposed changes; fields an admin
+ *   changed after the owner proposed the edit are flagged as stale, and
+ *   such edits can only be rejected
+ * - Photos tab: gallery photos uploaded by owners, oldest first
+ */
+const OwnershipRequests = () => {
+    const queryClient = useQueryClient();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [activeTab, setActiveTab] = useState("claims");
+    const [status, setStatus] = useState("pending");
+
+    const page = parseInt(searchParams.get("page")) || 1;
+    const canWrite = authService.hasPermission("businesses:write");
+
+    const { data: stats } = useQuery({
+        queryKey: ["admin-owners", "stats"],
+        queryFn: adminService.getOwnerStats,
+    });
+
+    const { data, isLoading, isError } = useQuery({
+        queryKey: ["admin-owners", activeTab, status, page],
+        queryFn: () => {
+            if (activeTab === "photos") {
+                return adminService.getPendingPhotos({ page });
+            }
+            return activeTab === "claims"
+                ? adminService.getOwnershipClaims({ page, status })
+                : adminService.getOwnerEdits({ page, status });
+        },
+    });
+
+    const onMutationSuccess = (result) => {
+        queryClient.invalidateQueries({ queryKey: ["admin-owners"] });
+        alert(result.message);
+    };
+
+    const onMutationError = (error) => {
+        // Conflicting edits: reload so the changed fields get flagged
+        if (error.response?.status === 409) {
+            queryClient.invalidateQueries({ queryKey: ["admin-owners"] });
+        }
+        alert(`Error: ${error.response?.data?.error || error.message}`);
+    };
+
+    const claimMutation = useMutation({
+        mutationFn: ({ id, status, rejectionReason }) =>
+            adminService.updateClaimStatus(id, status, rejectionReason),
+        onSuccess: onMutationSuccess,
+        onError: onMutationError,
+    });
+
+    const editMutation = useMutation({
+        mutationFn: ({ id, status, rejectionReason }) =>
+            adminService.updateOwnerEditStatus(id, status, rejectionReason),
+        onSuccess: onMutationSuccess,
+        onError: onMutationError,
+    });
+
+    const removeOwnerMutation = useMutation({
+        mutationFn: adminService.removeBusinessOwner,
+        onSuccess: onMutationSuccess,
+        onError: onMutationError,
+    });
+
+    // Approving publishes the photo, rejecting deletes it
+    const photoMutation = useMutation({
+        mutationFn: async ({ businessId, photoId, approve }) => {
+            if (!approve) {
+                return adminService.deleteBusinessPhoto(businessId, photoId);
+            }
+            await adminService.updateBusinessPhoto(businessId, photoId, {
+                status: "approved",
+            });
+            return { message: "Photo approved" };
+        },
+        onSuccess: onMutationSuccess,
+        onError: onMutationError,
+    });
+
+    const isMutating =
+        claimMutation.isPending ||
+        editMutation.isPending ||
+        removeOwnerMutation.isPending ||
+        photoMutation.isPending;
+
+    const setPage = (newPage) => {
+        setSearchParams({ page: newPage.toString() });
+    };
+
+    const switchTab = (tab) => {
+        setActiveTab(tab);
+        setStatus("pending");
+        setPage(1);
+    };
+
+    // Approve directly, reject with a required reason
+    const review = (mutation, id, newStatus) => {
+        if (newStatus === "approved") {
+            mutation.mutate({ id, status: newStatus });
+            return;
+        }
+
+        const rejectionReason = prompt("Reason for rejection:");
+        if (rejectionReason?.trim()) {
+            mutation.mutate({ id, status: newStatus, rejectionReason });
+        }
+    };
+
+    const handleRemoveOwner = (business) => {
+        if (
+            window.confirm(
+                `Remove the owner from "${business.businessName}"? Their pending edits will be rejected.`
+            )
+        ) {
+            removeOwnerMutation.mutate(business._id);
+        }
+    };
+
+    const renderReviewButtons = (mutation, item) =>
+        canWrite &&
+        item.status === "pending" && (
+            <div className="action-buttons">
+                <button
+                    onClick={() => review(mutation, item._id, "approved")}
+                    className="btn btn-success btn-sm"
+                    disabled={isMutating || item.staleFields?.length > 0}
+                    title={
+                        item.staleFields?.length > 0
+                            ? "The live listing changed since this edit was proposed - reject it so the owner can propose again"
+                            : undefined
+                    }
+                >
+                    Approve
+                </button>
+                <button
+                    onClick={() => review(mutation, item._id, "rejected")}
+                    className="btn btn-danger btn-sm"
+                    disabled={isMutating}
+                >
+                    Reject
+                </button>
+            </div>
+        );
+
+    const renderReviewInfo = (item) =>
+        item.status !== "pending" && (
+            <div className="report-ip">
+                {item.status}
+                {item.reviewedBy && ` by ${item.reviewedBy.username}`}
+                {item.reviewedAt && ` • ${formatDate(item.reviewedAt)}`}
+                {item.rejectionReason && (
+                    <div className="owner-rejection">
+                        {item.rejectionReason}
+                    </div>
+                )}
+            </div>
+        );
+
+    const handlePhotoReview = (item, approve) => {
+        if (
+            !approve &&
+            !window.confirm("Reject this photo? It will be deleted.")
+        ) {
+            return;
+        }
+        photoMutation.mutate({
+            businessId: item.business._id,
+            photoId: item.photo._id,
+            approve,
+        });
+    };
+
+    const renderClaims = (claims) => (
+        <table className="reports-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>User</th>
+                    <th>Business</th>
+                    <th>Message</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                {claims.map((claim) => (
+                    <tr key={claim._id}>
+                        <td>
+                            <div className="report-date">
+                                {formatDate(claim.createdAt)}
+                            </div>
+                            <div className="report-ip">
+                                {VERIFICATION_LABELS[claim.verificationMethod]}
+                            </div>
+                        </td>
+                        <td>
+                            <div className="business-info">
+                                <div className="business-name">
+                                    {claim.user?.name || "Deleted user"}
+                                </div>
+                                <div className="business-details">
+                                    {claim.user?.email}
+                                </div>
+                            </div>
+                        </td>
+                        <td>
+                            <div className="business-info">
+                                <div className="business-name">
+                                    {claim.business?.businessName ||
+                                        "Deleted business"}
+                                </div>
+                                <div className="business-id">
+                                    {claim.business?.businessId}
+                                    {claim.business?.cities?.length > 0 &&
+                                        ` • ${claim.business.cities.join(", ")}`}
+                                </div>
+                                {canWrite &&
+                                    claim.status === "approved" &&
+                                    claim.business?.owner === claim.user?._id && (
+                                        <button
+                                            onClick={() =>
+                                                handleRemoveOwner(
+                                                    claim.business
+                                                )
+                                            }
+                                            className="btn btn-warning btn-sm"
+                                            disabled={isMutating}
+                                        >
+                                            Remove Owner
+                                        </button>
+                                    )}
+                            </div>
+                        </td>
+                        <td className="description-cell">
+                            {claim.message ? (
+                                <div className="description-text">
+                                    {claim.message}
+                                </div>
+                            ) : (
+                                <span className="no-description">
+                                    No message
+                                </span>
+                            )}
+                        </td>
+                        <td>
+                            {renderReviewButtons(claimMutation, claim)}
+                            {renderReviewInfo(claim)}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+
+    const renderEdits = (editRequests) => (
+        <table className="reports-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Owner</th>
+                    <th>Business</th>
+                    <th>Changes</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                {editRequests.map((request) => (
+                    <tr key={request._id}>
+                        <td>
+                            <div className="report-date">
+                                {formatDate(request.updatedAt)}
+                            </div>
+                        </td>
+                        <td>
+                            <div className="business-info">
+                                <div className="business-name">
+                                    {request.owner?.name || "Deleted user"}
+                                </div>
+                                <div className="business-details">
+                                    {request.owner?.email}
+                                </div>
+                            </div>
+                        </td>
+                        <td>
+                            <div className="business-info">
+                                <div className="business-name">
+                                    {request.business?.businessName ||
+                                        "Deleted business"}
+                                </div>
+                                <div className="business-id">
+                                    {request.business?.businessId}
+                                </div>
+                            </div>
+                        </td>
+                        <td>
+                            <div className="audit-diff">
+                                {request.changes.map((change) => {
+                                    const isStale =
+                                        request.staleFields.includes(
+                                            change.field
+                                        );
+
+                                    return (
+                                        <div
+                                            key={change.field}
+                                            className={`audit-diff-row${
+                                                isStale ? " owner-stale" : ""
+                                            }`}
+                                            title={
+                                                isStale
+                                                    ? "The live listing changed since this edit was proposed"
+                                                    : undefined
+                                            }
+                                        >
+                                            <strong>
+                                                {change.field}
+                                                {isStale && " ⚠️"}
+                                            </strong>
+                                            <span className="audit-diff-before">
+                                                {change.before || "—"}
+                                            </span>
+                                            <span className="audit-diff-after">
+                                                {change.after || "—"}
+                                            </span>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                            {request.note && (
+                                <div className="admin-notes">
+                                    Note: {request.note}
+                                </div>
+                            )}
+                        </td>
+                        <td>
+                            {renderReviewButtons(editMutation, request)}
+                            {renderReviewInfo(request)}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+
+    const renderPhotos = (photos) => (
+        <table className="reports-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Owner</th>
+                    <th>Business</th>
+                    <th>Photo</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                {photos.map((item) => (
+                    <tr key={item.photo._id}>
+                        <td>
+                            <div className="report-date">
+                                {formatDate(item.photo.createdAt)}
+                            </div>
+                        </td>
+                        <td>
+                            <div className="business-info">
+                                <div className="business-name">
+                                    {item.uploadedBy?.name || "Deleted user"}
+                                </div>
+                                <div className="business-details">
+                                    {item.uploadedBy?.email}
+                                </div>
+                            </div>
+                        </td>
+                        <td>
+                            <div className="business-info">
+                                <div className="business-name">
+                                    {item.business.businessName}
+                                </div>
+                                <div className="business-id">
+                                    {item.business.businessId}
+                                </div>
+                            </div>
+                        </td>
+                        <td className="description-cell">
+                            <a
+                                href={getImageUrl(item.photo.webp, "detail")}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                            >
+                                <img
+                                    src={getImageUrl(
+                                        item.photo.webp,
+                                        "thumbnail"
+                                    )}
+                                    alt={item.photo.caption || "Pending photo"}
+                                    className="gallery-editor-thumb"
+                                />
+                            </a>
+                            {item.photo.caption && (
+                                <div className="description-text">
+                                    {item.photo.caption}
+                                </div>
+                            )}
+                        </td>
+                        <td>
+                            {canWrite && (
+                                <div className="action-buttons">
+                                    <button
+                                        onClick={() =>
+                                            handlePhotoReview(item, true)
+                                        }
+                                        className="btn btn-success btn-sm"
+                                        disabled={isMutating}
+                                    >
+                                        Approve
+                                    </button>
+                                    <button
+                                        onClick={() =>
+                                            handlePhotoReview(item, false)
+                                        }
+                                        className="btn btn-danger btn-sm"
+                                        disabled={isMutating}
+                                    >
+                                        Reject
+                                    </button>
+                                </div>
+                            )}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+
+    if (isError) {
+        return (
+            <div className="error-state">
+                <h3>Error Loading Owner Requests</h3>
+                <p>Unable to fetch owner requests. Please try again later.</p>
+                <button onClick={() => window.location.reload()}>Retry</button>
+            </div>
+        );
+    }
+
+    const items =
+        {
+            claims: data?.claims,
+            edits: data?.editRequests,
+            photos: data?.photos,
+        }[activeTab] || [];
+    const pagination = data?.pagination;
+
+    return (
+        <div className="reports-management">
+            <div className="manage-header">
+                <h2>Owner Requests</h2>
+                <div className="reports-summary">
+                    <span>
+                        Owned listings: {stats?.ownedListings ?? "—"}
+                    </span>
+                </div>
+            </div>
+
+            <div className="owner-tabs">
+                <button
+                    onClick={() => switchTab("claims")}
+                    className={`btn ${
+                        activeTab === "claims" ? "btn-primary" : "btn-secondary"
+                    }`}
+                >
+                    Claims
+                    {stats?.pendingClaims > 0 && (
+                        <span className="owner-tab-count">
+                            {stats.pendingClaims}
+                        </span>
+                    )}
+                </button>
+                <button
+                    onClick={() => switchTab("edits")}
+                    className={`btn ${
+                        activeTab === "edits" ? "btn-primary" : "btn-secondary"
+                    }`}
+                >
+                    Edits
+                    {stats?.pendingEdits > 0 && (
+                        <span className="owner-tab-count">
+                            {stats.pendingEdits}
+                        </span>
+                    )}
+                </button>
+                <button
+                    onClick={() => switchTab("photos")}
+                    className={`btn ${
+                        activeTab === "photos" ? "btn-primary" : "btn-secondary"
+                    }`}
+                >
+                    Photos
+                    {stats?.pendingPhotos > 0 && (
+                        <span className="owner-tab-count">
+                            {stats.pendingPhotos}
+                        </span>
+                    )}
+                </button>
+            </div>
+
+            {/* Approved photos join the gallery and rejected ones are deleted,
+                so the photos tab only lists pending uploads */}
+            {activeTab !== "photos" && (
+                <div className="filters-section">
+                    <div className="dropdown-filters">
+                        <select
+                            value={status}
+                            onChange={(e) => {
+                                setStatus(e.target.value);
+                                setPage(1);
+                            }}
+                        >
+                            {STATUS_OPTIONS[activeTab].map((option) => (
+                                <option key={option} value={option}>
+                                    {option === "all"
+                                        ? "All Statuses"
+                                        : option.charAt(0).toUpperCase() +
+                                          option.slice(1)}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+            )}
+
+            <div className="table-container">
+                {isLoading ? (
+                    <LoadingSpinner size="large" />
+                ) : items.length === 0 ? (
+                    <div className="no-results">
+                        <h3>Nothing to Review</h3>
+                        <p>
+                            No {status === "all" ? "" : `${status} `}
+                            {EMPTY_LABELS[activeTab]}.
+                        </p>
+                    </div>
+                ) : activeTab === "claims" ? (
+                    renderClaims(items)
+                ) : activeTab === "edits" ? (
+                    renderEdits(items)
+                ) : (
+                    renderPhotos(items)
+                )}
+            </div>
+
+            {pagination && pagination.totalPages > 1 && (
+                <div className="pagination">
+                    <button
+                        onClick={() => setPage(page - 1)}
+                        disabled={!pagination.hasPrev}
+                        className="btn btn-secondary"
+                    >
+                        Previous
+                    </button>
+
+                    <div className="page-info">
+                        Page {pagination.currentPage} of {pagination.totalPages}{" "}
+                        ({pagination.totalItems} items)
+                    </div>
+
+                    <button
+                        onClick={() => setPage(page + 1)}
+                        disabled={!pagination.hasNext}
+                        className="btn btn-secondary"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OwnershipRequests;
@@ -36,10 +36,10 @@ const RecentActivity = () => {
                                 <strong>{business.businessName}</strong>
                                 <div className="activity-meta">
                                     <span className="category">
-                                        {business.category}
+                                        {business.categories?.join(", ")}
                                     </span>
                                     <span className="city">
-                                        {business.city}
+                                        {business.cities?.join(", ")}
                                     </span>
                                     {business.verified && (
                                         <span className="verified-tag">✓</span>
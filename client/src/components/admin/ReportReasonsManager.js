@@ -0,0 +1,416 @@
+// client/src/components/admin/ReportReasonsManager.js
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import adminService from "../../services/adminService";
+import LoadingSpinner from "../common/LoadingSpinner";
+import "../../styles/admin.css";
+
+// Lowest first (SEVERITY_LEVELS in server/models/ReportReason.js)
+export const SEVERITY_OPTIONS = [
+    { value: "low", label: "Low" },
+    { value: "medium", label: "Medium" },
+    { value: "high", label: "High" },
+    { value: "critical", label: "Critical" },
+];
+
+const EMPTY_FORM = {
+    key: "",
+    label: "",
+    description: "",
+    severity: "medium",
+    requiresText: false,
+    sortOrder: 0,
+};
+
+// "Business closed" -> "business-closed"
+const toKey = (label) =>
+    label
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 50);
+
+/**
+ * ReportReasonsManager Component
+ *
+ * The issue types visitors can pick in the report dialog: add, edit,
+ * reorder (sort order), activate/deactivate and delete unused ones.
+ * Reports are listed most severe first in Reports Management.
+ */
+const ReportReasonsManager = () => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const queryClient = useQueryClient();
+
+    const {
+        data: reasons = [],
+        isLoading,
+        isError,
+    } = useQuery({
+        queryKey: ["admin-report-reasons"],
+        queryFn: adminService.getReportReasons,
+    });
+
+    const invalidate = () => {
+        queryClient.invalidateQueries({ queryKey: ["admin-report-reasons"] });
+        queryClient.invalidateQueries({ queryKey: ["report-reasons"] });
+    };
+
+    const handleMutationError = (action) => (error) => {
+        const details = error.response?.data?.details;
+        alert(
+            `Error ${action}: ${error.response?.data?.error || error.message}${
+                Array.isArray(details) ? `\n\n${details.join("\n")}` : ""
+            }`
+        );
+    };
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+    };
+
+    const saveMutation = useMutation({
+        mutationFn: ({ id, data }) =>
+            id
+                ? adminService.updateReportReason(id, data)
+                : adminService.createReportReason(data),
+        onSuccess: (response) => {
+            invalidate();
+            queryClient.invalidateQueries({ queryKey: ["admin-reports"] });
+            resetForm();
+            alert(
+                response.reprioritized
+                    ? `Reason saved. ${response.reprioritized} pending report(s) re-prioritized.`
+                    : "Reason saved"
+            );
+        },
+        onError: handleMutationError("saving reason"),
+    });
+
+    const toggleMutation = useMutation({
+        mutationFn: adminService.toggleReportReason,
+        onSuccess: invalidate,
+        onError: handleMutationError("updating reason"),
+    });
+
+    const deleteMutation = useMutation({
+        mutationFn: adminService.deleteReportReason,
+        onSuccess: (response) => {
+            invalidate();
+            alert(response.message);
+        },
+        onError: handleMutationError("deleting reason"),
+    });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        const data = {
+            label: form.label.trim(),
+            description: form.description.trim(),
+            severity: form.severity,
+            requiresText: form.requiresText,
+            sortOrder: Number(form.sortOrder) || 0,
+        };
+        if (!editingId) {
+            data.key = form.key.trim() || toKey(form.label);
+        }
+
+        saveMutation.mutate({ id: editingId, data });
+    };
+
+    const handleEdit = (reason) => {
+        setEditingId(reason._id);
+        setForm({
+            key: reason.key,
+            label: reason.label,
+            description: reason.description || "",
+            severity: reason.severity,
+            requiresText: reason.requiresText,
+            sortOrder: reason.sortOrder,
+        });
+    };
+
+    const handleDelete = (reason) => {
+        if (
+            window.confirm(
+                `Delete the reason "${reason.label}"?\n\nThis action cannot be undone.`
+            )
+        ) {
+            deleteMutation.mutate(reason._id);
+        }
+    };
+
+    if (isLoading) return <LoadingSpinner size="large" />;
+
+    if (isError) {
+        return (
+            <div className="error-state">
+                <h3>Error Loading Report Reasons</h3>
+                <p>Unable to fetch report reasons. Please try again later.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="category-manager report-reasons">
+            <div className="category-manager-header">
+                <h2>🚩 Report Reasons</h2>
+                <p>
+                    Issue types visitors can choose when reporting a listing.{" "}
+                    <Link to="/admin/reports">Back to reports</Link>
+                </p>
+            </div>
+
+            <div className="category-info-panel">
+                <div className="info-card">
+                    <h4>📋 How reasons work</h4>
+                    <ul>
+                        <li>
+                            <strong>Severity:</strong> reports are listed most
+                            severe first
+                        </li>
+                        <li>
+                            <strong>Text required:</strong> the reporter has to
+                            describe the issue
+                        </li>
+                        <li>
+                            <strong>Key:</strong> stored on reports, cannot be
+                            changed later
+                        </li>
+                        <li>
+                            <strong>Delete:</strong> only possible while no
+                            report uses the reason - deactivate it otherwise
+                        </li>
+                    </ul>
+                </div>
+                <div className="info-card">
+                    <h4>📊 Quick Stats</h4>
+                    <div className="stat-grid">
+                        <span className="stat-item">
+                            <strong>
+                                {reasons.filter((r) => r.isActive).length}
+                            </strong>{" "}
+                            Active
+                        </span>
+                        <span className="stat-item">
+                            <strong>
+                                {reasons.filter((r) => !r.isActive).length}
+                            </strong>{" "}
+                            Inactive
+                        </span>
+                        <span className="stat-item">
+                            <strong>{reasons.length}</strong> Total
+                        </span>
+                    </div>
+                </div>
+            </div>
+
+            {/* Add / Edit Reason */}
+            <div className="add-category">
+                <h3>{editingId ? `Edit "${form.key}"` : "Add Reason"}</h3>
+                <form onSubmit={handleSubmit} className="report-reason-form">
+                    <input
+                        type="text"
+                        value={form.label}
+                        onChange={(e) =>
+                            setForm({ ...form, label: e.target.value })
+                        }
+                        placeholder="Label, e.g. Wrong phone number"
+                        maxLength={60}
+                        required
+                        disabled={saveMutation.isPending}
+                    />
+                    {!editingId && (
+                        <input
+                            type="text"
+                            value={form.key}
+                            onChange={(e) =>
+                                setForm({ ...form, key: e.target.value })
+                            }
+                            placeholder={
+                                form.label
+                                    ? `Key (${toKey(form.label)})`
+                                    : "Key (from the label)"
+                            }
+                            maxLength={50}
+                            pattern="[a-z0-9]+(-[a-z0-9]+)*"
+                            title="Lowercase letters, digits and dashes"
+                            disabled={saveMutation.isPending}
+                        />
+                    )}
+                    <input
+                        type="text"
+                        value={form.description}
+                        onChange={(e) =>
+                            setForm({ ...form, description: e.target.value })
+                        }
+                        placeholder="Help text (optional)"
+                        maxLength={200}
+                        disabled={saveMutation.isPending}
+                    />
+                    <select
+                        value={form.severity}
+                        onChange={(e) =>
+                            setForm({ ...form, severity: e.target.value })
+                        }
+                        disabled={saveMutation.isPending}
+                        title="Severity"
+                    >
+                        {SEVERITY_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>
+                                {option.label}
+                            </option>
+                        ))}
+                    </select>
+                    <input
+                        type="number"
+                        value={form.sortOrder}
+                        onChange={(e) =>
+                            setForm({ ...form, sortOrder: e.target.value })
+                        }
+                        title="Sort order (ascending)"
+                        className="report-reason-order"
+                        disabled={saveMutation.isPending}
+                    />
+                    <label className="reported-only-toggle">
+                        <input
+                            type="checkbox"
+                            checked={form.requiresText}
+                            onChange={(e) =>
+                                setForm({
+                                    ...form,
+                                    requiresText: e.target.checked,
+                                })
+                            }
+                            disabled={saveMutation.isPending}
+                        />
+                        Text required
+                    </label>
+                    <button
+                        type="submit"
+                        disabled={saveMutation.isPending}
+                        className="btn btn-primary"
+                    >
+                        {saveMutation.isPending
+                            ? "Saving..."
+                            : editingId
+                            ? "Save"
+                            : "Add"}
+                    </button>
+                    {editingId && (
+                        <button
+                            type="button"
+                            onClick={resetForm}
+                            className="btn btn-secondary"
+                            disabled={saveMutation.isPending}
+                        >
+                            Cancel
+                        </button>
+                    )}
+                </form>
+            </div>
+
+            {/* Existing Reasons */}
+            <div className="categories-list">
+                <h3>Existing Reasons</h3>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Order</th>
+                            <th>Reason</th>
+                            <th>Severity</th>
+                            <th>Text</th>
+                            <th>Reports</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {reasons.map((reason) => (
+                            <tr key={reason._id}>
+                                <td>{reason.sortOrder}</td>
+                                <td>
+                                    <div className="business-name">
+                                        {reason.label}
+                                    </div>
+                                    {reason.description && (
+                                        <div className="business-details">
+                                            {reason.description}
+                                        </div>
+                                    )}
+                                    <div className="business-id">
+                                        {reason.key}
+                                    </div>
+                                </td>
+                                <td>
+                                    <span
+                                        className={`severity-badge severity-${reason.severity}`}
+                                    >
+                                        {reason.severity}
+                                    </span>
+                                </td>
+                                <td>
+                                    {reason.requiresText
+                                        ? "Required"
+                                        : "Optional"}
+                                </td>
+                                <td>{reason.reportCount}</td>
+                                <td>
+                                    <span
+                                        className={`status ${
+                                            reason.isActive
+                                                ? "active"
+                                                : "inactive"
+                                        }`}
+                                    >
+                                        {reason.isActive
+                                            ? "Active"
+                                            : "Inactive"}
+                                    </span>
+                                </td>
+                                <td className="actions">
+                                    <button
+                                        onClick={() => handleEdit(reason)}
+                                        className="btn btn-small btn-secondary"
+                                        disabled={editingId === reason._id}
+                                    >
+                                        Edit
+                                    </button>
+                                    <button
+                                        onClick={() =>
+                                            toggleMutation.mutate(reason._id)
+                                        }
+                                        className={`btn btn-small ${
+                                            reason.isActive
+                                                ? "btn-warning"
+                                                : "btn-success"
+                                        }`}
+                                        disabled={toggleMutation.isPending}
+                                    >
+                                        {reason.isActive
+                                            ? "Deactivate"
+                                            : "Activate"}
+                                    </button>
+                                    {reason.reportCount === 0 && (
+                                        <button
+                                            onClick={() => handleDelete(reason)}
+                                            className="btn btn-small btn-danger"
+                                            disabled={deleteMutation.isPending}
+                                        >
+                                            Delete
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default ReportReasonsManager;
@@ -1,11 +1,18 @@
 // client/src/components/admin/ReportsManagement.js
 import React, { useState } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
-import { useSearchParams } from "react-router-dom";
+import { Link, useSearchParams } from "react-router-dom";
 import adminService from "../../services/adminService";
 import LoadingSpinner from "../common/LoadingSpinner";
+import { SEVERITY_OPTIONS } from "./ReportReasonsManager";
 import "../../styles/admin.css";
 
+// report.autoActions[].type -> label (services/reportAutomationService.js)
+const AUTO_ACTION_LABELS = {
+    image_check: "Image check",
+    listing_hidden: "Auto-hidden",
+};
+
 /**
  * ReportsManagement Component
  *
@@ -16,6 +23,12 @@ import "../../styles/admin.css";
  * - Consistent table layout and styling
  * - Status updates with optimistic UI
  * - Proper error handling and loading states
+ *
+ * Reports are listed most severe first (report.priority, from the severity
+ * of their reasons - see ReportReasonsManager) unless sorted by date.
+ * Actions taken by the server's report rules (image check, auto-hiding a
+ * listing reported closed) are listed under each report; hidden listings
+ * can be restored from here.
  */
 const ReportsManagement = () => {
     const [searchParams, setSearchParams] = useSearchParams();
@@ -23,6 +36,8 @@ const ReportsManagement = () => {
     const [searchQuery, setSearchQuery] = useState("");
     const [statusFilter, setStatusFilter] = useState("");
     const [issueTypeFilter, setIssueTypeFilter] = useState("");
+    const [autoActionFilter, setAutoActionFilter] = useState("");
+    const [sortOrder, setSortOrder] = useState("priority");
 
     const page = parseInt(searchParams.get("page")) || 1;
     const queryClient = useQueryClient();
@@ -35,6 +50,8 @@ const ReportsManagement = () => {
             searchQuery,
             statusFilter,
             issueTypeFilter,
+            autoActionFilter,
+            sortOrder,
         ],
         queryFn: () =>
             adminService.getReports({
@@ -42,14 +59,29 @@ const ReportsManagement = () => {
                 search: searchQuery,
                 status: statusFilter,
                 issueType: issueTypeFilter,
+                autoAction: autoActionFilter,
+                sort: sortOrder,
                 limit: 15,
             }),
     });
 
+    // Reason labels for the stored keys and the issue type filter
+    const { data: reasons = [] } = useQuery({
+        queryKey: ["admin-report-reasons"],
+        queryFn: adminService.getReportReasons,
+    });
+    const reasonLabels = Object.fromEntries(
+        reasons.map((reason) => [reason.key, reason.label])
+    );
+
     // Update report status mutation
     const updateStatusMutation = useMutation({
-        mutationFn: ({ id, status, adminNotes }) =>
-            adminService.updateReportStatus(id, { status, adminNotes }),
+        mutationFn: ({ id, status, adminNotes, outcomeMessage }) =>
+            adminService.updateReportStatus(id, {
+                status,
+                adminNotes,
+                outcomeMessage,
+            }),
         onSuccess: () => {
             queryClient.invalidateQueries(["admin-reports"]);
         },
@@ -78,6 +110,25 @@ const ReportsManagement = () => {
         },
     });
 
+    // Restore a listing hidden by the auto-hide rule
+    const restoreMutation = useMutation({
+        mutationFn: ({ businessId, adminNotes }) =>
+            adminService.restoreReportedBusiness(businessId, adminNotes),
+        onSuccess: (data) => {
+            queryClient.invalidateQueries(["admin-reports"]);
+            alert(
+                `Listing restored. ${data.dismissedReports} pending report(s) dismissed.`
+            );
+        },
+        onError: (error) => {
+            alert(
+                `Error restoring listing: ${
+                    error.response?.data?.error || error.message
+                }`
+            );
+        },
+    });
+
     // Pagination handler (following your URL-based pattern)
     const setPage = (newPage) => {
         setSearchParams({ page: newPage.toString() });
@@ -95,25 +146,43 @@ const ReportsManagement = () => {
         setSearchQuery("");
         setStatusFilter("");
         setIssueTypeFilter("");
+        setAutoActionFilter("");
+        setSortOrder("priority");
         setPage(1);
     };
 
     // Handle status update
-    const handleStatusUpdate = async (reportId, newStatus) => {
+    const handleStatusUpdate = async (report, newStatus) => {
         const adminNotes = prompt(
             `${
                 newStatus === "resolved" ? "Resolve" : "Dismiss"
             } this report?\n\nOptional admin notes:`
         );
 
-        if (adminNotes !== null) {
-            // User didn't cancel
-            updateStatusMutation.mutate({
-                id: reportId,
-                status: newStatus,
-                adminNotes: adminNotes.trim(),
-            });
+        if (adminNotes === null) return; // User cancelled
+
+        // Reporters see the outcome on their status page, and by email if
+        // they left an address
+        let outcomeMessage = "";
+        if (newStatus !== "pending" && report.statusToken) {
+            outcomeMessage = prompt(
+                `Optional message for the reporter${
+                    newStatus === "dismissed" ? " (why nothing changes)" : ""
+                }.\n\nShown on their status page${
+                    report.reporterEmail
+                        ? ` and emailed to ${report.reporterEmail}`
+                        : ""
+                }:`
+            );
+            if (outcomeMessage === null) return;
         }
+
+        updateStatusMutation.mutate({
+            id: report._id,
+            status: newStatus,
+            adminNotes: adminNotes.trim(),
+            outcomeMessage: outcomeMessage.trim(),
+        });
     };
 
     // Handle delete
@@ -127,6 +196,20 @@ const ReportsManagement = () => {
         }
     };
 
+    // Handle restoring an auto-hidden listing
+    const handleRestore = (business) => {
+        const adminNotes = prompt(
+            `Show "${business.businessName}" in the directory again?\n\nIts pending "no longer exists" reports will be dismissed.\n\nOptional admin notes:`
+        );
+
+        if (adminNotes !== null) {
+            restoreMutation.mutate({
+                businessId: business._id,
+                adminNotes: adminNotes.trim(),
+            });
+        }
+    };
+
     // Format date for display
     const formatDate = (dateString) => {
         return new Date(dateString).toLocaleDateString("en-US", {
@@ -170,8 +253,18 @@ const ReportsManagement = () => {
         <div className="reports-management">
             <div className="manage-header">
                 <h2>Reports Management</h2>
-                <div className="reports-summary">
-                    <span>Total: {pagination?.totalReports || 0} reports</span>
+                <div className="reports-header-actions">
+                    <div className="reports-summary">
+                        <span>
+                            Total: {pagination?.totalReports || 0} reports
+                        </span>
+                    </div>
+                    <Link
+                        to="/admin/reports/reasons"
+                        className="btn btn-secondary btn-sm"
+                    >
+                        Manage Reasons
+                    </Link>
                 </div>
             </div>
 
@@ -206,11 +299,31 @@ const ReportsManagement = () => {
                         onChange={(e) => setIssueTypeFilter(e.target.value)}
                     >
                         <option value="">All Issue Types</option>
-                        <option value="Broken Image">Broken Image</option>
-                        <option value="Business No Longer Exists">
-                            Business No Longer Exists
+                        {reasons.map((reason) => (
+                            <option key={reason.key} value={reason.key}>
+                                {reason.label}
+                                {reason.isActive ? "" : " (inactive)"}
+                            </option>
+                        ))}
+                    </select>
+
+                    <select
+                        value={autoActionFilter}
+                        onChange={(e) => setAutoActionFilter(e.target.value)}
+                    >
+                        <option value="">All Auto Actions</option>
+                        <option value="image_check">Image checked</option>
+                        <option value="listing_hidden">
+                            Listing auto-hidden
                         </option>
-                        <option value="Other Issue">Other Issue</option>
+                    </select>
+
+                    <select
+                        value={sortOrder}
+                        onChange={(e) => setSortOrder(e.target.value)}
+                    >
+                        <option value="priority">Most severe first</option>
+                        <option value="newest">Newest first</option>
                     </select>
 
                     <button
@@ -228,7 +341,10 @@ const ReportsManagement = () => {
                     <div className="no-results">
                         <h3>No Reports Found</h3>
                         <p>
-                            {searchQuery || statusFilter || issueTypeFilter
+                            {searchQuery ||
+                            statusFilter ||
+                            issueTypeFilter ||
+                            autoActionFilter
                                 ? "Try adjusting your filters or search terms."
                                 : "No reports have been submitted yet."}
                         </p>
@@ -264,24 +380,49 @@ const ReportsManagement = () => {
                                                     "Unknown Business"}
                                             </div>
                                             <div className="business-details">
-                                                {report.businessId?.category} •{" "}
-                                                {report.businessId?.city}
+                                                {report.businessId?.categories?.join(", ")} •{" "}
+                                                {report.businessId?.cities?.join(", ")}
                                             </div>
                                             <div className="business-id">
                                                 ID:{" "}
                                                 {report.businessId?.businessId}
                                             </div>
+                                            {report.businessId?.hiddenAt && (
+                                                <span
+                                                    className="hidden-listing-badge"
+                                                    title={
+                                                        report.businessId
+                                                            .hiddenReason
+                                                    }
+                                                >
+                                                    Hidden from directory
+                                                </span>
+                                            )}
                                         </div>
                                     </td>
                                     <td>
                                         <div className="issue-types">
+                                            {report.priority > 0 && (
+                                                <span
+                                                    className={`severity-badge severity-${
+                                                        SEVERITY_OPTIONS[
+                                                            report.priority - 1
+                                                        ]?.value
+                                                    }`}
+                                                >
+                                                    {SEVERITY_OPTIONS[
+                                                        report.priority - 1
+                                                    ]?.label || "Unknown"}
+                                                </span>
+                                            )}
                                             {report.issueTypes.map(
                                                 (type, index) => (
                                                     <span
                                                         key={index}
                                                         className="issue-tag"
                                                     >
-                                                        {type}
+                                                        {reasonLabels[type] ||
+                                                            type}
                                                     </span>
                                                 )
                                             )}
@@ -298,6 +439,11 @@ const ReportsManagement = () => {
                                                 .toUpperCase() +
                                                 report.status.slice(1)}
                                         </span>
+                                        {report.resolvedBy === "system" && (
+                                            <span className="status-auto">
+                                                by report rules
+                                            </span>
+                                        )}
                                     </td>
                                     <td>
                                         <div className="description-cell">
@@ -310,6 +456,30 @@ const ReportsManagement = () => {
                                                     No description
                                                 </em>
                                             )}
+                                            {report.outcomeMessage && (
+                                                <div className="admin-notes">
+                                                    <strong>
+                                                        To reporter:
+                                                    </strong>{" "}
+                                                    {report.outcomeMessage}
+                                                </div>
+                                            )}
+                                            {report.reporterEmail && (
+                                                <div
+                                                    className="reporter-contact"
+                                                    title={
+                                                        report.outcomeNotifiedAt
+                                                            ? `Outcome emailed ${formatDate(
+                                                                  report.outcomeNotifiedAt
+                                                              )}`
+                                                            : "Emailed when the report is resolved or dismissed"
+                                                    }
+                                                >
+                                                    📧 {report.reporterEmail}
+                                                    {report.outcomeNotifiedAt &&
+                                                        " ✓"}
+                                                </div>
+                                            )}
                                             {report.adminNotes && (
                                                 <div className="admin-notes">
                                                     <strong>
@@ -318,6 +488,31 @@ const ReportsManagement = () => {
                                                     {report.adminNotes}
                                                 </div>
                                             )}
+                                            {report.autoActions?.length > 0 && (
+                                                <div className="report-auto-actions">
+                                                    {report.autoActions.map(
+                                                        (action, index) => (
+                                                            <div
+                                                                key={index}
+                                                                className={`auto-action auto-action-${action.outcome}`}
+                                                                title={formatDate(
+                                                                    action.at
+                                                                )}
+                                                            >
+                                                                <strong>
+                                                                    {AUTO_ACTION_LABELS[
+                                                                        action
+                                                                            .type
+                                                                    ] ||
+                                                                        action.type}
+                                                                    :
+                                                                </strong>{" "}
+                                                                {action.message}
+                                                            </div>
+                                                        )
+                                                    )}
+                                                </div>
+                                            )}
                                         </div>
                                     </td>
                                     <td>
@@ -327,7 +522,7 @@ const ReportsManagement = () => {
                                                     <button
                                                         onClick={() =>
                                                             handleStatusUpdate(
-                                                                report._id,
+                                                                report,
                                                                 "resolved"
                                                             )
                                                         }
@@ -341,7 +536,7 @@ const ReportsManagement = () => {
                                                     <button
                                                         onClick={() =>
                                                             handleStatusUpdate(
-                                                                report._id,
+                                                                report,
                                                                 "dismissed"
                                                             )
                                                         }
@@ -359,7 +554,7 @@ const ReportsManagement = () => {
                                                 <button
                                                     onClick={() =>
                                                         handleStatusUpdate(
-                                                            report._id,
+                                                            report,
                                                             "pending"
                                                         )
                                                     }
@@ -372,6 +567,22 @@ const ReportsManagement = () => {
                                                 </button>
                                             )}
 
+                                            {report.businessId?.hiddenAt && (
+                                                <button
+                                                    onClick={() =>
+                                                        handleRestore(
+                                                            report.businessId
+                                                        )
+                                                    }
+                                                    className="btn btn-info btn-sm"
+                                                    disabled={
+                                                        restoreMutation.isPending
+                                                    }
+                                                >
+                                                    Restore Listing
+                                                </button>
+                                            )}
+
                                             <button
                                                 onClick={() =>
                                                     handleDelete(
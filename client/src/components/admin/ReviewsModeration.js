@@ -0,0 +1,436 @@
+// client/src/components/admin/ReviewsModeration.js
+import React, { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useSearchParams } from "react-router-dom";
+import adminService from "../../services/adminService";
+import LoadingSpinner from "../common/LoadingSpinner";
+import "../../styles/admin.css";
+
+/**
+ * ReviewsModeration Component
+ *
+ * Moderation queue for user reviews, laid out like ReportsManagement:
+ * - URL-based pagination with searchParams
+ * - Reported reviews sorted to the top (default filter shows only those)
+ * - Hide/restore, dismiss reports and permanent delete
+ */
+const ReviewsModeration = () => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [searchInput, setSearchInput] = useState("");
+    const [searchQuery, setSearchQuery] = useState("");
+    const [statusFilter, setStatusFilter] = useState("");
+    const [reportedOnly, setReportedOnly] = useState(true);
+
+    const page = parseInt(searchParams.get("page")) || 1;
+    const queryClient = useQueryClient();
+
+    const { data, isLoading, isError } = useQuery({
+        queryKey: [
+            "admin-reviews",
+            page,
+            searchQuery,
+            statusFilter,
+            reportedOnly,
+        ],
+        queryFn: () =>
+            adminService.getReviews({
+                page,
+                search: searchQuery,
+                status: statusFilter,
+                reported: reportedOnly,
+                limit: 15,
+            }),
+    });
+
+    const { data: stats } = useQuery({
+        queryKey: ["admin-reviews", "stats"],
+        queryFn: adminService.getReviewStats,
+    });
+
+    const handleMutationError = (action) => (error) => {
+        alert(
+            `Error ${action}: ${error.response?.data?.error || error.message}`
+        );
+    };
+
+    const updateStatusMutation = useMutation({
+        mutationFn: ({ id, status, moderationNote }) =>
+            adminService.updateReviewStatus(id, { status, moderationNote }),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ["admin-reviews"] });
+        },
+        onError: handleMutationError("updating review"),
+    });
+
+    const dismissMutation = useMutation({
+        mutationFn: adminService.dismissReviewReports,
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ["admin-reviews"] });
+        },
+        onError: handleMutationError("dismissing reports"),
+    });
+
+    const deleteMutation = useMutation({
+        mutationFn: adminService.deleteReview,
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ["admin-reviews"] });
+            alert("Review deleted successfully");
+        },
+        onError: handleMutationError("deleting review"),
+    });
+
+    const isMutating =
+        updateStatusMutation.isPending ||
+        dismissMutation.isPending ||
+        deleteMutation.isPending;
+
+    const setPage = (newPage) => {
+        setSearchParams({ page: newPage.toString() });
+    };
+
+    const handleSearch = () => {
+        setSearchQuery(searchInput);
+        setPage(1);
+    };
+
+    const clearFilters = () => {
+        setSearchInput("");
+        setSearchQuery("");
+        setStatusFilter("");
+        setReportedOnly(false);
+        setPage(1);
+    };
+
+    const handleStatusUpdate = (reviewId, newStatus) => {
+        const moderationNote = prompt(
+            `${
+                newStatus === "hidden" ? "Hide" : "Restore"
+            } this review?\n\nOptional moderation note:`
+        );
+
+        if (moderationNote !== null) {
+            updateStatusMutation.mutate({
+                id: reviewId,
+                status: newStatus,
+                moderationNote: moderationNote.trim(),
+            });
+        }
+    };
+
+    const handleDelete = (reviewId, authorName) => {
+        if (
+            window.confirm(
+                `Permanently delete this review by "${authorName}"?\n\nThis action cannot be undone.`
+            )
+        ) {
+            deleteMutation.mutate(reviewId);
+        }
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString("en-US", {
+            year: "numeric",
+            month: "short",
+            day: "numeric",
+            hour: "2-digit",
+            minute: "2-digit",
+        });
+    };
+
+    if (isLoading) return <LoadingSpinner size="large" />;
+
+    if (isError) {
+        return (
+            <div className="error-state">
+                <h3>Error Loading Reviews</h3>
+                <p>Unable to fetch reviews. Please try again later.</p>
+                <button onClick={() => window.location.reload()}>Retry</button>
+            </div>
+        );
+    }
+
+    const { reviews = [], pagination } = data || {};
+
+    return (
+        <div className="reports-management">
+            <div className="manage-header">
+                <h2>Review Moderation</h2>
+                <div className="reports-summary">
+                    <span>
+                        {stats?.reported || 0} reported •{" "}
+                        {stats?.hidden || 0} hidden • {stats?.total || 0} total
+                    </span>
+                </div>
+            </div>
+
+            {/* Filters Section */}
+            <div className="filters-section">
+                <div className="search-filter">
+                    <input
+                        type="text"
+                        placeholder="Search review text..."
+                        value={searchInput}
+                        onChange={(e) => setSearchInput(e.target.value)}
+                        onKeyPress={(e) => e.key === "Enter" && handleSearch()}
+                    />
+                    <button onClick={handleSearch} className="btn btn-primary">
+                        Search
+                    </button>
+                </div>
+
+                <div className="dropdown-filters">
+                    <select
+                        value={statusFilter}
+                        onChange={(e) => {
+                            setStatusFilter(e.target.value);
+                            setPage(1);
+                        }}
+                    >
+                        <option value="">All Statuses</option>
+                        <option value="visible">Visible</option>
+                        <option value="hidden">Hidden</option>
+                    </select>
+
+                    <label className="reported-only-toggle">
+                        <input
+                            type="checkbox"
+                            checked={reportedOnly}
+                            onChange={(e) => {
+                                setReportedOnly(e.target.checked);
+                                setPage(1);
+                            }}
+                        />
+                        Reported only
+                    </label>
+
+                    <button
+                        onClick={clearFilters}
+                        className="btn btn-secondary"
+                    >
+                        Clear Filters
+                    </button>
+                </div>
+            </div>
+
+            {/* Reviews Table */}
+            <div className="table-container">
+                {reviews.length === 0 ? (
+                    <div className="no-results">
+                        <h3>No Reviews Found</h3>
+                        <p>
+                            {reportedOnly
+                                ? "No reviews are waiting for moderation."
+                                : searchQuery || statusFilter
+                                ? "Try adjusting your filters or search terms."
+                                : "No reviews have been posted yet."}
+                        </p>
+                    </div>
+                ) : (
+                    <table className="reports-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Business</th>
+                                <th>Author</th>
+                                <th>Status</th>
+                                <th>Review</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {reviews.map((review) => (
+                                <tr key={review._id}>
+                                    <td>
+                                        <div className="report-date">
+                                            {formatDate(review.createdAt)}
+                                        </div>
+                                        {review.editedAt && (
+                                            <div className="report-ip">
+                                                Edited{" "}
+                                                {formatDate(review.editedAt)}
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td>
+                                        <div className="business-info">
+                                            <div className="business-name">
+                                                {review.business
+                                                    ?.businessName ||
+                                                    "Unknown Business"}
+                                            </div>
+                                            <div className="business-id">
+                                                ID:{" "}
+                                                {review.business?.businessId}
+                                            </div>
+                                        </div>
+                                    </td>
+                                    <td>
+                                        <div className="business-info">
+                                            <div className="business-name">
+                                                {review.user?.name ||
+                                                    "Former user"}
+                                            </div>
+                                            <div className="business-details">
+                                                {review.user?.email}
+                                            </div>
+                                        </div>
+                                    </td>
+                                    <td>
+                                        <span
+                                            className={`status ${
+                                                review.status === "hidden"
+                                                    ? "status-dismissed"
+                                                    : "status-resolved"
+                                            }`}
+                                        >
+                                            {review.status === "hidden"
+                                                ? "Hidden"
+                                                : "Visible"}
+                                        </span>
+                                        {review.openReportCount > 0 && (
+                                            <div>
+                                                <span className="status status-pending">
+                                                    {review.openReportCount}{" "}
+                                                    {review.openReportCount ===
+                                                    1
+                                                        ? "report"
+                                                        : "reports"}
+                                                </span>
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td>
+                                        <div className="description-cell">
+                                            <div className="description-text">
+                                                "{review.text}"
+                                            </div>
+                                            {review.openReportCount > 0 &&
+                                                review.reports
+                                                    .slice(
+                                                        -review.openReportCount
+                                                    )
+                                                    .map((report, index) => (
+                                                        <div
+                                                            key={index}
+                                                            className="admin-notes"
+                                                        >
+                                                            <strong>
+                                                                Report by{" "}
+                                                                {report.user
+                                                                    ?.name ||
+                                                                    "Former user"}
+                                                                :
+                                                            </strong>{" "}
+                                                            {report.reason || (
+                                                                <em>
+                                                                    No reason
+                                                                    given
+                                                                </em>
+                                                            )}
+                                                        </div>
+                                                    ))}
+                                            {review.moderationNote && (
+                                                <div className="admin-notes">
+                                                    <strong>
+                                                        Moderation Note:
+                                                    </strong>{" "}
+                                                    {review.moderationNote}
+                                                </div>
+                                            )}
+                                        </div>
+                                    </td>
+                                    <td>
+                                        <div className="action-buttons">
+                                            {review.status === "visible" ? (
+                                                <button
+                                                    onClick={() =>
+                                                        handleStatusUpdate(
+                                                            review._id,
+                                                            "hidden"
+                                                        )
+                                                    }
+                                                    className="btn btn-warning btn-sm"
+                                                    disabled={isMutating}
+                                                >
+                                                    Hide
+                                                </button>
+                                            ) : (
+                                                <button
+                                                    onClick={() =>
+                                                        handleStatusUpdate(
+                                                            review._id,
+                                                            "visible"
+                                                        )
+                                                    }
+                                                    className="btn btn-info btn-sm"
+                                                    disabled={isMutating}
+                                                >
+                                                    Restore
+                                                </button>
+                                            )}
+
+                                            {review.openReportCount > 0 && (
+                                                <button
+                                                    onClick={() =>
+                                                        dismissMutation.mutate(
+                                                            review._id
+                                                        )
+                                                    }
+                                                    className="btn btn-success btn-sm"
+                                                    disabled={isMutating}
+                                                >
+                                                    Dismiss Reports
+                                                </button>
+                                            )}
+
+                                            <button
+                                                onClick={() =>
+                                                    handleDelete(
+                                                        review._id,
+                                                        review.user?.name ||
+                                                            "Former user"
+                                                    )
+                                                }
+                                                className="btn btn-danger btn-sm"
+                                                disabled={isMutating}
+                                            >
+                                                Delete
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {/* Pagination */}
+            {pagination && pagination.totalPages > 1 && (
+                <div className="pagination">
+                    <button
+                        onClick={() => setPage(page - 1)}
+                        disabled={!pagination.hasPrev}
+                        className="btn btn-secondary"
+                    >
+                        Previous
+                    </button>
+
+                    <div className="page-info">
+                        Page {pagination.currentPage} of {pagination.totalPages}
+                    </div>
+
+                    <button
+                        onClick={() => setPage(page + 1)}
+                        disabled={!pagination.hasNext}
+                        className="btn btn-secondary"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReviewsModeration;
@@ -69,9 +69,24 @@ const SubmissionsManager = () => {
     const updateStatusMutation = useMutation({
         mutationFn: ({ id, status, rejectionReason }) =>
             adminService.updateSubmissionStatus(id, status, rejectionReason),
-        onSuccess: () => {
+        onSuccess: (data, variables) => {
             queryClient.invalidateQueries(["admin-submissions"]);
             queryClient.invalidateQueries(["admin-submission-stats"]);
+
+            // Approval publishes a live listing - refresh admin business list too
+            if (data.business) {
+                queryClient.invalidateQueries(["admin-businesses"]);
+
+                if (!variables.silent) {
+                    alert(`${data.message}. It is now visible in Manage Businesses.`);
+                }
+            } else if (data.hiddenBusiness) {
+                queryClient.invalidateQueries(["admin-businesses"]);
+
+                if (!variables.silent) {
+                    alert(`${data.message}. Approve the submission again to show it.`);
+                }
+            }
         },
         onError: (error) => {
             alert(`Error updating submission: ${error.response?.data?.error || error.message}`);
@@ -162,18 +177,20 @@ const SubmissionsManager = () => {
     };
 
     // Handle status update
-    const handleStatusUpdate = (submissionId, status) => {
+    // silent: skip the per-item confirmation alert (used by bulk actions)
+    const handleStatusUpdate = (submissionId, status, silent = false) => {
         let rejectionReason = null;
 
         if (status === 'rejected') {
-            rejectionReason = prompt('Please provide a reason for rejection:');
+            rejectionReason = prompt('Please provide a reason for rejection (emailed to the submitter):');
             if (!rejectionReason) return; // User cancelled
         }
 
         updateStatusMutation.mutate({
             id: submissionId,
             status,
-            rejectionReason
+            rejectionReason,
+            silent
         });
     };
 
@@ -193,7 +210,7 @@ const SubmissionsManager = () => {
         // For simplicity, update each submission individually
         // In production, you might want a dedicated bulk update endpoint
         selectedSubmissions.forEach(submissionId => {
-            handleStatusUpdate(submissionId, status);
+            handleStatusUpdate(submissionId, status, true);
         });
 
         setSelectedSubmissions([]);
@@ -509,6 +526,14 @@ const SubmissionsManager = () => {
                                     <span className={styles.submissionTime}>
                                         {formatTime(submission.submittedAt)}
                                     </span>
+                                    {submission.reviewedBy && (
+                                        <span
+                                            className={styles.submissionTime}
+                                            title={`Reviewed ${formatDate(submission.reviewedAt)}`}
+                                        >
+                                            by {submission.reviewedBy.username}
+                                        </span>
+                                    )}
                                 </div>
 
                                 {/* Company Name with Social Icons */}
@@ -621,6 +646,17 @@ const SubmissionsManager = () => {
                                             </button>
                                         </>
                                     )}
+                                    {submission.status === 'approved' && submission.publishedBusiness && (
+                                        <a
+                                            href={`/business/${submission.publishedBusiness}`}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className={`${styles.actionBtn} ${styles.view}`}
+                                            title="View published listing"
+                                        >
+                                            🔗
+                                        </a>
+                                    )}
                                     <button
                                         className={`${styles.actionBtn} ${styles.delete}`}
                                         onClick={() => bulkDeleteMutation.mutate([submission._id])}
@@ -51,7 +51,14 @@ const SystemStatus = () => {
                     </div>
                     <div className="status-sub">
                         {systemData?.storage?.totalFiles || 0} files
+                        {systemData?.storage?.driver &&
+                            ` • ${systemData.storage.driver}`}
                     </div>
+                    {systemData?.storage?.error && (
+                        <div className="status-sub">
+                            Unavailable: {systemData.storage.error}
+                        </div>
+                    )}
                 </div>
 
                 <div className="status-item">
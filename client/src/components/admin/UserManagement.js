@@ -1,6 +1,7 @@
 // client/src/components/admin/UserManagement.js
 import React, { useState, useEffect } from "react";
 import adminService from "../../services/adminService";
+import authService from "../../services/authService";
 
 const UserManagement = () => {
     const [userStats, setUserStats] = useState(null);
@@ -10,6 +11,8 @@ const UserManagement = () => {
     const [error, setError] = useState(null);
     const [isRunningManualCleanup, setIsRunningManualCleanup] = useState(false);
 
+    const canRunCleanup = authService.hasPermission("users:manage");
+
     const fetchUserData = async () => {
         try {
             setLoading(true);
@@ -148,6 +151,17 @@ const UserManagement = () => {
                     <h3>Pending Deletions</h3>
                     <div className="stat-number">{userStats?.pendingDeletions || 0}</div>
                 </div>
+                <div className="stat-card">
+                    <h3>Pending Registrations</h3>
+                    <div className="stat-number">
+                        {userStats?.pendingRegistrations?.total || 0}
+                    </div>
+                    <div className="stat-detail">
+                        {userStats?.pendingRegistrations?.createdToday || 0} today,{" "}
+                        {userStats?.pendingRegistrations?.expiringSoon || 0} expiring
+                        within 1h
+                    </div>
+                </div>
             </div>
 
             {/* New User Stats */}
@@ -173,13 +187,15 @@ const UserManagement = () => {
             <div className="cleanup-service-section">
                 <div className="section-header">
                     <h3>User Cleanup Service</h3>
-                    <button 
-                        onClick={handleManualCleanup}
-                        className="btn-primary"
-                        disabled={isRunningManualCleanup}
-                    >
-                        {isRunningManualCleanup ? "Running Cleanup..." : "Manual Cleanup"}
-                    </button>
+                    {canRunCleanup && (
+                        <button 
+                            onClick={handleManualCleanup}
+                            className="btn-primary"
+                            disabled={isRunningManualCleanup}
+                        >
+                            {isRunningManualCleanup ? "Running Cleanup..." : "Manual Cleanup"}
+                        </button>
+                    )}
                 </div>
                 
                 <div className="cleanup-status-grid">
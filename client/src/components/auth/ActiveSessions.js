@@ -0,0 +1,189 @@
+// client/src/components/auth/ActiveSessions.js
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useUserAuth } from "../../contexts/UserAuthContext";
+import userAuthService from "../../services/userAuthService";
+import LoadingSpinner from "../common/LoadingSpinner";
+import { useTranslation } from "../../contexts/LanguageContext";
+
+// Helper: short "Chrome on Windows" style label from a user agent string
+const describeUserAgent = (t, userAgent = "") => {
+    if (!userAgent) return t("sessions.unknownDevice");
+
+    const browsers = [
+        ["Edge", /Edg\//],
+        ["Opera", /OPR\//],
+        ["Chrome", /Chrome\//],
+        ["Firefox", /Firefox\//],
+        ["Safari", /Safari\//],
+    ];
+    const systems = [
+        ["Android", /Android/],
+        ["iOS", /iPhone|iPad|iPod/],
+        ["Windows", /Windows/],
+        ["macOS", /Mac OS X|Macintosh/],
+        ["Linux", /Linux/],
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return userAgent.slice(0, 60);
+
+    const browserName = browser?.[0] || t("sessions.browser");
+    return system
+        ? t("sessions.deviceOn", { browser: browserName, system: system[0] })
+        : browserName;
+};
+
+const formatDateTime = (dateString, language) =>
+    new Date(dateString).toLocaleString(language, {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+
+/**
+ * ActiveSessions Component
+ *
+ * Lists every device the user is signed in on (from /api/auth/sessions)
+ * with per-device sign out and "log out of all devices".
+ *
+ * @param {Function} onNotify - (message, type) notification callback from SettingsPage
+ */
+const ActiveSessions = ({ onNotify }) => {
+    const navigate = useNavigate();
+    const queryClient = useQueryClient();
+    const { logout, logoutAllDevices } = useUserAuth();
+    const { t, language } = useTranslation();
+
+    const {
+        data: sessions = [],
+        isLoading,
+        isError,
+    } = useQuery({
+        queryKey: ["user-sessions"],
+        queryFn: userAuthService.getSessions,
+    });
+
+    const revokeMutation = useMutation({
+        mutationFn: userAuthService.revokeSession,
+        onSuccess: async (result) => {
+            if (result.currentSessionRevoked) {
+                await logout();
+                navigate("/", { replace: true });
+                return;
+            }
+
+            onNotify(result.message, "success");
+            queryClient.invalidateQueries({ queryKey: ["user-sessions"] });
+        },
+        onError: (error) => onNotify(error.message, "error"),
+    });
+
+    const logoutAllMutation = useMutation({
+        mutationFn: logoutAllDevices,
+        onSuccess: () => navigate("/", { replace: true }),
+        onError: (error) => onNotify(error.message, "error"),
+    });
+
+    const handleRevoke = (session) => {
+        const label = describeUserAgent(t, session.userAgent);
+        const message = session.isCurrent
+            ? t("sessions.confirmSignOutCurrent")
+            : t("sessions.confirmSignOut", { device: label });
+
+        if (window.confirm(message)) {
+            revokeMutation.mutate(session._id);
+        }
+    };
+
+    const handleLogoutAll = () => {
+        if (
+            window.confirm(
+                `${t("sessions.confirmLogoutAll")}\n\n${t(
+                    "sessions.confirmLogoutAllHint"
+                )}`
+            )
+        ) {
+            logoutAllMutation.mutate();
+        }
+    };
+
+    const isBusy = revokeMutation.isPending || logoutAllMutation.isPending;
+
+    return (
+        <div className="user-settings-sessions">
+            <h3>{t("sessions.title")}</h3>
+
+            {isLoading ? (
+                <LoadingSpinner />
+            ) : isError ? (
+                <p className="user-settings-field-note">
+                    {t("sessions.loadFailed")}
+                </p>
+            ) : (
+                <ul className="user-settings-session-list">
+                    {sessions.map((session) => (
+                        <li
+                            key={session._id}
+                            className={`user-settings-session-item ${
+                                session.isCurrent ? "current" : ""
+                            }`}
+                        >
+                            <div className="user-settings-session-info">
+                                <span className="user-settings-session-device">
+                                    {describeUserAgent(t, session.userAgent)}
+                                    {session.isCurrent && (
+                                        <span className="user-settings-session-badge">
+                                            {t("sessions.thisDevice")}
+                                        </span>
+                                    )}
+                                </span>
+                                <span className="user-settings-session-meta">
+                                    {t("sessions.meta", {
+                                        ip:
+                                            session.ipAddress ||
+                                            t("sessions.unknownIp"),
+                                        signedIn: formatDateTime(
+                                            session.createdAt,
+                                            language
+                                        ),
+                                        lastActive: formatDateTime(
+                                            session.lastUsedAt,
+                                            language
+                                        ),
+                                    })}
+                                </span>
+                            </div>
+                            <button
+                                type="button"
+                                className="user-settings-btn-secondary"
+                                onClick={() => handleRevoke(session)}
+                                disabled={isBusy}
+                            >
+                                {t("sessions.signOut")}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <button
+                type="button"
+                className="user-settings-btn-danger"
+                onClick={handleLogoutAll}
+                disabled={isBusy}
+            >
+                {logoutAllMutation.isPending
+                    ? t("sessions.signingOut")
+                    : t("sessions.logoutAll")}
+            </button>
+        </div>
+    );
+};
+
+export default ActiveSessions;
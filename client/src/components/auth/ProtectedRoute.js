@@ -3,6 +3,7 @@ import React, { useEffect } from "react";
 import { Navigate, useLocation } from "react-router-dom";
 import { useUserAuth } from "../../contexts/UserAuthContext";
 import LoadingSpinner from "../common/LoadingSpinner";
+import { useTranslation } from "../../contexts/LanguageContext";
 
 /**
  * ProtectedRoute Component
@@ -32,6 +33,7 @@ const ProtectedRoute = ({ children }) => {
         getUserEmail,
     } = useUserAuth();
     const location = useLocation();
+    const { t } = useTranslation();
 
     /**
      * Store the current location in sessionStorage for return URL functionality
@@ -61,7 +63,7 @@ const ProtectedRoute = ({ children }) => {
             >
                 <LoadingSpinner />
                 <p style={{ marginTop: "1rem", color: "#666" }}>
-                    Checking authentication...
+                    {t("auth.checking")}
                 </p>
             </div>
         );
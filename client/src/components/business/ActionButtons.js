@@ -1,6 +1,7 @@
 // client/src/components/business/ActionButtons.js
 import React, { memo } from 'react';
 import LoadingSpinner from '../common/LoadingSpinner';
+import { useTranslation } from '../../contexts/LanguageContext';
 
 const ActionButton = memo(({
     type, // 'favorite' | 'report'
@@ -12,6 +13,8 @@ const ActionButton = memo(({
     size = 'medium', // 'small' | 'medium' | 'large'
     disabled = false
 }) => {
+    const { t } = useTranslation();
+
     const getIcon = () => {
         if (type === 'favorite') {
             return isLoading ? null : isActive ? "❤️" : "🤍";
@@ -21,20 +24,20 @@ const ActionButton = memo(({
 
     const getAriaLabel = () => {
         if (type === 'favorite') {
-            if (isLoading) return "Updating favorites";
+            if (isLoading) return t('actions.updatingFavorites');
             return isActive
-                ? `Remove ${businessName} from favorites`
-                : `Add ${businessName} to favorites`;
+                ? t('actions.removeNamedFavorite', { name: businessName })
+                : t('actions.addNamedFavorite', { name: businessName });
         }
-        return `Report issue with ${businessName}`;
+        return t('actions.reportNamed', { name: businessName });
     };
 
     const getTitle = () => {
         if (type === 'favorite') {
-            if (isLoading) return "Updating...";
-            return isActive ? "Remove from favorites" : "Add to favorites";
+            if (isLoading) return t('actions.updating');
+            return isActive ? t('actions.removeFavorite') : t('actions.addFavorite');
         }
-        return "Report an issue with this listing";
+        return t('actions.report');
     };
 
     const baseClassName = `action-btn ${type}-btn-${size === 'large' ? 'overlay' : size === 'medium' ? 'overlay' : 'small'}`;
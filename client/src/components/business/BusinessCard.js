@@ -3,9 +3,14 @@ import React, { useState, useEffect, Suspense, memo, useMemo, useCallback, useRe
 import { Link } from "react-router-dom";
 import LazyImage from "../common/LazyImage";
 import StarRating from "../common/StarRating";
+import HighlightedText from "../common/HighlightedText";
 import LoadingSpinner from "../common/LoadingSpinner";
 import ActionButton from "./ActionButtons";
 import { useUserAuth } from "../../contexts/UserAuthContext";
+import { useTranslation } from "../../contexts/LanguageContext";
+import { useLocalizedNames } from "../../hooks/useLocalizedNames";
+import { formatDistance } from "../../utils/geo";
+import { getResponsiveImageProps } from "../../utils/imageHelper";
 import toast from "react-hot-toast";
 // CSS loaded at page level - removed duplicate import
 
@@ -25,7 +30,12 @@ const areBusinessPropsEqual = (prevProps, nextProps) => {
         prev._id === next._id &&
         prev.businessName === next.businessName &&
         prev.verified === next.verified &&
-        prev.profileImage === next.profileImage
+        prev.profileImage === next.profileImage &&
+        prev.ratingAverage === next.ratingAverage &&
+        prev.ratingCount === next.ratingCount &&
+        prev.highlights === next.highlights &&
+        prev.openStatus?.isOpen === next.openStatus?.isOpen &&
+        prev.distance === next.distance
     );
 };
 
@@ -33,17 +43,26 @@ const BusinessCard = memo(({ business }) => {
     const {
         _id,
         businessName,
-        category,
+        categories = [],
         businessType,
-        city,
+        cities = [],
         shortDescription,
         verified,
         mobile,
         profileImage,
+        profileImageSet,
         socialLinks,
+        ratingAverage,
+        ratingCount,
+        highlights, // Only present on search results
+        openStatus,
+        distance, // Only present with the near me filter
     } = business;
 
     const { user, isAuthenticated, updateUserFavorites } = useUserAuth();
+    const { t } = useTranslation();
+    const { categoryName, cityName, categoryNames, cityNames } =
+        useLocalizedNames();
 
     // State for report issue modal
     const [isReportModalOpen, setIsReportModalOpen] = useState(false);
@@ -103,7 +122,7 @@ const BusinessCard = memo(({ business }) => {
 
         // Check if user is authenticated
         if (!isAuthenticated) {
-            toast.error("Please log in to save favorites");
+            toast.error(t("card.loginToSave"));
             return;
         }
 
@@ -152,27 +171,14 @@ const BusinessCard = memo(({ business }) => {
             setLocalFavoriteState(previousState);
 
             // Show error message
-            toast.error(error.message || "Failed to update favorites");
+            toast.error(error.message || t("card.favoritesFailed"));
         } finally {
             setIsLoading(false);
         }
-    }, [isAuthenticated, isLoading, isFavorited, _id, updateUserFavorites]); // Dependencies for useCallback
-
-    // Generate consistent sample rating based on business ID (will come from database later)
-    // 70% chance of having a rating between 7-10, 30% no rating
-    // Memoized to ensure consistent rating per business and avoid recalculation on every render
-    const sampleRating = useMemo(() => {
-        // Use business ID as seed for consistent rating across renders
-        const seed = _id.charCodeAt(_id.length - 1) + _id.charCodeAt(0);
-        const random1 = (seed * 9301 + 49297) % 233280 / 233280;
-        const random2 = ((seed + 1) * 9301 + 49297) % 233280 / 233280;
-
-        // 30% chance of no rating
-        if (random1 < 0.3) return null;
-
-        // Rating between 7-10
-        return Number((7 + random2 * 3).toFixed(1));
-    }, [_id]);
+    }, [isAuthenticated, isLoading, isFavorited, _id, updateUserFavorites, t]); // Dependencies for useCallback
+
+    // Real aggregate from the ratings collection - null renders the "no rating" state
+    const rating = ratingCount > 0 ? ratingAverage : null;
 
     return (
         <>
@@ -190,6 +196,8 @@ const BusinessCard = memo(({ business }) => {
                         {profileImage ? (
                             <LazyImage
                                 src={`${process.env.REACT_APP_IMAGE_BASE_URL || "http://localhost:3000"}${profileImage}`}
+                                {...getResponsiveImageProps(profileImageSet)}
+                                sizes="140px" // Largest circle (components-core.css)
                                 alt={businessName}
                                 onError={handleImageError}
                                 placeholder={
@@ -236,7 +244,10 @@ const BusinessCard = memo(({ business }) => {
                         <h3 className="business-name">
                             {/* Navigate to business detail page */}
                             <Link to={`/business/${_id}`}>
-                                {businessName}
+                                <HighlightedText
+                                    segments={highlights?.businessName}
+                                    fallback={businessName}
+                                />
                             </Link>
                         </h3>
 
@@ -262,7 +273,7 @@ const BusinessCard = memo(({ business }) => {
 
                     {/* Star rating component */}
                     <StarRating
-                        rating={sampleRating}
+                        rating={rating}
                         size="medium"
                         showNumber={true}
                         className="business-rating"
@@ -270,20 +281,49 @@ const BusinessCard = memo(({ business }) => {
 
                     {/* Business meta (PRESERVED - no changes) */}
                     <div className="business-meta">
-                        <span className="category">{category}</span>
-                        <span className="type">{businessType}</span>
-                        <span className="city">{city}</span>
+                        <span
+                            className="category"
+                            title={categoryNames(categories)}
+                        >
+                            {categoryName(categories[0])}
+                            {categories.length > 1 && ` +${categories.length - 1}`}
+                        </span>
+                        <span className="type">{t(`card.${businessType}`)}</span>
+                        <span className="city" title={cityNames(cities)}>
+                            {cityName(cities[0])}
+                            {cities.length > 1 && ` +${cities.length - 1}`}
+                        </span>
+                        {distance !== undefined && (
+                            <span className="distance">
+                                {t("card.distance", {
+                                    distance: formatDistance(distance),
+                                })}
+                            </span>
+                        )}
+                        {openStatus?.isOpen && (
+                            <span className="open-now-badge">
+                                {t("card.openNow")}
+                            </span>
+                        )}
                     </div>
 
                     {/* Description - always rendered to maintain consistent spacing */}
-                    <p className="description">{shortDescription || ''}</p>
+                    <p className="description">
+                        <HighlightedText
+                            segments={highlights?.shortDescription}
+                            fallback={shortDescription || ''}
+                        />
+                    </p>
 
                     {/* Contact section with clickable phone number */}
                     <div className="business-contact">
                         <a
                             href={`tel:${mobile}`}
                             className="mobile"
-                            aria-label={`Call ${businessName} at ${mobile}`}
+                            aria-label={t("card.call", {
+                                name: businessName,
+                                mobile,
+                            })}
                         >
                             {mobile}
                         </a>
@@ -297,7 +337,7 @@ const BusinessCard = memo(({ business }) => {
                                     target="_blank"
                                     rel="noopener noreferrer"
                                     className="social-icon facebook"
-                                    title="Visit our Facebook page"
+                                    title={t("card.visitPage", { platform: "Facebook" })}
                                     aria-label="Facebook"
                                 >
                                     <svg
@@ -314,7 +354,7 @@ const BusinessCard = memo(({ business }) => {
                                     target="_blank"
                                     rel="noopener noreferrer"
                                     className="social-icon instagram"
-                                    title="Visit our Instagram page"
+                                    title={t("card.visitPage", { platform: "Instagram" })}
                                     aria-label="Instagram"
                                 >
                                     <svg
@@ -331,7 +371,7 @@ const BusinessCard = memo(({ business }) => {
                                     target="_blank"
                                     rel="noopener noreferrer"
                                     className="social-icon tiktok"
-                                    title="Visit our TikTok page"
+                                    title={t("card.visitPage", { platform: "TikTok" })}
                                     aria-label="TikTok"
                                 >
                                     <svg
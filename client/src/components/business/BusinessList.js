@@ -3,13 +3,26 @@ import React, { useState, useEffect, useCallback, useMemo, memo } from "react";
 import { useInfiniteQuery } from "@tanstack/react-query";
 import businessService from "../../services/businessService";
 import BusinessCard from "./BusinessCard";
+import BusinessMap from "./BusinessMap";
 import LoadingSpinner from "../common/LoadingSpinner";
 import { useUserAuth } from "../../contexts/UserAuthContext";
+import { useTranslation } from "../../contexts/LanguageContext";
+import { formatDistance } from "../../utils/geo";
 // CSS loaded at page level - removed duplicate import
 
 const BusinessList = memo(({ searchTerm, filters }) => {
     // Get user context for BusinessCard re-rendering when auth state changes
     const { user, isAuthenticated } = useUserAuth();
+    const { language, t } = useTranslation();
+    // "list" or "map" - remembered for the session
+    const [view, setView] = useState(
+        () => sessionStorage.getItem("businessListView") || "list"
+    );
+
+    const changeView = (newView) => {
+        setView(newView);
+        sessionStorage.setItem("businessListView", newView);
+    };
 
     // Transform filters for API call
     const apiFilters = {
@@ -18,6 +31,9 @@ const BusinessList = memo(({ searchTerm, filters }) => {
         cities: filters.cities,
         businessTypes: filters.businessTypes,
         verified: filters.verified,
+        openNow: filters.openNow,
+        near: filters.near,
+        radius: filters.radius,
     };
 
     // Infinite query for businesses
@@ -31,7 +47,8 @@ const BusinessList = memo(({ searchTerm, filters }) => {
         error,
         refetch,
     } = useInfiniteQuery({
-        queryKey: ["businesses", searchTerm, JSON.stringify(filters)],
+        // Names/descriptions come back in the interface language
+        queryKey: ["businesses", language, searchTerm, JSON.stringify(filters)],
         queryFn: ({ pageParam = 1 }) =>
             businessService.getBusinesses({
                 page: pageParam,
@@ -53,9 +70,10 @@ const BusinessList = memo(({ searchTerm, filters }) => {
         return data ? data.pages.flatMap((page) => page.businesses) : [];
     }, [data]);
 
-    // Infinite scroll handler
+    // Infinite scroll handler (the map view loads more with a button)
     const handleScroll = useCallback(() => {
         if (
+            view === "list" &&
             window.innerHeight + document.documentElement.scrollTop >=
                 document.documentElement.offsetHeight - 1000 &&
             hasNextPage &&
@@ -63,7 +81,7 @@ const BusinessList = memo(({ searchTerm, filters }) => {
         ) {
             fetchNextPage();
         }
-    }, [fetchNextPage, hasNextPage, isFetchingNextPage]);
+    }, [fetchNextPage, hasNextPage, isFetchingNextPage, view]);
 
     // Attach scroll listener
     useEffect(() => {
@@ -100,6 +118,8 @@ const BusinessList = memo(({ searchTerm, filters }) => {
         if (filters.businessTypes?.length)
             count += filters.businessTypes.length;
         if (filters.verified) count += 1;
+        if (filters.openNow) count += 1;
+        if (filters.near) count += 1;
         return count;
     };
 
@@ -109,30 +129,36 @@ const BusinessList = memo(({ searchTerm, filters }) => {
         if (searchTerm) parts.push(`"${searchTerm}"`);
         if (filters.categories?.length) {
             parts.push(
-                `${filters.categories.length} categor${
-                    filters.categories.length === 1 ? "y" : "ies"
-                }`
+                t("list.summaryCategories", {
+                    count: filters.categories.length,
+                })
             );
         }
         if (filters.cities?.length) {
             parts.push(
-                `${filters.cities.length} cit${
-                    filters.cities.length === 1 ? "y" : "ies"
-                }`
+                t("list.summaryCities", { count: filters.cities.length })
             );
         }
         if (filters.businessTypes?.length) {
             parts.push(
-                `${filters.businessTypes.length} business type${
-                    filters.businessTypes.length === 1 ? "" : "s"
-                }`
+                t("list.summaryTypes", {
+                    count: filters.businessTypes.length,
+                })
             );
         }
         if (filters.verified) {
             parts.push(
                 filters.verified === "true"
-                    ? "verified only"
-                    : "unverified only"
+                    ? t("list.verifiedOnly")
+                    : t("list.unverifiedOnly")
+            );
+        }
+        if (filters.openNow) {
+            parts.push(t("list.openNowOnly"));
+        }
+        if (filters.near) {
+            parts.push(
+                t("list.nearby", { distance: formatDistance(filters.radius) })
             );
         }
         return parts.join(", ");
@@ -141,14 +167,15 @@ const BusinessList = memo(({ searchTerm, filters }) => {
     const activeFilterCount = getActiveFilterCount();
     const filterSummary = getFilterSummary();
     const totalResults = data?.pages?.[0]?.pagination?.totalBusinesses || 0;
+    const sortedBy = data?.pages?.[0]?.sortedBy;
 
     if (isLoading) return <LoadingSpinner size="large" />;
 
     if (isError) {
         return (
             <div className="error-message">
-                <p>Error loading businesses: {error.message}</p>
-                <button onClick={() => refetch()}>Try Again</button>
+                <p>{t("list.loadError", { message: error.message })}</p>
+                <button onClick={() => refetch()}>{t("list.tryAgain")}</button>
             </div>
         );
     }
@@ -157,7 +184,7 @@ const BusinessList = memo(({ searchTerm, filters }) => {
         <div className="business-list">
             {/* Skip link for screen readers */}
             <a href="#business-grid" className="sr-only-focusable skip-to-content">
-                Skip to business listings
+                {t("list.skipToListings")}
             </a>
 
             {/* Announce results to screen readers */}
@@ -168,8 +195,8 @@ const BusinessList = memo(({ searchTerm, filters }) => {
                 className="sr-only"
             >
                 {isLoading
-                    ? "Loading businesses..."
-                    : `${totalResults} business${totalResults === 1 ? "" : "es"} found`
+                    ? t("list.loading")
+                    : t("list.found", { count: totalResults })
                 }
             </div>
 
@@ -178,47 +205,80 @@ const BusinessList = memo(({ searchTerm, filters }) => {
                 <div className="results-info">
                     <h2>
                         {totalResults === 0
-                            ? "No businesses found"
-                            : `${totalResults} business${
-                                  totalResults === 1 ? "" : "es"
-                              } found`}
+                            ? t("list.noneFound")
+                            : t("list.found", { count: totalResults })}
                     </h2>
                     {filterSummary && (
                         <p className="filter-summary">
-                            Filtered by: {filterSummary}
+                            {t("list.filteredBy", { summary: filterSummary })}
+                            {sortedBy === "relevance" &&
+                                t("list.sortedByRelevance")}
+                            {sortedBy === "distance" &&
+                                t("list.sortedByDistance")}
                         </p>
                     )}
                 </div>
 
-                {activeFilterCount > 0 && (
-                    <div className="active-filters-count">
-                        <span className="filter-badge">
-                            {activeFilterCount} active filter
-                            {activeFilterCount === 1 ? "" : "s"}
-                        </span>
+                <div className="results-actions">
+                    {activeFilterCount > 0 && (
+                        <div className="active-filters-count">
+                            <span className="filter-badge">
+                                {t("list.activeFilters", {
+                                    count: activeFilterCount,
+                                })}
+                            </span>
+                        </div>
+                    )}
+
+                    {/* List / map view toggle */}
+                    <div className="view-toggle" role="group" aria-label={t("list.view")}>
+                        <button
+                            type="button"
+                            className={view === "list" ? "active" : ""}
+                            onClick={() => changeView("list")}
+                            aria-pressed={view === "list"}
+                        >
+                            ☰ {t("list.viewList")}
+                        </button>
+                        <button
+                            type="button"
+                            className={view === "map" ? "active" : ""}
+                            onClick={() => changeView("map")}
+                            aria-pressed={view === "map"}
+                        >
+                            🗺 {t("list.viewMap")}
+                        </button>
                     </div>
-                )}
+                </div>
             </div>
 
             {/* Business Grid */}
             {businesses.length === 0 ? (
                 <div className="no-results">
                     <div className="no-results-icon">🔍</div>
-                    <h3>No businesses found</h3>
+                    <h3>{t("list.noneFound")}</h3>
                     <p>
                         {searchTerm || activeFilterCount > 0
-                            ? "Try adjusting your search criteria or filters"
-                            : "No businesses have been added yet"}
+                            ? t("list.adjustCriteria")
+                            : t("list.noBusinessesYet")}
                     </p>
                     {activeFilterCount > 0 && (
                         <button
                             className="clear-filters-suggestion"
                             onClick={() => window.location.reload()} // Simple approach, could be improved
                         >
-                            Clear all filters
+                            {t("list.clearAllFilters")}
                         </button>
                     )}
                 </div>
+            ) : view === "map" ? (
+                <BusinessMap
+                    businesses={businesses}
+                    near={filters.near}
+                    hasNextPage={hasNextPage}
+                    isFetchingNextPage={isFetchingNextPage}
+                    onLoadMore={fetchNextPage}
+                />
             ) : (
                 <>
                     {/* Main content with proper landmark */}
@@ -236,13 +296,13 @@ const BusinessList = memo(({ searchTerm, filters }) => {
                     {isFetchingNextPage && (
                         <div className="loading-more">
                             <LoadingSpinner />
-                            <p>Loading more businesses...</p>
+                            <p>{t("list.loadingMore")}</p>
                             <div
                                 role="status"
                                 aria-live="polite"
                                 className="sr-only"
                             >
-                                Loading more business results...
+                                {t("list.loadingMoreResults")}
                             </div>
                         </div>
                     )}
@@ -251,10 +311,8 @@ const BusinessList = memo(({ searchTerm, filters }) => {
                     {!hasNextPage && businesses.length > 0 && (
                         <div className="end-message">
                             <p>
-                                You've seen all {totalResults} business
-                                {totalResults === 1 ? "" : "es"}.
-                                {filterSummary &&
-                                    " Try adjusting your filters to see more results."}
+                                {t("list.seenAll", { count: totalResults })}
+                                {filterSummary && t("list.adjustFilters")}
                             </p>
                         </div>
                     )}
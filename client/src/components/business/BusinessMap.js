@@ -0,0 +1,99 @@
+// client/src/components/business/BusinessMap.js
+import React, { useState, useMemo } from "react";
+import { Link } from "react-router-dom";
+import TileMap from "../common/TileMap";
+import { useTranslation } from "../../contexts/LanguageContext";
+import { useLocalizedNames } from "../../hooks/useLocalizedNames";
+import { formatDistance, parseNearParam } from "../../utils/geo";
+import { POINT_ZOOM } from "../../constants/map";
+
+/**
+ * BusinessMap Component
+ *
+ * Map view of the loaded results (BusinessList's map toggle). Listings
+ * without a location are counted but not shown.
+ *
+ * @param {Array} businesses - Loaded results
+ * @param {string} [near] - "lat,lng" of the near me filter
+ * @param {boolean} hasNextPage
+ * @param {boolean} isFetchingNextPage
+ * @param {Function} onLoadMore
+ */
+const BusinessMap = ({
+    businesses,
+    near,
+    hasNextPage,
+    isFetchingNextPage,
+    onLoadMore,
+}) => {
+    const { t } = useTranslation();
+    const { categoryNames } = useLocalizedNames();
+    const [activeId, setActiveId] = useState(null);
+
+    const located = useMemo(
+        () => businesses.filter((business) => business.location),
+        [businesses]
+    );
+    const activeBusiness = located.find((business) => business._id === activeId);
+    const nearPoint = parseNearParam(near);
+
+    const markers = located.map((business) => ({
+        id: business._id,
+        lat: business.location.lat,
+        lng: business.location.lng,
+        label: business.businessName,
+        active: business._id === activeId,
+        popup:
+            business._id === activeId ? (
+                <div className="business-map-popup">
+                    <Link to={`/business/${business._id}`}>
+                        {business.businessName}
+                    </Link>
+                    <span>{categoryNames(business.categories)}</span>
+                    {business.distance !== undefined && (
+                        <span>
+                            {t("card.distance", {
+                                distance: formatDistance(business.distance),
+                            })}
+                        </span>
+                    )}
+                </div>
+            ) : null,
+    }));
+
+    const missingCount = businesses.length - located.length;
+
+    return (
+        <div className="business-map">
+            <TileMap
+                {...(nearPoint && { center: nearPoint, zoom: POINT_ZOOM - 2 })}
+                markers={markers}
+                fitMarkers={!nearPoint}
+                onMarkerClick={(id) => setActiveId(id === activeId ? null : id)}
+                onMapClick={activeBusiness ? () => setActiveId(null) : undefined}
+                className="business-map-canvas"
+                ariaLabel={t("list.mapLabel")}
+            />
+
+            <div className="business-map-footer">
+                {missingCount > 0 && (
+                    <span>{t("list.mapMissing", { count: missingCount })}</span>
+                )}
+                {hasNextPage && (
+                    <button
+                        type="button"
+                        className="business-map-more"
+                        onClick={onLoadMore}
+                        disabled={isFetchingNextPage}
+                    >
+                        {isFetchingNextPage
+                            ? t("list.loadingMore")
+                            : t("list.loadMore")}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default BusinessMap;
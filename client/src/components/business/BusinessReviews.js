@@ -0,0 +1,305 @@
+// client/src/components/business/BusinessReviews.js
+import React, { useState } from "react";
+import {
+    useQuery,
+    useMutation,
+    useQueryClient,
+    keepPreviousData,
+} from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { useUserAuth } from "../../contexts/UserAuthContext";
+import { useTranslation } from "../../contexts/LanguageContext";
+import reviewService from "../../services/reviewService";
+import LoadingSpinner from "../common/LoadingSpinner";
+
+const REVIEWS_PER_PAGE = 5;
+const MIN_LENGTH = 10;
+const MAX_LENGTH = 2000;
+
+const formatDate = (dateString, language) =>
+    new Date(dateString).toLocaleDateString(language, {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+    });
+
+/**
+ * BusinessReviews Component
+ *
+ * Review section for BusinessDetailPage:
+ * - Paginated list of visible reviews
+ * - The user's own review pinned on top with edit/delete
+ * - A form to write a review (verified users, one per business)
+ * - A report link on other users' reviews
+ *
+ * @param {string} businessId - MongoDB _id of the business
+ */
+const BusinessReviews = ({ businessId }) => {
+    const { isAuthenticated } = useUserAuth();
+    const { t, language } = useTranslation();
+    const queryClient = useQueryClient();
+    const [page, setPage] = useState(1);
+    const [draft, setDraft] = useState("");
+    const [isEditing, setIsEditing] = useState(false);
+
+    const { data, isLoading, isError } = useQuery({
+        queryKey: ["reviews", businessId, page, isAuthenticated],
+        queryFn: () =>
+            reviewService.getBusinessReviews(businessId, {
+                page,
+                limit: REVIEWS_PER_PAGE,
+            }),
+        placeholderData: keepPreviousData,
+    });
+
+    const refreshReviews = () =>
+        queryClient.invalidateQueries({ queryKey: ["reviews", businessId] });
+
+    const saveMutation = useMutation({
+        mutationFn: (text) =>
+            data?.myReview
+                ? reviewService.updateReview(data.myReview._id, text)
+                : reviewService.createReview(businessId, text),
+        onSuccess: (result) => {
+            toast.success(result.message);
+            setDraft("");
+            setIsEditing(false);
+            refreshReviews();
+        },
+        onError: (error) => toast.error(error.details[0] || error.message),
+    });
+
+    const deleteMutation = useMutation({
+        mutationFn: (reviewId) => reviewService.deleteReview(reviewId),
+        onSuccess: (result) => {
+            toast.success(result.message);
+            refreshReviews();
+        },
+        onError: (error) => toast.error(error.message),
+    });
+
+    const reportMutation = useMutation({
+        mutationFn: ({ reviewId, reason }) =>
+            reviewService.reportReview(reviewId, reason),
+        onSuccess: (result) => {
+            toast.success(result.message);
+            refreshReviews();
+        },
+        onError: (error) => toast.error(error.message),
+    });
+
+    const myReview = data?.myReview || null;
+    const reviews = (data?.reviews || []).filter(
+        (review) => review._id !== myReview?._id
+    );
+    const pagination = data?.pagination;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        saveMutation.mutate(draft.trim());
+    };
+
+    const startEditing = () => {
+        setDraft(myReview.text);
+        setIsEditing(true);
+    };
+
+    const cancelEditing = () => {
+        setDraft("");
+        setIsEditing(false);
+    };
+
+    const handleDelete = () => {
+        if (window.confirm(t("reviews.confirmDelete"))) {
+            deleteMutation.mutate(myReview._id);
+        }
+    };
+
+    const handleReport = (review) => {
+        const reason = window.prompt(
+            `${t("reviews.reportPrompt", { name: review.author.name })}\n\n${t(
+                "reviews.reportReason"
+            )}`
+        );
+
+        // null means the user cancelled the prompt
+        if (reason !== null) {
+            reportMutation.mutate({ reviewId: review._id, reason: reason.trim() });
+        }
+    };
+
+    const draftLength = draft.trim().length;
+
+    const renderForm = () => (
+        <form className="review-form" onSubmit={handleSubmit}>
+            <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                placeholder={t("reviews.placeholder")}
+                maxLength={MAX_LENGTH}
+                rows={4}
+                disabled={saveMutation.isPending}
+            />
+            <div className="review-form-footer">
+                <span className="review-char-count">
+                    {draftLength}/{MAX_LENGTH}
+                </span>
+                <div className="review-form-actions">
+                    {isEditing && (
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={cancelEditing}
+                            disabled={saveMutation.isPending}
+                        >
+                            {t("reviews.cancel")}
+                        </button>
+                    )}
+                    <button
+                        type="submit"
+                        className="btn btn-primary"
+                        disabled={
+                            saveMutation.isPending || draftLength < MIN_LENGTH
+                        }
+                    >
+                        {saveMutation.isPending
+                            ? t("reviews.saving")
+                            : isEditing
+                            ? t("reviews.saveChanges")
+                            : t("reviews.post")}
+                    </button>
+                </div>
+            </div>
+        </form>
+    );
+
+    const renderReview = (review) => (
+        <li
+            key={review._id}
+            className={`review-item ${review.isOwn ? "own" : ""}`}
+        >
+            <div className="review-header">
+                <span className="review-author">
+                    {review.isOwn ? t("reviews.yours") : review.author.name}
+                </span>
+                <span className="review-date">
+                    {formatDate(review.createdAt, language)}
+                    {review.editedAt && ` (${t("reviews.edited")})`}
+                </span>
+            </div>
+
+            {review.isOwn && review.status === "hidden" && (
+                <p className="review-hidden-notice">
+                    {t("reviews.hiddenNotice")}
+                </p>
+            )}
+
+            <p className="review-text">{review.text}</p>
+
+            <div className="review-actions">
+                {review.isOwn ? (
+                    <>
+                        <button
+                            type="button"
+                            onClick={startEditing}
+                            disabled={deleteMutation.isPending}
+                        >
+                            {t("reviews.edit")}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={handleDelete}
+                            disabled={deleteMutation.isPending}
+                        >
+                            {t("reviews.delete")}
+                        </button>
+                    </>
+                ) : (
+                    isAuthenticated &&
+                    (review.hasReported ? (
+                        <span className="review-reported">
+                            {t("reviews.reported")}
+                        </span>
+                    ) : (
+                        <button
+                            type="button"
+                            onClick={() => handleReport(review)}
+                            disabled={reportMutation.isPending}
+                        >
+                            🚩 {t("reviews.report")}
+                        </button>
+                    ))
+                )}
+            </div>
+        </li>
+    );
+
+    return (
+        <div className="business-reviews-section">
+            <h3>
+                {t("reviews.title")}
+                {pagination?.totalReviews > 0 &&
+                    ` (${pagination.totalReviews})`}
+            </h3>
+
+            {!isAuthenticated ? (
+                <button
+                    type="button"
+                    className="btn btn-secondary review-login"
+                    onClick={() =>
+                        window.dispatchEvent(new CustomEvent("open-login-modal"))
+                    }
+                >
+                    {t("reviews.loginToWrite")}
+                </button>
+            ) : myReview && !isEditing ? (
+                <ul className="review-list">{renderReview(myReview)}</ul>
+            ) : (
+                !isLoading && renderForm()
+            )}
+
+            {isLoading ? (
+                <LoadingSpinner />
+            ) : isError ? (
+                <p className="reviews-empty">
+                    {t("reviews.loadFailed")}
+                </p>
+            ) : reviews.length === 0 && !myReview ? (
+                <p className="reviews-empty">
+                    {t("reviews.empty")}
+                </p>
+            ) : (
+                <ul className="review-list">{reviews.map(renderReview)}</ul>
+            )}
+
+            {pagination && pagination.totalPages > 1 && (
+                <div className="reviews-pagination">
+                    <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => setPage(page - 1)}
+                        disabled={!pagination.hasPrev}
+                    >
+                        {t("reviews.previous")}
+                    </button>
+                    <span className="page-info">
+                        {t("reviews.page", {
+                            current: pagination.currentPage,
+                            total: pagination.totalPages,
+                        })}
+                    </span>
+                    <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => setPage(page + 1)}
+                        disabled={!pagination.hasNext}
+                    >
+                        {t("reviews.next")}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BusinessReviews;
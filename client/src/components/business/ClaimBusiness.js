@@ -0,0 +1,162 @@
+// client/src/components/business/ClaimBusiness.js
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { useUserAuth } from "../../contexts/UserAuthContext";
+import { useTranslation } from "../../contexts/LanguageContext";
+import ownerService from "../../services/ownerService";
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * ClaimBusiness Component
+ *
+ * "Is this your business?" box on BusinessDetailPage:
+ * - Guests are asked to log in first
+ * - Users can claim an unclaimed listing with an optional message
+ * - Owners get a link to the owner dashboard
+ * - Pending/rejected claims show their status
+ *
+ * @param {string} businessId - MongoDB _id of the business
+ * @param {boolean} isClaimed - Whether the listing already has an owner
+ */
+const ClaimBusiness = ({ businessId, isClaimed }) => {
+    const { isAuthenticated } = useUserAuth();
+    const { t } = useTranslation();
+    const queryClient = useQueryClient();
+    const [showForm, setShowForm] = useState(false);
+    const [message, setMessage] = useState("");
+
+    const { data: status } = useQuery({
+        queryKey: ["claim-status", businessId],
+        queryFn: () => ownerService.getClaimStatus(businessId),
+        enabled: isAuthenticated,
+    });
+
+    const claimMutation = useMutation({
+        mutationFn: () => ownerService.claimBusiness(businessId, message.trim()),
+        onSuccess: (result) => {
+            toast.success(result.message);
+            setShowForm(false);
+            setMessage("");
+            queryClient.invalidateQueries({
+                queryKey: ["claim-status", businessId],
+            });
+            queryClient.invalidateQueries({ queryKey: ["owner-dashboard"] });
+        },
+        onError: (error) => toast.error(error.details[0] || error.message),
+    });
+
+    // Someone else owns it - nothing to offer
+    if ((status?.isClaimed ?? isClaimed) && !status?.isOwner) return null;
+
+    const renderContent = () => {
+        if (!isAuthenticated) {
+            return (
+                <>
+                    <p>{t("claim.guestText")}</p>
+                    <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() =>
+                            window.dispatchEvent(
+                                new CustomEvent("open-login-modal")
+                            )
+                        }
+                    >
+                        {t("claim.loginToClaim")}
+                    </button>
+                </>
+            );
+        }
+
+        if (status?.isOwner) {
+            return (
+                <>
+                    <p>{t("claim.youManage")}</p>
+                    <Link to="/owner" className="btn btn-primary">
+                        {t("claim.goToDashboard")}
+                    </Link>
+                </>
+            );
+        }
+
+        if (status?.claim?.status === "pending") {
+            return (
+                <p>{t("claim.pending")}</p>
+            );
+        }
+
+        return (
+            <>
+                {status?.claim?.status === "rejected" && (
+                    <p className="claim-business-rejected">
+                        {t("claim.rejected")}
+                        {status.claim.rejectionReason &&
+                            `: ${status.claim.rejectionReason}`}
+                    </p>
+                )}
+
+                {showForm ? (
+                    <form
+                        className="claim-business-form"
+                        onSubmit={(e) => {
+                            e.preventDefault();
+                            claimMutation.mutate();
+                        }}
+                    >
+                        <p>{t("claim.formText")}</p>
+                        <textarea
+                            value={message}
+                            onChange={(e) => setMessage(e.target.value)}
+                            placeholder={t("claim.placeholder")}
+                            maxLength={MAX_MESSAGE_LENGTH}
+                            rows={3}
+                            disabled={claimMutation.isPending}
+                        />
+                        <div className="claim-business-actions">
+                            <button
+                                type="button"
+                                className="btn btn-secondary"
+                                onClick={() => setShowForm(false)}
+                                disabled={claimMutation.isPending}
+                            >
+                                {t("claim.cancel")}
+                            </button>
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                disabled={claimMutation.isPending}
+                            >
+                                {claimMutation.isPending
+                                    ? t("claim.submitting")
+                                    : t("claim.submit")}
+                            </button>
+                        </div>
+                    </form>
+                ) : (
+                    <>
+                        <p>{t("claim.offerText")}</p>
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={() => setShowForm(true)}
+                        >
+                            {t("claim.claim")}
+                        </button>
+                    </>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <div className="claim-business-section">
+            <h3>{t("claim.title")}</h3>
+            {renderContent()}
+        </div>
+    );
+};
+
+export default ClaimBusiness;
@@ -2,6 +2,17 @@
 import React, { useState, useRef, useEffect, memo } from "react";
 import { useQuery } from "@tanstack/react-query";
 import businessService from "../../services/businessService";
+import { useTranslation } from "../../contexts/LanguageContext";
+import { useLocalizedNames } from "../../hooks/useLocalizedNames";
+import {
+    formatDistance,
+    getCurrentPosition,
+    toNearParam,
+} from "../../utils/geo";
+import {
+    NEAR_RADIUS_OPTIONS,
+    DEFAULT_NEAR_RADIUS,
+} from "../../constants/map";
 // REMOVED: Heavy components.css - using optimized components-filters.css instead
 import "../../styles/components-filters.css";
 
@@ -11,6 +22,11 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
     // Search state for dropdowns
     const [categorySearch, setCategorySearch] = useState("");
     const [citySearch, setCitySearch] = useState("");
+    // Near me filter - browser position lookup
+    const [isLocating, setIsLocating] = useState(false);
+    const [locateError, setLocateError] = useState("");
+    const { t } = useTranslation();
+    const { categoryName, cityName } = useLocalizedNames();
 
     // Fetch categories and cities
     const { data: categories = [] } = useQuery({
@@ -25,14 +41,14 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
 
     // Business type options
     const businessTypes = [
-        { value: "individual", label: "Individual" },
-        { value: "company", label: "Company" },
+        { value: "individual", label: t("filters.individual") },
+        { value: "company", label: t("filters.company") },
     ];
 
     // Status options (keeping single select)
     const statusOptions = [
-        { value: "true", label: "Verified" },
-        { value: "false", label: "Unverified" },
+        { value: "true", label: t("filters.verified") },
+        { value: "false", label: t("filters.unverified") },
     ];
 
     // Handle clicking outside dropdown
@@ -90,6 +106,24 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
         }
     };
 
+    // Near me - listings around the browser position, nearest first
+    const handleNearMe = async () => {
+        setIsLocating(true);
+        setLocateError("");
+        try {
+            const position = await getCurrentPosition();
+            onFilterChange({
+                ...filters,
+                near: toNearParam(position),
+                radius: filters.radius || DEFAULT_NEAR_RADIUS,
+            });
+        } catch {
+            setLocateError(t("filters.locationError"));
+        } finally {
+            setIsLocating(false);
+        }
+    };
+
     // Clear all filters
     const clearAllFilters = () => {
         onFilterChange({});
@@ -106,24 +140,37 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
         if (filters.businessTypes?.length)
             count += filters.businessTypes.length;
         if (filters.verified) count += 1;
+        if (filters.openNow) count += 1;
+        if (filters.near) count += 1;
         return count;
     };
 
-    // Filter functions for search
+    // Filter functions for search (match English or localized name)
+    const matchesSearch = (names, search) =>
+        names.some((name) =>
+            name.toLowerCase().includes(search.toLowerCase())
+        );
+
     const filterCategories = (categories) => {
         if (!categorySearch.trim()) return categories;
         return categories.filter((cat) =>
-            cat.name.toLowerCase().includes(categorySearch.toLowerCase())
+            matchesSearch([cat.name, categoryName(cat.name)], categorySearch)
         );
     };
 
     const filterCities = (cities) => {
         if (!citySearch.trim()) return cities;
         return cities.filter((city) =>
-            city.toLowerCase().includes(citySearch.toLowerCase())
+            matchesSearch([city, cityName(city)], citySearch)
         );
     };
 
+    // Localized labels for category/city values
+    const optionLabels = {
+        categories: categoryName,
+        cities: cityName,
+    };
+
     // Enhanced dropdown with search capability
     const renderMultiSelectDropdown = (
         filterType,
@@ -139,7 +186,11 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                     <div className="dropdown-search">
                         <input
                             type="text"
-                            placeholder={`Search ${filterType}...`}
+                            placeholder={
+                                filterType === "categories"
+                                    ? t("filters.searchCategories")
+                                    : t("filters.searchCities")
+                            }
                             value={searchTerm}
                             onChange={(e) => setSearchTerm(e.target.value)}
                             className="dropdown-search-input"
@@ -155,10 +206,13 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                         typeof option === "string"
                             ? option
                             : option.name || option.value; // Use name for categories, value for others
-                    const label =
+                    const rawLabel =
                         typeof option === "string"
                             ? option
                             : option.name || option.label; // Use name for categories, label for others
+                    const label = optionLabels[filterType]
+                        ? optionLabels[filterType](rawLabel)
+                        : rawLabel;
                     const isSelected = currentValues.includes(value);
 
                     return (
@@ -207,7 +261,9 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                         />
                         <span className="radiomark"></span>
                     </div>
-                    <span className="option-label">All Businesses</span>
+                    <span className="option-label">
+                        {t("filters.allBusinesses")}
+                    </span>
                 </div>
                 {options.map((option) => {
                     const value =
@@ -259,9 +315,9 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                         <button
                             className="tag-remove"
                             onClick={() => removeTag(filterType, value)}
-                            aria-label={`Remove ${getDisplayName(
-                                value
-                            )} filter`}
+                            aria-label={t("filters.removeFilter", {
+                                name: getDisplayName(value),
+                            })}
                         >
                             ×
                         </button>
@@ -283,8 +339,8 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
         return status
             ? status.label
             : value === "true"
-            ? "Verified"
-            : "Unverified";
+            ? t("filters.verified")
+            : t("filters.unverified");
     };
 
     const activeFilterCount = getActiveFilterCount();
@@ -292,7 +348,7 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
     return (
         <div className={`filter-panel ${isMobile ? "mobile" : ""}`}>
             <div className="filter-header">
-                <h3>Filters</h3>
+                <h3>{t("filters.title")}</h3>
                 {activeFilterCount > 0 && (
                     <span className="filter-count">{activeFilterCount}</span>
                 )}
@@ -300,7 +356,7 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
 
             {/* Categories Filter */}
             <div className="filter-group">
-                <label>Categories:</label>
+                <label>{t("filters.categories")}</label>
                 <div
                     className="dropdown-wrapper"
                     ref={(el) => (dropdownRefs.current.categories = el)}
@@ -317,7 +373,7 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                             )
                         }
                     >
-                        <span>Select Categories</span>
+                        <span>{t("filters.selectCategories")}</span>
                         <span className="dropdown-arrow">▼</span>
                     </button>
 
@@ -331,12 +387,12 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                         )}
                 </div>
 
-                {renderTags("categories", filters.categories)}
+                {renderTags("categories", filters.categories, categoryName)}
             </div>
 
             {/* Cities Filter */}
             <div className="filter-group">
-                <label>Cities:</label>
+                <label>{t("filters.cities")}</label>
                 <div
                     className="dropdown-wrapper"
                     ref={(el) => (dropdownRefs.current.cities = el)}
@@ -351,7 +407,7 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                             )
                         }
                     >
-                        <span>Select Cities</span>
+                        <span>{t("filters.selectCities")}</span>
                         <span className="dropdown-arrow">▼</span>
                     </button>
 
@@ -365,12 +421,12 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                         )}
                 </div>
 
-                {renderTags("cities", filters.cities)}
+                {renderTags("cities", filters.cities, cityName)}
             </div>
 
             {/* Business Type Filter */}
             <div className="filter-group">
-                <label>Business Type:</label>
+                <label>{t("filters.businessType")}</label>
                 <div
                     className="dropdown-wrapper"
                     ref={(el) => (dropdownRefs.current.businessTypes = el)}
@@ -387,7 +443,7 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                             )
                         }
                     >
-                        <span>Select Type</span>
+                        <span>{t("filters.selectType")}</span>
                         <span className="dropdown-arrow">▼</span>
                     </button>
 
@@ -408,7 +464,7 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
 
             {/* Status Filter (Single Select) */}
             <div className="filter-group">
-                <label>Status:</label>
+                <label>{t("filters.status")}</label>
                 <div
                     className="dropdown-wrapper"
                     ref={(el) => (dropdownRefs.current.verified = el)}
@@ -426,7 +482,7 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                         <span>
                             {filters.verified
                                 ? getStatusLabel(filters.verified)
-                                : "All Businesses"}
+                                : t("filters.allBusinesses")}
                         </span>
                         <span className="dropdown-arrow">▼</span>
                     </button>
@@ -443,10 +499,86 @@ const FilterPanel = memo(({ filters, onFilterChange, isMobile = false }) => {
                     renderTags("verified", filters.verified, getStatusLabel)}
             </div>
 
+            {/* Open Now Filter (Georgian time) */}
+            <div className="filter-group">
+                <label className="filter-toggle">
+                    <input
+                        type="checkbox"
+                        checked={!!filters.openNow}
+                        onChange={(e) =>
+                            onFilterChange({
+                                ...filters,
+                                openNow: e.target.checked || undefined,
+                            })
+                        }
+                    />
+                    <span>{t("filters.openNow")}</span>
+                </label>
+            </div>
+
+            {/* Near Me Filter (browser location) */}
+            <div className="filter-group">
+                <label>{t("filters.distance")}</label>
+                {filters.near ? (
+                    <div className="near-filter">
+                        <select
+                            value={filters.radius}
+                            onChange={(e) =>
+                                onFilterChange({
+                                    ...filters,
+                                    radius: Number(e.target.value),
+                                })
+                            }
+                            aria-label={t("filters.distance")}
+                        >
+                            {NEAR_RADIUS_OPTIONS.map((radius) => (
+                                <option key={radius} value={radius}>
+                                    {t("filters.within", {
+                                        distance: formatDistance(radius),
+                                    })}
+                                </option>
+                            ))}
+                        </select>
+                        <button
+                            type="button"
+                            className="near-filter-remove"
+                            onClick={() =>
+                                onFilterChange({
+                                    ...filters,
+                                    near: undefined,
+                                    radius: undefined,
+                                })
+                            }
+                            aria-label={t("filters.removeFilter", {
+                                name: t("filters.nearMe"),
+                            })}
+                        >
+                            ×
+                        </button>
+                    </div>
+                ) : (
+                    <button
+                        type="button"
+                        className="near-me-btn"
+                        onClick={handleNearMe}
+                        disabled={isLocating}
+                    >
+                        {isLocating
+                            ? t("filters.locating")
+                            : `📍 ${t("filters.nearMe")}`}
+                    </button>
+                )}
+                {locateError && (
+                    <p className="filter-error" role="alert">
+                        {locateError}
+                    </p>
+                )}
+            </div>
+
             {/* Clear All Filters */}
             {activeFilterCount > 0 && (
                 <button className="clear-filters-btn" onClick={clearAllFilters}>
-                    Clear All Filters ({activeFilterCount})
+                    {t("filters.clearAll", { count: activeFilterCount })}
                 </button>
             )}
         </div>
@@ -1,6 +1,7 @@
 // client/src/components/business/FullScreenFilterModal.js
 import React, { useEffect, useRef } from "react";
 import FilterPanel from "./FilterPanel";
+import { useTranslation } from "../../contexts/LanguageContext";
 import "../../styles/components-filters.css";
 
 const FullScreenFilterModal = ({
@@ -11,6 +12,7 @@ const FullScreenFilterModal = ({
     onApplyFilters,
 }) => {
     const modalRef = useRef(null);
+    const { t } = useTranslation();
 
     // Handle escape key and backdrop click
     useEffect(() => {
@@ -51,6 +53,8 @@ const FullScreenFilterModal = ({
         if (filters.businessTypes?.length)
             count += filters.businessTypes.length;
         if (filters.verified) count += 1;
+        if (filters.openNow) count += 1;
+        if (filters.near) count += 1;
         return count;
     };
 
@@ -60,15 +64,15 @@ const FullScreenFilterModal = ({
                 {/* Modal Header */}
                 <div className="filter-modal-header">
                     <div className="filter-modal-title">
-                        <h2>Filter Businesses</h2>
+                        <h2>{t("filters.modalTitle")}</h2>
                         <span className="filter-subtitle">
-                            Find exactly what you're looking for
+                            {t("filters.modalSubtitle")}
                         </span>
                     </div>
                     <button
                         className="filter-modal-close"
                         onClick={onClose}
-                        title="Close filters"
+                        title={t("filters.close")}
                     >
                         ✕
                     </button>
@@ -90,7 +94,7 @@ const FullScreenFilterModal = ({
                             className="filter-apply-btn"
                             onClick={handleApply}
                         >
-                            Apply Filters
+                            {t("filters.apply")}
                             {getActiveFilterCount() > 0 && (
                                 <span className="apply-count">
                                     ({getActiveFilterCount()})
@@ -98,7 +102,7 @@ const FullScreenFilterModal = ({
                             )}
                         </button>
                         <button className="filter-clear-btn" onClick={onClose}>
-                            Cancel
+                            {t("filters.cancel")}
                         </button>
                     </div>
                 </div>
@@ -1,8 +1,13 @@
 // client/src/components/business/MobileFilterWrapper.js - CREATE NEW FILE
 import React, { useState, useEffect, useCallback } from "react";
 import FilterPanel from "./FilterPanel";
+import { useTranslation } from "../../contexts/LanguageContext";
+import { useLocalizedNames } from "../../hooks/useLocalizedNames";
+import { formatDistance } from "../../utils/geo";
 
 const MobileFilterWrapper = ({ filters, onFilterChange }) => {
+    const { t } = useTranslation();
+    const { categoryName, cityName } = useLocalizedNames();
     const [isCollapsed, setIsCollapsed] = useState(false);
     const [lastScrollY, setLastScrollY] = useState(0);
     const [isMobile, setIsMobile] = useState(false);
@@ -68,6 +73,8 @@ const MobileFilterWrapper = ({ filters, onFilterChange }) => {
         if (filters.businessTypes?.length)
             count += filters.businessTypes.length;
         if (filters.verified) count += 1;
+        if (filters.openNow) count += 1;
+        if (filters.near) count += 1;
         return count;
     };
 
@@ -80,7 +87,7 @@ const MobileFilterWrapper = ({ filters, onFilterChange }) => {
                 ...filters.categories.slice(0, 2).map((cat) => ({
                     type: "category",
                     value: cat,
-                    label: cat,
+                    label: categoryName(cat),
                 }))
             );
         }
@@ -90,18 +97,21 @@ const MobileFilterWrapper = ({ filters, onFilterChange }) => {
             tags.push(
                 ...filters.cities
                     .slice(0, remaining)
-                    .map((city) => ({ type: "city", value: city, label: city }))
+                    .map((city) => ({
+                        type: "city",
+                        value: city,
+                        label: cityName(city),
+                    }))
             );
         }
 
         if (filters.businessTypes?.length && tags.length < 3) {
             const remaining = 3 - tags.length;
-            const typeLabels = { individual: "Individual", company: "Company" };
             tags.push(
                 ...filters.businessTypes.slice(0, remaining).map((type) => ({
                     type: "businessType",
                     value: type,
-                    label: typeLabels[type] || type,
+                    label: t(`filters.${type}`),
                 }))
             );
         }
@@ -110,7 +120,28 @@ const MobileFilterWrapper = ({ filters, onFilterChange }) => {
             tags.push({
                 type: "verified",
                 value: filters.verified,
-                label: filters.verified === "true" ? "Verified" : "Unverified",
+                label:
+                    filters.verified === "true"
+                        ? t("filters.verified")
+                        : t("filters.unverified"),
+            });
+        }
+
+        if (filters.openNow && tags.length < 3) {
+            tags.push({
+                type: "openNow",
+                value: true,
+                label: t("filters.openNow"),
+            });
+        }
+
+        if (filters.near && tags.length < 3) {
+            tags.push({
+                type: "near",
+                value: filters.near,
+                label: t("filters.within", {
+                    distance: formatDistance(filters.radius),
+                }),
             });
         }
 
@@ -148,7 +179,7 @@ const MobileFilterWrapper = ({ filters, onFilterChange }) => {
                             gap: "0.5rem",
                         }}
                     >
-                        <h3>Filters</h3>
+                        <h3>{t("filters.title")}</h3>
                         {activeFilterCount > 0 && (
                             <span className="filter-count">
                                 {activeFilterCount}
@@ -160,10 +191,14 @@ const MobileFilterWrapper = ({ filters, onFilterChange }) => {
                         className="mobile-toggle"
                         onClick={() => setIsCollapsed(!isCollapsed)}
                         aria-label={
-                            isCollapsed ? "Show filters" : "Hide filters"
+                            isCollapsed
+                                ? t("filters.showFilters")
+                                : t("filters.hideFilters")
                         }
                     >
-                        <span>{isCollapsed ? "Show" : "Hide"}</span>
+                        <span>
+                            {isCollapsed ? t("filters.show") : t("filters.hide")}
+                        </span>
                         <span
                             style={{
                                 transform: isCollapsed
@@ -194,8 +229,11 @@ const MobileFilterWrapper = ({ filters, onFilterChange }) => {
                                 style={{ background: "#6c757d" }}
                             >
                                 <span className="tag-text">
-                                    +{activeFilterCount - previewTags.length}{" "}
-                                    more
+                                    {t("filters.more", {
+                                        count:
+                                            activeFilterCount -
+                                            previewTags.length,
+                                    })}
                                 </span>
                             </span>
                         )}
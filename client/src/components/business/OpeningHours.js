@@ -0,0 +1,98 @@
+// client/src/components/business/OpeningHours.js
+import React from "react";
+import { useTranslation } from "../../contexts/LanguageContext";
+import {
+    DAY_ORDER,
+    formatHoursDate,
+    formatPeriod,
+    getGeorgiaWeekday,
+    getWeekdayName,
+} from "../../utils/openingHours";
+import "../../styles/opening-hours.css";
+
+/**
+ * OpeningHours Component
+ *
+ * Weekly schedule for the business detail page, with an open/closed badge
+ * (computed by the server in Georgian time), today highlighted and
+ * upcoming holidays or closures.
+ *
+ * @param {Object} openingHours - { weekly, exceptions }
+ * @param {Object} openStatus - { hasHours, isOpen, exception }
+ */
+const OpeningHours = ({ openingHours, openStatus }) => {
+    const { language, t } = useTranslation();
+
+    if (!openStatus?.hasHours) return null;
+
+    const today = getGeorgiaWeekday();
+    const exceptions = openingHours?.exceptions || [];
+
+    const getDayHours = (day) => {
+        const periods = openingHours.weekly
+            .filter((period) => period.day === day)
+            .sort((a, b) => a.open.localeCompare(b.open));
+        return periods.length > 0
+            ? periods.map(formatPeriod).join(", ")
+            : t("hours.closed");
+    };
+
+    const formatRange = ({ startDate, endDate }) =>
+        startDate === endDate
+            ? formatHoursDate(startDate, language)
+            : `${formatHoursDate(startDate, language)} – ${formatHoursDate(endDate, language)}`;
+
+    return (
+        <div className="opening-hours-section">
+            <div className="opening-hours-header">
+                <h3>{t("hours.title")}</h3>
+                <span
+                    className={`open-status-badge ${openStatus.isOpen ? "open" : ""}`}
+                >
+                    {openStatus.isOpen ? t("hours.openNow") : t("hours.closedNow")}
+                </span>
+            </div>
+
+            {openStatus.exception && (
+                <p className="opening-hours-note">
+                    {openStatus.exception.closed
+                        ? t("hours.closedToday")
+                        : t("hours.specialHoursToday")}
+                    {openStatus.exception.note && ` – ${openStatus.exception.note}`}
+                </p>
+            )}
+
+            <table className="opening-hours-table">
+                <tbody>
+                    {DAY_ORDER.map((day) => (
+                        <tr key={day} className={day === today ? "today" : ""}>
+                            <th scope="row">{getWeekdayName(day, language)}</th>
+                            <td>{getDayHours(day)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {exceptions.length > 0 && (
+                <div className="opening-hours-exceptions">
+                    <h4>{t("hours.exceptions")}</h4>
+                    <ul>
+                        {exceptions.map((exception) => (
+                            <li key={`${exception.startDate}-${exception.endDate}`}>
+                                {formatRange(exception)}:{" "}
+                                {exception.closed
+                                    ? t("hours.closed")
+                                    : formatPeriod(exception)}
+                                {exception.note && ` (${exception.note})`}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <p className="opening-hours-note">{t("hours.timezoneNote")}</p>
+        </div>
+    );
+};
+
+export default OpeningHours;
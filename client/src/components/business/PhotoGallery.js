@@ -0,0 +1,97 @@
+// client/src/components/business/PhotoGallery.js
+import React, { useState } from "react";
+import PhotoLightbox from "./PhotoLightbox";
+import { useTranslation } from "../../contexts/LanguageContext";
+import {
+    getImageUrl,
+    getResponsiveImageProps,
+} from "../../utils/imageHelper";
+import "../../styles/gallery.css";
+
+// Grid cells are 140-180px wide plus the leftover space (gallery.css)
+const THUMBNAIL_SIZES = "(min-width: 768px) 240px, 50vw";
+
+/**
+ * PhotoGallery Component
+ *
+ * Thumbnail grid of a listing's approved gallery photos (the server only
+ * sends those) that opens PhotoLightbox. Renders nothing without photos.
+ *
+ * @param {Array} photos - [{ _id, webp, avif, width, height, caption, image }]
+ *   `image` is srcset-ready (null for photos not yet reprocessed)
+ * @param {string} businessName
+ */
+const PhotoGallery = ({ photos = [], businessName }) => {
+    const { t } = useTranslation();
+    const [openIndex, setOpenIndex] = useState(null);
+
+    if (photos.length === 0) return null;
+
+    return (
+        <section className="photo-gallery" aria-labelledby="photo-gallery-title">
+            <h3 id="photo-gallery-title">{t("gallery.title")}</h3>
+
+            <div className="photo-gallery-grid">
+                {photos.map((photo, index) => (
+                    <button
+                        key={photo._id}
+                        type="button"
+                        className="photo-gallery-item"
+                        onClick={() => setOpenIndex(index)}
+                        // Blurry preview while the thumbnail loads
+                        style={
+                            photo.image?.placeholder
+                                ? {
+                                      backgroundImage: `url("${photo.image.placeholder}")`,
+                                      backgroundSize: "cover",
+                                  }
+                                : undefined
+                        }
+                        aria-label={t("gallery.open", {
+                            index: index + 1,
+                            count: photos.length,
+                        })}
+                    >
+                        <picture>
+                            {photo.image ? (
+                                getResponsiveImageProps(photo.image).sources.map(
+                                    (source) => (
+                                        <source
+                                            key={source.type}
+                                            type={source.type}
+                                            srcSet={source.srcSet}
+                                            sizes={THUMBNAIL_SIZES}
+                                        />
+                                    )
+                                )
+                            ) : photo.avif ? (
+                                <source
+                                    srcSet={getImageUrl(photo.avif, "thumbnail")}
+                                    type="image/avif"
+                                />
+                            ) : null}
+                            <img
+                                src={getImageUrl(photo.webp, "thumbnail")}
+                                alt={photo.caption || ""}
+                                loading="lazy"
+                                decoding="async"
+                            />
+                        </picture>
+                    </button>
+                ))}
+            </div>
+
+            {openIndex !== null && (
+                <PhotoLightbox
+                    photos={photos}
+                    index={openIndex}
+                    businessName={businessName}
+                    onChange={setOpenIndex}
+                    onClose={() => setOpenIndex(null)}
+                />
+            )}
+        </section>
+    );
+};
+
+export default PhotoGallery;
@@ -0,0 +1,126 @@
+// client/src/components/business/PhotoLightbox.js
+import React, { useEffect, useRef } from "react";
+import { useResponsiveImage } from "../../hooks/useResponsiveImage";
+import { useTranslation } from "../../contexts/LanguageContext";
+
+/**
+ * PhotoLightbox Component
+ *
+ * Full screen view of one gallery photo. The AVIF or WebP file is picked by
+ * useResponsiveImage from what the browser supports. Escape closes it, the
+ * arrow keys move between photos.
+ *
+ * @param {Array} photos - Public gallery photos
+ * @param {number} index - Index of the open photo
+ * @param {string} businessName
+ * @param {Function} onChange - Called with the new index
+ * @param {Function} onClose
+ */
+const PhotoLightbox = ({ photos, index, businessName, onChange, onClose }) => {
+    const { t } = useTranslation();
+    const closeRef = useRef(null);
+    const photo = photos[index];
+    const count = photos.length;
+
+    const { imageUrl, isLoading, hasError } = useResponsiveImage(photo._id, {
+        sources: { avif: photo.avif, webp: photo.webp },
+    });
+
+    const showPrevious = () => onChange((index - 1 + count) % count);
+    const showNext = () => onChange((index + 1) % count);
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.key === "Escape") onClose();
+            if (count < 2) return;
+            if (event.key === "ArrowLeft") onChange((index - 1 + count) % count);
+            if (event.key === "ArrowRight") onChange((index + 1) % count);
+        };
+
+        document.addEventListener("keydown", handleKeyDown);
+        return () => document.removeEventListener("keydown", handleKeyDown);
+    }, [index, count, onChange, onClose]);
+
+    // Lock background scroll and give focus back to the thumbnail on close
+    useEffect(() => {
+        const previousFocus = document.activeElement;
+        document.body.style.overflow = "hidden";
+        closeRef.current?.focus();
+
+        return () => {
+            document.body.style.overflow = "unset";
+            previousFocus?.focus?.();
+        };
+    }, []);
+
+    return (
+        <div
+            className="photo-lightbox"
+            role="dialog"
+            aria-modal="true"
+            aria-label={t("gallery.dialog", { name: businessName })}
+            onClick={(event) => {
+                if (event.target === event.currentTarget) onClose();
+            }}
+        >
+            {count > 1 && (
+                <span className="photo-lightbox-counter">
+                    {t("gallery.counter", { index: index + 1, count })}
+                </span>
+            )}
+
+            <figure className="photo-lightbox-figure">
+                {hasError ? (
+                    <span className="photo-lightbox-status">
+                        {t("gallery.error")}
+                    </span>
+                ) : isLoading || !imageUrl ? (
+                    <span className="photo-lightbox-status" aria-live="polite">
+                        {t("gallery.loading")}
+                    </span>
+                ) : (
+                    <img
+                        src={imageUrl}
+                        alt={photo.caption || businessName}
+                        width={photo.width || undefined}
+                        height={photo.height || undefined}
+                    />
+                )}
+                {photo.caption && <figcaption>{photo.caption}</figcaption>}
+            </figure>
+
+            {count > 1 && (
+                <>
+                    <button
+                        type="button"
+                        className="photo-lightbox-prev"
+                        onClick={showPrevious}
+                        aria-label={t("gallery.previous")}
+                    >
+                        ‹
+                    </button>
+                    <button
+                        type="button"
+                        className="photo-lightbox-next"
+                        onClick={showNext}
+                        aria-label={t("gallery.next")}
+                    >
+                        ›
+                    </button>
+                </>
+            )}
+
+            <button
+                ref={closeRef}
+                type="button"
+                className="photo-lightbox-close"
+                onClick={onClose}
+                aria-label={t("gallery.close")}
+            >
+                ×
+            </button>
+        </div>
+    );
+};
+
+export default PhotoLightbox;
@@ -0,0 +1,79 @@
+// client/src/components/business/RelatedBusinesses.js
+import React, { useRef } from "react";
+import { useQuery } from "@tanstack/react-query";
+import businessService from "../../services/businessService";
+import BusinessCard from "./BusinessCard";
+import { useTranslation } from "../../contexts/LanguageContext";
+
+/**
+ * RelatedBusinesses Component
+ *
+ * Horizontally scrolling strip of similar listings for the detail page
+ * (ranked by the server: GET /api/businesses/:id/related). Renders nothing
+ * while loading, on errors or when there are no matches.
+ *
+ * @param {string} businessId
+ */
+const RelatedBusinesses = ({ businessId }) => {
+    const { language, t } = useTranslation();
+    const stripRef = useRef(null);
+
+    const { data } = useQuery({
+        queryKey: ["related-businesses", businessId, language],
+        queryFn: () => businessService.getRelatedBusinesses(businessId),
+        staleTime: 10 * 60 * 1000, // Server caches for 10 minutes too
+        retry: 1,
+    });
+
+    const businesses = data?.businesses || [];
+    if (businesses.length === 0) return null;
+
+    const scroll = (direction) => {
+        const strip = stripRef.current;
+        strip?.scrollBy({
+            left: direction * strip.clientWidth * 0.8,
+            behavior: "smooth",
+        });
+    };
+
+    return (
+        <section
+            className="related-businesses"
+            aria-labelledby="related-businesses-title"
+        >
+            <div className="related-businesses-header">
+                <h3 id="related-businesses-title">{t("related.title")}</h3>
+                <div className="related-businesses-nav">
+                    <button
+                        type="button"
+                        onClick={() => scroll(-1)}
+                        aria-label={t("related.previous")}
+                    >
+                        ‹
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => scroll(1)}
+                        aria-label={t("related.next")}
+                    >
+                        ›
+                    </button>
+                </div>
+            </div>
+
+            <div className="related-businesses-strip" ref={stripRef} role="list">
+                {businesses.map((business) => (
+                    <div
+                        key={business._id}
+                        className="related-business-item"
+                        role="listitem"
+                    >
+                        <BusinessCard business={business} />
+                    </div>
+                ))}
+            </div>
+        </section>
+    );
+};
+
+export default RelatedBusinesses;
@@ -0,0 +1,116 @@
+// client/src/components/business/UserRatingInput.js
+import React, { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { useUserAuth } from "../../contexts/UserAuthContext";
+import { useTranslation } from "../../contexts/LanguageContext";
+import ratingService from "../../services/ratingService";
+
+const SCORES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+/**
+ * UserRatingInput Component
+ *
+ * Lets a logged-in user rate a business on the same 1-10 scale
+ * that StarRating displays. Anonymous users get a prompt that
+ * opens the login modal instead.
+ *
+ * @param {string} businessId - MongoDB _id of the business
+ * @param {string} businessName - Used for accessible labels
+ */
+const UserRatingInput = ({ businessId, businessName }) => {
+    const { isAuthenticated } = useUserAuth();
+    const { t } = useTranslation();
+    const queryClient = useQueryClient();
+    const [hoverScore, setHoverScore] = useState(null);
+
+    const { data: myRating, isLoading } = useQuery({
+        queryKey: ["my-rating", businessId],
+        queryFn: () => ratingService.getMyRating(businessId),
+        enabled: isAuthenticated,
+        staleTime: 5 * 60 * 1000,
+    });
+
+    // Refresh everything that displays this business's aggregates
+    const handleSettled = (data) => {
+        queryClient.invalidateQueries({ queryKey: ["my-rating", businessId] });
+        queryClient.invalidateQueries({ queryKey: ["business", businessId] });
+        queryClient.invalidateQueries({ queryKey: ["businesses"] });
+        if (data?.message) toast.success(data.message);
+    };
+
+    const rateMutation = useMutation({
+        mutationFn: (score) =>
+            ratingService.rateBusiness(businessId, score, !!myRating),
+        onSuccess: handleSettled,
+        onError: (error) => toast.error(error.message),
+    });
+
+    const deleteMutation = useMutation({
+        mutationFn: () => ratingService.deleteRating(businessId),
+        onSuccess: handleSettled,
+        onError: (error) => toast.error(error.message),
+    });
+
+    if (!isAuthenticated) {
+        return (
+            <div className="user-rating-input">
+                <button
+                    type="button"
+                    className="btn btn-secondary user-rating-login"
+                    onClick={() =>
+                        window.dispatchEvent(new CustomEvent("open-login-modal"))
+                    }
+                >
+                    {t("rating.loginToRate")}
+                </button>
+            </div>
+        );
+    }
+
+    const isSaving = rateMutation.isPending || deleteMutation.isPending;
+    const activeScore = hoverScore ?? myRating?.score ?? null;
+
+    return (
+        <div className="user-rating-input">
+            <span className="user-rating-label">
+                {myRating ? t("rating.yours") : t("rating.rate")}
+            </span>
+            <div
+                className="user-rating-scores"
+                role="radiogroup"
+                aria-label={t("rating.scaleLabel", { name: businessName })}
+                onMouseLeave={() => setHoverScore(null)}
+            >
+                {SCORES.map((score) => (
+                    <button
+                        key={score}
+                        type="button"
+                        role="radio"
+                        aria-checked={myRating?.score === score}
+                        className={`user-rating-score ${
+                            activeScore && score <= activeScore ? "active" : ""
+                        }`}
+                        onMouseEnter={() => setHoverScore(score)}
+                        onClick={() => rateMutation.mutate(score)}
+                        disabled={isLoading || isSaving}
+                    >
+                        {score}
+                    </button>
+                ))}
+            </div>
+            {myRating && (
+                <button
+                    type="button"
+                    className="user-rating-remove"
+                    onClick={() => deleteMutation.mutate()}
+                    disabled={isSaving}
+                >
+                    {t("rating.remove")}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default UserRatingInput;
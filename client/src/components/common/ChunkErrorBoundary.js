@@ -1,6 +1,9 @@
 import React from "react";
+import LanguageContext from "../../contexts/LanguageContext";
 
 class ChunkErrorBoundary extends React.Component {
+    static contextType = LanguageContext;
+
     constructor(props) {
         super(props);
         this.state = { hasError: false, error: null };
@@ -40,6 +43,8 @@ class ChunkErrorBoundary extends React.Component {
 
     render() {
         if (this.state.hasError) {
+            const { t } = this.context;
+
             return (
                 <div style={{
                     display: 'flex',
@@ -51,12 +56,12 @@ class ChunkErrorBoundary extends React.Component {
                     textAlign: 'center'
                 }}>
                     <h2 style={{ color: '#dc2626', marginBottom: '1rem' }}>
-                        {this.state.isChunkError ? 'Loading Error' : 'Something went wrong'}
+                        {this.state.isChunkError ? t('errors.loadingTitle') : t('errors.title')}
                     </h2>
                     <p style={{ color: '#666', marginBottom: '1.5rem', maxWidth: '500px' }}>
                         {this.state.isChunkError 
-                            ? 'There was an issue loading this page. This might be due to a recent update.'
-                            : 'An unexpected error occurred. Please try again.'
+                            ? t('errors.loadingText')
+                            : t('errors.text')
                         }
                     </p>
                     <button 
@@ -73,7 +78,7 @@ class ChunkErrorBoundary extends React.Component {
                         onMouseOver={(e) => e.target.style.background = '#2563eb'}
                         onMouseOut={(e) => e.target.style.background = '#3b82f6'}
                     >
-                        {this.state.isChunkError ? 'Refresh Page' : 'Try Again'}
+                        {this.state.isChunkError ? t('errors.refresh') : t('errors.tryAgain')}
                     </button>
                 </div>
             );
@@ -1,5 +1,6 @@
 // client/src/components/common/Footer.js
 import React from "react";
+import { useTranslation } from "../../contexts/LanguageContext";
 // CSS loaded at page level - removed duplicate import
 
 // Social Media URL Placeholders - Update these when you have real URLs
@@ -12,6 +13,7 @@ const SOCIAL_URLS = {
 
 const Footer = () => {
     const currentYear = new Date().getFullYear();
+    const { t } = useTranslation();
 
     // Smooth scroll to top function
     const scrollToTop = () => {
@@ -27,39 +29,41 @@ const Footer = () => {
                 <div className="footer-content">
                     {/* Brand Section */}
                     <div className="footer-brand">
-                        <h3 className="footer-logo">Business Directory</h3>
+                        <h3 className="footer-logo">{t("footer.brand")}</h3>
                         <p className="footer-description">
-                            Connecting businesses with customers.
+                            {t("footer.description")}
                         </p>
                     </div>
 
                     {/* Quick Links - Hidden on mobile */}
                     <div className="footer-section footer-links-section">
-                        <h4 className="footer-title">Quick Links</h4>
+                        <h4 className="footer-title">{t("footer.quickLinks")}</h4>
                         <ul className="footer-links">
                             <li>
                                 <button
                                     onClick={scrollToTop}
                                     className="footer-link-button"
                                 >
-                                    Back to Top ↑
+                                    {t("footer.backToTop")}
                                 </button>
                             </li>
                             <li>
-                                <a href="/browse">Browse Businesses</a>
+                                <a href="/browse">{t("footer.browse")}</a>
                             </li>
                             <li>
-                                <a href="/categories">Categories</a>
+                                <a href="/categories">{t("footer.categories")}</a>
                             </li>
                             <li>
-                                <a href="/send-listing">List Your Business</a>
+                                <a href="/send-listing">
+                                    {t("footer.listBusiness")}
+                                </a>
                             </li>
                         </ul>
                     </div>
 
                     {/* Contact & Social */}
                     <div className="footer-section">
-                        <h4 className="footer-title">Connect With Us</h4>
+                        <h4 className="footer-title">{t("footer.connect")}</h4>
                         <div className="footer-contact">
                             <p className="contact-item">
                                 <span className="contact-icon">📞</span>
@@ -67,7 +71,7 @@ const Footer = () => {
                             </p>
                             <p className="contact-item">
                                 <span className="contact-icon">📍</span>
-                                Your City, State
+                                {t("footer.location")}
                             </p>
                         </div>
                         <div className="footer-social">
@@ -107,7 +111,7 @@ const Footer = () => {
                             <a
                                 href={SOCIAL_URLS.email}
                                 className="footer-social-link"
-                                aria-label="Email"
+                                aria-label={t("contact.email")}
                             >
                                 <svg viewBox="0 0 24 24" fill="currentColor">
                                     <path d="M20 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 4l-8 5-8-5V6l8 5 8-5v2z" />
@@ -123,16 +127,15 @@ const Footer = () => {
                         onClick={scrollToTop}
                         className="footer-mobile-button"
                     >
-                        Back to Top ↑
+                        {t("footer.backToTop")}
                     </button>
-                    <a href="/send-listing">List Your Business</a>
+                    <a href="/send-listing">{t("footer.listBusiness")}</a>
                 </div>
 
                 {/* Bottom Bar */}
                 <div className="footer-bottom">
                     <p className="footer-copyright">
-                        &copy; {currentYear} Business Directory. All rights
-                        reserved.
+                        {t("footer.rights", { year: currentYear })}
                     </p>
                 </div>
             </div>
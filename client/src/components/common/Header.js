@@ -2,6 +2,8 @@
 import React, { useState, useEffect, useRef, Suspense } from "react"; // UPDATED: Added useEffect and useRef imports
 import { Link, useNavigate, useSearchParams, useLocation } from "react-router-dom"; // UPDATED: Added useSearchParams and useLocation imports
 import { useUserAuth } from "../../contexts/UserAuthContext";
+import { useTranslation } from "../../contexts/LanguageContext";
+import LanguageSwitcher from "./LanguageSwitcher";
 import LoadingSpinner from "./LoadingSpinner";
 import SearchBar from "./SearchBar";
 import toast from "react-hot-toast";
@@ -37,6 +39,7 @@ const Header = () => {
 
     // ✅ NEW: Get authentication state (only addition)
     const { isAuthenticated, user, logout, isLoading } = useUserAuth();
+    const { t } = useTranslation();
 
     // ✅ NEW: Refs for outside click detection
     const userDropdownRef = useRef(null);
@@ -222,7 +225,7 @@ const Header = () => {
         e.preventDefault();
         try {
             await logout();
-            toast.success("Successfully logged out!");
+            toast.success(t("nav.loggedOut"));
             setIsUserDropdownOpen(false);
             closeMenu();
         } catch (error) {
@@ -273,7 +276,7 @@ const Header = () => {
                             <button
                                 className="mobile-search-toggle-btn"
                                 onClick={expandMobileSearch}
-                                title="Search"
+                                title={t("nav.search")}
                             >
                                 <span className="search-icon">🔍</span>
                             </button>
@@ -286,7 +289,7 @@ const Header = () => {
                                     searchTerm={mobileSearchData.searchTerm}
                                     onSearch={mobileSearchData.onSearch}
                                     onReset={mobileSearchData.onReset}
-                                    placeholder="Search..."
+                                    placeholder={t("nav.searchPlaceholder")}
                                     isSticky={false}
                                 />
                             </div>
@@ -296,7 +299,7 @@ const Header = () => {
                         <button
                             className="mobile-filter-btn"
                             onClick={mobileSearchData.onFilterToggle}
-                            title="Open filters"
+                            title={t("nav.openFilters")}
                         >
                             <span className="filter-icon">⚙️</span>
                             {mobileSearchData.activeFilterCount > 0 && (
@@ -313,7 +316,7 @@ const Header = () => {
                     <button
                         className={`burger-menu ${isMenuOpen ? "open" : ""}`}
                         onClick={toggleMenu}
-                        aria-label="Toggle menu"
+                        aria-label={t("nav.toggleMenu")}
                     >
                         <span></span>
                         <span></span>
@@ -328,28 +331,28 @@ const Header = () => {
                             className="nav-link home-link"
                             onClick={handleHomeNavigation}
                         >
-                            Home
+                            {t("nav.home")}
                         </Link>
                         <Link
                             to="/about"
                             className="nav-link"
                             onClick={closeMenu}
                         >
-                            About TΣLO
+                            {t("nav.about")}
                         </Link>
                         <Link
                             to="/contact"
                             className="nav-link"
                             onClick={closeMenu}
                         >
-                            Contact
+                            {t("nav.contact")}
                         </Link>
                         <Link
                             to="/send-listing"
                             className="nav-link"
                             onClick={closeMenu}
                         >
-                            Send Listing
+                            {t("nav.sendListing")}
                         </Link>
 
                         {/* ✅ ENHANCED: Smart Login/User Area (replaces single login link) */}
@@ -358,14 +361,14 @@ const Header = () => {
                                 className="nav-link"
                                 style={{ color: "#666", fontStyle: "italic" }}
                             >
-                                Loading...
+                                {t("nav.loading")}
                             </div>
                         ) : isAuthenticated ? (
                             <div className="user-auth-area" ref={userDropdownRef}>
                                 <button
                                     className="user-profile-btn"
                                     onClick={toggleUserDropdown}
-                                    aria-label="User menu"
+                                    aria-label={t("nav.userMenu")}
                                     aria-expanded={isUserDropdownOpen}
                                     aria-haspopup="true"
                                     onKeyDown={(e) => {
@@ -405,7 +408,18 @@ const Header = () => {
                                             <span className="dropdown-icon">
                                                 💻
                                             </span>
-                                            Dashboard
+                                            {t("nav.dashboard")}
+                                        </Link>
+                                        <Link
+                                            to="/owner"
+                                            className="dropdown-link"
+                                            onClick={closeMenu}
+                                            role="menuitem"
+                                        >
+                                            <span className="dropdown-icon">
+                                                🏪
+                                            </span>
+                                            {t("nav.myListings")}
                                         </Link>
                                         <Link
                                             to="/settings"
@@ -416,7 +430,7 @@ const Header = () => {
                                             <span className="dropdown-icon">
                                                 👤
                                             </span>
-                                            Settings
+                                            {t("nav.settings")}
                                         </Link>
 
                                         <div className="dropdown-divider"></div>
@@ -428,7 +442,7 @@ const Header = () => {
                                             <span className="dropdown-icon">
                                                 🚪
                                             </span>
-                                            Logout
+                                            {t("nav.logout")}
                                         </button>
                                     </div>
                                 )}
@@ -439,7 +453,7 @@ const Header = () => {
                                 className="nav-link"
                                 onClick={openLoginModal}
                             >
-                                LogIn
+                                {t("nav.login")}
                             </Link>
                         )}
 
@@ -448,8 +462,10 @@ const Header = () => {
                             className="nav-link"
                             onClick={closeMenu}
                         >
-                            Admin
+                            {t("nav.admin")}
                         </Link>
+
+                        <LanguageSwitcher onChange={closeMenu} />
                     </nav>
                 </div>
             </div>
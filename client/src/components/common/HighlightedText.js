@@ -0,0 +1,29 @@
+// client/src/components/common/HighlightedText.js
+import React from "react";
+// CSS loaded at page level (components-core.css)
+
+/**
+ * HighlightedText Component
+ *
+ * Renders search highlight segments from the businesses API
+ * ({ text, match }[]) with matching words wrapped in <mark>.
+ * Falls back to the plain text when there are no segments.
+ *
+ * @param {Array} segments - Highlight segments, or undefined
+ * @param {string} fallback - Text shown without a search
+ */
+const HighlightedText = ({ segments, fallback = "" }) => {
+    if (!segments?.length) return fallback;
+
+    return segments.map((segment, index) =>
+        segment.match ? (
+            <mark key={index} className="search-highlight">
+                {segment.text}
+            </mark>
+        ) : (
+            <React.Fragment key={index}>{segment.text}</React.Fragment>
+        )
+    );
+};
+
+export default HighlightedText;
@@ -0,0 +1,48 @@
+// client/src/components/common/LanguageSwitcher.js
+import React from "react";
+import toast from "react-hot-toast";
+import { useTranslation } from "../../contexts/LanguageContext";
+import { LANGUAGES } from "../../locales";
+
+/**
+ * KA / EN / RU toggle used in the Header navigation
+ */
+const LanguageSwitcher = ({ onChange }) => {
+    const { language, setLanguage, t } = useTranslation();
+
+    const handleSelect = async (code) => {
+        if (code === language) return;
+        onChange?.();
+
+        const saved = await setLanguage(code);
+        if (!saved) {
+            toast.error(t("language.saveFailed"));
+        }
+    };
+
+    return (
+        <div
+            className="language-switcher"
+            role="group"
+            aria-label={t("language.label")}
+        >
+            {LANGUAGES.map(({ code, label, short }) => (
+                <button
+                    key={code}
+                    type="button"
+                    lang={code}
+                    className={`language-option ${
+                        language === code ? "active" : ""
+                    }`}
+                    onClick={() => handleSelect(code)}
+                    aria-pressed={language === code}
+                    title={label}
+                >
+                    {short}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default LanguageSwitcher;
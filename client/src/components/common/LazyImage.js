@@ -1,6 +1,15 @@
 // client/src/components/common/LazyImage.js - CREATE NEW FILE
 import React, { useState, useRef, useEffect } from "react";
 
+/**
+ * LazyImage Component
+ *
+ * Loads the image once it gets near the viewport.
+ * With `sources` (see getResponsiveImageProps in utils/imageHelper.js) it
+ * renders a <picture>, so the browser picks the format and width; `sizes`
+ * tells it how wide the image is shown. `blurPlaceholder` (a tiny data URI)
+ * is shown blurred until the image has loaded.
+ */
 const LazyImage = ({
     src,
     alt,
@@ -8,6 +17,9 @@ const LazyImage = ({
     placeholder = null,
     onError = null,
     style = {},
+    sources = [],
+    sizes,
+    blurPlaceholder = "",
     ...props
 }) => {
     const [isLoaded, setIsLoaded] = useState(false);
@@ -71,6 +83,23 @@ const LazyImage = ({
         }
     };
 
+    // The blur layer is positioned inside the container
+    const blurContainerStyle = { position: "relative", overflow: "hidden" };
+    const blurLayer = blurPlaceholder ? (
+        <div
+            aria-hidden="true"
+            style={{
+                position: "absolute",
+                inset: 0,
+                backgroundImage: `url("${blurPlaceholder}")`,
+                backgroundSize: "cover",
+                backgroundPosition: "center",
+                filter: "blur(12px)",
+                transform: "scale(1.1)", // Hide the blurred edges
+            }}
+        />
+    ) : null;
+
     // Don't render img until in view
     if (!isInView) {
         return (
@@ -78,6 +107,7 @@ const LazyImage = ({
                 ref={imgRef}
                 className={`lazy-image-placeholder ${className}`}
                 style={{
+                    ...(blurLayer && blurContainerStyle),
                     ...style,
                     backgroundColor: "#f0f0f0",
                     display: "flex",
@@ -87,40 +117,64 @@ const LazyImage = ({
                 }}
                 {...props}
             >
-                {placeholder || (
-                    <div className="lazy-loading-indicator">
-                        <div className="lazy-loading-shimmer"></div>
-                    </div>
-                )}
+                {blurLayer ||
+                    placeholder || (
+                        <div className="lazy-loading-indicator">
+                            <div className="lazy-loading-shimmer"></div>
+                        </div>
+                    )}
             </div>
         );
     }
 
+    const image = (
+        <img
+            ref={imgRef}
+            src={src}
+            alt={alt}
+            loading="lazy" // Native browser lazy loading as fallback
+            onLoad={handleLoad}
+            onError={handleError}
+            className={`lazy-image ${isLoaded ? "loaded" : "loading"} ${
+                hasError ? "error" : ""
+            }`}
+            style={{
+                position: "relative", // Above the blur layer
+                opacity: isLoaded ? 1 : 0,
+                transition: "opacity 0.3s ease",
+                width: "100%",
+                height: "100%",
+                objectFit: "cover",
+            }}
+            {...props}
+        />
+    );
+
     // Render actual image when in view
     return (
-        <div className={`lazy-image-container ${className}`} style={style}>
-            <img
-                ref={imgRef}
-                src={src}
-                alt={alt}
-                loading="lazy" // Native browser lazy loading as fallback
-                onLoad={handleLoad}
-                onError={handleError}
-                className={`lazy-image ${isLoaded ? "loaded" : "loading"} ${
-                    hasError ? "error" : ""
-                }`}
-                style={{
-                    opacity: isLoaded ? 1 : 0,
-                    transition: "opacity 0.3s ease",
-                    width: "100%",
-                    height: "100%",
-                    objectFit: "cover",
-                }}
-                {...props}
-            />
+        <div
+            className={`lazy-image-container ${className}`}
+            style={blurLayer ? { ...blurContainerStyle, ...style } : style}
+        >
+            {blurLayer}
+            {sources.length > 0 ? (
+                <picture>
+                    {sources.map((source) => (
+                        <source
+                            key={source.type}
+                            type={source.type}
+                            srcSet={source.srcSet}
+                            sizes={sizes}
+                        />
+                    ))}
+                    {image}
+                </picture>
+            ) : (
+                image
+            )}
 
             {/* Loading shimmer effect while image loads */}
-            {!isLoaded && !hasError && (
+            {!isLoaded && !hasError && !blurLayer && (
                 <div className="lazy-loading-overlay">
                     <div className="lazy-loading-shimmer"></div>
                 </div>
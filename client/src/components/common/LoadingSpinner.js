@@ -1,11 +1,14 @@
 // client/src/components/common/LoadingSpinner.js
 import React from "react";
+import { useTranslation } from "../../contexts/LanguageContext";
 // CSS loaded at page level - removed duplicate import
 
 const LoadingSpinner = ({ size = "medium", className = "", text = null }) => {
+    const { t } = useTranslation();
+
     return (
         <div className={`loading-spinner ${size} ${className}`}>
-            <div className="spinner" aria-label="Loading..."></div>
+            <div className="spinner" aria-label={t("common.loading")}></div>
             {text && <p>{text}</p>}
         </div>
     );
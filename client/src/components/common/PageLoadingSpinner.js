@@ -1,7 +1,10 @@
 import React from "react";
 import LoadingSpinner from "./LoadingSpinner";
+import { useTranslation } from "../../contexts/LanguageContext";
 
 const PageLoadingSpinner = () => {
+    const { t } = useTranslation();
+
     return (
         <div style={{
             display: 'flex',
@@ -12,7 +15,7 @@ const PageLoadingSpinner = () => {
             gap: '1rem'
         }}>
             <LoadingSpinner />
-            <p style={{ color: '#666', fontSize: '14px' }}>Loading page...</p>
+            <p style={{ color: '#666', fontSize: '14px' }}>{t("search.loadingPage")}</p>
         </div>
     );
 };
@@ -1,14 +1,16 @@
 // client/src/components/common/SearchBar.js
 import React, { useState, useEffect } from "react";
+import { useTranslation } from "../../contexts/LanguageContext";
 // CSS loaded at page level - removed duplicate import
 
 const SearchBar = ({
     onSearch,
     searchTerm: externalSearchTerm = "",
-    placeholder = "Search businesses...",
+    placeholder,
     onReset,
     isSticky = false,
 }) => {
+    const { t } = useTranslation();
     const [searchTerm, setSearchTerm] = useState(externalSearchTerm);
 
     // Sync with external search term (when parent resets)
@@ -41,7 +43,7 @@ const SearchBar = ({
                     type="text"
                     value={searchTerm}
                     onChange={handleChange}
-                    placeholder={placeholder}
+                    placeholder={placeholder || t("search.placeholder")}
                     className="search-input"
                 />
 
@@ -51,7 +53,7 @@ const SearchBar = ({
                         type="button"
                         onClick={handleClear}
                         className="clear-button"
-                        title="Clear search"
+                        title={t("search.clear")}
                     >
                         ✕
                     </button>
@@ -60,7 +62,7 @@ const SearchBar = ({
 
             <button type="submit" className="search-button">
                 <span className="search-icon">🔍</span>
-                <span className="search-text">Search</span>
+                <span className="search-text">{t("search.button")}</span>
             </button>
         </form>
     );
@@ -1,5 +1,6 @@
 // client/src/components/common/StarRating.js
 import React from "react";
+import { useTranslation } from "../../contexts/LanguageContext";
 // CSS loaded at page level - removed duplicate import
 
 /**
@@ -23,6 +24,8 @@ const StarRating = ({
     showNumber = true,
     className = "",
 }) => {
+    const { t } = useTranslation();
+
     // Convert 10-point scale to 5-star scale for visual display
     // rating 8.5 -> 4.25 stars filled
     const starRating = rating ? (rating / 10) * 5 : 0;
@@ -53,12 +56,12 @@ const StarRating = ({
     // Get rating quality text based on score (like Booking.com)
     const getRatingQuality = (rating) => {
         if (!rating) return "";
-        if (rating >= 9.0) return "Exceptional";
-        if (rating >= 8.0) return "Excellent";
-        if (rating >= 7.0) return "Very Good";
-        if (rating >= 6.0) return "Good";
-        if (rating >= 5.0) return "Average";
-        return "Below Average";
+        if (rating >= 9.0) return t("stars.exceptional");
+        if (rating >= 8.0) return t("stars.excellent");
+        if (rating >= 7.0) return t("stars.veryGood");
+        if (rating >= 6.0) return t("stars.good");
+        if (rating >= 5.0) return t("stars.average");
+        return t("stars.belowAverage");
     };
 
     return (
@@ -96,10 +99,11 @@ const StarRating = ({
             {/* Screen reader accessibility */}
             <span className="sr-only">
                 {rating
-                    ? `Rating: ${formatRating(
-                          rating
-                      )} out of 10, ${getRatingQuality(rating)}`
-                    : "No rating available"}
+                    ? t("stars.summary", {
+                          rating: formatRating(rating),
+                          quality: getRatingQuality(rating),
+                      })
+                    : t("stars.none")}
             </span>
         </div>
     );
@@ -1,6 +1,7 @@
 // client/src/components/common/StickySearchWrapper.js
 import React, { useState, useEffect, useRef } from "react";
 import SearchBar from "./SearchBar";
+import { useTranslation } from "../../contexts/LanguageContext";
 // CSS loaded at page level - removed duplicate import
 
 const StickySearchWrapper = ({
@@ -15,6 +16,7 @@ const StickySearchWrapper = ({
     const [isScrollingUp, setIsScrollingUp] = useState(false);
     const lastScrollY = useRef(0);
     const wrapperRef = useRef(null);
+    const { t } = useTranslation();
 
     useEffect(() => {
         const handleScroll = () => {
@@ -83,7 +85,7 @@ const StickySearchWrapper = ({
                         <button
                             className="sticky-search-toggle-btn"
                             onClick={handleToggleExpand}
-                            title="Open search"
+                            title={t("search.open")}
                         >
                             <span className="search-icon">🔍</span>
                         </button>
@@ -96,16 +98,17 @@ const StickySearchWrapper = ({
                             onSearch={onSearch}
                             onReset={onReset}
                             isSticky={isSticky}
-                            placeholder="Search businesses..."
                         />
 
                         <button
                             className="filter-toggle-btn"
                             onClick={onFilterToggle}
-                            title="Open filters"
+                            title={t("filters.open")}
                         >
                             <span className="filter-icon">⚙️</span>
-                            <span className="filter-text">Filters</span>
+                            <span className="filter-text">
+                                {t("filters.title")}
+                            </span>
                             {activeFilterCount > 0 && (
                                 <span className="filter-badge">
                                     {activeFilterCount}
@@ -116,7 +119,7 @@ const StickySearchWrapper = ({
                         <button
                             className="sticky-search-close-btn"
                             onClick={handleToggleExpand}
-                            title="Collapse search"
+                            title={t("search.collapse")}
                         >
                             <span>✕</span>
                         </button>
@@ -0,0 +1,320 @@
+// client/src/components/common/TileMap.js
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { useTranslation } from "../../contexts/LanguageContext";
+import {
+    TILE_SIZE,
+    project,
+    unproject,
+    getFitZoom,
+    getBoundsCenter,
+} from "../../utils/geo";
+import {
+    MAP_TILE_URL,
+    MAP_ATTRIBUTION,
+    MAP_MAX_ZOOM,
+    MAP_MIN_ZOOM,
+    GEORGIA_CENTER,
+    GEORGIA_ZOOM,
+} from "../../constants/map";
+import "../../styles/map.css";
+
+// Pointer movement (px) below which a press counts as a click, not a drag
+const CLICK_TOLERANCE = 4;
+
+const getTileUrl = (zoom, x, y) =>
+    MAP_TILE_URL.replace("{z}", zoom).replace("{x}", x).replace("{y}", y);
+
+/**
+ * TileMap Component
+ *
+ * Lightweight slippy map over an XYZ tile source (constants/map.js), so the
+ * tiles can be self-hosted. Drag to pan, buttons or double-click to zoom.
+ *
+ * @param {Object} [center] - { lat, lng } to show; re-centers when it changes
+ * @param {number} [zoom] - Zoom for `center`
+ * @param {Array} [markers] - { id, lat, lng, label, popup (node), active }
+ * @param {boolean} [fitMarkers] - Zoom to show all markers when they change
+ * @param {Function} [onMapClick] - Called with { lat, lng } of a click
+ * @param {Function} [onMarkerClick] - Called with the marker id
+ * @param {string} [className]
+ * @param {string} [ariaLabel] - Defaults to a generic "Map"
+ */
+const TileMap = ({
+    center = GEORGIA_CENTER,
+    zoom = GEORGIA_ZOOM,
+    markers = [],
+    fitMarkers = false,
+    onMapClick,
+    onMarkerClick,
+    className = "",
+    ariaLabel,
+}) => {
+    const { t } = useTranslation();
+    const containerRef = useRef(null);
+    const dragRef = useRef(null);
+    const [size, setSize] = useState({ width: 0, height: 0 });
+    const [view, setView] = useState({ center, zoom });
+
+    // Track the container size
+    useEffect(() => {
+        const element = containerRef.current;
+        if (!element) return undefined;
+
+        const measure = () =>
+            setSize({ width: element.clientWidth, height: element.clientHeight });
+        measure();
+
+        if (typeof ResizeObserver === "undefined") {
+            window.addEventListener("resize", measure);
+            return () => window.removeEventListener("resize", measure);
+        }
+        const observer = new ResizeObserver(measure);
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, []);
+
+    // Follow center/zoom props
+    useEffect(() => {
+        setView({ center: { lat: center.lat, lng: center.lng }, zoom });
+    }, [center.lat, center.lng, zoom]);
+
+    // Fit the markers when they change. Only a different set of markers or
+    // a resized map refits, so the latest markers and zoom are read from refs.
+    const markersKey = markers.map((marker) => marker.id).join(",");
+    const markersRef = useRef(markers);
+    const zoomRef = useRef(zoom);
+    markersRef.current = markers;
+    zoomRef.current = zoom;
+
+    useEffect(() => {
+        const currentMarkers = markersRef.current;
+        if (!fitMarkers || currentMarkers.length === 0 || !size.width) return;
+
+        if (currentMarkers.length === 1) {
+            setView({
+                center: currentMarkers[0],
+                zoom: Math.max(zoomRef.current, 14),
+            });
+            return;
+        }
+        setView({
+            center: getBoundsCenter(currentMarkers),
+            zoom: getFitZoom(currentMarkers, size.width, size.height, {
+                minZoom: MAP_MIN_ZOOM,
+                maxZoom: Math.min(MAP_MAX_ZOOM, 16),
+            }),
+        });
+    }, [fitMarkers, markersKey, size.width, size.height]);
+
+    // Top-left corner of the viewport in world pixels
+    const origin = useMemo(() => {
+        const centerPx = project(view.center, view.zoom);
+        return {
+            x: centerPx.x - size.width / 2,
+            y: centerPx.y - size.height / 2,
+        };
+    }, [view, size]);
+
+    const tiles = useMemo(() => {
+        if (!size.width) return [];
+
+        const count = 2 ** view.zoom;
+        const result = [];
+        const minX = Math.floor(origin.x / TILE_SIZE);
+        const maxX = Math.floor((origin.x + size.width) / TILE_SIZE);
+        const minY = Math.max(0, Math.floor(origin.y / TILE_SIZE));
+        const maxY = Math.min(count - 1, Math.floor((origin.y + size.height) / TILE_SIZE));
+
+        for (let x = minX; x <= maxX; x += 1) {
+            for (let y = minY; y <= maxY; y += 1) {
+                const wrappedX = ((x % count) + count) % count;
+                result.push({
+                    key: `${view.zoom}/${x}/${y}`,
+                    url: getTileUrl(view.zoom, wrappedX, y),
+                    left: x * TILE_SIZE - origin.x,
+                    top: y * TILE_SIZE - origin.y,
+                });
+            }
+        }
+        return result;
+    }, [origin, size, view.zoom]);
+
+    const setZoom = (newZoom, anchor) => {
+        const nextZoom = Math.max(MAP_MIN_ZOOM, Math.min(MAP_MAX_ZOOM, newZoom));
+        if (nextZoom === view.zoom) return;
+
+        if (!anchor) {
+            setView((prev) => ({ ...prev, zoom: nextZoom }));
+            return;
+        }
+        // Keep the point under the cursor in place
+        const anchorPoint = unproject(
+            { x: origin.x + anchor.x, y: origin.y + anchor.y },
+            view.zoom
+        );
+        const anchorPx = project(anchorPoint, nextZoom);
+        setView({
+            zoom: nextZoom,
+            center: unproject(
+                {
+                    x: anchorPx.x - anchor.x + size.width / 2,
+                    y: anchorPx.y - anchor.y + size.height / 2,
+                },
+                nextZoom
+            ),
+        });
+    };
+
+    const getOffset = (event) => {
+        const rect = containerRef.current.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    };
+
+    const handlePointerDown = (event) => {
+        if (event.button !== 0 || event.target.closest(".map-control, .map-marker, .map-popup")) {
+            return;
+        }
+        event.currentTarget.setPointerCapture(event.pointerId);
+        dragRef.current = {
+            startX: event.clientX,
+            startY: event.clientY,
+            centerPx: project(view.center, view.zoom),
+            moved: false,
+        };
+    };
+
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+
+        const dx = event.clientX - drag.startX;
+        const dy = event.clientY - drag.startY;
+        if (Math.abs(dx) > CLICK_TOLERANCE || Math.abs(dy) > CLICK_TOLERANCE) {
+            drag.moved = true;
+        }
+        if (drag.moved) {
+            setView((prev) => ({
+                ...prev,
+                center: unproject(
+                    { x: drag.centerPx.x - dx, y: drag.centerPx.y - dy },
+                    prev.zoom
+                ),
+            }));
+        }
+    };
+
+    const handlePointerUp = (event) => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        if (!drag || drag.moved || !onMapClick) return;
+
+        const offset = getOffset(event);
+        onMapClick(
+            unproject({ x: origin.x + offset.x, y: origin.y + offset.y }, view.zoom)
+        );
+    };
+
+    const handleKeyDown = (event) => {
+        const step = 80;
+        const moves = {
+            ArrowLeft: [-step, 0],
+            ArrowRight: [step, 0],
+            ArrowUp: [0, -step],
+            ArrowDown: [0, step],
+        };
+        if (event.key === "+" || event.key === "=") {
+            setZoom(view.zoom + 1);
+        } else if (event.key === "-") {
+            setZoom(view.zoom - 1);
+        } else if (moves[event.key]) {
+            event.preventDefault();
+            const centerPx = project(view.center, view.zoom);
+            const [dx, dy] = moves[event.key];
+            setView((prev) => ({
+                ...prev,
+                center: unproject({ x: centerPx.x + dx, y: centerPx.y + dy }, prev.zoom),
+            }));
+        }
+    };
+
+    return (
+        <div
+            ref={containerRef}
+            className={`tile-map ${onMapClick ? "pickable" : ""} ${className}`}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={() => (dragRef.current = null)}
+            onDoubleClick={(event) => setZoom(view.zoom + 1, getOffset(event))}
+            onKeyDown={handleKeyDown}
+            tabIndex="0"
+            role="application"
+            aria-label={ariaLabel || t("map.label")}
+        >
+            <div className="map-tiles" aria-hidden="true">
+                {tiles.map((tile) => (
+                    <img
+                        key={tile.key}
+                        src={tile.url}
+                        alt=""
+                        className="map-tile"
+                        style={{ left: tile.left, top: tile.top }}
+                        draggable="false"
+                    />
+                ))}
+            </div>
+
+            {markers.map((marker) => {
+                const point = project(marker, view.zoom);
+                const left = point.x - origin.x;
+                const top = point.y - origin.y;
+                if (left < -50 || top < -50 || left > size.width + 50 || top > size.height + 50) {
+                    return null;
+                }
+
+                return (
+                    <React.Fragment key={marker.id}>
+                        <button
+                            type="button"
+                            className={`map-marker ${marker.active ? "active" : ""}`}
+                            style={{ left, top }}
+                            onClick={() => onMarkerClick?.(marker.id)}
+                            aria-label={marker.label}
+                            title={marker.label}
+                        >
+                            <span className="map-marker-pin" />
+                        </button>
+                        {marker.active && marker.popup && (
+                            <div className="map-popup" style={{ left, top }}>
+                                {marker.popup}
+                            </div>
+                        )}
+                    </React.Fragment>
+                );
+            })}
+
+            <div className="map-control map-zoom">
+                <button
+                    type="button"
+                    onClick={() => setZoom(view.zoom + 1)}
+                    disabled={view.zoom >= MAP_MAX_ZOOM}
+                    aria-label={t("map.zoomIn")}
+                >
+                    +
+                </button>
+                <button
+                    type="button"
+                    onClick={() => setZoom(view.zoom - 1)}
+                    disabled={view.zoom <= MAP_MIN_ZOOM}
+                    aria-label={t("map.zoomOut")}
+                >
+                    −
+                </button>
+            </div>
+
+            <div className="map-attribution">{MAP_ATTRIBUTION}</div>
+        </div>
+    );
+};
+
+export default TileMap;
@@ -1,6 +1,14 @@
 // client/src/components/forms/BusinessInfoSection.js
 import React from 'react';
 import GenericMultiSelect from './GenericMultiSelect';
+import { useTranslation } from '../../contexts/LanguageContext';
+import { useLocalizedNames } from '../../hooks/useLocalizedNames';
+
+// Name/description inputs per language (sent as `translations`, see submissionService)
+const LANGUAGE_FIELDS = [
+    { suffix: 'Ka', code: 'ka' },
+    { suffix: 'En', code: 'en' }
+];
 
 const BusinessInfoSection = ({
     formData,
@@ -10,82 +18,93 @@ const BusinessInfoSection = ({
     handleCitiesChange,
     categories,
     cities,
-    descriptionCount,
+    descriptionCounts,
     styles
 }) => {
+    const { t } = useTranslation();
+    const { categoryName, cityName } = useLocalizedNames();
+
     return (
         <div className={styles.formSection}>
             <h3 className={styles.formSectionTitle}>
                 <span className={styles.formSectionIcon}>🏢</span>
-                Business Information
+                {t('listingForm.title')}
             </h3>
 
+            {/* Name in Georgian and/or English */}
             <div className={styles.formRow}>
-                <div className={`${styles.formGroup} ${styles.half}`}>
-                    <label htmlFor="businessName" className={`${styles.formLabel} ${styles.required}`}>
-                        Business Name
-                    </label>
-                    <input
-                        type="text"
-                        id="businessName"
-                        name="businessName"
-                        className={`${styles.formInput} ${errors.businessName ? styles.error : ''}`}
-                        value={formData.businessName}
-                        onChange={handleInputChange}
-                        placeholder="Enter your business name"
-                        maxLength="100"
-                        aria-describedby={errors.businessName ? 'businessName-error' : undefined}
-                    />
-                    {errors.businessName && (
-                        <div id="businessName-error" className={styles.fieldError}>
-                            <span className={styles.fieldErrorIcon}>⚠</span>
-                            {errors.businessName}
-                        </div>
-                    )}
+                {LANGUAGE_FIELDS.map(({ suffix, code }) => (
+                    <div key={code} className={`${styles.formGroup} ${styles.half}`}>
+                        <label htmlFor={`businessName${suffix}`} className={styles.formLabel}>
+                            {t('listingForm.businessName', { language: t(`listingForm.languages.${code}`) })}
+                        </label>
+                        <input
+                            type="text"
+                            id={`businessName${suffix}`}
+                            name={`businessName${suffix}`}
+                            lang={code}
+                            className={`${styles.formInput} ${errors.businessName ? styles.error : ''}`}
+                            value={formData[`businessName${suffix}`]}
+                            onChange={handleInputChange}
+                            placeholder={t(`listingForm.businessNamePlaceholder.${code}`)}
+                            maxLength="100"
+                            aria-describedby={errors.businessName ? 'businessName-error' : 'businessName-hint'}
+                        />
+                    </div>
+                ))}
+            </div>
+            <div id="businessName-hint" className={styles.languageHint}>
+                {t('listingForm.languageHint')}
+            </div>
+            {errors.businessName && (
+                <div id="businessName-error" className={styles.fieldError}>
+                    <span className={styles.fieldErrorIcon}>⚠</span>
+                    {errors.businessName}
                 </div>
+            )}
 
-                <div className={`${styles.formGroup} ${styles.half}`}>
-                    <label className={`${styles.formLabel} ${styles.required}`}>
-                        Business Categories
-                    </label>
-                    <GenericMultiSelect
-                        items={categories}
-                        selectedItems={formData.categories}
-                        onChange={handleCategoriesChange}
-                        error={errors.categories}
-                        maxItems={5}
-                        placeholder="Select business categories"
-                        searchPlaceholder="Search categories..."
-                        itemName="category"
-                        classNames={{
-                            container: styles.categoriesMultiselectContainer,
-                            trigger: styles.categoriesMultiselectTrigger,
-                            open: styles.open,
-                            error: styles.error,
-                            selectedDisplay: styles.categoriesSelectedDisplay,
-                            empty: styles.empty,
-                            itemTag: styles.categoryTag,
-                            itemTagRemove: styles.categoryTagRemove,
-                            dropdownArrow: styles.categoriesDropdownArrow,
-                            dropdown: styles.categoriesDropdown,
-                            search: styles.categoriesSearch,
-                            searchInput: styles.categoriesSearchInput,
-                            list: styles.categoriesList,
-                            itemOption: styles.categoryOption,
-                            selected: styles.selected,
-                            disabled: styles.disabled,
-                            itemCheckbox: styles.categoryCheckbox,
-                            fieldError: styles.fieldError,
-                            fieldErrorIcon: styles.fieldErrorIcon
-                        }}
-                    />
-                </div>
+            <div className={styles.formGroup}>
+                <label className={`${styles.formLabel} ${styles.required}`}>
+                    {t('listingForm.categories')}
+                </label>
+                <GenericMultiSelect
+                    items={categories}
+                    selectedItems={formData.categories}
+                    onChange={handleCategoriesChange}
+                    error={errors.categories}
+                    maxItems={5}
+                    placeholder={t('listingForm.categoriesPlaceholder')}
+                    searchPlaceholder={t('filters.searchCategories')}
+                    itemName={t('listingForm.categoriesNoun')}
+                    getLabel={categoryName}
+                    classNames={{
+                        container: styles.categoriesMultiselectContainer,
+                        trigger: styles.categoriesMultiselectTrigger,
+                        open: styles.open,
+                        error: styles.error,
+                        selectedDisplay: styles.categoriesSelectedDisplay,
+                        empty: styles.empty,
+                        itemTag: styles.categoryTag,
+                        itemTagRemove: styles.categoryTagRemove,
+                        dropdownArrow: styles.categoriesDropdownArrow,
+                        dropdown: styles.categoriesDropdown,
+                        search: styles.categoriesSearch,
+                        searchInput: styles.categoriesSearchInput,
+                        list: styles.categoriesList,
+                        itemOption: styles.categoryOption,
+                        selected: styles.selected,
+                        disabled: styles.disabled,
+                        itemCheckbox: styles.categoryCheckbox,
+                        fieldError: styles.fieldError,
+                        fieldErrorIcon: styles.fieldErrorIcon
+                    }}
+                />
             </div>
 
             <div className={styles.formRow}>
                 <div className={`${styles.formGroup} ${styles.half}`}>
                     <label htmlFor="businessType" className={`${styles.formLabel} ${styles.required}`}>
-                        Business Type
+                        {t('listingForm.businessType')}
                     </label>
                     <select
                         id="businessType"
@@ -95,8 +114,8 @@ const BusinessInfoSection = ({
                         onChange={handleInputChange}
                         aria-describedby={errors.businessType ? 'businessType-error' : undefined}
                     >
-                        <option value="individual">Individual</option>
-                        <option value="company">Company</option>
+                        <option value="individual">{t('filters.individual')}</option>
+                        <option value="company">{t('filters.company')}</option>
                     </select>
                     {errors.businessType && (
                         <div id="businessType-error" className={styles.fieldError}>
@@ -108,7 +127,7 @@ const BusinessInfoSection = ({
 
                 <div className={`${styles.formGroup} ${styles.half}`}>
                     <label htmlFor="mobile" className={`${styles.formLabel} ${styles.required}`}>
-                        Mobile Number
+                        {t('listingForm.mobile')}
                     </label>
                     <div className={styles.mobileInputContainer}>
                         <input
@@ -124,7 +143,7 @@ const BusinessInfoSection = ({
                         />
                     </div>
                     <div id="mobile-hint" className={styles.mobileFormatHint}>
-                        Format: +995XXXXXXXXX
+                        {t('listingForm.mobileFormat')}
                     </div>
                     {errors.mobile && (
                         <div id="mobile-error" className={styles.fieldError}>
@@ -138,7 +157,7 @@ const BusinessInfoSection = ({
             {/* Cities Selection */}
             <div className={styles.formGroup}>
                 <label className={`${styles.formLabel} ${styles.required}`}>
-                    Service Areas
+                    {t('listingForm.serviceAreas')}
                 </label>
                 <GenericMultiSelect
                     items={cities}
@@ -146,9 +165,10 @@ const BusinessInfoSection = ({
                     onChange={handleCitiesChange}
                     error={errors.cities}
                     maxItems={10}
-                    placeholder="Select cities where you operate (or 'All Georgia')"
-                    searchPlaceholder="Search cities..."
-                    itemName="city"
+                    placeholder={t('listingForm.citiesPlaceholder')}
+                    searchPlaceholder={t('filters.searchCities')}
+                    itemName={t('listingForm.citiesNoun')}
+                    getLabel={cityName}
                     classNames={{
                         container: styles.citiesMultiselectContainer,
                         trigger: styles.citiesMultiselectTrigger,
@@ -173,34 +193,43 @@ const BusinessInfoSection = ({
                 />
             </div>
 
-            {/* Description */}
-            <div className={styles.formGroup}>
-                <label htmlFor="shortDescription" className={styles.formLabel}>
-                    Business Description
-                </label>
-                <textarea
-                    id="shortDescription"
-                    name="shortDescription"
-                    className={`${styles.formTextarea} ${errors.shortDescription ? styles.error : ''}`}
-                    value={formData.shortDescription}
-                    onChange={handleInputChange}
-                    placeholder="Briefly describe your business, services, and what makes you unique..."
-                    maxLength="200"
-                    rows="4"
-                    aria-describedby={errors.shortDescription ? 'shortDescription-error' : 'shortDescription-count'}
-                />
-                <div
-                    id="shortDescription-count"
-                    className={`${styles.characterCounter} ${descriptionCount.isError ? styles.error : descriptionCount.isWarning ? styles.warning : ''}`}
-                >
-                    {descriptionCount.current}/200 characters
-                </div>
-                {errors.shortDescription && (
-                    <div id="shortDescription-error" className={styles.fieldError}>
-                        <span className={styles.fieldErrorIcon}>⚠</span>
-                        {errors.shortDescription}
-                    </div>
-                )}
+            {/* Description in Georgian and/or English */}
+            <div className={styles.formRow}>
+                {LANGUAGE_FIELDS.map(({ suffix, code }) => {
+                    const count = descriptionCounts[code];
+                    const field = `shortDescription${suffix}`;
+                    return (
+                        <div key={code} className={`${styles.formGroup} ${styles.half}`}>
+                            <label htmlFor={field} className={styles.formLabel}>
+                                {t('listingForm.description', { language: t(`listingForm.languages.${code}`) })}
+                            </label>
+                            <textarea
+                                id={field}
+                                name={field}
+                                lang={code}
+                                className={`${styles.formTextarea} ${errors[field] ? styles.error : ''}`}
+                                value={formData[field]}
+                                onChange={handleInputChange}
+                                placeholder={t('listingForm.descriptionPlaceholder')}
+                                maxLength="200"
+                                rows="4"
+                                aria-describedby={errors[field] ? `${field}-error` : `${field}-count`}
+                            />
+                            <div
+                                id={`${field}-count`}
+                                className={`${styles.characterCounter} ${count.isError ? styles.error : count.isWarning ? styles.warning : ''}`}
+                            >
+                                {t('sendListing.characters', { current: count.current, max: 200 })}
+                            </div>
+                            {errors[field] && (
+                                <div id={`${field}-error`} className={styles.fieldError}>
+                                    <span className={styles.fieldErrorIcon}>⚠</span>
+                                    {errors[field]}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
             </div>
         </div>
     );
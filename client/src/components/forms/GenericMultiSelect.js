@@ -1,5 +1,6 @@
 // client/src/components/forms/GenericMultiSelect.js
 import React, { useState, useRef, useEffect } from "react";
+import { useTranslation } from "../../contexts/LanguageContext";
 
 const GenericMultiSelect = ({
     items = [],
@@ -8,11 +9,14 @@ const GenericMultiSelect = ({
     error,
     required = true,
     maxItems = 10,
-    placeholder = "Select items",
-    searchPlaceholder = "Search...",
-    itemName = "item",
+    placeholder,
+    searchPlaceholder,
+    itemName,
+    getLabel = (item) => item, // Display name for an item value
     classNames = {},
 }) => {
+    const { t } = useTranslation();
+    const itemsLabel = itemName || t("multiSelect.items");
     const [isOpen, setIsOpen] = useState(false);
     const [searchTerm, setSearchTerm] = useState("");
     const containerRef = useRef(null);
@@ -23,7 +27,7 @@ const GenericMultiSelect = ({
 
     // Filter items based on search term
     const filteredItems = items.filter((item) =>
-        item.toLowerCase().includes(searchTerm.toLowerCase())
+        getLabel(item).toLowerCase().includes(searchTerm.toLowerCase())
     );
 
     // Handle item selection/deselection
@@ -126,7 +130,10 @@ const GenericMultiSelect = ({
                 role="button"
                 aria-expanded={isOpen}
                 aria-haspopup="listbox"
-                aria-label={`Select ${itemName}. ${selectedItems.length} selected`}
+                aria-label={t("multiSelect.triggerLabel", {
+                    items: itemsLabel,
+                    count: selectedItems.length,
+                })}
             >
                 <div
                     className={`${
@@ -139,7 +146,7 @@ const GenericMultiSelect = ({
                 >
                     {selectedItems.length === 0 ? (
                         <span>
-                            {placeholder}
+                            {placeholder ?? t("multiSelect.placeholder")}
                             {required && " *"}
                         </span>
                     ) : (
@@ -167,10 +174,10 @@ const GenericMultiSelect = ({
                                             gap: "4px",
                                         }}
                                     >
-                                        {item}
+                                        {getLabel(item)}
                                     </span>
                                 ) : (
-                                    <span>{item}</span>
+                                    <span>{getLabel(item)}</span>
                                 )}
                                 <button
                                     type="button"
@@ -179,7 +186,9 @@ const GenericMultiSelect = ({
                                         "item-tag-remove"
                                     }
                                     onClick={(e) => handleRemoveItem(item, e)}
-                                    aria-label={`Remove ${item}`}
+                                    aria-label={t("multiSelect.remove", {
+                                        name: getLabel(item),
+                                    })}
                                     tabIndex={-1}
                                 >
                                     ×
@@ -199,7 +208,7 @@ const GenericMultiSelect = ({
                 <div
                     className={classNames.dropdown || "dropdown"}
                     role="listbox"
-                    aria-label={`${itemName} options`}
+                    aria-label={t("multiSelect.options", { items: itemsLabel })}
                 >
                     {/* Search */}
                     <div className={classNames.search || "search"}>
@@ -207,11 +216,15 @@ const GenericMultiSelect = ({
                             ref={searchInputRef}
                             type="text"
                             className={classNames.searchInput || "search-input"}
-                            placeholder={searchPlaceholder}
+                            placeholder={
+                                searchPlaceholder ?? t("multiSelect.search")
+                            }
                             value={searchTerm}
                             onChange={(e) => setSearchTerm(e.target.value)}
                             onClick={(e) => e.stopPropagation()}
-                            aria-label={`Search ${itemName}`}
+                            aria-label={t("multiSelect.searchLabel", {
+                                items: itemsLabel,
+                            })}
                         />
                     </div>
 
@@ -225,8 +238,12 @@ const GenericMultiSelect = ({
                                 style={{ color: "#999", fontStyle: "italic" }}
                             >
                                 {searchTerm
-                                    ? `No ${itemName} found`
-                                    : `No ${itemName} available`}
+                                    ? t("multiSelect.noneFound", {
+                                          items: itemsLabel,
+                                      })
+                                    : t("multiSelect.noneAvailable", {
+                                          items: itemsLabel,
+                                      })}
                             </div>
                         ) : (
                             filteredItems.map((item) => {
@@ -292,10 +309,10 @@ const GenericMultiSelect = ({
                                                     gap: "6px",
                                                 }}
                                             >
-                                                {item}
+                                                {getLabel(item)}
                                             </span>
                                         ) : (
-                                            <span>{item}</span>
+                                            <span>{getLabel(item)}</span>
                                         )}
                                         {isMaxReached && (
                                             <span
@@ -304,7 +321,9 @@ const GenericMultiSelect = ({
                                                     marginLeft: "8px",
                                                 }}
                                             >
-                                                (Max {maxItems})
+                                                {t("multiSelect.max", {
+                                                    max: maxItems,
+                                                })}
                                             </span>
                                         )}
                                     </div>
@@ -325,8 +344,11 @@ const GenericMultiSelect = ({
                                 textAlign: "center",
                             }}
                         >
-                            {selectedItems.length} of {maxItems} {itemName}{" "}
-                            selected
+                            {t("multiSelect.selectedOf", {
+                                count: selectedItems.length,
+                                max: maxItems,
+                                items: itemsLabel,
+                            })}
                         </div>
                     )}
                 </div>
@@ -356,8 +378,10 @@ const GenericMultiSelect = ({
                         fontStyle: "italic",
                     }}
                 >
-                    You can select up to {maxItems} {itemName} that best
-                    describe your business
+                    {t("multiSelect.helper", {
+                        max: maxItems,
+                        items: itemsLabel,
+                    })}
                 </div>
             )}
 
@@ -374,11 +398,16 @@ const GenericMultiSelect = ({
                         textAlign: "right",
                     }}
                 >
-                    {selectedItems.length}/{maxItems} {itemName} selected
+                    {t("multiSelect.selectedCount", {
+                        count: selectedItems.length,
+                        max: maxItems,
+                        items: itemsLabel,
+                    })}
                     {selectedItems.length >= warningThreshold &&
                         selectedItems.length < maxItems &&
-                        " (almost at limit)"}
-                    {selectedItems.length === maxItems && " (maximum reached)"}
+                        ` (${t("multiSelect.almostLimit")})`}
+                    {selectedItems.length === maxItems &&
+                        ` (${t("multiSelect.maxReached")})`}
                 </div>
             )}
         </div>
@@ -1,6 +1,7 @@
 // client/src/components/forms/ImageUpload.js
 import React, { useState, useRef, useCallback, useEffect } from 'react';
 import submissionService from '../../services/submissionService';
+import { useTranslation } from '../../contexts/LanguageContext';
 
 const ImageUpload = ({
     onImageChange,
@@ -17,6 +18,7 @@ const ImageUpload = ({
     const [validationError, setValidationError] = useState('');
     const [isProcessing, setIsProcessing] = useState(false);
     const fileInputRef = useRef(null);
+    const { t } = useTranslation();
 
     // Handle external clear trigger
     useEffect(() => {
@@ -42,7 +44,7 @@ const ImageUpload = ({
         setIsProcessing(true);
 
         // Validate file
-        const validation = submissionService.validateImageFile(file);
+        const validation = submissionService.validateImageFile(file, t);
 
         if (!validation.isValid) {
             setValidationError(validation.errors.join(', '));
@@ -66,13 +68,13 @@ const ImageUpload = ({
         };
 
         reader.onerror = () => {
-            setValidationError('Failed to read image file');
+            setValidationError(t('imageUpload.readFailed'));
             setIsProcessing(false);
             clearImage();
         };
 
         reader.readAsDataURL(file);
-    }, [onImageChange]);
+    }, [onImageChange, t]);
 
     // Clear image
     const clearImage = useCallback(() => {
@@ -167,7 +169,7 @@ const ImageUpload = ({
                     onKeyDown={!isProcessing ? handleKeyDown : undefined}
                     tabIndex={isProcessing ? -1 : 0}
                     role="button"
-                    aria-label={isProcessing ? "Processing image..." : "Upload profile image"}
+                    aria-label={isProcessing ? t('imageUpload.processing') : t('imageUpload.upload')}
                     style={isProcessing ? { cursor: 'not-allowed', opacity: 0.7 } : {}}
                 >
                     <input
@@ -187,10 +189,10 @@ const ImageUpload = ({
                                     ⚡
                                 </div>
                                 <div className={classNames.text || "image-upload-text"}>
-                                    <strong>Processing image...</strong>
+                                    <strong>{t('imageUpload.processing')}</strong>
                                 </div>
                                 <div className={classNames.hint || "image-upload-hint"}>
-                                    Please wait while we optimize your image
+                                    {t('imageUpload.processingHint')}
                                 </div>
                             </>
                         ) : (
@@ -200,13 +202,13 @@ const ImageUpload = ({
                                     📷
                                 </div>
                                 <div className={classNames.text || "image-upload-text"}>
-                                    <strong>Click to upload</strong> or drag and drop
+                                    <strong>{t('imageUpload.clickToUpload')}</strong> {t('imageUpload.orDrag')}
                                 </div>
                                 <div className={classNames.hint || "image-upload-hint"}>
-                                    {acceptedFormats.join(', ')} up to {maxSize}MB
+                                    {t('imageUpload.formats', { formats: acceptedFormats.join(', '), max: maxSize })}
                                     {required && (
                                         <div style={{ marginTop: '4px', color: 'var(--danger-red, #dc3545)' }}>
-                                            * Required
+                                            * {t('imageUpload.required')}
                                         </div>
                                     )}
                                 </div>
@@ -219,7 +221,7 @@ const ImageUpload = ({
                 <div className={classNames.preview || "image-preview"}>
                     <img
                         src={preview}
-                        alt="Business profile preview"
+                        alt={t('imageUpload.previewAlt')}
                         className={classNames.previewImg || "image-preview-img"}
                     />
 
@@ -236,10 +238,10 @@ const ImageUpload = ({
                             color: '#6c757d'
                         }}>
                             <div>
-                                <strong>Size:</strong> {fileInfo?.sizeFormatted}
+                                <strong>{t('imageUpload.size')}</strong> {fileInfo?.sizeFormatted}
                             </div>
                             <div>
-                                <strong>Type:</strong> {fileInfo?.type?.split('/')[1]?.toUpperCase()}
+                                <strong>{t('imageUpload.type')}</strong> {fileInfo?.type?.split('/')[1]?.toUpperCase()}
                             </div>
                         </div>
 
@@ -251,7 +253,7 @@ const ImageUpload = ({
                             fontSize: '0.8rem',
                             color: '#2e7d32'
                         }}>
-                            ✅ Image will be automatically optimized for web performance
+                            ✅ {t('imageUpload.willOptimize')}
                         </div>
                     </div>
 
@@ -259,9 +261,9 @@ const ImageUpload = ({
                         type="button"
                         className={classNames.previewRemove || "image-preview-remove"}
                         onClick={clearImage}
-                        aria-label="Remove selected image"
+                        aria-label={t('imageUpload.removeLabel')}
                     >
-                        🗑️ Remove Image
+                        🗑️ {t('imageUpload.remove')}
                     </button>
                 </div>
             )}
@@ -283,7 +285,7 @@ const ImageUpload = ({
                     textAlign: 'center',
                     fontStyle: 'italic'
                 }}>
-                    Your image will be automatically resized and optimized
+                    {t('imageUpload.helper')}
                 </div>
             )}
 
@@ -299,7 +301,7 @@ const ImageUpload = ({
                     borderRadius: '4px',
                     border: '1px solid #b3d4fc'
                 }}>
-                    💡 <strong>Processing Info:</strong> Your image will be automatically converted to modern formats (WebP & AVIF) and resized to 800x600px for optimal performance across all devices.
+                    💡 <strong>{t('imageUpload.processingInfoLabel')}</strong> {t('imageUpload.processingInfo')}
                 </div>
             )}
         </div>
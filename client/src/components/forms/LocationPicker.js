@@ -0,0 +1,102 @@
+// client/src/components/forms/LocationPicker.js
+import React, { useState } from "react";
+import TileMap from "../common/TileMap";
+import { useTranslation } from "../../contexts/LanguageContext";
+import { getCurrentPosition } from "../../utils/geo";
+import { GEORGIA_CENTER, GEORGIA_ZOOM, POINT_ZOOM } from "../../constants/map";
+
+/**
+ * LocationPicker Component
+ *
+ * Map for placing a listing: click the map or use the browser position.
+ * The value is { lat, lng } or null (no location).
+ *
+ * @param {Object|null} value
+ * @param {Function} onChange - Called with { lat, lng } or null
+ * @param {string} [error] - Validation message
+ */
+const LocationPicker = ({ value, onChange, error }) => {
+    const { t } = useTranslation();
+    const [isLocating, setIsLocating] = useState(false);
+    const [locateError, setLocateError] = useState("");
+    // Map view only moves on purpose - not on every click
+    const [view, setView] = useState(
+        value
+            ? { center: value, zoom: POINT_ZOOM }
+            : { center: GEORGIA_CENTER, zoom: GEORGIA_ZOOM }
+    );
+
+    const round = (number) => Math.round(number * 1e6) / 1e6;
+
+    const handleMapClick = ({ lat, lng }) => {
+        onChange({ lat: round(lat), lng: round(lng) });
+    };
+
+    const handleUseMyLocation = async () => {
+        setIsLocating(true);
+        setLocateError("");
+        try {
+            const position = await getCurrentPosition();
+            const point = { lat: round(position.lat), lng: round(position.lng) };
+            onChange(point);
+            setView({ center: point, zoom: POINT_ZOOM });
+        } catch {
+            setLocateError(t("locationPicker.locateFailed"));
+        } finally {
+            setIsLocating(false);
+        }
+    };
+
+    return (
+        <div className="location-picker">
+            <TileMap
+                center={view.center}
+                zoom={view.zoom}
+                markers={
+                    value
+                        ? [{ id: "location", ...value, label: t("locationPicker.marker"), active: true }]
+                        : []
+                }
+                onMapClick={handleMapClick}
+                className="location-picker-map"
+                ariaLabel={t("locationPicker.mapLabel")}
+            />
+
+            <div className="location-picker-actions">
+                <button
+                    type="button"
+                    className="location-picker-btn"
+                    onClick={handleUseMyLocation}
+                    disabled={isLocating}
+                >
+                    {isLocating
+                        ? t("filters.locating")
+                        : `📍 ${t("locationPicker.useMyLocation")}`}
+                </button>
+                {value && (
+                    <>
+                        <span className="location-picker-coords">
+                            {value.lat.toFixed(5)}, {value.lng.toFixed(5)}
+                        </span>
+                        <button
+                            type="button"
+                            className="location-picker-btn remove"
+                            onClick={() => onChange(null)}
+                        >
+                            {t("locationPicker.remove")}
+                        </button>
+                    </>
+                )}
+            </div>
+            <p className="location-picker-hint">{t("locationPicker.hint")}</p>
+
+            {(error || locateError) && (
+                <div className="location-picker-error" role="alert">
+                    ⚠ {error || locateError}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LocationPicker;
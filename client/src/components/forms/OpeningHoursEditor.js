@@ -0,0 +1,267 @@
+// client/src/components/forms/OpeningHoursEditor.js
+import React from "react";
+import { useTranslation } from "../../contexts/LanguageContext";
+import { DAY_ORDER, getWeekdayName } from "../../utils/openingHours";
+import "../../styles/opening-hours.css";
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const DEFAULT_PERIOD = { open: "09:00", close: "18:00" };
+
+/**
+ * OpeningHoursEditor Component
+ *
+ * Weekly hours (several periods per day for lunch breaks) and exceptions
+ * for holidays and temporary closures. Works on the editable shape from
+ * utils/openingHours - serialize it with serializeOpeningHours before sending.
+ *
+ * @param {Object} value - { weekly, exceptions }
+ * @param {Function} onChange - Called with the new value
+ * @param {string} [error] - Validation message
+ */
+const OpeningHoursEditor = ({ value, onChange, error }) => {
+    const { t, language } = useTranslation();
+    const { weekly, exceptions } = value;
+
+    const updateWeekly = (newWeekly) => onChange({ ...value, weekly: newWeekly });
+    const updateExceptions = (newExceptions) =>
+        onChange({ ...value, exceptions: newExceptions });
+
+    const addPeriod = (day) => {
+        const dayPeriods = weekly.filter((period) => period.day === day);
+        const last = dayPeriods[dayPeriods.length - 1];
+        // A second period starts where the first one ends (lunch break)
+        const period = last
+            ? { day, open: last.close, close: "" }
+            : { day, ...DEFAULT_PERIOD };
+        updateWeekly([...weekly, period]);
+    };
+
+    const updatePeriod = (index, field, fieldValue) =>
+        updateWeekly(
+            weekly.map((period, i) =>
+                i === index ? { ...period, [field]: fieldValue } : period
+            )
+        );
+
+    const removePeriod = (index) =>
+        updateWeekly(weekly.filter((_, i) => i !== index));
+
+    // Copy Monday's hours to Tuesday-Friday
+    const copyMondayToWeekdays = () => {
+        const monday = weekly.filter((period) => period.day === 1);
+        updateWeekly([
+            ...weekly.filter((period) => !WEEKDAYS.includes(period.day)),
+            ...WEEKDAYS.flatMap((day) =>
+                monday.map(({ open, close }) => ({ day, open, close }))
+            ),
+        ]);
+    };
+
+    const addException = () =>
+        updateExceptions([
+            ...exceptions,
+            {
+                startDate: "",
+                endDate: "",
+                closed: true,
+                open: "",
+                close: "",
+                note: "",
+            },
+        ]);
+
+    const updateException = (index, field, fieldValue) =>
+        updateExceptions(
+            exceptions.map((exception, i) =>
+                i === index ? { ...exception, [field]: fieldValue } : exception
+            )
+        );
+
+    const removeException = (index) =>
+        updateExceptions(exceptions.filter((_, i) => i !== index));
+
+    return (
+        <div className="opening-hours-editor">
+            <div className="hours-week">
+                {DAY_ORDER.map((day) => {
+                    const periods = weekly
+                        .map((period, index) => ({ ...period, index }))
+                        .filter((period) => period.day === day);
+
+                    return (
+                        <div key={day} className="hours-day-row">
+                            <span className="hours-day-name">
+                                {getWeekdayName(day, language)}
+                            </span>
+
+                            <div className="hours-periods">
+                                {periods.length === 0 && (
+                                    <span className="hours-closed-label">
+                                        {t("hours.closed")}
+                                    </span>
+                                )}
+                                {periods.map((period) => (
+                                    <div key={period.index} className="hours-period">
+                                        <input
+                                            type="time"
+                                            value={period.open}
+                                            onChange={(e) =>
+                                                updatePeriod(period.index, "open", e.target.value)
+                                            }
+                                            aria-label={t("hoursEditor.openingTime", {
+                                                day: getWeekdayName(day, language),
+                                            })}
+                                        />
+                                        <span>–</span>
+                                        <input
+                                            type="time"
+                                            value={period.close}
+                                            onChange={(e) =>
+                                                updatePeriod(period.index, "close", e.target.value)
+                                            }
+                                            aria-label={t("hoursEditor.closingTime", {
+                                                day: getWeekdayName(day, language),
+                                            })}
+                                        />
+                                        <button
+                                            type="button"
+                                            className="hours-remove-btn"
+                                            onClick={() => removePeriod(period.index)}
+                                            aria-label={t("hoursEditor.removeHours", {
+                                                day: getWeekdayName(day, language),
+                                            })}
+                                        >
+                                            ×
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+
+                            <button
+                                type="button"
+                                className="hours-add-btn"
+                                onClick={() => addPeriod(day)}
+                            >
+                                + {t("hoursEditor.addHours")}
+                            </button>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="hours-editor-actions">
+                <button
+                    type="button"
+                    className="hours-link-btn"
+                    onClick={copyMondayToWeekdays}
+                    disabled={!weekly.some((period) => period.day === 1)}
+                >
+                    {t("hoursEditor.copyMonday")}
+                </button>
+                <span className="hours-hint">{t("hoursEditor.hint")}</span>
+            </div>
+
+            <div className="hours-exceptions">
+                <h4>{t("hoursEditor.exceptionsTitle")}</h4>
+                {exceptions.length === 0 && (
+                    <p className="hours-hint">{t("hoursEditor.noExceptions")}</p>
+                )}
+
+                {exceptions.map((exception, index) => (
+                    <div key={index} className="hours-exception">
+                        <div className="hours-exception-dates">
+                            <label>
+                                {t("hoursEditor.from")}
+                                <input
+                                    type="date"
+                                    value={exception.startDate}
+                                    onChange={(e) =>
+                                        updateException(index, "startDate", e.target.value)
+                                    }
+                                />
+                            </label>
+                            <label>
+                                {t("hoursEditor.to")}
+                                <input
+                                    type="date"
+                                    value={exception.endDate}
+                                    min={exception.startDate || undefined}
+                                    onChange={(e) =>
+                                        updateException(index, "endDate", e.target.value)
+                                    }
+                                />
+                            </label>
+                            <select
+                                value={exception.closed ? "closed" : "open"}
+                                onChange={(e) =>
+                                    updateException(index, "closed", e.target.value === "closed")
+                                }
+                                aria-label={t("hoursEditor.exceptionType")}
+                            >
+                                <option value="closed">{t("hours.closed")}</option>
+                                <option value="open">{t("hoursEditor.specialHours")}</option>
+                            </select>
+                            {!exception.closed && (
+                                <div className="hours-period">
+                                    <input
+                                        type="time"
+                                        value={exception.open}
+                                        onChange={(e) =>
+                                            updateException(index, "open", e.target.value)
+                                        }
+                                        aria-label={t("hoursEditor.specialOpeningTime")}
+                                    />
+                                    <span>–</span>
+                                    <input
+                                        type="time"
+                                        value={exception.close}
+                                        onChange={(e) =>
+                                            updateException(index, "close", e.target.value)
+                                        }
+                                        aria-label={t("hoursEditor.specialClosingTime")}
+                                    />
+                                </div>
+                            )}
+                        </div>
+                        <div className="hours-exception-note">
+                            <input
+                                type="text"
+                                value={exception.note}
+                                onChange={(e) =>
+                                    updateException(index, "note", e.target.value)
+                                }
+                                placeholder={t("hoursEditor.notePlaceholder")}
+                                maxLength="100"
+                            />
+                            <button
+                                type="button"
+                                className="hours-remove-btn"
+                                onClick={() => removeException(index)}
+                                aria-label={t("hoursEditor.removeException")}
+                            >
+                                ×
+                            </button>
+                        </div>
+                    </div>
+                ))}
+
+                <button
+                    type="button"
+                    className="hours-add-btn"
+                    onClick={addException}
+                    disabled={exceptions.length >= 30}
+                >
+                    + {t("hoursEditor.addException")}
+                </button>
+            </div>
+
+            {error && (
+                <div className="hours-error" role="alert">
+                    ⚠ {error}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OpeningHoursEditor;
@@ -1,8 +1,10 @@
 import React, { useState } from 'react';
 import userAuthService from '../../services/userAuthService';
+import { useTranslation } from '../../contexts/LanguageContext';
 import './EmailChangeModal.css';
 
 const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
+    const { t } = useTranslation();
     const [step, setStep] = useState(1); // 1: enter email, 2: enter code
     const [newEmail, setNewEmail] = useState('');
     const [verificationCode, setVerificationCode] = useState('');
@@ -27,7 +29,7 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
     const handleSendCode = async (e) => {
         e.preventDefault();
         if (!newEmail || newEmail === currentEmail) {
-            setError('Please enter a different email address');
+            setError(t('emailChange.differentEmail'));
             return;
         }
 
@@ -40,9 +42,9 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
             });
 
             setStep(2);
-            setSuccess('Verification code sent to your current email!');
+            setSuccess(t('emailChange.codeSent'));
         } catch (err) {
-            const errorMessage = err.response?.data?.error || err.message || 'Failed to send verification code';
+            const errorMessage = err.response?.data?.error || err.message || t('emailChange.sendFailed');
             setError(errorMessage);
         } finally {
             setLoading(false);
@@ -52,7 +54,7 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
     const handleVerifyCode = async (e) => {
         e.preventDefault();
         if (!verificationCode || verificationCode.length !== 6) {
-            setError('Please enter the 6-digit code');
+            setError(t('emailChange.enterCode'));
             return;
         }
 
@@ -64,13 +66,13 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
                 verificationCode
             });
 
-            setSuccess('Email changed successfully!');
+            setSuccess(t('emailChange.changed'));
             setTimeout(() => {
                 onEmailChange(response.data.newEmail);
                 handleClose();
             }, 1500);
         } catch (err) {
-            const errorMessage = err.response?.data?.error || err.message || 'Invalid verification code';
+            const errorMessage = err.response?.data?.error || err.message || t('emailChange.invalidCode');
             setError(errorMessage);
         } finally {
             setLoading(false);
@@ -83,7 +85,7 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
         <div className="modal-overlay" onClick={handleClose}>
             <div className="modal-content" onClick={e => e.stopPropagation()}>
                 <div className="modal-header">
-                    <h3>Change Email Address</h3>
+                    <h3>{t('emailChange.title')}</h3>
                     <button className="modal-close" onClick={handleClose}>×</button>
                 </div>
 
@@ -91,7 +93,7 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
                     {step === 1 && (
                         <form onSubmit={handleSendCode}>
                             <div className="form-group">
-                                <label>Current Email</label>
+                                <label>{t('emailChange.currentEmail')}</label>
                                 <input 
                                     type="email" 
                                     value={currentEmail} 
@@ -101,19 +103,21 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
                             </div>
                             
                             <div className="form-group">
-                                <label>New Email Address</label>
+                                <label>{t('emailChange.newEmail')}</label>
                                 <input
                                     type="email"
                                     value={newEmail}
                                     onChange={(e) => setNewEmail(e.target.value)}
                                     className="form-control"
-                                    placeholder="Enter new email address"
+                                    placeholder={t('emailChange.newEmailPlaceholder')}
                                     required
                                 />
                             </div>
 
                             <p className="info-text">
-                                A 6-digit verification code will be sent to your <strong>current</strong> email address for security.
+                                {t('emailChange.codeInfoBefore')}
+                                <strong>{t('emailChange.codeInfoCurrent')}</strong>
+                                {t('emailChange.codeInfoAfter')}
                             </p>
 
                             {error && <div className="error-message">{error}</div>}
@@ -123,7 +127,7 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
                                 className="btn btn-primary"
                                 disabled={loading || !newEmail}
                             >
-                                {loading ? 'Sending...' : 'Send Verification Code'}
+                                {loading ? t('emailChange.sending') : t('emailChange.sendCode')}
                             </button>
                         </form>
                     )}
@@ -131,14 +135,14 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
                     {step === 2 && (
                         <form onSubmit={handleVerifyCode}>
                             <div className="step-info">
-                                <p>We sent a 6-digit code to:</p>
+                                <p>{t('emailChange.sentTo')}</p>
                                 <p className="email-highlight">{currentEmail}</p>
-                                <p>Enter the code below to complete the change to:</p>
+                                <p>{t('emailChange.completeTo')}</p>
                                 <p className="email-highlight">{newEmail}</p>
                             </div>
 
                             <div className="form-group">
-                                <label>Verification Code</label>
+                                <label>{t('emailChange.codeLabel')}</label>
                                 <input
                                     type="text"
                                     value={verificationCode}
@@ -151,7 +155,7 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
                             </div>
 
                             <p className="info-text">
-                                Code expires in 10 minutes
+                                {t('emailChange.codeExpiry')}
                             </p>
 
                             {error && <div className="error-message">{error}</div>}
@@ -164,14 +168,14 @@ const EmailChangeModal = ({ isOpen, onClose, onEmailChange, currentEmail }) => {
                                     onClick={() => setStep(1)}
                                     disabled={loading}
                                 >
-                                    Back
+                                    {t('emailChange.back')}
                                 </button>
                                 <button 
                                     type="submit" 
                                     className="btn btn-primary"
                                     disabled={loading || verificationCode.length !== 6}
                                 >
-                                    {loading ? 'Verifying...' : 'Verify Code'}
+                                    {loading ? t('emailChange.verifying') : t('emailChange.verify')}
                                 </button>
                             </div>
                         </form>
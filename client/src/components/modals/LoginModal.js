@@ -2,6 +2,7 @@
 import React, { useState, useEffect } from "react"; // ADDED: useEffect import
 import { useNavigate } from "react-router-dom";
 import { useUserAuth } from "../../contexts/UserAuthContext";
+import { useTranslation } from "../../contexts/LanguageContext";
 import "./../../styles/loginModal.css";
 
 const LoginModal = ({ isOpen, onClose }) => {
@@ -19,6 +20,7 @@ const LoginModal = ({ isOpen, onClose }) => {
     const [rememberMe, setRememberMe] = useState(true);
 
     const { login, register } = useUserAuth();
+    const { t } = useTranslation();
 
     // 🔧 FIX: Reset isSubmitting when modal closes/opens
     useEffect(() => {
@@ -79,7 +81,7 @@ const LoginModal = ({ isOpen, onClose }) => {
         try {
             if (activeTab === "login") {
                 if (!formData.email || !formData.password) {
-                    throw new Error("Please fill in all fields");
+                    throw new Error(t("auth.fillAllFields"));
                 }
 
                 const result = await login(
@@ -102,7 +104,7 @@ const LoginModal = ({ isOpen, onClose }) => {
                     handleLoginSuccess();
                 } else {
                     // Handle case where login returns success: false but doesn't require verification
-                    throw new Error(result.message || "Login failed");
+                    throw new Error(result.message || t("auth.loginFailed"));
                 }
             } else {
                 if (
@@ -111,10 +113,10 @@ const LoginModal = ({ isOpen, onClose }) => {
                     !formData.password ||
                     !formData.confirmPassword
                 ) {
-                    throw new Error("Please fill in all fields");
+                    throw new Error(t("auth.fillAllFields"));
                 }
                 if (formData.password !== formData.confirmPassword) {
-                    throw new Error("Passwords don't match");
+                    throw new Error(t("password.mismatch"));
                 }
 
                 const result = await register({
@@ -152,8 +154,7 @@ const LoginModal = ({ isOpen, onClose }) => {
             } else if (err.code === "INVALID_CREDENTIALS") {
                 errorMessage = `❌ ${err.message}`;
             } else if (err.code === "EMAIL_ALREADY_EXISTS") {
-                errorMessage =
-                    "📧 An account with this email already exists. Please try logging in instead.";
+                errorMessage = `📧 ${t("auth.emailExists")}`;
             } else if (err.code === "REGISTRATION_PENDING") {
                 // Instead of showing error, redirect to verify-email page
                 onClose();
@@ -162,8 +163,7 @@ const LoginModal = ({ isOpen, onClose }) => {
                 );
                 return; // Exit early, don't show error message
             } else if (err.code === "ACCOUNT_LOCKED") {
-                errorMessage =
-                    "🔒 Account temporarily locked due to too many failed attempts. Please try again later.";
+                errorMessage = `🔒 ${t("auth.accountLocked")}`;
             } else if (
                 err.code === "VALIDATION_ERROR" &&
                 err.details &&
@@ -193,8 +193,8 @@ const LoginModal = ({ isOpen, onClose }) => {
             } else {
                 errorMessage =
                     activeTab === "login"
-                        ? "Login failed. Please try again."
-                        : "Registration failed. Please try again.";
+                        ? t("auth.loginFailedRetry")
+                        : t("auth.registerFailedRetry");
             }
 
             setError(errorMessage);
@@ -206,7 +206,7 @@ const LoginModal = ({ isOpen, onClose }) => {
 
     const handleSocialLogin = (provider) => {
         console.log(`${provider} login clicked`);
-        setError(`${provider} login coming soon!`);
+        setError(t("auth.socialComingSoon", { provider }));
     };
 
     const handleClose = () => {
@@ -247,18 +247,18 @@ const LoginModal = ({ isOpen, onClose }) => {
             >
                 <div className="login-modal-header">
                     <div className="login-modal-title">
-                        <h2>Welcome to TΣLO</h2>
+                        <h2>{t("auth.welcome")}</h2>
                         <p className="login-subtitle">
                             {activeTab === "login"
-                                ? "Sign in to your account"
-                                : "Create your new account"}
+                                ? t("auth.signInSubtitle")
+                                : t("auth.signUpSubtitle")}
                         </p>
                     </div>
                     <button
                         className="login-modal-close"
                         onClick={handleClose}
                         type="button"
-                        aria-label="Close modal"
+                        aria-label={t("auth.close")}
                     >
                         ×
                     </button>
@@ -271,7 +271,7 @@ const LoginModal = ({ isOpen, onClose }) => {
                         }`}
                         onClick={() => switchTab("login")}
                     >
-                        Log In
+                        {t("auth.logInTab")}
                     </button>
                     <button
                         className={`login-tab ${
@@ -279,7 +279,7 @@ const LoginModal = ({ isOpen, onClose }) => {
                         }`}
                         onClick={() => switchTab("register")}
                     >
-                        Sign Up
+                        {t("auth.signUpTab")}
                     </button>
                 </div>
 
@@ -310,7 +310,7 @@ const LoginModal = ({ isOpen, onClose }) => {
                                     />
                                 </svg>
                             </div>
-                            Continue with Google
+                            {t("auth.continueWith", { provider: "Google" })}
                         </button>
 
                         <button
@@ -326,13 +326,15 @@ const LoginModal = ({ isOpen, onClose }) => {
                                     />
                                 </svg>
                             </div>
-                            Continue with Facebook
+                            {t("auth.continueWith", { provider: "Facebook" })}
                         </button>
 
                         <button
                             type="button"
                             className="social-login-btn phone"
-                            onClick={() => handleSocialLogin("Phone")}
+                            onClick={() =>
+                                handleSocialLogin(t("auth.phoneProvider"))
+                            }
                         >
                             <div className="social-icon">
                                 <svg viewBox="0 0 24 24" width="20" height="20">
@@ -342,39 +344,43 @@ const LoginModal = ({ isOpen, onClose }) => {
                                     />
                                 </svg>
                             </div>
-                            Continue with Phone
+                            {t("auth.continueWithPhone")}
                         </button>
                     </div>
 
                     <div className="login-divider">
-                        <span>or</span>
+                        <span>{t("auth.or")}</span>
                     </div>
 
                     <form onSubmit={handleSubmit} className="login-form">
                         {activeTab === "register" && (
                             <div className="form-group">
-                                <label htmlFor="name">Full Name</label>
+                                <label htmlFor="name">
+                                    {t("auth.nameLabel")}
+                                </label>
                                 <input
                                     type="text"
                                     id="name"
                                     name="name"
                                     value={formData.name}
                                     onChange={handleInputChange}
-                                    placeholder="Enter your full name"
+                                    placeholder={t("auth.namePlaceholder")}
                                     required
                                 />
                             </div>
                         )}
 
                         <div className="form-group">
-                            <label htmlFor="email">Email Address</label>
+                            <label htmlFor="email">
+                                {t("auth.emailLabel")}
+                            </label>
                             <input
                                 type="email"
                                 id="email"
                                 name="email"
                                 value={formData.email}
                                 onChange={handleInputChange}
-                                placeholder="Enter your email"
+                                placeholder={t("auth.emailPlaceholder")}
                                 required
                             />
                         </div>
@@ -382,7 +388,7 @@ const LoginModal = ({ isOpen, onClose }) => {
                         {activeTab === "register" && (
                             <div className="form-group">
                                 <label htmlFor="phone">
-                                    Phone Number (Optional)
+                                    {t("auth.phoneLabel")}
                                 </label>
                                 <input
                                     type="tel"
@@ -390,20 +396,22 @@ const LoginModal = ({ isOpen, onClose }) => {
                                     name="phone"
                                     value={formData.phone}
                                     onChange={handleInputChange}
-                                    placeholder="Enter your phone number"
+                                    placeholder={t("auth.phonePlaceholder")}
                                 />
                             </div>
                         )}
 
                         <div className="form-group">
-                            <label htmlFor="password">Password</label>
+                            <label htmlFor="password">
+                                {t("auth.passwordLabel")}
+                            </label>
                             <input
                                 type="password"
                                 id="password"
                                 name="password"
                                 value={formData.password}
                                 onChange={handleInputChange}
-                                placeholder="Enter your password"
+                                placeholder={t("auth.passwordPlaceholder")}
                                 required
                             />
                         </div>
@@ -411,7 +419,7 @@ const LoginModal = ({ isOpen, onClose }) => {
                         {activeTab === "register" && (
                             <div className="form-group">
                                 <label htmlFor="confirmPassword">
-                                    Confirm Password
+                                    {t("auth.confirmPasswordLabel")}
                                 </label>
                                 <input
                                     type="password"
@@ -419,7 +427,9 @@ const LoginModal = ({ isOpen, onClose }) => {
                                     name="confirmPassword"
                                     value={formData.confirmPassword}
                                     onChange={handleInputChange}
-                                    placeholder="Confirm your password"
+                                    placeholder={t(
+                                        "auth.confirmPasswordPlaceholder"
+                                    )}
                                     required
                                 />
                             </div>
@@ -435,7 +445,7 @@ const LoginModal = ({ isOpen, onClose }) => {
                                         className="remember-me-checkbox"
                                     />
                                     <span className="remember-me-text">
-                                        Remember Me!
+                                        {t("auth.rememberMe")}
                                     </span>
                                 </label>
                             </div>
@@ -454,11 +464,11 @@ const LoginModal = ({ isOpen, onClose }) => {
                         >
                             {isSubmitting
                                 ? activeTab === "login"
-                                    ? "Signing in..."
-                                    : "Creating account..."
+                                    ? t("auth.signingIn")
+                                    : t("auth.creatingAccount")
                                 : activeTab === "login"
-                                ? "Sign In"
-                                : "Create Account"}
+                                ? t("auth.signIn")
+                                : t("auth.createAccount")}
                         </button>
                     </form>
 
@@ -472,7 +482,7 @@ const LoginModal = ({ isOpen, onClose }) => {
                                     navigate("/forgot-password");
                                 }}
                             >
-                                Forgot your password?
+                                {t("auth.forgotPassword")}
                             </button>
                         </div>
                     )}
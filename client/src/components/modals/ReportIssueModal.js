@@ -1,35 +1,59 @@
 // client/src/components/modals/ReportIssueModal.js
 
 import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
 import businessService from "../../services/businessService";
+import { useTranslation } from "../../contexts/LanguageContext";
 import "./../../styles/modals.css";
 
+// Same limit as the server (validateReport)
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+const EMPTY_FORM = {
+    issueTypes: [], // Keys of the selected report reasons
+    description: "",
+    reporterEmail: "", // Optional - the reporter hears about the outcome
+    honeypot: "", // ADD: Honeypot field for spam protection
+};
+
 const ReportIssueModal = ({ isOpen, onClose, businessId, businessName }) => {
+    const { t } = useTranslation();
+
     // Form state management - tracks all user inputs and selections
-    const [formData, setFormData] = useState({
-        brokenImage: false,
-        businessNoLongerExists: false,
-        otherIssue: false,
-        description: "",
-        honeypot: "", // ADD: Honeypot field for spam protection
+    const [formData, setFormData] = useState(EMPTY_FORM);
+
+    // Issue types are managed by admins (Reports Management -> Reasons)
+    const {
+        data: reasons = [],
+        isLoading: reasonsLoading,
+        isError: reasonsError,
+    } = useQuery({
+        queryKey: ["report-reasons"],
+        queryFn: businessService.getReportReasons,
+        enabled: isOpen,
+        staleTime: 5 * 60 * 1000,
     });
 
     // UI state management for user feedback and interaction control
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [isSubmitted, setIsSubmitted] = useState(false);
+    const [statusToken, setStatusToken] = useState(null);
     const [error, setError] = useState("");
 
-    const handleCheckboxChange = (field) => {
+    const handleCheckboxChange = (key) => {
         setFormData((prev) => ({
             ...prev,
-            [field]: !prev[field],
+            issueTypes: prev.issueTypes.includes(key)
+                ? prev.issueTypes.filter((type) => type !== key)
+                : [...prev.issueTypes, key],
         }));
         setError("");
     };
 
     const handleDescriptionChange = (e) => {
         const value = e.target.value;
-        if (value.length <= 50) {
+        if (value.length <= MAX_DESCRIPTION_LENGTH) {
             setFormData((prev) => ({
                 ...prev,
                 description: value,
@@ -38,6 +62,14 @@ const ReportIssueModal = ({ isOpen, onClose, businessId, businessName }) => {
         setError("");
     };
 
+    const handleEmailChange = (e) => {
+        setFormData((prev) => ({
+            ...prev,
+            reporterEmail: e.target.value,
+        }));
+        setError("");
+    };
+
     // ADD: Honeypot change handler
     const handleHoneypotChange = (e) => {
         setFormData((prev) => ({
@@ -46,22 +78,31 @@ const ReportIssueModal = ({ isOpen, onClose, businessId, businessName }) => {
         }));
     };
 
-    const validateForm = () => {
-        const { brokenImage, businessNoLongerExists, otherIssue, description } =
-            formData;
+    // First selected reason that needs the reporter's own words
+    const reasonNeedingText = reasons.find(
+        (reason) =>
+            reason.requiresText && formData.issueTypes.includes(reason.key)
+    );
 
-        if (!brokenImage && !businessNoLongerExists && !otherIssue) {
-            setError("Please select at least one issue type");
+    const validateForm = () => {
+        if (formData.issueTypes.length === 0) {
+            setError(t("report.selectType"));
             return false;
         }
 
-        if (description.trim() && !otherIssue) {
+        if (reasonNeedingText && !formData.description.trim()) {
             setError(
-                'Please select "Other Issue" to provide a custom description'
+                t("report.describeReason", { reason: reasonNeedingText.label })
             );
             return false;
         }
 
+        const email = formData.reporterEmail.trim();
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            setError(t("report.invalidEmail"));
+            return false;
+        }
+
         return true;
     };
 
@@ -74,23 +115,19 @@ const ReportIssueModal = ({ isOpen, onClose, businessId, businessName }) => {
         setError("");
 
         try {
-            const issueTypes = [];
-            if (formData.brokenImage) issueTypes.push("Broken Image");
-            if (formData.businessNoLongerExists)
-                issueTypes.push("Business No Longer Exists");
-            if (formData.otherIssue) issueTypes.push("Other Issue");
+            const { issueTypes } = formData;
 
             // CHANGE: Use actual honeypot value instead of hardcoded ""
             const reportData = {
                 businessId,
                 issueTypes,
-                description: formData.otherIssue
-                    ? formData.description.trim()
-                    : "",
+                description: formData.description.trim(),
+                reporterEmail: formData.reporterEmail.trim(),
                 honeypot: formData.honeypot, // FIX: Use actual honeypot field value
             };
 
-            await businessService.submitReport(reportData);
+            const response = await businessService.submitReport(reportData);
+            setStatusToken(response.statusToken || null);
             setIsSubmitted(true);
 
             if (process.env.NODE_ENV === "development") {
@@ -103,9 +140,7 @@ const ReportIssueModal = ({ isOpen, onClose, businessId, businessName }) => {
                 });
             }
         } catch (err) {
-            setError(
-                err.message || "Failed to submit report. Please try again."
-            );
+            setError(err.message || t("report.submitFailed"));
 
             if (process.env.NODE_ENV === "development") {
                 console.error("Report submission error:", err);
@@ -116,15 +151,10 @@ const ReportIssueModal = ({ isOpen, onClose, businessId, businessName }) => {
     };
 
     const handleClose = () => {
-        setFormData({
-            brokenImage: false,
-            businessNoLongerExists: false,
-            otherIssue: false,
-            description: "",
-            honeypot: "", // ADD: Reset honeypot field
-        });
+        setFormData(EMPTY_FORM);
         setIsSubmitting(false);
         setIsSubmitted(false);
+        setStatusToken(null);
         setError("");
         onClose();
     };
@@ -141,17 +171,20 @@ const ReportIssueModal = ({ isOpen, onClose, businessId, businessName }) => {
                     <>
                         <div className="report-modal-header">
                             <div className="report-modal-title">
-                                <h2>Report Issue</h2>
+                                <h2>{t("report.title")}</h2>
                                 <p className="report-subtitle">
-                                    Help us improve by reporting issues with{" "}
-                                    {businessName || "this business"}
+                                    {t("report.subtitle", {
+                                        name:
+                                            businessName ||
+                                            t("report.thisBusiness"),
+                                    })}
                                 </p>
                             </div>
                             <button
                                 className="report-modal-close"
                                 onClick={handleClose}
                                 type="button"
-                                aria-label="Close modal"
+                                aria-label={t("report.close")}
                             >
                                 ×
                             </button>
@@ -182,85 +215,96 @@ const ReportIssueModal = ({ isOpen, onClose, businessId, businessName }) => {
                             />
 
                             <div className="report-issue-types">
-                                <h3>What's the issue?</h3>
-
-                                <div className="issue-checkbox-group">
-                                    <label className="issue-checkbox">
-                                        <input
-                                            type="checkbox"
-                                            checked={formData.brokenImage}
-                                            onChange={() =>
-                                                handleCheckboxChange(
-                                                    "brokenImage"
-                                                )
-                                            }
-                                        />
-                                        <span className="checkmark"></span>
-                                        <span className="checkbox-label">
-                                            Broken Image
-                                        </span>
-                                    </label>
-
-                                    <label className="issue-checkbox">
-                                        <input
-                                            type="checkbox"
-                                            checked={
-                                                formData.businessNoLongerExists
-                                            }
-                                            onChange={() =>
-                                                handleCheckboxChange(
-                                                    "businessNoLongerExists"
-                                                )
-                                            }
-                                        />
-                                        <span className="checkmark"></span>
-                                        <span className="checkbox-label">
-                                            Business No Longer Exists
-                                        </span>
-                                    </label>
+                                <h3>{t("report.whatsTheIssue")}</h3>
 
-                                    <label className="issue-checkbox">
-                                        <input
-                                            type="checkbox"
-                                            checked={formData.otherIssue}
-                                            onChange={() =>
-                                                handleCheckboxChange(
-                                                    "otherIssue"
-                                                )
-                                            }
-                                        />
-                                        <span className="checkmark"></span>
-                                        <span className="checkbox-label">
-                                            Other Issue
-                                        </span>
-                                    </label>
-                                </div>
+                                {reasonsLoading ? (
+                                    <p className="report-reasons-status">
+                                        {t("report.reasonsLoading")}
+                                    </p>
+                                ) : reasonsError ? (
+                                    <p className="report-reasons-status">
+                                        {t("report.reasonsFailed")}
+                                    </p>
+                                ) : (
+                                    <div className="issue-checkbox-group">
+                                        {reasons.map((reason) => (
+                                            <label
+                                                key={reason.key}
+                                                className="issue-checkbox"
+                                            >
+                                                <input
+                                                    type="checkbox"
+                                                    checked={formData.issueTypes.includes(
+                                                        reason.key
+                                                    )}
+                                                    onChange={() =>
+                                                        handleCheckboxChange(
+                                                            reason.key
+                                                        )
+                                                    }
+                                                />
+                                                <span className="checkmark"></span>
+                                                <span className="checkbox-text">
+                                                    <span className="checkbox-label">
+                                                        {reason.label}
+                                                    </span>
+                                                    {reason.description && (
+                                                        <span className="checkbox-description">
+                                                            {reason.description}
+                                                        </span>
+                                                    )}
+                                                </span>
+                                            </label>
+                                        ))}
+                                    </div>
+                                )}
                             </div>
 
                             <div className="report-description-section">
                                 <div className="description-header">
                                     <label htmlFor="description">
-                                        Additional Details
+                                        {t("report.details")}
+                                        {!reasonNeedingText &&
+                                            ` ${t("report.optional")}`}
                                     </label>
                                     <span className="character-counter">
-                                        {formData.description.length}/50
+                                        {formData.description.length}/
+                                        {MAX_DESCRIPTION_LENGTH}
                                     </span>
                                 </div>
                                 <textarea
                                     id="description"
                                     className="description-input"
                                     placeholder={
-                                        formData.otherIssue
-                                            ? "Please describe the issue..."
-                                            : "Select 'Other Issue' to add custom details"
+                                        reasonNeedingText
+                                            ? t("report.describePlaceholder")
+                                            : t("report.anythingElse")
                                     }
                                     value={formData.description}
                                     onChange={handleDescriptionChange}
-                                    disabled={!formData.otherIssue}
                                     rows="3"
                                 />
                             </div>
 
+                            <div className="report-email-section">
+                                <label htmlFor="reporterEmail">
+                                    {t("report.email")}
+                                </label>
+                                <input
+                                    id="reporterEmail"
+                                    type="email"
+                                    className="description-input"
+                                    placeholder="name@example.com"
+                                    value={formData.reporterEmail}
+                                    onChange={handleEmailChange}
+                                    maxLength={254}
+                                    autoComplete="email"
+                                />
+                                <span className="report-email-hint">
+                                    {t("report.emailHint")}
+                                </span>
+                            </div>
+
                             {error && (
                                 <div className="report-error">{error}</div>
                             )}
@@ -269,11 +313,11 @@ const ReportIssueModal = ({ isOpen, onClose, businessId, businessName }) => {
                                 <button
                                     type="submit"
                                     className="report-submit-btn"
-                                    disabled={isSubmitting}
+                                    disabled={isSubmitting || reasonsLoading}
                                 >
                                     {isSubmitting
-                                        ? "Submitting..."
-                                        : "Submit Report"}
+                                        ? t("report.submitting")
+                                        : t("report.submit")}
                                 </button>
                             </div>
                         </form>
@@ -281,16 +325,31 @@ const ReportIssueModal = ({ isOpen, onClose, businessId, businessName }) => {
                 ) : (
                     <div className="report-success">
                         <div className="success-icon">✓</div>
-                        <h2>Thank You!</h2>
-                        <p>
-                            Your report has been submitted successfully. We'll
-                            review it and take appropriate action.
-                        </p>
+                        <h2>{t("report.thankYou")}</h2>
+                        <p>{t("report.submitted")}</p>
+                        {formData.reporterEmail.trim() && (
+                            <p>
+                                {t("report.emailOutcome", {
+                                    email: formData.reporterEmail.trim(),
+                                })}
+                            </p>
+                        )}
+                        {statusToken && (
+                            <p>
+                                <Link
+                                    to={`/status/report/${statusToken}`}
+                                    className="report-status-link"
+                                    onClick={handleClose}
+                                >
+                                    {t("report.followStatus")}
+                                </Link>
+                            </p>
+                        )}
                         <button
                             className="success-close-btn"
                             onClick={handleClose}
                         >
-                            Close
+                            {t("report.closeButton")}
                         </button>
                     </div>
                 )}
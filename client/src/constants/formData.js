@@ -44,6 +44,42 @@ export const GEORGIAN_CITIES = [
     'Khoni',            // Imereti region
 ];
 
+// Localized city names (mirrors server/config/cities.js). The English
+// name stays the stored/filter value.
+export const CITY_TRANSLATIONS = {
+    'All Georgia': { ka: 'მთელი საქართველო', ru: 'Вся Грузия' },
+    'Tbilisi': { ka: 'თბილისი', ru: 'Тбилиси' },
+    'Batumi': { ka: 'ბათუმი', ru: 'Батуми' },
+    'Kutaisi': { ka: 'ქუთაისი', ru: 'Кутаиси' },
+    'Rustavi': { ka: 'რუსთავი', ru: 'Рустави' },
+    'Gori': { ka: 'გორი', ru: 'Гори' },
+    'Zugdidi': { ka: 'ზუგდიდი', ru: 'Зугдиди' },
+    'Poti': { ka: 'ფოთი', ru: 'Поти' },
+    'Telavi': { ka: 'თელავი', ru: 'Телави' },
+    'Ozurgeti': { ka: 'ოზურგეთი', ru: 'Озургети' },
+    'Ambrolauri': { ka: 'ამბროლაური', ru: 'Амбролаури' },
+    'Kobuleti': { ka: 'ქობულეთი', ru: 'Кобулети' },
+    'Khashuri': { ka: 'ხაშური', ru: 'Хашури' },
+    'Samtredia': { ka: 'სამტრედია', ru: 'Самтредиа' },
+    'Senaki': { ka: 'სენაკი', ru: 'Сенаки' },
+    'Zestaponi': { ka: 'ზესტაფონი', ru: 'Зестафони' },
+    'Marneuli': { ka: 'მარნეული', ru: 'Марнеули' },
+    'Akhalkalaki': { ka: 'ახალქალაქი', ru: 'Ахалкалаки' },
+    'Lagodekhi': { ka: 'ლაგოდეხი', ru: 'Лагодехи' },
+    'Bolnisi': { ka: 'ბოლნისი', ru: 'Болниси' },
+    'Gardabani': { ka: 'გარდაბანი', ru: 'Гардабани' },
+    'Akhaltsikhe': { ka: 'ახალციხე', ru: 'Ахалцихе' },
+    'Mtskheta': { ka: 'მცხეთა', ru: 'Мцхета' },
+    'Kaspi': { ka: 'კასპი', ru: 'Каспи' },
+    'Kvareli': { ka: 'ყვარელი', ru: 'Кварели' },
+    'Sighnaghi': { ka: 'სიღნაღი', ru: 'Сигнахи' },
+    'Gurjaani': { ka: 'გურჯაანი', ru: 'Гурджаани' },
+    'Dusheti': { ka: 'დუშეთი', ru: 'Душети' },
+    'Tianeti': { ka: 'თიანეთი', ru: 'Тианети' },
+    'Kareli': { ka: 'ქარელი', ru: 'Карели' },
+    'Khoni': { ka: 'ხონი', ru: 'Хони' },
+};
+
 // BUSINESS_CATEGORIES removed - now fetched dynamically from API
 // Categories are managed through the admin panel and fetched from /api/submissions/categories
 // This ensures admin control over which categories are available for submissions
\ No newline at end of file
@@ -0,0 +1,27 @@
+// client/src/constants/map.js
+// Map settings for TileMap (business map view and location pickers)
+
+// XYZ tile source - point REACT_APP_MAP_TILE_URL at a self-hosted tile
+// server or at tiles under public/ (e.g. "/tiles/{z}/{x}/{y}.png").
+// Mind the usage policy of the default OpenStreetMap tiles.
+export const MAP_TILE_URL =
+    process.env.REACT_APP_MAP_TILE_URL ||
+    "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+export const MAP_ATTRIBUTION =
+    process.env.REACT_APP_MAP_ATTRIBUTION || "© OpenStreetMap contributors";
+
+// Self-hosted tile sets are often rendered only up to a lower zoom
+export const MAP_MAX_ZOOM = Number(process.env.REACT_APP_MAP_MAX_ZOOM) || 18;
+export const MAP_MIN_ZOOM = 3;
+
+// Whole country view
+export const GEORGIA_CENTER = { lat: 42.3, lng: 43.4 };
+export const GEORGIA_ZOOM = 7;
+
+// Zoom used when showing a single point (picked location, "near me")
+export const POINT_ZOOM = 15;
+
+// Radius options for the "Near me" filter, in meters
+export const NEAR_RADIUS_OPTIONS = [1000, 2000, 5000, 10000, 25000, 50000];
+export const DEFAULT_NEAR_RADIUS = 5000;
@@ -0,0 +1,101 @@
+// client/src/contexts/LanguageContext.js
+import React, {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useState,
+} from "react";
+import { useUserAuth } from "./UserAuthContext";
+import {
+    getStoredLanguage,
+    isSupportedLanguage,
+    storeLanguage,
+    translate,
+} from "../locales";
+
+/**
+ * Language Context
+ *
+ * Current interface language (ka/en/ru) and the `t()` translator.
+ *
+ * - Guests: the choice is kept in localStorage (first visit uses the
+ *   browser language)
+ * - Logged-in users: the choice is saved on the account (User.language),
+ *   which is also the language of emails sent to them. Logging in switches
+ *   to the account's language.
+ *
+ * API requests send the language as Accept-Language (see services/), so
+ * server messages and emails follow the same choice.
+ */
+
+const LanguageContext = createContext();
+
+export const useTranslation = () => {
+    const context = useContext(LanguageContext);
+    if (!context) {
+        throw new Error("useTranslation must be used within a LanguageProvider");
+    }
+    return context;
+};
+
+export const LanguageProvider = ({ children }) => {
+    const { user, isAuthenticated, updateProfile } = useUserAuth();
+    const [language, setLanguageState] = useState(getStoredLanguage);
+
+    // Adopt the account's language after login / session restore
+    useEffect(() => {
+        if (user?.language && isSupportedLanguage(user.language)) {
+            setLanguageState(user.language);
+            storeLanguage(user.language);
+        }
+    }, [user?.language]);
+
+    useEffect(() => {
+        document.documentElement.lang = language;
+    }, [language]);
+
+    /**
+     * Switch language; saved on the account when logged in.
+     * Resolves to false if the account couldn't be updated (the interface
+     * still switches).
+     */
+    const setLanguage = useCallback(
+        async (code) => {
+            if (!isSupportedLanguage(code)) return false;
+
+            setLanguageState(code);
+            storeLanguage(code);
+
+            if (isAuthenticated && user?.language !== code) {
+                try {
+                    await updateProfile({ language: code });
+                } catch (error) {
+                    console.error("Failed to save language preference:", error);
+                    return false;
+                }
+            }
+            return true;
+        },
+        [isAuthenticated, user?.language, updateProfile]
+    );
+
+    const t = useCallback(
+        (key, params) => translate(language, key, params),
+        [language]
+    );
+
+    const value = useMemo(
+        () => ({ language, setLanguage, t }),
+        [language, setLanguage, t]
+    );
+
+    return (
+        <LanguageContext.Provider value={value}>
+            {children}
+        </LanguageContext.Provider>
+    );
+};
+
+export default LanguageContext;
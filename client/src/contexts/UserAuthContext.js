@@ -368,6 +368,15 @@ export const UserAuthProvider = ({ children }) => {
         }
     };
 
+    /**
+     * Logout from every device (revokes all sessions server-side)
+     */
+    const logoutAllDevices = async () => {
+        const result = await userAuthService.logoutAllDevices();
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
+        return result;
+    };
+
     /**
      * Update user profile function
      */
@@ -492,6 +501,7 @@ export const UserAuthProvider = ({ children }) => {
         register,
         login,
         logout,
+        logoutAllDevices,
         updateProfile,
         refreshUser,
         clearError,
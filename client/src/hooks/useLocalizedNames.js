@@ -0,0 +1,62 @@
+// client/src/hooks/useLocalizedNames.js
+// Display names for categories and cities in the current language
+
+import { useCallback, useMemo } from "react";
+import { useQuery } from "@tanstack/react-query";
+import businessService from "../services/businessService";
+import { useTranslation } from "../contexts/LanguageContext";
+import { CITY_TRANSLATIONS } from "../constants/formData";
+
+/**
+ * Categories and cities are stored by their English name; this maps them
+ * to the current language, falling back to the English name.
+ * Category translations come from the cached ["categories"] query.
+ *
+ * categoryNames/cityNames join a listing's categories[]/cities[].
+ *
+ * @returns {{ categoryName: Function, cityName: Function, categoryNames: Function, cityNames: Function }}
+ */
+export const useLocalizedNames = () => {
+    const { language } = useTranslation();
+
+    const { data: categories = [] } = useQuery({
+        queryKey: ["categories"],
+        queryFn: businessService.getCategories,
+        enabled: language !== "en",
+    });
+
+    const categoryTranslations = useMemo(
+        () =>
+            new Map(
+                categories.map((category) => [
+                    category.name,
+                    category.translations,
+                ])
+            ),
+        [categories]
+    );
+
+    const categoryName = useCallback(
+        (name) => categoryTranslations.get(name)?.[language] || name,
+        [categoryTranslations, language]
+    );
+
+    const cityName = useCallback(
+        (city) => CITY_TRANSLATIONS[city]?.[language] || city,
+        [language]
+    );
+
+    const categoryNames = useCallback(
+        (names = []) => names.map(categoryName).join(", "),
+        [categoryName]
+    );
+
+    const cityNames = useCallback(
+        (cities = []) => cities.map(cityName).join(", "),
+        [cityName]
+    );
+
+    return { categoryName, cityName, categoryNames, cityNames };
+};
+
+export default useLocalizedNames;
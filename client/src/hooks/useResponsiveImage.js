@@ -6,17 +6,29 @@ import {
     supportsImageFormat,
     getOptimalImageSize,
     getResponsiveImageUrl,
+    getUploadedImageUrl,
     preloadImage,
 } from "../utils/imageUtils";
 
 /**
  * Custom hook for managing responsive images with format fallbacks
- * @param {string} imageName - Base image name (e.g., 'construction-hero')
+ * @param {string} imageName - Base image name (e.g., 'construction-hero'),
+ *   or any key for the image when `options.sources` is given
  * @param {Object} options - Configuration options
+ * @param {Object} [options.sources] - Uploaded image paths { avif, webp }
+ *   (e.g. a gallery photo) instead of the bundled hero images
  * @returns {Object} - Hook state and utilities
  */
 export const useResponsiveImage = (imageName, options = {}) => {
-    const { preload = true, fallbackToJpeg = true, debounceMs = 100 } = options;
+    const {
+        preload = true,
+        fallbackToJpeg = true,
+        debounceMs = 100,
+        sources,
+    } = options;
+    const avifSource = sources?.avif;
+    const webpSource = sources?.webp;
+    const hasSources = !!(avifSource || webpSource);
 
     // State management
     const [formatSupport, setFormatSupport] = useState({
@@ -96,11 +108,16 @@ export const useResponsiveImage = (imageName, options = {}) => {
                 const size = getOptimalImageSize(screenWidth);
 
                 // getResponsiveImageUrl now returns a Promise
-                let imageUrl = await getResponsiveImageUrl(
-                    imageName,
-                    size,
-                    formatSupport
-                );
+                let imageUrl = hasSources
+                    ? getUploadedImageUrl(
+                          { avif: avifSource, webp: webpSource },
+                          formatSupport
+                      )
+                    : await getResponsiveImageUrl(
+                          imageName,
+                          size,
+                          formatSupport
+                      );
 
                 if (!imageUrl) {
                     throw new Error("No suitable image format found");
@@ -119,11 +136,16 @@ export const useResponsiveImage = (imageName, options = {}) => {
                             console.warn(
                                 `Failed to load ${imageUrl}, falling back to WebP fallback`
                             );
-                            imageUrl = await getResponsiveImageUrl(
-                                imageName,
-                                size,
-                                { avif: false, webp: true }
-                            );
+                            imageUrl = hasSources
+                                ? getUploadedImageUrl(
+                                      { webp: webpSource },
+                                      { avif: false, webp: true }
+                                  )
+                                : await getResponsiveImageUrl(
+                                      imageName,
+                                      size,
+                                      { avif: false, webp: true }
+                                  );
                             if (imageUrl) {
                                 await preloadImage(imageUrl);
                             } else {
@@ -145,7 +167,16 @@ export const useResponsiveImage = (imageName, options = {}) => {
         };
 
         updateImage();
-    }, [imageName, formatSupport, screenWidth, preload, fallbackToJpeg]);
+    }, [
+        imageName,
+        hasSources,
+        avifSource,
+        webpSource,
+        formatSupport,
+        screenWidth,
+        preload,
+        fallbackToJpeg,
+    ]);
 
     // Get CSS custom properties for the current image
     const getCSSProperties = useCallback(() => {
@@ -0,0 +1,1004 @@
+// client/src/locales/en.js
+// English catalog - the reference catalog; other languages fall back to it
+
+const en = {
+    nav: {
+        home: "Home",
+        about: "About TΣLO",
+        contact: "Contact",
+        sendListing: "Send Listing",
+        login: "LogIn",
+        logout: "Logout",
+        dashboard: "Dashboard",
+        myListings: "My Listings",
+        settings: "Settings",
+        admin: "Admin",
+        loading: "Loading...",
+        search: "Search",
+        searchPlaceholder: "Search...",
+        openFilters: "Open filters",
+        toggleMenu: "Toggle menu",
+        userMenu: "User menu",
+        loggedOut: "Successfully logged out!",
+    },
+    language: {
+        label: "Language",
+        changed: "Language changed",
+        saveFailed: "Couldn't save your language preference",
+    },
+    home: {
+        title: "Your Business Directory",
+        description: "Find renovation businesses in your area",
+    },
+    search: {
+        placeholder: "Search businesses...",
+        button: "Search",
+        clear: "Clear search",
+        open: "Open search",
+        collapse: "Collapse search",
+        loadingPage: "Loading page...",
+    },
+    filters: {
+        title: "Filters",
+        categories: "Categories:",
+        cities: "Cities:",
+        businessType: "Business Type:",
+        status: "Status:",
+        selectCategories: "Select Categories",
+        selectCities: "Select Cities",
+        selectType: "Select Type",
+        searchCategories: "Search categories...",
+        searchCities: "Search cities...",
+        allBusinesses: "All Businesses",
+        verified: "Verified",
+        unverified: "Unverified",
+        individual: "Individual",
+        company: "Company",
+        removeFilter: "Remove {{name}} filter",
+        clearAll: "Clear All Filters ({{count}})",
+        showFilters: "Show filters",
+        hideFilters: "Hide filters",
+        show: "Show",
+        hide: "Hide",
+        more: "+{{count}} more",
+        modalTitle: "Filter Businesses",
+        modalSubtitle: "Find exactly what you're looking for",
+        close: "Close filters",
+        apply: "Apply Filters",
+        cancel: "Cancel",
+        open: "Open filters",
+        openNow: "Open now",
+        distance: "Distance:",
+        nearMe: "Near me",
+        locating: "Locating...",
+        locationError: "Couldn't get your location - check the browser's location permission",
+        within: "Within {{distance}}",
+    },
+    list: {
+        loadError: "Error loading businesses: {{message}}",
+        tryAgain: "Try Again",
+        skipToListings: "Skip to business listings",
+        loading: "Loading businesses...",
+        loadingMore: "Loading more businesses...",
+        loadingMoreResults: "Loading more business results...",
+        found_one: "{{count}} business found",
+        found_other: "{{count}} businesses found",
+        noneFound: "No businesses found",
+        filteredBy: "Filtered by: {{summary}}",
+        sortedByRelevance: " · sorted by relevance",
+        activeFilters_one: "{{count}} active filter",
+        activeFilters_other: "{{count}} active filters",
+        adjustCriteria: "Try adjusting your search criteria or filters",
+        noBusinessesYet: "No businesses have been added yet",
+        clearAllFilters: "Clear all filters",
+        seenAll_one: "You've seen all {{count}} business.",
+        seenAll_other: "You've seen all {{count}} businesses.",
+        adjustFilters: " Try adjusting your filters to see more results.",
+        summaryCategories_one: "{{count}} category",
+        summaryCategories_other: "{{count}} categories",
+        summaryCities_one: "{{count}} city",
+        summaryCities_other: "{{count}} cities",
+        summaryTypes_one: "{{count}} business type",
+        summaryTypes_other: "{{count}} business types",
+        verifiedOnly: "verified only",
+        unverifiedOnly: "unverified only",
+        openNowOnly: "open now",
+        nearby: "within {{distance}}",
+        sortedByDistance: " · nearest first",
+        view: "Results view",
+        viewList: "List",
+        viewMap: "Map",
+        loadMore: "Load more",
+        mapLabel: "Map of businesses",
+        mapMissing_one: "{{count}} business has no location and isn't shown",
+        mapMissing_other: "{{count}} businesses have no location and aren't shown",
+    },
+    card: {
+        individual: "individual",
+        company: "company",
+        call: "Call {{name}} at {{mobile}}",
+        loginToSave: "Please log in to save favorites",
+        favoritesFailed: "Failed to update favorites",
+        visitPage: "Visit our {{platform}} page",
+        openNow: "Open now",
+        distance: "{{distance}} away",
+    },
+    hours: {
+        title: "Opening Hours",
+        openNow: "Open now",
+        closedNow: "Closed now",
+        closed: "Closed",
+        closedToday: "Closed today",
+        specialHoursToday: "Special hours today",
+        exceptions: "Holidays & closures",
+        timezoneNote: "Times are in Georgian time (GMT+4).",
+    },
+    gallery: {
+        title: "Photos",
+        open: "Open photo {{index}} of {{count}}",
+        dialog: "Photos of {{name}}",
+        counter: "{{index}} / {{count}}",
+        previous: "Previous photo",
+        next: "Next photo",
+        close: "Close",
+        loading: "Loading photo...",
+        error: "The photo could not be loaded",
+    },
+    related: {
+        title: "Similar Businesses",
+        previous: "Previous similar businesses",
+        next: "More similar businesses",
+    },
+    footer: {
+        brand: "Business Directory",
+        description: "Connecting businesses with customers.",
+        quickLinks: "Quick Links",
+        backToTop: "Back to Top ↑",
+        browse: "Browse Businesses",
+        categories: "Categories",
+        listBusiness: "List Your Business",
+        connect: "Connect With Us",
+        location: "Your City, State",
+        rights: "© {{year}} Business Directory. All rights reserved.",
+    },
+    caseStatus: {
+        reportTitle: "Report Status",
+        submissionTitle: "Submission Status",
+        loading: "Loading status...",
+        notFound:
+            "We couldn't find this case. Please check the link from your email.",
+        error: "The status could not be loaded. Please try again later.",
+        business: "Business",
+        reportedIssues: "Reported issues",
+        submissionId: "Submission ID",
+        submitted: "Submitted",
+        decided: "Decided",
+        status: "Status",
+        reasonLabel: "Reason",
+        noteLabel: "Note from our team",
+        viewListing: "View the listing",
+        backHome: "Back to the directory",
+        statuses: {
+            pending: "Pending review",
+            resolved: "Resolved",
+            dismissed: "Closed without changes",
+            approved: "Approved",
+            rejected: "Not approved",
+        },
+        explanations: {
+            pending: "Our team hasn't decided yet. Please check back later.",
+            resolved: "Thank you! The listing has been corrected.",
+            dismissed: "We reviewed the report and left the listing unchanged.",
+            approved: "The business is now listed in the directory.",
+            rejected:
+                "You are welcome to correct the details and submit the business again.",
+        },
+    },
+    settings: {
+        languageTitle: "Language",
+        languageDescription:
+            "Used for the website and for emails we send you.",
+        title: "Account Settings",
+        subtitle: "Manage your account information and preferences",
+        accessDenied: "Access Denied",
+        accessDeniedBefore: "Please",
+        returnHome: "return to home",
+        accessDeniedAfter: "and log in.",
+        tabProfile: "Profile",
+        tabSecurity: "Security",
+        tabAccount: "Account",
+        profileTitle: "Profile Information",
+        profileSubtitle: "Update your personal information",
+        fullName: "Full Name",
+        fullNamePlaceholder: "Enter your full name",
+        emailAddress: "Email Address",
+        change: "Change",
+        emailChangeNote:
+            "To change your email, we'll send a verification code to your current email for security.",
+        phone: "Phone Number",
+        phonePlaceholder: "Enter your phone number (optional)",
+        updating: "Updating...",
+        updateProfile: "Update Profile",
+        nameRequired: "Name is required",
+        nameTooShort: "Name must be at least 2 characters",
+        phoneInvalid: "Please enter a valid phone number",
+        emailChanged: "Email address changed successfully!",
+        profileUpdated: "Profile updated successfully!",
+        profileUpdateFailed: "Failed to update profile",
+        securityTitle: "Security Settings",
+        securitySubtitle: "Manage your password and account security",
+        emailVerification: "Email Verification",
+        emailVerified: "Email Verified",
+        emailNotVerified: "Email Not Verified",
+        resendVerification: "Resend Verification Email",
+        changePassword: "Change Password",
+        changing: "Changing...",
+        currentPassword: "Current Password",
+        currentPasswordPlaceholder: "Enter current password",
+        currentPasswordRequired: "Current password is required",
+        passwordHint:
+            "Must be 8+ characters with uppercase, lowercase, and number",
+        passwordComplexity:
+            "Password must contain uppercase, lowercase and number",
+        passwordUnchanged:
+            "New password must be different from current password",
+        passwordChangedTitle: "Password Changed Successfully!",
+        passwordChangedText:
+            "Your password has been updated and is now active.",
+        devicesSignedOut_one: "{{count}} other device has been signed out.",
+        devicesSignedOut_other:
+            "{{count}} other devices have been signed out.",
+        passwordChangeFailedTitle: "Password Change Failed",
+        passwordChangeFailed: "Failed to change password",
+        accountTitle: "Account Management",
+        accountSubtitle: "Manage your account status and data",
+        accountDetails: "Account Details",
+        memberSince: "Member Since",
+        lastLogin: "Last Login",
+        notAvailable: "Not available",
+        accountStatus: "Account Status",
+        active: "Active",
+        dangerZone: "Danger Zone",
+        dangerText:
+            "Once you delete your account, there is no going back. Please be certain.",
+        deleteAccount: "Delete Account",
+        deleting: "Deleting...",
+        deleteConfirm: "Are you sure? This action cannot be undone.",
+        typeBefore: "Type",
+        typeAfter: "to confirm:",
+        typePlaceholder: "Type DELETE here",
+        typeDeleteToConfirm: "Please type 'DELETE' to confirm",
+        cancel: "Cancel",
+        deleteFailed: "Failed to delete account",
+        deletionScheduledTitle: "Account Deletion Scheduled",
+        deletionScheduledText_one:
+            "Your account has been scheduled for deletion in {{count}} day ({{date}}).",
+        deletionScheduledText_other:
+            "Your account has been scheduled for deletion in {{count}} days ({{date}}).",
+        deletionImportant: "Important:",
+        deletionLogout: "You will be logged out immediately",
+        deletionCancelHint:
+            "You can CANCEL this deletion by logging in again before {{date}}",
+        deletionPermanent:
+            "After {{date}}, your account will be permanently deleted",
+        deletionConfirmPrompt:
+            "Click OK to proceed with logout, or Cancel to stay logged in.",
+        deletionScheduledToast:
+            "Account deletion scheduled. You will be logged out.",
+    },
+    about: {
+        title: "About Us",
+        nav: {
+            label: "About page sections",
+            goTo: "Go to {{section}} section",
+            team: "Our Team",
+            mission: "Mission & Vision",
+            howItWorks: "How It Works",
+            rules: "Rules & Guidelines",
+            whyUs: "Why Choose Us",
+            getStarted: "Get Started",
+        },
+        team: {
+            heading: "Our Team",
+            intro: "Meet the dedicated professionals behind TΣLO, working to connect homeowners with trusted renovation experts.",
+            photoUnavailable: "Photo unavailable for {{name}}",
+            giorgiTitle: "Founder & CEO",
+            giorgiDescription: "15+ years in construction industry",
+            tinaTitle: "Operations Director",
+            tinaDescription: "Business operations & quality assurance",
+            davidTitle: "Technical Manager",
+            davidDescription: "Platform development & maintenance",
+            sarahTitle: "Financial Officer",
+            sarahDescription: "Finance & business development",
+        },
+        mission: {
+            heading: "Mission & Vision",
+            missionTitle: "Our Mission",
+            missionText: "To simplify the process of finding reliable renovation contractors by creating a comprehensive, verified directory that connects homeowners with quality businesses in their area.",
+            visionTitle: "Our Vision",
+            visionText: "To become the leading platform where every renovation project starts, fostering trust between homeowners and contractors while supporting local business growth.",
+            qualityTitle: "Verified Quality",
+            qualityText: "All businesses undergo verification",
+            localTitle: "Local Focus",
+            localText: "Supporting neighborhood businesses",
+            trustTitle: "Trust Building",
+            trustText: "Transparent reviews and ratings",
+        },
+        howItWorks: {
+            heading: "How It Works",
+            searchTitle: "Search & Discover",
+            searchText: "Browse renovation businesses by category, location, or specialty. Use our advanced filters to find exactly what you need.",
+            compareTitle: "Compare & Review",
+            compareText: "Compare verified businesses, read authentic reviews, and check ratings from previous customers to make informed decisions.",
+            connectTitle: "Connect & Hire",
+            connectText: "Contact businesses directly through phone, email, or social media. Start your renovation project with confidence.",
+        },
+        rules: {
+            heading: "Rules & Guidelines",
+            businessesTitle: "For Businesses",
+            licensed: "Must be licensed and insured",
+            accurateInfo: "Provide accurate business information",
+            professional: "Maintain professional communication",
+            honorQuotes: "Honor quoted prices and timelines",
+            respondPromptly: "Respond to customer inquiries promptly",
+            customersTitle: "For Customers",
+            honestReviews: "Provide honest and fair reviews",
+            clearRequirements: "Communicate project requirements clearly",
+            respectExpertise: "Respect contractor expertise",
+            reportIssues: "Report any issues appropriately",
+            supportLocal: "Support quality local businesses",
+            qualityTitle: "Quality Assurance",
+            qualityText: "We regularly review listed businesses to ensure continued quality and reliability",
+        },
+        whyUs: {
+            heading: "Why Choose TΣLO",
+            homeownersTitle: "For Homeowners",
+            verifiedOnly: "Verified contractors only",
+            transparentReviews: "Transparent reviews and ratings",
+            easySearch: "Easy search and comparison",
+            directContact: "Direct contact with businesses",
+            localExperts: "Local renovation experts",
+            businessesTitle: "For Businesses",
+            visibility: "Increase your visibility",
+            localCustomers: "Reach local customers",
+            buildTrust: "Build trust through reviews",
+            showcase: "Showcase your expertise",
+            grow: "Grow your business",
+        },
+        cta: {
+            heading: "Get Started Today",
+            homeownersTitle: "Looking for Contractors?",
+            homeownersText: "Find verified renovation businesses in your area",
+            browse: "Browse Businesses",
+            businessesTitle: "Own a Renovation Business?",
+            businessesText: "Join our directory and grow your customer base",
+            listBusiness: "List Your Business",
+            helpTitle: "Need Help?",
+            helpText: "Our team is here to assist you",
+            contactUs: "Contact Us",
+        },
+    },
+    contact: {
+        title: "Contact Us",
+        description: "Get in touch...",
+        phone: "Phone",
+        phoneText: "Call us directly for immediate assistance",
+        email: "Email",
+        emailText: "Send us an email and we'll get back to you",
+        address: "Address",
+        addressText: "Visit us at our office location",
+        street: "123 Business Street",
+        cityLine: "Tbilisi, Georgia 0108",
+        hours: "Business Hours",
+        weekdays: "Monday - Friday",
+        weekdayHours: "9:00 AM - 6:00 PM",
+        saturday: "Saturday",
+        saturdayHours: "10:00 AM - 4:00 PM",
+        sunday: "Sunday",
+        closed: "Closed",
+        followUs: "Follow Us",
+        followText: "Stay connected with us on social media for updates and news",
+    },
+    dashboard: {
+        welcome: "Welcome, {{name}}!",
+        subtitle: "Your business discovery journey",
+        accessDenied: "Access Denied",
+        loginPromptBefore: "Please ",
+        returnHome: "return to home",
+        loginPromptAfter: " and log in.",
+        quickActions: "Quick Actions",
+        findBusinesses: "Find Businesses",
+        helpSupport: "Help & Support",
+        selectAll: "Select All",
+        deleteSelected: "Delete Selected ({{count}})",
+        view: "View",
+        edit: "Edit",
+        removed_one: "{{count}} item removed",
+        removed_other: "{{count}} items removed",
+        favorites: {
+            title: "My Favorites",
+            description: "Saved businesses you love",
+            added: "Added {{time}}",
+            confirmDelete: "Are you sure you want to delete this favorite?",
+            confirmBulkDelete: "Are you sure you want to delete the selected favorites?",
+        },
+        ratings: {
+            title: "My Ratings",
+            description: "Businesses you've rated",
+            rated: "Rated {{time}}",
+            confirmDelete: "Are you sure you want to delete this rating?",
+            confirmBulkDelete: "Are you sure you want to delete the selected ratings?",
+        },
+        comments: {
+            title: "My Comments",
+            description: "Your shared experiences",
+            commented: "Commented {{time}}",
+            hidden: "Hidden by a moderator",
+            confirmDelete: "Are you sure you want to delete this comment?",
+            confirmBulkDelete: "Are you sure you want to delete the selected comments?",
+        },
+    },
+    favoritesPage: {
+        title: "My Favorites",
+        subtitle: "Manage your saved businesses",
+        authRequired: "Authentication Required",
+        loginToView: "Please log in to view your favorites.",
+        goHome: "Go Home",
+        loading: "Loading your favorites...",
+        emptySubtitle: "Your favorite businesses will appear here",
+        emptyTitle: "No favorites yet!",
+        emptyText: "Start exploring businesses and save your favorites by clicking the heart button.",
+        discover: "Discover Businesses",
+        selectAll: "Select All ({{count}} selected)",
+        deleting: "Deleting...",
+        deleteSelected: "Delete Selected ({{count}})",
+        remove: "Remove from favorites",
+        loadingMore: "Loading more...",
+        showMore: "Show {{count}} More",
+        shownOf: "({{shown}} of {{total}})",
+        loadFailed: "Failed to load favorites",
+        removed: "Business removed from favorites",
+        removeFailed: "Failed to remove favorite",
+        selectToDelete: "Please select favorites to delete",
+        bulkDeleteFailed: "Failed to delete selected favorites",
+        addedToday: "Added today",
+        addedYesterday: "Added yesterday",
+        addedDaysAgo_one: "Added {{count}} day ago",
+        addedDaysAgo_other: "Added {{count}} days ago",
+        addedWeeksAgo_one: "Added {{count}} week ago",
+        addedWeeksAgo_other: "Added {{count}} weeks ago",
+        addedMonthsAgo_one: "Added {{count}} month ago",
+        addedMonthsAgo_other: "Added {{count}} months ago",
+    },
+    password: {
+        newLabel: "New Password",
+        newPlaceholder: "Enter your new password",
+        confirmLabel: "Confirm New Password",
+        confirmPlaceholder: "Confirm your new password",
+        requirements: "Password Requirements:",
+        minLength: "At least 8 characters",
+        lowercase: "One lowercase letter",
+        uppercase: "One uppercase letter",
+        number: "One number",
+        special: "One special character",
+        match: "Passwords match",
+        newRequired: "New password is required",
+        tooShort: "Password must be at least 8 characters long",
+        needsLowercase: "Password must contain at least one lowercase letter",
+        needsUppercase: "Password must contain at least one uppercase letter",
+        needsNumber: "Password must contain at least one number",
+        needsSpecial: "Password must contain at least one special character",
+        confirmRequired: "Password confirmation is required",
+        mismatch: "Passwords do not match",
+    },
+    passwordReset: {
+        forgotTitle: "Reset Your Password",
+        forgotSubtitle: "Enter your email address and we'll send you instructions to reset your password.",
+        checkEmail: "Check your email for reset instructions.",
+        sending: "Sending...",
+        sendInstructions: "Send Reset Instructions",
+        sendFailed: "Failed to send password reset email. Please try again.",
+        sentTitle: "Instructions Sent!",
+        sentTo: "We've sent password reset instructions to",
+        nextSteps: "What to do next:",
+        stepInbox: "Check your email inbox (and spam folder)",
+        stepClick: "Click the reset link in the email",
+        stepExpiry: "The link expires in 30 minutes for security",
+        stepCreate: "Create your new password",
+        differentEmail: "Use Different Email",
+        backToLogin: "Back to Login",
+        needHelp: "Need help?",
+        contactSupport: "Contact Support",
+        noToken: "No reset token provided. Please request a new password reset.",
+        linkExpired: "This password reset link has expired or is invalid.",
+        resetFailed: "Failed to reset password. Please try again.",
+        invalidTitle: "Reset Link Invalid",
+        invalidSubtitle: "This password reset link is invalid or has expired.",
+        requestNew: "Request New Reset Link",
+        successTitle: "Password Reset Successfully!",
+        successSubtitle: "Your password has been updated. You can now sign in with your new password.",
+        signInNow: "Sign In Now",
+        createTitle: "Create New Password",
+        createSubtitle: "Enter your new password below. Make sure it's strong and secure.",
+        updating: "Updating Password...",
+        update: "Update Password",
+    },
+    verifyEmail: {
+        failed: "Email verification failed",
+        networkError: "Network error. Please check your connection and try again.",
+        emailNotFound: "Email address not found. Please try registering again.",
+        resendFailed: "Failed to resend verification email",
+        verifying: "Verifying Your Email...",
+        pleaseWait: "Please wait while we verify your email address.",
+        successTitle: "Email Verified Successfully!",
+        redirecting: "Redirecting to your dashboard...",
+        checkTitle: "Check Your Email",
+        checkSubtitle: "We've sent a verification link to your email address",
+        nextSteps: "What to do next:",
+        stepInbox: "Check your email inbox (and spam/junk folder)",
+        stepClick: "Click the \"Verify Email\" button in the email",
+        stepRedirect: "You'll be automatically logged in and redirected",
+        notReceived: "Didn't receive the email?",
+        sending: "Sending...",
+        resendIn: "Resend in {{seconds}}s",
+        resend: "Resend Verification Email",
+        sent: "Email sent! Please check your inbox.",
+        stillTrouble: "Still having trouble?",
+        contactSupport: "Contact Support",
+        notSeeing: "Not seeing the email?",
+        tipSpam: "Check your spam/junk folder",
+        tipCorrect: "Make sure {{email}} is correct",
+        yourEmail: "your email",
+        tipWait: "Wait a few minutes - emails can sometimes be delayed",
+        tipResend: "Try resending after 1 minute",
+        backHome: "Back to Home",
+    },
+    auth: {
+        welcome: "Welcome to TΣLO",
+        signInSubtitle: "Sign in to your account",
+        signUpSubtitle: "Create your new account",
+        close: "Close modal",
+        logInTab: "Log In",
+        signUpTab: "Sign Up",
+        continueWith: "Continue with {{provider}}",
+        continueWithPhone: "Continue with Phone",
+        phoneProvider: "Phone",
+        socialComingSoon: "{{provider}} login coming soon!",
+        or: "or",
+        nameLabel: "Full Name",
+        namePlaceholder: "Enter your full name",
+        emailLabel: "Email Address",
+        emailPlaceholder: "Enter your email",
+        phoneLabel: "Phone Number (Optional)",
+        phonePlaceholder: "Enter your phone number",
+        passwordLabel: "Password",
+        passwordPlaceholder: "Enter your password",
+        confirmPasswordLabel: "Confirm Password",
+        confirmPasswordPlaceholder: "Confirm your password",
+        rememberMe: "Remember Me!",
+        signingIn: "Signing in...",
+        creatingAccount: "Creating account...",
+        signIn: "Sign In",
+        createAccount: "Create Account",
+        forgotPassword: "Forgot your password?",
+        fillAllFields: "Please fill in all fields",
+        emailRequired: "Please enter your email address",
+        emailInvalid: "Please enter a valid email address",
+        loginFailed: "Login failed",
+        loginFailedRetry: "Login failed. Please try again.",
+        registerFailedRetry: "Registration failed. Please try again.",
+        emailExists: "An account with this email already exists. Please try logging in instead.",
+        accountLocked: "Account temporarily locked due to too many failed attempts. Please try again later.",
+        tooManyRequests_one: "Too many requests. Please wait {{count}} minute before trying again.",
+        tooManyRequests_other: "Too many requests. Please wait {{count}} minutes before trying again.",
+        checking: "Checking authentication...",
+    },
+    emailChange: {
+        title: "Change Email Address",
+        currentEmail: "Current Email",
+        newEmail: "New Email Address",
+        newEmailPlaceholder: "Enter new email address",
+        codeInfoBefore: "A 6-digit verification code will be sent to your ",
+        codeInfoCurrent: "current",
+        codeInfoAfter: " email address for security.",
+        sending: "Sending...",
+        sendCode: "Send Verification Code",
+        sentTo: "We sent a 6-digit code to:",
+        completeTo: "Enter the code below to complete the change to:",
+        codeLabel: "Verification Code",
+        codeExpiry: "Code expires in 10 minutes",
+        back: "Back",
+        verifying: "Verifying...",
+        verify: "Verify Code",
+        differentEmail: "Please enter a different email address",
+        codeSent: "Verification code sent to your current email!",
+        sendFailed: "Failed to send verification code",
+        enterCode: "Please enter the 6-digit code",
+        changed: "Email changed successfully!",
+        invalidCode: "Invalid verification code",
+    },
+    report: {
+        title: "Report Issue",
+        subtitle: "Help us improve by reporting issues with {{name}}",
+        thisBusiness: "this business",
+        close: "Close modal",
+        whatsTheIssue: "What's the issue?",
+        reasonsLoading: "Loading issue types...",
+        reasonsFailed: "Issue types could not be loaded. Please try again later.",
+        details: "Additional Details",
+        optional: "(optional)",
+        describePlaceholder: "Please describe the issue...",
+        anythingElse: "Anything else we should know?",
+        submitting: "Submitting...",
+        submit: "Submit Report",
+        thankYou: "Thank You!",
+        submitted: "Your report has been submitted successfully. We'll review it and take appropriate action.",
+        closeButton: "Close",
+        selectType: "Please select at least one issue type",
+        describeReason: "Please describe the issue for \"{{reason}}\"",
+        submitFailed: "Failed to submit report. Please try again.",
+        email: "Your email (optional)",
+        emailHint: "We'll only use it to tell you how your report was handled.",
+        invalidEmail: "Please enter a valid email address or leave it empty",
+        emailOutcome: "We'll email {{email}} once it's decided.",
+        followStatus: "Follow your report's status",
+    },
+    sendListing: {
+        errorTitle: "Something went wrong",
+        errorText: "We're sorry, but there was an error loading the form. Please try refreshing the page.",
+        tryAgain: "Try Again",
+        refresh: "Refresh Page",
+        waitBeforeSubmit_one: "Please wait {{count}} second before submitting again.",
+        waitBeforeSubmit_other: "Please wait {{count}} seconds before submitting again.",
+        fixErrors: "Please fix the errors below and try again.",
+        checkFields: "Please check and fill all fields correctly!",
+        successTitle: "Your business listing has been submitted successfully!",
+        successId: "Your submission ID is: {{id}}.",
+        successNext: "You'll receive a confirmation email shortly. We'll review your submission within 2-3 business days.",
+        submitFailed: "Failed to submit business listing. Please try again.",
+        title: "Submit Your Business Listing",
+        subtitle: "Join Georgia's premier business directory and connect with customers across the country",
+        certificationTitle: "Professional Certification",
+        hasCertificate: "My business has professional certifications or licenses",
+        certificateDetails: "Certificate Details",
+        certificatePlaceholder: "Briefly describe your certifications, licenses, or professional qualifications...",
+        characters: "{{current}}/{{max}} characters",
+        imageTitle: "Business Profile Image",
+        socialTitle: "Social Media & Online Presence",
+        socialRequiredLabel: "Required:",
+        socialRequiredText: "Please provide at least one Facebook or Instagram link to help customers find your business online.",
+        contactTitle: "Contact Information",
+        yourName: "Your Name",
+        namePlaceholder: "Enter your full name",
+        yourEmail: "Your Email",
+        privacyLabel: "Privacy Note:",
+        privacyText: "Your email will only be used for submission updates and will not be displayed publicly.",
+        clearForm: "Clear Form",
+        submitting: "Submitting...",
+        submit: "Submit Listing",
+        clearConfirmTitle: "Clear Form Data?",
+        clearConfirmText: "Are you sure you want to clear all form data? This action cannot be undone.",
+        cancel: "Cancel",
+        hoursTitle: "Opening Hours",
+        hoursHint: "Optional - lets customers find you with the \"Open now\" filter",
+        locationTitle: "Business Location",
+    },
+    listingValidation: {
+        businessNameRequired: "Business name is required in Georgian or English",
+        categoriesRequired: "At least one business category must be selected",
+        businessTypeRequired: "Business type is required",
+        citiesRequired: "At least one city must be selected",
+        allGeorgiaCombined: "\"All Georgia\" cannot be combined with specific cities",
+        mobileRequired: "Mobile number is required",
+        mobileFormat: "Mobile number must be in Georgian format: +995XXXXXXXXX (example: +995599304009)",
+        emailRequired: "Email is required",
+        emailInvalid: "Invalid email format",
+        nameRequired: "Your name is required",
+        imageRequired: "Profile image is required",
+        descriptionTooLong: "Description cannot exceed 200 characters",
+        certificateRequired: "Certificate description is required",
+        certificateTooLong: "Certificate description cannot exceed 50 characters",
+        socialRequired: "At least one Facebook or Instagram link is required",
+        socialUrlInvalid: "{{platform}} URL must be a valid HTTP/HTTPS URL",
+    },
+    businessDetail: {
+        loading: "Loading business details...",
+        errorTitle: "Oops! Something went wrong",
+        notFoundText: "This business listing no longer exists or has been removed.",
+        hiddenText: "This business listing is temporarily unavailable while it is being reviewed.",
+        invalidLink: "The business link appears to be malformed.",
+        loadFailed: "Unable to load business details. Please try again later.",
+        backHome: "Back to Home",
+        tryAgain: "Try Again",
+        notFound: "Business not found",
+        imageAlt: "{{name}} profile",
+        verifiedBusiness: "Verified Business",
+        ratings_one: "{{count}} rating",
+        ratings_other: "{{count}} ratings",
+        noRatings: "No ratings yet",
+        category_one: "Category",
+        category_other: "Categories",
+        serviceArea: "Service Area",
+        businessType: "Business Type",
+        individual: "Individual",
+        company: "Company",
+        location: "Location",
+        about: "About This Business",
+        callTitle: "Call {{name}}",
+        call: "Call {{mobile}}",
+        information: "Business Information",
+        toggleInfo: "Toggle additional information",
+        registration: "Registration",
+        memberSince: "Member since {{date}}",
+        newBusiness: "New Business!",
+        daysActive: "Days Active",
+        days_one: "{{count}} day",
+        days_other: "{{count}} days",
+        lastUpdated: "Last Updated",
+        verificationStatus: "Verification Status",
+        verified: "Verified",
+        unverified: "Unverified",
+        contactTitle: "Contact This Business",
+        phone: "Phone",
+        reportIssue: "Report Issue",
+        reportTitle: "Report an issue with this listing",
+        report: "Report",
+        backToAll: "Back to All Businesses",
+        mapLabel: "Map showing {{name}}",
+    },
+    ownerDashboard: {
+        title: "My Listings",
+        subtitle: "Keep the details of the businesses you own up to date.",
+        ownedListings: "Owned Listings",
+        noListings: "You don't manage any listings yet. Open your business page and use \"Claim This Business\" to get started.",
+        ownerSince: "Owner since {{date}}",
+        updateChanges: "Update Changes",
+        editListing: "Edit Listing",
+        pendingSent: "Pending review · sent {{date}}",
+        withdraw: "Withdraw",
+        confirmWithdraw: "Withdraw your pending changes?",
+        claims: "Ownership Claims",
+        history: "Edit History",
+        field: "Field",
+        current: "Current",
+        proposed: "Proposed",
+        empty: "empty",
+        note: "Note for the reviewer (optional)",
+        hint: "Changes are checked by an admin before they appear on the listing. Sending again replaces your pending changes.",
+        cancel: "Cancel",
+        sending: "Sending...",
+        sendForReview: "Send for Review",
+        photos: "Photos",
+        photo: "Photo",
+        caption: "Caption",
+        captionPlaceholder: "Caption (optional)",
+        confirmWithdrawPhoto: "Withdraw this photo?",
+        uploading: "Uploading...",
+        addPhoto: "Add Photo",
+        photosHint: "New photos appear on the listing once an admin approves them.",
+        fields: {
+            businessName: "Business name",
+            shortDescription: "Description",
+            translations: {
+                ka: {
+                    businessName: "Business name (Georgian)",
+                    shortDescription: "Description (Georgian)",
+                },
+                en: {
+                    businessName: "Business name (English)",
+                    shortDescription: "Description (English)",
+                },
+            },
+            mobile: "Mobile",
+            socialLinks: {
+                facebook: "Facebook",
+                instagram: "Instagram",
+                tiktok: "TikTok",
+                youtube: "YouTube",
+            },
+        },
+        status: {
+            pending: "Pending review",
+            approved: "Approved",
+            rejected: "Rejected",
+            withdrawn: "Withdrawn",
+        },
+    },
+    sessions: {
+        title: "Where You're Signed In",
+        loadFailed: "Unable to load your sessions. Please try again later.",
+        unknownDevice: "Unknown device",
+        browser: "Browser",
+        deviceOn: "{{browser}} on {{system}}",
+        thisDevice: "This device",
+        meta: "IP {{ip}} • Signed in {{signedIn}} • Last active {{lastActive}}",
+        unknownIp: "unknown",
+        signOut: "Sign out",
+        signingOut: "Signing out...",
+        logoutAll: "Log Out of All Devices",
+        confirmSignOutCurrent: "Sign out of this device?",
+        confirmSignOut: "Sign out {{device}}?",
+        confirmLogoutAll: "Sign out of all devices, including this one?",
+        confirmLogoutAllHint: "You will need to log in again everywhere.",
+    },
+    reviews: {
+        title: "Reviews",
+        loginToWrite: "Log in to write a review",
+        loadFailed: "Unable to load reviews. Please try again later.",
+        empty: "No reviews yet. Be the first to share your experience!",
+        placeholder: "Share your experience with this business...",
+        cancel: "Cancel",
+        saving: "Saving...",
+        saveChanges: "Save Changes",
+        post: "Post Review",
+        yours: "Your review",
+        edited: "edited",
+        hiddenNotice: "This review has been hidden by a moderator and is only visible to you.",
+        edit: "Edit",
+        delete: "Delete",
+        reported: "Reported",
+        report: "Report",
+        confirmDelete: "Delete your review? This cannot be undone.",
+        reportPrompt: "Report {{name}}'s review as abusive?",
+        reportReason: "Optional reason:",
+        previous: "Previous",
+        next: "Next",
+        page: "Page {{current}} of {{total}}",
+    },
+    claim: {
+        title: "Is This Your Business?",
+        guestText: "Own this business? Log in to claim the listing and keep its details up to date.",
+        loginToClaim: "Log In to Claim",
+        youManage: "You manage this listing.",
+        goToDashboard: "Go to Owner Dashboard",
+        pending: "Your ownership claim is being reviewed. We'll update your owner dashboard once an admin has looked at it.",
+        rejected: "Your previous claim was rejected",
+        formText: "If you submitted this listing with your account email, ownership is confirmed right away. Otherwise tell us how you're connected to the business and an admin will verify it.",
+        placeholder: "e.g. I'm the owner - you can reach me on the listed phone number",
+        cancel: "Cancel",
+        submitting: "Submitting...",
+        submit: "Submit Claim",
+        offerText: "Own this business? Claim the listing to update its phone number, description and social links.",
+        claim: "Claim This Business",
+    },
+    rating: {
+        loginToRate: "Log in to rate this business",
+        yours: "Your rating",
+        rate: "Rate this business",
+        scaleLabel: "Rate {{name}} from 1 to 10",
+        remove: "Remove my rating",
+    },
+    actions: {
+        updatingFavorites: "Updating favorites",
+        addNamedFavorite: "Add {{name}} to favorites",
+        removeNamedFavorite: "Remove {{name}} from favorites",
+        reportNamed: "Report issue with {{name}}",
+        updating: "Updating...",
+        addFavorite: "Add to favorites",
+        removeFavorite: "Remove from favorites",
+        report: "Report an issue with this listing",
+    },
+    stars: {
+        exceptional: "Exceptional",
+        excellent: "Excellent",
+        veryGood: "Very Good",
+        good: "Good",
+        average: "Average",
+        belowAverage: "Below Average",
+        summary: "Rating: {{rating}} out of 10, {{quality}}",
+        none: "No rating available",
+    },
+    errors: {
+        title: "Something went wrong",
+        text: "An unexpected error occurred. Please try again.",
+        loadingTitle: "Loading Error",
+        loadingText: "There was an issue loading this page. This might be due to a recent update.",
+        refresh: "Refresh Page",
+        tryAgain: "Try Again",
+    },
+    listingForm: {
+        title: "Business Information",
+        businessName: "Business Name ({{language}})",
+        businessNamePlaceholder: {
+            ka: "Business name in Georgian",
+            en: "Business name in English",
+        },
+        languages: {
+            ka: "Georgian",
+            en: "English",
+        },
+        languageHint: "Fill in Georgian, English or both - visitors see the name in their language",
+        categories: "Business Categories",
+        categoriesPlaceholder: "Select business categories",
+        categoriesNoun: "categories",
+        businessType: "Business Type",
+        mobile: "Mobile Number",
+        mobileFormat: "Format: +995XXXXXXXXX",
+        serviceAreas: "Service Areas",
+        citiesPlaceholder: "Select cities where you operate (or 'All Georgia')",
+        citiesNoun: "cities",
+        description: "Business Description ({{language}})",
+        descriptionPlaceholder: "Briefly describe your business, services, and what makes you unique...",
+    },
+    multiSelect: {
+        items: "items",
+        placeholder: "Select items",
+        search: "Search...",
+        triggerLabel: "Select {{items}}. {{count}} selected",
+        remove: "Remove {{name}}",
+        options: "{{items}} options",
+        searchLabel: "Search {{items}}",
+        noneFound: "No {{items}} found",
+        noneAvailable: "No {{items}} available",
+        max: "(Max {{max}})",
+        selectedOf: "{{count}} of {{max}} {{items}} selected",
+        helper: "You can select up to {{max}} {{items}} that best describe your business",
+        selectedCount: "{{count}}/{{max}} {{items}} selected",
+        almostLimit: "almost at limit",
+        maxReached: "maximum reached",
+    },
+    imageUpload: {
+        noFile: "No file selected",
+        tooLarge: "File too large. Maximum size: {{max}}MB",
+        invalidType: "Invalid file type. Allowed: {{allowed}}",
+        readFailed: "Failed to read image file",
+        processing: "Processing image...",
+        processingHint: "Please wait while we optimize your image",
+        upload: "Upload profile image",
+        clickToUpload: "Click to upload",
+        orDrag: "or drag and drop",
+        formats: "{{formats}} up to {{max}}MB",
+        required: "Required",
+        previewAlt: "Business profile preview",
+        size: "Size:",
+        type: "Type:",
+        willOptimize: "Image will be automatically optimized for web performance",
+        removeLabel: "Remove selected image",
+        remove: "Remove Image",
+        helper: "Your image will be automatically resized and optimized",
+        processingInfoLabel: "Processing Info:",
+        processingInfo: "Your image will be automatically converted to modern formats (WebP & AVIF) and resized to 800x600px for optimal performance across all devices.",
+    },
+    common: {
+        loading: "Loading...",
+    },
+    hoursEditor: {
+        openingTime: "{{day}} opening time",
+        closingTime: "{{day}} closing time",
+        removeHours: "Remove {{day}} hours",
+        addHours: "Hours",
+        copyMonday: "Copy Monday to all weekdays",
+        hint: "Georgian time. Closing at 00:00 means midnight; for hours past midnight add the rest to the next day.",
+        exceptionsTitle: "Holidays & Temporary Closures",
+        noExceptions: "No exceptions - add one for holidays, vacations or days with special hours.",
+        from: "From",
+        to: "To",
+        exceptionType: "Exception type",
+        specialHours: "Special hours",
+        specialOpeningTime: "Special opening time",
+        specialClosingTime: "Special closing time",
+        notePlaceholder: "Note, e.g. New Year holidays",
+        removeException: "Remove exception",
+        addException: "Add exception",
+        closeBeforeOpen: "Closing time must be after opening time",
+        endBeforeStart: "Exception end date cannot be before its start date",
+        specialHoursMissing: "Enter opening and closing times for special hours",
+    },
+    map: {
+        label: "Map",
+        zoomIn: "Zoom in",
+        zoomOut: "Zoom out",
+        meters: "{{value}} m",
+        kilometers: "{{value}} km",
+    },
+    locationPicker: {
+        marker: "Business location",
+        mapLabel: "Business location map - click to place the business",
+        useMyLocation: "Use my current location",
+        locateFailed: "Could not get your location - click the map instead",
+        remove: "Remove location",
+        hint: "Click the map where the business is, so customers can find it with the map view and \"Near me\" filter.",
+    },
+};
+
+export default en;
@@ -0,0 +1,73 @@
+// client/src/locales/index.js
+// Translation catalogs and language helpers (see contexts/LanguageContext.js)
+import en from "./en";
+import ka from "./ka";
+import ru from "./ru";
+
+export const LANGUAGES = [
+    { code: "ka", label: "ქართული", short: "KA" },
+    { code: "en", label: "English", short: "EN" },
+    { code: "ru", label: "Русский", short: "RU" },
+];
+
+export const DEFAULT_LANGUAGE = "en";
+
+const CATALOGS = { en, ka, ru };
+const STORAGE_KEY = "language";
+
+export const isSupportedLanguage = (code) =>
+    LANGUAGES.some((language) => language.code === code);
+
+/**
+ * Saved choice, else the browser's language, else English
+ */
+export const getStoredLanguage = () => {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (isSupportedLanguage(stored)) return stored;
+
+    const browserLanguage = (navigator.language || "").slice(0, 2).toLowerCase();
+    return isSupportedLanguage(browserLanguage)
+        ? browserLanguage
+        : DEFAULT_LANGUAGE;
+};
+
+export const storeLanguage = (code) => {
+    localStorage.setItem(STORAGE_KEY, code);
+};
+
+const lookup = (catalog, key) =>
+    key.split(".").reduce((node, part) => node?.[part], catalog);
+
+/**
+ * Translate `key` ("filters.title") into `language`.
+ * - `{{name}}` placeholders are filled from `params`
+ * - with `params.count`, plural forms `key_one` / `key_few` / `key_many` /
+ *   `key_other` are picked using the language's plural rules
+ * - missing keys fall back to English, then to the key itself
+ */
+export const translate = (language, key, params = {}) => {
+    const candidates = [];
+    if (typeof params.count === "number") {
+        const form = new Intl.PluralRules(language).select(params.count);
+        candidates.push(`${key}_${form}`, `${key}_other`);
+    }
+    candidates.push(key);
+
+    let template;
+    for (const catalog of [CATALOGS[language], CATALOGS[DEFAULT_LANGUAGE]]) {
+        for (const candidate of candidates) {
+            const value = lookup(catalog, candidate);
+            if (typeof value === "string") {
+                template = value;
+                break;
+            }
+        }
+        if (template !== undefined) break;
+    }
+
+    if (template === undefined) return key;
+
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+        params[name] !== undefined ? String(params[name]) : match
+    );
+};
@@ -0,0 +1,996 @@
+// client/src/locales/ka.js
+// Georgian catalog - missing keys fall back to English (en.js)
+
+const ka = {
+    nav: {
+        home: "მთავარი",
+        about: "TΣLO-ს შესახებ",
+        contact: "კონტაქტი",
+        sendListing: "განცხადების გაგზავნა",
+        login: "შესვლა",
+        logout: "გასვლა",
+        dashboard: "პანელი",
+        myListings: "ჩემი განცხადებები",
+        settings: "პარამეტრები",
+        admin: "ადმინი",
+        loading: "იტვირთება...",
+        search: "ძებნა",
+        searchPlaceholder: "ძებნა...",
+        openFilters: "ფილტრების გახსნა",
+        toggleMenu: "მენიუს გახსნა",
+        userMenu: "მომხმარებლის მენიუ",
+        loggedOut: "თქვენ წარმატებით გამოხვედით!",
+    },
+    language: {
+        label: "ენა",
+        changed: "ენა შეიცვალა",
+        saveFailed: "ენის არჩევანის შენახვა ვერ მოხერხდა",
+    },
+    home: {
+        title: "თქვენი ბიზნეს კატალოგი",
+        description: "იპოვეთ სარემონტო ბიზნესები თქვენს მახლობლად",
+    },
+    search: {
+        placeholder: "ბიზნესების ძებნა...",
+        button: "ძებნა",
+        clear: "ძებნის გასუფთავება",
+        open: "ძიების გახსნა",
+        collapse: "ძიების ჩაკეცვა",
+        loadingPage: "გვერდი იტვირთება...",
+    },
+    filters: {
+        title: "ფილტრები",
+        categories: "კატეგორიები:",
+        cities: "ქალაქები:",
+        businessType: "ბიზნესის ტიპი:",
+        status: "სტატუსი:",
+        selectCategories: "აირჩიეთ კატეგორიები",
+        selectCities: "აირჩიეთ ქალაქები",
+        selectType: "აირჩიეთ ტიპი",
+        searchCategories: "კატეგორიების ძებნა...",
+        searchCities: "ქალაქების ძებნა...",
+        allBusinesses: "ყველა ბიზნესი",
+        verified: "დადასტურებული",
+        unverified: "დაუდასტურებელი",
+        individual: "ფიზიკური პირი",
+        company: "კომპანია",
+        removeFilter: "ფილტრის მოხსნა: {{name}}",
+        clearAll: "ყველა ფილტრის გასუფთავება ({{count}})",
+        showFilters: "ფილტრების ჩვენება",
+        hideFilters: "ფილტრების დამალვა",
+        show: "ჩვენება",
+        hide: "დამალვა",
+        more: "+{{count}} კიდევ",
+        modalTitle: "ბიზნესების ფილტრი",
+        modalSubtitle: "იპოვეთ ზუსტად ის, რასაც ეძებთ",
+        close: "ფილტრების დახურვა",
+        apply: "ფილტრების გამოყენება",
+        cancel: "გაუქმება",
+        open: "ფილტრების გახსნა",
+        openNow: "ახლა ღიაა",
+        distance: "მანძილი:",
+        nearMe: "ჩემთან ახლოს",
+        locating: "მდებარეობის განსაზღვრა...",
+        locationError: "მდებარეობის განსაზღვრა ვერ მოხერხდა - შეამოწმეთ ბრაუზერის ნებართვა",
+        within: "{{distance}}-ის რადიუსში",
+    },
+    list: {
+        loadError: "ბიზნესების ჩატვირთვა ვერ მოხერხდა: {{message}}",
+        tryAgain: "ხელახლა ცდა",
+        skipToListings: "ბიზნესების სიაზე გადასვლა",
+        loading: "ბიზნესები იტვირთება...",
+        loadingMore: "იტვირთება მეტი ბიზნესი...",
+        loadingMoreResults: "იტვირთება მეტი შედეგი...",
+        found_other: "ნაპოვნია {{count}} ბიზნესი",
+        noneFound: "ბიზნესები ვერ მოიძებნა",
+        filteredBy: "ფილტრი: {{summary}}",
+        sortedByRelevance: " · დალაგებულია შესაბამისობით",
+        activeFilters_other: "{{count}} აქტიური ფილტრი",
+        adjustCriteria: "სცადეთ ძებნის პირობების ან ფილტრების შეცვლა",
+        noBusinessesYet: "ბიზნესები ჯერ არ დამატებულა",
+        clearAllFilters: "ყველა ფილტრის გასუფთავება",
+        seenAll_other: "თქვენ ნახეთ ყველა ({{count}}) ბიზნესი.",
+        adjustFilters: " მეტი შედეგისთვის შეცვალეთ ფილტრები.",
+        summaryCategories_other: "{{count}} კატეგორია",
+        summaryCities_other: "{{count}} ქალაქი",
+        summaryTypes_other: "{{count}} ბიზნესის ტიპი",
+        verifiedOnly: "მხოლოდ დადასტურებული",
+        unverifiedOnly: "მხოლოდ დაუდასტურებელი",
+        openNowOnly: "ახლა ღია",
+        nearby: "{{distance}}-ის რადიუსში",
+        sortedByDistance: " · ჯერ უახლოესი",
+        view: "შედეგების ხედი",
+        viewList: "სია",
+        viewMap: "რუკა",
+        loadMore: "მეტის ჩატვირთვა",
+        mapLabel: "ბიზნესების რუკა",
+        mapMissing_other: "{{count}} ბიზნესს მდებარეობა არ აქვს და რუკაზე არ ჩანს",
+    },
+    card: {
+        individual: "ფიზიკური პირი",
+        company: "კომპანია",
+        call: "დარეკვა: {{name}}, {{mobile}}",
+        loginToSave: "რჩეულებში შესანახად გაიარეთ ავტორიზაცია",
+        favoritesFailed: "რჩეულების განახლება ვერ მოხერხდა",
+        visitPage: "ჩვენი {{platform}} გვერდი",
+        openNow: "ღიაა",
+        distance: "{{distance}} მოშორებით",
+    },
+    hours: {
+        title: "სამუშაო საათები",
+        openNow: "ახლა ღიაა",
+        closedNow: "ახლა დაკეტილია",
+        closed: "დაკეტილია",
+        closedToday: "დღეს დაკეტილია",
+        specialHoursToday: "დღეს განსხვავებული გრაფიკით",
+        exceptions: "დასვენების დღეები და დახურვები",
+        timezoneNote: "დრო მითითებულია საქართველოს დროით (GMT+4).",
+    },
+    gallery: {
+        title: "ფოტოები",
+        open: "ფოტოს გახსნა ({{index}} / {{count}})",
+        dialog: "{{name}} - ფოტოები",
+        counter: "{{index}} / {{count}}",
+        previous: "წინა ფოტო",
+        next: "შემდეგი ფოტო",
+        close: "დახურვა",
+        loading: "ფოტო იტვირთება...",
+        error: "ფოტოს ჩატვირთვა ვერ მოხერხდა",
+    },
+    related: {
+        title: "მსგავსი ბიზნესები",
+        previous: "წინა მსგავსი ბიზნესები",
+        next: "მეტი მსგავსი ბიზნესი",
+    },
+    footer: {
+        brand: "ბიზნეს კატალოგი",
+        description: "ვაკავშირებთ ბიზნესებს მომხმარებლებთან.",
+        quickLinks: "სწრაფი ბმულები",
+        backToTop: "ზევით ↑",
+        browse: "ბიზნესების დათვალიერება",
+        categories: "კატეგორიები",
+        listBusiness: "დაამატეთ თქვენი ბიზნესი",
+        connect: "დაგვიკავშირდით",
+        location: "თქვენი ქალაქი",
+        rights: "© {{year}} ბიზნეს კატალოგი. ყველა უფლება დაცულია.",
+    },
+    caseStatus: {
+        reportTitle: "შეტყობინების სტატუსი",
+        submissionTitle: "განაცხადის სტატუსი",
+        loading: "სტატუსი იტვირთება...",
+        notFound: "ეს საქმე ვერ მოიძებნა. გადაამოწმეთ ბმული თქვენი წერილიდან.",
+        error: "სტატუსის ჩატვირთვა ვერ მოხერხდა. სცადეთ მოგვიანებით.",
+        business: "ბიზნესი",
+        reportedIssues: "მითითებული ხარვეზები",
+        submissionId: "განაცხადის ID",
+        submitted: "გაგზავნილია",
+        decided: "გადაწყვეტილია",
+        status: "სტატუსი",
+        reasonLabel: "მიზეზი",
+        noteLabel: "ჩვენი გუნდის შენიშვნა",
+        viewListing: "განცხადების ნახვა",
+        backHome: "კატალოგში დაბრუნება",
+        statuses: {
+            pending: "განხილვის მოლოდინში",
+            resolved: "გადაწყვეტილია",
+            dismissed: "დახურულია ცვლილებების გარეშე",
+            approved: "დამტკიცებულია",
+            rejected: "არ დამტკიცდა",
+        },
+        explanations: {
+            pending:
+                "ჩვენს გუნდს გადაწყვეტილება ჯერ არ მიუღია. გთხოვთ, შეამოწმოთ მოგვიანებით.",
+            resolved: "გმადლობთ! განცხადება გასწორდა.",
+            dismissed: "შეტყობინება განვიხილეთ და განცხადება უცვლელი დავტოვეთ.",
+            approved: "ბიზნესი უკვე განთავსებულია კატალოგში.",
+            rejected:
+                "შეგიძლიათ შეასწოროთ მონაცემები და ბიზნესი ხელახლა წარმოადგინოთ.",
+        },
+    },
+    settings: {
+        languageTitle: "ენა",
+        languageDescription:
+            "გამოიყენება საიტზე და ჩვენ მიერ გამოგზავნილ წერილებში.",
+        title: "ანგარიშის პარამეტრები",
+        subtitle: "მართეთ თქვენი ანგარიშის ინფორმაცია და პარამეტრები",
+        accessDenied: "წვდომა აკრძალულია",
+        accessDeniedBefore: "გთხოვთ,",
+        returnHome: "დაბრუნდეთ მთავარ გვერდზე",
+        accessDeniedAfter: "და შეხვიდეთ სისტემაში.",
+        tabProfile: "პროფილი",
+        tabSecurity: "უსაფრთხოება",
+        tabAccount: "ანგარიში",
+        profileTitle: "პროფილის ინფორმაცია",
+        profileSubtitle: "განაახლეთ თქვენი პირადი ინფორმაცია",
+        fullName: "სრული სახელი",
+        fullNamePlaceholder: "შეიყვანეთ სრული სახელი",
+        emailAddress: "ელფოსტის მისამართი",
+        change: "შეცვლა",
+        emailChangeNote:
+            "ელფოსტის შესაცვლელად უსაფრთხოების მიზნით მიმდინარე ელფოსტაზე გამოგიგზავნით დადასტურების კოდს.",
+        phone: "ტელეფონის ნომერი",
+        phonePlaceholder: "შეიყვანეთ ტელეფონის ნომერი (არასავალდებულო)",
+        updating: "ახლდება...",
+        updateProfile: "პროფილის განახლება",
+        nameRequired: "სახელი სავალდებულოა",
+        nameTooShort: "სახელი უნდა შეიცავდეს მინიმუმ 2 სიმბოლოს",
+        phoneInvalid: "შეიყვანეთ სწორი ტელეფონის ნომერი",
+        emailChanged: "ელფოსტის მისამართი წარმატებით შეიცვალა!",
+        profileUpdated: "პროფილი წარმატებით განახლდა!",
+        profileUpdateFailed: "პროფილის განახლება ვერ მოხერხდა",
+        securityTitle: "უსაფრთხოების პარამეტრები",
+        securitySubtitle: "მართეთ პაროლი და ანგარიშის უსაფრთხოება",
+        emailVerification: "ელფოსტის დადასტურება",
+        emailVerified: "ელფოსტა დადასტურებულია",
+        emailNotVerified: "ელფოსტა არ არის დადასტურებული",
+        resendVerification: "დადასტურების წერილის ხელახლა გაგზავნა",
+        changePassword: "პაროლის შეცვლა",
+        changing: "იცვლება...",
+        currentPassword: "მიმდინარე პაროლი",
+        currentPasswordPlaceholder: "შეიყვანეთ მიმდინარე პაროლი",
+        currentPasswordRequired: "მიმდინარე პაროლი სავალდებულოა",
+        passwordHint:
+            "მინიმუმ 8 სიმბოლო, დიდი და პატარა ასოებით და ციფრით",
+        passwordComplexity:
+            "პაროლი უნდა შეიცავდეს დიდ და პატარა ასოებს და ციფრს",
+        passwordUnchanged:
+            "ახალი პაროლი უნდა განსხვავდებოდეს მიმდინარესგან",
+        passwordChangedTitle: "პაროლი წარმატებით შეიცვალა!",
+        passwordChangedText: "თქვენი პაროლი განახლდა და უკვე მოქმედებს.",
+        devicesSignedOut_one: "{{count}} სხვა მოწყობილობიდან გამოსვლა შესრულდა.",
+        devicesSignedOut_other:
+            "{{count}} სხვა მოწყობილობიდან გამოსვლა შესრულდა.",
+        passwordChangeFailedTitle: "პაროლის შეცვლა ვერ მოხერხდა",
+        passwordChangeFailed: "პაროლის შეცვლა ვერ მოხერხდა",
+        accountTitle: "ანგარიშის მართვა",
+        accountSubtitle: "მართეთ ანგარიშის სტატუსი და მონაცემები",
+        accountDetails: "ანგარიშის დეტალები",
+        memberSince: "წევრია",
+        lastLogin: "ბოლო შესვლა",
+        notAvailable: "მიუწვდომელია",
+        accountStatus: "ანგარიშის სტატუსი",
+        active: "აქტიური",
+        dangerZone: "საშიში ზონა",
+        dangerText:
+            "ანგარიშის წაშლის შემდეგ მისი აღდგენა შეუძლებელია. გთხოვთ, დარწმუნდეთ.",
+        deleteAccount: "ანგარიშის წაშლა",
+        deleting: "იშლება...",
+        deleteConfirm: "დარწმუნებული ხართ? ამ მოქმედების გაუქმება შეუძლებელია.",
+        typeBefore: "აკრიფეთ",
+        typeAfter: "დასადასტურებლად:",
+        typePlaceholder: "აკრიფეთ DELETE",
+        typeDeleteToConfirm: "დასადასტურებლად აკრიფეთ 'DELETE'",
+        cancel: "გაუქმება",
+        deleteFailed: "ანგარიშის წაშლა ვერ მოხერხდა",
+        deletionScheduledTitle: "ანგარიშის წაშლა დაგეგმილია",
+        deletionScheduledText_one:
+            "თქვენი ანგარიში წაიშლება {{count}} დღეში ({{date}}).",
+        deletionScheduledText_other:
+            "თქვენი ანგარიში წაიშლება {{count}} დღეში ({{date}}).",
+        deletionImportant: "მნიშვნელოვანია:",
+        deletionLogout: "სისტემიდან დაუყოვნებლივ გამოხვალთ",
+        deletionCancelHint:
+            "წაშლის გაუქმება შეგიძლიათ {{date}}-მდე ხელახლა შესვლით",
+        deletionPermanent:
+            "{{date}}-ის შემდეგ ანგარიში სამუდამოდ წაიშლება",
+        deletionConfirmPrompt:
+            "დააჭირეთ OK-ს გასასვლელად ან გაუქმებას, რათა დარჩეთ სისტემაში.",
+        deletionScheduledToast:
+            "ანგარიშის წაშლა დაგეგმილია. სისტემიდან გამოხვალთ.",
+    },
+    about: {
+        title: "ჩვენ შესახებ",
+        nav: {
+            label: "გვერდის სექციები",
+            goTo: "გადასვლა სექციაზე: {{section}}",
+            team: "ჩვენი გუნდი",
+            mission: "მისია და ხედვა",
+            howItWorks: "როგორ მუშაობს",
+            rules: "წესები",
+            whyUs: "რატომ ჩვენ",
+            getStarted: "დაწყება",
+        },
+        team: {
+            heading: "ჩვენი გუნდი",
+            intro: "გაიცანით TΣLO-ს გუნდი, რომელიც სახლის მფლობელებს სანდო სარემონტო სპეციალისტებთან აკავშირებს.",
+            photoUnavailable: "ფოტო მიუწვდომელია: {{name}}",
+            giorgiTitle: "დამფუძნებელი და აღმასრულებელი დირექტორი",
+            giorgiDescription: "15+ წელი სამშენებლო სფეროში",
+            tinaTitle: "ოპერაციების დირექტორი",
+            tinaDescription: "ბიზნეს ოპერაციები და ხარისხის კონტროლი",
+            davidTitle: "ტექნიკური მენეჯერი",
+            davidDescription: "პლატფორმის განვითარება და მხარდაჭერა",
+            sarahTitle: "ფინანსური მენეჯერი",
+            sarahDescription: "ფინანსები და ბიზნესის განვითარება",
+        },
+        mission: {
+            heading: "მისია და ხედვა",
+            missionTitle: "ჩვენი მისია",
+            missionText: "გავამარტივოთ სანდო სარემონტო კონტრაქტორების პოვნა სრული, გადამოწმებული კატალოგით, რომელიც სახლის მფლობელებს მათ რეგიონში არსებულ ხარისხიან ბიზნესებთან აკავშირებს.",
+            visionTitle: "ჩვენი ხედვა",
+            visionText: "გავხდეთ წამყვანი პლატფორმა, საიდანაც ყველა სარემონტო პროექტი იწყება — ნდობით სახლის მფლობელებსა და კონტრაქტორებს შორის და ადგილობრივი ბიზნესის ზრდის მხარდაჭერით.",
+            qualityTitle: "გადამოწმებული ხარისხი",
+            qualityText: "ყველა ბიზნესი გადის გადამოწმებას",
+            localTitle: "ადგილობრივი ფოკუსი",
+            localText: "ვუჭერთ მხარს ადგილობრივ ბიზნესებს",
+            trustTitle: "ნდობის შექმნა",
+            trustText: "გამჭვირვალე შეფასებები და რეიტინგები",
+        },
+        howItWorks: {
+            heading: "როგორ მუშაობს",
+            searchTitle: "მოძებნეთ და აღმოაჩინეთ",
+            searchText: "დაათვალიერეთ სარემონტო ბიზნესები კატეგორიის, მდებარეობის ან სპეციალიზაციის მიხედვით. გამოიყენეთ ფილტრები, რომ ზუსტად ის იპოვოთ, რაც გჭირდებათ.",
+            compareTitle: "შეადარეთ და შეაფასეთ",
+            compareText: "შეადარეთ გადამოწმებული ბიზნესები, წაიკითხეთ ნამდვილი შეფასებები და ნახეთ წინა მომხმარებლების რეიტინგები.",
+            connectTitle: "დაუკავშირდით და დაიქირავეთ",
+            connectText: "დაუკავშირდით ბიზნესებს პირდაპირ ტელეფონით, ელფოსტით ან სოციალური ქსელებით. დაიწყეთ რემონტი თავდაჯერებულად.",
+        },
+        rules: {
+            heading: "წესები",
+            businessesTitle: "ბიზნესებისთვის",
+            licensed: "უნდა ჰქონდეთ ლიცენზია და დაზღვევა",
+            accurateInfo: "მიუთითეთ ზუსტი ინფორმაცია ბიზნესის შესახებ",
+            professional: "შეინარჩუნეთ პროფესიული კომუნიკაცია",
+            honorQuotes: "დაიცავით შეთანხმებული ფასები და ვადები",
+            respondPromptly: "დროულად უპასუხეთ მომხმარებლების შეკითხვებს",
+            customersTitle: "მომხმარებლებისთვის",
+            honestReviews: "დაწერეთ გულწრფელი და სამართლიანი შეფასებები",
+            clearRequirements: "მკაფიოდ აღწერეთ პროექტის მოთხოვნები",
+            respectExpertise: "პატივი ეცით კონტრაქტორის გამოცდილებას",
+            reportIssues: "შეგვატყობინეთ პრობლემების შესახებ",
+            supportLocal: "მხარი დაუჭირეთ ხარისხიან ადგილობრივ ბიზნესებს",
+            qualityTitle: "ხარისხის კონტროლი",
+            qualityText: "რეგულარულად ვამოწმებთ განთავსებულ ბიზნესებს ხარისხისა და სანდოობის შესანარჩუნებლად",
+        },
+        whyUs: {
+            heading: "რატომ TΣLO",
+            homeownersTitle: "სახლის მფლობელებისთვის",
+            verifiedOnly: "მხოლოდ გადამოწმებული კონტრაქტორები",
+            transparentReviews: "გამჭვირვალე შეფასებები და რეიტინგები",
+            easySearch: "მარტივი ძიება და შედარება",
+            directContact: "პირდაპირი კავშირი ბიზნესებთან",
+            localExperts: "ადგილობრივი სარემონტო სპეციალისტები",
+            businessesTitle: "ბიზნესებისთვის",
+            visibility: "გაზარდეთ ხილვადობა",
+            localCustomers: "მიაღწიეთ ადგილობრივ მომხმარებლებს",
+            buildTrust: "მოიპოვეთ ნდობა შეფასებებით",
+            showcase: "წარმოაჩინეთ თქვენი გამოცდილება",
+            grow: "გაზარდეთ თქვენი ბიზნესი",
+        },
+        cta: {
+            heading: "დაიწყეთ დღესვე",
+            homeownersTitle: "ეძებთ კონტრაქტორს?",
+            homeownersText: "იპოვეთ გადამოწმებული სარემონტო ბიზნესები თქვენს რეგიონში",
+            browse: "ბიზნესების დათვალიერება",
+            businessesTitle: "გაქვთ სარემონტო ბიზნესი?",
+            businessesText: "შემოგვიერთდით და გაზარდეთ მომხმარებლების რაოდენობა",
+            listBusiness: "დაამატეთ თქვენი ბიზნესი",
+            helpTitle: "გჭირდებათ დახმარება?",
+            helpText: "ჩვენი გუნდი მზადაა დაგეხმაროთ",
+            contactUs: "დაგვიკავშირდით",
+        },
+    },
+    contact: {
+        title: "კონტაქტი",
+        description: "დაგვიკავშირდით...",
+        phone: "ტელეფონი",
+        phoneText: "დაგვირეკეთ სწრაფი დახმარებისთვის",
+        email: "ელფოსტა",
+        emailText: "მოგვწერეთ და გიპასუხებთ",
+        address: "მისამართი",
+        addressText: "გვესტუმრეთ ოფისში",
+        street: "ბიზნესის ქუჩა 123",
+        cityLine: "თბილისი, საქართველო 0108",
+        hours: "სამუშაო საათები",
+        weekdays: "ორშაბათი - პარასკევი",
+        weekdayHours: "09:00 - 18:00",
+        saturday: "შაბათი",
+        saturdayHours: "10:00 - 16:00",
+        sunday: "კვირა",
+        closed: "დაკეტილია",
+        followUs: "გამოგვყევით",
+        followText: "თვალი ადევნეთ სიახლეებს სოციალურ ქსელებში",
+    },
+    dashboard: {
+        welcome: "მოგესალმებით, {{name}}!",
+        subtitle: "თქვენი ბიზნესების აღმოჩენის გზა",
+        accessDenied: "წვდომა აკრძალულია",
+        loginPromptBefore: "გთხოვთ, ",
+        returnHome: "დაბრუნდეთ მთავარ გვერდზე",
+        loginPromptAfter: " და შეხვიდეთ სისტემაში.",
+        quickActions: "სწრაფი მოქმედებები",
+        findBusinesses: "ბიზნესების ძიება",
+        helpSupport: "დახმარება",
+        selectAll: "ყველას მონიშვნა",
+        deleteSelected: "მონიშნულის წაშლა ({{count}})",
+        view: "ნახვა",
+        edit: "რედაქტირება",
+        removed_one: "წაიშალა {{count}} ელემენტი",
+        removed_other: "წაიშალა {{count}} ელემენტი",
+        favorites: {
+            title: "ჩემი რჩეულები",
+            description: "შენახული ბიზნესები, რომლებიც მოგწონთ",
+            added: "დამატებულია {{time}}",
+            confirmDelete: "ნამდვილად გსურთ ამ რჩეულის წაშლა?",
+            confirmBulkDelete: "ნამდვილად გსურთ მონიშნული რჩეულების წაშლა?",
+        },
+        ratings: {
+            title: "ჩემი შეფასებები",
+            description: "ბიზნესები, რომლებიც შეაფასეთ",
+            rated: "შეფასებულია {{time}}",
+            confirmDelete: "ნამდვილად გსურთ ამ შეფასების წაშლა?",
+            confirmBulkDelete: "ნამდვილად გსურთ მონიშნული შეფასებების წაშლა?",
+        },
+        comments: {
+            title: "ჩემი კომენტარები",
+            description: "თქვენი გაზიარებული გამოცდილება",
+            commented: "დაკომენტარებულია {{time}}",
+            hidden: "დამალულია მოდერატორის მიერ",
+            confirmDelete: "ნამდვილად გსურთ ამ კომენტარის წაშლა?",
+            confirmBulkDelete: "ნამდვილად გსურთ მონიშნული კომენტარების წაშლა?",
+        },
+    },
+    favoritesPage: {
+        title: "ჩემი რჩეულები",
+        subtitle: "მართეთ შენახული ბიზნესები",
+        authRequired: "საჭიროა ავტორიზაცია",
+        loginToView: "რჩეულების სანახავად გთხოვთ, შეხვიდეთ სისტემაში.",
+        goHome: "მთავარზე დაბრუნება",
+        loading: "რჩეულები იტვირთება...",
+        emptySubtitle: "თქვენი რჩეული ბიზნესები აქ გამოჩნდება",
+        emptyTitle: "რჩეულები ჯერ არ გაქვთ!",
+        emptyText: "დაათვალიერეთ ბიზნესები და შეინახეთ რჩეულებში გულის ღილაკზე დაჭერით.",
+        discover: "ბიზნესების აღმოჩენა",
+        selectAll: "ყველას მონიშვნა (მონიშნულია {{count}})",
+        deleting: "იშლება...",
+        deleteSelected: "მონიშნულის წაშლა ({{count}})",
+        remove: "რჩეულებიდან წაშლა",
+        loadingMore: "იტვირთება...",
+        showMore: "კიდევ {{count}}-ის ჩვენება",
+        shownOf: "({{shown}} / {{total}})",
+        loadFailed: "რჩეულების ჩატვირთვა ვერ მოხერხდა",
+        removed: "ბიზნესი წაიშალა რჩეულებიდან",
+        removeFailed: "რჩეულის წაშლა ვერ მოხერხდა",
+        selectToDelete: "მონიშნეთ წასაშლელი რჩეულები",
+        bulkDeleteFailed: "მონიშნული რჩეულების წაშლა ვერ მოხერხდა",
+        addedToday: "დამატებულია დღეს",
+        addedYesterday: "დამატებულია გუშინ",
+        addedDaysAgo_one: "დამატებულია {{count}} დღის წინ",
+        addedDaysAgo_other: "დამატებულია {{count}} დღის წინ",
+        addedWeeksAgo_one: "დამატებულია {{count}} კვირის წინ",
+        addedWeeksAgo_other: "დამატებულია {{count}} კვირის წინ",
+        addedMonthsAgo_one: "დამატებულია {{count}} თვის წინ",
+        addedMonthsAgo_other: "დამატებულია {{count}} თვის წინ",
+    },
+    password: {
+        newLabel: "ახალი პაროლი",
+        newPlaceholder: "შეიყვანეთ ახალი პაროლი",
+        confirmLabel: "გაიმეორეთ ახალი პაროლი",
+        confirmPlaceholder: "გაიმეორეთ ახალი პაროლი",
+        requirements: "პაროლის მოთხოვნები:",
+        minLength: "მინიმუმ 8 სიმბოლო",
+        lowercase: "ერთი პატარა ასო",
+        uppercase: "ერთი დიდი ასო",
+        number: "ერთი ციფრი",
+        special: "ერთი სპეციალური სიმბოლო",
+        match: "პაროლები ემთხვევა",
+        newRequired: "ახალი პაროლი აუცილებელია",
+        tooShort: "პაროლი უნდა შეიცავდეს მინიმუმ 8 სიმბოლოს",
+        needsLowercase: "პაროლი უნდა შეიცავდეს მინიმუმ ერთ პატარა ასოს",
+        needsUppercase: "პაროლი უნდა შეიცავდეს მინიმუმ ერთ დიდ ასოს",
+        needsNumber: "პაროლი უნდა შეიცავდეს მინიმუმ ერთ ციფრს",
+        needsSpecial: "პაროლი უნდა შეიცავდეს მინიმუმ ერთ სპეციალურ სიმბოლოს",
+        confirmRequired: "პაროლის დადასტურება აუცილებელია",
+        mismatch: "პაროლები არ ემთხვევა",
+    },
+    passwordReset: {
+        forgotTitle: "პაროლის აღდგენა",
+        forgotSubtitle: "შეიყვანეთ ელფოსტა და გამოგიგზავნით პაროლის აღდგენის ინსტრუქციას.",
+        checkEmail: "ინსტრუქცია იხილეთ ელფოსტაში.",
+        sending: "იგზავნება...",
+        sendInstructions: "ინსტრუქციის გაგზავნა",
+        sendFailed: "პაროლის აღდგენის წერილი ვერ გაიგზავნა. სცადეთ ხელახლა.",
+        sentTitle: "ინსტრუქცია გაიგზავნა!",
+        sentTo: "პაროლის აღდგენის ინსტრუქცია გაიგზავნა მისამართზე",
+        nextSteps: "შემდეგი ნაბიჯები:",
+        stepInbox: "შეამოწმეთ შემოსულები (და სპამის საქაღალდე)",
+        stepClick: "დააჭირეთ აღდგენის ბმულს წერილში",
+        stepExpiry: "უსაფრთხოებისთვის ბმული 30 წუთში იწურება",
+        stepCreate: "შექმენით ახალი პაროლი",
+        differentEmail: "სხვა ელფოსტის გამოყენება",
+        backToLogin: "შესვლაზე დაბრუნება",
+        needHelp: "გჭირდებათ დახმარება?",
+        contactSupport: "დაუკავშირდით მხარდაჭერას",
+        noToken: "აღდგენის კოდი არ არის მითითებული. მოითხოვეთ პაროლის ხელახლა აღდგენა.",
+        linkExpired: "პაროლის აღდგენის ბმული ვადაგასულია ან არასწორია.",
+        resetFailed: "პაროლის აღდგენა ვერ მოხერხდა. სცადეთ ხელახლა.",
+        invalidTitle: "ბმული არასწორია",
+        invalidSubtitle: "პაროლის აღდგენის ბმული არასწორია ან ვადაგასულია.",
+        requestNew: "ახალი ბმულის მოთხოვნა",
+        successTitle: "პაროლი წარმატებით შეიცვალა!",
+        successSubtitle: "პაროლი განახლდა. ახლა შეგიძლიათ შეხვიდეთ ახალი პაროლით.",
+        signInNow: "შესვლა",
+        createTitle: "ახალი პაროლის შექმნა",
+        createSubtitle: "შეიყვანეთ ახალი პაროლი. დარწმუნდით, რომ ის საიმედოა.",
+        updating: "პაროლი ნახლდება...",
+        update: "პაროლის განახლება",
+    },
+    verifyEmail: {
+        failed: "ელფოსტის დადასტურება ვერ მოხერხდა",
+        networkError: "ქსელის შეცდომა. შეამოწმეთ კავშირი და სცადეთ ხელახლა.",
+        emailNotFound: "ელფოსტა ვერ მოიძებნა. სცადეთ ხელახლა რეგისტრაცია.",
+        resendFailed: "დადასტურების წერილის ხელახლა გაგზავნა ვერ მოხერხდა",
+        verifying: "ელფოსტა მოწმდება...",
+        pleaseWait: "გთხოვთ, მოიცადოთ, სანამ ელფოსტას ვადასტურებთ.",
+        successTitle: "ელფოსტა წარმატებით დადასტურდა!",
+        redirecting: "გადამისამართება პანელზე...",
+        checkTitle: "შეამოწმეთ ელფოსტა",
+        checkSubtitle: "დადასტურების ბმული გამოგზავნილია თქვენს ელფოსტაზე",
+        nextSteps: "შემდეგი ნაბიჯები:",
+        stepInbox: "შეამოწმეთ შემოსულები (და სპამის საქაღალდე)",
+        stepClick: "დააჭირეთ ღილაკს „ელფოსტის დადასტურება“ წერილში",
+        stepRedirect: "ავტომატურად შეხვალთ სისტემაში და გადამისამართდებით",
+        notReceived: "არ მიგიღიათ წერილი?",
+        sending: "იგზავნება...",
+        resendIn: "ხელახლა გაგზავნა {{seconds}} წამში",
+        resend: "დადასტურების წერილის ხელახლა გაგზავნა",
+        sent: "წერილი გაიგზავნა! შეამოწმეთ შემოსულები.",
+        stillTrouble: "ისევ გაქვთ პრობლემა?",
+        contactSupport: "დაუკავშირდით მხარდაჭერას",
+        notSeeing: "ვერ ხედავთ წერილს?",
+        tipSpam: "შეამოწმეთ სპამის საქაღალდე",
+        tipCorrect: "დარწმუნდით, რომ {{email}} სწორია",
+        yourEmail: "თქვენი ელფოსტა",
+        tipWait: "მოიცადეთ რამდენიმე წუთი — წერილი შეიძლება დაგვიანდეს",
+        tipResend: "სცადეთ ხელახლა გაგზავნა 1 წუთის შემდეგ",
+        backHome: "მთავარზე დაბრუნება",
+    },
+    auth: {
+        welcome: "მოგესალმებათ TΣLO",
+        signInSubtitle: "შედით თქვენს ანგარიშზე",
+        signUpSubtitle: "შექმენით ახალი ანგარიში",
+        close: "დახურვა",
+        logInTab: "შესვლა",
+        signUpTab: "რეგისტრაცია",
+        continueWith: "გაგრძელება {{provider}}-ით",
+        continueWithPhone: "გაგრძელება ტელეფონით",
+        phoneProvider: "ტელეფონით",
+        socialComingSoon: "შესვლა {{provider}}-ით მალე დაემატება!",
+        or: "ან",
+        nameLabel: "სახელი და გვარი",
+        namePlaceholder: "შეიყვანეთ სახელი და გვარი",
+        emailLabel: "ელფოსტა",
+        emailPlaceholder: "შეიყვანეთ ელფოსტა",
+        phoneLabel: "ტელეფონის ნომერი (არასავალდებულო)",
+        phonePlaceholder: "შეიყვანეთ ტელეფონის ნომერი",
+        passwordLabel: "პაროლი",
+        passwordPlaceholder: "შეიყვანეთ პაროლი",
+        confirmPasswordLabel: "გაიმეორეთ პაროლი",
+        confirmPasswordPlaceholder: "გაიმეორეთ პაროლი",
+        rememberMe: "დამიმახსოვრე",
+        signingIn: "შესვლა...",
+        creatingAccount: "ანგარიში იქმნება...",
+        signIn: "შესვლა",
+        createAccount: "ანგარიშის შექმნა",
+        forgotPassword: "დაგავიწყდათ პაროლი?",
+        fillAllFields: "გთხოვთ, შეავსოთ ყველა ველი",
+        emailRequired: "გთხოვთ, შეიყვანოთ ელფოსტა",
+        emailInvalid: "გთხოვთ, შეიყვანოთ სწორი ელფოსტა",
+        loginFailed: "შესვლა ვერ მოხერხდა",
+        loginFailedRetry: "შესვლა ვერ მოხერხდა. სცადეთ ხელახლა.",
+        registerFailedRetry: "რეგისტრაცია ვერ მოხერხდა. სცადეთ ხელახლა.",
+        emailExists: "ამ ელფოსტით ანგარიში უკვე არსებობს. სცადეთ შესვლა.",
+        accountLocked: "ანგარიში დროებით დაიბლოკა მრავალი წარუმატებელი მცდელობის გამო. სცადეთ მოგვიანებით.",
+        tooManyRequests_one: "ძალიან ბევრი მოთხოვნა. მოიცადეთ {{count}} წუთი და სცადეთ ხელახლა.",
+        tooManyRequests_other: "ძალიან ბევრი მოთხოვნა. მოიცადეთ {{count}} წუთი და სცადეთ ხელახლა.",
+        checking: "ავტორიზაციის შემოწმება...",
+    },
+    emailChange: {
+        title: "ელფოსტის შეცვლა",
+        currentEmail: "მიმდინარე ელფოსტა",
+        newEmail: "ახალი ელფოსტა",
+        newEmailPlaceholder: "შეიყვანეთ ახალი ელფოსტა",
+        codeInfoBefore: "უსაფრთხოებისთვის 6-ნიშნა კოდი გაიგზავნება თქვენს ",
+        codeInfoCurrent: "მიმდინარე",
+        codeInfoAfter: " ელფოსტაზე.",
+        sending: "იგზავნება...",
+        sendCode: "კოდის გაგზავნა",
+        sentTo: "6-ნიშნა კოდი გაიგზავნა მისამართზე:",
+        completeTo: "შეიყვანეთ კოდი, რომ ელფოსტა შეიცვალოს მისამართით:",
+        codeLabel: "დადასტურების კოდი",
+        codeExpiry: "კოდი 10 წუთში იწურება",
+        back: "უკან",
+        verifying: "მოწმდება...",
+        verify: "კოდის დადასტურება",
+        differentEmail: "გთხოვთ, შეიყვანოთ სხვა ელფოსტა",
+        codeSent: "დადასტურების კოდი გაიგზავნა მიმდინარე ელფოსტაზე!",
+        sendFailed: "დადასტურების კოდი ვერ გაიგზავნა",
+        enterCode: "გთხოვთ, შეიყვანოთ 6-ნიშნა კოდი",
+        changed: "ელფოსტა წარმატებით შეიცვალა!",
+        invalidCode: "არასწორი დადასტურების კოდი",
+    },
+    report: {
+        title: "პრობლემის შეტყობინება",
+        subtitle: "დაგვეხმარეთ გაუმჯობესებაში — შეგვატყობინეთ პრობლემა: {{name}}",
+        thisBusiness: "ეს ბიზნესი",
+        close: "დახურვა",
+        whatsTheIssue: "რა პრობლემაა?",
+        reasonsLoading: "პრობლემის ტიპები იტვირთება...",
+        reasonsFailed: "პრობლემის ტიპები ვერ ჩაიტვირთა. სცადეთ მოგვიანებით.",
+        details: "დამატებითი დეტალები",
+        optional: "(არასავალდებულო)",
+        describePlaceholder: "აღწერეთ პრობლემა...",
+        anythingElse: "კიდევ რამე უნდა ვიცოდეთ?",
+        submitting: "იგზავნება...",
+        submit: "გაგზავნა",
+        thankYou: "გმადლობთ!",
+        submitted: "შეტყობინება წარმატებით გაიგზავნა. განვიხილავთ და მივიღებთ შესაბამის ზომებს.",
+        closeButton: "დახურვა",
+        selectType: "აირჩიეთ მინიმუმ ერთი პრობლემის ტიპი",
+        describeReason: "აღწერეთ პრობლემა: „{{reason}}“",
+        submitFailed: "შეტყობინება ვერ გაიგზავნა. სცადეთ ხელახლა.",
+        email: "თქვენი ელფოსტა (არასავალდებულო)",
+        emailHint: "მას მხოლოდ იმისთვის გამოვიყენებთ, რომ გაცნობოთ შეტყობინების განხილვის შედეგი.",
+        invalidEmail: "შეიყვანეთ სწორი ელფოსტის მისამართი ან დატოვეთ ცარიელი",
+        emailOutcome: "გადაწყვეტილების შემდეგ მოგწერთ მისამართზე {{email}}.",
+        followStatus: "შეტყობინების სტატუსის ნახვა",
+    },
+    sendListing: {
+        errorTitle: "რაღაც შეცდომა მოხდა",
+        errorText: "ბოდიშს გიხდით, ფორმის ჩატვირთვისას შეცდომა მოხდა. სცადეთ გვერდის განახლება.",
+        tryAgain: "ხელახლა ცდა",
+        refresh: "გვერდის განახლება",
+        waitBeforeSubmit_one: "ხელახლა გაგზავნამდე დაელოდეთ {{count}} წამს.",
+        waitBeforeSubmit_other: "ხელახლა გაგზავნამდე დაელოდეთ {{count}} წამს.",
+        fixErrors: "გთხოვთ, გაასწოროთ ქვემოთ მოცემული შეცდომები და სცადოთ ხელახლა.",
+        checkFields: "გთხოვთ, შეამოწმოთ და სწორად შეავსოთ ყველა ველი!",
+        successTitle: "თქვენი განცხადება წარმატებით გაიგზავნა!",
+        successId: "თქვენი განაცხადის ID: {{id}}.",
+        successNext: "მალე მიიღებთ დადასტურების ელფოსტას. განაცხადს 2-3 სამუშაო დღეში განვიხილავთ.",
+        submitFailed: "განცხადების გაგზავნა ვერ მოხერხდა. გთხოვთ, სცადოთ ხელახლა.",
+        title: "დაამატეთ თქვენი ბიზნესი",
+        subtitle: "შეუერთდით საქართველოს წამყვან ბიზნეს კატალოგს და დაუკავშირდით მომხმარებლებს მთელი ქვეყნიდან",
+        certificationTitle: "პროფესიული სერტიფიკაცია",
+        hasCertificate: "ჩემს ბიზნესს აქვს პროფესიული სერტიფიკატები ან ლიცენზიები",
+        certificateDetails: "სერტიფიკატის დეტალები",
+        certificatePlaceholder: "მოკლედ აღწერეთ თქვენი სერტიფიკატები, ლიცენზიები ან კვალიფიკაცია...",
+        characters: "{{current}}/{{max}} სიმბოლო",
+        imageTitle: "ბიზნესის პროფილის სურათი",
+        socialTitle: "სოციალური ქსელები და ონლაინ ყოფნა",
+        socialRequiredLabel: "სავალდებულოა:",
+        socialRequiredText: "მიუთითეთ მინიმუმ ერთი Facebook ან Instagram ბმული, რათა მომხმარებლებმა ონლაინ გიპოვონ.",
+        contactTitle: "საკონტაქტო ინფორმაცია",
+        yourName: "თქვენი სახელი",
+        namePlaceholder: "შეიყვანეთ სრული სახელი",
+        yourEmail: "თქვენი ელფოსტა",
+        privacyLabel: "კონფიდენციალურობა:",
+        privacyText: "თქვენი ელფოსტა გამოყენებული იქნება მხოლოდ განაცხადის შესახებ შეტყობინებებისთვის და საჯაროდ არ გამოჩნდება.",
+        clearForm: "ფორმის გასუფთავება",
+        submitting: "იგზავნება...",
+        submit: "განცხადების გაგზავნა",
+        clearConfirmTitle: "გავასუფთაოთ ფორმა?",
+        clearConfirmText: "დარწმუნებული ხართ, რომ გსურთ ფორმის ყველა მონაცემის წაშლა? ამ მოქმედების გაუქმება შეუძლებელია.",
+        cancel: "გაუქმება",
+        hoursTitle: "სამუშაო საათები",
+        hoursHint: "არასავალდებულო - მომხმარებლები გიპოვიან ფილტრით „ახლა ღიაა“",
+        locationTitle: "ბიზნესის მდებარეობა",
+    },
+    listingValidation: {
+        businessNameRequired: "ბიზნესის სახელი სავალდებულოა ქართულად ან ინგლისურად",
+        categoriesRequired: "აირჩიეთ მინიმუმ ერთი კატეგორია",
+        businessTypeRequired: "ბიზნესის ტიპი სავალდებულოა",
+        citiesRequired: "აირჩიეთ მინიმუმ ერთი ქალაქი",
+        allGeorgiaCombined: "„მთელი საქართველო“ არ შეიძლება კონკრეტულ ქალაქებთან ერთად აირჩიოთ",
+        mobileRequired: "მობილურის ნომერი სავალდებულოა",
+        mobileFormat: "მობილურის ნომერი უნდა იყოს ქართულ ფორმატში: +995XXXXXXXXX (მაგ.: +995599304009)",
+        emailRequired: "ელფოსტა სავალდებულოა",
+        emailInvalid: "ელფოსტის ფორმატი არასწორია",
+        nameRequired: "თქვენი სახელი სავალდებულოა",
+        imageRequired: "პროფილის სურათი სავალდებულოა",
+        descriptionTooLong: "აღწერა არ უნდა აღემატებოდეს 200 სიმბოლოს",
+        certificateRequired: "სერტიფიკატის აღწერა სავალდებულოა",
+        certificateTooLong: "სერტიფიკატის აღწერა არ უნდა აღემატებოდეს 50 სიმბოლოს",
+        socialRequired: "მიუთითეთ მინიმუმ ერთი Facebook ან Instagram ბმული",
+        socialUrlInvalid: "{{platform}}-ის ბმული უნდა იყოს სწორი HTTP/HTTPS მისამართი",
+    },
+    businessDetail: {
+        loading: "ბიზნესის დეტალები იტვირთება...",
+        errorTitle: "უი! რაღაც შეცდომა მოხდა",
+        notFoundText: "ეს განცხადება აღარ არსებობს ან წაშლილია.",
+        hiddenText: "ეს განცხადება დროებით მიუწვდომელია, სანამ მას ამოწმებენ.",
+        invalidLink: "ბიზნესის ბმული არასწორია.",
+        loadFailed: "ბიზნესის დეტალების ჩატვირთვა ვერ მოხერხდა. სცადეთ მოგვიანებით.",
+        backHome: "მთავარზე დაბრუნება",
+        tryAgain: "ხელახლა ცდა",
+        notFound: "ბიზნესი ვერ მოიძებნა",
+        imageAlt: "{{name}} - პროფილი",
+        verifiedBusiness: "დადასტურებული ბიზნესი",
+        ratings_one: "{{count}} შეფასება",
+        ratings_other: "{{count}} შეფასება",
+        noRatings: "ჯერ არ არის შეფასებები",
+        category_one: "კატეგორია",
+        category_other: "კატეგორიები",
+        serviceArea: "მომსახურების არეალი",
+        businessType: "ბიზნესის ტიპი",
+        individual: "ფიზიკური პირი",
+        company: "კომპანია",
+        location: "მდებარეობა",
+        about: "ბიზნესის შესახებ",
+        callTitle: "დარეკვა: {{name}}",
+        call: "დარეკვა {{mobile}}",
+        information: "ბიზნესის ინფორმაცია",
+        toggleInfo: "დამატებითი ინფორმაციის ჩვენება/დამალვა",
+        registration: "რეგისტრაცია",
+        memberSince: "წევრია: {{date}}",
+        newBusiness: "ახალი ბიზნესი!",
+        daysActive: "აქტიური დღეები",
+        days_one: "{{count}} დღე",
+        days_other: "{{count}} დღე",
+        lastUpdated: "ბოლო განახლება",
+        verificationStatus: "დადასტურების სტატუსი",
+        verified: "დადასტურებული",
+        unverified: "დაუდასტურებელი",
+        contactTitle: "დაუკავშირდით ბიზნესს",
+        phone: "ტელეფონი",
+        reportIssue: "პრობლემის შეტყობინება",
+        reportTitle: "შეგვატყობინეთ ამ განცხადების პრობლემის შესახებ",
+        report: "შეტყობინება",
+        backToAll: "ყველა ბიზნესზე დაბრუნება",
+        mapLabel: "რუკა: {{name}}",
+    },
+    ownerDashboard: {
+        title: "ჩემი განცხადებები",
+        subtitle: "განაახლეთ თქვენი ბიზნესების ინფორმაცია.",
+        ownedListings: "ჩემი ბიზნესები",
+        noListings: "ჯერ არცერთ განცხადებას არ მართავთ. გახსენით თქვენი ბიზნესის გვერდი და გამოიყენეთ „ბიზნესის მოთხოვნა“.",
+        ownerSince: "მფლობელი: {{date}}-დან",
+        updateChanges: "ცვლილებების განახლება",
+        editListing: "რედაქტირება",
+        pendingSent: "განხილვის მოლოდინში · გაგზავნილია {{date}}",
+        withdraw: "გაუქმება",
+        confirmWithdraw: "გავაუქმოთ განხილვაზე გაგზავნილი ცვლილებები?",
+        claims: "მფლობელობის მოთხოვნები",
+        history: "რედაქტირების ისტორია",
+        field: "ველი",
+        current: "მიმდინარე",
+        proposed: "შემოთავაზებული",
+        empty: "ცარიელი",
+        note: "შენიშვნა განმხილველისთვის (არასავალდებულო)",
+        hint: "ცვლილებები განცხადებაზე ადმინისტრატორის შემოწმების შემდეგ გამოჩნდება. ხელახლა გაგზავნა ჩაანაცვლებს მოლოდინში მყოფ ცვლილებებს.",
+        cancel: "გაუქმება",
+        sending: "იგზავნება...",
+        sendForReview: "განხილვაზე გაგზავნა",
+        photos: "ფოტოები",
+        photo: "ფოტო",
+        caption: "წარწერა",
+        captionPlaceholder: "წარწერა (არასავალდებულო)",
+        confirmWithdrawPhoto: "გავაუქმოთ ეს ფოტო?",
+        uploading: "იტვირთება...",
+        addPhoto: "ფოტოს დამატება",
+        photosHint: "ახალი ფოტოები განცხადებაზე ადმინისტრატორის დადასტურების შემდეგ გამოჩნდება.",
+        fields: {
+            businessName: "ბიზნესის სახელი",
+            shortDescription: "აღწერა",
+            translations: {
+                ka: {
+                    businessName: "ბიზნესის სახელი (ქართულად)",
+                    shortDescription: "აღწერა (ქართულად)",
+                },
+                en: {
+                    businessName: "ბიზნესის სახელი (ინგლისურად)",
+                    shortDescription: "აღწერა (ინგლისურად)",
+                },
+            },
+            mobile: "მობილური",
+            socialLinks: {
+                facebook: "Facebook",
+                instagram: "Instagram",
+                tiktok: "TikTok",
+                youtube: "YouTube",
+            },
+        },
+        status: {
+            pending: "განხილვის მოლოდინში",
+            approved: "დამტკიცებული",
+            rejected: "უარყოფილი",
+            withdrawn: "გაუქმებული",
+        },
+    },
+    sessions: {
+        title: "სად ხართ შესული",
+        loadFailed: "სესიების ჩატვირთვა ვერ მოხერხდა. სცადეთ მოგვიანებით.",
+        unknownDevice: "უცნობი მოწყობილობა",
+        browser: "ბრაუზერი",
+        deviceOn: "{{browser}} — {{system}}",
+        thisDevice: "ეს მოწყობილობა",
+        meta: "IP {{ip}} • შესვლა {{signedIn}} • ბოლო აქტივობა {{lastActive}}",
+        unknownIp: "უცნობი",
+        signOut: "გასვლა",
+        signingOut: "გასვლა მიმდინარეობს...",
+        logoutAll: "ყველა მოწყობილობიდან გასვლა",
+        confirmSignOutCurrent: "გავიდეთ ამ მოწყობილობიდან?",
+        confirmSignOut: "გავიდეთ {{device}}-დან?",
+        confirmLogoutAll: "გავიდეთ ყველა მოწყობილობიდან, ამის ჩათვლით?",
+        confirmLogoutAllHint: "ყველგან ხელახლა შესვლა დაგჭირდებათ.",
+    },
+    reviews: {
+        title: "შეფასებები",
+        loginToWrite: "შედით სისტემაში შეფასების დასაწერად",
+        loadFailed: "შეფასებების ჩატვირთვა ვერ მოხერხდა. სცადეთ მოგვიანებით.",
+        empty: "ჯერ არ არის შეფასებები. იყავით პირველი!",
+        placeholder: "გაგვიზიარეთ თქვენი გამოცდილება ამ ბიზნესთან...",
+        cancel: "გაუქმება",
+        saving: "ინახება...",
+        saveChanges: "ცვლილებების შენახვა",
+        post: "გამოქვეყნება",
+        yours: "თქვენი შეფასება",
+        edited: "რედაქტირებულია",
+        hiddenNotice: "ეს შეფასება მოდერატორმა დამალა და მხოლოდ თქვენ ხედავთ.",
+        edit: "რედაქტირება",
+        delete: "წაშლა",
+        reported: "გაგზავნილია",
+        report: "შეტყობინება",
+        confirmDelete: "წავშალოთ თქვენი შეფასება? ამის გაუქმება შეუძლებელია.",
+        reportPrompt: "შევატყობინოთ {{name}}-ის შეფასება როგორც შეურაცხმყოფელი?",
+        reportReason: "მიზეზი (არასავალდებულო):",
+        previous: "წინა",
+        next: "შემდეგი",
+        page: "გვერდი {{current}} / {{total}}",
+    },
+    claim: {
+        title: "ეს თქვენი ბიზნესია?",
+        guestText: "ფლობთ ამ ბიზნესს? შედით სისტემაში, მოითხოვეთ განცხადება და განაახლეთ მისი ინფორმაცია.",
+        loginToClaim: "შესვლა მოთხოვნისთვის",
+        youManage: "ამ განცხადებას თქვენ მართავთ.",
+        goToDashboard: "მფლობელის პანელზე გადასვლა",
+        pending: "თქვენი მოთხოვნა განიხილება. შედეგს მფლობელის პანელზე ნახავთ, როგორც კი ადმინისტრატორი განიხილავს.",
+        rejected: "თქვენი წინა მოთხოვნა უარყოფილია",
+        formText: "თუ ეს განცხადება თქვენი ანგარიშის ელფოსტით გაგზავნეთ, მფლობელობა მაშინვე დადასტურდება. სხვა შემთხვევაში მოგვწერეთ, როგორ ხართ დაკავშირებული ბიზნესთან და ადმინისტრატორი გადაამოწმებს.",
+        placeholder: "მაგ.: მე ვარ მფლობელი - დამიკავშირდით მითითებულ ნომერზე",
+        cancel: "გაუქმება",
+        submitting: "იგზავნება...",
+        submit: "მოთხოვნის გაგზავნა",
+        offerText: "ფლობთ ამ ბიზნესს? მოითხოვეთ განცხადება ტელეფონის, აღწერისა და სოციალური ბმულების განსაახლებლად.",
+        claim: "ბიზნესის მოთხოვნა",
+    },
+    rating: {
+        loginToRate: "შედით სისტემაში ბიზნესის შესაფასებლად",
+        yours: "თქვენი შეფასება",
+        rate: "შეაფასეთ ბიზნესი",
+        scaleLabel: "შეაფასეთ {{name}} 1-დან 10-მდე",
+        remove: "შეფასების წაშლა",
+    },
+    actions: {
+        updatingFavorites: "რჩეულები ახლდება",
+        addNamedFavorite: "{{name}} რჩეულებში დამატება",
+        removeNamedFavorite: "{{name}} რჩეულებიდან წაშლა",
+        reportNamed: "პრობლემის შეტყობინება: {{name}}",
+        updating: "ახლდება...",
+        addFavorite: "რჩეულებში დამატება",
+        removeFavorite: "რჩეულებიდან წაშლა",
+        report: "შეგვატყობინეთ ამ განცხადების პრობლემის შესახებ",
+    },
+    stars: {
+        exceptional: "განსაკუთრებული",
+        excellent: "შესანიშნავი",
+        veryGood: "ძალიან კარგი",
+        good: "კარგი",
+        average: "საშუალო",
+        belowAverage: "საშუალოზე დაბალი",
+        summary: "შეფასება: {{rating}} 10-დან, {{quality}}",
+        none: "შეფასება არ არის",
+    },
+    errors: {
+        title: "რაღაც შეცდომა მოხდა",
+        text: "მოულოდნელი შეცდომა მოხდა. გთხოვთ, სცადოთ ხელახლა.",
+        loadingTitle: "ჩატვირთვის შეცდომა",
+        loadingText: "გვერდის ჩატვირთვისას პრობლემა წარმოიშვა. შესაძლოა, ეს ბოლო განახლებით იყოს გამოწვეული.",
+        refresh: "გვერდის განახლება",
+        tryAgain: "ხელახლა ცდა",
+    },
+    listingForm: {
+        title: "ბიზნესის ინფორმაცია",
+        businessName: "ბიზნესის სახელი ({{language}})",
+        businessNamePlaceholder: {
+            ka: "ბიზნესის სახელი ქართულად",
+            en: "ბიზნესის სახელი ინგლისურად",
+        },
+        languages: {
+            ka: "ქართულად",
+            en: "ინგლისურად",
+        },
+        languageHint: "შეავსეთ ქართულად, ინგლისურად ან ორივე ენაზე - ვიზიტორები სახელს თავიანთ ენაზე ნახავენ",
+        categories: "ბიზნესის კატეგორიები",
+        categoriesPlaceholder: "აირჩიეთ კატეგორიები",
+        categoriesNoun: "კატეგორია",
+        businessType: "ბიზნესის ტიპი",
+        mobile: "მობილურის ნომერი",
+        mobileFormat: "ფორმატი: +995XXXXXXXXX",
+        serviceAreas: "მომსახურების არეალი",
+        citiesPlaceholder: "აირჩიეთ ქალაქები, სადაც მუშაობთ (ან „მთელი საქართველო“)",
+        citiesNoun: "ქალაქი",
+        description: "ბიზნესის აღწერა ({{language}})",
+        descriptionPlaceholder: "მოკლედ აღწერეთ თქვენი ბიზნესი, მომსახურება და რით გამოირჩევით...",
+    },
+    multiSelect: {
+        items: "ელემენტი",
+        placeholder: "აირჩიეთ",
+        search: "ძიება...",
+        triggerLabel: "აირჩიეთ: {{items}}. არჩეულია {{count}}",
+        remove: "{{name}} - წაშლა",
+        options: "ვარიანტები: {{items}}",
+        searchLabel: "ძიება: {{items}}",
+        noneFound: "{{items}} ვერ მოიძებნა",
+        noneAvailable: "{{items}} არ არის ხელმისაწვდომი",
+        max: "(მაქს. {{max}})",
+        selectedOf: "არჩეულია {{count}} / {{max}}",
+        helper: "შეგიძლიათ აირჩიოთ მაქსიმუმ {{max}} {{items}}, რომელიც საუკეთესოდ აღწერს თქვენს ბიზნესს",
+        selectedCount: "არჩეულია {{count}}/{{max}}",
+        almostLimit: "თითქმის ლიმიტზეა",
+        maxReached: "მიღწეულია მაქსიმუმი",
+    },
+    imageUpload: {
+        noFile: "ფაილი არ არის არჩეული",
+        tooLarge: "ფაილი ძალიან დიდია. მაქსიმალური ზომა: {{max}}MB",
+        invalidType: "ფაილის ტიპი არასწორია. დაშვებულია: {{allowed}}",
+        readFailed: "სურათის წაკითხვა ვერ მოხერხდა",
+        processing: "სურათი მუშავდება...",
+        processingHint: "მოიცადეთ, სანამ სურათს ოპტიმიზაციას გავუკეთებთ",
+        upload: "პროფილის სურათის ატვირთვა",
+        clickToUpload: "დააჭირეთ ასატვირთად",
+        orDrag: "ან გადმოათრიეთ",
+        formats: "{{formats}}, მაქსიმუმ {{max}}MB",
+        required: "სავალდებულოა",
+        previewAlt: "ბიზნესის პროფილის სურათის გადახედვა",
+        size: "ზომა:",
+        type: "ტიპი:",
+        willOptimize: "სურათი ავტომატურად იქნება ოპტიმიზებული ვებისთვის",
+        removeLabel: "არჩეული სურათის წაშლა",
+        remove: "სურათის წაშლა",
+        helper: "სურათის ზომა ავტომატურად შეიცვლება და ოპტიმიზდება",
+        processingInfoLabel: "დამუშავება:",
+        processingInfo: "სურათი ავტომატურად გადაკეთდება თანამედროვე ფორმატებში (WebP და AVIF) და შემცირდება 800x600px-მდე, რათა ყველა მოწყობილობაზე სწრაფად ჩაიტვირთოს.",
+    },
+    common: {
+        loading: "იტვირთება...",
+    },
+    hoursEditor: {
+        openingTime: "{{day}} - გახსნის დრო",
+        closingTime: "{{day}} - დახურვის დრო",
+        removeHours: "{{day}} - საათების წაშლა",
+        addHours: "საათები",
+        copyMonday: "ორშაბათის საათების კოპირება ყველა სამუშაო დღეზე",
+        hint: "საქართველოს დროით. 00:00-ზე დახურვა ნიშნავს შუაღამეს; შუაღამის შემდეგ საათები მომდევნო დღეს დაამატეთ.",
+        exceptionsTitle: "დღესასწაულები და დროებითი დახურვა",
+        noExceptions: "გამონაკლისები არ არის - დაამატეთ დღესასწაულების, შვებულების ან განსაკუთრებული საათების დღეებისთვის.",
+        from: "საწყისი თარიღი",
+        to: "საბოლოო თარიღი",
+        exceptionType: "გამონაკლისის ტიპი",
+        specialHours: "განსაკუთრებული საათები",
+        specialOpeningTime: "განსაკუთრებული გახსნის დრო",
+        specialClosingTime: "განსაკუთრებული დახურვის დრო",
+        notePlaceholder: "შენიშვნა, მაგ. საახალწლო დღესასწაულები",
+        removeException: "გამონაკლისის წაშლა",
+        addException: "გამონაკლისის დამატება",
+        closeBeforeOpen: "დახურვის დრო გახსნის დროის შემდეგ უნდა იყოს",
+        endBeforeStart: "გამონაკლისის დასრულების თარიღი დაწყებამდე ვერ იქნება",
+        specialHoursMissing: "მიუთითეთ განსაკუთრებული საათების გახსნისა და დახურვის დრო",
+    },
+    map: {
+        label: "რუკა",
+        zoomIn: "მიახლოება",
+        zoomOut: "დაშორება",
+        meters: "{{value}} მ",
+        kilometers: "{{value}} კმ",
+    },
+    locationPicker: {
+        marker: "ბიზნესის მდებარეობა",
+        mapLabel: "ბიზნესის მდებარეობის რუკა - დააწკაპუნეთ ბიზნესის მოსანიშნად",
+        useMyLocation: "ჩემი მიმდინარე მდებარეობა",
+        locateFailed: "მდებარეობის დადგენა ვერ მოხერხდა - დააწკაპუნეთ რუკაზე",
+        remove: "მდებარეობის წაშლა",
+        hint: "დააწკაპუნეთ რუკაზე ბიზნესის ადგილას, რომ მომხმარებლებმა რუკაზე და ფილტრით „ჩემთან ახლოს“ გიპოვონ.",
+    },
+};
+
+export default ka;
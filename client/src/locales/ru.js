@@ -0,0 +1,1039 @@
+// client/src/locales/ru.js
+// Russian catalog - missing keys fall back to English (en.js)
+
+const ru = {
+    nav: {
+        home: "Главная",
+        about: "О TΣLO",
+        contact: "Контакты",
+        sendListing: "Добавить объявление",
+        login: "Войти",
+        logout: "Выйти",
+        dashboard: "Кабинет",
+        myListings: "Мои объявления",
+        settings: "Настройки",
+        admin: "Админ",
+        loading: "Загрузка...",
+        search: "Поиск",
+        searchPlaceholder: "Поиск...",
+        openFilters: "Открыть фильтры",
+        toggleMenu: "Открыть меню",
+        userMenu: "Меню пользователя",
+        loggedOut: "Вы успешно вышли!",
+    },
+    language: {
+        label: "Язык",
+        changed: "Язык изменён",
+        saveFailed: "Не удалось сохранить выбранный язык",
+    },
+    home: {
+        title: "Ваш бизнес-справочник",
+        description: "Найдите ремонтные компании рядом с вами",
+    },
+    search: {
+        placeholder: "Поиск компаний...",
+        button: "Найти",
+        clear: "Очистить поиск",
+        open: "Открыть поиск",
+        collapse: "Свернуть поиск",
+        loadingPage: "Загрузка страницы...",
+    },
+    filters: {
+        title: "Фильтры",
+        categories: "Категории:",
+        cities: "Города:",
+        businessType: "Тип бизнеса:",
+        status: "Статус:",
+        selectCategories: "Выберите категории",
+        selectCities: "Выберите города",
+        selectType: "Выберите тип",
+        searchCategories: "Поиск категорий...",
+        searchCities: "Поиск городов...",
+        allBusinesses: "Все компании",
+        verified: "Проверенные",
+        unverified: "Непроверенные",
+        individual: "Частное лицо",
+        company: "Компания",
+        removeFilter: "Убрать фильтр {{name}}",
+        clearAll: "Сбросить все фильтры ({{count}})",
+        showFilters: "Показать фильтры",
+        hideFilters: "Скрыть фильтры",
+        show: "Показать",
+        hide: "Скрыть",
+        more: "ещё +{{count}}",
+        modalTitle: "Фильтр компаний",
+        modalSubtitle: "Найдите именно то, что ищете",
+        close: "Закрыть фильтры",
+        apply: "Применить фильтры",
+        cancel: "Отмена",
+        open: "Открыть фильтры",
+        openNow: "Открыто сейчас",
+        distance: "Расстояние:",
+        nearMe: "Рядом со мной",
+        locating: "Определяем местоположение...",
+        locationError: "Не удалось определить местоположение - проверьте разрешение браузера",
+        within: "В радиусе {{distance}}",
+    },
+    list: {
+        loadError: "Ошибка загрузки компаний: {{message}}",
+        tryAgain: "Повторить",
+        skipToListings: "Перейти к списку компаний",
+        loading: "Загрузка компаний...",
+        loadingMore: "Загружаем ещё компании...",
+        loadingMoreResults: "Загружаем ещё результаты...",
+        found_one: "Найдена {{count}} компания",
+        found_few: "Найдено {{count}} компании",
+        found_many: "Найдено {{count}} компаний",
+        found_other: "Найдено {{count}} компании",
+        noneFound: "Компании не найдены",
+        filteredBy: "Фильтры: {{summary}}",
+        sortedByRelevance: " · по релевантности",
+        activeFilters_one: "{{count}} активный фильтр",
+        activeFilters_few: "{{count}} активных фильтра",
+        activeFilters_many: "{{count}} активных фильтров",
+        activeFilters_other: "{{count}} активного фильтра",
+        adjustCriteria: "Попробуйте изменить условия поиска или фильтры",
+        noBusinessesYet: "Компании ещё не добавлены",
+        clearAllFilters: "Сбросить все фильтры",
+        seenAll_one: "Вы просмотрели {{count}} компанию.",
+        seenAll_few: "Вы просмотрели все {{count}} компании.",
+        seenAll_many: "Вы просмотрели все {{count}} компаний.",
+        seenAll_other: "Вы просмотрели все {{count}} компании.",
+        adjustFilters: " Измените фильтры, чтобы увидеть больше.",
+        summaryCategories_one: "{{count}} категория",
+        summaryCategories_few: "{{count}} категории",
+        summaryCategories_many: "{{count}} категорий",
+        summaryCategories_other: "{{count}} категории",
+        summaryCities_one: "{{count}} город",
+        summaryCities_few: "{{count}} города",
+        summaryCities_many: "{{count}} городов",
+        summaryCities_other: "{{count}} города",
+        summaryTypes_one: "{{count}} тип бизнеса",
+        summaryTypes_few: "{{count}} типа бизнеса",
+        summaryTypes_many: "{{count}} типов бизнеса",
+        summaryTypes_other: "{{count}} типа бизнеса",
+        verifiedOnly: "только проверенные",
+        unverifiedOnly: "только непроверенные",
+        openNowOnly: "открыто сейчас",
+        nearby: "в радиусе {{distance}}",
+        sortedByDistance: " · сначала ближайшие",
+        view: "Вид результатов",
+        viewList: "Список",
+        viewMap: "Карта",
+        loadMore: "Загрузить ещё",
+        mapLabel: "Карта компаний",
+        mapMissing_one: "{{count}} компания без местоположения не показана",
+        mapMissing_few: "{{count}} компании без местоположения не показаны",
+        mapMissing_many: "{{count}} компаний без местоположения не показаны",
+        mapMissing_other: "{{count}} компании без местоположения не показаны",
+    },
+    card: {
+        individual: "частное лицо",
+        company: "компания",
+        call: "Позвонить {{name}}: {{mobile}}",
+        loginToSave: "Войдите, чтобы сохранять избранное",
+        favoritesFailed: "Не удалось обновить избранное",
+        visitPage: "Наша страница в {{platform}}",
+        openNow: "Открыто",
+        distance: "{{distance}} от вас",
+    },
+    hours: {
+        title: "Часы работы",
+        openNow: "Открыто сейчас",
+        closedNow: "Сейчас закрыто",
+        closed: "Закрыто",
+        closedToday: "Сегодня закрыто",
+        specialHoursToday: "Сегодня особый график",
+        exceptions: "Праздники и закрытия",
+        timezoneNote: "Время указано по Грузии (GMT+4).",
+    },
+    gallery: {
+        title: "Фотографии",
+        open: "Открыть фото {{index}} из {{count}}",
+        dialog: "Фотографии: {{name}}",
+        counter: "{{index}} / {{count}}",
+        previous: "Предыдущее фото",
+        next: "Следующее фото",
+        close: "Закрыть",
+        loading: "Загрузка фото...",
+        error: "Не удалось загрузить фото",
+    },
+    related: {
+        title: "Похожие компании",
+        previous: "Предыдущие похожие компании",
+        next: "Ещё похожие компании",
+    },
+    footer: {
+        brand: "Бизнес-справочник",
+        description: "Связываем бизнес с клиентами.",
+        quickLinks: "Быстрые ссылки",
+        backToTop: "Наверх ↑",
+        browse: "Все компании",
+        categories: "Категории",
+        listBusiness: "Добавить свой бизнес",
+        connect: "Свяжитесь с нами",
+        location: "Ваш город",
+        rights: "© {{year}} Бизнес-справочник. Все права защищены.",
+    },
+    caseStatus: {
+        reportTitle: "Статус жалобы",
+        submissionTitle: "Статус заявки",
+        loading: "Загрузка статуса...",
+        notFound: "Мы не нашли это обращение. Проверьте ссылку из письма.",
+        error: "Не удалось загрузить статус. Попробуйте позже.",
+        business: "Компания",
+        reportedIssues: "Указанные проблемы",
+        submissionId: "ID заявки",
+        submitted: "Отправлено",
+        decided: "Решение принято",
+        status: "Статус",
+        reasonLabel: "Причина",
+        noteLabel: "Комментарий нашей команды",
+        viewListing: "Открыть объявление",
+        backHome: "Вернуться в справочник",
+        statuses: {
+            pending: "На рассмотрении",
+            resolved: "Решено",
+            dismissed: "Закрыто без изменений",
+            approved: "Одобрено",
+            rejected: "Не одобрено",
+        },
+        explanations: {
+            pending:
+                "Наша команда ещё не приняла решение. Пожалуйста, загляните позже.",
+            resolved: "Спасибо! Объявление исправлено.",
+            dismissed:
+                "Мы рассмотрели жалобу и оставили объявление без изменений.",
+            approved: "Компания теперь размещена в справочнике.",
+            rejected: "Вы можете исправить данные и отправить заявку повторно.",
+        },
+    },
+    settings: {
+        languageTitle: "Язык",
+        languageDescription:
+            "Используется на сайте и в письмах, которые мы вам отправляем.",
+        title: "Настройки аккаунта",
+        subtitle: "Управляйте данными аккаунта и настройками",
+        accessDenied: "Доступ запрещён",
+        accessDeniedBefore: "Пожалуйста,",
+        returnHome: "вернитесь на главную",
+        accessDeniedAfter: "и войдите.",
+        tabProfile: "Профиль",
+        tabSecurity: "Безопасность",
+        tabAccount: "Аккаунт",
+        profileTitle: "Данные профиля",
+        profileSubtitle: "Обновите личную информацию",
+        fullName: "Полное имя",
+        fullNamePlaceholder: "Введите полное имя",
+        emailAddress: "Email",
+        change: "Изменить",
+        emailChangeNote:
+            "Для смены email мы в целях безопасности отправим код подтверждения на ваш текущий адрес.",
+        phone: "Номер телефона",
+        phonePlaceholder: "Введите номер телефона (необязательно)",
+        updating: "Обновление...",
+        updateProfile: "Обновить профиль",
+        nameRequired: "Укажите имя",
+        nameTooShort: "Имя должно содержать не менее 2 символов",
+        phoneInvalid: "Введите корректный номер телефона",
+        emailChanged: "Email успешно изменён!",
+        profileUpdated: "Профиль успешно обновлён!",
+        profileUpdateFailed: "Не удалось обновить профиль",
+        securityTitle: "Настройки безопасности",
+        securitySubtitle: "Управляйте паролем и безопасностью аккаунта",
+        emailVerification: "Подтверждение email",
+        emailVerified: "Email подтверждён",
+        emailNotVerified: "Email не подтверждён",
+        resendVerification: "Отправить письмо повторно",
+        changePassword: "Сменить пароль",
+        changing: "Смена...",
+        currentPassword: "Текущий пароль",
+        currentPasswordPlaceholder: "Введите текущий пароль",
+        currentPasswordRequired: "Введите текущий пароль",
+        passwordHint:
+            "Не менее 8 символов, заглавные и строчные буквы и цифра",
+        passwordComplexity:
+            "Пароль должен содержать заглавные и строчные буквы и цифру",
+        passwordUnchanged: "Новый пароль должен отличаться от текущего",
+        passwordChangedTitle: "Пароль успешно изменён!",
+        passwordChangedText: "Ваш пароль обновлён и уже действует.",
+        devicesSignedOut_one: "Выполнен выход на {{count}} другом устройстве.",
+        devicesSignedOut_few:
+            "Выполнен выход на {{count}} других устройствах.",
+        devicesSignedOut_many:
+            "Выполнен выход на {{count}} других устройствах.",
+        devicesSignedOut_other:
+            "Выполнен выход на {{count}} других устройствах.",
+        passwordChangeFailedTitle: "Не удалось сменить пароль",
+        passwordChangeFailed: "Не удалось сменить пароль",
+        accountTitle: "Управление аккаунтом",
+        accountSubtitle: "Управляйте статусом аккаунта и данными",
+        accountDetails: "Сведения об аккаунте",
+        memberSince: "Участник с",
+        lastLogin: "Последний вход",
+        notAvailable: "Нет данных",
+        accountStatus: "Статус аккаунта",
+        active: "Активен",
+        dangerZone: "Опасная зона",
+        dangerText:
+            "После удаления аккаунта восстановить его будет невозможно. Будьте уверены.",
+        deleteAccount: "Удалить аккаунт",
+        deleting: "Удаление...",
+        deleteConfirm: "Вы уверены? Это действие нельзя отменить.",
+        typeBefore: "Введите",
+        typeAfter: "для подтверждения:",
+        typePlaceholder: "Введите DELETE",
+        typeDeleteToConfirm: "Введите 'DELETE' для подтверждения",
+        cancel: "Отмена",
+        deleteFailed: "Не удалось удалить аккаунт",
+        deletionScheduledTitle: "Удаление аккаунта запланировано",
+        deletionScheduledText_one:
+            "Ваш аккаунт будет удалён через {{count}} день ({{date}}).",
+        deletionScheduledText_few:
+            "Ваш аккаунт будет удалён через {{count}} дня ({{date}}).",
+        deletionScheduledText_many:
+            "Ваш аккаунт будет удалён через {{count}} дней ({{date}}).",
+        deletionScheduledText_other:
+            "Ваш аккаунт будет удалён через {{count}} дня ({{date}}).",
+        deletionImportant: "Важно:",
+        deletionLogout: "Вы сразу выйдете из аккаунта",
+        deletionCancelHint:
+            "Вы можете ОТМЕНИТЬ удаление, войдя снова до {{date}}",
+        deletionPermanent: "После {{date}} аккаунт будет удалён навсегда",
+        deletionConfirmPrompt:
+            "Нажмите OK, чтобы выйти, или Отмена, чтобы остаться.",
+        deletionScheduledToast:
+            "Удаление аккаунта запланировано. Вы будете разлогинены.",
+    },
+    about: {
+        title: "О нас",
+        nav: {
+            label: "Разделы страницы",
+            goTo: "Перейти к разделу «{{section}}»",
+            team: "Наша команда",
+            mission: "Миссия и видение",
+            howItWorks: "Как это работает",
+            rules: "Правила",
+            whyUs: "Почему мы",
+            getStarted: "Начать",
+        },
+        team: {
+            heading: "Наша команда",
+            intro: "Познакомьтесь с командой TΣLO, которая помогает владельцам жилья найти надёжных мастеров по ремонту.",
+            photoUnavailable: "Фото недоступно: {{name}}",
+            giorgiTitle: "Основатель и генеральный директор",
+            giorgiDescription: "Более 15 лет в строительстве",
+            tinaTitle: "Операционный директор",
+            tinaDescription: "Бизнес-процессы и контроль качества",
+            davidTitle: "Технический менеджер",
+            davidDescription: "Разработка и поддержка платформы",
+            sarahTitle: "Финансовый директор",
+            sarahDescription: "Финансы и развитие бизнеса",
+        },
+        mission: {
+            heading: "Миссия и видение",
+            missionTitle: "Наша миссия",
+            missionText: "Упростить поиск надёжных подрядчиков по ремонту с помощью полного проверенного справочника, который связывает владельцев жилья с качественными компаниями в их районе.",
+            visionTitle: "Наше видение",
+            visionText: "Стать ведущей платформой, с которой начинается любой ремонт, укрепляя доверие между владельцами жилья и подрядчиками и поддерживая рост местного бизнеса.",
+            qualityTitle: "Проверенное качество",
+            qualityText: "Все компании проходят проверку",
+            localTitle: "Местный фокус",
+            localText: "Поддерживаем местный бизнес",
+            trustTitle: "Доверие",
+            trustText: "Прозрачные отзывы и рейтинги",
+        },
+        howItWorks: {
+            heading: "Как это работает",
+            searchTitle: "Ищите и находите",
+            searchText: "Просматривайте компании по категории, местоположению или специализации. Фильтры помогут найти именно то, что нужно.",
+            compareTitle: "Сравнивайте и оценивайте",
+            compareText: "Сравнивайте проверенные компании, читайте настоящие отзывы и смотрите оценки предыдущих клиентов.",
+            connectTitle: "Связывайтесь и нанимайте",
+            connectText: "Связывайтесь с компаниями напрямую по телефону, электронной почте или в соцсетях. Начните ремонт с уверенностью.",
+        },
+        rules: {
+            heading: "Правила",
+            businessesTitle: "Для компаний",
+            licensed: "Наличие лицензии и страховки",
+            accurateInfo: "Точная информация о компании",
+            professional: "Профессиональное общение",
+            honorQuotes: "Соблюдение согласованных цен и сроков",
+            respondPromptly: "Быстрые ответы на запросы клиентов",
+            customersTitle: "Для клиентов",
+            honestReviews: "Честные и справедливые отзывы",
+            clearRequirements: "Чёткое описание требований к проекту",
+            respectExpertise: "Уважение к опыту подрядчика",
+            reportIssues: "Сообщайте о проблемах",
+            supportLocal: "Поддерживайте качественный местный бизнес",
+            qualityTitle: "Контроль качества",
+            qualityText: "Мы регулярно проверяем компании в справочнике, чтобы сохранять качество и надёжность",
+        },
+        whyUs: {
+            heading: "Почему TΣLO",
+            homeownersTitle: "Для владельцев жилья",
+            verifiedOnly: "Только проверенные подрядчики",
+            transparentReviews: "Прозрачные отзывы и рейтинги",
+            easySearch: "Удобный поиск и сравнение",
+            directContact: "Прямой контакт с компаниями",
+            localExperts: "Местные специалисты по ремонту",
+            businessesTitle: "Для компаний",
+            visibility: "Больше заметности",
+            localCustomers: "Местные клиенты",
+            buildTrust: "Доверие через отзывы",
+            showcase: "Демонстрация опыта",
+            grow: "Рост бизнеса",
+        },
+        cta: {
+            heading: "Начните сегодня",
+            homeownersTitle: "Ищете подрядчика?",
+            homeownersText: "Найдите проверенные ремонтные компании в вашем районе",
+            browse: "Все компании",
+            businessesTitle: "У вас ремонтная компания?",
+            businessesText: "Присоединяйтесь к справочнику и привлекайте новых клиентов",
+            listBusiness: "Добавить свой бизнес",
+            helpTitle: "Нужна помощь?",
+            helpText: "Наша команда готова помочь",
+            contactUs: "Связаться с нами",
+        },
+    },
+    contact: {
+        title: "Контакты",
+        description: "Свяжитесь с нами...",
+        phone: "Телефон",
+        phoneText: "Позвоните нам, чтобы получить помощь сразу",
+        email: "Эл. почта",
+        emailText: "Напишите нам, и мы ответим",
+        address: "Адрес",
+        addressText: "Приходите к нам в офис",
+        street: "ул. Бизнеса, 123",
+        cityLine: "Тбилиси, Грузия 0108",
+        hours: "Часы работы",
+        weekdays: "Понедельник - пятница",
+        weekdayHours: "09:00 - 18:00",
+        saturday: "Суббота",
+        saturdayHours: "10:00 - 16:00",
+        sunday: "Воскресенье",
+        closed: "Закрыто",
+        followUs: "Мы в соцсетях",
+        followText: "Следите за новостями в наших социальных сетях",
+    },
+    dashboard: {
+        welcome: "Добро пожаловать, {{name}}!",
+        subtitle: "Ваш поиск лучших компаний",
+        accessDenied: "Доступ запрещён",
+        loginPromptBefore: "Пожалуйста, ",
+        returnHome: "вернитесь на главную",
+        loginPromptAfter: " и войдите.",
+        quickActions: "Быстрые действия",
+        findBusinesses: "Найти компании",
+        helpSupport: "Помощь и поддержка",
+        selectAll: "Выбрать все",
+        deleteSelected: "Удалить выбранные ({{count}})",
+        view: "Открыть",
+        edit: "Изменить",
+        removed_one: "Удалён {{count}} элемент",
+        removed_few: "Удалено {{count}} элемента",
+        removed_many: "Удалено {{count}} элементов",
+        removed_other: "Удалено {{count}} элемента",
+        favorites: {
+            title: "Моё избранное",
+            description: "Сохранённые компании, которые вам нравятся",
+            added: "Добавлено {{time}}",
+            confirmDelete: "Удалить эту компанию из избранного?",
+            confirmBulkDelete: "Удалить выбранные компании из избранного?",
+        },
+        ratings: {
+            title: "Мои оценки",
+            description: "Компании, которые вы оценили",
+            rated: "Оценено {{time}}",
+            confirmDelete: "Удалить эту оценку?",
+            confirmBulkDelete: "Удалить выбранные оценки?",
+        },
+        comments: {
+            title: "Мои комментарии",
+            description: "Ваш опыт, которым вы поделились",
+            commented: "Прокомментировано {{time}}",
+            hidden: "Скрыто модератором",
+            confirmDelete: "Удалить этот комментарий?",
+            confirmBulkDelete: "Удалить выбранные комментарии?",
+        },
+    },
+    favoritesPage: {
+        title: "Моё избранное",
+        subtitle: "Управляйте сохранёнными компаниями",
+        authRequired: "Требуется вход",
+        loginToView: "Войдите, чтобы увидеть избранное.",
+        goHome: "На главную",
+        loading: "Загружаем избранное...",
+        emptySubtitle: "Здесь появятся ваши избранные компании",
+        emptyTitle: "В избранном пока пусто!",
+        emptyText: "Просматривайте компании и добавляйте их в избранное кнопкой с сердечком.",
+        discover: "Найти компании",
+        selectAll: "Выбрать все (выбрано: {{count}})",
+        deleting: "Удаление...",
+        deleteSelected: "Удалить выбранные ({{count}})",
+        remove: "Удалить из избранного",
+        loadingMore: "Загрузка...",
+        showMore: "Показать ещё {{count}}",
+        shownOf: "({{shown}} из {{total}})",
+        loadFailed: "Не удалось загрузить избранное",
+        removed: "Компания удалена из избранного",
+        removeFailed: "Не удалось удалить из избранного",
+        selectToDelete: "Выберите компании для удаления",
+        bulkDeleteFailed: "Не удалось удалить выбранные компании",
+        addedToday: "Добавлено сегодня",
+        addedYesterday: "Добавлено вчера",
+        addedDaysAgo_one: "Добавлено {{count}} день назад",
+        addedDaysAgo_few: "Добавлено {{count}} дня назад",
+        addedDaysAgo_many: "Добавлено {{count}} дней назад",
+        addedDaysAgo_other: "Добавлено {{count}} дня назад",
+        addedWeeksAgo_one: "Добавлено {{count}} неделю назад",
+        addedWeeksAgo_few: "Добавлено {{count}} недели назад",
+        addedWeeksAgo_many: "Добавлено {{count}} недель назад",
+        addedWeeksAgo_other: "Добавлено {{count}} недели назад",
+        addedMonthsAgo_one: "Добавлено {{count}} месяц назад",
+        addedMonthsAgo_few: "Добавлено {{count}} месяца назад",
+        addedMonthsAgo_many: "Добавлено {{count}} месяцев назад",
+        addedMonthsAgo_other: "Добавлено {{count}} месяца назад",
+    },
+    password: {
+        newLabel: "Новый пароль",
+        newPlaceholder: "Введите новый пароль",
+        confirmLabel: "Подтвердите новый пароль",
+        confirmPlaceholder: "Повторите новый пароль",
+        requirements: "Требования к паролю:",
+        minLength: "Не менее 8 символов",
+        lowercase: "Одна строчная буква",
+        uppercase: "Одна заглавная буква",
+        number: "Одна цифра",
+        special: "Один специальный символ",
+        match: "Пароли совпадают",
+        newRequired: "Введите новый пароль",
+        tooShort: "Пароль должен содержать не менее 8 символов",
+        needsLowercase: "Пароль должен содержать хотя бы одну строчную букву",
+        needsUppercase: "Пароль должен содержать хотя бы одну заглавную букву",
+        needsNumber: "Пароль должен содержать хотя бы одну цифру",
+        needsSpecial: "Пароль должен содержать хотя бы один специальный символ",
+        confirmRequired: "Подтвердите пароль",
+        mismatch: "Пароли не совпадают",
+    },
+    passwordReset: {
+        forgotTitle: "Восстановление пароля",
+        forgotSubtitle: "Введите адрес электронной почты, и мы отправим инструкции по восстановлению пароля.",
+        checkEmail: "Инструкции отправлены на вашу почту.",
+        sending: "Отправка...",
+        sendInstructions: "Отправить инструкции",
+        sendFailed: "Не удалось отправить письмо для восстановления пароля. Попробуйте ещё раз.",
+        sentTitle: "Инструкции отправлены!",
+        sentTo: "Мы отправили инструкции по восстановлению пароля на адрес",
+        nextSteps: "Что делать дальше:",
+        stepInbox: "Проверьте входящие (и папку «Спам»)",
+        stepClick: "Нажмите на ссылку в письме",
+        stepExpiry: "Ссылка действует 30 минут",
+        stepCreate: "Придумайте новый пароль",
+        differentEmail: "Указать другой адрес",
+        backToLogin: "Назад ко входу",
+        needHelp: "Нужна помощь?",
+        contactSupport: "Написать в поддержку",
+        noToken: "Ссылка для сброса не содержит кода. Запросите восстановление пароля ещё раз.",
+        linkExpired: "Ссылка для сброса пароля устарела или недействительна.",
+        resetFailed: "Не удалось сбросить пароль. Попробуйте ещё раз.",
+        invalidTitle: "Ссылка недействительна",
+        invalidSubtitle: "Ссылка для сброса пароля недействительна или устарела.",
+        requestNew: "Запросить новую ссылку",
+        successTitle: "Пароль успешно изменён!",
+        successSubtitle: "Пароль обновлён. Теперь вы можете войти с новым паролем.",
+        signInNow: "Войти",
+        createTitle: "Новый пароль",
+        createSubtitle: "Введите новый пароль. Убедитесь, что он надёжный.",
+        updating: "Обновление пароля...",
+        update: "Обновить пароль",
+    },
+    verifyEmail: {
+        failed: "Не удалось подтвердить адрес",
+        networkError: "Ошибка сети. Проверьте подключение и попробуйте ещё раз.",
+        emailNotFound: "Адрес не найден. Попробуйте зарегистрироваться ещё раз.",
+        resendFailed: "Не удалось повторно отправить письмо",
+        verifying: "Подтверждаем адрес...",
+        pleaseWait: "Подождите, пока мы подтверждаем ваш адрес.",
+        successTitle: "Адрес успешно подтверждён!",
+        redirecting: "Переходим в личный кабинет...",
+        checkTitle: "Проверьте почту",
+        checkSubtitle: "Мы отправили ссылку для подтверждения на ваш адрес",
+        nextSteps: "Что делать дальше:",
+        stepInbox: "Проверьте входящие (и папку «Спам»)",
+        stepClick: "Нажмите кнопку «Подтвердить адрес» в письме",
+        stepRedirect: "Вы автоматически войдёте и будете перенаправлены",
+        notReceived: "Не получили письмо?",
+        sending: "Отправка...",
+        resendIn: "Повторить через {{seconds}} с",
+        resend: "Отправить письмо ещё раз",
+        sent: "Письмо отправлено! Проверьте входящие.",
+        stillTrouble: "Остались проблемы?",
+        contactSupport: "Написать в поддержку",
+        notSeeing: "Не видите письмо?",
+        tipSpam: "Проверьте папку «Спам»",
+        tipCorrect: "Убедитесь, что {{email}} указан верно",
+        yourEmail: "ваш адрес",
+        tipWait: "Подождите несколько минут — письма иногда задерживаются",
+        tipResend: "Попробуйте отправить ещё раз через минуту",
+        backHome: "На главную",
+    },
+    auth: {
+        welcome: "Добро пожаловать в TΣLO",
+        signInSubtitle: "Войдите в свой аккаунт",
+        signUpSubtitle: "Создайте новый аккаунт",
+        close: "Закрыть",
+        logInTab: "Вход",
+        signUpTab: "Регистрация",
+        continueWith: "Продолжить через {{provider}}",
+        continueWithPhone: "Продолжить по телефону",
+        phoneProvider: "телефон",
+        socialComingSoon: "Вход через {{provider}} скоро появится!",
+        or: "или",
+        nameLabel: "Полное имя",
+        namePlaceholder: "Введите имя и фамилию",
+        emailLabel: "Электронная почта",
+        emailPlaceholder: "Введите адрес электронной почты",
+        phoneLabel: "Телефон (необязательно)",
+        phonePlaceholder: "Введите номер телефона",
+        passwordLabel: "Пароль",
+        passwordPlaceholder: "Введите пароль",
+        confirmPasswordLabel: "Подтвердите пароль",
+        confirmPasswordPlaceholder: "Повторите пароль",
+        rememberMe: "Запомнить меня",
+        signingIn: "Вход...",
+        creatingAccount: "Создаём аккаунт...",
+        signIn: "Войти",
+        createAccount: "Создать аккаунт",
+        forgotPassword: "Забыли пароль?",
+        fillAllFields: "Пожалуйста, заполните все поля",
+        emailRequired: "Введите адрес электронной почты",
+        emailInvalid: "Введите корректный адрес электронной почты",
+        loginFailed: "Не удалось войти",
+        loginFailedRetry: "Не удалось войти. Попробуйте ещё раз.",
+        registerFailedRetry: "Не удалось зарегистрироваться. Попробуйте ещё раз.",
+        emailExists: "Аккаунт с этим адресом уже существует. Попробуйте войти.",
+        accountLocked: "Аккаунт временно заблокирован из-за множества неудачных попыток. Попробуйте позже.",
+        tooManyRequests_one: "Слишком много запросов. Подождите {{count}} минуту и попробуйте снова.",
+        tooManyRequests_few: "Слишком много запросов. Подождите {{count}} минуты и попробуйте снова.",
+        tooManyRequests_many: "Слишком много запросов. Подождите {{count}} минут и попробуйте снова.",
+        tooManyRequests_other: "Слишком много запросов. Подождите {{count}} минуты и попробуйте снова.",
+        checking: "Проверка авторизации...",
+    },
+    emailChange: {
+        title: "Смена адреса почты",
+        currentEmail: "Текущий адрес",
+        newEmail: "Новый адрес",
+        newEmailPlaceholder: "Введите новый адрес",
+        codeInfoBefore: "Для безопасности 6-значный код будет отправлен на ваш ",
+        codeInfoCurrent: "текущий",
+        codeInfoAfter: " адрес.",
+        sending: "Отправка...",
+        sendCode: "Отправить код",
+        sentTo: "Мы отправили 6-значный код на адрес:",
+        completeTo: "Введите код, чтобы сменить адрес на:",
+        codeLabel: "Код подтверждения",
+        codeExpiry: "Код действует 10 минут",
+        back: "Назад",
+        verifying: "Проверка...",
+        verify: "Подтвердить код",
+        differentEmail: "Введите другой адрес",
+        codeSent: "Код подтверждения отправлен на текущий адрес!",
+        sendFailed: "Не удалось отправить код подтверждения",
+        enterCode: "Введите 6-значный код",
+        changed: "Адрес успешно изменён!",
+        invalidCode: "Неверный код подтверждения",
+    },
+    report: {
+        title: "Сообщить о проблеме",
+        subtitle: "Помогите нам стать лучше — сообщите о проблеме: {{name}}",
+        thisBusiness: "эта компания",
+        close: "Закрыть",
+        whatsTheIssue: "В чём проблема?",
+        reasonsLoading: "Загрузка типов проблем...",
+        reasonsFailed: "Не удалось загрузить типы проблем. Попробуйте позже.",
+        details: "Подробности",
+        optional: "(необязательно)",
+        describePlaceholder: "Опишите проблему...",
+        anythingElse: "Что-нибудь ещё, что нам стоит знать?",
+        submitting: "Отправка...",
+        submit: "Отправить",
+        thankYou: "Спасибо!",
+        submitted: "Ваше сообщение отправлено. Мы рассмотрим его и примем меры.",
+        closeButton: "Закрыть",
+        selectType: "Выберите хотя бы один тип проблемы",
+        describeReason: "Опишите проблему «{{reason}}»",
+        submitFailed: "Не удалось отправить сообщение. Попробуйте ещё раз.",
+        email: "Ваш email (необязательно)",
+        emailHint: "Мы используем его только чтобы сообщить, как рассмотрено ваше сообщение.",
+        invalidEmail: "Введите корректный email или оставьте поле пустым",
+        emailOutcome: "Мы напишем на {{email}}, когда примем решение.",
+        followStatus: "Следить за статусом сообщения",
+    },
+    sendListing: {
+        errorTitle: "Что-то пошло не так",
+        errorText: "К сожалению, при загрузке формы произошла ошибка. Попробуйте обновить страницу.",
+        tryAgain: "Попробовать снова",
+        refresh: "Обновить страницу",
+        waitBeforeSubmit_one: "Подождите {{count}} секунду перед повторной отправкой.",
+        waitBeforeSubmit_few: "Подождите {{count}} секунды перед повторной отправкой.",
+        waitBeforeSubmit_many: "Подождите {{count}} секунд перед повторной отправкой.",
+        waitBeforeSubmit_other: "Подождите {{count}} секунды перед повторной отправкой.",
+        fixErrors: "Исправьте ошибки ниже и попробуйте снова.",
+        checkFields: "Проверьте и правильно заполните все поля!",
+        successTitle: "Ваша заявка успешно отправлена!",
+        successId: "Номер вашей заявки: {{id}}.",
+        successNext: "Скоро вы получите письмо с подтверждением. Мы рассмотрим заявку в течение 2-3 рабочих дней.",
+        submitFailed: "Не удалось отправить заявку. Попробуйте снова.",
+        title: "Добавьте свою компанию",
+        subtitle: "Присоединяйтесь к ведущему бизнес-каталогу Грузии и находите клиентов по всей стране",
+        certificationTitle: "Профессиональная сертификация",
+        hasCertificate: "У моей компании есть профессиональные сертификаты или лицензии",
+        certificateDetails: "Данные сертификата",
+        certificatePlaceholder: "Кратко опишите ваши сертификаты, лицензии или квалификацию...",
+        characters: "{{current}}/{{max}} символов",
+        imageTitle: "Изображение профиля компании",
+        socialTitle: "Соцсети и присутствие в интернете",
+        socialRequiredLabel: "Обязательно:",
+        socialRequiredText: "Укажите хотя бы одну ссылку на Facebook или Instagram, чтобы клиенты могли найти вас в интернете.",
+        contactTitle: "Контактная информация",
+        yourName: "Ваше имя",
+        namePlaceholder: "Введите полное имя",
+        yourEmail: "Ваш email",
+        privacyLabel: "Конфиденциальность:",
+        privacyText: "Ваш email будет использоваться только для уведомлений о заявке и не будет показан публично.",
+        clearForm: "Очистить форму",
+        submitting: "Отправка...",
+        submit: "Отправить заявку",
+        clearConfirmTitle: "Очистить форму?",
+        clearConfirmText: "Вы уверены, что хотите удалить все данные формы? Это действие нельзя отменить.",
+        cancel: "Отмена",
+        hoursTitle: "Часы работы",
+        hoursHint: "Необязательно - клиенты найдут вас с фильтром «Открыто сейчас»",
+        locationTitle: "Местоположение компании",
+    },
+    listingValidation: {
+        businessNameRequired: "Укажите название компании на грузинском или английском",
+        categoriesRequired: "Выберите хотя бы одну категорию",
+        businessTypeRequired: "Укажите тип компании",
+        citiesRequired: "Выберите хотя бы один город",
+        allGeorgiaCombined: "«Вся Грузия» нельзя сочетать с отдельными городами",
+        mobileRequired: "Укажите номер мобильного телефона",
+        mobileFormat: "Номер должен быть в грузинском формате: +995XXXXXXXXX (пример: +995599304009)",
+        emailRequired: "Укажите email",
+        emailInvalid: "Неверный формат email",
+        nameRequired: "Укажите ваше имя",
+        imageRequired: "Изображение профиля обязательно",
+        descriptionTooLong: "Описание не может превышать 200 символов",
+        certificateRequired: "Укажите описание сертификата",
+        certificateTooLong: "Описание сертификата не может превышать 50 символов",
+        socialRequired: "Укажите хотя бы одну ссылку на Facebook или Instagram",
+        socialUrlInvalid: "Ссылка {{platform}} должна быть корректным HTTP/HTTPS адресом",
+    },
+    businessDetail: {
+        loading: "Загрузка данных компании...",
+        errorTitle: "Упс! Что-то пошло не так",
+        notFoundText: "Эта компания больше не существует или была удалена.",
+        hiddenText: "Эта карточка временно недоступна, пока она на проверке.",
+        invalidLink: "Ссылка на компанию повреждена.",
+        loadFailed: "Не удалось загрузить данные компании. Попробуйте позже.",
+        backHome: "На главную",
+        tryAgain: "Попробовать снова",
+        notFound: "Компания не найдена",
+        imageAlt: "{{name}} — профиль",
+        verifiedBusiness: "Проверенная компания",
+        ratings_one: "{{count}} оценка",
+        ratings_few: "{{count}} оценки",
+        ratings_many: "{{count}} оценок",
+        ratings_other: "{{count}} оценки",
+        noRatings: "Оценок пока нет",
+        category_one: "Категория",
+        category_other: "Категории",
+        serviceArea: "Зона обслуживания",
+        businessType: "Тип",
+        individual: "Частное лицо",
+        company: "Компания",
+        location: "Местоположение",
+        about: "О компании",
+        callTitle: "Позвонить: {{name}}",
+        call: "Позвонить {{mobile}}",
+        information: "Информация о компании",
+        toggleInfo: "Показать/скрыть дополнительную информацию",
+        registration: "Регистрация",
+        memberSince: "На сайте с: {{date}}",
+        newBusiness: "Новая компания!",
+        daysActive: "Дней на сайте",
+        days_one: "{{count}} день",
+        days_few: "{{count}} дня",
+        days_many: "{{count}} дней",
+        days_other: "{{count}} дня",
+        lastUpdated: "Последнее обновление",
+        verificationStatus: "Статус проверки",
+        verified: "Проверена",
+        unverified: "Не проверена",
+        contactTitle: "Связаться с компанией",
+        phone: "Телефон",
+        reportIssue: "Сообщить о проблеме",
+        reportTitle: "Сообщить о проблеме с этой компанией",
+        report: "Сообщить",
+        backToAll: "Ко всем компаниям",
+        mapLabel: "Карта: {{name}}",
+    },
+    ownerDashboard: {
+        title: "Мои компании",
+        subtitle: "Поддерживайте данные своих компаний в актуальном состоянии.",
+        ownedListings: "Мои компании",
+        noListings: "Вы пока не управляете ни одной компанией. Откройте страницу своей компании и нажмите «Это моя компания».",
+        ownerSince: "Владелец с {{date}}",
+        updateChanges: "Обновить изменения",
+        editListing: "Редактировать",
+        pendingSent: "На проверке · отправлено {{date}}",
+        withdraw: "Отозвать",
+        confirmWithdraw: "Отозвать изменения, ожидающие проверки?",
+        claims: "Заявки на владение",
+        history: "История изменений",
+        field: "Поле",
+        current: "Сейчас",
+        proposed: "Предложено",
+        empty: "пусто",
+        note: "Комментарий для модератора (необязательно)",
+        hint: "Изменения появятся после проверки администратором. Повторная отправка заменит изменения, ожидающие проверки.",
+        cancel: "Отмена",
+        sending: "Отправка...",
+        sendForReview: "Отправить на проверку",
+        photos: "Фотографии",
+        photo: "Фото",
+        caption: "Подпись",
+        captionPlaceholder: "Подпись (необязательно)",
+        confirmWithdrawPhoto: "Отозвать это фото?",
+        uploading: "Загрузка...",
+        addPhoto: "Добавить фото",
+        photosHint: "Новые фото появятся в карточке после одобрения администратором.",
+        fields: {
+            businessName: "Название",
+            shortDescription: "Описание",
+            translations: {
+                ka: {
+                    businessName: "Название (на грузинском)",
+                    shortDescription: "Описание (на грузинском)",
+                },
+                en: {
+                    businessName: "Название (на английском)",
+                    shortDescription: "Описание (на английском)",
+                },
+            },
+            mobile: "Мобильный",
+            socialLinks: {
+                facebook: "Facebook",
+                instagram: "Instagram",
+                tiktok: "TikTok",
+                youtube: "YouTube",
+            },
+        },
+        status: {
+            pending: "На проверке",
+            approved: "Одобрено",
+            rejected: "Отклонено",
+            withdrawn: "Отозвано",
+        },
+    },
+    sessions: {
+        title: "Где выполнен вход",
+        loadFailed: "Не удалось загрузить сеансы. Попробуйте позже.",
+        unknownDevice: "Неизвестное устройство",
+        browser: "Браузер",
+        deviceOn: "{{browser}} на {{system}}",
+        thisDevice: "Это устройство",
+        meta: "IP {{ip}} • Вход {{signedIn}} • Активность {{lastActive}}",
+        unknownIp: "неизвестен",
+        signOut: "Выйти",
+        signingOut: "Выход...",
+        logoutAll: "Выйти на всех устройствах",
+        confirmSignOutCurrent: "Выйти на этом устройстве?",
+        confirmSignOut: "Выйти на устройстве {{device}}?",
+        confirmLogoutAll: "Выйти на всех устройствах, включая это?",
+        confirmLogoutAllHint: "Потребуется снова войти везде.",
+    },
+    reviews: {
+        title: "Отзывы",
+        loginToWrite: "Войдите, чтобы оставить отзыв",
+        loadFailed: "Не удалось загрузить отзывы. Попробуйте позже.",
+        empty: "Отзывов пока нет. Будьте первым!",
+        placeholder: "Поделитесь впечатлениями об этой компании...",
+        cancel: "Отмена",
+        saving: "Сохранение...",
+        saveChanges: "Сохранить изменения",
+        post: "Опубликовать",
+        yours: "Ваш отзыв",
+        edited: "изменён",
+        hiddenNotice: "Этот отзыв скрыт модератором и виден только вам.",
+        edit: "Изменить",
+        delete: "Удалить",
+        reported: "Жалоба отправлена",
+        report: "Пожаловаться",
+        confirmDelete: "Удалить ваш отзыв? Это действие нельзя отменить.",
+        reportPrompt: "Пожаловаться на отзыв пользователя {{name}}?",
+        reportReason: "Причина (необязательно):",
+        previous: "Назад",
+        next: "Далее",
+        page: "Страница {{current}} из {{total}}",
+    },
+    claim: {
+        title: "Это ваша компания?",
+        guestText: "Вы владелец этой компании? Войдите, чтобы подать заявку и поддерживать данные в актуальном состоянии.",
+        loginToClaim: "Войти и подать заявку",
+        youManage: "Вы управляете этой компанией.",
+        goToDashboard: "Открыть панель владельца",
+        pending: "Ваша заявка на владение рассматривается. Результат появится в панели владельца после проверки администратором.",
+        rejected: "Ваша предыдущая заявка отклонена",
+        formText: "Если вы добавили эту компанию с email вашего аккаунта, владение подтверждается сразу. Иначе расскажите, как вы связаны с компанией, и администратор проверит заявку.",
+        placeholder: "Например: я владелец — со мной можно связаться по указанному номеру",
+        cancel: "Отмена",
+        submitting: "Отправка...",
+        submit: "Отправить заявку",
+        offerText: "Вы владелец этой компании? Подайте заявку, чтобы обновлять телефон, описание и ссылки на соцсети.",
+        claim: "Это моя компания",
+    },
+    rating: {
+        loginToRate: "Войдите, чтобы оценить компанию",
+        yours: "Ваша оценка",
+        rate: "Оцените компанию",
+        scaleLabel: "Оцените {{name}} от 1 до 10",
+        remove: "Удалить мою оценку",
+    },
+    actions: {
+        updatingFavorites: "Обновление избранного",
+        addNamedFavorite: "Добавить {{name}} в избранное",
+        removeNamedFavorite: "Удалить {{name}} из избранного",
+        reportNamed: "Сообщить о проблеме: {{name}}",
+        updating: "Обновление...",
+        addFavorite: "Добавить в избранное",
+        removeFavorite: "Удалить из избранного",
+        report: "Сообщить о проблеме с этой компанией",
+    },
+    stars: {
+        exceptional: "Исключительно",
+        excellent: "Превосходно",
+        veryGood: "Очень хорошо",
+        good: "Хорошо",
+        average: "Средне",
+        belowAverage: "Ниже среднего",
+        summary: "Оценка: {{rating}} из 10, {{quality}}",
+        none: "Оценок нет",
+    },
+    errors: {
+        title: "Что-то пошло не так",
+        text: "Произошла непредвиденная ошибка. Попробуйте снова.",
+        loadingTitle: "Ошибка загрузки",
+        loadingText: "При загрузке страницы возникла проблема. Возможно, сайт недавно обновился.",
+        refresh: "Обновить страницу",
+        tryAgain: "Попробовать снова",
+    },
+    listingForm: {
+        title: "Информация о компании",
+        businessName: "Название компании ({{language}})",
+        businessNamePlaceholder: {
+            ka: "Название на грузинском",
+            en: "Название на английском",
+        },
+        languages: {
+            ka: "на грузинском",
+            en: "на английском",
+        },
+        languageHint: "Заполните на грузинском, английском или на обоих - посетители увидят название на своём языке",
+        categories: "Категории",
+        categoriesPlaceholder: "Выберите категории",
+        categoriesNoun: "категорий",
+        businessType: "Тип",
+        mobile: "Мобильный номер",
+        mobileFormat: "Формат: +995XXXXXXXXX",
+        serviceAreas: "Зона обслуживания",
+        citiesPlaceholder: "Выберите города, где вы работаете (или «Вся Грузия»)",
+        citiesNoun: "городов",
+        description: "Описание компании ({{language}})",
+        descriptionPlaceholder: "Кратко опишите компанию, услуги и чем вы отличаетесь...",
+    },
+    multiSelect: {
+        items: "элементов",
+        placeholder: "Выберите",
+        search: "Поиск...",
+        triggerLabel: "Выбор {{items}}. Выбрано: {{count}}",
+        remove: "Удалить {{name}}",
+        options: "Список {{items}}",
+        searchLabel: "Поиск {{items}}",
+        noneFound: "Не найдено {{items}}",
+        noneAvailable: "Нет доступных {{items}}",
+        max: "(макс. {{max}})",
+        selectedOf: "Выбрано {{count}} из {{max}}",
+        helper: "Можно выбрать до {{max}} {{items}}, которые лучше всего описывают вашу компанию",
+        selectedCount: "Выбрано {{count}}/{{max}}",
+        almostLimit: "почти достигнут лимит",
+        maxReached: "достигнут максимум",
+    },
+    imageUpload: {
+        noFile: "Файл не выбран",
+        tooLarge: "Файл слишком большой. Максимальный размер: {{max}}MB",
+        invalidType: "Недопустимый тип файла. Разрешены: {{allowed}}",
+        readFailed: "Не удалось прочитать изображение",
+        processing: "Обработка изображения...",
+        processingHint: "Подождите, пока мы оптимизируем изображение",
+        upload: "Загрузить изображение профиля",
+        clickToUpload: "Нажмите, чтобы загрузить",
+        orDrag: "или перетащите файл",
+        formats: "{{formats}}, до {{max}}MB",
+        required: "Обязательно",
+        previewAlt: "Предпросмотр изображения профиля",
+        size: "Размер:",
+        type: "Тип:",
+        willOptimize: "Изображение будет автоматически оптимизировано для веба",
+        removeLabel: "Удалить выбранное изображение",
+        remove: "Удалить изображение",
+        helper: "Изображение будет автоматически уменьшено и оптимизировано",
+        processingInfoLabel: "Обработка:",
+        processingInfo: "Изображение будет автоматически преобразовано в современные форматы (WebP и AVIF) и уменьшено до 800x600px для быстрой загрузки на всех устройствах.",
+    },
+    common: {
+        loading: "Загрузка...",
+    },
+    hoursEditor: {
+        openingTime: "{{day}}: время открытия",
+        closingTime: "{{day}}: время закрытия",
+        removeHours: "{{day}}: удалить часы",
+        addHours: "Часы",
+        copyMonday: "Скопировать понедельник на все будни",
+        hint: "Время по Грузии. Закрытие в 00:00 означает полночь; часы после полуночи добавьте к следующему дню.",
+        exceptionsTitle: "Праздники и временное закрытие",
+        noExceptions: "Исключений нет - добавьте их для праздников, отпусков или дней с особым графиком.",
+        from: "С",
+        to: "По",
+        exceptionType: "Тип исключения",
+        specialHours: "Особый график",
+        specialOpeningTime: "Особое время открытия",
+        specialClosingTime: "Особое время закрытия",
+        notePlaceholder: "Примечание, например новогодние праздники",
+        removeException: "Удалить исключение",
+        addException: "Добавить исключение",
+        closeBeforeOpen: "Время закрытия должно быть позже времени открытия",
+        endBeforeStart: "Дата окончания исключения не может быть раньше даты начала",
+        specialHoursMissing: "Укажите время открытия и закрытия для особого графика",
+    },
+    map: {
+        label: "Карта",
+        zoomIn: "Приблизить",
+        zoomOut: "Отдалить",
+        meters: "{{value}} м",
+        kilometers: "{{value}} км",
+    },
+    locationPicker: {
+        marker: "Местоположение компании",
+        mapLabel: "Карта местоположения - нажмите, чтобы отметить компанию",
+        useMyLocation: "Моё текущее местоположение",
+        locateFailed: "Не удалось определить местоположение - нажмите на карту",
+        remove: "Удалить местоположение",
+        hint: "Нажмите на карту там, где находится компания, чтобы клиенты нашли её на карте и с фильтром «Рядом со мной».",
+    },
+};
+
+export default ru;
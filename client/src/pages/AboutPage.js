@@ -1,57 +1,89 @@
 // client/src/pages/AboutPage.js
 import React, { useState, useEffect, useCallback, useMemo } from "react";
 import HeroSection from "../components/common/HeroSection"; //hero section improted
+import { useTranslation } from "../contexts/LanguageContext";
 import "../styles/about.css";
 
+// Catalog keys for the list sections (about.rules.* / about.whyUs.*)
+const BUSINESS_RULES = [
+    "licensed",
+    "accurateInfo",
+    "professional",
+    "honorQuotes",
+    "respondPromptly",
+];
+const CUSTOMER_RULES = [
+    "honestReviews",
+    "clearRequirements",
+    "respectExpertise",
+    "reportIssues",
+    "supportLocal",
+];
+const HOMEOWNER_BENEFITS = [
+    "verifiedOnly",
+    "transparentReviews",
+    "easySearch",
+    "directContact",
+    "localExperts",
+];
+const BUSINESS_BENEFITS = [
+    "visibility",
+    "localCustomers",
+    "buildTrust",
+    "showcase",
+    "grow",
+];
+
 const AboutPage = () => {
+    const { t } = useTranslation();
     const [activeSection, setActiveSection] = useState("team");
     const [isSticky, setIsSticky] = useState(false);
 
     // Navigation sections
     const sections = useMemo(() => [
-        { id: "team", title: "Our Team", icon: "👥" },
-        { id: "mission", title: "Mission & Vision", icon: "🎯" },
-        { id: "how-it-works", title: "How It Works", icon: "🔧" },
-        { id: "rules", title: "Rules & Guidelines", icon: "📋" },
-        { id: "key-messages", title: "Why Choose Us", icon: "⭐" },
-        { id: "contact-cta", title: "Get Started", icon: "🚀" },
-    ], []);
+        { id: "team", title: t("about.nav.team"), icon: "👥" },
+        { id: "mission", title: t("about.nav.mission"), icon: "🎯" },
+        { id: "how-it-works", title: t("about.nav.howItWorks"), icon: "🔧" },
+        { id: "rules", title: t("about.nav.rules"), icon: "📋" },
+        { id: "key-messages", title: t("about.nav.whyUs"), icon: "⭐" },
+        { id: "contact-cta", title: t("about.nav.getStarted"), icon: "🚀" },
+    ], [t]);
 
     // Team members data with photos
     const teamMembers = useMemo(() => [
         {
             id: "giorgi-teliashvili",
             name: "Giorgi Teliashvili",
-            title: "Founder & CEO",
-            description: "15+ years in construction industry",
+            title: t("about.team.giorgiTitle"),
+            description: t("about.team.giorgiDescription"),
             photo: "/images/team/Giorgi.jpg",
             initials: "GT",
         },
         {
             id: "tina-gelashvili",
             name: "Tina Gelashvili",
-            title: "Operations Director",
-            description: "Business operations & quality assurance",
+            title: t("about.team.tinaTitle"),
+            description: t("about.team.tinaDescription"),
             photo: "/images/team/Tina.jpg",
             initials: "TG",
         },
         {
             id: "david-lee",
             name: "David Lee",
-            title: "Technical Manager",
-            description: "Platform development & maintenance",
+            title: t("about.team.davidTitle"),
+            description: t("about.team.davidDescription"),
             photo: "/images/team/David.jpg",
             initials: "DL",
         },
         {
             id: "sarah-rodriguez",
             name: "Sarah Rodriguez",
-            title: "Financial Officer",
-            description: "Finance & business development",
+            title: t("about.team.sarahTitle"),
+            description: t("about.team.sarahDescription"),
             photo: "/images/team/Sarah.jpg",
             initials: "SR",
         },
-    ], []);
+    ], [t]);
 
     // 🎯 SIMPLIFIED: Team Member Component (removed complex loading logic)
     const TeamMember = ({ member }) => {
@@ -79,7 +111,9 @@ const AboutPage = () => {
                     ) : (
                         <div
                             className="photo-placeholder error"
-                            aria-label={`Photo unavailable for ${member.name}`}
+                            aria-label={t("about.team.photoUnavailable", {
+                                name: member.name,
+                            })}
                             style={{ backgroundColor: "#007bff" }}
                         >
                             {member.initials}
@@ -183,7 +217,7 @@ const AboutPage = () => {
             <nav
                 className={`about-nav ${isSticky ? "sticky" : ""}`}
                 role="navigation"
-                aria-label="About page sections"
+                aria-label={t("about.nav.label")}
             >
                 <div className="about-nav-container">
                     {sections.map((section) => (
@@ -194,7 +228,9 @@ const AboutPage = () => {
                             }`}
                             onClick={() => scrollToSection(section.id)}
                             title={section.title}
-                            aria-label={`Go to ${section.title} section`}
+                            aria-label={t("about.nav.goTo", {
+                                section: section.title,
+                            })}
                         >
                             <span className="nav-icon" aria-hidden="true">
                                 {section.icon}
@@ -208,7 +244,7 @@ const AboutPage = () => {
             <div className="container">
                 {/* Hero section imported */}
                 <HeroSection
-                    title="About Us"
+                    title={t("about.title")}
                     description=""
                     backgroundType="construction"
                     overlayType="dark"
@@ -220,13 +256,11 @@ const AboutPage = () => {
                         <span className="section-icon" aria-hidden="true">
                             👥
                         </span>
-                        <h2>Our Team</h2>
+                        <h2>{t("about.team.heading")}</h2>
                     </div>
                     <div className="section-content">
                         <p className="team-intro">
-                            Meet the dedicated professionals behind TΣLO,
-                            working to connect homeowners with trusted
-                            renovation experts.
+                            {t("about.team.intro")}
                         </p>
                         <div className="team-grid">
                             {teamMembers.map((member) => (
@@ -242,28 +276,17 @@ const AboutPage = () => {
                         <span className="section-icon" aria-hidden="true">
                             🎯
                         </span>
-                        <h2>Mission & Vision</h2>
+                        <h2>{t("about.mission.heading")}</h2>
                     </div>
                     <div className="section-content">
                         <div className="mission-grid">
                             <div className="mission-card">
-                                <h3>Our Mission</h3>
-                                <p>
-                                    To simplify the process of finding reliable
-                                    renovation contractors by creating a
-                                    comprehensive, verified directory that
-                                    connects homeowners with quality businesses
-                                    in their area.
-                                </p>
+                                <h3>{t("about.mission.missionTitle")}</h3>
+                                <p>{t("about.mission.missionText")}</p>
                             </div>
                             <div className="vision-card">
-                                <h3>Our Vision</h3>
-                                <p>
-                                    To become the leading platform where every
-                                    renovation project starts, fostering trust
-                                    between homeowners and contractors while
-                                    supporting local business growth.
-                                </p>
+                                <h3>{t("about.mission.visionTitle")}</h3>
+                                <p>{t("about.mission.visionText")}</p>
                             </div>
                         </div>
                         <div className="values-grid">
@@ -272,8 +295,8 @@ const AboutPage = () => {
                                     ✓
                                 </div>
                                 <div>
-                                    <h4>Verified Quality</h4>
-                                    <p>All businesses undergo verification</p>
+                                    <h4>{t("about.mission.qualityTitle")}</h4>
+                                    <p>{t("about.mission.qualityText")}</p>
                                 </div>
                             </div>
                             <div className="value-item">
@@ -281,8 +304,8 @@ const AboutPage = () => {
                                     🏠
                                 </div>
                                 <div>
-                                    <h4>Local Focus</h4>
-                                    <p>Supporting neighborhood businesses</p>
+                                    <h4>{t("about.mission.localTitle")}</h4>
+                                    <p>{t("about.mission.localText")}</p>
                                 </div>
                             </div>
                             <div className="value-item">
@@ -290,8 +313,8 @@ const AboutPage = () => {
                                     🤝
                                 </div>
                                 <div>
-                                    <h4>Trust Building</h4>
-                                    <p>Transparent reviews and ratings</p>
+                                    <h4>{t("about.mission.trustTitle")}</h4>
+                                    <p>{t("about.mission.trustText")}</p>
                                 </div>
                             </div>
                         </div>
@@ -307,7 +330,7 @@ const AboutPage = () => {
                         <span className="section-icon" aria-hidden="true">
                             🔧
                         </span>
-                        <h2>How It Works</h2>
+                        <h2>{t("about.howItWorks.heading")}</h2>
                     </div>
                     <div className="section-content">
                         <div className="steps-grid">
@@ -315,34 +338,22 @@ const AboutPage = () => {
                                 <div className="step-number" aria-hidden="true">
                                     1
                                 </div>
-                                <h3>Search & Discover</h3>
-                                <p>
-                                    Browse renovation businesses by category,
-                                    location, or specialty. Use our advanced
-                                    filters to find exactly what you need.
-                                </p>
+                                <h3>{t("about.howItWorks.searchTitle")}</h3>
+                                <p>{t("about.howItWorks.searchText")}</p>
                             </div>
                             <div className="step-card">
                                 <div className="step-number" aria-hidden="true">
                                     2
                                 </div>
-                                <h3>Compare & Review</h3>
-                                <p>
-                                    Compare verified businesses, read authentic
-                                    reviews, and check ratings from previous
-                                    customers to make informed decisions.
-                                </p>
+                                <h3>{t("about.howItWorks.compareTitle")}</h3>
+                                <p>{t("about.howItWorks.compareText")}</p>
                             </div>
                             <div className="step-card">
                                 <div className="step-number" aria-hidden="true">
                                     3
                                 </div>
-                                <h3>Connect & Hire</h3>
-                                <p>
-                                    Contact businesses directly through phone,
-                                    email, or social media. Start your
-                                    renovation project with confidence.
-                                </p>
+                                <h3>{t("about.howItWorks.connectTitle")}</h3>
+                                <p>{t("about.howItWorks.connectText")}</p>
                             </div>
                         </div>
                     </div>
@@ -354,34 +365,28 @@ const AboutPage = () => {
                         <span className="section-icon" aria-hidden="true">
                             📋
                         </span>
-                        <h2>Rules & Guidelines</h2>
+                        <h2>{t("about.rules.heading")}</h2>
                     </div>
                     <div className="section-content">
                         <div className="rules-grid">
                             <div className="rule-category">
-                                <h3>For Businesses</h3>
+                                <h3>{t("about.rules.businessesTitle")}</h3>
                                 <ul className="rules-list">
-                                    <li>Must be licensed and insured</li>
-                                    <li>
-                                        Provide accurate business information
-                                    </li>
-                                    <li>Maintain professional communication</li>
-                                    <li>Honor quoted prices and timelines</li>
-                                    <li>
-                                        Respond to customer inquiries promptly
-                                    </li>
+                                    {BUSINESS_RULES.map((key) => (
+                                        <li key={key}>
+                                            {t(`about.rules.${key}`)}
+                                        </li>
+                                    ))}
                                 </ul>
                             </div>
                             <div className="rule-category">
-                                <h3>For Customers</h3>
+                                <h3>{t("about.rules.customersTitle")}</h3>
                                 <ul className="rules-list">
-                                    <li>Provide honest and fair reviews</li>
-                                    <li>
-                                        Communicate project requirements clearly
-                                    </li>
-                                    <li>Respect contractor expertise</li>
-                                    <li>Report any issues appropriately</li>
-                                    <li>Support quality local businesses</li>
+                                    {CUSTOMER_RULES.map((key) => (
+                                        <li key={key}>
+                                            {t(`about.rules.${key}`)}
+                                        </li>
+                                    ))}
                                 </ul>
                             </div>
                         </div>
@@ -390,11 +395,8 @@ const AboutPage = () => {
                                 🏆
                             </div>
                             <div className="badge-content">
-                                <h4>Quality Assurance</h4>
-                                <p>
-                                    We regularly review listed businesses to
-                                    ensure continued quality and reliability
-                                </p>
+                                <h4>{t("about.rules.qualityTitle")}</h4>
+                                <p>{t("about.rules.qualityText")}</p>
                             </div>
                         </div>
                     </div>
@@ -409,13 +411,13 @@ const AboutPage = () => {
                         <span className="section-icon" aria-hidden="true">
                             ⭐
                         </span>
-                        <h2>Why Choose TΣLO</h2>
+                        <h2>{t("about.whyUs.heading")}</h2>
                     </div>
                     <div className="section-content">
                         <div className="benefits-grid">
                             <div className="benefit-card homeowner">
                                 <div className="card-header">
-                                    <h3>For Homeowners</h3>
+                                    <h3>{t("about.whyUs.homeownersTitle")}</h3>
                                     <span
                                         className="header-icon"
                                         aria-hidden="true"
@@ -424,16 +426,16 @@ const AboutPage = () => {
                                     </span>
                                 </div>
                                 <ul>
-                                    <li>Verified contractors only</li>
-                                    <li>Transparent reviews and ratings</li>
-                                    <li>Easy search and comparison</li>
-                                    <li>Direct contact with businesses</li>
-                                    <li>Local renovation experts</li>
+                                    {HOMEOWNER_BENEFITS.map((key) => (
+                                        <li key={key}>
+                                            {t(`about.whyUs.${key}`)}
+                                        </li>
+                                    ))}
                                 </ul>
                             </div>
                             <div className="benefit-card business">
                                 <div className="card-header">
-                                    <h3>For Businesses</h3>
+                                    <h3>{t("about.whyUs.businessesTitle")}</h3>
                                     <span
                                         className="header-icon"
                                         aria-hidden="true"
@@ -442,11 +444,11 @@ const AboutPage = () => {
                                     </span>
                                 </div>
                                 <ul>
-                                    <li>Increase your visibility</li>
-                                    <li>Reach local customers</li>
-                                    <li>Build trust through reviews</li>
-                                    <li>Showcase your expertise</li>
-                                    <li>Grow your business</li>
+                                    {BUSINESS_BENEFITS.map((key) => (
+                                        <li key={key}>
+                                            {t(`about.whyUs.${key}`)}
+                                        </li>
+                                    ))}
                                 </ul>
                             </div>
                         </div>
@@ -459,39 +461,33 @@ const AboutPage = () => {
                         <span className="section-icon" aria-hidden="true">
                             🚀
                         </span>
-                        <h2>Get Started Today</h2>
+                        <h2>{t("about.cta.heading")}</h2>
                     </div>
                     <div className="section-content">
                         <div className="cta-grid">
                             <div className="cta-card homeowner-cta">
-                                <h3>Looking for Contractors?</h3>
-                                <p>
-                                    Find verified renovation businesses in your
-                                    area
-                                </p>
+                                <h3>{t("about.cta.homeownersTitle")}</h3>
+                                <p>{t("about.cta.homeownersText")}</p>
                                 <a href="/" className="cta-button primary">
-                                    Browse Businesses
+                                    {t("about.cta.browse")}
                                 </a>
                             </div>
                             <div className="cta-card business-cta">
-                                <h3>Own a Renovation Business?</h3>
-                                <p>
-                                    Join our directory and grow your customer
-                                    base
-                                </p>
+                                <h3>{t("about.cta.businessesTitle")}</h3>
+                                <p>{t("about.cta.businessesText")}</p>
                                 <a
                                     href="/send-listing"
                                     className="cta-button secondary"
                                 >
-                                    List Your Business
+                                    {t("about.cta.listBusiness")}
                                 </a>
                             </div>
                         </div>
                         <div className="contact-info">
-                            <h4>Need Help?</h4>
-                            <p>Our team is here to assist you</p>
+                            <h4>{t("about.cta.helpTitle")}</h4>
+                            <p>{t("about.cta.helpText")}</p>
                             <a href="/contact" className="contact-link">
-                                Contact Us
+                                {t("about.cta.contactUs")}
                             </a>
                         </div>
                     </div>
@@ -6,9 +6,21 @@ import { useQuery } from "@tanstack/react-query";
 import businessService from "../services/businessService";
 import LoadingSpinner from "../components/common/LoadingSpinner";
 import LazyImage from "../components/common/LazyImage";
+import StarRating from "../components/common/StarRating";
+import UserRatingInput from "../components/business/UserRatingInput";
+import BusinessReviews from "../components/business/BusinessReviews";
+import ClaimBusiness from "../components/business/ClaimBusiness";
+import OpeningHours from "../components/business/OpeningHours";
+import PhotoGallery from "../components/business/PhotoGallery";
+import RelatedBusinesses from "../components/business/RelatedBusinesses";
+import TileMap from "../components/common/TileMap";
+import { POINT_ZOOM } from "../constants/map";
+import { useTranslation } from "../contexts/LanguageContext";
+import { useLocalizedNames } from "../hooks/useLocalizedNames";
 import {
     getImageUrl,
     getPlaceholderData,
+    getResponsiveImageProps,
     handleImageError,
 } from "../utils/imageHelper";
 import "../styles/pages.css";
@@ -33,6 +45,8 @@ const ReportIssueModal = React.lazy(() => import("../components/modals/ReportIss
 const BusinessDetailPage = () => {
     const { id } = useParams(); // Extract business ID from URL (/business/:id)
     const navigate = useNavigate(); // For programmatic navigation
+    const { t, language } = useTranslation();
+    const { categoryNames, cityNames } = useLocalizedNames();
 
     // State for mobile responsive behavior
     // On mobile, secondary information starts collapsed for better UX
@@ -71,7 +85,7 @@ const BusinessDetailPage = () => {
         isError,
         error,
     } = useQuery({
-        queryKey: ["business", id], // Unique key for this query
+        queryKey: ["business", id, language], // Name/description are localized
         queryFn: () => businessService.getBusiness(id), // Function that fetches the data
         retry: 2, // Retry failed requests twice before giving up
         staleTime: 5 * 60 * 1000, // Consider data fresh for 5 minutes
@@ -83,7 +97,7 @@ const BusinessDetailPage = () => {
             <div className="container">
                 <LoadingSpinner size="large" />
                 <p style={{ textAlign: "center", marginTop: "1rem" }}>
-                    Loading business details...
+                    {t("businessDetail.loading")}
                 </p>
             </div>
         );
@@ -93,29 +107,31 @@ const BusinessDetailPage = () => {
     if (isError) {
         const errorMessage =
             error?.response?.data?.code === "BUSINESS_NOT_FOUND"
-                ? "This business listing no longer exists or has been removed."
+                ? t("businessDetail.notFoundText")
+                : error?.response?.data?.code === "BUSINESS_HIDDEN"
+                ? t("businessDetail.hiddenText")
                 : error?.response?.data?.code === "INVALID_ID"
-                ? "The business link appears to be malformed."
-                : "Unable to load business details. Please try again later.";
+                ? t("businessDetail.invalidLink")
+                : t("businessDetail.loadFailed");
 
         return (
             <div className="container">
                 <div className="error-state">
                     <div className="error-icon">⚠️</div>
-                    <h2>Oops! Something went wrong</h2>
+                    <h2>{t("businessDetail.errorTitle")}</h2>
                     <p>{errorMessage}</p>
                     <div className="error-actions">
                         <button
                             onClick={() => navigate("/")}
                             className="btn btn-primary"
                         >
-                            ← Back to Home
+                            ← {t("businessDetail.backHome")}
                         </button>
                         <button
                             onClick={() => window.location.reload()}
                             className="btn btn-secondary"
                         >
-                            Try Again
+                            {t("businessDetail.tryAgain")}
                         </button>
                     </div>
                 </div>
@@ -128,8 +144,8 @@ const BusinessDetailPage = () => {
         return (
             <div className="container">
                 <div className="no-results">
-                    <p>Business not found</p>
-                    <Link to="/">← Back to Home</Link>
+                    <p>{t("businessDetail.notFound")}</p>
+                    <Link to="/">← {t("businessDetail.backHome")}</Link>
                 </div>
             </div>
         );
@@ -166,6 +182,7 @@ const BusinessDetailPage = () => {
 
     // Generate placeholder data for missing images
     const placeholderData = getPlaceholderData(business.businessName);
+    const profileImageProps = getResponsiveImageProps(business.profileImageSet);
 
     return (
         <div className="business-detail-page">
@@ -186,7 +203,13 @@ const BusinessDetailPage = () => {
                                         business.profileImage,
                                         "detail"
                                     )}
-                                    alt={`${business.businessName} profile`}
+                                    {...profileImageProps}
+                                    // Full width until the header gets its
+                                    // 350px image column (pages.css)
+                                    sizes="(min-width: 1024px) 350px, 100vw"
+                                    alt={t("businessDetail.imageAlt", {
+                                        name: business.businessName,
+                                    })}
                                     onError={(e) =>
                                         handleImageError(
                                             e,
@@ -220,14 +243,17 @@ const BusinessDetailPage = () => {
                             )}
                             {business.verified && (
                                 <div className="verified-badge-large">
-                                    ✓ Verified Business
+                                    ✓ {t("businessDetail.verifiedBusiness")}
                                 </div>
                             )}
                         </div>
 
                         <div className="business-main-info">
                             <div className="business-title-section">
-                                <h1 className="business-title">
+                                <h1
+                                    className="business-title"
+                                    lang={business.contentLanguage || undefined}
+                                >
                                     {business.businessName}
                                 </h1>
                                 <p className="business-id">
@@ -235,34 +261,65 @@ const BusinessDetailPage = () => {
                                 </p>
                             </div>
 
+                            {/* Ratings - aggregate plus the user's own rating */}
+                            <div className="business-rating-section">
+                                <div className="business-rating-summary">
+                                    <StarRating
+                                        rating={
+                                            business.ratingCount > 0
+                                                ? business.ratingAverage
+                                                : null
+                                        }
+                                        size="large"
+                                    />
+                                    <span className="rating-count">
+                                        {business.ratingCount > 0
+                                            ? t("businessDetail.ratings", {
+                                                  count: business.ratingCount,
+                                              })
+                                            : t("businessDetail.noRatings")}
+                                    </span>
+                                </div>
+                                <UserRatingInput
+                                    businessId={business._id}
+                                    businessName={business.businessName}
+                                />
+                            </div>
+
                             <div className="business-meta-grid">
                                 <div className="meta-item">
-                                    <span className="meta-label">Category</span>
+                                    <span className="meta-label">
+                                        {t("businessDetail.category", {
+                                            count: business.categories?.length || 1,
+                                        })}
+                                    </span>
                                     <span className="meta-value">
-                                        {business.category}
+                                        {categoryNames(business.categories)}
                                     </span>
                                 </div>
                                 <div className="meta-item">
                                     <span className="meta-label">
-                                        Business Type
+                                        {t("businessDetail.businessType")}
                                     </span>
                                     <span className="meta-value">
                                         {business.businessType === "individual"
-                                            ? "Individual"
-                                            : "Company"}
+                                            ? t("businessDetail.individual")
+                                            : t("businessDetail.company")}
                                     </span>
                                 </div>
                                 <div className="meta-item">
-                                    <span className="meta-label">Location</span>
+                                    <span className="meta-label">
+                                        {t("businessDetail.serviceArea")}
+                                    </span>
                                     <span className="meta-value">
-                                        {business.city}
+                                        {cityNames(business.cities)}
                                     </span>
                                 </div>
                             </div>
 
                             {business.shortDescription && (
                                 <div className="business-description">
-                                    <h3>About This Business</h3>
+                                    <h3>{t("businessDetail.about")}</h3>
                                     <p>{business.shortDescription}</p>
                                 </div>
                             )}
@@ -274,10 +331,14 @@ const BusinessDetailPage = () => {
                                     onClick={() =>
                                         handlePhoneClick(business.mobile)
                                     }
-                                    title={`Call ${business.businessName}`}
+                                    title={t("businessDetail.callTitle", {
+                                        name: business.businessName,
+                                    })}
                                 >
                                     <span className="btn-icon">📞</span>
-                                    Call {business.mobile}
+                                    {t("businessDetail.call", {
+                                        mobile: business.mobile,
+                                    })}
                                 </button>
 
                                 {/* Social Media Buttons */}
@@ -326,16 +387,35 @@ const BusinessDetailPage = () => {
                                             TikTok
                                         </button>
                                     )}
+                                    {business.socialLinks.youtube && (
+                                        <button
+                                            className="action-btn social-btn youtube"
+                                            onClick={() =>
+                                                handleSocialClick(
+                                                    "YouTube",
+                                                    business.socialLinks.youtube
+                                                )
+                                            }
+                                        >
+                                            <span className="btn-icon">▶️</span>
+                                            YouTube
+                                        </button>
+                                    )}
                                 </div>
                             </div>
                         </div>
                     </div>
 
+                    <PhotoGallery
+                        photos={business.photos}
+                        businessName={business.businessName}
+                    />
+
                     {/* Secondary Information Section */}
                     {/* Desktop: Always visible | Mobile: Collapsible */}
                     <div className="business-secondary-info">
                         <div className="secondary-header">
-                            <h3>Business Information</h3>
+                            <h3>{t("businessDetail.information")}</h3>
                             {/* Mobile toggle button - hidden on desktop */}
                             <button
                                 className="mobile-toggle"
@@ -344,7 +424,7 @@ const BusinessDetailPage = () => {
                                         !isSecondaryInfoExpanded
                                     )
                                 }
-                                aria-label="Toggle additional information"
+                                aria-label={t("businessDetail.toggleInfo")}
                             >
                                 {isSecondaryInfoExpanded ? "−" : "+"}
                             </button>
@@ -358,43 +438,52 @@ const BusinessDetailPage = () => {
                             <div className="info-grid">
                                 <div className="info-item">
                                     <span className="info-label">
-                                        Registration
+                                        {t("businessDetail.registration")}
                                     </span>
                                     <span className="info-value">
-                                        {business.registrationInfo?.memberSince}
+                                        {t("businessDetail.memberSince", {
+                                            date: new Date(
+                                                business.createdAt
+                                            ).toLocaleDateString(language, {
+                                                year: "numeric",
+                                                month: "long",
+                                            }),
+                                        })}
                                     </span>
                                     {business.registrationInfo
                                         ?.isNewBusiness && (
                                         <span className="new-badge">
-                                            New Business!
+                                            {t("businessDetail.newBusiness")}
                                         </span>
                                     )}
                                 </div>
 
                                 <div className="info-item">
                                     <span className="info-label">
-                                        Days Active
+                                        {t("businessDetail.daysActive")}
                                     </span>
                                     <span className="info-value">
-                                        {business.registrationInfo?.daysActive}{" "}
-                                        days
+                                        {t("businessDetail.days", {
+                                            count: business.registrationInfo
+                                                ?.daysActive,
+                                        })}
                                     </span>
                                 </div>
 
                                 <div className="info-item">
                                     <span className="info-label">
-                                        Last Updated
+                                        {t("businessDetail.lastUpdated")}
                                     </span>
                                     <span className="info-value">
                                         {new Date(
                                             business.updatedAt
-                                        ).toLocaleDateString()}
+                                        ).toLocaleDateString(language)}
                                     </span>
                                 </div>
 
                                 <div className="info-item">
                                     <span className="info-label">
-                                        Verification Status
+                                        {t("businessDetail.verificationStatus")}
                                     </span>
                                     <span
                                         className={`verification-status ${
@@ -404,20 +493,50 @@ const BusinessDetailPage = () => {
                                         }`}
                                     >
                                         {business.verified
-                                            ? "✓ Verified"
-                                            : "○ Unverified"}
+                                            ? `✓ ${t("businessDetail.verified")}`
+                                            : `○ ${t("businessDetail.unverified")}`}
                                     </span>
                                 </div>
                             </div>
                         </div>
                     </div>
 
+                    {/* Opening Hours Section */}
+                    <OpeningHours
+                        openingHours={business.openingHours}
+                        openStatus={business.openStatus}
+                    />
+
+                    {/* Location Section */}
+                    {business.location && (
+                        <div className="business-location-section">
+                            <h3>{t("businessDetail.location")}</h3>
+                            <TileMap
+                                center={business.location}
+                                zoom={POINT_ZOOM}
+                                markers={[
+                                    {
+                                        id: business._id,
+                                        ...business.location,
+                                        label: business.businessName,
+                                        active: true,
+                                    },
+                                ]}
+                                ariaLabel={t("businessDetail.mapLabel", {
+                                    name: business.businessName,
+                                })}
+                            />
+                        </div>
+                    )}
+
                     {/* Contact Business Section */}
                     <div className="contact-section">
-                        <h3>Contact This Business</h3>
+                        <h3>{t("businessDetail.contactTitle")}</h3>
                         <div className="contact-grid">
                             <div className="contact-method">
-                                <span className="contact-label">Phone</span>
+                                <span className="contact-label">
+                                    {t("businessDetail.phone")}
+                                </span>
                                 <button
                                     className="contact-value clickable"
                                     onClick={() =>
@@ -429,45 +548,50 @@ const BusinessDetailPage = () => {
                             </div>
 
                             <div className="contact-method">
-                                <span className="contact-label">Location</span>
+                                <span className="contact-label">
+                                    {t("businessDetail.serviceArea")}
+                                </span>
                                 <span className="contact-value">
-                                    {business.city}
+                                    {cityNames(business.cities)}
                                 </span>
                             </div>
 
                             {/* Report Issue button opens modal */}
                             <div className="contact-method">
                                 <span className="contact-label">
-                                    Report Issue
+                                    {t("businessDetail.reportIssue")}
                                 </span>
                                 <button
                                     className="report-btn"
                                     onClick={handleReportIssue}
-                                    title="Report an issue with this listing"
+                                    title={t("businessDetail.reportTitle")}
                                 >
-                                    🚩 Report
+                                    🚩 {t("businessDetail.report")}
                                 </button>
                             </div>
                         </div>
                     </div>
+                    {/* User reviews */}
+                    <BusinessReviews businessId={business._id} />
+
+                    {/* Ownership claim */}
+                    <ClaimBusiness
+                        businessId={business._id}
+                        isClaimed={business.isClaimed}
+                    />
+
                     <div className="back-link back-link-bottom">
                         <button
                             onClick={() => navigate(-1)}
                             className="back-button"
                         >
-                            ← Back to All Businesses
+                            ← {t("businessDetail.backToAll")}
                         </button>
                     </div>
                 </div>
 
-                {/* Future Enhancement: Related Businesses Section */}
-                {/* This is where we'll add the horizontal scrolling related businesses */}
-                <div className="related-businesses-placeholder">
-                    <h3>Similar Businesses</h3>
-                    <p style={{ color: "#666", fontStyle: "italic" }}>
-                        Related businesses feature coming soon...
-                    </p>
-                </div>
+                {/* Related Businesses - horizontal strip of similar listings */}
+                <RelatedBusinesses businessId={business._id} />
             </div>
 
             {/* Report Issue Modal - Lazy loaded */}
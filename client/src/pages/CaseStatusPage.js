@@ -0,0 +1,176 @@
+// client/src/pages/CaseStatusPage.js
+import React from "react";
+import { Link, useParams } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { useTranslation } from "../contexts/LanguageContext";
+import businessService from "../services/businessService";
+import submissionService from "../services/submissionService";
+import LoadingSpinner from "../components/common/LoadingSpinner";
+import "../styles/case-status.css";
+
+// Both answer with { status, business name, dates, message for the visitor }
+const CASE_LOADERS = {
+    report: async (token) => {
+        const report = await businessService.getReportStatus(token);
+        return {
+            status: report.status,
+            businessName: report.business?.businessName,
+            businessLink: report.business?._id,
+            issueTypes: report.issueTypes,
+            createdAt: report.createdAt,
+            decidedAt: report.resolvedAt,
+            message: report.outcomeMessage,
+        };
+    },
+    submission: async (submissionId) => {
+        const { submission } = await submissionService.checkSubmissionStatus(
+            submissionId
+        );
+        return {
+            status: submission.status,
+            businessName: submission.businessName,
+            businessLink: submission.publishedBusiness,
+            submissionId: submission.id,
+            createdAt: submission.submittedAt,
+            decidedAt:
+                submission.status === "pending" ? null : submission.reviewedAt,
+            message: submission.rejectionReason,
+        };
+    },
+};
+
+const isNotFound = (error) =>
+    error?.response?.status === 404 ||
+    error?.message === "Submission not found";
+
+/**
+ * CaseStatusPage Component
+ *
+ * Public status of a report (/status/report/:id, secret status token) or a
+ * business submission (/status/submission/:id, submission ID). Linked from
+ * the report dialog and from the confirmation and outcome emails.
+ */
+const CaseStatusPage = () => {
+    const { type, id } = useParams();
+    const { t, language } = useTranslation();
+    const loadCase = CASE_LOADERS[type];
+
+    const {
+        data: caseStatus,
+        isLoading,
+        error,
+    } = useQuery({
+        queryKey: ["case-status", type, id],
+        queryFn: () => loadCase(id),
+        enabled: !!loadCase,
+        staleTime: 60 * 1000,
+        retry: (failureCount, queryError) =>
+            !isNotFound(queryError) && failureCount < 2,
+    });
+
+    const formatDate = (dateString) =>
+        new Date(dateString).toLocaleDateString(language, {
+            year: "numeric",
+            month: "long",
+            day: "numeric",
+        });
+
+    const renderBody = () => {
+        if (!loadCase || isNotFound(error)) {
+            return (
+                <p className="case-status-error">{t("caseStatus.notFound")}</p>
+            );
+        }
+        if (error) {
+            return (
+                <p className="case-status-error">{t("caseStatus.error")}</p>
+            );
+        }
+        if (isLoading) {
+            return <LoadingSpinner text={t("caseStatus.loading")} />;
+        }
+
+        const { status, message } = caseStatus;
+
+        return (
+            <>
+                <div className={`case-status-badge case-status-${status}`}>
+                    {t(`caseStatus.statuses.${status}`)}
+                </div>
+                <p className="case-status-explanation">
+                    {t(`caseStatus.explanations.${status}`)}
+                </p>
+
+                {message && (
+                    <div className="case-status-message">
+                        <strong>
+                            {status === "rejected" || status === "dismissed"
+                                ? t("caseStatus.reasonLabel")
+                                : t("caseStatus.noteLabel")}
+                            :
+                        </strong>{" "}
+                        {message}
+                    </div>
+                )}
+
+                <dl className="case-status-details">
+                    {caseStatus.businessName && (
+                        <>
+                            <dt>{t("caseStatus.business")}</dt>
+                            <dd>{caseStatus.businessName}</dd>
+                        </>
+                    )}
+                    {caseStatus.issueTypes && (
+                        <>
+                            <dt>{t("caseStatus.reportedIssues")}</dt>
+                            <dd>{caseStatus.issueTypes.join(", ")}</dd>
+                        </>
+                    )}
+                    {caseStatus.submissionId && (
+                        <>
+                            <dt>{t("caseStatus.submissionId")}</dt>
+                            <dd>
+                                <code>{caseStatus.submissionId}</code>
+                            </dd>
+                        </>
+                    )}
+                    <dt>{t("caseStatus.submitted")}</dt>
+                    <dd>{formatDate(caseStatus.createdAt)}</dd>
+                    {caseStatus.decidedAt && (
+                        <>
+                            <dt>{t("caseStatus.decided")}</dt>
+                            <dd>{formatDate(caseStatus.decidedAt)}</dd>
+                        </>
+                    )}
+                </dl>
+
+                {caseStatus.businessLink && status !== "rejected" && (
+                    <Link
+                        to={`/business/${caseStatus.businessLink}`}
+                        className="case-status-link"
+                    >
+                        {t("caseStatus.viewListing")}
+                    </Link>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <div className="case-status-page">
+            <div className="case-status-card">
+                <h1>
+                    {type === "submission"
+                        ? t("caseStatus.submissionTitle")
+                        : t("caseStatus.reportTitle")}
+                </h1>
+                {renderBody()}
+                <Link to="/" className="case-status-home">
+                    {t("caseStatus.backHome")}
+                </Link>
+            </div>
+        </div>
+    );
+};
+
+export default CaseStatusPage;
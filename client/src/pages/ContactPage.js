@@ -1,6 +1,7 @@
 // client/src/pages/ContactPage.js
 import React, { useEffect } from "react";
 import HeroSection from "../components/common/HeroSection";
+import { useTranslation } from "../contexts/LanguageContext";
 import "../styles/contact.css";
 
 /**
@@ -15,6 +16,8 @@ import "../styles/contact.css";
  * - Auto-scroll to top on page load
  */
 const ContactPage = () => {
+    const { t } = useTranslation();
+
     // Auto-scroll to top when component mounts
     useEffect(() => {
         window.scrollTo({
@@ -28,8 +31,8 @@ const ContactPage = () => {
         <div className="contact-page">
             {/* Hero Section imported */}
             <HeroSection
-                title="Contact Us"
-                description="Get in touch..."
+                title={t("contact.title")}
+                description={t("contact.description")}
                 backgroundType="construction"
                 overlayType="dark"
                 className="contact-hero"
@@ -51,10 +54,10 @@ const ContactPage = () => {
                                         <path d="M6.62 10.79c1.44 2.83 3.76 5.14 6.59 6.59l2.2-2.2c.27-.27.67-.36 1.02-.24 1.12.37 2.33.57 3.57.57.55 0 1 .45 1 1V20c0 .55-.45 1-1 1-9.39 0-17-7.61-17-17 0-.55.45-1 1-1h3.5c.55 0 1 .45 1 1 0 1.25.2 2.45.57 3.57.11.35.03.74-.25 1.02l-2.2 2.2z" />
                                     </svg>
                                 </div>
-                                <h3>Phone</h3>
+                                <h3>{t("contact.phone")}</h3>
                             </div>
                             <div className="contact-card-content">
-                                <p>Call us directly for immediate assistance</p>
+                                <p>{t("contact.phoneText")}</p>
                                 <a
                                     href="tel:+995555123456"
                                     className="contact-link"
@@ -75,12 +78,10 @@ const ContactPage = () => {
                                         <path d="M20 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.89 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 4l-8 5-8-5V6l8 5 8-5v2z" />
                                     </svg>
                                 </div>
-                                <h3>Email</h3>
+                                <h3>{t("contact.email")}</h3>
                             </div>
                             <div className="contact-card-content">
-                                <p>
-                                    Send us an email and we'll get back to you
-                                </p>
+                                <p>{t("contact.emailText")}</p>
                                 <a
                                     href="mailto:info@example.com"
                                     className="contact-link"
@@ -101,14 +102,14 @@ const ContactPage = () => {
                                         <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z" />
                                     </svg>
                                 </div>
-                                <h3>Address</h3>
+                                <h3>{t("contact.address")}</h3>
                             </div>
                             <div className="contact-card-content">
-                                <p>Visit us at our office location</p>
+                                <p>{t("contact.addressText")}</p>
                                 <address className="contact-address">
-                                    123 Business Street
+                                    {t("contact.street")}
                                     <br />
-                                    Tbilisi, Georgia 0108
+                                    {t("contact.cityLine")}
                                 </address>
                             </div>
                         </div>
@@ -127,27 +128,33 @@ const ContactPage = () => {
                                         <path d="M12.5 7H11v6l5.25 3.15.75-1.23-4.5-2.67z" />
                                     </svg>
                                 </div>
-                                <h3>Business Hours</h3>
+                                <h3>{t("contact.hours")}</h3>
                             </div>
                             <div className="business-hours-content">
                                 <div className="hours-grid">
                                     <div className="hours-row">
                                         <span className="day">
-                                            Monday - Friday
+                                            {t("contact.weekdays")}
                                         </span>
                                         <span className="time">
-                                            9:00 AM - 6:00 PM
+                                            {t("contact.weekdayHours")}
                                         </span>
                                     </div>
                                     <div className="hours-row">
-                                        <span className="day">Saturday</span>
+                                        <span className="day">
+                                            {t("contact.saturday")}
+                                        </span>
                                         <span className="time">
-                                            10:00 AM - 4:00 PM
+                                            {t("contact.saturdayHours")}
                                         </span>
                                     </div>
                                     <div className="hours-row">
-                                        <span className="day">Sunday</span>
-                                        <span className="time">Closed</span>
+                                        <span className="day">
+                                            {t("contact.sunday")}
+                                        </span>
+                                        <span className="time">
+                                            {t("contact.closed")}
+                                        </span>
                                     </div>
                                 </div>
                             </div>
@@ -156,11 +163,8 @@ const ContactPage = () => {
 
                     {/* Social Media Section */}
                     <div className="contact-social-section">
-                        <h3>Follow Us</h3>
-                        <p>
-                            Stay connected with us on social media for updates
-                            and news
-                        </p>
+                        <h3>{t("contact.followUs")}</h3>
+                        <p>{t("contact.followText")}</p>
 
                         <div className="contact-social-links">
                             <a
@@ -218,12 +222,12 @@ const ContactPage = () => {
                             <a
                                 href="mailto:info@example.com"
                                 className="contact-social-link email"
-                                aria-label="Email"
+                                aria-label={t("contact.email")}
                             >
                                 <svg viewBox="0 0 24 24" fill="currentColor">
                                     <path d="M20 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.89 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 4l-8 5-8-5V6l8 5 8-5v2z" />
                                 </svg>
-                                <span>Email</span>
+                                <span>{t("contact.email")}</span>
                             </a>
                         </div>
                     </div>
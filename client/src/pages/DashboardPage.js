@@ -1,7 +1,15 @@
 // client/src/pages/DashboardPage.js
 import React, { useEffect, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
 import { useUserAuth } from "../contexts/UserAuthContext";
+import { useTranslation } from "../contexts/LanguageContext";
+import useLocalizedNames from "../hooks/useLocalizedNames";
+import dashboardService from "../services/dashboardService";
+import ratingService from "../services/ratingService";
+import reviewService from "../services/reviewService";
+import { getImageUrl, handleImageError } from "../utils/imageHelper";
 import LoadingSpinner from "../components/common/LoadingSpinner";
 import "../styles/dashboard.css";
 
@@ -25,112 +33,25 @@ import "../styles/dashboard.css";
  */
 const DashboardPage = () => {
     const navigate = useNavigate();
-    const { user, isLoading, isAuthenticated } = useUserAuth();
+    const { user, isLoading, isAuthenticated, updateUserFavorites } =
+        useUserAuth();
+    const queryClient = useQueryClient();
+    const { t, language } = useTranslation();
+    const { categoryNames, cityNames } = useLocalizedNames();
 
     // Modal states
     const [activeModal, setActiveModal] = useState(null); // 'favorites', 'ratings', 'comments', or null
     const [selectedItems, setSelectedItems] = useState([]);
 
-    // Mock data - TODO: Replace with real API calls
-    const [dashboardData] = useState({
-        favorites: [
-            {
-                id: 1,
-                businessName: "Restaurant ABC",
-                category: "Georgian",
-                city: "Tbilisi",
-                rating: 4.5,
-                image: "/api/placeholder/40/40",
-                dateAdded: "2 days ago",
-                businessId: "biz_1",
-            },
-            {
-                id: 2,
-                businessName: "Cafe XYZ",
-                category: "Coffee",
-                city: "Batumi",
-                rating: 4.0,
-                image: "/api/placeholder/40/40",
-                dateAdded: "1 week ago",
-                businessId: "biz_2",
-            },
-            {
-                id: 3,
-                businessName: "Shop DEF",
-                category: "Shopping",
-                city: "Kutaisi",
-                rating: 5.0,
-                image: "/api/placeholder/40/40",
-                dateAdded: "2 weeks ago",
-                businessId: "biz_3",
-            },
-            {
-                id: 4,
-                businessName: "Hotel GHI",
-                category: "Accommodation",
-                city: "Tbilisi",
-                rating: 4.2,
-                image: "/api/placeholder/40/40",
-                dateAdded: "3 weeks ago",
-                businessId: "biz_8",
-            },
-            {
-                id: 5,
-                businessName: "Spa JKL",
-                category: "Wellness",
-                city: "Batumi",
-                rating: 4.8,
-                image: "/api/placeholder/40/40",
-                dateAdded: "1 month ago",
-                businessId: "biz_9",
-            },
-        ],
-        ratings: [
-            {
-                id: 1,
-                businessName: "Hotel ABC",
-                rating: 5,
-                image: "/api/placeholder/40/40",
-                dateRated: "3 days ago",
-                businessId: "biz_4",
-            },
-            {
-                id: 2,
-                businessName: "Restaurant XYZ",
-                rating: 4,
-                image: "/api/placeholder/40/40",
-                dateRated: "1 week ago",
-                businessId: "biz_5",
-            },
-            {
-                id: 3,
-                businessName: "Gym MNO",
-                rating: 3,
-                image: "/api/placeholder/40/40",
-                dateRated: "2 weeks ago",
-                businessId: "biz_10",
-            },
-        ],
-        comments: [
-            {
-                id: 1,
-                businessName: "Cafe DEF",
-                comment: "Great coffee and atmosphere, perfect for working!",
-                image: "/api/placeholder/40/40",
-                dateCommented: "2 days ago",
-                businessId: "biz_6",
-            },
-            {
-                id: 2,
-                businessName: "Shop GHI",
-                comment: "Helpful staff, good prices, wide selection.",
-                image: "/api/placeholder/40/40",
-                dateCommented: "1 week ago",
-                businessId: "biz_7",
-            },
-        ],
+    const { data: dashboardData, isLoading: isDashboardLoading } = useQuery({
+        // "Time ago" labels come back in the request language
+        queryKey: ["user-dashboard", language],
+        queryFn: dashboardService.getDashboard,
+        enabled: isAuthenticated,
     });
 
+    const [isRemoving, setIsRemoving] = useState(false);
+
     // Auto-scroll to top on page load
     useEffect(() => {
         window.scrollTo({
@@ -147,15 +68,27 @@ const DashboardPage = () => {
         }
     }, [isAuthenticated, isLoading, navigate]);
 
-    // Get current modal data
+    // Get current modal data, normalized so every list item has the same shape
+    // Favorites and ratings are keyed by business, reviews by review ID
     const getCurrentModalData = () => {
+        if (!dashboardData) return [];
+
         switch (activeModal) {
             case "favorites":
-                return dashboardData.favorites;
+                return dashboardData.favorites.map((favorite) => ({
+                    ...favorite,
+                    id: favorite.business._id,
+                }));
             case "ratings":
-                return dashboardData.ratings;
+                return dashboardData.ratings.map((rating) => ({
+                    ...rating,
+                    id: rating.business._id,
+                }));
             case "comments":
-                return dashboardData.comments;
+                return dashboardData.reviews.map((review) => ({
+                    ...review,
+                    id: review._id,
+                }));
             default:
                 return [];
         }
@@ -185,25 +118,62 @@ const DashboardPage = () => {
     };
 
     // Action handlers
+    const removeItems = async (itemIds) => {
+        setIsRemoving(true);
+
+        try {
+            if (activeModal === "favorites") {
+                const result =
+                    await dashboardService.bulkDeleteFavorites(itemIds);
+
+                // Keep heart icons and the favorites counter in sync
+                itemIds.forEach((businessId) =>
+                    updateUserFavorites(
+                        businessId,
+                        "removed",
+                        result.favoritesCount
+                    )
+                );
+            } else if (activeModal === "ratings") {
+                await Promise.all(itemIds.map(ratingService.deleteRating));
+                queryClient.invalidateQueries({ queryKey: ["my-rating"] });
+                queryClient.invalidateQueries({ queryKey: ["business"] });
+                queryClient.invalidateQueries({ queryKey: ["businesses"] });
+            } else {
+                await Promise.all(itemIds.map(reviewService.deleteReview));
+                queryClient.invalidateQueries({ queryKey: ["reviews"] });
+            }
+
+            toast.success(
+                t("dashboard.removed", { count: itemIds.length })
+            );
+            setSelectedItems((prev) =>
+                prev.filter((id) => !itemIds.includes(id))
+            );
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            queryClient.invalidateQueries({ queryKey: ["user-dashboard"] });
+            setIsRemoving(false);
+        }
+    };
+
     const handleBulkDelete = () => {
-        const confirmMessage = `Are you sure you want to delete the selected ${activeModal}?`;
+        const confirmMessage = t(`dashboard.${activeModal}.confirmBulkDelete`);
         if (window.confirm(confirmMessage)) {
-            // TODO: API call to delete selected items
-            console.log(`Deleting selected ${activeModal}:`, selectedItems);
-            setSelectedItems([]);
+            removeItems(selectedItems);
         }
     };
 
+    // Ratings and reviews are edited on the business page itself
     const handleEdit = (item) => {
-        // TODO: Implement edit functionality
-        console.log(`Editing ${activeModal}:`, item);
+        handleViewBusiness(item.business._id);
     };
 
     const handleDelete = (itemId) => {
-        const confirmMessage = `Are you sure you want to delete this ${activeModal}?`;
+        const confirmMessage = t(`dashboard.${activeModal}.confirmDelete`);
         if (window.confirm(confirmMessage)) {
-            // TODO: API call to delete single item
-            console.log(`Deleting ${activeModal} with ID:`, itemId);
+            removeItems([itemId]);
         }
     };
 
@@ -212,20 +182,16 @@ const DashboardPage = () => {
         closeModal();
     };
 
-    // Render star rating
+    // Render star rating (1-10 scale shown as 5 stars, like StarRating)
     const renderStars = (rating) => {
-        return "⭐".repeat(rating) + "☆".repeat(5 - rating);
+        const stars = Math.round(rating / 2);
+        return `${"⭐".repeat(stars)}${"☆".repeat(5 - stars)} ${rating}`;
     };
 
     // Render modal content based on type
     const renderModalContent = () => {
         const currentData = getCurrentModalData();
-        const modalTitle =
-            activeModal === "favorites"
-                ? "My Favorites"
-                : activeModal === "ratings"
-                ? "My Ratings"
-                : "My Comments";
+        const modalTitle = t(`dashboard.${activeModal}.title`);
 
         return (
             <div className="user-modal-overlay" onClick={closeModal}>
@@ -258,14 +224,18 @@ const DashboardPage = () => {
                                     handleSelectAll(e.target.checked)
                                 }
                             />
-                            Select All
+                            {t("dashboard.selectAll")}
                         </label>
                         {selectedItems.length > 0 && (
                             <button
                                 className="user-bulk-delete-btn"
                                 onClick={handleBulkDelete}
+                                disabled={isRemoving}
                             >
-                                Delete Selected ({selectedItems.length}) 🗑️
+                                {t("dashboard.deleteSelected", {
+                                    count: selectedItems.length,
+                                })}{" "}
+                                🗑️
                             </button>
                         )}
                     </div>
@@ -289,39 +259,70 @@ const DashboardPage = () => {
                                 </label>
                                 <div className="user-item-image">
                                     <img
-                                        src={item.image}
-                                        alt={item.businessName}
+                                        src={getImageUrl(
+                                            item.business.profileImage,
+                                            "thumbnail"
+                                        )}
+                                        alt={item.business.businessName}
+                                        onError={(e) =>
+                                            handleImageError(
+                                                e,
+                                                item.business.businessName
+                                            )
+                                        }
                                     />
                                 </div>
                                 <div className="user-item-content">
                                     <div className="user-item-main">
                                         <h3 className="user-item-title">
-                                            {item.businessName}
+                                            {item.business.businessName}
                                         </h3>
-                                        {activeModal === "favorites" && (
-                                            <div className="user-item-rating">
-                                                {renderStars(
-                                                    Math.floor(item.rating)
-                                                )}
-                                            </div>
-                                        )}
+                                        {activeModal === "favorites" &&
+                                            item.business.ratingCount > 0 && (
+                                                <div className="user-item-rating">
+                                                    {renderStars(
+                                                        item.business
+                                                            .ratingAverage
+                                                    )}
+                                                </div>
+                                            )}
                                         {activeModal === "ratings" && (
                                             <div className="user-item-rating">
-                                                {renderStars(item.rating)}
+                                                {renderStars(item.score)}
                                             </div>
                                         )}
                                     </div>
                                     <div className="user-item-meta">
                                         {activeModal === "favorites" &&
-                                            `${item.category} • ${item.city} • Added ${item.dateAdded}`}
+                                            `${categoryNames(
+                                                item.business.categories
+                                            )} • ${cityNames(
+                                                item.business.cities
+                                            )}${
+                                                item.timeAgo
+                                                    ? ` • ${t(
+                                                          "dashboard.favorites.added",
+                                                          {
+                                                              time: item.timeAgo,
+                                                          }
+                                                      )}`
+                                                    : ""
+                                            }`}
                                         {activeModal === "ratings" &&
-                                            `Rated ${item.dateRated}`}
+                                            t("dashboard.ratings.rated", {
+                                                time: item.timeAgo,
+                                            })}
+                                        {activeModal === "comments" &&
+                                            t("dashboard.comments.commented", {
+                                                time: item.timeAgo,
+                                            })}
                                         {activeModal === "comments" &&
-                                            `Commented ${item.dateCommented}`}
+                                            item.status === "hidden" &&
+                                            ` • ${t("dashboard.comments.hidden")}`}
                                     </div>
                                     {activeModal === "comments" && (
                                         <div className="user-item-comment">
-                                            "{item.comment}"
+                                            "{item.text}"
                                         </div>
                                     )}
                                 </div>
@@ -329,20 +330,25 @@ const DashboardPage = () => {
                                     <button
                                         className="user-action-btn user-view-btn"
                                         onClick={() =>
-                                            handleViewBusiness(item.businessId)
+                                            handleViewBusiness(
+                                                item.business._id
+                                            )
                                         }
                                     >
-                                        View
-                                    </button>
-                                    <button
-                                        className="user-action-btn user-edit-btn"
-                                        onClick={() => handleEdit(item)}
-                                    >
-                                        Edit
+                                        {t("dashboard.view")}
                                     </button>
+                                    {activeModal !== "favorites" && (
+                                        <button
+                                            className="user-action-btn user-edit-btn"
+                                            onClick={() => handleEdit(item)}
+                                        >
+                                            {t("dashboard.edit")}
+                                        </button>
+                                    )}
                                     <button
                                         className="user-action-btn user-delete-btn"
                                         onClick={() => handleDelete(item.id)}
+                                        disabled={isRemoving}
                                     >
                                         ❌
                                     </button>
@@ -355,7 +361,7 @@ const DashboardPage = () => {
         );
     };
 
-    if (isLoading) {
+    if (isLoading || isDashboardLoading) {
         return (
             <div className="user-dashboard-page">
                 <div className="container">
@@ -370,10 +376,11 @@ const DashboardPage = () => {
             <div className="user-dashboard-page">
                 <div className="container">
                     <div className="user-dashboard-error">
-                        <h2>Access Denied</h2>
+                        <h2>{t("dashboard.accessDenied")}</h2>
                         <p>
-                            Please <Link to="/">return to home</Link> and log
-                            in.
+                            {t("dashboard.loginPromptBefore")}
+                            <Link to="/">{t("dashboard.returnHome")}</Link>
+                            {t("dashboard.loginPromptAfter")}
                         </p>
                     </div>
                 </div>
@@ -386,8 +393,12 @@ const DashboardPage = () => {
             {/* Hero Section - Full Width, Narrow Height - MOVED OUTSIDE CONTAINER */}
             <div className="user-dashboard-hero">
                 <div className="container">
-                    <h1>Welcome, {user.name || user.email?.split("@")[0]}!</h1>
-                    <p>Your business discovery journey</p>
+                    <h1>
+                        {t("dashboard.welcome", {
+                            name: user.name || user.email?.split("@")[0],
+                        })}
+                    </h1>
+                    <p>{t("dashboard.subtitle")}</p>
                 </div>
             </div>
 
@@ -397,15 +408,17 @@ const DashboardPage = () => {
                     {/* My Favorites Container */}
                     <div
                         className="user-activity-container user-favorites-container"
-                        onClick={() => navigate("/favorites")}
+                        onClick={() => openModal("favorites")}
                     >
                         <div className="user-container-icon">💫</div>
                         <div className="user-container-content">
-                            <h3>My Favorites</h3>
+                            <h3>{t("dashboard.favorites.title")}</h3>
                             <div className="user-container-count">
-                                {user?.favoritesCount || 0}
+                                {dashboardData?.favorites.length ??
+                                    user?.favoritesCount ??
+                                    0}
                             </div>
-                            <p>Saved businesses you love</p>
+                            <p>{t("dashboard.favorites.description")}</p>
                         </div>
                         <div className="user-container-arrow">→</div>
                     </div>
@@ -417,11 +430,11 @@ const DashboardPage = () => {
                     >
                         <div className="user-container-icon">⭐</div>
                         <div className="user-container-content">
-                            <h3>My Ratings</h3>
+                            <h3>{t("dashboard.ratings.title")}</h3>
                             <div className="user-container-count">
-                                {dashboardData.ratings.length}
+                                {dashboardData?.ratings.length ?? 0}
                             </div>
-                            <p>Businesses you've rated</p>
+                            <p>{t("dashboard.ratings.description")}</p>
                         </div>
                         <div className="user-container-arrow">→</div>
                     </div>
@@ -433,26 +446,26 @@ const DashboardPage = () => {
                     >
                         <div className="user-container-icon">💬</div>
                         <div className="user-container-content">
-                            <h3>My Comments</h3>
+                            <h3>{t("dashboard.comments.title")}</h3>
                             <div className="user-container-count">
-                                {dashboardData.comments.length}
+                                {dashboardData?.reviews.length ?? 0}
                             </div>
-                            <p>Your shared experiences</p>
+                            <p>{t("dashboard.comments.description")}</p>
                         </div>
                         <div className="user-container-arrow">→</div>
                     </div>
 
                     {/* Quick Actions - Simplified */}
                     <div className="user-quick-actions-section">
-                        <h2>Quick Actions</h2>
+                        <h2>{t("dashboard.quickActions")}</h2>
                         <div className="user-quick-actions-grid">
                             <Link to="/" className="user-quick-action-btn">
                                 <span className="user-action-icon">🔍</span>
-                                Find Businesses
+                                {t("dashboard.findBusinesses")}
                             </Link>
                             <Link to="/help" className="user-quick-action-btn">
                                 <span className="user-action-icon">❓</span>
-                                Help & Support
+                                {t("dashboard.helpSupport")}
                             </Link>
                         </div>
                     </div>
@@ -1,6 +1,8 @@
 // client/src/pages/FavoritesPage.js
 import React, { useState, useEffect } from "react";
 import { useUserAuth } from "../contexts/UserAuthContext";
+import { useTranslation } from "../contexts/LanguageContext";
+import useLocalizedNames from "../hooks/useLocalizedNames";
 import { Link, useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
 import "../styles/pages.css";
@@ -8,6 +10,8 @@ import "../styles/pages.css";
 const FavoritesPage = () => {
     const navigate = useNavigate();
     const { user, isAuthenticated, updateFavoritesCount } = useUserAuth();
+    const { t } = useTranslation();
+    const { categoryNames, cityNames } = useLocalizedNames();
     const [favorites, setFavorites] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [selectedFavorites, setSelectedFavorites] = useState([]);
@@ -69,7 +73,7 @@ const FavoritesPage = () => {
             
         } catch (error) {
             console.error("Load favorites error:", error);
-            toast.error("Failed to load favorites");
+            toast.error(t("favoritesPage.loadFailed"));
         } finally {
             setIsLoading(false);
             setIsLoadingMore(false);
@@ -105,17 +109,17 @@ const FavoritesPage = () => {
             const newCount = (user?.favoritesCount || 0) - 1;
             updateFavoritesCount(newCount);
 
-            toast.success("Business removed from favorites");
+            toast.success(t("favoritesPage.removed"));
         } catch (error) {
             console.error("Delete favorite error:", error);
-            toast.error("Failed to remove favorite");
+            toast.error(t("favoritesPage.removeFailed"));
         }
     };
 
     // Handle bulk deletion
     const handleBulkDelete = async () => {
         if (selectedFavorites.length === 0) {
-            toast.error("Please select favorites to delete");
+            toast.error(t("favoritesPage.selectToDelete"));
             return;
         }
 
@@ -158,7 +162,7 @@ const FavoritesPage = () => {
             toast.success(data.message);
         } catch (error) {
             console.error("Bulk delete error:", error);
-            toast.error("Failed to delete selected favorites");
+            toast.error(t("favoritesPage.bulkDeleteFailed"));
         } finally {
             setIsDeleting(false);
         }
@@ -191,11 +195,19 @@ const FavoritesPage = () => {
         const diffTime = Math.abs(now - date);
         const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 
-        if (diffDays === 1) return "Added today";
-        if (diffDays === 2) return "Added yesterday";
-        if (diffDays <= 7) return `Added ${diffDays - 1} days ago`;
-        if (diffDays <= 30) return `Added ${Math.ceil((diffDays - 1) / 7)} weeks ago`;
-        return `Added ${Math.ceil((diffDays - 1) / 30)} months ago`;
+        if (diffDays === 1) return t("favoritesPage.addedToday");
+        if (diffDays === 2) return t("favoritesPage.addedYesterday");
+        if (diffDays <= 7) {
+            return t("favoritesPage.addedDaysAgo", { count: diffDays - 1 });
+        }
+        if (diffDays <= 30) {
+            return t("favoritesPage.addedWeeksAgo", {
+                count: Math.ceil((diffDays - 1) / 7),
+            });
+        }
+        return t("favoritesPage.addedMonthsAgo", {
+            count: Math.ceil((diffDays - 1) / 30),
+        });
     };
 
     const renderStars = (rating) => {
@@ -221,10 +233,10 @@ const FavoritesPage = () => {
             <div className="page-container">
                 <div className="favorites-page">
                     <div className="auth-required">
-                        <h1>🔒 Authentication Required</h1>
-                        <p>Please log in to view your favorites.</p>
+                        <h1>🔒 {t("favoritesPage.authRequired")}</h1>
+                        <p>{t("favoritesPage.loginToView")}</p>
                         <Link to="/" className="btn btn-primary">
-                            Go Home
+                            {t("favoritesPage.goHome")}
                         </Link>
                     </div>
                 </div>
@@ -238,7 +250,7 @@ const FavoritesPage = () => {
             <div className="page-container">
                 <div className="favorites-page">
                     <div className="loading-state">
-                        <h1>Loading your favorites...</h1>
+                        <h1>{t("favoritesPage.loading")}</h1>
                         <div className="loading-spinner">⏳</div>
                     </div>
                 </div>
@@ -252,16 +264,16 @@ const FavoritesPage = () => {
             <div className="page-container">
                 <div className="favorites-page">
                     <div className="favorites-header">
-                        <h1>❤️ My Favorites</h1>
-                        <p>Your favorite businesses will appear here</p>
+                        <h1>❤️ {t("favoritesPage.title")}</h1>
+                        <p>{t("favoritesPage.emptySubtitle")}</p>
                     </div>
                     
                     <div className="empty-state">
                         <div className="empty-icon">🤍</div>
-                        <h2>No favorites yet!</h2>
-                        <p>Start exploring businesses and save your favorites by clicking the heart button.</p>
+                        <h2>{t("favoritesPage.emptyTitle")}</h2>
+                        <p>{t("favoritesPage.emptyText")}</p>
                         <Link to="/" className="btn btn-primary">
-                            Discover Businesses
+                            {t("favoritesPage.discover")}
                         </Link>
                     </div>
                 </div>
@@ -274,8 +286,8 @@ const FavoritesPage = () => {
             <div className="favorites-page">
                 {/* Header */}
                 <div className="favorites-header">
-                    <h1>❤️ My Favorites ({pagination.totalItems})</h1>
-                    <p>Manage your saved businesses</p>
+                    <h1>❤️ {t("favoritesPage.title")} ({pagination.totalItems})</h1>
+                    <p>{t("favoritesPage.subtitle")}</p>
                 </div>
 
                 {/* Bulk Actions */}
@@ -289,7 +301,7 @@ const FavoritesPage = () => {
                                     onChange={handleSelectAll}
                                 />
                                 <span className="checkmark"></span>
-                                Select All ({selectedFavorites.length} selected)
+                                {t("favoritesPage.selectAll", { count: selectedFavorites.length })}
                             </label>
                         </div>
 
@@ -299,7 +311,11 @@ const FavoritesPage = () => {
                                 onClick={handleBulkDelete}
                                 disabled={isDeleting}
                             >
-                                {isDeleting ? "Deleting..." : `Delete Selected (${selectedFavorites.length})`}
+                                {isDeleting
+                                    ? t("favoritesPage.deleting")
+                                    : t("favoritesPage.deleteSelected", {
+                                          count: selectedFavorites.length,
+                                      })}
                             </button>
                         )}
                     </div>
@@ -327,9 +343,9 @@ const FavoritesPage = () => {
                                     {business.businessName}
                                 </span>
                                 <span className="gmail-separator">•</span>
-                                <span className="gmail-category">{business.category}</span>
+                                <span className="gmail-category">{categoryNames(business.categories)}</span>
                                 <span className="gmail-separator">•</span>
-                                <span className="gmail-city">{business.city}</span>
+                                <span className="gmail-city">{cityNames(business.cities)}</span>
                                 <span className="gmail-separator">•</span>
                                 <span className="gmail-rating">{renderStars(4.5)}</span>
                                 <span className="gmail-separator">•</span>
@@ -341,7 +357,7 @@ const FavoritesPage = () => {
                                 <button
                                     className="gmail-delete-btn"
                                     onClick={() => handleDeleteFavorite(business._id)}
-                                    title="Remove from favorites"
+                                    title={t("favoritesPage.remove")}
                                 >
                                     🗑️
                                 </button>
@@ -361,13 +377,18 @@ const FavoritesPage = () => {
                             {isLoadingMore ? (
                                 <>
                                     <span className="loading-spinner">⏳</span>
-                                    Loading more...
+                                    {t("favoritesPage.loadingMore")}
                                 </>
                             ) : (
                                 <>
-                                    Show {Math.min(25, pagination.totalItems - favorites.length)} More
+                                    {t("favoritesPage.showMore", {
+                                        count: Math.min(25, pagination.totalItems - favorites.length),
+                                    })}
                                     <span className="show-more-count">
-                                        ({favorites.length} of {pagination.totalItems})
+                                        {t("favoritesPage.shownOf", {
+                                            shown: favorites.length,
+                                            total: pagination.totalItems,
+                                        })}
                                     </span>
                                 </>
                             )}
@@ -2,6 +2,7 @@
 import React, { useState } from "react";
 import { useNavigate, Link } from "react-router-dom";
 import userAuthService from "../services/userAuthService";
+import { useTranslation } from "../contexts/LanguageContext";
 import LoadingSpinner from "../components/common/LoadingSpinner";
 import "../styles/password-reset.css";
 
@@ -16,6 +17,7 @@ import "../styles/password-reset.css";
  */
 const ForgotPasswordPage = () => {
     const navigate = useNavigate();
+    const { t } = useTranslation();
     
     // Component state
     const [email, setEmail] = useState("");
@@ -32,12 +34,12 @@ const ForgotPasswordPage = () => {
         e.preventDefault();
         
         if (!email.trim()) {
-            setError("Please enter your email address");
+            setError(t("auth.emailRequired"));
             return;
         }
 
         if (!userAuthService.isValidEmail(email)) {
-            setError("Please enter a valid email address");
+            setError(t("auth.emailInvalid"));
             return;
         }
 
@@ -55,9 +57,9 @@ const ForgotPasswordPage = () => {
             
             if (err.code === "RATE_LIMIT_EXCEEDED") {
                 const waitTime = Math.ceil(err.retryAfter / 60); // Convert to minutes
-                setError(`Too many requests. Please wait ${waitTime} minutes before trying again.`);
+                setError(t("auth.tooManyRequests", { count: waitTime }));
             } else {
-                setError(err.message || "Failed to send password reset email. Please try again.");
+                setError(err.message || t("passwordReset.sendFailed"));
             }
         } finally {
             setLoading(false);
@@ -85,14 +87,14 @@ const ForgotPasswordPage = () => {
                     <div className="password-reset-icon">
                         🔐
                     </div>
-                    <h1>Reset Your Password</h1>
+                    <h1>{t("passwordReset.forgotTitle")}</h1>
                     {!submitted ? (
                         <p className="password-reset-subtitle">
-                            Enter your email address and we'll send you instructions to reset your password.
+                            {t("passwordReset.forgotSubtitle")}
                         </p>
                     ) : (
                         <p className="password-reset-subtitle">
-                            Check your email for reset instructions.
+                            {t("passwordReset.checkEmail")}
                         </p>
                     )}
                 </div>
@@ -102,7 +104,7 @@ const ForgotPasswordPage = () => {
                         <form onSubmit={handleSubmit} className="password-reset-form">
                             <div className="form-group">
                                 <label htmlFor="email" className="form-label">
-                                    Email Address
+                                    {t("auth.emailLabel")}
                                 </label>
                                 <input
                                     type="email"
@@ -110,7 +112,7 @@ const ForgotPasswordPage = () => {
                                     name="email"
                                     value={email}
                                     onChange={handleEmailChange}
-                                    placeholder="Enter your email address"
+                                    placeholder={t("auth.emailPlaceholder")}
                                     className={`form-input ${error ? 'form-input-error' : ''}`}
                                     disabled={loading}
                                     required
@@ -131,11 +133,11 @@ const ForgotPasswordPage = () => {
                                 {loading ? (
                                     <>
                                         <LoadingSpinner size="small" />
-                                        <span>Sending...</span>
+                                        <span>{t("passwordReset.sending")}</span>
                                     </>
                                 ) : (
                                     <>
-                                        <span>📧 Send Reset Instructions</span>
+                                        <span>📧 {t("passwordReset.sendInstructions")}</span>
                                     </>
                                 )}
                             </button>
@@ -146,17 +148,17 @@ const ForgotPasswordPage = () => {
                                 ✅
                             </div>
                             <div className="success-content">
-                                <h3>Instructions Sent!</h3>
+                                <h3>{t("passwordReset.sentTitle")}</h3>
                                 <p>
-                                    We've sent password reset instructions to <strong>{email}</strong>.
+                                    {t("passwordReset.sentTo")} <strong>{email}</strong>
                                 </p>
                                 <div className="success-details">
-                                    <p>What to do next:</p>
+                                    <p>{t("passwordReset.nextSteps")}</p>
                                     <ul>
-                                        <li>Check your email inbox (and spam folder)</li>
-                                        <li>Click the reset link in the email</li>
-                                        <li>The link expires in 30 minutes for security</li>
-                                        <li>Create your new password</li>
+                                        <li>{t("passwordReset.stepInbox")}</li>
+                                        <li>{t("passwordReset.stepClick")}</li>
+                                        <li>{t("passwordReset.stepExpiry")}</li>
+                                        <li>{t("passwordReset.stepCreate")}</li>
                                     </ul>
                                 </div>
                                 
@@ -165,7 +167,7 @@ const ForgotPasswordPage = () => {
                                         onClick={handleTryAgain}
                                         className="try-again-button"
                                     >
-                                        Use Different Email
+                                        {t("passwordReset.differentEmail")}
                                     </button>
                                 </div>
                             </div>
@@ -179,11 +181,11 @@ const ForgotPasswordPage = () => {
                             onClick={handleBackToLogin}
                             className="back-to-login-link"
                         >
-                            ← Back to Login
+                            ← {t("passwordReset.backToLogin")}
                         </button>
                         
                         <div className="footer-help">
-                            <p>Need help? <Link to="/contact">Contact Support</Link></p>
+                            <p>{t("passwordReset.needHelp")} <Link to="/contact">{t("passwordReset.contactSupport")}</Link></p>
                         </div>
                     </div>
                 </div>
@@ -9,6 +9,9 @@ import BusinessList from "../components/business/BusinessList";
 import "../styles/pages.css";
 import "../styles/components-core.css"; // Business cards, search bar, header, footer
 import HeroSection from "../components/common/HeroSection";
+import { useTranslation } from "../contexts/LanguageContext";
+import { parseNearParam } from "../utils/geo";
+import { DEFAULT_NEAR_RADIUS } from "../constants/map";
 
 const HomePage = () => {
     const [searchTerm, setSearchTerm] = useState("");
@@ -18,6 +21,7 @@ const HomePage = () => {
     const [isSticky, setIsSticky] = useState(false);
     const location = useLocation();
     const navigate = useNavigate();
+    const { t } = useTranslation();
 
     // Memoized helper function to update URL with current state - prevents unnecessary re-renders
     const updateUrl = useCallback((newSearchTerm, newFilters) => {
@@ -41,6 +45,13 @@ const HomePage = () => {
         if (newFilters.verified) {
             urlParams.set("verified", "true");
         }
+        if (newFilters.openNow) {
+            urlParams.set("openNow", "true");
+        }
+        if (newFilters.near) {
+            urlParams.set("near", newFilters.near);
+            urlParams.set("radius", String(newFilters.radius));
+        }
 
         // Update URL without triggering a page reload
         const newUrl = urlParams.toString() ? `/?${urlParams.toString()}` : "/";
@@ -79,6 +90,19 @@ const HomePage = () => {
                 parsedFilters.verified = true;
             }
 
+            // Parse open now filter
+            if (urlParams.get("openNow") === "true") {
+                parsedFilters.openNow = true;
+            }
+
+            // Parse near me filter ("lat,lng" and radius in meters)
+            const near = urlParams.get("near");
+            if (parseNearParam(near)) {
+                parsedFilters.near = near;
+                parsedFilters.radius =
+                    Number(urlParams.get("radius")) || DEFAULT_NEAR_RADIUS;
+            }
+
             return { parsedFilters, parsedSearchTerm };
         };
 
@@ -162,6 +186,8 @@ const HomePage = () => {
         if (filters.businessTypes?.length)
             count += filters.businessTypes.length;
         if (filters.verified) count += 1;
+        if (filters.openNow) count += 1;
+        if (filters.near) count += 1;
         return count;
     }, [filters]);
 
@@ -229,8 +255,8 @@ const HomePage = () => {
 
             <div className="container">
                 <HeroSection
-                    title="Your Business Directory"
-                    description="Find renovation businesses in your area"
+                    title={t("home.title")}
+                    description={t("home.description")}
                     backgroundType="construction"
                     overlayType="dark"
                 >
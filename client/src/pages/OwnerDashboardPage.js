@@ -0,0 +1,616 @@
+// client/src/pages/OwnerDashboardPage.js
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import ownerService from "../services/ownerService";
+import LoadingSpinner from "../components/common/LoadingSpinner";
+import { useTranslation } from "../contexts/LanguageContext";
+import { useLocalizedNames } from "../hooks/useLocalizedNames";
+import { getImageUrl } from "../utils/imageHelper";
+import {
+    CONTENT_LANGUAGES,
+    getEditableTranslations,
+    hasBusinessName,
+} from "../utils/listingContent";
+import "../styles/owner-dashboard.css";
+
+// Labels for OWNER_EDITABLE_FIELDS (server/models/BusinessEditRequest.js)
+// live under ownerDashboard.fields, keyed by the field path
+const fieldLabel = (t, field) => t(`ownerDashboard.fields.${field}`);
+
+const SOCIAL_PLATFORMS = ["facebook", "instagram", "tiktok", "youtube"];
+
+const formatDate = (dateString, language) =>
+    new Date(dateString).toLocaleDateString(language, {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+    });
+
+// Form values: the live listing with any pending proposal applied on top
+const getInitialForm = (business) => {
+    const form = {
+        translations: getEditableTranslations(business),
+        mobile: business.mobile || "",
+        socialLinks: {},
+        note: business.pendingEdit?.note || "",
+    };
+
+    SOCIAL_PLATFORMS.forEach((platform) => {
+        form.socialLinks[platform] = business.socialLinks?.[platform] || "";
+    });
+
+    business.pendingEdit?.changes.forEach(({ field, after }) => {
+        if (field.startsWith("socialLinks.")) {
+            form.socialLinks[field.split(".")[1]] = after;
+        } else if (field.startsWith("translations.")) {
+            const [, language, name] = field.split(".");
+            form.translations[language][name] = after;
+        } else if (field in form) {
+            form[field] = after;
+        }
+    });
+
+    return form;
+};
+
+/**
+ * Before/after table for an edit request
+ */
+const ChangeList = ({ changes }) => {
+    const { t } = useTranslation();
+
+    return (
+        <table className="owner-dashboard-changes">
+            <thead>
+                <tr>
+                    <th>{t("ownerDashboard.field")}</th>
+                    <th>{t("ownerDashboard.current")}</th>
+                    <th>{t("ownerDashboard.proposed")}</th>
+                </tr>
+            </thead>
+            <tbody>
+                {changes.map((change) => (
+                    <tr key={change.field}>
+                        <td>{fieldLabel(t, change.field)}</td>
+                        <td className="owner-dashboard-change-before">
+                            {change.before || (
+                                <em>{t("ownerDashboard.empty")}</em>
+                            )}
+                        </td>
+                        <td className="owner-dashboard-change-after">
+                            {change.after || (
+                                <em>{t("ownerDashboard.empty")}</em>
+                            )}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+/**
+ * Edit form for one owned listing
+ */
+const OwnerEditForm = ({ business, onDone }) => {
+    const queryClient = useQueryClient();
+    const { t } = useTranslation();
+    const [form, setForm] = useState(() => getInitialForm(business));
+
+    const editMutation = useMutation({
+        mutationFn: () => ownerService.proposeEdit(business._id, form),
+        onSuccess: (result) => {
+            toast.success(result.message);
+            queryClient.invalidateQueries({ queryKey: ["owner-dashboard"] });
+            onDone();
+        },
+        onError: (error) => toast.error(error.details[0] || error.message),
+    });
+
+    const handleChange = (field, value) =>
+        setForm((prev) => ({ ...prev, [field]: value }));
+
+    const handleTranslationChange = (language, field, value) =>
+        setForm((prev) => ({
+            ...prev,
+            translations: {
+                ...prev.translations,
+                [language]: { ...prev.translations[language], [field]: value },
+            },
+        }));
+
+    const handleSocialChange = (platform, value) =>
+        setForm((prev) => ({
+            ...prev,
+            socialLinks: { ...prev.socialLinks, [platform]: value },
+        }));
+
+    return (
+        <form
+            className="owner-dashboard-form"
+            onSubmit={(e) => {
+                e.preventDefault();
+                if (!hasBusinessName(form.translations)) {
+                    toast.error(t("listingValidation.businessNameRequired"));
+                    return;
+                }
+                editMutation.mutate();
+            }}
+        >
+            {CONTENT_LANGUAGES.map(({ code }) => (
+                <React.Fragment key={code}>
+                    <label>
+                        {fieldLabel(t, `translations.${code}.businessName`)}
+                        <input
+                            type="text"
+                            lang={code}
+                            value={form.translations[code].businessName}
+                            onChange={(e) =>
+                                handleTranslationChange(
+                                    code,
+                                    "businessName",
+                                    e.target.value
+                                )
+                            }
+                            maxLength={100}
+                        />
+                    </label>
+                    <label>
+                        {fieldLabel(t, `translations.${code}.shortDescription`)}
+                        <textarea
+                            lang={code}
+                            value={form.translations[code].shortDescription}
+                            onChange={(e) =>
+                                handleTranslationChange(
+                                    code,
+                                    "shortDescription",
+                                    e.target.value
+                                )
+                            }
+                            maxLength={500}
+                            rows={3}
+                        />
+                    </label>
+                </React.Fragment>
+            ))}
+            <label>
+                {fieldLabel(t, "mobile")}
+                <input
+                    type="tel"
+                    value={form.mobile}
+                    onChange={(e) => handleChange("mobile", e.target.value)}
+                    required
+                />
+            </label>
+            {SOCIAL_PLATFORMS.map((platform) => (
+                <label key={platform}>
+                    {fieldLabel(t, `socialLinks.${platform}`)}
+                    <input
+                        type="url"
+                        value={form.socialLinks[platform]}
+                        onChange={(e) =>
+                            handleSocialChange(platform, e.target.value)
+                        }
+                        placeholder="https://"
+                    />
+                </label>
+            ))}
+            <label>
+                {t("ownerDashboard.note")}
+                <textarea
+                    value={form.note}
+                    onChange={(e) => handleChange("note", e.target.value)}
+                    maxLength={500}
+                    rows={2}
+                />
+            </label>
+            <p className="owner-dashboard-hint">
+                {t("ownerDashboard.hint")}
+            </p>
+            <div className="owner-dashboard-actions">
+                <button
+                    type="button"
+                    className="owner-dashboard-btn-secondary"
+                    onClick={onDone}
+                    disabled={editMutation.isPending}
+                >
+                    {t("ownerDashboard.cancel")}
+                </button>
+                <button
+                    type="submit"
+                    className="owner-dashboard-btn-primary"
+                    disabled={editMutation.isPending}
+                >
+                    {editMutation.isPending
+                        ? t("ownerDashboard.sending")
+                        : t("ownerDashboard.sendForReview")}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * Gallery photos of one owned listing; new uploads wait for admin review
+ */
+const OwnerPhotos = ({ business }) => {
+    const { t } = useTranslation();
+    const queryClient = useQueryClient();
+    const [file, setFile] = useState(null);
+    const [caption, setCaption] = useState("");
+    const [inputKey, setInputKey] = useState(0);
+    const photos = business.photos || [];
+
+    const onSuccess = (result) => {
+        toast.success(result.message);
+        queryClient.invalidateQueries({ queryKey: ["owner-dashboard"] });
+    };
+
+    const uploadMutation = useMutation({
+        mutationFn: () =>
+            ownerService.uploadPhoto(business._id, file, caption),
+        onSuccess: (result) => {
+            onSuccess(result);
+            setFile(null);
+            setCaption("");
+            setInputKey((key) => key + 1); // Clears the file input
+        },
+        onError: (error) => toast.error(error.message),
+    });
+
+    const withdrawMutation = useMutation({
+        mutationFn: (photoId) =>
+            ownerService.withdrawPhoto(business._id, photoId),
+        onSuccess,
+        onError: (error) => toast.error(error.message),
+    });
+
+    return (
+        <div className="owner-dashboard-photos">
+            <h4>{t("ownerDashboard.photos")}</h4>
+            {photos.length > 0 && (
+                <ul className="owner-dashboard-photo-grid">
+                    {photos.map((photo) => (
+                        <li key={photo._id}>
+                            <img
+                                src={getImageUrl(photo.webp, "thumbnail")}
+                                alt={photo.caption || business.businessName}
+                                loading="lazy"
+                            />
+                            <span
+                                className={`owner-dashboard-status ${photo.status}`}
+                            >
+                                {t(`ownerDashboard.status.${photo.status}`)}
+                            </span>
+                            {photo.status === "pending" && (
+                                <button
+                                    type="button"
+                                    className="owner-dashboard-btn-link"
+                                    onClick={() => {
+                                        if (
+                                            window.confirm(
+                                                t("ownerDashboard.confirmWithdrawPhoto")
+                                            )
+                                        ) {
+                                            withdrawMutation.mutate(photo._id);
+                                        }
+                                    }}
+                                    disabled={withdrawMutation.isPending}
+                                >
+                                    {t("ownerDashboard.withdraw")}
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <form
+                className="owner-dashboard-photo-form"
+                onSubmit={(e) => {
+                    e.preventDefault();
+                    if (file) uploadMutation.mutate();
+                }}
+            >
+                <input
+                    key={inputKey}
+                    type="file"
+                    accept="image/*"
+                    onChange={(e) => setFile(e.target.files[0] || null)}
+                    aria-label={t("ownerDashboard.photo")}
+                />
+                <input
+                    type="text"
+                    value={caption}
+                    onChange={(e) => setCaption(e.target.value)}
+                    placeholder={t("ownerDashboard.captionPlaceholder")}
+                    maxLength={200}
+                    aria-label={t("ownerDashboard.caption")}
+                />
+                <button
+                    type="submit"
+                    className="owner-dashboard-btn-primary"
+                    disabled={!file || uploadMutation.isPending}
+                >
+                    {uploadMutation.isPending
+                        ? t("ownerDashboard.uploading")
+                        : t("ownerDashboard.addPhoto")}
+                </button>
+            </form>
+            <p className="owner-dashboard-hint">
+                {t("ownerDashboard.photosHint")}
+            </p>
+        </div>
+    );
+};
+
+/**
+ * OwnerDashboardPage Component
+ *
+ * Dashboard for users who own listings:
+ * - Owned listings, each with an edit form, its pending changes and its
+ *   photo gallery
+ * - Ownership claims and their review status
+ * - History of reviewed edit requests
+ */
+const OwnerDashboardPage = () => {
+    const queryClient = useQueryClient();
+    const { t, language } = useTranslation();
+    const { categoryNames, cityNames } = useLocalizedNames();
+    const [editingId, setEditingId] = useState(null);
+
+    const { data, isLoading, error } = useQuery({
+        queryKey: ["owner-dashboard"],
+        queryFn: ownerService.getDashboard,
+    });
+
+    const withdrawMutation = useMutation({
+        mutationFn: ownerService.withdrawEdit,
+        onSuccess: (result) => {
+            toast.success(result.message);
+            queryClient.invalidateQueries({ queryKey: ["owner-dashboard"] });
+        },
+        onError: (error) => toast.error(error.message),
+    });
+
+    // Auto-scroll to top on page load
+    useEffect(() => {
+        window.scrollTo({ top: 0, left: 0, behavior: "smooth" });
+    }, []);
+
+    const handleWithdraw = (editRequestId) => {
+        if (window.confirm(t("ownerDashboard.confirmWithdraw"))) {
+            withdrawMutation.mutate(editRequestId);
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className="owner-dashboard-page">
+                <div className="container">
+                    <LoadingSpinner />
+                </div>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="owner-dashboard-page">
+                <div className="container">
+                    <p className="owner-dashboard-empty">{error.message}</p>
+                </div>
+            </div>
+        );
+    }
+
+    const { businesses, claims, editRequests } = data;
+    const reviewedEdits = editRequests.filter(
+        (request) => request.status !== "pending"
+    );
+
+    return (
+        <div className="owner-dashboard-page">
+            <div className="container">
+                <div className="owner-dashboard-header">
+                    <h1>{t("ownerDashboard.title")}</h1>
+                    <p>{t("ownerDashboard.subtitle")}</p>
+                </div>
+
+                <section className="owner-dashboard-section">
+                    <h2>{t("ownerDashboard.ownedListings")}</h2>
+                    {businesses.length === 0 ? (
+                        <p className="owner-dashboard-empty">
+                            {t("ownerDashboard.noListings")}
+                        </p>
+                    ) : (
+                        businesses.map((business) => (
+                            <div
+                                key={business._id}
+                                className="owner-dashboard-card"
+                            >
+                                <div className="owner-dashboard-card-header">
+                                    <div>
+                                        <h3>
+                                            <Link
+                                                to={`/business/${business._id}`}
+                                            >
+                                                {business.businessName}
+                                            </Link>
+                                        </h3>
+                                        <span className="owner-dashboard-meta">
+                                            {categoryNames(business.categories)} ·{" "}
+                                            {cityNames(business.cities)}
+                                            {business.ownerSince &&
+                                                ` · ${t(
+                                                    "ownerDashboard.ownerSince",
+                                                    {
+                                                        date: formatDate(
+                                                            business.ownerSince,
+                                                            language
+                                                        ),
+                                                    }
+                                                )}`}
+                                        </span>
+                                    </div>
+                                    {editingId !== business._id && (
+                                        <button
+                                            type="button"
+                                            className="owner-dashboard-btn-secondary"
+                                            onClick={() =>
+                                                setEditingId(business._id)
+                                            }
+                                        >
+                                            {business.pendingEdit
+                                                ? t(
+                                                      "ownerDashboard.updateChanges"
+                                                  )
+                                                : t("ownerDashboard.editListing")}
+                                        </button>
+                                    )}
+                                </div>
+
+                                {editingId === business._id && (
+                                    <OwnerEditForm
+                                        business={business}
+                                        onDone={() => setEditingId(null)}
+                                    />
+                                )}
+
+                                {business.pendingEdit &&
+                                    editingId !== business._id && (
+                                        <div className="owner-dashboard-pending">
+                                            <div className="owner-dashboard-pending-header">
+                                                <span className="owner-dashboard-status pending">
+                                                    {t(
+                                                        "ownerDashboard.pendingSent",
+                                                        {
+                                                            date: formatDate(
+                                                                business
+                                                                    .pendingEdit
+                                                                    .updatedAt,
+                                                                language
+                                                            ),
+                                                        }
+                                                    )}
+                                                </span>
+                                                <button
+                                                    type="button"
+                                                    className="owner-dashboard-btn-link"
+                                                    onClick={() =>
+                                                        handleWithdraw(
+                                                            business.pendingEdit
+                                                                ._id
+                                                        )
+                                                    }
+                                                    disabled={
+                                                        withdrawMutation.isPending
+                                                    }
+                                                >
+                                                    {t(
+                                                        "ownerDashboard.withdraw"
+                                                    )}
+                                                </button>
+                                            </div>
+                                            <ChangeList
+                                                changes={
+                                                    business.pendingEdit.changes
+                                                }
+                                            />
+                                        </div>
+                                    )}
+
+                                <OwnerPhotos business={business} />
+                            </div>
+                        ))
+                    )}
+                </section>
+
+                {claims.length > 0 && (
+                    <section className="owner-dashboard-section">
+                        <h2>{t("ownerDashboard.claims")}</h2>
+                        <ul className="owner-dashboard-list">
+                            {claims.map((claim) => (
+                                <li key={claim._id}>
+                                    <div>
+                                        <Link
+                                            to={`/business/${claim.business._id}`}
+                                        >
+                                            {claim.business.businessName}
+                                        </Link>
+                                        <span className="owner-dashboard-meta">
+                                            {" "}
+                                            ·{" "}
+                                            {formatDate(
+                                                claim.createdAt,
+                                                language
+                                            )}
+                                        </span>
+                                        {claim.rejectionReason && (
+                                            <p className="owner-dashboard-reason">
+                                                {claim.rejectionReason}
+                                            </p>
+                                        )}
+                                    </div>
+                                    <span
+                                        className={`owner-dashboard-status ${claim.status}`}
+                                    >
+                                        {t(
+                                            `ownerDashboard.status.${claim.status}`
+                                        )}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </section>
+                )}
+
+                {reviewedEdits.length > 0 && (
+                    <section className="owner-dashboard-section">
+                        <h2>{t("ownerDashboard.history")}</h2>
+                        <ul className="owner-dashboard-list">
+                            {reviewedEdits.map((request) => (
+                                <li key={request._id}>
+                                    <div>
+                                        <strong>
+                                            {request.business.businessName}
+                                        </strong>
+                                        <span className="owner-dashboard-meta">
+                                            {" "}
+                                            ·{" "}
+                                            {request.changes
+                                                .map((change) =>
+                                                    fieldLabel(t, change.field)
+                                                )
+                                                .join(", ")}{" "}
+                                            ·{" "}
+                                            {formatDate(
+                                                request.updatedAt,
+                                                language
+                                            )}
+                                        </span>
+                                        {request.rejectionReason && (
+                                            <p className="owner-dashboard-reason">
+                                                {request.rejectionReason}
+                                            </p>
+                                        )}
+                                    </div>
+                                    <span
+                                        className={`owner-dashboard-status ${request.status}`}
+                                    >
+                                        {t(
+                                            `ownerDashboard.status.${request.status}`
+                                        )}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </section>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default OwnerDashboardPage;
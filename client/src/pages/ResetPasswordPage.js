@@ -2,6 +2,7 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate, useParams, Link } from "react-router-dom";
 import userAuthService from "../services/userAuthService";
+import { useTranslation } from "../contexts/LanguageContext";
 import LoadingSpinner from "../components/common/LoadingSpinner";
 import "../styles/password-reset.css";
 
@@ -17,6 +18,7 @@ import "../styles/password-reset.css";
 const ResetPasswordPage = () => {
     const navigate = useNavigate();
     const { token } = useParams(); // Reset token from URL
+    const { t } = useTranslation();
     
     // Form state
     const [formData, setFormData] = useState({
@@ -46,9 +48,9 @@ const ResetPasswordPage = () => {
     useEffect(() => {
         if (!token) {
             setTokenValid(false);
-            setError("No reset token provided. Please request a new password reset.");
+            setError(t("passwordReset.noToken"));
         }
-    }, [token]);
+    }, [token, t]);
 
     // Update password strength indicators
     useEffect(() => {
@@ -81,29 +83,29 @@ const ResetPasswordPage = () => {
         const { newPassword, confirmPassword } = formData;
 
         if (!newPassword) {
-            errors.push("New password is required");
+            errors.push(t("password.newRequired"));
         } else {
             if (newPassword.length < 8) {
-                errors.push("Password must be at least 8 characters long");
+                errors.push(t("password.tooShort"));
             }
             if (!/[a-z]/.test(newPassword)) {
-                errors.push("Password must contain at least one lowercase letter");
+                errors.push(t("password.needsLowercase"));
             }
             if (!/[A-Z]/.test(newPassword)) {
-                errors.push("Password must contain at least one uppercase letter");
+                errors.push(t("password.needsUppercase"));
             }
             if (!/\d/.test(newPassword)) {
-                errors.push("Password must contain at least one number");
+                errors.push(t("password.needsNumber"));
             }
             if (!/[!@#$%^&*(),.?":{}|<>]/.test(newPassword)) {
-                errors.push("Password must contain at least one special character");
+                errors.push(t("password.needsSpecial"));
             }
         }
 
         if (!confirmPassword) {
-            errors.push("Password confirmation is required");
+            errors.push(t("password.confirmRequired"));
         } else if (newPassword !== confirmPassword) {
-            errors.push("Passwords do not match");
+            errors.push(t("password.mismatch"));
         }
 
         return errors;
@@ -138,11 +140,11 @@ const ResetPasswordPage = () => {
             
             if (err.expired || err.code === "INVALID_RESET_TOKEN" || err.code === "EXPIRED_RESET_TOKEN") {
                 setTokenValid(false);
-                setError(err.message || "This password reset link has expired or is invalid.");
+                setError(err.message || t("passwordReset.linkExpired"));
             } else if (err.code === "VALIDATION_ERROR" && err.details) {
                 setValidationErrors(err.details);
             } else {
-                setError(err.message || "Failed to reset password. Please try again.");
+                setError(err.message || t("passwordReset.resetFailed"));
             }
         } finally {
             setLoading(false);
@@ -174,9 +176,9 @@ const ResetPasswordPage = () => {
                         <div className="password-reset-icon error">
                             ⚠️
                         </div>
-                        <h1>Reset Link Invalid</h1>
+                        <h1>{t("passwordReset.invalidTitle")}</h1>
                         <p className="password-reset-subtitle">
-                            This password reset link is invalid or has expired.
+                            {t("passwordReset.invalidSubtitle")}
                         </p>
                     </div>
 
@@ -188,13 +190,13 @@ const ResetPasswordPage = () => {
                                     onClick={handleRequestNewReset}
                                     className="password-reset-button"
                                 >
-                                    Request New Reset Link
+                                    {t("passwordReset.requestNew")}
                                 </button>
                                 <button
                                     onClick={handleGoToLogin}
                                     className="back-to-login-link"
                                 >
-                                    ← Back to Login
+                                    ← {t("passwordReset.backToLogin")}
                                 </button>
                             </div>
                         </div>
@@ -213,9 +215,9 @@ const ResetPasswordPage = () => {
                         <div className="password-reset-icon success">
                             ✅
                         </div>
-                        <h1>Password Reset Successfully!</h1>
+                        <h1>{t("passwordReset.successTitle")}</h1>
                         <p className="password-reset-subtitle">
-                            Your password has been updated. You can now sign in with your new password.
+                            {t("passwordReset.successSubtitle")}
                         </p>
                     </div>
 
@@ -226,7 +228,7 @@ const ResetPasswordPage = () => {
                                     onClick={handleGoToLogin}
                                     className="password-reset-button success"
                                 >
-                                    Sign In Now
+                                    {t("passwordReset.signInNow")}
                                 </button>
                             </div>
                         </div>
@@ -244,9 +246,9 @@ const ResetPasswordPage = () => {
                     <div className="password-reset-icon">
                         🔑
                     </div>
-                    <h1>Create New Password</h1>
+                    <h1>{t("passwordReset.createTitle")}</h1>
                     <p className="password-reset-subtitle">
-                        Enter your new password below. Make sure it's strong and secure.
+                        {t("passwordReset.createSubtitle")}
                     </p>
                 </div>
 
@@ -254,7 +256,7 @@ const ResetPasswordPage = () => {
                     <form onSubmit={handleSubmit} className="password-reset-form">
                         <div className="form-group">
                             <label htmlFor="newPassword" className="form-label">
-                                New Password
+                                {t("password.newLabel")}
                             </label>
                             <input
                                 type="password"
@@ -262,7 +264,7 @@ const ResetPasswordPage = () => {
                                 name="newPassword"
                                 value={formData.newPassword}
                                 onChange={handleInputChange}
-                                placeholder="Enter your new password"
+                                placeholder={t("password.newPlaceholder")}
                                 className="form-input"
                                 disabled={loading}
                                 required
@@ -271,7 +273,7 @@ const ResetPasswordPage = () => {
 
                         <div className="form-group">
                             <label htmlFor="confirmPassword" className="form-label">
-                                Confirm New Password
+                                {t("password.confirmLabel")}
                             </label>
                             <input
                                 type="password"
@@ -279,7 +281,7 @@ const ResetPasswordPage = () => {
                                 name="confirmPassword"
                                 value={formData.confirmPassword}
                                 onChange={handleInputChange}
-                                placeholder="Confirm your new password"
+                                placeholder={t("password.confirmPlaceholder")}
                                 className="form-input"
                                 disabled={loading}
                                 required
@@ -289,26 +291,26 @@ const ResetPasswordPage = () => {
                         {/* Password Strength Indicators */}
                         {formData.newPassword && (
                             <div className="password-strength">
-                                <p className="strength-title">Password Requirements:</p>
+                                <p className="strength-title">{t("password.requirements")}</p>
                                 <div className="strength-indicators">
                                     <div className={`strength-indicator ${passwordStrength.minLength ? 'valid' : 'invalid'}`}>
-                                        {passwordStrength.minLength ? '✓' : '✗'} At least 8 characters
+                                        {passwordStrength.minLength ? '✓' : '✗'} {t("password.minLength")}
                                     </div>
                                     <div className={`strength-indicator ${passwordStrength.hasLowercase ? 'valid' : 'invalid'}`}>
-                                        {passwordStrength.hasLowercase ? '✓' : '✗'} One lowercase letter
+                                        {passwordStrength.hasLowercase ? '✓' : '✗'} {t("password.lowercase")}
                                     </div>
                                     <div className={`strength-indicator ${passwordStrength.hasUppercase ? 'valid' : 'invalid'}`}>
-                                        {passwordStrength.hasUppercase ? '✓' : '✗'} One uppercase letter
+                                        {passwordStrength.hasUppercase ? '✓' : '✗'} {t("password.uppercase")}
                                     </div>
                                     <div className={`strength-indicator ${passwordStrength.hasNumber ? 'valid' : 'invalid'}`}>
-                                        {passwordStrength.hasNumber ? '✓' : '✗'} One number
+                                        {passwordStrength.hasNumber ? '✓' : '✗'} {t("password.number")}
                                     </div>
                                     <div className={`strength-indicator ${passwordStrength.hasSpecialChar ? 'valid' : 'invalid'}`}>
-                                        {passwordStrength.hasSpecialChar ? '✓' : '✗'} One special character
+                                        {passwordStrength.hasSpecialChar ? '✓' : '✗'} {t("password.special")}
                                     </div>
                                     {formData.confirmPassword && (
                                         <div className={`strength-indicator ${passwordStrength.match ? 'valid' : 'invalid'}`}>
-                                            {passwordStrength.match ? '✓' : '✗'} Passwords match
+                                            {passwordStrength.match ? '✓' : '✗'} {t("password.match")}
                                         </div>
                                     )}
                                 </div>
@@ -336,11 +338,11 @@ const ResetPasswordPage = () => {
                             {loading ? (
                                 <>
                                     <LoadingSpinner size="small" />
-                                    <span>Updating Password...</span>
+                                    <span>{t("passwordReset.updating")}</span>
                                 </>
                             ) : (
                                 <>
-                                    <span>🔐 Update Password</span>
+                                    <span>🔐 {t("passwordReset.update")}</span>
                                 </>
                             )}
                         </button>
@@ -353,11 +355,11 @@ const ResetPasswordPage = () => {
                             onClick={handleGoToLogin}
                             className="back-to-login-link"
                         >
-                            ← Back to Login
+                            ← {t("passwordReset.backToLogin")}
                         </button>
                         
                         <div className="footer-help">
-                            <p>Need help? <Link to="/contact">Contact Support</Link></p>
+                            <p>{t("passwordReset.needHelp")} <Link to="/contact">{t("passwordReset.contactSupport")}</Link></p>
                         </div>
                     </div>
                 </div>
@@ -4,21 +4,29 @@ import toast from 'react-hot-toast';
 import GenericMultiSelect from '../components/forms/GenericMultiSelect';
 import ImageUpload from '../components/forms/ImageUpload';
 import BusinessInfoSection from '../components/forms/BusinessInfoSection';
+import OpeningHoursEditor from '../components/forms/OpeningHoursEditor';
+import LocationPicker from '../components/forms/LocationPicker';
 import submissionService from '../services/submissionService';
+import { useTranslation } from '../contexts/LanguageContext';
 import { GEORGIAN_CITIES } from '../constants/formData';
+import { emptyOpeningHours } from '../utils/openingHours';
 import styles from '../styles/send-listing.module.css';
 
 // Static data loaded from constants
 
 const SendListingPage = () => {
+    const { t } = useTranslation();
+
     // Form state
     const [formData, setFormData] = useState({
-        businessName: '',
+        businessNameKa: '',
+        businessNameEn: '',
         categories: [], // Changed from category to categories array
         businessType: 'individual',
         cities: [],
         mobile: '+995',
-        shortDescription: '',
+        shortDescriptionKa: '',
+        shortDescriptionEn: '',
         hasCertificate: false,
         certificateDescription: '',
         profileImage: null,
@@ -29,7 +37,9 @@ const SendListingPage = () => {
             youtube: ''
         },
         submitterEmail: '',
-        submitterName: ''
+        submitterName: '',
+        openingHours: emptyOpeningHours(),
+        location: null
     });
 
     // UI state
@@ -130,20 +140,20 @@ const SendListingPage = () => {
             <div className={styles.sendListingPage}>
                 <div className={styles.sendListingContainer}>
                     <div className={styles.errorMessage}>
-                        <h2>⚠️ Something went wrong</h2>
-                        <p>We're sorry, but there was an error loading the form. Please try refreshing the page.</p>
+                        <h2>⚠️ {t('sendListing.errorTitle')}</h2>
+                        <p>{t('sendListing.errorText')}</p>
                         <div style={{ marginTop: '16px', display: 'flex', gap: '12px', justifyContent: 'center' }}>
                             <button
                                 onClick={() => setHasError(false)}
                                 className={`${styles.btn} ${styles.btnSecondary}`}
                             >
-                                🔄 Try Again
+                                🔄 {t('sendListing.tryAgain')}
                             </button>
                             <button
                                 onClick={() => window.location.reload()}
                                 className={`${styles.btn} ${styles.btnPrimary}`}
                             >
-                                🔄 Refresh Page
+                                🔄 {t('sendListing.refresh')}
                             </button>
                         </div>
                     </div>
@@ -172,8 +182,10 @@ const SendListingPage = () => {
         }
 
         // Debounced error clearing when user starts typing
-        if (errors[name]) {
-            debouncedClearError(name);
+        // (either name field clears the shared "name required" error)
+        const errorKey = name.startsWith('businessName') ? 'businessName' : name;
+        if (errors[errorKey]) {
+            debouncedClearError(errorKey);
         }
     };
 
@@ -228,12 +240,15 @@ const SendListingPage = () => {
         };
     };
 
-    const descriptionCount = getCharacterCount(formData.shortDescription, 200);
+    const descriptionCounts = {
+        ka: getCharacterCount(formData.shortDescriptionKa, 200),
+        en: getCharacterCount(formData.shortDescriptionEn, 200)
+    };
     const certificateCount = getCharacterCount(formData.certificateDescription, 50);
 
     // Form validation
     const validateForm = () => {
-        const validation = submissionService.validateSubmission(formData);
+        const validation = submissionService.validateSubmission(formData, t);
         setErrors(validation.errors);
         return validation.isValid;
     };
@@ -254,17 +269,17 @@ const SendListingPage = () => {
         if (timeSinceLastSubmission < SUBMISSION_COOLDOWN) {
             const remainingTime = Math.ceil((SUBMISSION_COOLDOWN - timeSinceLastSubmission) / 1000);
             setSubmitStatus('error');
-            setSubmitMessage(`Please wait ${remainingTime} seconds before submitting again.`);
+            setSubmitMessage(t('sendListing.waitBeforeSubmit', { count: remainingTime }));
             return;
         }
 
         // Validate form
         if (!validateForm()) {
             setSubmitStatus('error');
-            setSubmitMessage('Please fix the errors below and try again.');
+            setSubmitMessage(t('sendListing.fixErrors'));
 
             // Show centered toast warning
-            toast.error('Please check and fill all fields correctly!', {
+            toast.error(t('sendListing.checkFields'), {
                 duration: 2000,
                 position: 'top-center',
                 style: {
@@ -302,19 +317,21 @@ const SendListingPage = () => {
 
             setSubmitStatus('success');
             setSubmitMessage(
-                `🎉 Your business listing has been submitted successfully!
-                Your submission ID is: ${response.submission.id}.
-                You'll receive a confirmation email shortly. We'll review your submission within 2-3 business days.`
+                `🎉 ${t('sendListing.successTitle')}
+                ${t('sendListing.successId', { id: response.submission.id })}
+                ${t('sendListing.successNext')}`
             );
 
             // Reset form
             setFormData({
-                businessName: '',
+                businessNameKa: '',
+                businessNameEn: '',
                 categories: [], // Changed from category to categories array
                 businessType: 'individual',
                 cities: [],
                 mobile: '+995',
-                shortDescription: '',
+                shortDescriptionKa: '',
+                shortDescriptionEn: '',
                 hasCertificate: false,
                 certificateDescription: '',
                 profileImage: null,
@@ -325,7 +342,9 @@ const SendListingPage = () => {
                     youtube: ''
                 },
                 submitterEmail: '',
-                submitterName: ''
+                submitterName: '',
+                openingHours: emptyOpeningHours(),
+                location: null
             });
             setErrors({});
 
@@ -341,7 +360,7 @@ const SendListingPage = () => {
             }
 
             setSubmitStatus('error');
-            setSubmitMessage(error.message || 'Failed to submit business listing. Please try again.');
+            setSubmitMessage(error.message || t('sendListing.submitFailed'));
         } finally {
             setIsSubmitting(false);
         }
@@ -355,12 +374,14 @@ const SendListingPage = () => {
     // Confirm form reset
     const confirmReset = () => {
         setFormData({
-            businessName: '',
+            businessNameKa: '',
+            businessNameEn: '',
             categories: [], // Changed from category to categories array
             businessType: 'individual',
             cities: [],
             mobile: '+995',
-            shortDescription: '',
+            shortDescriptionKa: '',
+            shortDescriptionEn: '',
             hasCertificate: false,
             certificateDescription: '',
             profileImage: null,
@@ -371,7 +392,9 @@ const SendListingPage = () => {
                 youtube: ''
             },
             submitterEmail: '',
-            submitterName: ''
+            submitterName: '',
+            openingHours: emptyOpeningHours(),
+            location: null
         });
         setErrors({});
         setSubmitStatus(null);
@@ -392,8 +415,8 @@ const SendListingPage = () => {
             <div className={styles.sendListingContainer}>
                 {/* Header */}
                 <div className={styles.sendListingHeader}>
-                    <h1>📋 Submit Your Business Listing</h1>
-                    <p>Join Georgia's premier business directory and connect with customers across the country</p>
+                    <h1>📋 {t('sendListing.title')}</h1>
+                    <p>{t('sendListing.subtitle')}</p>
                 </div>
 
                 {/* Status Messages */}
@@ -424,7 +447,7 @@ const SendListingPage = () => {
                             handleCitiesChange={handleCitiesChange}
                             categories={categories}
                             cities={cities}
-                            descriptionCount={descriptionCount}
+                            descriptionCounts={descriptionCounts}
                             styles={styles}
                         />
 
@@ -432,7 +455,7 @@ const SendListingPage = () => {
                         <div className={styles.formSection}>
                             <h3 className={styles.formSectionTitle}>
                                 <span className={styles.formSectionIcon}>🏅</span>
-                                Professional Certification
+                                {t('sendListing.certificationTitle')}
                             </h3>
 
                             <div className={styles.certificateToggle}>
@@ -445,13 +468,13 @@ const SendListingPage = () => {
                                     onChange={handleInputChange}
                                 />
                                 <label htmlFor="hasCertificate" className={styles.certificateLabel}>
-                                    My business has professional certifications or licenses
+                                    {t('sendListing.hasCertificate')}
                                 </label>
                             </div>
 
                             <div className={`${styles.certificateDescriptionGroup} ${formData.hasCertificate ? styles.visible : ''}`}>
                                 <label htmlFor="certificateDescription" className={`${styles.formLabel} ${styles.required}`}>
-                                    Certificate Details
+                                    {t('sendListing.certificateDetails')}
                                 </label>
                                 <textarea
                                     id="certificateDescription"
@@ -459,7 +482,7 @@ const SendListingPage = () => {
                                     className={`${styles.formTextarea} ${errors.certificateDescription ? styles.error : ''}`}
                                     value={formData.certificateDescription}
                                     onChange={handleInputChange}
-                                    placeholder="Briefly describe your certifications, licenses, or professional qualifications..."
+                                    placeholder={t('sendListing.certificatePlaceholder')}
                                     maxLength="50"
                                     rows="2"
                                     disabled={!formData.hasCertificate}
@@ -469,7 +492,7 @@ const SendListingPage = () => {
                                     id="certificateDescription-count"
                                     className={`${styles.characterCounter} ${certificateCount.isError ? styles.error : certificateCount.isWarning ? styles.warning : ''}`}
                                 >
-                                    {certificateCount.current}/50 characters
+                                    {t('sendListing.characters', { current: certificateCount.current, max: 50 })}
                                 </div>
                                 {errors.certificateDescription && (
                                     <div id="certificateDescription-error" className={styles.fieldError}>
@@ -484,7 +507,7 @@ const SendListingPage = () => {
                         <div className={styles.formSection}>
                             <h3 className={styles.formSectionTitle}>
                                 <span className={styles.formSectionIcon}>📷</span>
-                                Business Profile Image
+                                {t('sendListing.imageTitle')}
                             </h3>
 
                             <ImageUpload
@@ -512,11 +535,43 @@ const SendListingPage = () => {
                             />
                         </div>
 
+                        {/* Opening Hours Section */}
+                        <div className={styles.formSection}>
+                            <h3 className={styles.formSectionTitle}>
+                                <span className={styles.formSectionIcon}>🕒</span>
+                                {t('sendListing.hoursTitle')}
+                            </h3>
+                            <p className={styles.languageHint}>
+                                {t('sendListing.hoursHint')}
+                            </p>
+                            <OpeningHoursEditor
+                                value={formData.openingHours}
+                                onChange={(openingHours) =>
+                                    setFormData(prev => ({ ...prev, openingHours }))
+                                }
+                                error={errors.openingHours}
+                            />
+                        </div>
+
+                        {/* Location Section */}
+                        <div className={styles.formSection}>
+                            <h3 className={styles.formSectionTitle}>
+                                <span className={styles.formSectionIcon}>📍</span>
+                                {t('sendListing.locationTitle')}
+                            </h3>
+                            <LocationPicker
+                                value={formData.location}
+                                onChange={(location) =>
+                                    setFormData(prev => ({ ...prev, location }))
+                                }
+                            />
+                        </div>
+
                         {/* Social Links Section */}
                         <div className={styles.formSection}>
                             <h3 className={styles.formSectionTitle}>
                                 <span className={styles.formSectionIcon}>🌐</span>
-                                Social Media & Online Presence
+                                {t('sendListing.socialTitle')}
                             </h3>
                             <div style={{
                                 background: '#f0f8ff',
@@ -527,7 +582,7 @@ const SendListingPage = () => {
                                 fontSize: '0.9rem',
                                 color: '#0066cc'
                             }}>
-                                <strong>📌 Required:</strong> Please provide at least one Facebook or Instagram link to help customers find your business online.
+                                <strong>📌 {t('sendListing.socialRequiredLabel')}</strong> {t('sendListing.socialRequiredText')}
                             </div>
 
                             <div className={styles.socialLinksGrid}>
@@ -578,13 +633,13 @@ const SendListingPage = () => {
                         <div className={styles.formSection}>
                             <h3 className={styles.formSectionTitle}>
                                 <span className={styles.formSectionIcon}>📞</span>
-                                Contact Information
+                                {t('sendListing.contactTitle')}
                             </h3>
 
                             <div className={styles.formRow}>
                                 <div className={`${styles.formGroup} ${styles.half}`}>
                                     <label htmlFor="submitterName" className={`${styles.formLabel} ${styles.required}`}>
-                                        Your Name
+                                        {t('sendListing.yourName')}
                                     </label>
                                     <input
                                         type="text"
@@ -593,7 +648,7 @@ const SendListingPage = () => {
                                         className={`${styles.formInput} ${errors.submitterName ? styles.error : ''}`}
                                         value={formData.submitterName}
                                         onChange={handleInputChange}
-                                        placeholder="Enter your full name"
+                                        placeholder={t('sendListing.namePlaceholder')}
                                         maxLength="50"
                                         aria-describedby={errors.submitterName ? 'submitterName-error' : undefined}
                                     />
@@ -607,7 +662,7 @@ const SendListingPage = () => {
 
                                 <div className={`${styles.formGroup} ${styles.half}`}>
                                     <label htmlFor="submitterEmail" className={`${styles.formLabel} ${styles.required}`}>
-                                        Your Email
+                                        {t('sendListing.yourEmail')}
                                     </label>
                                     <input
                                         type="email"
@@ -637,7 +692,7 @@ const SendListingPage = () => {
                                 color: '#6c757d',
                                 marginTop: '12px'
                             }}>
-                                📧 <strong>Privacy Note:</strong> Your email will only be used for submission updates and will not be displayed publicly.
+                                📧 <strong>{t('sendListing.privacyLabel')}</strong> {t('sendListing.privacyText')}
                             </div>
                         </div>
 
@@ -649,7 +704,7 @@ const SendListingPage = () => {
                                 className={`${styles.btn} ${styles.btnSecondary}`}
                                 disabled={isSubmitting}
                             >
-                                🔄 Clear Form
+                                🔄 {t('sendListing.clearForm')}
                             </button>
 
                             <button
@@ -660,11 +715,11 @@ const SendListingPage = () => {
                                 {isSubmitting ? (
                                     <>
                                         <span className={styles.spinner}></span>
-                                        Submitting...
+                                        {t('sendListing.submitting')}
                                     </>
                                 ) : (
                                     <>
-                                        📤 Submit Listing
+                                        📤 {t('sendListing.submit')}
                                     </>
                                 )}
                             </button>
@@ -697,10 +752,10 @@ const SendListingPage = () => {
                         boxShadow: '0 10px 25px rgba(0, 0, 0, 0.2)'
                     }}>
                         <h3 style={{ marginBottom: '1rem', color: '#374151' }}>
-                            Clear Form Data?
+                            {t('sendListing.clearConfirmTitle')}
                         </h3>
                         <p style={{ marginBottom: '1.5rem', color: '#6b7280' }}>
-                            Are you sure you want to clear all form data? This action cannot be undone.
+                            {t('sendListing.clearConfirmText')}
                         </p>
                         <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
                             <button
@@ -708,14 +763,14 @@ const SendListingPage = () => {
                                 className={`${styles.btn} ${styles.btnSecondary}`}
                                 style={{ minWidth: '100px' }}
                             >
-                                Cancel
+                                {t('sendListing.cancel')}
                             </button>
                             <button
                                 onClick={confirmReset}
                                 className={`${styles.btn} ${styles.btnPrimary}`}
                                 style={{ minWidth: '100px' }}
                             >
-                                Clear Form
+                                {t('sendListing.clearForm')}
                             </button>
                         </div>
                     </div>
@@ -1,10 +1,14 @@
 // client/src/pages/SettingsPage.js
 import React, { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
+import { useQueryClient } from "@tanstack/react-query";
 import { useUserAuth } from "../contexts/UserAuthContext";
 import userAuthService from "../services/userAuthService";
 import LoadingSpinner from "../components/common/LoadingSpinner";
 import EmailChangeModal from "../components/modals/EmailChangeModal";
+import ActiveSessions from "../components/auth/ActiveSessions";
+import { useTranslation } from "../contexts/LanguageContext";
+import { LANGUAGES, translate } from "../locales";
 import "../styles/settings.css"; // UPDATED: Using dedicated settings.css file
 
 /**
@@ -14,6 +18,7 @@ import "../styles/settings.css"; // UPDATED: Using dedicated settings.css file
  * Features:
  * - Profile information editing (name, email, phone)
  * - Password change functionality
+ * - Active sessions list with per-device sign out
  * - Email verification status display
  * - Account deletion with confirmation
  * - Mobile-first responsive design
@@ -24,6 +29,8 @@ import "../styles/settings.css"; // UPDATED: Using dedicated settings.css file
  */
 const SettingsPage = () => {
     const { user, updateProfile, isLoading } = useUserAuth();
+    const queryClient = useQueryClient();
+    const { language, setLanguage, t } = useTranslation();
 
     // Form states for different sections
     const [profileForm, setProfileForm] = useState({
@@ -87,22 +94,22 @@ const SettingsPage = () => {
         const errors = {};
 
         if (!profileForm.name.trim()) {
-            errors.name = "Name is required";
+            errors.name = t("settings.nameRequired");
         } else if (profileForm.name.trim().length < 2) {
-            errors.name = "Name must be at least 2 characters";
+            errors.name = t("settings.nameTooShort");
         }
 
         if (!profileForm.email.trim()) {
-            errors.email = "Email is required";
+            errors.email = t("auth.emailRequired");
         } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(profileForm.email)) {
-            errors.email = "Please enter a valid email address";
+            errors.email = t("auth.emailInvalid");
         }
 
         if (
             profileForm.phone &&
             !/^[+]?[\d\s\-()]{10,}$/.test(profileForm.phone)
         ) {
-            errors.phone = "Please enter a valid phone number";
+            errors.phone = t("settings.phoneInvalid");
         }
 
         setProfileErrors(errors);
@@ -116,27 +123,25 @@ const SettingsPage = () => {
         const errors = {};
 
         if (!passwordForm.currentPassword) {
-            errors.currentPassword = "Current password is required";
+            errors.currentPassword = t("settings.currentPasswordRequired");
         }
 
         if (!passwordForm.newPassword) {
-            errors.newPassword = "New password is required";
+            errors.newPassword = t("password.newRequired");
         } else if (passwordForm.newPassword.length < 8) {
-            errors.newPassword = "Password must be at least 8 characters";
+            errors.newPassword = t("password.tooShort");
         } else if (
             !/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(passwordForm.newPassword)
         ) {
-            errors.newPassword =
-                "Password must contain uppercase, lowercase and number";
+            errors.newPassword = t("settings.passwordComplexity");
         }
 
         if (passwordForm.newPassword !== passwordForm.confirmPassword) {
-            errors.confirmPassword = "Passwords do not match";
+            errors.confirmPassword = t("password.mismatch");
         }
 
         if (passwordForm.currentPassword === passwordForm.newPassword) {
-            errors.newPassword =
-                "New password must be different from current password";
+            errors.newPassword = t("settings.passwordUnchanged");
         }
 
         setPasswordErrors(errors);
@@ -148,7 +153,7 @@ const SettingsPage = () => {
      */
     const handleEmailChange = (newEmail) => {
         setProfileForm(prev => ({ ...prev, email: newEmail }));
-        showNotification("Email address changed successfully!");
+        showNotification(t("settings.emailChanged"));
         // Update user context with new email
         updateProfile({ email: newEmail });
     };
@@ -178,11 +183,11 @@ const SettingsPage = () => {
                 phone: profileForm.phone.trim() || undefined,
             });
 
-            showNotification("Profile updated successfully!");
+            showNotification(t("settings.profileUpdated"));
             setProfileErrors({});
         } catch (error) {
             showNotification(
-                error.message || "Failed to update profile",
+                error.message || t("settings.profileUpdateFailed"),
                 "error"
             );
 
@@ -212,9 +217,19 @@ const SettingsPage = () => {
 
         setIsSubmitting(true);
         try {
-            await userAuthService.changePassword(passwordForm);
-
-            alert("✅ Password Changed Successfully!\n\nYour password has been updated and is now active.");
+            const result = await userAuthService.changePassword(passwordForm);
+
+            alert(
+                `✅ ${t("settings.passwordChangedTitle")}\n\n${t(
+                    "settings.passwordChangedText"
+                )}` +
+                    (result.revokedSessions > 0
+                        ? `\n\n${t("settings.devicesSignedOut", {
+                              count: result.revokedSessions,
+                          })}`
+                        : "")
+            );
+            queryClient.invalidateQueries({ queryKey: ["user-sessions"] });
             setPasswordForm({
                 currentPassword: "",
                 newPassword: "",
@@ -222,7 +237,10 @@ const SettingsPage = () => {
             });
             setPasswordErrors({});
         } catch (error) {
-            alert("❌ Password Change Failed\n\n" + (error.message || "Failed to change password"));
+            alert(
+                `❌ ${t("settings.passwordChangeFailedTitle")}\n\n` +
+                    (error.message || t("settings.passwordChangeFailed"))
+            );
 
             // Handle specific field errors from backend
             if (error.field) {
@@ -241,7 +259,7 @@ const SettingsPage = () => {
      */
     const handleDeleteAccount = async () => {
         if (deleteConfirmText !== "DELETE") {
-            showNotification("Please type 'DELETE' to confirm", "error");
+            showNotification(t("settings.typeDeleteToConfirm"), "error");
             return;
         }
 
@@ -256,21 +274,21 @@ const SettingsPage = () => {
             if (result.scheduledDeletion) {
                 // Show comprehensive deletion scheduling confirmation modal
                 const delayDays = result.delayDays || 5;
-                const scheduledDate = new Date(result.scheduledFor).toLocaleDateString();
+                const scheduledDate = new Date(result.scheduledFor).toLocaleDateString(language);
                 
                 const confirmed = window.confirm(
-                    `✅ Account Deletion Scheduled\n\n` +
-                    `Your account has been scheduled for deletion in ${delayDays} days (${scheduledDate}).\n\n` +
-                    `Important:\n` +
-                    `• You will be logged out immediately\n` +
-                    `• You can CANCEL this deletion by logging in again before ${scheduledDate}\n` +
-                    `• After ${scheduledDate}, your account will be permanently deleted\n\n` +
-                    `Click OK to proceed with logout, or Cancel to stay logged in.`
+                    `✅ ${t("settings.deletionScheduledTitle")}\n\n` +
+                    `${t("settings.deletionScheduledText", { count: delayDays, date: scheduledDate })}\n\n` +
+                    `${t("settings.deletionImportant")}\n` +
+                    `• ${t("settings.deletionLogout")}\n` +
+                    `• ${t("settings.deletionCancelHint", { date: scheduledDate })}\n` +
+                    `• ${t("settings.deletionPermanent", { date: scheduledDate })}\n\n` +
+                    t("settings.deletionConfirmPrompt")
                 );
                 
                 if (confirmed) {
                     // Show success notification briefly before logout
-                    showNotification("Account deletion scheduled. You will be logged out.", "success");
+                    showNotification(t("settings.deletionScheduledToast"), "success");
                     
                     // Logout after short delay to let user see the message
                     setTimeout(() => {
@@ -293,7 +311,7 @@ const SettingsPage = () => {
         } catch (error) {
             console.error("Account deletion error:", error);
             showNotification(
-                error.message || "Failed to delete account",
+                error.message || t("settings.deleteFailed"),
                 "error"
             );
         } finally {
@@ -304,6 +322,16 @@ const SettingsPage = () => {
     /**
      * Handle input changes with real-time validation
      */
+    // Language is saved immediately, separately from the profile form
+    const handleLanguageChange = async (code) => {
+        const saved = await setLanguage(code);
+        if (saved) {
+            showNotification(translate(code, "language.changed"));
+        } else {
+            showNotification(t("language.saveFailed"), "error");
+        }
+    };
+
     const handleProfileChange = (field, value) => {
         setProfileForm((prev) => ({
             ...prev,
@@ -349,10 +377,11 @@ const SettingsPage = () => {
             <div className="user-settings-page">
                 <div className="container">
                     <div className="user-settings-error">
-                        <h2>Access Denied</h2>
+                        <h2>{t("settings.accessDenied")}</h2>
                         <p>
-                            Please <Link to="/">return to home</Link> and log
-                            in.
+                            {t("settings.accessDeniedBefore")}{" "}
+                            <Link to="/">{t("settings.returnHome")}</Link>{" "}
+                            {t("settings.accessDeniedAfter")}
                         </p>
                     </div>
                 </div>
@@ -365,8 +394,8 @@ const SettingsPage = () => {
             <div className="container">
                 {/* Header */}
                 <div className="user-settings-header">
-                    <h1>Account Settings</h1>
-                    <p>Manage your account information and preferences</p>
+                    <h1>{t("settings.title")}</h1>
+                    <p>{t("settings.subtitle")}</p>
                 </div>
 
                 {/* Notification Toast */}
@@ -395,7 +424,7 @@ const SettingsPage = () => {
                             onClick={() => setActiveSection("profile")}
                         >
                             <span className="user-settings-nav-icon">👤</span>
-                            Profile
+                            {t("settings.tabProfile")}
                         </button>
                         <button
                             className={`user-settings-nav-btn ${
@@ -404,7 +433,7 @@ const SettingsPage = () => {
                             onClick={() => setActiveSection("security")}
                         >
                             <span className="user-settings-nav-icon">🔒</span>
-                            Security
+                            {t("settings.tabSecurity")}
                         </button>
                         <button
                             className={`user-settings-nav-btn ${
@@ -413,7 +442,7 @@ const SettingsPage = () => {
                             onClick={() => setActiveSection("account")}
                         >
                             <span className="user-settings-nav-icon">⚙️</span>
-                            Account
+                            {t("settings.tabAccount")}
                         </button>
                     </nav>
 
@@ -421,8 +450,8 @@ const SettingsPage = () => {
                     {activeSection === "profile" && (
                         <div className="user-settings-section">
                             <div className="user-settings-section-header">
-                                <h2>Profile Information</h2>
-                                <p>Update your personal information</p>
+                                <h2>{t("settings.profileTitle")}</h2>
+                                <p>{t("settings.profileSubtitle")}</p>
                             </div>
 
                             <form
@@ -430,7 +459,9 @@ const SettingsPage = () => {
                                 className="user-settings-form"
                             >
                                 <div className="user-settings-form-group">
-                                    <label htmlFor="name">Full Name</label>
+                                    <label htmlFor="name">
+                                        {t("settings.fullName")}
+                                    </label>
                                     <input
                                         type="text"
                                         id="name"
@@ -444,7 +475,7 @@ const SettingsPage = () => {
                                         className={
                                             profileErrors.name ? "error" : ""
                                         }
-                                        placeholder="Enter your full name"
+                                        placeholder={t("settings.fullNamePlaceholder")}
                                     />
                                     {profileErrors.name && (
                                         <span className="user-settings-error-message">
@@ -454,7 +485,7 @@ const SettingsPage = () => {
                                 </div>
 
                                 <div className="user-settings-form-group">
-                                    <label>Email Address</label>
+                                    <label>{t("settings.emailAddress")}</label>
                                     <div className="user-settings-email-display">
                                         <span className="user-settings-email-value">{user?.email}</span>
                                         <button
@@ -462,16 +493,18 @@ const SettingsPage = () => {
                                             className="user-settings-change-email-btn"
                                             onClick={() => setShowEmailModal(true)}
                                         >
-                                            Change
+                                            {t("settings.change")}
                                         </button>
                                     </div>
                                     <small className="user-settings-field-note">
-                                        To change your email, we'll send a verification code to your current email for security.
+                                        {t("settings.emailChangeNote")}
                                     </small>
                                 </div>
 
                                 <div className="user-settings-form-group">
-                                    <label htmlFor="phone">Phone Number</label>
+                                    <label htmlFor="phone">
+                                        {t("settings.phone")}
+                                    </label>
                                     <input
                                         type="tel"
                                         id="phone"
@@ -485,7 +518,7 @@ const SettingsPage = () => {
                                         className={
                                             profileErrors.phone ? "error" : ""
                                         }
-                                        placeholder="Enter your phone number (optional)"
+                                        placeholder={t("settings.phonePlaceholder")}
                                     />
                                     {profileErrors.phone && (
                                         <span className="user-settings-error-message">
@@ -494,14 +527,39 @@ const SettingsPage = () => {
                                     )}
                                 </div>
 
+                                <div className="user-settings-form-group">
+                                    <label htmlFor="language">
+                                        {t("settings.languageTitle")}
+                                    </label>
+                                    <select
+                                        id="language"
+                                        value={language}
+                                        onChange={(e) =>
+                                            handleLanguageChange(e.target.value)
+                                        }
+                                    >
+                                        {LANGUAGES.map((option) => (
+                                            <option
+                                                key={option.code}
+                                                value={option.code}
+                                            >
+                                                {option.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <small className="user-settings-field-note">
+                                        {t("settings.languageDescription")}
+                                    </small>
+                                </div>
+
                                 <button
                                     type="submit"
                                     className="user-settings-btn-primary"
                                     disabled={isSubmitting}
                                 >
                                     {isSubmitting
-                                        ? "Updating..."
-                                        : "Update Profile"}
+                                        ? t("settings.updating")
+                                        : t("settings.updateProfile")}
                                 </button>
                             </form>
                         </div>
@@ -511,13 +569,13 @@ const SettingsPage = () => {
                     {activeSection === "security" && (
                         <div className="user-settings-section">
                             <div className="user-settings-section-header">
-                                <h2>Security Settings</h2>
-                                <p>Manage your password and account security</p>
+                                <h2>{t("settings.securityTitle")}</h2>
+                                <p>{t("settings.securitySubtitle")}</p>
                             </div>
 
                             {/* Email Verification Status */}
                             <div className="user-settings-verification-status">
-                                <h3>Email Verification</h3>
+                                <h3>{t("settings.emailVerification")}</h3>
                                 <div
                                     className={`user-settings-verification-badge ${
                                         user.isEmailVerified
@@ -530,13 +588,13 @@ const SettingsPage = () => {
                                     </span>
                                     <span className="user-settings-verification-text">
                                         {user.isEmailVerified
-                                            ? "Email Verified"
-                                            : "Email Not Verified"}
+                                            ? t("settings.emailVerified")
+                                            : t("settings.emailNotVerified")}
                                     </span>
                                 </div>
                                 {!user.isEmailVerified && (
                                     <button className="user-settings-btn-secondary">
-                                        Resend Verification Email
+                                        {t("settings.resendVerification")}
                                     </button>
                                 )}
                             </div>
@@ -546,11 +604,11 @@ const SettingsPage = () => {
                                 onSubmit={handlePasswordSubmit}
                                 className="user-settings-form"
                             >
-                                <h3>Change Password</h3>
+                                <h3>{t("settings.changePassword")}</h3>
 
                                 <div className="user-settings-form-group">
                                     <label htmlFor="currentPassword">
-                                        Current Password
+                                        {t("settings.currentPassword")}
                                     </label>
                                     <input
                                         type="password"
@@ -567,7 +625,7 @@ const SettingsPage = () => {
                                                 ? "error"
                                                 : ""
                                         }
-                                        placeholder="Enter current password"
+                                        placeholder={t("settings.currentPasswordPlaceholder")}
                                     />
                                     {passwordErrors.currentPassword && (
                                         <span className="user-settings-error-message">
@@ -578,7 +636,7 @@ const SettingsPage = () => {
 
                                 <div className="user-settings-form-group">
                                     <label htmlFor="newPassword">
-                                        New Password
+                                        {t("password.newLabel")}
                                     </label>
                                     <input
                                         type="password"
@@ -595,7 +653,7 @@ const SettingsPage = () => {
                                                 ? "error"
                                                 : ""
                                         }
-                                        placeholder="Enter new password"
+                                        placeholder={t("password.newPlaceholder")}
                                     />
                                     {passwordErrors.newPassword && (
                                         <span className="user-settings-error-message">
@@ -603,14 +661,13 @@ const SettingsPage = () => {
                                         </span>
                                     )}
                                     <small className="user-settings-field-note">
-                                        Must be 8+ characters with uppercase,
-                                        lowercase, and number
+                                        {t("settings.passwordHint")}
                                     </small>
                                 </div>
 
                                 <div className="user-settings-form-group">
                                     <label htmlFor="confirmPassword">
-                                        Confirm New Password
+                                        {t("password.confirmLabel")}
                                     </label>
                                     <input
                                         type="password"
@@ -627,7 +684,7 @@ const SettingsPage = () => {
                                                 ? "error"
                                                 : ""
                                         }
-                                        placeholder="Confirm new password"
+                                        placeholder={t("password.confirmPlaceholder")}
                                     />
                                     {passwordErrors.confirmPassword && (
                                         <span className="user-settings-error-message">
@@ -642,10 +699,13 @@ const SettingsPage = () => {
                                     disabled={isSubmitting}
                                 >
                                     {isSubmitting
-                                        ? "Changing..."
-                                        : "Change Password"}
+                                        ? t("settings.changing")
+                                        : t("settings.changePassword")}
                                 </button>
                             </form>
+
+                            {/* Active Sessions */}
+                            <ActiveSessions onNotify={showNotification} />
                         </div>
                     )}
 
@@ -653,36 +713,36 @@ const SettingsPage = () => {
                     {activeSection === "account" && (
                         <div className="user-settings-section">
                             <div className="user-settings-section-header">
-                                <h2>Account Management</h2>
-                                <p>Manage your account status and data</p>
+                                <h2>{t("settings.accountTitle")}</h2>
+                                <p>{t("settings.accountSubtitle")}</p>
                             </div>
 
                             {/* Account Information */}
                             <div className="user-settings-account-info">
-                                <h3>Account Details</h3>
+                                <h3>{t("settings.accountDetails")}</h3>
                                 <div className="user-settings-info-grid">
                                     <div className="user-settings-info-item">
-                                        <label>Member Since</label>
+                                        <label>{t("settings.memberSince")}</label>
                                         <span>
                                             {new Date(
                                                 user.createdAt
-                                            ).toLocaleDateString()}
+                                            ).toLocaleDateString(language)}
                                         </span>
                                     </div>
                                     <div className="user-settings-info-item">
-                                        <label>Last Login</label>
+                                        <label>{t("settings.lastLogin")}</label>
                                         <span>
                                             {user.lastLoginAt
                                                 ? new Date(
                                                       user.lastLoginAt
-                                                  ).toLocaleDateString()
-                                                : "Not available"}
+                                                  ).toLocaleDateString(language)
+                                                : t("settings.notAvailable")}
                                         </span>
                                     </div>
                                     <div className="user-settings-info-item">
-                                        <label>Account Status</label>
+                                        <label>{t("settings.accountStatus")}</label>
                                         <span className="user-settings-status-active">
-                                            Active
+                                            {t("settings.active")}
                                         </span>
                                     </div>
                                 </div>
@@ -690,11 +750,8 @@ const SettingsPage = () => {
 
                             {/* Account Deletion */}
                             <div className="user-settings-danger-zone">
-                                <h3>Danger Zone</h3>
-                                <p>
-                                    Once you delete your account, there is no
-                                    going back. Please be certain.
-                                </p>
+                                <h3>{t("settings.dangerZone")}</h3>
+                                <p>{t("settings.dangerText")}</p>
 
                                 {!showDeleteConfirm ? (
                                     <button
@@ -703,17 +760,15 @@ const SettingsPage = () => {
                                             setShowDeleteConfirm(true)
                                         }
                                     >
-                                        Delete Account
+                                        {t("settings.deleteAccount")}
                                     </button>
                                 ) : (
                                     <div className="user-settings-delete-confirmation">
+                                        <p>{t("settings.deleteConfirm")}</p>
                                         <p>
-                                            Are you sure? This action cannot be
-                                            undone.
-                                        </p>
-                                        <p>
-                                            Type <strong>DELETE</strong> to
-                                            confirm:
+                                            {t("settings.typeBefore")}{" "}
+                                            <strong>DELETE</strong>{" "}
+                                            {t("settings.typeAfter")}
                                         </p>
                                         <input
                                             type="text"
@@ -723,7 +778,7 @@ const SettingsPage = () => {
                                                     e.target.value
                                                 )
                                             }
-                                            placeholder="Type DELETE here"
+                                            placeholder={t("settings.typePlaceholder")}
                                             className="user-settings-delete-confirm-input"
                                         />
                                         <div className="user-settings-delete-actions">
@@ -734,7 +789,7 @@ const SettingsPage = () => {
                                                     setDeleteConfirmText("");
                                                 }}
                                             >
-                                                Cancel
+                                                {t("settings.cancel")}
                                             </button>
                                             <button
                                                 className="user-settings-btn-danger"
@@ -746,8 +801,8 @@ const SettingsPage = () => {
                                                 }
                                             >
                                                 {isSubmitting
-                                                    ? "Deleting..."
-                                                    : "Delete Account"}
+                                                    ? t("settings.deleting")
+                                                    : t("settings.deleteAccount")}
                                             </button>
                                         </div>
                                     </div>
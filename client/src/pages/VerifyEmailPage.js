@@ -2,6 +2,7 @@
 import React, { useState, useEffect, useCallback } from "react";
 import { useNavigate, useSearchParams, useParams } from "react-router-dom";
 import { useUserAuth } from "../contexts/UserAuthContext";
+import { useTranslation } from "../contexts/LanguageContext";
 import LoadingSpinner from "../components/common/LoadingSpinner";
 import emailVerificationService from "../services/emailVerificationService";
 import "../styles/verify-email.css";
@@ -25,6 +26,7 @@ const VerifyEmailPage = () => {
     const { token } = useParams(); // For /verify-email/confirm/:token route
     const [searchParams] = useSearchParams();
     const { user, isAuthenticated, isEmailVerified, handleEmailVerified } = useUserAuth();
+    const { t } = useTranslation();
 
     // Component state
     const [loading, setLoading] = useState(false);
@@ -114,22 +116,22 @@ const VerifyEmailPage = () => {
                     navigate(returnUrl, { replace: true });
                 }, 2000);
             } else {
-                setError(result.message || "Email verification failed");
+                setError(result.message || t("verifyEmail.failed"));
             }
         } catch (error) {
             console.error("Email verification error:", error);
-            setError(error.message || "Network error. Please check your connection and try again.");
+            setError(error.message || t("verifyEmail.networkError"));
         } finally {
             setVerificationLoading(false);
         }
-    }, [handleEmailVerified, navigate]);
+    }, [handleEmailVerified, navigate, t]);
 
     /**
      * Handle resend verification email
      */
     const handleResendEmail = async () => {
         if (!userEmail) {
-            setError("Email address not found. Please try registering again.");
+            setError(t("verifyEmail.emailNotFound"));
             return;
         }
 
@@ -152,7 +154,7 @@ const VerifyEmailPage = () => {
                 setError(error.message);
                 setResendCooldown(error.remainingSeconds || 60);
             } else {
-                setError(error.message || "Failed to resend verification email");
+                setError(error.message || t("verifyEmail.resendFailed"));
             }
         } finally {
             setLoading(false);
@@ -181,8 +183,8 @@ const VerifyEmailPage = () => {
                         <div className="verify-email-icon processing">
                             <LoadingSpinner size="large" />
                         </div>
-                        <h1>Verifying Your Email...</h1>
-                        <p>Please wait while we verify your email address.</p>
+                        <h1>{t("verifyEmail.verifying")}</h1>
+                        <p>{t("verifyEmail.pleaseWait")}</p>
                     </div>
                 </div>
             </div>
@@ -196,10 +198,10 @@ const VerifyEmailPage = () => {
                 <div className="verify-email-container">
                     <div className="verify-email-card success">
                         <div className="verify-email-icon success">✅</div>
-                        <h1>Email Verified Successfully!</h1>
+                        <h1>{t("verifyEmail.successTitle")}</h1>
                         <p>{success}</p>
                         <p className="redirect-message">
-                            Redirecting to your dashboard...
+                            {t("verifyEmail.redirecting")}
                         </p>
                         <LoadingSpinner size="small" />
                     </div>
@@ -215,9 +217,9 @@ const VerifyEmailPage = () => {
                 <div className="verify-email-card">
                     {/* Header */}
                     <div className="verify-email-icon">📧</div>
-                    <h1>Check Your Email</h1>
+                    <h1>{t("verifyEmail.checkTitle")}</h1>
                     <p className="verify-email-subtitle">
-                        We've sent a verification link to your email address
+                        {t("verifyEmail.checkSubtitle")}
                     </p>
 
                     {/* Email display */}
@@ -229,17 +231,11 @@ const VerifyEmailPage = () => {
 
                     {/* Instructions */}
                     <div className="verification-instructions">
-                        <h3>What to do next:</h3>
+                        <h3>{t("verifyEmail.nextSteps")}</h3>
                         <ol>
-                            <li>
-                                Check your email inbox (and spam/junk folder)
-                            </li>
-                            <li>
-                                Click the "Verify Email" button in the email
-                            </li>
-                            <li>
-                                You'll be automatically logged in and redirected
-                            </li>
+                            <li>{t("verifyEmail.stepInbox")}</li>
+                            <li>{t("verifyEmail.stepClick")}</li>
+                            <li>{t("verifyEmail.stepRedirect")}</li>
                         </ol>
                     </div>
 
@@ -261,7 +257,9 @@ const VerifyEmailPage = () => {
 
                     {/* Resend section */}
                     <div className="resend-section">
-                        <p className="resend-text">Didn't receive the email?</p>
+                        <p className="resend-text">
+                            {t("verifyEmail.notReceived")}
+                        </p>
 
                         <button
                             onClick={handleResendEmail}
@@ -273,18 +271,20 @@ const VerifyEmailPage = () => {
                             {loading ? (
                                 <>
                                     <LoadingSpinner size="small" />
-                                    <span>Sending...</span>
+                                    <span>{t("verifyEmail.sending")}</span>
                                 </>
                             ) : resendCooldown > 0 ? (
-                                `Resend in ${resendCooldown}s`
+                                t("verifyEmail.resendIn", {
+                                    seconds: resendCooldown,
+                                })
                             ) : (
-                                "Resend Verification Email"
+                                t("verifyEmail.resend")
                             )}
                         </button>
 
                         {emailSent && (
                             <p className="email-sent-note">
-                                ✅ Email sent! Please check your inbox.
+                                ✅ {t("verifyEmail.sent")}
                             </p>
                         )}
                     </div>
@@ -292,28 +292,25 @@ const VerifyEmailPage = () => {
                     {/* Help section */}
                     <div className="help-section">
                         <p className="help-text">
-                            Still having trouble?
+                            {t("verifyEmail.stillTrouble")}
                             <a href="/contact" className="help-link">
-                                Contact Support
+                                {t("verifyEmail.contactSupport")}
                             </a>
                         </p>
 
                         <div className="help-tips">
-                            <h4>Not seeing the email?</h4>
+                            <h4>{t("verifyEmail.notSeeing")}</h4>
                             <ul>
-                                <li>Check your spam/junk folder</li>
-                                <li>
-                                    Make sure{" "}
-                                    {userEmail
-                                        ? formatEmailForDisplay(userEmail)
-                                        : "your email"}{" "}
-                                    is correct
-                                </li>
+                                <li>{t("verifyEmail.tipSpam")}</li>
                                 <li>
-                                    Wait a few minutes - emails can sometimes be
-                                    delayed
+                                    {t("verifyEmail.tipCorrect", {
+                                        email: userEmail
+                                            ? formatEmailForDisplay(userEmail)
+                                            : t("verifyEmail.yourEmail"),
+                                    })}
                                 </li>
-                                <li>Try resending after 1 minute</li>
+                                <li>{t("verifyEmail.tipWait")}</li>
+                                <li>{t("verifyEmail.tipResend")}</li>
                             </ul>
                         </div>
                     </div>
@@ -324,7 +321,7 @@ const VerifyEmailPage = () => {
                             onClick={() => navigate("/")}
                             className="back-button"
                         >
-                            ← Back to Home
+                            ← {t("verifyEmail.backHome")}
                         </button>
                     </div>
                 </div>
@@ -50,6 +50,46 @@ export const adminService = {
         return response.data;
     },
 
+    // Photo gallery; captions has one entry per file
+    uploadBusinessPhotos: async (id, files, captions = []) => {
+        const formData = new FormData();
+        files.forEach((file) => formData.append("photos", file));
+        formData.append("captions", JSON.stringify(captions));
+
+        const response = await api.post(
+            `/admin/businesses/${id}/photos`,
+            formData,
+            {
+                headers: { "Content-Type": "multipart/form-data" },
+                timeout: 120000,
+            }
+        );
+        return response.data;
+    },
+
+    reorderBusinessPhotos: async (id, photoIds) => {
+        const response = await api.put(`/admin/businesses/${id}/photos/order`, {
+            photoIds,
+        });
+        return response.data;
+    },
+
+    // data: { caption?, status?: "approved" }
+    updateBusinessPhoto: async (id, photoId, data) => {
+        const response = await api.patch(
+            `/admin/businesses/${id}/photos/${photoId}`,
+            data
+        );
+        return response.data;
+    },
+
+    deleteBusinessPhoto: async (id, photoId) => {
+        const response = await api.delete(
+            `/admin/businesses/${id}/photos/${photoId}`
+        );
+        return response.data;
+    },
+
     // Category management
     getCategories: async () => {
         const response = await api.get("/admin/categories");
@@ -117,6 +157,9 @@ export const adminService = {
         if (params.limit) queryParams.append("limit", params.limit);
         if (params.status) queryParams.append("status", params.status);
         if (params.issueType) queryParams.append("issueType", params.issueType);
+        if (params.autoAction)
+            queryParams.append("autoAction", params.autoAction);
+        if (params.sort) queryParams.append("sort", params.sort);
         if (params.search) queryParams.append("search", params.search);
         if (params.dateFrom) queryParams.append("dateFrom", params.dateFrom);
         if (params.dateTo) queryParams.append("dateTo", params.dateTo);
@@ -160,6 +203,88 @@ export const adminService = {
         return response.data;
     },
 
+    // Report reasons (issue types of the public report dialog)
+    getReportReasons: async () => {
+        const response = await api.get("/admin/report-reasons");
+        return response.data.reasons;
+    },
+
+    createReportReason: async (reason) => {
+        const response = await api.post("/admin/report-reasons", reason);
+        return response.data;
+    },
+
+    updateReportReason: async (id, data) => {
+        const response = await api.put(`/admin/report-reasons/${id}`, data);
+        return response.data;
+    },
+
+    toggleReportReason: async (id) => {
+        const response = await api.patch(`/admin/report-reasons/${id}/toggle`);
+        return response.data;
+    },
+
+    deleteReportReason: async (id) => {
+        const response = await api.delete(`/admin/report-reasons/${id}`);
+        return response.data;
+    },
+
+    // Show a listing hidden by the report auto-hide rule again
+    restoreReportedBusiness: async (businessId, adminNotes = "") => {
+        const response = await api.post(
+            `/admin/reports/business/${businessId}/restore`,
+            { adminNotes }
+        );
+        return response.data;
+    },
+
+    // Review moderation
+
+    // Get reviews for the moderation queue with pagination and filtering
+    getReviews: async (params = {}) => {
+        const queryParams = new URLSearchParams();
+
+        if (params.page) queryParams.append("page", params.page);
+        if (params.limit) queryParams.append("limit", params.limit);
+        if (params.status) queryParams.append("status", params.status);
+        if (params.reported) queryParams.append("reported", "true");
+        if (params.search) queryParams.append("search", params.search);
+
+        const response = await api.get(
+            `/admin/reviews?${queryParams.toString()}`
+        );
+        return response.data;
+    },
+
+    // Get review moderation counts
+    getReviewStats: async () => {
+        const response = await api.get("/admin/reviews/stats");
+        return response.data;
+    },
+
+    // Hide or restore a review
+    updateReviewStatus: async (id, statusData) => {
+        const response = await api.patch(
+            `/admin/reviews/${id}/status`,
+            statusData
+        );
+        return response.data;
+    },
+
+    // Clear open abuse reports without changing visibility
+    dismissReviewReports: async (id) => {
+        const response = await api.patch(
+            `/admin/reviews/${id}/dismiss-reports`
+        );
+        return response.data;
+    },
+
+    // Delete review permanently
+    deleteReview: async (id) => {
+        const response = await api.delete(`/admin/reviews/${id}`);
+        return response.data;
+    },
+
     // NEW: User management endpoints
     getUserStats: async () => {
         const response = await api.get("/admin/dashboard/users/stats");
@@ -248,6 +373,123 @@ export const adminService = {
         });
         return response.data;
     },
+
+    // Admin account management (superadmin only)
+    getAdmins: async () => {
+        const response = await api.get("/admin/admins");
+        return response.data;
+    },
+
+    createAdmin: async (data) => {
+        const response = await api.post("/admin/admins", data);
+        return response.data;
+    },
+
+    updateAdmin: async (id, data) => {
+        const response = await api.put(`/admin/admins/${id}`, data);
+        return response.data;
+    },
+
+    deleteAdmin: async (id) => {
+        const response = await api.delete(`/admin/admins/${id}`);
+        return response.data;
+    },
+
+    // Audit log (superadmin only)
+    getAuditLog: async (params = {}) => {
+        const response = await api.get("/admin/audit", { params });
+        return response.data;
+    },
+
+    getAuditFilters: async () => {
+        const response = await api.get("/admin/audit/filters");
+        return response.data;
+    },
+
+    // Returns a Blob; the caller triggers the download
+    exportAuditLog: async (params = {}) => {
+        const response = await api.get("/admin/audit/export", {
+            params,
+            responseType: "blob",
+            timeout: 60000,
+        });
+        return response.data;
+    },
+
+    // Email outbox (superadmin only)
+    getEmailOutbox: async (params = {}) => {
+        const response = await api.get("/admin/emails", { params });
+        return response.data;
+    },
+
+    getEmailOutboxStats: async () => {
+        const response = await api.get("/admin/emails/stats");
+        return response.data;
+    },
+
+    getEmailMessage: async (id) => {
+        const response = await api.get(`/admin/emails/${id}`);
+        return response.data;
+    },
+
+    resendEmailMessage: async (id) => {
+        const response = await api.post(`/admin/emails/${id}/resend`);
+        return response.data;
+    },
+
+    // Business owners: claims and owner edit review queue
+    getOwnerStats: async () => {
+        const response = await api.get("/admin/owners/stats");
+        return response.data;
+    },
+
+    getOwnershipClaims: async (params = {}) => {
+        const response = await api.get("/admin/owners/claims", { params });
+        return response.data;
+    },
+
+    updateClaimStatus: async (id, status, rejectionReason = null) => {
+        const data = { status };
+        if (rejectionReason) {
+            data.rejectionReason = rejectionReason;
+        }
+
+        const response = await api.patch(
+            `/admin/owners/claims/${id}/status`,
+            data
+        );
+        return response.data;
+    },
+
+    getPendingPhotos: async (params = {}) => {
+        const response = await api.get("/admin/owners/photos", { params });
+        return response.data;
+    },
+
+    getOwnerEdits: async (params = {}) => {
+        const response = await api.get("/admin/owners/edits", { params });
+        return response.data;
+    },
+
+    updateOwnerEditStatus: async (id, status, rejectionReason = null) => {
+        const data = { status };
+        if (rejectionReason) {
+            data.rejectionReason = rejectionReason;
+        }
+
+        const response = await api.patch(
+            `/admin/owners/edits/${id}/status`,
+            data
+        );
+        return response.data;
+    },
+
+    removeBusinessOwner: async (businessId) => {
+        const response = await api.delete(
+            `/admin/owners/businesses/${businessId}/owner`
+        );
+        return response.data;
+    },
 };
 
 export default adminService;
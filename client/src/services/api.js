@@ -1,5 +1,6 @@
 // client/src/services/api.js
 import axios from "axios";
+import { getStoredLanguage } from "../locales";
 
 const API_URL = process.env.REACT_APP_API_URL || "http://localhost:3000/api";
 
@@ -15,6 +16,7 @@ api.interceptors.request.use((config) => {
     if (token) {
         config.headers.Authorization = `Bearer ${token}`;
     }
+    config.headers["Accept-Language"] = getStoredLanguage();
     return config;
 });
 
@@ -24,6 +26,7 @@ api.interceptors.response.use(
     (error) => {
         if (error.response?.status === 401) {
             localStorage.removeItem("adminToken");
+            localStorage.removeItem("adminProfile");
             window.location.href = "/admin/login";
         }
         return Promise.reject(error);
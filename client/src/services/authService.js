@@ -5,14 +5,24 @@ export const authService = {
     // Admin login
     login: async (credentials) => {
         const response = await api.post("/admin/auth/login", credentials);
-        const { token } = response.data;
+        const { token, admin } = response.data;
         localStorage.setItem("adminToken", token);
+        localStorage.setItem("adminProfile", JSON.stringify(admin));
         return response.data;
     },
 
+    // Reload the signed-in admin (role changes apply without re-login)
+    getCurrentAdmin: async () => {
+        const response = await api.get("/admin/auth/me");
+        const { admin } = response.data;
+        localStorage.setItem("adminProfile", JSON.stringify(admin));
+        return admin;
+    },
+
     // Logout
     logout: () => {
         localStorage.removeItem("adminToken");
+        localStorage.removeItem("adminProfile");
     },
 
     // Check if admin is authenticated
@@ -20,6 +30,20 @@ export const authService = {
         return !!localStorage.getItem("adminToken");
     },
 
+    // Get the admin profile stored at login ({ username, role, permissions })
+    getAdmin: () => {
+        try {
+            return JSON.parse(localStorage.getItem("adminProfile"));
+        } catch {
+            return null;
+        }
+    },
+
+    // Check a role permission, e.g. "businesses:write"
+    hasPermission: (permission, admin = authService.getAdmin()) => {
+        return !!admin?.permissions?.includes(permission);
+    },
+
     // Get stored token
     getToken: () => {
         return localStorage.getItem("adminToken");
@@ -12,6 +12,11 @@ export const businessService = {
         if (params.limit) queryParams.append("limit", params.limit);
         if (params.search) queryParams.append("search", params.search);
         if (params.verified) queryParams.append("verified", params.verified);
+        if (params.openNow) queryParams.append("openNow", "true");
+        if (params.near) {
+            queryParams.append("near", params.near);
+            if (params.radius) queryParams.append("radius", params.radius);
+        }
 
         // Handle multi-select arrays with proper parameter naming
         if (params.categories && params.categories.length > 0) {
@@ -50,6 +55,12 @@ export const businessService = {
         return response.data;
     },
 
+    // Get similar businesses for the detail page
+    getRelatedBusinesses: async (id) => {
+        const response = await api.get(`/businesses/${id}/related`);
+        return response.data;
+    },
+
     // Get categories
     getCategories: async () => {
         const response = await api.get("/businesses/categories/list");
@@ -68,6 +79,18 @@ export const businessService = {
         return response.data;
     },
 
+    // Get the issue types offered by the report dialog
+    getReportReasons: async () => {
+        const response = await api.get("/reports/reasons");
+        return response.data.reasons;
+    },
+
+    // Public status of a report, by the secret token its reporter got
+    getReportStatus: async (token) => {
+        const response = await api.get(`/reports/status/${token}`);
+        return response.data.report;
+    },
+
     /**
      * NEW: Submit business issue report
      *
@@ -77,8 +100,9 @@ export const businessService = {
      *
      * @param {Object} reportData - The report information
      * @param {string} reportData.businessId - ID of the business being reported
-     * @param {Array<string>} reportData.issueTypes - Array of selected issue types
-     * @param {string} reportData.description - Optional custom description
+     * @param {Array<string>} reportData.issueTypes - Keys of the selected report reasons
+     * @param {string} reportData.description - Details (required by some reasons)
+     * @param {string} reportData.reporterEmail - Optional, for the outcome email
      * @param {string} reportData.honeypot - Hidden field for spam protection
      * @returns {Promise<Object>} API response data
      */
@@ -98,6 +122,7 @@ export const businessService = {
                 businessId: reportData.businessId,
                 issueTypes: reportData.issueTypes,
                 description: reportData.description || "",
+                reporterEmail: reportData.reporterEmail || "",
                 honeypot: reportData.honeypot || "", // Spam protection field
             };
 
@@ -130,8 +155,10 @@ export const businessService = {
 
                 switch (error.response.status) {
                     case 400:
+                        // Reason checks answer with a code and a readable error
                         throw new Error(
-                            apiError.message ||
+                            (apiError.code && apiError.error) ||
+                                apiError.message ||
                                 "Invalid report data. Please check your input and try again."
                         );
                     case 429:
@@ -0,0 +1,44 @@
+// client/src/services/dashboardService.js
+import userAuthService from "./userAuthService";
+
+/**
+ * Dashboard Service
+ *
+ * User dashboard data (favorites, ratings, reviews) and the favorites
+ * bulk-remove used by the dashboard modals.
+ */
+
+const { userAPI } = userAuthService;
+
+// Normalize backend errors into Error objects with a code
+const toDashboardError = (error, fallbackMessage) => {
+    const err = new Error(error.response?.data?.error || fallbackMessage);
+    err.code = error.response?.data?.code || "DASHBOARD_ERROR";
+    return err;
+};
+
+const dashboardService = {
+    // Get the current user's favorites, ratings and reviews
+    getDashboard: async () => {
+        try {
+            const response = await userAPI.get("/auth/dashboard");
+            return response.data;
+        } catch (error) {
+            throw toDashboardError(error, "Failed to load your dashboard");
+        }
+    },
+
+    // Remove several businesses from favorites in one request
+    bulkDeleteFavorites: async (businessIds) => {
+        try {
+            const response = await userAPI.post("/auth/favorites/bulk-delete", {
+                businessIds,
+            });
+            return response.data;
+        } catch (error) {
+            throw toDashboardError(error, "Failed to remove favorites");
+        }
+    },
+};
+
+export default dashboardService;
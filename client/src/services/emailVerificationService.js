@@ -1,5 +1,6 @@
 // client/src/services/emailVerificationService.js
 import axios from "axios";
+import { getStoredLanguage } from "../locales";
 
 /**
  * Email Verification Service
@@ -36,6 +37,8 @@ emailAPI.interceptors.request.use(
             config.headers.Authorization = `Bearer ${token}`;
         }
 
+        config.headers["Accept-Language"] = getStoredLanguage();
+
         return config;
     },
     (error) => {
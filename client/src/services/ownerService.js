@@ -0,0 +1,112 @@
+// client/src/services/ownerService.js
+import userAuthService from "./userAuthService";
+
+/**
+ * Owner Service
+ *
+ * Listing ownership: claiming a business, the owner dashboard, and
+ * proposing edits and gallery photos that an admin reviews before they
+ * go live.
+ */
+
+const { userAPI } = userAuthService;
+
+// Normalize backend errors into Error objects with a code
+const toOwnerError = (error, fallbackMessage) => {
+    const err = new Error(error.response?.data?.error || fallbackMessage);
+    err.code = error.response?.data?.code || "OWNER_ERROR";
+    err.details = error.response?.data?.details || [];
+    return err;
+};
+
+const ownerService = {
+    // Current user's ownership/claim status for one listing
+    getClaimStatus: async (businessId) => {
+        try {
+            const response = await userAPI.get(`/owner/claims/${businessId}`);
+            return response.data;
+        } catch (error) {
+            throw toOwnerError(error, "Failed to load claim status");
+        }
+    },
+
+    // Claim a listing; message is the proof of ownership for the admin
+    claimBusiness: async (businessId, message = "") => {
+        try {
+            const response = await userAPI.post(
+                `/owner/claims/${businessId}`,
+                { message }
+            );
+            return response.data;
+        } catch (error) {
+            throw toOwnerError(error, "Failed to submit claim");
+        }
+    },
+
+    // Owned listings, claims and edit requests
+    getDashboard: async () => {
+        try {
+            const response = await userAPI.get("/owner/dashboard");
+            return response.data;
+        } catch (error) {
+            throw toOwnerError(error, "Failed to load your listings");
+        }
+    },
+
+    // Send changes to an owned listing for admin review
+    proposeEdit: async (businessId, changes) => {
+        try {
+            const response = await userAPI.post(
+                `/owner/businesses/${businessId}/edits`,
+                changes
+            );
+            return response.data;
+        } catch (error) {
+            throw toOwnerError(error, "Failed to send your changes");
+        }
+    },
+
+    // Upload a gallery photo; it goes live once an admin approves it
+    uploadPhoto: async (businessId, file, caption = "") => {
+        try {
+            const formData = new FormData();
+            formData.append("photo", file);
+            formData.append("caption", caption);
+
+            const response = await userAPI.post(
+                `/owner/businesses/${businessId}/photos`,
+                formData,
+                { headers: { "Content-Type": "multipart/form-data" } }
+            );
+            return response.data;
+        } catch (error) {
+            throw toOwnerError(error, "Failed to upload your photo");
+        }
+    },
+
+    // Withdraw a photo that is still waiting for review
+    withdrawPhoto: async (businessId, photoId) => {
+        try {
+            const response = await userAPI.delete(
+                `/owner/businesses/${businessId}/photos/${photoId}`
+            );
+            return response.data;
+        } catch (error) {
+            throw toOwnerError(error, "Failed to withdraw your photo");
+        }
+    },
+
+    // Withdraw a pending edit request
+    withdrawEdit: async (editRequestId) => {
+        try {
+            const response = await userAPI.delete(
+                `/owner/edits/${editRequestId}`
+            );
+            return response.data;
+        } catch (error) {
+            throw toOwnerError(error, "Failed to withdraw your changes");
+        }
+    },
+};
+
+export default ownerService;
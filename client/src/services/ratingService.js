@@ -0,0 +1,55 @@
+// client/src/services/ratingService.js
+import userAuthService from "./userAuthService";
+
+/**
+ * Rating Service
+ *
+ * User ratings for businesses (1-10 scale, one rating per user per business).
+ * Uses the authenticated userAPI instance so tokens refresh automatically.
+ */
+
+const { userAPI } = userAuthService;
+
+// Normalize backend errors into Error objects with a code
+const toRatingError = (error, fallbackMessage) => {
+    const err = new Error(error.response?.data?.error || fallbackMessage);
+    err.code = error.response?.data?.code || "RATING_ERROR";
+    err.details = error.response?.data?.details || [];
+    return err;
+};
+
+const ratingService = {
+    // Get current user's rating for a business (null if not rated yet)
+    getMyRating: async (businessId) => {
+        try {
+            const response = await userAPI.get(`/auth/ratings/${businessId}`);
+            return response.data.rating;
+        } catch (error) {
+            throw toRatingError(error, "Failed to load your rating");
+        }
+    },
+
+    // Create or update the current user's rating
+    rateBusiness: async (businessId, score, hasExistingRating = false) => {
+        try {
+            const response = hasExistingRating
+                ? await userAPI.put(`/auth/ratings/${businessId}`, { score })
+                : await userAPI.post(`/auth/ratings/${businessId}`, { score });
+            return response.data;
+        } catch (error) {
+            throw toRatingError(error, "Failed to save rating");
+        }
+    },
+
+    // Remove the current user's rating
+    deleteRating: async (businessId) => {
+        try {
+            const response = await userAPI.delete(`/auth/ratings/${businessId}`);
+            return response.data;
+        } catch (error) {
+            throw toRatingError(error, "Failed to remove rating");
+        }
+    },
+};
+
+export default ratingService;
@@ -0,0 +1,85 @@
+// client/src/services/reviewService.js
+import userAuthService from "./userAuthService";
+
+/**
+ * Review Service
+ *
+ * Text reviews on business detail pages. Reading is public; posting,
+ * editing, deleting and reporting need a verified user. All calls go
+ * through userAPI so the auth header (when present) and token refresh
+ * are handled automatically.
+ */
+
+const { userAPI } = userAuthService;
+
+// Normalize backend errors into Error objects with a code
+const toReviewError = (error, fallbackMessage) => {
+    const err = new Error(error.response?.data?.error || fallbackMessage);
+    err.code = error.response?.data?.code || "REVIEW_ERROR";
+    err.details = error.response?.data?.details || [];
+    return err;
+};
+
+const reviewService = {
+    // Get a page of visible reviews plus the current user's own review
+    getBusinessReviews: async (businessId, { page = 1, limit = 10 } = {}) => {
+        try {
+            const response = await userAPI.get(
+                `/reviews/business/${businessId}`,
+                { params: { page, limit } }
+            );
+            return response.data;
+        } catch (error) {
+            throw toReviewError(error, "Failed to load reviews");
+        }
+    },
+
+    // Post the current user's review for a business
+    createReview: async (businessId, text) => {
+        try {
+            const response = await userAPI.post(
+                `/reviews/business/${businessId}`,
+                { text }
+            );
+            return response.data;
+        } catch (error) {
+            throw toReviewError(error, "Failed to post review");
+        }
+    },
+
+    // Edit one of the current user's reviews
+    updateReview: async (reviewId, text) => {
+        try {
+            const response = await userAPI.put(`/reviews/${reviewId}`, {
+                text,
+            });
+            return response.data;
+        } catch (error) {
+            throw toReviewError(error, "Failed to update review");
+        }
+    },
+
+    // Delete one of the current user's reviews
+    deleteReview: async (reviewId) => {
+        try {
+            const response = await userAPI.delete(`/reviews/${reviewId}`);
+            return response.data;
+        } catch (error) {
+            throw toReviewError(error, "Failed to delete review");
+        }
+    },
+
+    // Report another user's review as abusive
+    reportReview: async (reviewId, reason = "") => {
+        try {
+            const response = await userAPI.post(`/reviews/${reviewId}/report`, {
+                reason,
+            });
+            return response.data;
+        } catch (error) {
+            throw toReviewError(error, "Failed to report review");
+        }
+    },
+};
+
+export default reviewService;
@@ -1,5 +1,7 @@
 // client/src/services/submissionService.js
 import axios from 'axios';
+import { getStoredLanguage, translate } from '../locales';
+import { getOpeningHoursError, serializeOpeningHours } from '../utils/openingHours';
 
 // Create axios instance with default config
 const api = axios.create({
@@ -14,6 +16,8 @@ const api = axios.create({
 api.interceptors.request.use(
     (config) => {
         console.log(`📤 ${config.method?.toUpperCase()} ${config.url}`);
+        // Confirmation emails are sent in the form's language
+        config.headers['Accept-Language'] = getStoredLanguage();
         return config;
     },
     (error) => {
@@ -35,6 +39,28 @@ api.interceptors.response.use(
     }
 );
 
+/**
+ * Split the form's per-language fields (businessNameKa, shortDescriptionEn, ...)
+ * into the `translations` object the API expects
+ */
+const splitTranslations = (formData) => {
+    const {
+        businessNameKa,
+        businessNameEn,
+        shortDescriptionKa,
+        shortDescriptionEn,
+        ...fields
+    } = formData;
+
+    return {
+        translations: {
+            ka: { businessName: businessNameKa || '', shortDescription: shortDescriptionKa || '' },
+            en: { businessName: businessNameEn || '', shortDescription: shortDescriptionEn || '' }
+        },
+        fields
+    };
+};
+
 /**
  * Submission Service
  * Handles all business submission related API calls
@@ -74,22 +100,28 @@ const submissionService = {
             const submitData = new FormData();
 
             // Append all form fields
-            Object.keys(formData).forEach(key => {
-                if (key === 'cities' || key === 'categories' || key === 'socialLinks') {
+            // Georgian/English name and description go as one translations field
+            const { translations, fields } = splitTranslations(formData);
+            submitData.append('translations', JSON.stringify(translations));
+
+            Object.keys(fields).forEach(key => {
+                if (key === 'cities' || key === 'categories' || key === 'socialLinks' || (key === 'location' && fields[key])) {
                     // JSON stringify arrays and objects
-                    submitData.append(key, JSON.stringify(formData[key]));
-                } else if (key === 'profileImage' && formData[key]) {
+                    submitData.append(key, JSON.stringify(fields[key]));
+                } else if (key === 'openingHours') {
+                    submitData.append(key, JSON.stringify(serializeOpeningHours(fields[key])));
+                } else if (key === 'profileImage' && fields[key]) {
                     // Handle file upload
-                    submitData.append('profileImage', formData[key]);
-                } else if (formData[key] !== null && formData[key] !== undefined) {
+                    submitData.append('profileImage', fields[key]);
+                } else if (fields[key] !== null && fields[key] !== undefined) {
                     // Append other fields
-                    submitData.append(key, formData[key]);
+                    submitData.append(key, fields[key]);
                 }
             });
 
             // Log form data for debugging (excluding file)
             console.log('📝 Submitting business listing:', {
-                businessName: formData.businessName,
+                businessName: translations.ka.businessName || translations.en.businessName,
                 categories: formData.categories,
                 cities: formData.cities,
                 hasImage: !!formData.profileImage
@@ -135,68 +167,82 @@ const submissionService = {
     /**
      * Validate form data before submission
      * @param {Object} formData - Form data to validate
+     * @param {Function} [t] - Translator for the messages (defaults to the stored language)
      */
-    validateSubmission: (formData) => {
+    validateSubmission: (
+        formData,
+        t = (key, params) => translate(getStoredLanguage(), key, params)
+    ) => {
         const errors = {};
 
         // Required fields
-        if (!formData.businessName?.trim()) {
-            errors.businessName = 'Business name is required';
+        if (!formData.businessNameKa?.trim() && !formData.businessNameEn?.trim()) {
+            errors.businessName = t('listingValidation.businessNameRequired');
         }
 
         if (!formData.categories || formData.categories.length === 0) {
-            errors.categories = 'At least one business category must be selected';
+            errors.categories = t('listingValidation.categoriesRequired');
         }
 
         if (!formData.businessType) {
-            errors.businessType = 'Business type is required';
+            errors.businessType = t('listingValidation.businessTypeRequired');
         }
 
         if (!formData.cities || formData.cities.length === 0) {
-            errors.cities = 'At least one city must be selected';
+            errors.cities = t('listingValidation.citiesRequired');
         } else if (formData.cities.includes('All Georgia') && formData.cities.length > 1) {
-            errors.cities = '"All Georgia" cannot be combined with specific cities';
+            errors.cities = t('listingValidation.allGeorgiaCombined');
         }
 
         if (!formData.mobile?.trim()) {
-            errors.mobile = 'Mobile number is required';
+            errors.mobile = t('listingValidation.mobileRequired');
         } else {
             // Georgian mobile format validation: +995XXXXXXXXX (must be exactly 13 characters)
             const georgianMobileRegex = /^\+995[0-9]{9}$/;
             if (!georgianMobileRegex.test(formData.mobile.trim())) {
-                errors.mobile = 'Mobile number must be in Georgian format: +995XXXXXXXXX (example: +995599304009)';
+                errors.mobile = t('listingValidation.mobileFormat');
             }
         }
 
         if (!formData.submitterEmail?.trim()) {
-            errors.submitterEmail = 'Email is required';
+            errors.submitterEmail = t('listingValidation.emailRequired');
         } else {
             // Email validation
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
             if (!emailRegex.test(formData.submitterEmail)) {
-                errors.submitterEmail = 'Invalid email format';
+                errors.submitterEmail = t('listingValidation.emailInvalid');
             }
         }
 
         if (!formData.submitterName?.trim()) {
-            errors.submitterName = 'Your name is required';
+            errors.submitterName = t('listingValidation.nameRequired');
         }
 
         if (!formData.profileImage) {
-            errors.profileImage = 'Profile image is required';
+            errors.profileImage = t('listingValidation.imageRequired');
         }
 
         // Optional field validations
-        if (formData.shortDescription && formData.shortDescription.length > 200) {
-            errors.shortDescription = 'Description cannot exceed 200 characters';
-        }
+        ['Ka', 'En'].forEach(suffix => {
+            const description = formData[`shortDescription${suffix}`];
+            if (description && description.length > 200) {
+                errors[`shortDescription${suffix}`] = t('listingValidation.descriptionTooLong');
+            }
+        });
 
         if (formData.hasCertificate && !formData.certificateDescription?.trim()) {
-            errors.certificateDescription = 'Certificate description is required';
+            errors.certificateDescription = t('listingValidation.certificateRequired');
         }
 
         if (formData.certificateDescription && formData.certificateDescription.length > 50) {
-            errors.certificateDescription = 'Certificate description cannot exceed 50 characters';
+            errors.certificateDescription = t('listingValidation.certificateTooLong');
+        }
+
+        if (formData.openingHours) {
+            const openingHoursError = getOpeningHoursError(serializeOpeningHours(formData.openingHours), t);
+            if (openingHoursError) {
+                errors.openingHours = openingHoursError;
+            }
         }
 
         // Social links validation
@@ -209,14 +255,16 @@ const submissionService = {
 
         if (!hasFacebook && !hasInstagram) {
             if (!errors.socialLinks) errors.socialLinks = {};
-            errors.socialLinks.required = 'At least one Facebook or Instagram link is required';
+            errors.socialLinks.required = t('listingValidation.socialRequired');
         }
 
         socialPlatforms.forEach(platform => {
             const url = formData.socialLinks?.[platform];
             if (url && url.trim() && !urlRegex.test(url.trim())) {
                 if (!errors.socialLinks) errors.socialLinks = {};
-                errors.socialLinks[platform] = `${platform.charAt(0).toUpperCase() + platform.slice(1)} URL must be a valid HTTP/HTTPS URL`;
+                errors.socialLinks[platform] = t('listingValidation.socialUrlInvalid', {
+                    platform: platform.charAt(0).toUpperCase() + platform.slice(1)
+                });
             }
         });
 
@@ -259,23 +307,27 @@ const submissionService = {
     /**
      * Get file validation info
      * @param {File} file - File to validate
+     * @param {Function} [t] - Translator for the messages (defaults to the stored language)
      * @returns {Object} - Validation result
      */
-    validateImageFile: (file) => {
+    validateImageFile: (
+        file,
+        t = (key, params) => translate(getStoredLanguage(), key, params)
+    ) => {
         const maxSize = 10 * 1024 * 1024; // 10MB
         const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/avif', 'image/tiff', 'image/gif'];
 
         const errors = [];
 
         if (!file) {
-            errors.push('No file selected');
+            errors.push(t('imageUpload.noFile'));
         } else {
             if (file.size > maxSize) {
-                errors.push(`File too large. Maximum size: ${maxSize / 1024 / 1024}MB`);
+                errors.push(t('imageUpload.tooLarge', { max: maxSize / 1024 / 1024 }));
             }
 
             if (!allowedTypes.includes(file.type)) {
-                errors.push(`Invalid file type. Allowed: ${allowedTypes.join(', ')}`);
+                errors.push(t('imageUpload.invalidType', { allowed: allowedTypes.join(', ') }));
             }
         }
 
@@ -1,5 +1,6 @@
 // client/src/services/userAuthService.js
 import axios from "axios";
+import { getStoredLanguage } from "../locales";
 
 /**
  * User Authentication Service
@@ -92,6 +93,51 @@ const tokenManager = {
     },
 };
 
+/**
+ * Exchange the stored refresh token for a new token pair
+ *
+ * Refresh tokens are single use (the server rotates them and revokes the
+ * session if an old one is replayed), so concurrent callers share one
+ * in-flight request instead of each sending the same token.
+ */
+let refreshInFlight = null;
+
+const requestTokenRefresh = () => {
+    if (!refreshInFlight) {
+        const refreshToken = tokenManager.getRefreshToken();
+
+        refreshInFlight = (
+            refreshToken
+                ? axios.post(
+                      `${
+                          process.env.REACT_APP_API_URL ||
+                          "http://localhost:3000/api"
+                      }/auth/refresh`,
+                      { refreshToken }
+                  )
+                : Promise.reject(new Error("No refresh token available"))
+        )
+            .then((response) => {
+                const { accessToken, refreshToken: newRefreshToken } =
+                    response.data;
+
+                // Store new tokens
+                tokenManager.setTokens(
+                    accessToken,
+                    newRefreshToken,
+                    tokenManager.shouldRemember()
+                );
+
+                return response.data;
+            })
+            .finally(() => {
+                refreshInFlight = null;
+            });
+    }
+
+    return refreshInFlight;
+};
+
 /**
  * Create axios instance for user API requests
  */
@@ -110,6 +156,8 @@ const createUserAPI = () => {
             if (token) {
                 config.headers.Authorization = `Bearer ${token}`;
             }
+            // New accounts get the current interface language
+            config.headers["Accept-Language"] = getStoredLanguage();
             return config;
         },
         (error) => Promise.reject(error)
@@ -141,6 +189,16 @@ const createUserAPI = () => {
                 });
             }
 
+            // Session revoked server-side (logout elsewhere, password change)
+            if (
+                error.response?.status === 401 &&
+                error.response?.data?.code === "SESSION_REVOKED"
+            ) {
+                tokenManager.clearTokens();
+                window.dispatchEvent(new CustomEvent("auth:token-expired"));
+                return Promise.reject(error);
+            }
+
             // If access token expired and we haven't already tried to refresh
             if (
                 error.response?.status === 401 &&
@@ -150,29 +208,8 @@ const createUserAPI = () => {
                 originalRequest._retry = true;
 
                 try {
-                    // Try to refresh the token
-                    const refreshToken = tokenManager.getRefreshToken();
-                    if (!refreshToken) {
-                        throw new Error("No refresh token available");
-                    }
-
-                    const response = await axios.post(
-                        `${
-                            process.env.REACT_APP_API_URL ||
-                            "http://localhost:3000/api"
-                        }/auth/refresh`,
-                        { refreshToken }
-                    );
-
-                    const { accessToken, refreshToken: newRefreshToken } =
-                        response.data;
-
-                    // Store new tokens
-                    tokenManager.setTokens(
-                        accessToken,
-                        newRefreshToken,
-                        tokenManager.shouldRemember()
-                    );
+                    // Try to refresh the token (shared with concurrent requests)
+                    const { accessToken } = await requestTokenRefresh();
 
                     // Retry the original request with new token
                     originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -319,6 +356,56 @@ const userAuthService = {
         }
     },
 
+    /**
+     * Logout user from every device
+     * Revokes all sessions server-side, including this one
+     */
+    logoutAllDevices: async () => {
+        try {
+            const response = await userAPI.post("/auth/logout-all");
+            tokenManager.clearTokens();
+            return response.data;
+        } catch (error) {
+            const err = new Error(
+                error.response?.data?.error || "Failed to log out of all devices"
+            );
+            err.code = error.response?.data?.code || "LOGOUT_ERROR";
+            throw err;
+        }
+    },
+
+    /**
+     * List the devices the user is signed in on
+     */
+    getSessions: async () => {
+        try {
+            const response = await userAPI.get("/auth/sessions");
+            return response.data.sessions;
+        } catch (error) {
+            const err = new Error(
+                error.response?.data?.error || "Failed to load sessions"
+            );
+            err.code = error.response?.data?.code || "SESSIONS_ERROR";
+            throw err;
+        }
+    },
+
+    /**
+     * Sign out a single device
+     */
+    revokeSession: async (sessionId) => {
+        try {
+            const response = await userAPI.delete(`/auth/sessions/${sessionId}`);
+            return response.data;
+        } catch (error) {
+            const err = new Error(
+                error.response?.data?.error || "Failed to sign out device"
+            );
+            err.code = error.response?.data?.code || "SESSIONS_ERROR";
+            throw err;
+        }
+    },
+
     /**
      * Get current user profile
      * UPDATED: Now handles email verification errors
@@ -382,30 +469,11 @@ const userAuthService = {
      */
     refreshToken: async () => {
         try {
-            const refreshToken = tokenManager.getRefreshToken();
-            if (!refreshToken) {
-                throw new Error("No refresh token available");
-            }
-
-            const response = await axios.post(
-                `${
-                    process.env.REACT_APP_API_URL || "http://localhost:3000/api"
-                }/auth/refresh`,
-                { refreshToken }
-            );
-
             const {
                 accessToken,
                 refreshToken: newRefreshToken,
                 user,
-            } = response.data;
-
-            // Store new tokens
-            tokenManager.setTokens(
-                accessToken,
-                newRefreshToken,
-                tokenManager.shouldRemember()
-            );
+            } = await requestTokenRefresh();
 
             // Update user data if provided
             if (user) {
@@ -636,7 +704,8 @@ const userAuthService = {
             
             return {
                 success: true,
-                message: response.data.message
+                message: response.data.message,
+                revokedSessions: response.data.revokedSessions || 0
             };
         } catch (error) {
             // Handle specific password change errors
@@ -0,0 +1,132 @@
+// client/src/utils/geo.js
+import { getStoredLanguage, translate } from "../locales";
+
+/**
+ * Geo Helper
+ *
+ * Listings carry `location` as { lat, lng } in public API responses and as a
+ * GeoJSON Point ([longitude, latitude]) in admin responses; the server
+ * accepts { lat, lng } (see server/services/geoService.js).
+ */
+
+export const TILE_SIZE = 256;
+
+/**
+ * { lat, lng } from either shape, or null
+ */
+export const getLatLng = (location) => {
+    if (!location) return null;
+    if (Array.isArray(location.coordinates)) {
+        const [lng, lat] = location.coordinates;
+        return { lat, lng };
+    }
+    if (Number.isFinite(location.lat) && Number.isFinite(location.lng)) {
+        return { lat: location.lat, lng: location.lng };
+    }
+    return null;
+};
+
+/**
+ * "lat,lng" for the `near` query parameter (4 decimals, ~10 m)
+ */
+export const toNearParam = ({ lat, lng }) =>
+    `${lat.toFixed(4)},${lng.toFixed(4)}`;
+
+/**
+ * { lat, lng } from a `near` query parameter, or null
+ */
+export const parseNearParam = (near) => {
+    const [lat, lng] = String(near || "").split(",").map(Number);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+/**
+ * "350 m" / "1.2 km"
+ * @param {number} meters
+ * @param {Function} [t] - Translation function (defaults to the stored language)
+ */
+export const formatDistance = (
+    meters,
+    t = (key, params) => translate(getStoredLanguage(), key, params)
+) =>
+    meters < 1000
+        ? t("map.meters", { value: Math.round(meters / 10) * 10 })
+        : t("map.kilometers", {
+              value: (meters / 1000).toFixed(meters < 10000 ? 1 : 0),
+          });
+
+/**
+ * Browser position as { lat, lng }
+ * Rejects when geolocation is unavailable or denied.
+ */
+export const getCurrentPosition = () =>
+    new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error("Geolocation is not supported by this browser"));
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            ({ coords }) =>
+                resolve({ lat: coords.latitude, lng: coords.longitude }),
+            reject,
+            { enableHighAccuracy: false, timeout: 10000, maximumAge: 60000 }
+        );
+    });
+
+// ===== Web Mercator (XYZ tiles) =====
+
+export const getWorldSize = (zoom) => TILE_SIZE * 2 ** zoom;
+
+/**
+ * World pixel position of a point at a zoom level
+ */
+export const project = ({ lat, lng }, zoom) => {
+    const size = getWorldSize(zoom);
+    const sin = Math.sin((Math.max(-85, Math.min(85, lat)) * Math.PI) / 180);
+    return {
+        x: ((lng + 180) / 360) * size,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+    };
+};
+
+/**
+ * Point at a world pixel position
+ */
+export const unproject = ({ x, y }, zoom) => {
+    const size = getWorldSize(zoom);
+    const n = Math.PI - (2 * Math.PI * y) / size;
+    return {
+        lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+        lng: (x / size) * 360 - 180,
+    };
+};
+
+/**
+ * Highest zoom at which all points fit in a width x height viewport
+ */
+export const getFitZoom = (points, width, height, { minZoom, maxZoom, padding = 40 }) => {
+    for (let zoom = maxZoom; zoom > minZoom; zoom -= 1) {
+        const projected = points.map((point) => project(point, zoom));
+        const xs = projected.map((p) => p.x);
+        const ys = projected.map((p) => p.y);
+        if (
+            Math.max(...xs) - Math.min(...xs) <= width - padding * 2 &&
+            Math.max(...ys) - Math.min(...ys) <= height - padding * 2
+        ) {
+            return zoom;
+        }
+    }
+    return minZoom;
+};
+
+/**
+ * Center of the bounding box of some points
+ */
+export const getBoundsCenter = (points) => {
+    const lats = points.map((point) => point.lat);
+    const lngs = points.map((point) => point.lng);
+    return {
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2,
+    };
+};
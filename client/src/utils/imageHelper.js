@@ -19,6 +19,11 @@ const IMAGE_CONFIG = {
     // Current local development setup
     LOCAL: {
         baseUrl: process.env.REACT_APP_IMAGE_BASE_URL || "http://localhost:3000",
+        // Public URL of the upload bucket/CDN when the server stores uploads
+        // in S3 (same value as the server's S3_PUBLIC_URL, plus S3_PREFIX).
+        // Unset, "/uploads/..." paths load from the API server, which serves
+        // or redirects them for every storage backend.
+        uploadsUrl: (process.env.REACT_APP_UPLOADS_URL || "").replace(/\/$/, ""),
         fallbackImage: "/placeholder-business.png",
     },
 
@@ -37,6 +42,19 @@ const IMAGE_CONFIG = {
 // Current environment - switch this when migrating to Cloudinary
 const CURRENT_ENV = "LOCAL";
 
+/**
+ * Full URL of a stored path: uploads ("/uploads/...") from the bucket/CDN
+ * when uploadsUrl is set, everything else from the API server
+ */
+const resolveLocalPath = (imagePath) => {
+    const { baseUrl, uploadsUrl } = IMAGE_CONFIG.LOCAL;
+
+    if (uploadsUrl && imagePath.startsWith("/uploads/")) {
+        return `${uploadsUrl}${imagePath.slice("/uploads".length)}`;
+    }
+    return `${baseUrl}${imagePath}`;
+};
+
 /**
  * Generates the appropriate image URL based on current environment
  *
@@ -50,9 +68,14 @@ export const getImageUrl = (imagePath, size = "card") => {
         return getFallbackImageUrl();
     }
 
+    // Already absolute (e.g. a bucket or CDN URL)
+    if (/^https?:\/\//.test(imagePath)) {
+        return imagePath;
+    }
+
     // Current local implementation
     if (CURRENT_ENV === "LOCAL") {
-        return `${IMAGE_CONFIG.LOCAL.baseUrl}${imagePath}`;
+        return resolveLocalPath(imagePath);
     }
 
     // Future Cloudinary implementation (ready to uncomment)
@@ -64,7 +87,34 @@ export const getImageUrl = (imagePath, size = "card") => {
     // }
 
     // Fallback to local if environment not recognized
-    return `${IMAGE_CONFIG.LOCAL.baseUrl}${imagePath}`;
+    return resolveLocalPath(imagePath);
+};
+
+/**
+ * Turns srcset-ready image data from the API (business.profileImageSet,
+ * photo.image) into LazyImage props, resolving every path like getImageUrl
+ *
+ * @param {object|null} imageSet - { src, width, height, placeholder, sources: [{ type, srcset }] }
+ * @returns {object|null} - { src, sources: [{ type, srcSet }], blurPlaceholder },
+ *   null for images the server has not reprocessed yet
+ */
+export const getResponsiveImageProps = (imageSet) => {
+    if (!imageSet?.src) return null;
+
+    return {
+        src: getImageUrl(imageSet.src, "detail"),
+        sources: (imageSet.sources || []).map(({ type, srcset }) => ({
+            type,
+            srcSet: srcset
+                .split(", ")
+                .map((candidate) => {
+                    const [imagePath, descriptor] = candidate.split(" ");
+                    return `${getImageUrl(imagePath)} ${descriptor}`;
+                })
+                .join(", "),
+        })),
+        blurPlaceholder: imageSet.placeholder || "",
+    };
 };
 
 /**
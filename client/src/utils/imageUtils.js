@@ -1,6 +1,8 @@
 // client/src/utils/imageUtils.js
 // Utility functions for responsive image loading with format support
 
+import { getImageUrl as getUploadUrl } from './imageHelper';
+
 /**
  * Detects if a specific image format is supported by the browser
  * @param {string} format - The image format to test ('avif', 'webp')
@@ -76,6 +78,20 @@ export const getResponsiveImageUrl = (baseName, size, formatSupport) => {
     });
 };
 
+/**
+ * Picks the best supported variant of an uploaded image (e.g. a gallery photo)
+ * @param {Object} sources - Server paths { avif, webp }
+ * @param {Object} formatSupport - Object with format support flags
+ * @returns {string|null} - Full image URL or null if there is no usable variant
+ */
+export const getUploadedImageUrl = (sources, formatSupport) => {
+    if (formatSupport.avif && sources.avif) {
+        return getUploadUrl(sources.avif, 'detail');
+    }
+    // WebP is the baseline variant every upload has
+    return sources.webp ? getUploadUrl(sources.webp, 'detail') : null;
+};
+
 /**
  * Preloads critical images for better performance
  * @param {string} imageUrl - URL of image to preload
@@ -0,0 +1,62 @@
+// client/src/utils/listingContent.js
+
+/**
+ * Listing Content Helper
+ *
+ * Business name and description are written per language
+ * (`translations.{ka,en}`, see server/services/businessContentService.js).
+ * The server derives the primary businessName/shortDescription from them and
+ * returns the variant matching the interface language.
+ */
+
+export const CONTENT_LANGUAGES = [
+    { code: "ka", label: "Georgian" },
+    { code: "en", label: "English" },
+];
+
+const GEORGIAN_SCRIPT = /[ა-ჿ]/;
+
+export const emptyTranslations = () => ({
+    ka: { businessName: "", shortDescription: "" },
+    en: { businessName: "", shortDescription: "" },
+});
+
+/**
+ * Form values for a listing's translations
+ * Listings created before translations existed only have the primary
+ * fields; they're placed under Georgian or English by their script.
+ */
+export const getEditableTranslations = (business) => {
+    const translations = emptyTranslations();
+
+    CONTENT_LANGUAGES.forEach(({ code }) => {
+        translations[code].businessName =
+            business?.translations?.[code]?.businessName || "";
+        translations[code].shortDescription =
+            business?.translations?.[code]?.shortDescription || "";
+    });
+
+    const hasAny = CONTENT_LANGUAGES.some(
+        ({ code }) =>
+            translations[code].businessName ||
+            translations[code].shortDescription
+    );
+
+    if (!hasAny && business?.businessName) {
+        const code = GEORGIAN_SCRIPT.test(business.businessName) ? "ka" : "en";
+        translations[code] = {
+            businessName: business.businessName,
+            shortDescription: business.shortDescription || "",
+        };
+    }
+
+    return translations;
+};
+
+/**
+ * Whether a name is filled in for at least one language
+ */
+export const hasBusinessName = (translations) =>
+    CONTENT_LANGUAGES.some(({ code }) =>
+        translations[code]?.businessName?.trim()
+    );
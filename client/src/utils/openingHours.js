@@ -0,0 +1,128 @@
+// client/src/utils/openingHours.js
+import { getStoredLanguage, translate } from "../locales";
+
+/**
+ * Opening Hours Helper
+ *
+ * Listings store `openingHours` as { weekly, exceptions } in Georgian time
+ * (see server/services/openingHoursService.js):
+ * - weekly: { day, open, close } periods, day 0 = Sunday ... 6 = Saturday
+ * - exceptions: { startDate, endDate, closed, open, close, note }
+ *
+ * Closing at midnight is stored as "24:00", which time inputs can't show,
+ * so the editor works with "00:00" and converts on the way in and out.
+ */
+
+// Week starting on Monday, as used in Georgia
+export const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+export const emptyOpeningHours = () => ({ weekly: [], exceptions: [] });
+
+/**
+ * Today's weekday in Georgia (0 = Sunday), whatever the visitor's timezone
+ */
+export const getGeorgiaWeekday = () => {
+    const weekday = new Intl.DateTimeFormat("en-US", {
+        weekday: "short",
+        timeZone: "Asia/Tbilisi",
+    }).format(new Date());
+    return ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(weekday);
+};
+
+/**
+ * Weekday name in the given language
+ * 2024-01-07 was a Sunday, so day N is 2024-01-(7 + N).
+ */
+export const getWeekdayName = (day, language = "en", format = "long") =>
+    new Intl.DateTimeFormat(language, { weekday: format, timeZone: "UTC" }).format(
+        new Date(Date.UTC(2024, 0, 7 + day))
+    );
+
+/**
+ * "YYYY-MM-DD" as a readable date in the given language
+ */
+export const formatHoursDate = (date, language = "en") =>
+    new Intl.DateTimeFormat(language, {
+        day: "numeric",
+        month: "short",
+        timeZone: "UTC",
+    }).format(new Date(`${date}T00:00:00Z`));
+
+/**
+ * Form values for a listing's opening hours
+ */
+export const getEditableOpeningHours = (business) => ({
+    weekly: (business?.openingHours?.weekly || []).map(
+        ({ day, open, close }) => ({
+            day,
+            open,
+            close: close === "24:00" ? "00:00" : close,
+        })
+    ),
+    exceptions: (business?.openingHours?.exceptions || []).map(
+        ({ startDate, endDate, closed, open, close, note }) => ({
+            startDate,
+            endDate,
+            closed: closed !== false,
+            open: open || "",
+            close: close === "24:00" ? "00:00" : close || "",
+            note: note || "",
+        })
+    ),
+});
+
+/**
+ * Opening hours ready to send to the API
+ * Empty rows are dropped, a closing time of 00:00 means midnight.
+ */
+export const serializeOpeningHours = (openingHours) => {
+    const toClose = (close) => (close === "00:00" ? "24:00" : close);
+
+    return {
+        weekly: (openingHours?.weekly || [])
+            .filter((period) => period.open || period.close)
+            .map(({ day, open, close }) => ({ day, open, close: toClose(close) })),
+        exceptions: (openingHours?.exceptions || [])
+            .filter((exception) => exception.startDate)
+            .map((exception) => ({
+                startDate: exception.startDate,
+                endDate: exception.endDate || exception.startDate,
+                closed: exception.closed,
+                ...(!exception.closed && {
+                    open: exception.open,
+                    close: toClose(exception.close),
+                }),
+                note: exception.note.trim(),
+            })),
+    };
+};
+
+/**
+ * First problem with serialized opening hours, or null
+ * (the server validates the same rules)
+ * @param {Object} openingHours - Serialized { weekly, exceptions }
+ * @param {Function} [t] - Translation function (defaults to the stored language)
+ */
+export const getOpeningHoursError = (
+    { weekly, exceptions },
+    t = (key, params) => translate(getStoredLanguage(), key, params)
+) => {
+    const isValidPeriod = ({ open, close }) => open && close && open < close;
+
+    if (!weekly.every(isValidPeriod)) {
+        return t("hoursEditor.closeBeforeOpen");
+    }
+    if (exceptions.some((exception) => exception.endDate < exception.startDate)) {
+        return t("hoursEditor.endBeforeStart");
+    }
+    if (exceptions.some((exception) => !exception.closed && !isValidPeriod(exception))) {
+        return t("hoursEditor.specialHoursMissing");
+    }
+    return null;
+};
+
+/**
+ * "09:00–18:00" for display
+ */
+export const formatPeriod = ({ open, close }) =>
+    `${open}–${close === "24:00" ? "00:00" : close}`;
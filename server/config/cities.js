@@ -2,6 +2,9 @@
 // Georgian cities configuration for business submissions
 // Organized by regions for better management
 
+// Service area covering the whole country; matches every city filter
+const NATIONWIDE_CITY = 'All Georgia';
+
 const GEORGIAN_CITIES = [
     // Special Option
     'All Georgia',      // 🇬🇪 Nationwide service coverage
@@ -94,6 +97,42 @@ const GEORGIAN_REGIONS = [
     'Shida Kartli'
 ];
 
+// Localized city names (Georgian / Russian). The English name stays the
+// stored value; these are for display only.
+const CITY_TRANSLATIONS = {
+    'All Georgia': { ka: 'მთელი საქართველო', ru: 'Вся Грузия' },
+    'Tbilisi': { ka: 'თბილისი', ru: 'Тбилиси' },
+    'Batumi': { ka: 'ბათუმი', ru: 'Батуми' },
+    'Kutaisi': { ka: 'ქუთაისი', ru: 'Кутаиси' },
+    'Rustavi': { ka: 'რუსთავი', ru: 'Рустави' },
+    'Gori': { ka: 'გორი', ru: 'Гори' },
+    'Zugdidi': { ka: 'ზუგდიდი', ru: 'Зугдиди' },
+    'Poti': { ka: 'ფოთი', ru: 'Поти' },
+    'Telavi': { ka: 'თელავი', ru: 'Телави' },
+    'Ozurgeti': { ka: 'ოზურგეთი', ru: 'Озургети' },
+    'Ambrolauri': { ka: 'ამბროლაური', ru: 'Амбролаури' },
+    'Kobuleti': { ka: 'ქობულეთი', ru: 'Кобулети' },
+    'Khashuri': { ka: 'ხაშური', ru: 'Хашури' },
+    'Samtredia': { ka: 'სამტრედია', ru: 'Самтредиа' },
+    'Senaki': { ka: 'სენაკი', ru: 'Сенаки' },
+    'Zestaponi': { ka: 'ზესტაფონი', ru: 'Зестафони' },
+    'Marneuli': { ka: 'მარნეული', ru: 'Марнеули' },
+    'Akhalkalaki': { ka: 'ახალქალაქი', ru: 'Ахалкалаки' },
+    'Lagodekhi': { ka: 'ლაგოდეხი', ru: 'Лагодехи' },
+    'Bolnisi': { ka: 'ბოლნისი', ru: 'Болниси' },
+    'Gardabani': { ka: 'გარდაბანი', ru: 'Гардабани' },
+    'Akhaltsikhe': { ka: 'ახალციხე', ru: 'Ахалцихе' },
+    'Mtskheta': { ka: 'მცხეთა', ru: 'Мцхета' },
+    'Kaspi': { ka: 'კასპი', ru: 'Каспи' },
+    'Kvareli': { ka: 'ყვარელი', ru: 'Кварели' },
+    'Sighnaghi': { ka: 'სიღნაღი', ru: 'Сигнахи' },
+    'Gurjaani': { ka: 'გურჯაანი', ru: 'Гурджаани' },
+    'Dusheti': { ka: 'დუშეთი', ru: 'Душети' },
+    'Tianeti': { ka: 'თიანეთი', ru: 'Тианети' },
+    'Kareli': { ka: 'ქარელი', ru: 'Карели' },
+    'Khoni': { ka: 'ხონი', ru: 'Хони' },
+};
+
 // Helper functions
 const getCitiesByRegion = (region) => {
     // Future enhancement: return cities filtered by region
@@ -104,6 +143,11 @@ const getCityMetadata = (cityName) => {
     return CITY_METADATA[cityName] || null;
 };
 
+// Display name in `language`, falling back to the English name
+const getCityDisplayName = (cityName, language) => {
+    return CITY_TRANSLATIONS[cityName]?.[language] || cityName;
+};
+
 const isValidCity = (cityName) => {
     return GEORGIAN_CITIES.includes(cityName);
 };
@@ -118,7 +162,7 @@ const validateCities = (cities) => {
     }
 
     // Special validation for "All Georgia"
-    const hasAllGeorgia = cities.includes('All Georgia');
+    const hasAllGeorgia = cities.includes(NATIONWIDE_CITY);
     if (hasAllGeorgia && cities.length > 1) {
         return {
             valid: false,
@@ -151,11 +195,14 @@ const validateCities = (cities) => {
 };
 
 module.exports = {
+    NATIONWIDE_CITY,
     GEORGIAN_CITIES,
     CITY_METADATA,
     GEORGIAN_REGIONS,
+    CITY_TRANSLATIONS,
     getCitiesByRegion,
     getCityMetadata,
+    getCityDisplayName,
     isValidCity,
     validateCities,
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+// server/config/email.js
+// Email sender, transport and outbox settings
+// (services/emailService.js, services/emailTransport.js,
+// services/emailOutboxService.js)
+const path = require('path');
+require('dotenv').config();
+
+const EMAIL_CONFIG = {
+    service: process.env.EMAIL_SERVICE || 'gmail',
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS,
+    fromName: process.env.EMAIL_FROM_NAME || 'TELO Directory',
+    fromAddress: process.env.EMAIL_FROM_ADDRESS,
+    baseUrl: process.env.EMAIL_BASE_URL || 'http://localhost:3001',
+    verificationExpiry: process.env.EMAIL_VERIFICATION_EXPIRY || '24h',
+    tokenLength: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_LENGTH) || 32,
+    // "smtp" (Gmail or SMTP_HOST) or "file": messages are written to
+    // fileDir as .eml files instead of being sent - for development
+    transport: process.env.EMAIL_TRANSPORT === 'file' ? 'file' : 'smtp',
+    fileDir:
+        process.env.EMAIL_FILE_DIR ||
+        path.join(__dirname, '..', 'mail-outbox'),
+};
+
+// Background delivery of queued messages (EmailMessage)
+const EMAIL_OUTBOX = {
+    pollIntervalMs: parseInt(process.env.EMAIL_OUTBOX_POLL_MS) || 15 * 1000,
+    // Messages sent per worker run
+    batchSize: parseInt(process.env.EMAIL_OUTBOX_BATCH_SIZE) || 20,
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+    // Wait before retry n: retryBaseMs * 2^(n-1), at most retryMaxMs
+    // (1, 2, 4, 8 minutes with the defaults)
+    retryBaseMs: parseInt(process.env.EMAIL_RETRY_BASE_MS) || 60 * 1000,
+    retryMaxMs: 6 * 60 * 60 * 1000,
+    // A message still "sending" after this long belongs to a worker that
+    // died mid-send and is queued again
+    sendingTimeoutMs: 10 * 60 * 1000,
+};
+
+module.exports = { EMAIL_CONFIG, EMAIL_OUTBOX };
@@ -0,0 +1,459 @@
+// server/config/emailTranslations.js
+// Email copy for user-facing emails in Georgian, English and Russian.
+// Used by services/emailService.js; admin notifications stay in English.
+
+const { DEFAULT_LANGUAGE } = require('./languages');
+
+const EMAIL_TRANSLATIONS = {
+    en: {
+        verification: {
+            subject: (name) => `🎯 Verify your TELO Directory account - Welcome ${name}!`,
+            title: 'Verify Your Email - TELO Directory',
+            tagline: "Welcome to Georgia's Business Network",
+            greeting: (name) => `Hello ${name}! 👋`,
+            intro: "Thank you for registering with TELO Directory! We're excited to have you join Georgia's premier business networking platform.",
+            instruction: 'To complete your registration and access your account, please verify your email address by clicking the button below:',
+            button: '✅ Verify My Email Address',
+            securityNote: "This verification link will expire in 24 hours for your security. If you didn't create an account with TELO Directory, please ignore this email.",
+            benefitsTitle: "After verification, you'll be able to:",
+            benefits: [
+                'Access your personalized dashboard',
+                'Save and manage your favorite businesses',
+                'Connect with other business professionals',
+                'List your own business (coming soon)',
+            ],
+            textIntro: 'Welcome to TELO Directory! Please verify your email address by visiting:',
+            textExpiry: 'This link will expire in 24 hours.',
+            textIgnore: "If you didn't create this account, please ignore this email.",
+        },
+        passwordReset: {
+            subject: '🔐 Password Reset Request - TELO Directory',
+            title: 'Reset Your Password - TELO Directory',
+            heading: '🔐 Password Reset',
+            tagline: 'TELO Directory Security',
+            greeting: (name) => `Hello ${name}! 👋`,
+            intro: 'We received a request to reset your password for your TELO Directory account.',
+            instruction: 'If you requested this password reset, please click the button below to create a new password:',
+            button: '🔄 Reset My Password',
+            securityNote: "This password reset link will expire in 30 minutes for your security. If you didn't request a password reset, please ignore this email and your password will remain unchanged.",
+            warningNote: "If you continue to receive password reset emails that you didn't request, please contact our support team immediately.",
+            tipsTitle: 'For your security, please:',
+            tips: [
+                'Choose a strong, unique password',
+                "Don't share this reset link with anyone",
+                'Complete the reset within 30 minutes',
+                'Log out of other devices if you suspect unauthorized access',
+            ],
+            team: 'TELO Directory Security Team',
+            footerTagline: 'Protecting businesses across Georgia 🇬🇪',
+            footerNote: 'If you have any questions or concerns, please contact our support team immediately.',
+            textIntro: 'We received a request to reset your password for your TELO Directory account.',
+            textAction: 'To reset your password, visit:',
+            textExpiry: 'This link will expire in 30 minutes for security.',
+            textIgnore: "If you didn't request this reset, please ignore this email.",
+            textSupport: 'For security questions, contact our support team.',
+        },
+        submissionConfirmation: {
+            subject: (businessName) => `✅ Business Submission Received - ${businessName}`,
+            title: 'Submission Received - TELO Directory',
+            heading: '✅ Submission Received!',
+            thanks: (name) => `Thank you, ${name}`,
+            greeting: (name) => `Hello ${name},`,
+            intro: 'Your business listing submission has been successfully received and is now under review by our team.',
+            detailsTitle: '📋 Submission Details',
+            submissionId: 'Submission ID',
+            businessName: 'Business Name',
+            categories: 'Categories',
+            cities: 'Cities',
+            status: 'Status',
+            pendingReview: 'Pending Review',
+            nextStepsTitle: '🔄 What happens next?',
+            nextSteps: [
+                'Our team will review your submission within <strong>2-3 business days</strong>',
+                'We may contact you if additional information is needed',
+                'Once approved, your business will appear in our directory',
+                "You'll receive a confirmation email when your listing goes live",
+            ],
+            important: 'Important:',
+            saveNote: (id) => `Please save this email for your records. Your submission ID is <code>${id}</code>.`,
+            questions: 'If you have any questions about your submission, please reply to this email and include your submission ID.',
+            footerNote: 'This is an automated confirmation. Please do not reply unless you have questions.',
+            textReceived: 'Your business listing submission has been received!',
+            textSave: 'Please save this email for your records.',
+            textQuestions: (id) => `If you have questions, reply to this email and include your submission ID: ${id}`,
+            trackStatus: 'You can follow the review of your submission here:',
+        },
+        reportOutcome: {
+            subject: (businessName) => `📣 Update on your report - ${businessName}`,
+            title: 'Report Update - TELO Directory',
+            heading: '📣 Report Update',
+            greeting: 'Hello,',
+            intro: (businessName) => `Thank you for reporting an issue with <strong>${businessName}</strong>. Our team has reviewed your report.`,
+            reportedIssues: 'Reported issues',
+            outcome: 'Outcome',
+            outcomes: {
+                resolved: 'Resolved - the listing has been corrected',
+                dismissed: 'Closed without changes',
+            },
+            messageLabels: {
+                resolved: 'Note from our team',
+                dismissed: 'Reason',
+            },
+            button: 'View Report Status',
+            footerNote: 'You receive this email because you left your address when reporting the listing.',
+        },
+        submissionOutcome: {
+            subjects: {
+                approved: (businessName) => `🎉 Your business is now listed - ${businessName}`,
+                rejected: (businessName) => `📋 Your business submission was not approved - ${businessName}`,
+            },
+            title: 'Submission Update - TELO Directory',
+            headings: {
+                approved: '🎉 Your Listing Is Live!',
+                rejected: '📋 Submission Reviewed',
+            },
+            greeting: (name) => `Hello ${name},`,
+            intros: {
+                approved: (businessName) => `Good news! <strong>${businessName}</strong> has been approved and is now listed in TELO Directory.`,
+                rejected: (businessName) => `Thank you for submitting <strong>${businessName}</strong>. Unfortunately, we could not approve your submission.`,
+            },
+            submissionId: 'Submission ID',
+            reasonLabel: 'Reason',
+            resubmit: 'You are welcome to correct the details and submit your business again.',
+            viewListing: '🔗 View Your Listing',
+            viewStatus: 'View Submission Status',
+            footerNote: 'If you have any questions about this decision, reply to this email and include your submission ID.',
+        },
+        emailChange: {
+            subject: '🔄 Verify your new email address - TELO Directory',
+            heading: 'Email Change Verification',
+            greeting: (name) => `Hello ${name},`,
+            intro: 'You requested to change your email address for your TELO Directory account.',
+            instruction: 'Please click the button below to verify your new email address:',
+            button: 'Verify New Email',
+            expiry: 'This link will expire in 24 hours.',
+            ignore: "If you didn't request this change, please ignore this email.",
+            textIntro: (name) => `Hello ${name}, please verify your new email:`,
+            codeSubject: '🔑 Email Change Verification Code - TELO Directory',
+            codeHeading: 'Email Change Request',
+            codeIntro: 'You requested to change your email address to:',
+            codeInstruction: 'Please enter this verification code to complete the change:',
+            codeExpiry: 'This code expires in 10 minutes for security.',
+            codeText: (code, newEmail) => `Email change verification code: ${code}. New email: ${newEmail}. Code expires in 10 minutes.`,
+        },
+        common: {
+            copyLink: "If the button doesn't work, you can copy and paste this link into your browser:",
+            securityLabel: '🔒 Security Note:',
+            importantLabel: '⚠️ Important:',
+            team: 'TELO Directory Team',
+            footerTagline: 'Connecting businesses across Georgia 🇬🇪',
+            footerNote: 'If you have any questions, reply to this email or contact our support team.',
+            regards: 'Best regards,',
+        },
+    },
+
+    ka: {
+        verification: {
+            subject: (name) => `🎯 დაადასტურეთ თქვენი TELO Directory ანგარიში - მოგესალმებით, ${name}!`,
+            title: 'ელფოსტის დადასტურება - TELO Directory',
+            tagline: 'საქართველოს ბიზნეს ქსელში მოგესალმებით',
+            greeting: (name) => `გამარჯობა, ${name}! 👋`,
+            intro: 'გმადლობთ TELO Directory-ზე რეგისტრაციისთვის! მოხარულები ვართ, რომ შემოგვიერთდით საქართველოს წამყვან ბიზნეს პლატფორმაზე.',
+            instruction: 'რეგისტრაციის დასასრულებლად და ანგარიშზე წვდომისთვის დაადასტურეთ თქვენი ელფოსტა ქვემოთ მოცემულ ღილაკზე დაჭერით:',
+            button: '✅ ელფოსტის დადასტურება',
+            securityNote: 'თქვენი უსაფრთხოებისთვის ეს ბმული 24 საათში გაუქმდება. თუ TELO Directory-ზე ანგარიში არ შეგიქმნიათ, უგულებელყავით ეს წერილი.',
+            benefitsTitle: 'დადასტურების შემდეგ შეძლებთ:',
+            benefits: [
+                'პირადი პანელის გამოყენებას',
+                'რჩეული ბიზნესების შენახვას და მართვას',
+                'სხვა ბიზნეს პროფესიონალებთან დაკავშირებას',
+                'საკუთარი ბიზნესის განთავსებას (მალე)',
+            ],
+            textIntro: 'მოგესალმებით TELO Directory-ზე! ელფოსტის დასადასტურებლად გადადით ბმულზე:',
+            textExpiry: 'ბმული 24 საათში გაუქმდება.',
+            textIgnore: 'თუ ეს ანგარიში თქვენ არ შეგიქმნიათ, უგულებელყავით ეს წერილი.',
+        },
+        passwordReset: {
+            subject: '🔐 პაროლის აღდგენის მოთხოვნა - TELO Directory',
+            title: 'პაროლის აღდგენა - TELO Directory',
+            heading: '🔐 პაროლის აღდგენა',
+            tagline: 'TELO Directory უსაფრთხოება',
+            greeting: (name) => `გამარჯობა, ${name}! 👋`,
+            intro: 'მივიღეთ მოთხოვნა თქვენი TELO Directory ანგარიშის პაროლის აღდგენაზე.',
+            instruction: 'თუ ეს მოთხოვნა თქვენ გააგზავნეთ, ახალი პაროლის შესაქმნელად დააჭირეთ ქვემოთ მოცემულ ღილაკს:',
+            button: '🔄 პაროლის აღდგენა',
+            securityNote: 'თქვენი უსაფრთხოებისთვის ეს ბმული 30 წუთში გაუქმდება. თუ პაროლის აღდგენა არ მოგითხოვიათ, უგულებელყავით ეს წერილი — თქვენი პაროლი არ შეიცვლება.',
+            warningNote: 'თუ კვლავ მიიღებთ პაროლის აღდგენის წერილებს, რომლებიც არ მოგითხოვიათ, დაუყოვნებლივ დაუკავშირდით ჩვენს მხარდაჭერის გუნდს.',
+            tipsTitle: 'თქვენი უსაფრთხოებისთვის:',
+            tips: [
+                'აირჩიეთ ძლიერი, უნიკალური პაროლი',
+                'არავის გაუზიაროთ ეს ბმული',
+                'დაასრულეთ აღდგენა 30 წუთის განმავლობაში',
+                'გამოდით სხვა მოწყობილობებიდან, თუ არაავტორიზებულ წვდომას ეჭვობთ',
+            ],
+            team: 'TELO Directory უსაფრთხოების გუნდი',
+            footerTagline: 'ვიცავთ ბიზნესებს მთელ საქართველოში 🇬🇪',
+            footerNote: 'კითხვების ან შეშფოთების შემთხვევაში დაუყოვნებლივ დაუკავშირდით ჩვენს მხარდაჭერის გუნდს.',
+            textIntro: 'მივიღეთ მოთხოვნა თქვენი TELO Directory ანგარიშის პაროლის აღდგენაზე.',
+            textAction: 'პაროლის აღსადგენად გადადით ბმულზე:',
+            textExpiry: 'უსაფრთხოების მიზნით ბმული 30 წუთში გაუქმდება.',
+            textIgnore: 'თუ აღდგენა არ მოგითხოვიათ, უგულებელყავით ეს წერილი.',
+            textSupport: 'უსაფრთხოების საკითხებზე დაუკავშირდით ჩვენს მხარდაჭერის გუნდს.',
+        },
+        submissionConfirmation: {
+            subject: (businessName) => `✅ ბიზნესის განაცხადი მიღებულია - ${businessName}`,
+            title: 'განაცხადი მიღებულია - TELO Directory',
+            heading: '✅ განაცხადი მიღებულია!',
+            thanks: (name) => `გმადლობთ, ${name}`,
+            greeting: (name) => `გამარჯობა, ${name},`,
+            intro: 'თქვენი ბიზნესის განაცხადი წარმატებით მივიღეთ და ამჟამად ჩვენი გუნდი მას განიხილავს.',
+            detailsTitle: '📋 განაცხადის დეტალები',
+            submissionId: 'განაცხადის ID',
+            businessName: 'ბიზნესის სახელი',
+            categories: 'კატეგორიები',
+            cities: 'ქალაქები',
+            status: 'სტატუსი',
+            pendingReview: 'განხილვის მოლოდინში',
+            nextStepsTitle: '🔄 რა ხდება შემდეგ?',
+            nextSteps: [
+                'ჩვენი გუნდი განაცხადს <strong>2-3 სამუშაო დღეში</strong> განიხილავს',
+                'საჭიროების შემთხვევაში დამატებითი ინფორმაციისთვის დაგიკავშირდებით',
+                'დამტკიცების შემდეგ თქვენი ბიზნესი ჩვენს კატალოგში გამოჩნდება',
+                'განცხადების გამოქვეყნებისას დადასტურების წერილს მიიღებთ',
+            ],
+            important: 'მნიშვნელოვანი:',
+            saveNote: (id) => `გთხოვთ, შეინახოთ ეს წერილი. თქვენი განაცხადის ID არის <code>${id}</code>.`,
+            questions: 'განაცხადთან დაკავშირებული კითხვების შემთხვევაში უპასუხეთ ამ წერილს და მიუთითეთ განაცხადის ID.',
+            footerNote: 'ეს ავტომატური დადასტურებაა. გთხოვთ, უპასუხოთ მხოლოდ კითხვების შემთხვევაში.',
+            textReceived: 'თქვენი ბიზნესის განაცხადი მიღებულია!',
+            textSave: 'გთხოვთ, შეინახოთ ეს წერილი.',
+            textQuestions: (id) => `კითხვების შემთხვევაში უპასუხეთ ამ წერილს და მიუთითეთ განაცხადის ID: ${id}`,
+            trackStatus: 'განაცხადის განხილვის მიმდინარეობას აქ შეგიძლიათ თვალი ადევნოთ:',
+        },
+        reportOutcome: {
+            subject: (businessName) => `📣 თქვენი შეტყობინების სტატუსი - ${businessName}`,
+            title: 'შეტყობინების სტატუსი - TELO Directory',
+            heading: '📣 შეტყობინების სტატუსი',
+            greeting: 'გამარჯობა,',
+            intro: (businessName) => `გმადლობთ, რომ შეგვატყობინეთ ხარვეზის შესახებ: <strong>${businessName}</strong>. ჩვენმა გუნდმა თქვენი შეტყობინება განიხილა.`,
+            reportedIssues: 'მითითებული ხარვეზები',
+            outcome: 'შედეგი',
+            outcomes: {
+                resolved: 'გადაწყვეტილია - განცხადება გასწორდა',
+                dismissed: 'დახურულია ცვლილებების გარეშე',
+            },
+            messageLabels: {
+                resolved: 'ჩვენი გუნდის შენიშვნა',
+                dismissed: 'მიზეზი',
+            },
+            button: 'შეტყობინების სტატუსის ნახვა',
+            footerNote: 'ამ წერილს იღებთ, რადგან განცხადების შესახებ შეტყობინებისას მიუთითეთ თქვენი ელფოსტა.',
+        },
+        submissionOutcome: {
+            subjects: {
+                approved: (businessName) => `🎉 თქვენი ბიზნესი გამოქვეყნდა - ${businessName}`,
+                rejected: (businessName) => `📋 თქვენი ბიზნესის განაცხადი არ დამტკიცდა - ${businessName}`,
+            },
+            title: 'განაცხადის სტატუსი - TELO Directory',
+            headings: {
+                approved: '🎉 თქვენი განცხადება გამოქვეყნდა!',
+                rejected: '📋 განაცხადი განხილულია',
+            },
+            greeting: (name) => `გამარჯობა, ${name},`,
+            intros: {
+                approved: (businessName) => `კარგი ამბავი! <strong>${businessName}</strong> დამტკიცდა და უკვე განთავსებულია TELO Directory-ში.`,
+                rejected: (businessName) => `გმადლობთ, რომ წარმოადგინეთ <strong>${businessName}</strong>. სამწუხაროდ, თქვენი განაცხადის დამტკიცება ვერ მოხერხდა.`,
+            },
+            submissionId: 'განაცხადის ID',
+            reasonLabel: 'მიზეზი',
+            resubmit: 'შეგიძლიათ შეასწოროთ მონაცემები და ბიზნესი ხელახლა წარმოადგინოთ.',
+            viewListing: '🔗 განცხადების ნახვა',
+            viewStatus: 'განაცხადის სტატუსის ნახვა',
+            footerNote: 'ამ გადაწყვეტილებასთან დაკავშირებული კითხვების შემთხვევაში უპასუხეთ ამ წერილს და მიუთითეთ განაცხადის ID.',
+        },
+        emailChange: {
+            subject: '🔄 დაადასტურეთ ახალი ელ. ფოსტის მისამართი - TELO Directory',
+            heading: 'ელ. ფოსტის შეცვლის დადასტურება',
+            greeting: (name) => `გამარჯობა ${name},`,
+            intro: 'თქვენ მოითხოვეთ TELO Directory-ის ანგარიშის ელ. ფოსტის მისამართის შეცვლა.',
+            instruction: 'ახალი მისამართის დასადასტურებლად დააჭირეთ ქვემოთ მოცემულ ღილაკს:',
+            button: 'ახალი ელ. ფოსტის დადასტურება',
+            expiry: 'ბმული 24 საათის შემდეგ გაუქმდება.',
+            ignore: 'თუ ეს ცვლილება თქვენ არ მოგითხოვიათ, უგულებელყავით ეს წერილი.',
+            textIntro: (name) => `გამარჯობა ${name}, დაადასტურეთ ახალი ელ. ფოსტა:`,
+            codeSubject: '🔑 ელ. ფოსტის შეცვლის დადასტურების კოდი - TELO Directory',
+            codeHeading: 'ელ. ფოსტის შეცვლის მოთხოვნა',
+            codeIntro: 'თქვენ მოითხოვეთ ელ. ფოსტის მისამართის შეცვლა შემდეგზე:',
+            codeInstruction: 'ცვლილების დასასრულებლად შეიყვანეთ ეს კოდი:',
+            codeExpiry: 'უსაფრთხოებისთვის კოდი 10 წუთის შემდეგ გაუქმდება.',
+            codeText: (code, newEmail) => `ელ. ფოსტის შეცვლის კოდი: ${code}. ახალი ელ. ფოსტა: ${newEmail}. კოდი 10 წუთის შემდეგ გაუქმდება.`,
+        },
+        common: {
+            copyLink: 'თუ ღილაკი არ მუშაობს, დააკოპირეთ ეს ბმული და ჩასვით ბრაუზერში:',
+            securityLabel: '🔒 უსაფრთხოება:',
+            importantLabel: '⚠️ მნიშვნელოვანი:',
+            team: 'TELO Directory გუნდი',
+            footerTagline: 'ვაკავშირებთ ბიზნესებს მთელ საქართველოში 🇬🇪',
+            footerNote: 'კითხვების შემთხვევაში უპასუხეთ ამ წერილს ან დაუკავშირდით ჩვენს მხარდაჭერის გუნდს.',
+            regards: 'პატივისცემით,',
+        },
+    },
+
+    ru: {
+        verification: {
+            subject: (name) => `🎯 Подтвердите аккаунт TELO Directory - Добро пожаловать, ${name}!`,
+            title: 'Подтверждение email - TELO Directory',
+            tagline: 'Добро пожаловать в бизнес-сеть Грузии',
+            greeting: (name) => `Здравствуйте, ${name}! 👋`,
+            intro: 'Спасибо за регистрацию в TELO Directory! Мы рады, что вы присоединились к ведущей бизнес-платформе Грузии.',
+            instruction: 'Чтобы завершить регистрацию и получить доступ к аккаунту, подтвердите адрес электронной почты, нажав на кнопку ниже:',
+            button: '✅ Подтвердить email',
+            securityNote: 'В целях безопасности ссылка действительна 24 часа. Если вы не создавали аккаунт в TELO Directory, просто проигнорируйте это письмо.',
+            benefitsTitle: 'После подтверждения вы сможете:',
+            benefits: [
+                'Пользоваться личным кабинетом',
+                'Сохранять избранные компании и управлять ими',
+                'Общаться с другими представителями бизнеса',
+                'Разместить собственный бизнес (скоро)',
+            ],
+            textIntro: 'Добро пожаловать в TELO Directory! Подтвердите адрес электронной почты по ссылке:',
+            textExpiry: 'Ссылка действительна 24 часа.',
+            textIgnore: 'Если вы не создавали этот аккаунт, проигнорируйте это письмо.',
+        },
+        passwordReset: {
+            subject: '🔐 Запрос на сброс пароля - TELO Directory',
+            title: 'Сброс пароля - TELO Directory',
+            heading: '🔐 Сброс пароля',
+            tagline: 'Безопасность TELO Directory',
+            greeting: (name) => `Здравствуйте, ${name}! 👋`,
+            intro: 'Мы получили запрос на сброс пароля для вашего аккаунта TELO Directory.',
+            instruction: 'Если это были вы, нажмите на кнопку ниже, чтобы задать новый пароль:',
+            button: '🔄 Сбросить пароль',
+            securityNote: 'В целях безопасности ссылка действительна 30 минут. Если вы не запрашивали сброс пароля, проигнорируйте это письмо — ваш пароль не изменится.',
+            warningNote: 'Если вы продолжаете получать письма о сбросе пароля, которые не запрашивали, немедленно свяжитесь с нашей службой поддержки.',
+            tipsTitle: 'Для вашей безопасности:',
+            tips: [
+                'Выберите надёжный уникальный пароль',
+                'Никому не передавайте эту ссылку',
+                'Завершите сброс в течение 30 минут',
+                'Выйдите из аккаунта на других устройствах, если подозреваете несанкционированный доступ',
+            ],
+            team: 'Служба безопасности TELO Directory',
+            footerTagline: 'Защищаем бизнес по всей Грузии 🇬🇪',
+            footerNote: 'Если у вас есть вопросы или опасения, немедленно свяжитесь с нашей службой поддержки.',
+            textIntro: 'Мы получили запрос на сброс пароля для вашего аккаунта TELO Directory.',
+            textAction: 'Чтобы сбросить пароль, перейдите по ссылке:',
+            textExpiry: 'В целях безопасности ссылка действительна 30 минут.',
+            textIgnore: 'Если вы не запрашивали сброс, проигнорируйте это письмо.',
+            textSupport: 'По вопросам безопасности обращайтесь в службу поддержки.',
+        },
+        submissionConfirmation: {
+            subject: (businessName) => `✅ Заявка на размещение получена - ${businessName}`,
+            title: 'Заявка получена - TELO Directory',
+            heading: '✅ Заявка получена!',
+            thanks: (name) => `Спасибо, ${name}`,
+            greeting: (name) => `Здравствуйте, ${name},`,
+            intro: 'Ваша заявка на размещение бизнеса успешно получена и сейчас проверяется нашей командой.',
+            detailsTitle: '📋 Детали заявки',
+            submissionId: 'ID заявки',
+            businessName: 'Название компании',
+            categories: 'Категории',
+            cities: 'Города',
+            status: 'Статус',
+            pendingReview: 'На проверке',
+            nextStepsTitle: '🔄 Что дальше?',
+            nextSteps: [
+                'Наша команда рассмотрит заявку в течение <strong>2-3 рабочих дней</strong>',
+                'При необходимости мы свяжемся с вами для уточнения информации',
+                'После одобрения ваш бизнес появится в каталоге',
+                'Вы получите письмо, когда объявление будет опубликовано',
+            ],
+            important: 'Важно:',
+            saveNote: (id) => `Сохраните это письмо. ID вашей заявки: <code>${id}</code>.`,
+            questions: 'Если у вас есть вопросы по заявке, ответьте на это письмо и укажите ID заявки.',
+            footerNote: 'Это автоматическое подтверждение. Отвечайте, только если у вас есть вопросы.',
+            textReceived: 'Ваша заявка на размещение бизнеса получена!',
+            textSave: 'Сохраните это письмо.',
+            textQuestions: (id) => `Если у вас есть вопросы, ответьте на это письмо и укажите ID заявки: ${id}`,
+            trackStatus: 'Следить за рассмотрением заявки можно здесь:',
+        },
+        reportOutcome: {
+            subject: (businessName) => `📣 Результат проверки вашей жалобы - ${businessName}`,
+            title: 'Результат проверки жалобы - TELO Directory',
+            heading: '📣 Результат проверки жалобы',
+            greeting: 'Здравствуйте,',
+            intro: (businessName) => `Спасибо, что сообщили о проблеме с <strong>${businessName}</strong>. Наша команда рассмотрела вашу жалобу.`,
+            reportedIssues: 'Указанные проблемы',
+            outcome: 'Результат',
+            outcomes: {
+                resolved: 'Решено - объявление исправлено',
+                dismissed: 'Закрыто без изменений',
+            },
+            messageLabels: {
+                resolved: 'Комментарий нашей команды',
+                dismissed: 'Причина',
+            },
+            button: 'Посмотреть статус жалобы',
+            footerNote: 'Вы получили это письмо, потому что указали свой адрес, сообщая о проблеме с объявлением.',
+        },
+        submissionOutcome: {
+            subjects: {
+                approved: (businessName) => `🎉 Ваш бизнес опубликован - ${businessName}`,
+                rejected: (businessName) => `📋 Ваша заявка на размещение не одобрена - ${businessName}`,
+            },
+            title: 'Статус заявки - TELO Directory',
+            headings: {
+                approved: '🎉 Ваше объявление опубликовано!',
+                rejected: '📋 Заявка рассмотрена',
+            },
+            greeting: (name) => `Здравствуйте, ${name},`,
+            intros: {
+                approved: (businessName) => `Отличные новости! <strong>${businessName}</strong> одобрен и теперь размещён в TELO Directory.`,
+                rejected: (businessName) => `Спасибо за заявку на размещение <strong>${businessName}</strong>. К сожалению, мы не смогли её одобрить.`,
+            },
+            submissionId: 'ID заявки',
+            reasonLabel: 'Причина',
+            resubmit: 'Вы можете исправить данные и отправить заявку повторно.',
+            viewListing: '🔗 Открыть объявление',
+            viewStatus: 'Посмотреть статус заявки',
+            footerNote: 'Если у вас есть вопросы по этому решению, ответьте на это письмо и укажите ID заявки.',
+        },
+        emailChange: {
+            subject: '🔄 Подтвердите новый адрес электронной почты - TELO Directory',
+            heading: 'Подтверждение смены email',
+            greeting: (name) => `Здравствуйте, ${name},`,
+            intro: 'Вы запросили смену адреса электронной почты для аккаунта TELO Directory.',
+            instruction: 'Нажмите кнопку ниже, чтобы подтвердить новый адрес:',
+            button: 'Подтвердить новый email',
+            expiry: 'Ссылка действительна 24 часа.',
+            ignore: 'Если вы не запрашивали это изменение, просто проигнорируйте это письмо.',
+            textIntro: (name) => `Здравствуйте, ${name}, подтвердите новый адрес:`,
+            codeSubject: '🔑 Код подтверждения смены email - TELO Directory',
+            codeHeading: 'Запрос на смену email',
+            codeIntro: 'Вы запросили смену адреса электронной почты на:',
+            codeInstruction: 'Введите этот код, чтобы завершить смену:',
+            codeExpiry: 'В целях безопасности код действителен 10 минут.',
+            codeText: (code, newEmail) => `Код подтверждения смены email: ${code}. Новый email: ${newEmail}. Код действителен 10 минут.`,
+        },
+        common: {
+            copyLink: 'Если кнопка не работает, скопируйте эту ссылку и вставьте её в браузер:',
+            securityLabel: '🔒 Безопасность:',
+            importantLabel: '⚠️ Важно:',
+            team: 'Команда TELO Directory',
+            footerTagline: 'Объединяем бизнес по всей Грузии 🇬🇪',
+            footerNote: 'Если у вас есть вопросы, ответьте на это письмо или свяжитесь с нашей службой поддержки.',
+            regards: 'С уважением,',
+        },
+    },
+};
+
+/**
+ * Email copy for a language, falling back to the default language
+ */
+const getEmailTranslations = (language) =>
+    EMAIL_TRANSLATIONS[language] || EMAIL_TRANSLATIONS[DEFAULT_LANGUAGE];
+
+module.exports = {
+    EMAIL_TRANSLATIONS,
+    getEmailTranslations,
+};
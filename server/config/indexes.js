@@ -18,18 +18,21 @@ const createIndexes = async () => {
         console.log("Creating database indexes...");
 
         // 🎯 Core Compound Index - Main Multi-Select Performance
-        // Handles: categories[], cities[], businessTypes[], verified, pagination
+        // Handles: categories[], businessTypes[], verified, pagination
         // This is the PRIMARY index for your new multi-select system
+        // (a compound index may hold only one array field - cities[] use
+        // cities_analytics below). Named apart from the old single
+        // category/city indexes, which the migration drops
+        // (scripts/migrateBusinessCategoriesCities.js).
         await Business.collection.createIndex(
             {
-                category: 1,
-                city: 1,
+                categories: 1,
                 businessType: 1,
                 verified: -1,
                 createdAt: -1,
             },
             {
-                name: "core_multiselect_compound",
+                name: "core_multiselect_categories",
                 background: true,
             }
         );
@@ -40,11 +43,15 @@ const createIndexes = async () => {
             const existingIndexes = await Business.collection
                 .listIndexes()
                 .toArray();
+            // Older versions of text_search_index didn't cover searchKeywords
+            // or the per-language translations
             const conflictingIndex = existingIndexes.find(
                 (idx) =>
                     idx.key &&
                     idx.key._fts === "text" &&
-                    idx.name !== "text_search_index"
+                    (idx.name !== "text_search_index" ||
+                        !idx.weights?.searchKeywords ||
+                        !idx.weights?.["translations.ka.businessName"])
             );
 
             if (conflictingIndex) {
@@ -63,13 +70,26 @@ const createIndexes = async () => {
                 {
                     businessName: "text",
                     shortDescription: "text",
+                    "translations.ka.businessName": "text",
+                    "translations.ka.shortDescription": "text",
+                    "translations.en.businessName": "text",
+                    "translations.en.shortDescription": "text",
+                    searchKeywords: "text",
                 },
                 {
                     name: "text_search_index",
                     background: true,
+                    // No stemming/stop words: listings mix Georgian, English
+                    // and transliterated text
+                    default_language: "none",
                     weights: {
                         businessName: 10, // Business name more important
                         shortDescription: 5, // Description secondary
+                        "translations.ka.businessName": 10,
+                        "translations.ka.shortDescription": 5,
+                        "translations.en.businessName": 10,
+                        "translations.en.shortDescription": 5,
+                        searchKeywords: 3, // Transliterated fallback
                     },
                 }
             );
@@ -125,11 +145,11 @@ const createIndexes = async () => {
         try {
             await Business.collection.createIndex(
                 {
-                    category: 1,
+                    categories: 1,
                     createdAt: -1,
                 },
                 {
-                    name: "category_analytics",
+                    name: "categories_analytics",
                     background: true,
                 }
             );
@@ -145,11 +165,11 @@ const createIndexes = async () => {
         try {
             await Business.collection.createIndex(
                 {
-                    city: 1,
+                    cities: 1,
                     createdAt: -1,
                 },
                 {
-                    name: "city_analytics",
+                    name: "cities_analytics",
                     background: true,
                 }
             );
@@ -162,6 +182,52 @@ const createIndexes = async () => {
             }
         }
 
+        // 🕒 Open Now Filter - weekly periods by day (multikey)
+        await Business.collection.createIndex(
+            {
+                "openingHours.weekly.day": 1,
+                "openingHours.weekly.open": 1,
+            },
+            {
+                name: "opening_hours_weekly",
+                background: true,
+            }
+        );
+
+        // 📍 Geo Index - near/radius search and distance sort
+        await Business.collection.createIndex(
+            {
+                location: "2dsphere",
+            },
+            {
+                name: "location_2dsphere",
+                background: true,
+            }
+        );
+
+        // ⏱️ Supporting collections - one rating/review per user, one
+        // pending claim/edit, unique usernames and keys, session and outbox
+        // expiry all rely on unique/TTL indexes, which autoIndex skips
+        // outside development
+        const supportingModels = [
+            "Rating",
+            "Review",
+            "UserSession",
+            "AdminUser",
+            "AdminAuditLog",
+            "BusinessClaim",
+            "BusinessEditRequest",
+            "RateLimitCounter",
+            "PendingRegistration",
+            "ReportReason",
+            "BusinessReport",
+            "EmailMessage",
+        ];
+        for (const modelName of supportingModels) {
+            await require(`../models/${modelName}`).createIndexes();
+        }
+        console.log(`✅ Created ${supportingModels.join(", ")} indexes`);
+
         console.log("✅ All indexes created successfully!");
 
         // List all indexes for verification
@@ -187,10 +253,14 @@ const dropIndexes = async () => {
         console.log("Dropping custom indexes...");
 
         const indexesToDrop = [
-            "core_multiselect_compound",
+            "core_multiselect_categories",
             "text_search_index",
             "sort_backup_index",
             "business_id_unique",
+            "categories_analytics",
+            "cities_analytics",
+            // Single category/city versions
+            "core_multiselect_compound",
             "category_analytics",
             "city_analytics",
         ];
@@ -232,12 +302,12 @@ const analyzeIndexes = async () => {
         const sampleQueries = [
             // Multi-select query
             {
-                category: { $in: ["Painting", "Plumbing"] },
-                city: { $in: ["Tbilisi", "Batumi"] },
+                categories: { $in: ["Painting", "Plumbing"] },
+                cities: { $in: ["Tbilisi", "Batumi", "All Georgia"] },
                 businessType: { $in: ["individual"] },
             },
             // Single filter query
-            { category: "Painting" },
+            { categories: "Painting" },
             // Text search
             { $text: { $search: "renovation" } },
             // Homepage query
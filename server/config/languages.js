@@ -0,0 +1,64 @@
+// server/config/languages.js
+// Supported interface languages (Georgian, English, Russian)
+
+const SUPPORTED_LANGUAGES = ['ka', 'en', 'ru'];
+
+// English stays the default so existing users and emails are unchanged
+const DEFAULT_LANGUAGE = 'en';
+
+const isSupportedLanguage = (language) =>
+    SUPPORTED_LANGUAGES.includes(language);
+
+/**
+ * Map a language tag ("ru", "ru-RU", "KA") to a supported code
+ * @returns {string|null}
+ */
+const normalizeLanguage = (value) => {
+    if (!value || typeof value !== 'string') return null;
+    const code = value.trim().toLowerCase().split(/[-_]/)[0];
+    return isSupportedLanguage(code) ? code : null;
+};
+
+/**
+ * Pick the best supported language from an Accept-Language header,
+ * honouring q-values ("ka-GE,ka;q=0.9,en;q=0.8")
+ * @returns {string|null}
+ */
+const parseAcceptLanguage = (header) => {
+    if (!header || typeof header !== 'string') return null;
+
+    const ranked = header
+        .split(',')
+        .map((part) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.find((p) => p.trim().startsWith('q='));
+            const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+            return { language: normalizeLanguage(tag), q: isNaN(q) ? 0 : q };
+        })
+        .filter((entry) => entry.language && entry.q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    return ranked.length > 0 ? ranked[0].language : null;
+};
+
+/**
+ * Language for a request: explicit `lang` query/body value first, then the
+ * Accept-Language header, then the fallback
+ */
+const getRequestLanguage = (req, fallback = DEFAULT_LANGUAGE) => {
+    return (
+        normalizeLanguage(req.query?.lang) ||
+        normalizeLanguage(req.body?.language) ||
+        parseAcceptLanguage(req.headers?.['accept-language']) ||
+        fallback
+    );
+};
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    isSupportedLanguage,
+    normalizeLanguage,
+    parseAcceptLanguage,
+    getRequestLanguage,
+};
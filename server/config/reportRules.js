@@ -0,0 +1,30 @@
+// server/config/reportRules.js
+// Automatic actions taken on public business reports
+// (applied by services/reportAutomationService.js). Issue types are
+// ReportReason keys.
+
+// Non-negative integer from the environment; 0 turns a rule off
+const readCount = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+const REPORT_RULES = {
+    // Hide a listing from the public directory once this many different
+    // IPs report it closed within the window. It stays hidden until an
+    // admin restores it from Reports Management.
+    autoHide: {
+        issueType: 'business-closed',
+        threshold: readCount(process.env.REPORT_AUTO_HIDE_THRESHOLD, 3),
+        windowHours: readCount(process.env.REPORT_AUTO_HIDE_WINDOW_HOURS, 72) || 72,
+    },
+
+    // Check the listing's image files when they are reported broken and
+    // resolve the report if every file is readable
+    imageCheck: {
+        issueType: 'broken-image',
+        enabled: process.env.REPORT_IMAGE_CHECK !== 'false',
+    },
+};
+
+module.exports = { REPORT_RULES };
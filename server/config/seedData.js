@@ -22,9 +22,9 @@ const seedCategories = [
 const seedBusinesses = [
     {
         businessName: "Premium Construction Ltd",
-        category: "General Construction",
+        categories: ["General Construction", "Roofing"],
         businessType: "company",
-        city: "Tbilisi",
+        cities: ["Tbilisi", "Rustavi"],
         mobile: "+995 555 123 456",
         shortDescription:
             "Professional construction services with 10+ years experience",
@@ -36,18 +36,18 @@ const seedBusinesses = [
     },
     {
         businessName: "Kitchen Masters",
-        category: "Kitchen Renovation",
+        categories: ["Kitchen Renovation"],
         businessType: "company",
-        city: "Batumi",
+        cities: ["All Georgia"],
         mobile: "+995 555 234 567",
         shortDescription: "Expert kitchen renovations and custom designs",
         verified: false,
     },
     {
         businessName: "Giorgi Painter",
-        category: "Painting",
+        categories: ["Painting"],
         businessType: "individual",
-        city: "Kutaisi",
+        cities: ["Kutaisi"],
         mobile: "+995 555 345 678",
         shortDescription: "Quality painting services for homes and offices",
         verified: true,
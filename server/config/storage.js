@@ -0,0 +1,44 @@
+// server/config/storage.js
+// Where uploaded images are stored (services/storageService.js).
+// Stored image paths are "/uploads/<key>" whatever the backend, e.g.
+// "/uploads/businesses/business-<id>-...-320.webp" has the key
+// "businesses/business-<id>-...-320.webp", so listings don't change when
+// files move between backends (scripts/migrateStorage.js).
+const path = require('path');
+require('dotenv').config();
+
+const STORAGE_DRIVERS = ['local', 's3'];
+
+const STORAGE_CONFIG = {
+    // "local" (uploads folder of the server) or "s3" (any S3-compatible
+    // service - AWS S3, MinIO, Cloudflare R2, ...)
+    driver: STORAGE_DRIVERS.includes(process.env.STORAGE_DRIVER)
+        ? process.env.STORAGE_DRIVER
+        : 'local',
+
+    local: {
+        root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..', 'uploads'),
+    },
+
+    // For a local MinIO: S3_ENDPOINT=http://localhost:9000,
+    // S3_FORCE_PATH_STYLE=true, S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY
+    // from the MinIO root user
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // Optional key prefix inside the bucket, e.g. "telo/"
+        prefix: process.env.S3_PREFIX || '',
+        // Public base URL of the bucket or its CDN. Without it, images are
+        // streamed from the bucket through the server's /uploads route.
+        publicUrl: (process.env.S3_PUBLIC_URL || '').replace(/\/$/, ''),
+    },
+
+    // Cache-Control of uploaded images (their names never repeat)
+    cacheMaxAgeSeconds: 24 * 60 * 60,
+};
+
+module.exports = { STORAGE_CONFIG, STORAGE_DRIVERS };
@@ -1,32 +1,27 @@
 // server/middleware/auth.js
 const jwt = require("jsonwebtoken");
-
-// Admin credentials - MUST be set in environment variables
-const ADMIN_CREDENTIALS = {
-    username: process.env.ADMIN_USERNAME,
-    password: process.env.ADMIN_PASSWORD,
-};
+const AdminUser = require("../models/AdminUser");
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
-// Validate required environment variables at startup
-if (!ADMIN_CREDENTIALS.username || !ADMIN_CREDENTIALS.password) {
-    console.error('❌ SECURITY ERROR: ADMIN_USERNAME and ADMIN_PASSWORD must be set in environment variables');
-    process.exit(1);
-}
-
 if (!JWT_SECRET) {
     console.error('❌ SECURITY ERROR: JWT_SECRET must be set in environment variables');
     process.exit(1);
 }
 
 // Generate token
-const generateToken = (username) => {
-    return jwt.sign({ username }, JWT_SECRET, { expiresIn: "24h" }); // Change to "24h" for production
+const generateToken = (admin) => {
+    return jwt.sign(
+        { adminId: admin._id, username: admin.username, role: admin.role },
+        JWT_SECRET,
+        { expiresIn: "24h" }
+    );
 };
 
 // Verify admin token
-const verifyAdmin = (req, res, next) => {
+// Loads the admin account on every request so deactivation and role
+// changes take effect without waiting for the token to expire
+const verifyAdmin = async (req, res, next) => {
     const token = req.headers.authorization?.split(" ")[1];
 
     if (!token) {
@@ -37,7 +32,19 @@ const verifyAdmin = (req, res, next) => {
 
     try {
         const decoded = jwt.verify(token, JWT_SECRET);
-        req.admin = decoded;
+
+        // Tokens issued before admin accounts existed carry no adminId
+        const admin = decoded.adminId
+            ? await AdminUser.findById(decoded.adminId)
+            : null;
+
+        if (!admin || !admin.isActive) {
+            return res
+                .status(401)
+                .json({ error: "Admin account not found or deactivated" });
+        }
+
+        req.admin = admin;
         next();
     } catch (error) {
         // Pass JWT errors to centralized error handler for proper 401 responses
@@ -46,4 +53,18 @@ const verifyAdmin = (req, res, next) => {
     }
 };
 
-module.exports = { ADMIN_CREDENTIALS, generateToken, verifyAdmin };
+// Require a role permission (see ROLE_PERMISSIONS in models/AdminUser.js)
+// Must run after verifyAdmin
+const requirePermission = (permission) => (req, res, next) => {
+    if (!req.admin?.can(permission)) {
+        return res.status(403).json({
+            error: "You do not have permission to perform this action",
+            code: "INSUFFICIENT_PERMISSIONS",
+            requiredPermission: permission,
+        });
+    }
+
+    next();
+};
+
+module.exports = { generateToken, verifyAdmin, requirePermission };
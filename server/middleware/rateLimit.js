@@ -0,0 +1,316 @@
+// server/middleware/rateLimit.js
+const RateLimitCounter = require("../models/RateLimitCounter");
+
+/**
+ * Rate Limiting
+ *
+ * One module for every rate limit in the API:
+ * - createRateLimiter() builds a limiter with `middleware` for routes and
+ *   `consume`/`peek`/`reset` for services (e.g. emailService)
+ * - Counters live in a pluggable store. MongoStore is shared by all server
+ *   processes and survives restarts; MemoryStore is for local development
+ *   and single-process setups. Pick one with RATE_LIMIT_STORE=mongo|memory.
+ * - Responses carry the standard RateLimit-Limit / RateLimit-Remaining /
+ *   RateLimit-Reset headers, plus Retry-After on 429
+ *
+ * Windows start at a key's first hit and last `windowMs`. If the store
+ * fails, requests are let through (and logged) rather than blocking users.
+ */
+
+/**
+ * In-process store. Counters are lost on restart and not shared between
+ * processes.
+ */
+class MemoryStore {
+    constructor() {
+        this.counters = new Map();
+
+        // Drop expired windows once a minute
+        this.cleanupInterval = setInterval(() => {
+            const now = Date.now();
+            this.counters.forEach((counter, key) => {
+                if (counter.resetAt <= now) this.counters.delete(key);
+            });
+        }, 60 * 1000);
+        this.cleanupInterval.unref();
+    }
+
+    getActive(key) {
+        const counter = this.counters.get(key);
+        return counter && counter.resetAt > Date.now() ? counter : null;
+    }
+
+    async increment(key, windowMs) {
+        let counter = this.getActive(key);
+        if (!counter) {
+            counter = { count: 0, resetAt: Date.now() + windowMs };
+            this.counters.set(key, counter);
+        }
+        counter.count++;
+        return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    }
+
+    async get(key) {
+        const counter = this.getActive(key);
+        return counter
+            ? { count: counter.count, resetAt: new Date(counter.resetAt) }
+            : null;
+    }
+
+    async decrement(key) {
+        const counter = this.getActive(key);
+        if (counter && counter.count > 0) counter.count--;
+    }
+
+    async reset(key) {
+        this.counters.delete(key);
+    }
+}
+
+/**
+ * MongoDB store (RateLimitCounter collection). Safe with several
+ * processes: increments are atomic and a new window is only started when
+ * the previous one has expired.
+ */
+class MongoStore {
+    async increment(key, windowMs) {
+        const now = new Date();
+
+        const current = await RateLimitCounter.findOneAndUpdate(
+            { key, resetAt: { $gt: now } },
+            { $inc: { count: 1 } },
+            { new: true }
+        ).lean();
+
+        if (current) {
+            return { count: current.count, resetAt: current.resetAt };
+        }
+
+        // No window yet, or it expired: start a new one
+        try {
+            const started = await RateLimitCounter.findOneAndUpdate(
+                { key, resetAt: { $lte: now } },
+                {
+                    $set: {
+                        count: 1,
+                        resetAt: new Date(now.getTime() + windowMs),
+                    },
+                },
+                { new: true, upsert: true }
+            ).lean();
+
+            return { count: started.count, resetAt: started.resetAt };
+        } catch (error) {
+            // Another process started the window first - count in it
+            if (error.code === 11000) return this.increment(key, windowMs);
+            throw error;
+        }
+    }
+
+    async get(key) {
+        const counter = await RateLimitCounter.findOne({
+            key,
+            resetAt: { $gt: new Date() },
+        }).lean();
+
+        return counter
+            ? { count: counter.count, resetAt: counter.resetAt }
+            : null;
+    }
+
+    async decrement(key) {
+        await RateLimitCounter.updateOne(
+            { key, resetAt: { $gt: new Date() }, count: { $gt: 0 } },
+            { $inc: { count: -1 } }
+        );
+    }
+
+    async reset(key) {
+        await RateLimitCounter.deleteOne({ key });
+    }
+}
+
+let store =
+    process.env.RATE_LIMIT_STORE === "memory"
+        ? new MemoryStore()
+        : new MongoStore();
+
+/**
+ * Swap the store used by all limiters (e.g. a MemoryStore in scripts)
+ */
+const setStore = (newStore) => {
+    store = newStore;
+};
+
+const toSeconds = (resetAt) =>
+    Math.max(0, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options
+ * @param {string} options.name - Unique limiter name, used in counter keys
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Allowed hits per window
+ * @param {Function} [options.keyGenerator] - (req) => client key, default IP
+ * @param {string} [options.message] - Error message for 429 responses
+ * @param {boolean} [options.skipSuccessfulRequests] - Only count responses
+ *        with status >= 400 (failed logins)
+ * @returns {{ middleware, consume, peek, reset }}
+ */
+const createRateLimiter = ({
+    name,
+    windowMs,
+    max,
+    keyGenerator = (req) => req.ip || "unknown",
+    message = "Too many requests. Please try again later.",
+    skipSuccessfulRequests = false,
+}) => {
+    const storeKey = (key) => `${name}:${key}`;
+
+    const toResult = (counter) => {
+        const count = counter?.count || 0;
+        return {
+            allowed: count <= max,
+            limit: max,
+            remaining: Math.max(0, max - count),
+            resetSeconds: counter
+                ? toSeconds(counter.resetAt)
+                : Math.ceil(windowMs / 1000),
+        };
+    };
+
+    /**
+     * Count a hit for `key`
+     * @returns {Promise<{allowed, limit, remaining, resetSeconds}>}
+     */
+    const consume = async (key) =>
+        toResult(await store.increment(storeKey(key), windowMs));
+
+    /**
+     * Would one more hit for `key` be allowed? Doesn't count a hit.
+     */
+    const peek = async (key) => {
+        const counter = await store.get(storeKey(key));
+        const result = toResult(counter);
+        return { ...result, allowed: (counter?.count || 0) < max };
+    };
+
+    const reset = (key) => store.reset(storeKey(key));
+
+    const middleware = async (req, res, next) => {
+        const key = keyGenerator(req);
+        let result;
+
+        try {
+            result = await consume(key);
+        } catch (error) {
+            console.error(`Rate limit store error (${name}):`, error.message);
+            return next();
+        }
+
+        res.set({
+            "RateLimit-Limit": String(max),
+            "RateLimit-Remaining": String(result.remaining),
+            "RateLimit-Reset": String(result.resetSeconds),
+            "RateLimit-Policy": `${max};w=${Math.ceil(windowMs / 1000)}`,
+        });
+
+        if (!result.allowed) {
+            res.set("Retry-After", String(result.resetSeconds));
+            return res.status(429).json({
+                error: message,
+                code: "RATE_LIMIT_EXCEEDED",
+                retryAfter: result.resetSeconds,
+                remainingSeconds: result.resetSeconds,
+            });
+        }
+
+        if (skipSuccessfulRequests) {
+            res.on("finish", () => {
+                if (res.statusCode < 400) {
+                    store.decrement(storeKey(key)).catch((error) => {
+                        console.error(
+                            `Rate limit store error (${name}):`,
+                            error.message
+                        );
+                    });
+                }
+            });
+        }
+
+        next();
+    };
+
+    return { middleware, consume, peek, reset };
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Route limiters (per client IP)
+const registerLimiter = createRateLimiter({
+    name: "register",
+    windowMs: HOUR,
+    max: 5,
+    message: "Too many registration attempts. Please try again later.",
+});
+
+const loginLimiter = createRateLimiter({
+    name: "login",
+    windowMs: 15 * MINUTE,
+    max: 10,
+    message: "Too many failed login attempts. Please try again later.",
+    skipSuccessfulRequests: true,
+});
+
+const adminLoginLimiter = createRateLimiter({
+    name: "admin_login",
+    windowMs: 15 * MINUTE,
+    max: 5,
+    message: "Too many failed login attempts. Please try again later.",
+    skipSuccessfulRequests: true,
+});
+
+const forgotPasswordLimiter = createRateLimiter({
+    name: "forgot_password",
+    windowMs: HOUR,
+    max: 5,
+    message: "Too many password reset requests. Please try again later.",
+});
+
+const resendVerificationLimiter = createRateLimiter({
+    name: "resend_verification",
+    windowMs: HOUR,
+    max: 5,
+    message: "Too many verification email requests. Please try again later.",
+});
+
+const submissionLimiter = createRateLimiter({
+    name: "submissions",
+    windowMs: HOUR,
+    max: 5,
+    message: "Too many business submissions. Please try again later.",
+});
+
+const reportLimiter = createRateLimiter({
+    name: "reports",
+    windowMs: HOUR,
+    max: 5,
+    message:
+        "Too many reports submitted. Please wait before submitting another report.",
+});
+
+module.exports = {
+    createRateLimiter,
+    setStore,
+    MemoryStore,
+    MongoStore,
+    registerLimiter: registerLimiter.middleware,
+    loginLimiter: loginLimiter.middleware,
+    adminLoginLimiter: adminLoginLimiter.middleware,
+    forgotPasswordLimiter: forgotPasswordLimiter.middleware,
+    resendVerificationLimiter: resendVerificationLimiter.middleware,
+    submissionLimiter: submissionLimiter.middleware,
+    reportLimiter: reportLimiter.middleware,
+};
@@ -1,8 +1,5 @@
 // server/middleware/upload.js
 const multer = require("multer");
-const sharp = require("sharp");
-const path = require("path");
-const fs = require("fs");
 
 // Multer configuration for memory storage
 const storage = multer.memoryStorage();
@@ -23,24 +20,5 @@ const upload = multer({
     },
 });
 
-// Image processing function
-const processImage = async (buffer, filename) => {
-    const uploadsDir = path.join(__dirname, "..", process.env.UPLOAD_PATH || "uploads", "businesses");
-
-    // Ensure directory exists
-    if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-
-    const filepath = path.join(uploadsDir, filename);
-
-    // Resize and compress image
-    await sharp(buffer)
-        .resize(400, 400, { fit: "cover" })
-        .jpeg({ quality: 80 })
-        .toFile(filepath);
-
-    return `/${process.env.UPLOAD_PATH || "uploads"}/businesses/${filename}`;
-};
-
-module.exports = { upload, processImage };
+// Uploaded images are processed by services/imageProcessingService.js
+module.exports = { upload };
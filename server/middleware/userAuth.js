@@ -1,6 +1,8 @@
 // server/middleware/userAuth.js
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const UserSession = require("../models/UserSession");
 
 /**
  * User Authentication Middleware
@@ -38,14 +40,19 @@ const REFRESH_TOKEN_EXPIRY = process.env.REFRESH_TOKEN_EXPIRY || "7d"; // Long-l
  * Refresh tokens are used only to generate new access tokens and last longer.
  * This dual-token approach provides both security and user convenience.
  *
+ * Both tokens carry the session ID (sid); the refresh token also carries a
+ * one-time token ID (jti) that must match the session's current tokenId.
+ *
  * @param {string} userId - MongoDB ObjectId of the user
+ * @param {Object} session - { sessionId, tokenId } of the UserSession
  * @returns {Object} - Object containing accessToken and refreshToken
  */
-const generateTokenPair = (userId) => {
+const generateTokenPair = (userId, { sessionId, tokenId }) => {
     const accessToken = jwt.sign(
         {
             userId: userId.toString(), // Ensure string format for consistency
             type: "access",
+            sid: sessionId.toString(),
             iat: Math.floor(Date.now() / 1000), // Issued at timestamp
         },
         JWT_ACCESS_SECRET,
@@ -56,15 +63,61 @@ const generateTokenPair = (userId) => {
         {
             userId: userId.toString(),
             type: "refresh",
+            sid: sessionId.toString(),
             iat: Math.floor(Date.now() / 1000),
         },
         JWT_REFRESH_SECRET,
-        { expiresIn: REFRESH_TOKEN_EXPIRY }
+        { expiresIn: REFRESH_TOKEN_EXPIRY, jwtid: tokenId }
     );
 
     return { accessToken, refreshToken };
 };
 
+// Helper: new random refresh token ID
+const generateTokenId = () => crypto.randomBytes(16).toString("hex");
+
+// Helper: expiry date of a freshly signed refresh token
+const getTokenExpiry = (refreshToken) =>
+    new Date(jwt.decode(refreshToken).exp * 1000);
+
+// Helper: client details recorded on the session
+const getClientInfo = (req) => ({
+    userAgent: (req.get("user-agent") || "").slice(0, 500),
+    ipAddress:
+        req.ip ||
+        req.connection?.remoteAddress ||
+        req.headers["x-forwarded-for"]?.split(",")[0] ||
+        "",
+});
+
+/**
+ * Start a new session for a user and issue its first token pair
+ *
+ * Use this wherever a user signs in (login, email verification auto-login).
+ *
+ * @param {string} userId - MongoDB ObjectId of the user
+ * @param {Object} req - Express request, for user agent and IP
+ * @returns {Object} - { accessToken, refreshToken, sessionId }
+ */
+const createUserSession = async (userId, req) => {
+    const session = new UserSession({
+        user: userId,
+        tokenId: generateTokenId(),
+        ...getClientInfo(req),
+        expiresAt: new Date(), // replaced below once the token is signed
+    });
+
+    const tokens = generateTokenPair(userId, {
+        sessionId: session._id,
+        tokenId: session.tokenId,
+    });
+
+    session.expiresAt = getTokenExpiry(tokens.refreshToken);
+    await session.save();
+
+    return { ...tokens, sessionId: session._id };
+};
+
 /**
  * Verify access token middleware
  *
@@ -99,6 +152,15 @@ const verifyAccessToken = async (req, res, next) => {
             });
         }
 
+        // Reject access tokens whose session was revoked (logout, password change)
+        // Tokens issued before sessions existed have no sid and simply expire
+        if (decoded.sid && !(await UserSession.isSessionActive(decoded.sid))) {
+            return res.status(401).json({
+                error: "Session has been revoked. Please login again.",
+                code: "SESSION_REVOKED",
+            });
+        }
+
         // Get user from database with fresh data
         // Exclude password field for security
         const user = await User.findById(decoded.userId).select("-password");
@@ -131,6 +193,7 @@ const verifyAccessToken = async (req, res, next) => {
 
         // Attach user object to request for use in route handlers
         req.user = user;
+        req.sessionId = decoded.sid || null;
         next();
     } catch (error) {
         // Handle specific JWT errors with appropriate HTTP status codes
@@ -184,7 +247,11 @@ const optionalAuth = async (req, res, next) => {
         const token = authHeader.split(" ")[1];
         const decoded = jwt.verify(token, JWT_ACCESS_SECRET);
 
-        if (decoded.type === "access") {
+        // A revoked session counts as signed out, as in verifyAccessToken
+        const sessionActive =
+            !decoded.sid || (await UserSession.isSessionActive(decoded.sid));
+
+        if (decoded.type === "access" && sessionActive) {
             const user = await User.findById(decoded.userId).select(
                 "-password"
             );
@@ -211,6 +278,10 @@ const optionalAuth = async (req, res, next) => {
  * UPDATED: This function now checks email verification status during refresh.
  * This ensures that if a user becomes unverified somehow, their session
  * will be invalidated on the next token refresh.
+ *
+ * Refresh tokens are single use: every call rotates the session's tokenId.
+ * A refresh token that was already rotated is treated as stolen and the
+ * whole session is revoked.
  */
 const refreshAccessToken = async (req, res) => {
     try {
@@ -233,6 +304,36 @@ const refreshAccessToken = async (req, res) => {
             });
         }
 
+        // Refresh tokens issued before sessions existed can't be rotated
+        if (!decoded.sid || !decoded.jti) {
+            return res.status(401).json({
+                error: "Session expired. Please login again.",
+                code: "INVALID_REFRESH_TOKEN",
+            });
+        }
+
+        const session = await UserSession.findById(decoded.sid);
+
+        if (!session || session.revokedAt || session.user.toString() !== decoded.userId) {
+            return res.status(401).json({
+                error: "Session has been revoked. Please login again.",
+                code: "SESSION_REVOKED",
+            });
+        }
+
+        // Token reuse: this refresh token was already exchanged once
+        if (session.tokenId !== decoded.jti) {
+            await session.revoke("token_reuse");
+            console.warn(
+                `⚠️ Refresh token reuse detected for user ${decoded.userId}, session ${session._id} revoked`
+            );
+
+            return res.status(401).json({
+                error: "Session has been revoked for security reasons. Please login again.",
+                code: "REFRESH_TOKEN_REUSED",
+            });
+        }
+
         // Check if user still exists and account is in good standing
         const user = await User.findById(decoded.userId);
         if (!user) {
@@ -262,8 +363,32 @@ const refreshAccessToken = async (req, res) => {
             });
         }
 
-        // Generate new token pair
-        const tokens = generateTokenPair(user._id);
+        // Rotate: issue a new pair and make it the only valid refresh token.
+        // The tokenId condition makes concurrent refreshes of one token fail
+        const newTokenId = generateTokenId();
+        const tokens = generateTokenPair(user._id, {
+            sessionId: session._id,
+            tokenId: newTokenId,
+        });
+
+        const rotated = await UserSession.findOneAndUpdate(
+            { _id: session._id, tokenId: decoded.jti, revokedAt: null },
+            {
+                $set: {
+                    tokenId: newTokenId,
+                    lastUsedAt: new Date(),
+                    expiresAt: getTokenExpiry(tokens.refreshToken),
+                    ipAddress: getClientInfo(req).ipAddress,
+                },
+            }
+        );
+
+        if (!rotated) {
+            return res.status(401).json({
+                error: "Refresh token was already used. Please login again.",
+                code: "REFRESH_TOKEN_REUSED",
+            });
+        }
 
         // Return new tokens with minimal user data
         res.json({
@@ -361,6 +486,7 @@ const checkResourceOwnership = (req, res, next) => {
 // Export all authentication functions and utilities
 module.exports = {
     generateTokenPair,
+    createUserSession,
     verifyAccessToken,
     optionalAuth,
     refreshAccessToken,
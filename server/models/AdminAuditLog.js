@@ -0,0 +1,127 @@
+// server/models/AdminAuditLog.js
+const mongoose = require("mongoose");
+
+/**
+ * AdminAuditLog Schema
+ *
+ * One document per mutating admin action: who did it, what they did,
+ * to which record, what changed and from where. Entries are written by
+ * services/auditLogService.js and are append-only - every update and
+ * delete path on the model is blocked below.
+ */
+const changeSchema = new mongoose.Schema(
+    {
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed, default: null },
+        after: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    { _id: false }
+);
+
+const adminAuditLogSchema = new mongoose.Schema(
+    {
+        // Snapshot of the actor so entries stay readable after the
+        // admin account is renamed or deleted
+        actor: {
+            adminId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "AdminUser",
+                default: null,
+            },
+            username: { type: String, required: true },
+            role: { type: String, default: null },
+        },
+
+        // "<targetType>.<verb>", e.g. "business.verify", "report.status"
+        action: {
+            type: String,
+            required: true,
+            index: true,
+        },
+
+        targetType: {
+            type: String,
+            required: true,
+            enum: [
+                "business",
+                "claim",
+                "category",
+                "submission",
+                "report",
+                "review",
+                "admin",
+                "email",
+                "system",
+            ],
+        },
+
+        // Omitted for bulk and system actions (see metadata.targetIds)
+        targetId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+        },
+
+        // Human-readable name at the time of the action
+        targetLabel: {
+            type: String,
+            default: "",
+        },
+
+        changes: {
+            type: [changeSchema],
+            default: [],
+        },
+
+        // Extra context, e.g. bulk IDs or cleanup results
+        metadata: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+
+        ipAddress: {
+            type: String,
+            default: "",
+        },
+
+        userAgent: {
+            type: String,
+            default: "",
+            maxlength: 500,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ "actor.adminId": 1, createdAt: -1 });
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// ===== APPEND-ONLY GUARDS =====
+
+const rejectMutation = function () {
+    throw new Error("Audit log entries cannot be modified or deleted");
+};
+
+adminAuditLogSchema.pre("save", function (next) {
+    if (!this.isNew) {
+        return next(new Error("Audit log entries cannot be modified"));
+    }
+    next();
+});
+
+[
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+].forEach((operation) => {
+    adminAuditLogSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model("AdminAuditLog", adminAuditLogSchema);
@@ -0,0 +1,221 @@
+// server/models/AdminUser.js
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+
+/**
+ * Admin roles and what each of them may do
+ *
+ * - superadmin: everything, including admin accounts, the audit log, the
+ *   email outbox, site users and the server status
+ * - editor: businesses, categories and submissions
+ * - moderator: reports, reviews and submissions
+ *
+ * Every role can read the dashboard overview. Route handlers check permissions
+ * with requirePermission() from middleware/auth.js.
+ */
+const ADMIN_ROLES = ["superadmin", "editor", "moderator"];
+
+const ROLE_PERMISSIONS = {
+    superadmin: [
+        "businesses:read",
+        "businesses:write",
+        "categories:read",
+        "categories:write",
+        "submissions:read",
+        "submissions:review",
+        "submissions:delete",
+        "reports:read",
+        "reports:write",
+        "reviews:read",
+        "reviews:write",
+        "admins:manage",
+        "audit:read",
+        "emails:read",
+        "emails:write",
+        "dashboard:read",
+        "system:read",
+        "users:read",
+        "users:manage",
+    ],
+    editor: [
+        "businesses:read",
+        "businesses:write",
+        "categories:read",
+        "categories:write",
+        "submissions:read",
+        "submissions:review",
+        "reports:read",
+        "dashboard:read",
+    ],
+    moderator: [
+        "businesses:read",
+        "categories:read",
+        "submissions:read",
+        "submissions:review",
+        "reports:read",
+        "reports:write",
+        "reviews:read",
+        "reviews:write",
+        "dashboard:read",
+    ],
+};
+
+/**
+ * AdminUser Schema
+ *
+ * One document per person with access to the admin dashboard.
+ * Passwords are hashed on save, like User passwords.
+ */
+const adminUserSchema = new mongoose.Schema(
+    {
+        username: {
+            type: String,
+            required: [true, "Username is required"],
+            unique: true,
+            trim: true,
+            lowercase: true,
+            minlength: [3, "Username must be at least 3 characters"],
+            maxlength: [50, "Username cannot exceed 50 characters"],
+            match: [
+                /^[a-z0-9._-]+$/,
+                "Username can only contain letters, numbers, dots, dashes and underscores",
+            ],
+        },
+
+        // bcrypt hash; length rules for new passwords live in validateAdminUser
+        password: {
+            type: String,
+            required: [true, "Password is required"],
+            select: false,
+        },
+
+        role: {
+            type: String,
+            enum: {
+                values: ADMIN_ROLES,
+                message: "Role must be one of: " + ADMIN_ROLES.join(", "),
+            },
+            required: true,
+            default: "moderator",
+        },
+
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+
+        lastLoginAt: {
+            type: Date,
+            default: null,
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "AdminUser",
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Hash the password whenever it is set or changed
+adminUserSchema.pre("save", async function (next) {
+    if (!this.isModified("password")) return next();
+
+    try {
+        const salt = await bcrypt.genSalt(BCRYPT_ROUNDS);
+        this.password = await bcrypt.hash(this.password, salt);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Compare a plain text password with the stored hash
+ * (the document must be loaded with .select("+password"))
+ *
+ * @param {string} candidatePassword - Password from the login form
+ * @returns {boolean}
+ */
+adminUserSchema.methods.comparePassword = async function (candidatePassword) {
+    try {
+        return await bcrypt.compare(candidatePassword, this.password);
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Check whether this admin's role grants a permission
+ *
+ * @param {string} permission - e.g. "businesses:write"
+ * @returns {boolean}
+ */
+adminUserSchema.methods.can = function (permission) {
+    return (ROLE_PERMISSIONS[this.role] || []).includes(permission);
+};
+
+/**
+ * Public representation used by the login response and admin management
+ */
+adminUserSchema.methods.toSafeObject = function () {
+    return {
+        _id: this._id,
+        username: this.username,
+        role: this.role,
+        permissions: ROLE_PERMISSIONS[this.role] || [],
+        isActive: this.isActive,
+        lastLoginAt: this.lastLoginAt,
+        createdAt: this.createdAt,
+    };
+};
+
+/**
+ * Create the first superadmin from ADMIN_USERNAME / ADMIN_PASSWORD
+ *
+ * Only runs while the collection is empty, so changing the environment
+ * variables later has no effect on existing accounts.
+ *
+ * @returns {AdminUser|null} - The created account, or null if none was needed
+ */
+adminUserSchema.statics.ensureBootstrapAdmin = async function () {
+    const existing = await this.estimatedDocumentCount();
+    if (existing > 0) return null;
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+        console.warn(
+            "⚠️  No admin accounts exist and ADMIN_USERNAME / ADMIN_PASSWORD are not set"
+        );
+        return null;
+    }
+
+    const admin = await this.create({
+        username: ADMIN_USERNAME,
+        password: ADMIN_PASSWORD,
+        role: "superadmin",
+    });
+
+    console.log(`👤 Created initial superadmin account "${admin.username}"`);
+    return admin;
+};
+
+/**
+ * Number of active superadmins, used to stop the last one being
+ * demoted, deactivated or deleted
+ */
+adminUserSchema.statics.countActiveSuperadmins = function () {
+    return this.countDocuments({ role: "superadmin", isActive: true });
+};
+
+const AdminUser = mongoose.model("AdminUser", adminUserSchema);
+
+module.exports = AdminUser;
+module.exports.ADMIN_ROLES = ADMIN_ROLES;
+module.exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
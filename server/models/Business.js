@@ -1,6 +1,27 @@
 // server/models/Business.js
 const mongoose = require("mongoose");
 const { nanoid } = require("nanoid");
+const openingHoursSchema = require("./openingHoursSchema");
+const pointSchema = require("./pointSchema");
+const galleryPhotoSchema = require("./galleryPhotoSchema");
+const imageManifestSchema = require("./imageManifestSchema");
+const { buildSearchKeywords } = require("../services/searchService");
+const {
+    CONTENT_FIELDS,
+    getPrimaryContent,
+    getAllContentValues,
+} = require("../services/businessContentService");
+
+// Name and description in one language
+const localizedContent = () => ({
+    businessName: { type: String, trim: true, maxlength: 100, default: "" },
+    shortDescription: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: "",
+    },
+});
 
 const businessSchema = new mongoose.Schema(
     {
@@ -14,9 +35,13 @@ const businessSchema = new mongoose.Schema(
             required: true,
             trim: true,
         },
-        category: {
-            type: String,
-            required: true,
+        // Category names (see Category); a listing can offer several services
+        categories: {
+            type: [{ type: String, trim: true }],
+            validate: {
+                validator: (values) => values.length > 0,
+                message: "At least one category is required",
+            },
         },
         businessType: {
             type: String,
@@ -27,14 +52,25 @@ const businessSchema = new mongoose.Schema(
             facebook: { type: String, default: "" },
             tiktok: { type: String, default: "" },
             instagram: { type: String, default: "" },
+            youtube: { type: String, default: "" },
         },
         shortDescription: {
             type: String,
             maxlength: 500,
         },
-        city: {
-            type: String,
-            required: true,
+        // Per-language name/description; businessName and shortDescription
+        // above are derived from these (see services/businessContentService.js)
+        translations: {
+            ka: localizedContent(),
+            en: localizedContent(),
+        },
+        // Service areas (config/cities.js); "All Georgia" covers every city
+        cities: {
+            type: [{ type: String, trim: true }],
+            validate: {
+                validator: (values) => values.length > 0,
+                message: "At least one city is required",
+            },
         },
         verified: {
             type: Boolean,
@@ -45,13 +81,151 @@ const businessSchema = new mongoose.Schema(
             required: true,
         },
         profileImage: {
-            type: String, // File path
+            type: String, // File path (largest WebP variant)
             default: "",
         },
+        profileImageAvif: {
+            type: String, // Largest AVIF variant path
+            default: "",
+        },
+        // Every size/format of the profile image (services/businessImageService.js)
+        profileImageManifest: {
+            type: imageManifestSchema,
+            default: null,
+        },
+        // Photo gallery in display order (services/galleryService.js)
+        photos: {
+            type: [galleryPhotoSchema],
+            default: [],
+        },
+        // Weekly hours and holiday/closure exceptions, Georgian time
+        openingHours: {
+            type: openingHoursSchema,
+            default: () => ({}),
+        },
+        // Map position (GeoJSON Point, 2dsphere index in config/indexes.js)
+        location: {
+            type: pointSchema,
+            default: undefined,
+        },
+        // Denormalized from the Rating collection (1-10 scale, 0 = not rated yet)
+        ratingAverage: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 10,
+        },
+        ratingCount: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // Submission this listing was published from (null for admin-created listings)
+        sourceSubmission: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "BusinessSubmission",
+            default: null,
+        },
+        // User whose ownership claim was approved (see BusinessClaim)
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+            index: true,
+        },
+        ownerSince: {
+            type: Date,
+            default: null,
+        },
+        // Set while the listing is kept out of the public directory
+        // (e.g. by the report auto-hide rule, see config/reportRules.js)
+        hiddenAt: {
+            type: Date,
+            default: null,
+        },
+        hiddenReason: {
+            type: String,
+            default: "",
+        },
+        // Transliterated search keys of the name/description in every
+        // language, part of the text index so Georgian and Latin spellings
+        // match each other
+        searchKeywords: {
+            type: String,
+            default: "",
+            select: false,
+        },
     },
     {
         timestamps: true,
     }
 );
 
+// Primary name/description follow the translations
+businessSchema.pre("validate", function (next) {
+    if (this.isModified("translations")) {
+        Object.assign(this, getPrimaryContent(this.translations));
+    }
+    next();
+});
+
+// Keep searchKeywords in sync with the text it is built from
+businessSchema.pre("save", function (next) {
+    if (
+        this.isNew ||
+        this.isModified("businessName") ||
+        this.isModified("shortDescription") ||
+        this.isModified("translations")
+    ) {
+        this.searchKeywords = buildSearchKeywords(
+            ...getAllContentValues(this)
+        );
+    }
+    next();
+});
+
+businessSchema.pre("findOneAndUpdate", async function () {
+    const update = this.getUpdate();
+    const fields = update.$set || update;
+
+    if (
+        fields.businessName === undefined &&
+        fields.shortDescription === undefined &&
+        fields.translations === undefined
+    ) {
+        return;
+    }
+
+    // The update may only carry some of the fields
+    const current = await this.model
+        .findOne(this.getQuery())
+        .select("businessName shortDescription translations")
+        .lean();
+
+    const primary =
+        fields.translations !== undefined
+            ? getPrimaryContent(fields.translations)
+            : {};
+
+    const content = {
+        translations: fields.translations ?? current?.translations,
+    };
+    CONTENT_FIELDS.forEach((field) => {
+        content[field] = primary[field] ?? fields[field] ?? current?.[field];
+    });
+
+    Object.assign(update.$set || update, {
+        ...primary,
+        searchKeywords: buildSearchKeywords(...getAllContentValues(content)),
+    });
+});
+
+businessSchema.pre("insertMany", function (next, docs) {
+    docs.forEach((doc) => {
+        Object.assign(doc, getPrimaryContent(doc.translations));
+        doc.searchKeywords = buildSearchKeywords(...getAllContentValues(doc));
+    });
+    next();
+});
+
 module.exports = mongoose.model("Business", businessSchema);
@@ -0,0 +1,79 @@
+// server/models/BusinessClaim.js
+const mongoose = require("mongoose");
+
+/**
+ * BusinessClaim Schema
+ *
+ * A user's request to become the owner of a Business listing.
+ *
+ * - verificationMethod "submitter_email": the user's verified email matches
+ *   the submission the listing was published from, so the claim is approved
+ *   immediately
+ * - verificationMethod "admin_review": everyone else; an admin approves or
+ *   rejects the claim from the owner requests queue
+ *
+ * Approving a claim sets Business.owner. A listing has at most one owner.
+ */
+const businessClaimSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true,
+            index: true,
+        },
+
+        status: {
+            type: String,
+            enum: ["pending", "approved", "rejected"],
+            default: "pending",
+        },
+
+        verificationMethod: {
+            type: String,
+            enum: ["submitter_email", "admin_review"],
+            required: true,
+        },
+
+        // Proof of ownership for the admin (role, website, how to contact them)
+        message: {
+            type: String,
+            trim: true,
+            maxlength: 1000,
+            default: "",
+        },
+
+        reviewedAt: Date,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "AdminUser",
+        },
+        rejectionReason: {
+            type: String,
+            maxlength: 500,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One open claim per user and listing
+businessClaimSchema.index(
+    { user: 1, business: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { status: "pending" },
+        name: "one_pending_claim_per_user_business",
+    }
+);
+businessClaimSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("BusinessClaim", businessClaimSchema);
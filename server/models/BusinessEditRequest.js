@@ -0,0 +1,161 @@
+// server/models/BusinessEditRequest.js
+const mongoose = require("mongoose");
+
+/**
+ * Fields a listing owner may propose changes to.
+ * Everything else (categories, cities, verification, ratings) stays admin-only.
+ * Name and description are edited per language; the plain fields remain for
+ * requests made before listings had translations.
+ */
+const OWNER_EDITABLE_FIELDS = [
+    "businessName",
+    "shortDescription",
+    "translations.ka.businessName",
+    "translations.ka.shortDescription",
+    "translations.en.businessName",
+    "translations.en.shortDescription",
+    "mobile",
+    "socialLinks.facebook",
+    "socialLinks.instagram",
+    "socialLinks.tiktok",
+    "socialLinks.youtube",
+];
+
+const changeSchema = new mongoose.Schema(
+    {
+        field: {
+            type: String,
+            enum: OWNER_EDITABLE_FIELDS,
+            required: true,
+        },
+        // Listing value when the edit was proposed
+        before: { type: String, default: "" },
+        after: { type: String, default: "" },
+    },
+    { _id: false }
+);
+
+/**
+ * BusinessEditRequest Schema
+ *
+ * Changes a listing owner proposed from the owner dashboard. Only the
+ * fields that differ from the live listing are stored, as a before/after
+ * diff, and nothing touches the Business until an admin approves it.
+ * Each listing has at most one pending request; proposing again replaces
+ * its changes.
+ */
+const businessEditRequestSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true,
+            index: true,
+        },
+
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        changes: {
+            type: [changeSchema],
+            validate: {
+                validator: (changes) => changes.length > 0,
+                message: "An edit request needs at least one change",
+            },
+        },
+
+        // Optional note from the owner to the reviewing admin
+        note: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: "",
+        },
+
+        status: {
+            type: String,
+            enum: ["pending", "approved", "rejected", "withdrawn"],
+            default: "pending",
+        },
+
+        reviewedAt: Date,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "AdminUser",
+        },
+        rejectionReason: {
+            type: String,
+            maxlength: 500,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+businessEditRequestSchema.index(
+    { business: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { status: "pending" },
+        name: "one_pending_edit_per_business",
+    }
+);
+businessEditRequestSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Read a (possibly dotted) field from a business
+ */
+businessEditRequestSchema.statics.getFieldValue = function (business, field) {
+    const value = field
+        .split(".")
+        .reduce((current, key) => current?.[key], business);
+    return value === undefined || value === null ? "" : String(value);
+};
+
+/**
+ * Diff proposed values against the live listing
+ *
+ * @param {Business} business - Current listing
+ * @param {Object} proposed - { field: value } for OWNER_EDITABLE_FIELDS
+ * @returns {Array<{field, before, after}>} - Only fields that actually change
+ */
+businessEditRequestSchema.statics.buildChanges = function (business, proposed) {
+    return OWNER_EDITABLE_FIELDS.filter((field) => field in proposed)
+        .map((field) => ({
+            field,
+            before: this.getFieldValue(business, field),
+            after: proposed[field],
+        }))
+        .filter((change) => change.before !== change.after);
+};
+
+/**
+ * Fields whose live value changed since the request was made
+ * (an admin edited the listing in the meantime)
+ *
+ * @param {Business} business - Current listing
+ * @returns {string[]}
+ */
+businessEditRequestSchema.methods.getStaleFields = function (business) {
+    const EditRequest = this.constructor;
+    return this.changes
+        .filter(
+            (change) =>
+                EditRequest.getFieldValue(business, change.field) !==
+                change.before
+        )
+        .map((change) => change.field);
+};
+
+const BusinessEditRequest = mongoose.model(
+    "BusinessEditRequest",
+    businessEditRequestSchema
+);
+
+module.exports = BusinessEditRequest;
+module.exports.OWNER_EDITABLE_FIELDS = OWNER_EDITABLE_FIELDS;
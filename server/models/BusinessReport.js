@@ -1,5 +1,10 @@
 // server/models/BusinessReport.js
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+const {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+} = require("../config/languages");
 
 /**
  * BusinessReport Schema
@@ -14,6 +19,31 @@ const mongoose = require("mongoose");
  * The schema design maintains separation of concerns by storing reports
  * independently while linking to existing business records through ObjectId references.
  */
+// Action taken on the report by services/reportAutomationService.js
+const autoActionSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ["image_check", "listing_hidden"],
+            required: true,
+        },
+        // image_check: "ok" | "broken" | "no_image"; listing_hidden: "hidden"
+        outcome: {
+            type: String,
+            default: "",
+        },
+        message: {
+            type: String,
+            default: "",
+        },
+        at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
 const businessReportSchema = new mongoose.Schema(
     {
         // Foreign key reference to the business being reported
@@ -25,40 +55,32 @@ const businessReportSchema = new mongoose.Schema(
             index: true, // Index for fast lookups by business
         },
 
-        // Issue types stored as array to handle multiple selections
-        // Following your pattern of using descriptive strings rather than codes
+        // Keys of the selected ReportReasons (checked against the active
+        // reasons by services/reportReasonService.js before saving)
         issueTypes: {
             type: [String],
             required: true,
             validate: {
-                validator: function (types) {
-                    // Ensure at least one issue type is selected
-                    if (!types || types.length === 0) {
-                        return false;
-                    }
-
-                    // Validate each type against allowed values
-                    const allowedTypes = [
-                        "Broken Image",
-                        "Business No Longer Exists",
-                        "Other Issue",
-                    ];
-
-                    return types.every((type) => allowedTypes.includes(type));
-                },
-                message: "Invalid issue type provided",
+                validator: (types) => Array.isArray(types) && types.length > 0,
+                message: "At least one issue type is required",
             },
         },
 
-        // Optional custom description for "Other Issue" reports
-        // Matches your pattern of optional text fields with reasonable limits
+        // Reporter's own words; required by reasons with requiresText
         description: {
             type: String,
-            maxlength: 50,
+            maxlength: 1000,
             trim: true,
             default: "",
         },
 
+        // Severity rank of the most severe reason at submission time
+        // (ReportReason.getSeverityRank) - admin lists sort by it
+        priority: {
+            type: Number,
+            default: 0,
+        },
+
         // Reporter IP for spam prevention and rate limiting
         // Following your security-conscious approach seen in validation middleware
         reporterIp: {
@@ -67,6 +89,33 @@ const businessReportSchema = new mongoose.Schema(
             index: true, // Index for rate limiting queries
         },
 
+        // Optional contact for the outcome email - never shown publicly
+        reporterEmail: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            default: "",
+            validate: {
+                validator: (v) => !v || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+                message: "Invalid email format",
+            },
+        },
+
+        // Language of the report dialog, used for the outcome email
+        reporterLanguage: {
+            type: String,
+            enum: SUPPORTED_LANGUAGES,
+            default: DEFAULT_LANGUAGE,
+        },
+
+        // Secret for the public status page (/status/report/:token), given
+        // to the reporter after submitting. Older reports have none.
+        statusToken: {
+            type: String,
+            default: () => crypto.randomBytes(16).toString("hex"),
+            index: { unique: true, sparse: true },
+        },
+
         // Report status for administrative workflow
         // Using enum pattern consistent with your businessType field in Business model
         status: {
@@ -85,6 +134,21 @@ const businessReportSchema = new mongoose.Schema(
             default: "",
         },
 
+        // Shown to the reporter on the status page and in the outcome
+        // email, unlike the internal adminNotes
+        outcomeMessage: {
+            type: String,
+            maxlength: 500,
+            trim: true,
+            default: "",
+        },
+
+        // When the reporter was emailed about the current outcome
+        outcomeNotifiedAt: {
+            type: Date,
+            default: null,
+        },
+
         // Track which admin user resolved the report (if applicable)
         // Prepared for future admin user system integration
         resolvedBy: {
@@ -97,6 +161,13 @@ const businessReportSchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+
+        // Automatic actions (report rules), oldest first. Reports the
+        // system resolved itself have resolvedBy "system".
+        autoActions: {
+            type: [autoActionSchema],
+            default: [],
+        },
     },
     {
         // Enable automatic timestamps following your existing model patterns
@@ -125,6 +196,18 @@ businessReportSchema.index(
     }
 );
 
+// Admin list ordered by severity, most urgent first
+businessReportSchema.index(
+    {
+        status: 1,
+        priority: -1,
+        createdAt: -1,
+    },
+    {
+        name: "admin_priority_reports",
+    }
+);
+
 // Index for rate limiting - critical for spam prevention
 businessReportSchema.index(
     {
@@ -243,8 +326,8 @@ businessReportSchema.statics.getAdminReports = function (filters = {}) {
     }
 
     return this.find(query)
-        .populate("businessId", "businessName businessId category city")
-        .sort({ createdAt: -1 });
+        .populate("businessId", "businessName businessId categories cities")
+        .sort({ priority: -1, createdAt: -1 });
 };
 
 // Get statistics for admin dashboard
@@ -1,6 +1,24 @@
 // server/models/BusinessSubmission.js
 const mongoose = require("mongoose");
 const { nanoid } = require("nanoid");
+const openingHoursSchema = require("./openingHoursSchema");
+const pointSchema = require("./pointSchema");
+const {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+} = require("../config/languages");
+const { getPrimaryContent } = require("../services/businessContentService");
+
+// Name and description in one language
+const localizedContent = () => ({
+    businessName: { type: String, trim: true, maxlength: 100, default: "" },
+    shortDescription: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: "",
+    },
+});
 
 const businessSubmissionSchema = new mongoose.Schema(
     {
@@ -44,6 +62,22 @@ const businessSubmissionSchema = new mongoose.Schema(
             maxlength: 200,
             trim: true,
         },
+        // Per-language name/description, copied to the published listing;
+        // businessName and shortDescription above are derived from these
+        translations: {
+            ka: localizedContent(),
+            en: localizedContent(),
+        },
+        // Weekly hours and holiday/closure exceptions, Georgian time
+        openingHours: {
+            type: openingHoursSchema,
+            default: () => ({}),
+        },
+        // Map position picked by the submitter (GeoJSON Point)
+        location: {
+            type: pointSchema,
+            default: undefined,
+        },
         hasCertificate: {
             type: Boolean,
             default: false,
@@ -82,14 +116,23 @@ const businessSubmissionSchema = new mongoose.Schema(
             default: Date.now,
         },
         reviewedAt: Date,
+        // Admin account that approved or rejected the submission
         reviewedBy: {
             type: mongoose.Schema.Types.ObjectId,
-            ref: 'User',
+            ref: 'AdminUser',
         },
         rejectionReason: {
             type: String,
             maxlength: 500,
         },
+        // When the submitter was emailed about the current status
+        // (services/outcomeNotificationService.js)
+        outcomeNotifiedAt: Date,
+        // Live listing created when the submission was approved
+        publishedBusiness: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Business',
+        },
 
         // Submitter Contact Information
         submitterEmail: {
@@ -110,6 +153,12 @@ const businessSubmissionSchema = new mongoose.Schema(
             trim: true,
         },
         submitterIp: String, // For tracking/security
+        // Language of the submission form, used for emails to the submitter
+        submitterLanguage: {
+            type: String,
+            enum: SUPPORTED_LANGUAGES,
+            default: DEFAULT_LANGUAGE,
+        },
     },
     {
         timestamps: true,
@@ -140,6 +189,14 @@ businessSubmissionSchema.virtual('formattedSubmissionDate').get(function() {
     });
 });
 
+// Primary name/description follow the translations
+businessSubmissionSchema.pre('validate', function(next) {
+    if (this.isModified('translations')) {
+        Object.assign(this, getPrimaryContent(this.translations));
+    }
+    next();
+});
+
 // Pre-save middleware to clean up data
 businessSubmissionSchema.pre('save', function(next) {
     // Remove empty social links
@@ -9,6 +9,12 @@ const categorySchema = new mongoose.Schema(
             unique: true,
             trim: true,
         },
+        // Localized display names. `name` (English) stays the key that
+        // businesses and submissions store.
+        translations: {
+            ka: { type: String, trim: true, default: "" },
+            ru: { type: String, trim: true, default: "" },
+        },
         isActive: {
             type: Boolean,
             default: true,
@@ -19,4 +25,26 @@ const categorySchema = new mongoose.Schema(
     }
 );
 
+// Display name in `language`, falling back to the English name
+categorySchema.methods.getDisplayName = function (language) {
+    return (language && this.translations?.[language]) || this.name;
+};
+
+/**
+ * Localize a list of category names (e.g. a submission's categories)
+ * @returns {Promise<string[]>}
+ */
+categorySchema.statics.localizeNames = async function (names, language) {
+    if (!language || language === "en" || !names?.length) return names;
+
+    const categories = await this.find({ name: { $in: names } })
+        .select("name translations")
+        .lean();
+    const byName = new Map(categories.map((c) => [c.name, c]));
+
+    return names.map(
+        (name) => byName.get(name)?.translations?.[language] || name
+    );
+};
+
 module.exports = mongoose.model("Category", categorySchema);
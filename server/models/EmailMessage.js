@@ -0,0 +1,166 @@
+// server/models/EmailMessage.js
+const mongoose = require("mongoose");
+
+// What the message is about - used by the admin outbox filter
+const EMAIL_CATEGORIES = [
+    "verification",
+    "email_change",
+    "email_change_code",
+    "password_reset",
+    "submission_notification",
+    "submission_confirmation",
+    "submission_outcome",
+    "report_outcome",
+];
+
+// One delivery attempt, in the delivery log of the message
+const attemptSchema = new mongoose.Schema(
+    {
+        at: {
+            type: Date,
+            default: Date.now,
+        },
+        outcome: {
+            type: String,
+            enum: ["sent", "failed"],
+            required: true,
+        },
+        // Transport message id (sent) or error message (failed)
+        messageId: {
+            type: String,
+            default: "",
+        },
+        error: {
+            type: String,
+            default: "",
+        },
+        durationMs: {
+            type: Number,
+            default: 0,
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * EmailMessage Schema
+ *
+ * The email outbox: every email is stored here first and sent by the
+ * background worker (services/emailOutboxService.js), so a message that
+ * can't be sent right away is retried instead of lost, and every attempt
+ * stays on record.
+ *
+ * status: queued -> sending -> sent, or back to queued with a later
+ * nextAttemptAt after a failed attempt, until maxAttempts -> failed.
+ * Admins can queue failed messages again.
+ */
+const emailMessageSchema = new mongoose.Schema(
+    {
+        to: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true,
+        },
+        from: {
+            type: String,
+            default: "",
+        },
+        subject: {
+            type: String,
+            required: true,
+        },
+        html: {
+            type: String,
+            default: "",
+        },
+        text: {
+            type: String,
+            default: "",
+        },
+
+        category: {
+            type: String,
+            enum: EMAIL_CATEGORIES,
+            required: true,
+            index: true,
+        },
+        // Contains a sign-in link or code: the admin view never shows the
+        // body of these
+        sensitive: {
+            type: Boolean,
+            default: false,
+        },
+
+        status: {
+            type: String,
+            enum: ["queued", "sending", "sent", "failed"],
+            default: "queued",
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            required: true,
+        },
+        // Earliest time of the next attempt (queued messages)
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // When a worker claimed the message (sending)
+        lockedAt: {
+            type: Date,
+            default: null,
+        },
+        lastError: {
+            type: String,
+            default: "",
+        },
+        sentAt: {
+            type: Date,
+            default: null,
+        },
+        // Transport message id of the successful attempt
+        messageId: {
+            type: String,
+            default: "",
+        },
+        // Every attempt, oldest first
+        attemptLog: {
+            type: [attemptSchema],
+            default: [],
+        },
+        // How often an admin queued the failed message again
+        resendCount: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Worker: due queued messages, oldest first
+emailMessageSchema.index(
+    { status: 1, nextAttemptAt: 1 },
+    { name: "outbox_due_messages" }
+);
+
+// Admin outbox list
+emailMessageSchema.index({ status: 1, createdAt: -1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+
+// Sent messages are kept for 90 days (unsent ones have no sentAt and stay)
+emailMessageSchema.index(
+    { sentAt: 1 },
+    { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+const EmailMessage = mongoose.model("EmailMessage", emailMessageSchema);
+
+module.exports = EmailMessage;
+module.exports.EMAIL_CATEGORIES = EMAIL_CATEGORIES;
@@ -0,0 +1,91 @@
+// server/models/PendingRegistration.js
+const mongoose = require("mongoose");
+const {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+} = require("../config/languages");
+
+/**
+ * PendingRegistration Schema
+ *
+ * Sign-ups waiting for email verification ("verify-before-save", see
+ * services/tempRegistrationService.js). The User account is only created
+ * when the verification link is opened. Documents survive restarts and
+ * deploys, and a TTL index removes them once the link has expired.
+ *
+ * The verification token is stored as a SHA-256 hash, the password as a
+ * bcrypt hash.
+ */
+const pendingRegistrationSchema = new mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true,
+            unique: true,
+        },
+
+        // bcrypt hash, copied to the User as-is on verification
+        password: {
+            type: String,
+            required: true,
+            select: false,
+        },
+
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+
+        phone: {
+            type: String,
+            trim: true,
+        },
+
+        // Language chosen at sign-up, copied to the User
+        language: {
+            type: String,
+            enum: SUPPORTED_LANGUAGES,
+            default: DEFAULT_LANGUAGE,
+        },
+
+        verificationTokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+
+        tokenRegeneratedAt: Date,
+
+        // Security tracking
+        ipAddress: {
+            type: String,
+            default: "unknown",
+        },
+        userAgent: {
+            type: String,
+            default: "unknown",
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        versionKey: false,
+    }
+);
+
+pendingRegistrationSchema.index(
+    { expiresAt: 1 },
+    { expireAfterSeconds: 0, name: "pending_registration_ttl" }
+);
+
+module.exports = mongoose.model(
+    "PendingRegistration",
+    pendingRegistrationSchema
+);
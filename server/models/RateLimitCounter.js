@@ -0,0 +1,44 @@
+// server/models/RateLimitCounter.js
+const mongoose = require("mongoose");
+
+/**
+ * RateLimitCounter Schema
+ *
+ * Backing collection for the MongoDB rate limit store
+ * (see middleware/rateLimit.js). One document per limiter key holds the
+ * hit count of its current window; expired windows are removed by the
+ * TTL index, so counters survive restarts and are shared by every
+ * server process.
+ */
+const rateLimitCounterSchema = new mongoose.Schema(
+    {
+        // "<limiter name>:<client key>", e.g. "login:203.0.113.7"
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        count: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+
+        // End of the current window
+        resetAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        versionKey: false,
+    }
+);
+
+rateLimitCounterSchema.index(
+    { resetAt: 1 },
+    { expireAfterSeconds: 0, name: "rate_limit_ttl" }
+);
+
+module.exports = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
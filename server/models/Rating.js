@@ -0,0 +1,114 @@
+// server/models/Rating.js
+const mongoose = require("mongoose");
+
+/**
+ * Rating Schema
+ *
+ * One rating per user per business, enforced by a unique compound index.
+ * Scores use the same 1-10 scale as the StarRating component (booking.com style).
+ *
+ * Aggregates (average/count) are denormalized onto the Business document
+ * so listing queries never need to join the ratings collection.
+ */
+const ratingSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true,
+            index: true,
+        },
+
+        score: {
+            type: Number,
+            required: [true, "Rating score is required"],
+            min: [1, "Rating must be at least 1"],
+            max: [10, "Rating cannot exceed 10"],
+            validate: {
+                validator: Number.isInteger,
+                message: "Rating must be a whole number",
+            },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One rating per user per business
+ratingSchema.index(
+    { user: 1, business: 1 },
+    { unique: true, name: "one_rating_per_user_business" }
+);
+
+/**
+ * Recalculate and store the rating aggregates on a Business
+ *
+ * Called after every create/update/delete so Business.ratingAverage and
+ * Business.ratingCount always reflect the ratings collection.
+ *
+ * @param {ObjectId|string} businessId - Business to recalculate
+ * @returns {Object} - { average, count }
+ */
+ratingSchema.statics.recalculateBusinessRating = async function (businessId) {
+    const Business = mongoose.model("Business");
+    const businessObjectId = new mongoose.Types.ObjectId(businessId.toString());
+
+    const [stats] = await this.aggregate([
+        { $match: { business: businessObjectId } },
+        {
+            $group: {
+                _id: "$business",
+                average: { $avg: "$score" },
+                count: { $sum: 1 },
+            },
+        },
+    ]);
+
+    const aggregates = {
+        average: stats ? Math.round(stats.average * 10) / 10 : 0,
+        count: stats ? stats.count : 0,
+    };
+
+    await Business.updateOne(
+        { _id: businessObjectId },
+        {
+            $set: {
+                ratingAverage: aggregates.average,
+                ratingCount: aggregates.count,
+            },
+        }
+    );
+
+    return aggregates;
+};
+
+/**
+ * Remove every rating by a user and refresh the affected businesses
+ * Used by the user cleanup service when an account is permanently deleted
+ *
+ * @param {ObjectId|string} userId - User whose ratings should be removed
+ * @returns {number} - Number of ratings removed
+ */
+ratingSchema.statics.removeUserRatings = async function (userId) {
+    const businessIds = await this.distinct("business", { user: userId });
+
+    if (businessIds.length === 0) return 0;
+
+    const { deletedCount } = await this.deleteMany({ user: userId });
+
+    for (const businessId of businessIds) {
+        await this.recalculateBusinessRating(businessId);
+    }
+
+    return deletedCount;
+};
+
+module.exports = mongoose.model("Rating", ratingSchema);
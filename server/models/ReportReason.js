@@ -0,0 +1,77 @@
+// server/models/ReportReason.js
+const mongoose = require("mongoose");
+
+// Lowest first; a report's priority is the rank of its most severe reason
+const SEVERITY_LEVELS = ["low", "medium", "high", "critical"];
+
+/**
+ * ReportReason Schema
+ *
+ * The issue types visitors can pick in the report dialog, managed by
+ * admins in Reports Management. Reports store the reason `key` in
+ * BusinessReport.issueTypes, so the key never changes after creation -
+ * the label, description and severity can be edited freely.
+ */
+const reportReasonSchema = new mongoose.Schema(
+    {
+        // Stable identifier, e.g. "broken-image"
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+            lowercase: true,
+            match: [
+                /^[a-z0-9]+(-[a-z0-9]+)*$/,
+                "Key may only contain a-z, 0-9 and dashes",
+            ],
+            maxlength: 50,
+            immutable: true,
+        },
+        label: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 60,
+        },
+        // Help text shown under the label in the report dialog
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 200,
+            default: "",
+        },
+        severity: {
+            type: String,
+            enum: SEVERITY_LEVELS,
+            default: "medium",
+        },
+        // The reporter has to describe the issue when picking this reason
+        requiresText: {
+            type: Boolean,
+            default: false,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        // Position in the report dialog (ascending)
+        sortOrder: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Numeric rank of a severity, 0 for unknown values
+reportReasonSchema.statics.getSeverityRank = function (severity) {
+    return SEVERITY_LEVELS.indexOf(severity) + 1;
+};
+
+const ReportReason = mongoose.model("ReportReason", reportReasonSchema);
+
+module.exports = ReportReason;
+module.exports.SEVERITY_LEVELS = SEVERITY_LEVELS;
@@ -0,0 +1,150 @@
+// server/models/Review.js
+const mongoose = require("mongoose");
+
+/**
+ * Review Schema
+ *
+ * Text reviews written by verified users on business detail pages.
+ * One review per user per business; authors can edit or delete their own.
+ *
+ * Moderation:
+ * - status "hidden" removes a review from public listings without deleting it
+ * - any verified user can report a review once; openReportCount drives the
+ *   admin moderation queue and is reset whenever an admin acts on the review
+ */
+const reviewReportSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [300, "Report reason cannot exceed 300 characters"],
+            default: "",
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const reviewSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true,
+        },
+
+        text: {
+            type: String,
+            required: [true, "Review text is required"],
+            trim: true,
+            minlength: [10, "Review must be at least 10 characters"],
+            maxlength: [2000, "Review cannot exceed 2000 characters"],
+        },
+
+        status: {
+            type: String,
+            enum: {
+                values: ["visible", "hidden"],
+                message: "Status must be visible or hidden",
+            },
+            default: "visible",
+        },
+
+        editedAt: {
+            type: Date,
+            default: null,
+        },
+
+        // Abuse reports from other users
+        reports: {
+            type: [reviewReportSchema],
+            default: [],
+        },
+
+        // Reports received since the last moderation action
+        openReportCount: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+
+        moderatedAt: {
+            type: Date,
+            default: null,
+        },
+
+        moderatedBy: {
+            type: String,
+            default: null,
+        },
+
+        moderationNote: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Moderation note cannot exceed 500 characters"],
+            default: "",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One review per user per business
+reviewSchema.index(
+    { user: 1, business: 1 },
+    { unique: true, name: "one_review_per_user_business" }
+);
+
+// Public listing: visible reviews of a business, newest first
+reviewSchema.index({ business: 1, status: 1, createdAt: -1 });
+
+// Moderation queue: most reported first
+reviewSchema.index({ openReportCount: -1, createdAt: -1 });
+
+/**
+ * Check whether a user has already reported this review
+ *
+ * @param {ObjectId|string} userId - Reporting user
+ * @returns {boolean}
+ */
+reviewSchema.methods.hasReportFrom = function (userId) {
+    return this.reports.some(
+        (report) => report.user.toString() === userId.toString()
+    );
+};
+
+/**
+ * Remove every review written by a user, plus their reports on other reviews
+ * Used by the user cleanup service when an account is permanently deleted
+ *
+ * @param {ObjectId|string} userId - User whose reviews should be removed
+ * @returns {number} - Number of reviews removed
+ */
+reviewSchema.statics.removeUserReviews = async function (userId) {
+    const { deletedCount } = await this.deleteMany({ user: userId });
+
+    await this.updateMany(
+        { "reports.user": userId },
+        { $pull: { reports: { user: userId } } }
+    );
+
+    return deletedCount;
+};
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -1,6 +1,10 @@
 // server/models/User.js
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+} = require("../config/languages");
 
 // ✅ NEW ADDITION: Environment Variable Configuration
 /**
@@ -119,6 +123,13 @@ const userSchema = new mongoose.Schema(
             // We make this optional because not all users want to provide phone numbers
         },
 
+        // Interface and email language (see config/languages.js)
+        language: {
+            type: String,
+            enum: SUPPORTED_LANGUAGES,
+            default: DEFAULT_LANGUAGE,
+        },
+
         // === ACCOUNT STATUS AND VERIFICATION ===
 
         isEmailVerified: {
@@ -211,6 +222,14 @@ const userSchema = new mongoose.Schema(
             },
         ],
 
+        // When each favorite was added, keyed by business ID
+        // Kept beside the plain ObjectId array so existing favorites queries don't change
+        favoritesAddedAt: {
+            type: Map,
+            of: Date,
+            default: {},
+        },
+
         // === SECURITY AND MONITORING FIELDS ===
 
         lastLoginAt: {
@@ -0,0 +1,147 @@
+// server/models/UserSession.js
+const mongoose = require("mongoose");
+
+/**
+ * UserSession Schema
+ *
+ * One document per signed-in device. Every refresh token carries its
+ * session ID (sid) and a one-time token ID (jti); the session stores the
+ * jti of the only refresh token currently allowed to be used.
+ *
+ * - /refresh rotates tokenId, so each refresh token works exactly once
+ * - presenting an older refresh token means it was copied: the session is revoked
+ * - logout / password changes set revokedAt, which also rejects the
+ *   session's access tokens immediately
+ *
+ * Documents are removed by a TTL index once the last refresh token expires.
+ */
+const userSessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        // jti of the current (unused) refresh token
+        tokenId: {
+            type: String,
+            required: true,
+        },
+
+        userAgent: {
+            type: String,
+            default: "",
+            maxlength: 500,
+        },
+
+        ipAddress: {
+            type: String,
+            default: "",
+        },
+
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+
+        // Matches the exp of the current refresh token
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+
+        revokedReason: {
+            type: String,
+            enum: [
+                "logout",
+                "logout_all",
+                "password_change",
+                "password_reset",
+                "token_reuse",
+                "account_deletion",
+                "revoked_by_user",
+            ],
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Let MongoDB drop sessions whose refresh token has expired
+userSessionSchema.index(
+    { expiresAt: 1 },
+    { expireAfterSeconds: 0, name: "session_expiry_ttl" }
+);
+
+/**
+ * Whether this session can still be used
+ */
+userSessionSchema.virtual("isActive").get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Revoke this session
+ *
+ * @param {string} reason - One of the revokedReason values
+ */
+userSessionSchema.methods.revoke = function (reason) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+/**
+ * Check whether a session ID belongs to an active session
+ *
+ * @param {string} sessionId - sid claim from a token
+ * @returns {boolean}
+ */
+userSessionSchema.statics.isSessionActive = async function (sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+    const session = await this.exists({
+        _id: sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+
+    return !!session;
+};
+
+/**
+ * Revoke every active session of a user
+ *
+ * @param {ObjectId|string} userId - User whose sessions should be revoked
+ * @param {string} reason - One of the revokedReason values
+ * @param {Object} options - { exceptSessionId } keeps one session signed in
+ * @returns {number} - Number of sessions revoked
+ */
+userSessionSchema.statics.revokeAllForUser = async function (
+    userId,
+    reason,
+    { exceptSessionId = null } = {}
+) {
+    const filter = { user: userId, revokedAt: null };
+
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+
+    const { modifiedCount } = await this.updateMany(filter, {
+        $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    return modifiedCount;
+};
+
+module.exports = mongoose.model("UserSession", userSessionSchema);
@@ -0,0 +1,36 @@
+// server/models/galleryPhotoSchema.js
+const mongoose = require("mongoose");
+const imageManifestSchema = require("./imageManifestSchema");
+
+/**
+ * Business gallery photo sub-schema
+ * The array order is the display order. Photos uploaded by owners stay
+ * "pending" until an admin approves them (see services/galleryService.js).
+ */
+
+const galleryPhotoSchema = new mongoose.Schema(
+    {
+        // Public paths of the largest variants ("/uploads/gallery/...")
+        webp: { type: String, required: true },
+        avif: { type: String, default: "" },
+        width: { type: Number, default: 0 },
+        height: { type: Number, default: 0 },
+        // Every size/format, for srcset
+        manifest: { type: imageManifestSchema, default: null },
+        caption: { type: String, trim: true, maxlength: 200, default: "" },
+        status: {
+            type: String,
+            enum: ["approved", "pending"],
+            default: "approved",
+        },
+        // Owner who uploaded it (null for admin uploads)
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+module.exports = galleryPhotoSchema;
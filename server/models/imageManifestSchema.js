@@ -0,0 +1,33 @@
+// server/models/imageManifestSchema.js
+const mongoose = require("mongoose");
+
+/**
+ * Responsive image manifest sub-schema
+ * Every width/format variant written by processResponsiveImage
+ * (services/imageProcessingService.js), plus a tiny blurred placeholder.
+ */
+
+const imageVariantSchema = new mongoose.Schema(
+    {
+        format: { type: String, enum: ["avif", "webp"], required: true },
+        width: { type: Number, required: true },
+        height: { type: Number, required: true },
+        // Public path ("/uploads/businesses/...")
+        path: { type: String, required: true },
+    },
+    { _id: false }
+);
+
+const imageManifestSchema = new mongoose.Schema(
+    {
+        // Dimensions of the largest variant
+        width: { type: Number, default: 0 },
+        height: { type: Number, default: 0 },
+        // data:image/webp;base64,... shown blurred while the image loads
+        placeholder: { type: String, default: "" },
+        variants: { type: [imageVariantSchema], default: [] },
+    },
+    { _id: false }
+);
+
+module.exports = imageManifestSchema;
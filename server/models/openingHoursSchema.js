@@ -0,0 +1,43 @@
+// server/models/openingHoursSchema.js
+const mongoose = require("mongoose");
+const {
+    TIME_PATTERN,
+    CLOSE_TIME_PATTERN,
+    DATE_PATTERN,
+} = require("../services/openingHoursService");
+
+/**
+ * Opening hours sub-schema shared by Business and BusinessSubmission
+ * (format and evaluation: services/openingHoursService.js)
+ */
+
+const weeklyPeriodSchema = new mongoose.Schema(
+    {
+        day: { type: Number, min: 0, max: 6, required: true },
+        open: { type: String, match: TIME_PATTERN, required: true },
+        close: { type: String, match: CLOSE_TIME_PATTERN, required: true },
+    },
+    { _id: false }
+);
+
+const exceptionSchema = new mongoose.Schema(
+    {
+        startDate: { type: String, match: DATE_PATTERN, required: true },
+        endDate: { type: String, match: DATE_PATTERN, required: true },
+        closed: { type: Boolean, default: true },
+        open: { type: String, default: "" },
+        close: { type: String, default: "" },
+        note: { type: String, trim: true, maxlength: 100, default: "" },
+    },
+    { _id: false }
+);
+
+const openingHoursSchema = new mongoose.Schema(
+    {
+        weekly: { type: [weeklyPeriodSchema], default: [] },
+        exceptions: { type: [exceptionSchema], default: [] },
+    },
+    { _id: false }
+);
+
+module.exports = openingHoursSchema;
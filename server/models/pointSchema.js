@@ -0,0 +1,33 @@
+// server/models/pointSchema.js
+const mongoose = require("mongoose");
+
+/**
+ * GeoJSON Point sub-schema shared by Business and BusinessSubmission
+ * coordinates are [longitude, latitude] (see services/geoService.js)
+ */
+
+const pointSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ["Point"],
+            required: true,
+        },
+        coordinates: {
+            type: [Number],
+            required: true,
+            validate: {
+                validator: ([lng, lat, ...rest]) =>
+                    rest.length === 0 &&
+                    lng >= -180 &&
+                    lng <= 180 &&
+                    lat >= -90 &&
+                    lat <= 90,
+                message: "Coordinates must be [longitude, latitude]",
+            },
+        },
+    },
+    { _id: false }
+);
+
+module.exports = pointSchema;
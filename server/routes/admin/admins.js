@@ -0,0 +1,247 @@
+// server/routes/admin/admins.js
+const express = require("express");
+const mongoose = require("mongoose");
+const AdminUser = require("../../models/AdminUser");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
+const { validateAdminUser } = require("../../middleware/validation");
+const { recordAdminAction } = require("../../services/auditLogService");
+const router = express.Router();
+
+/**
+ * Admin Account Management Routes
+ *
+ * Superadmins create, edit, deactivate and delete admin accounts.
+ * There must always be at least one active superadmin, so the last one
+ * cannot be demoted, deactivated or deleted.
+ */
+
+// Apply admin authentication and superadmin permission to all routes
+router.use(verifyAdmin);
+router.use(requirePermission("admins:manage"));
+
+// Helper: validate :id and load the admin account, or send the error response
+const findAdminOr404 = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({
+            error: "Invalid admin ID format",
+            code: "INVALID_ADMIN_ID",
+        });
+        return null;
+    }
+
+    const admin = await AdminUser.findById(id);
+    if (!admin) {
+        res.status(404).json({
+            error: "Admin account not found",
+            code: "ADMIN_NOT_FOUND",
+        });
+        return null;
+    }
+
+    return admin;
+};
+
+// Helper: whether a change would leave no active superadmin
+const removesLastSuperadmin = async (admin, { role, isActive }) => {
+    if (admin.role !== "superadmin" || !admin.isActive) return false;
+
+    const stillSuperadmin =
+        (role ?? admin.role) === "superadmin" && (isActive ?? true);
+    if (stillSuperadmin) return false;
+
+    return (await AdminUser.countActiveSuperadmins()) <= 1;
+};
+
+/**
+ * GET /api/admin/admins
+ * List all admin accounts
+ */
+router.get("/", async (req, res) => {
+    try {
+        const admins = await AdminUser.find().sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            admins: admins.map((admin) => admin.toSafeObject()),
+            currentAdminId: req.admin._id,
+        });
+    } catch (error) {
+        console.error("Error fetching admin accounts:", error);
+        res.status(500).json({
+            error: "Failed to fetch admin accounts",
+            code: "ADMINS_FETCH_ERROR",
+        });
+    }
+});
+
+/**
+ * POST /api/admin/admins
+ * Create an admin account
+ * Body: { username, password, role }
+ */
+router.post("/", validateAdminUser, async (req, res) => {
+    try {
+        const { username, password, role = "moderator" } = req.body;
+
+        if (await AdminUser.exists({ username })) {
+            return res.status(409).json({
+                error: "An admin with this username already exists",
+                code: "USERNAME_TAKEN",
+            });
+        }
+
+        const admin = await AdminUser.create({
+            username,
+            password,
+            role,
+            createdBy: req.admin._id,
+        });
+
+        await recordAdminAction(req, {
+            action: "admin.create",
+            targetType: "admin",
+            after: admin.toSafeObject(),
+        });
+
+        console.log(
+            `📊 Admin action: Admin account "${admin.username}" (${admin.role}) created by ${req.admin.username}`
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "Admin account created",
+            admin: admin.toSafeObject(),
+        });
+    } catch (error) {
+        console.error("Error creating admin account:", error);
+        res.status(500).json({
+            error: "Failed to create admin account",
+            code: "ADMIN_CREATE_ERROR",
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/admins/:id
+ * Update username, role, active flag or password
+ * Body: { username?, role?, isActive?, password? }
+ */
+router.put("/:id", validateAdminUser, async (req, res) => {
+    try {
+        const admin = await findAdminOr404(req, res);
+        if (!admin) return;
+
+        const { username, password, role, isActive } = req.body;
+        const isSelf = admin._id.equals(req.admin._id);
+        const before = admin.toSafeObject();
+
+        if (isSelf && isActive === false) {
+            return res.status(400).json({
+                error: "You cannot deactivate your own account",
+                code: "CANNOT_DEACTIVATE_SELF",
+            });
+        }
+
+        if (await removesLastSuperadmin(admin, { role, isActive })) {
+            return res.status(400).json({
+                error: "At least one active superadmin is required",
+                code: "LAST_SUPERADMIN",
+            });
+        }
+
+        if (username && username !== admin.username) {
+            if (await AdminUser.exists({ username })) {
+                return res.status(409).json({
+                    error: "An admin with this username already exists",
+                    code: "USERNAME_TAKEN",
+                });
+            }
+            admin.username = username;
+        }
+
+        if (role !== undefined) admin.role = role;
+        if (isActive !== undefined) admin.isActive = isActive;
+        if (password) admin.password = password;
+
+        await admin.save();
+
+        await recordAdminAction(req, {
+            action: "admin.update",
+            targetType: "admin",
+            before,
+            after: admin.toSafeObject(),
+            metadata: password ? { passwordChanged: true } : null,
+        });
+
+        console.log(
+            `📊 Admin action: Admin account "${admin.username}" updated by ${req.admin.username}`
+        );
+
+        res.json({
+            success: true,
+            message: "Admin account updated",
+            admin: admin.toSafeObject(),
+        });
+    } catch (error) {
+        console.error("Error updating admin account:", error);
+        res.status(500).json({
+            error: "Failed to update admin account",
+            code: "ADMIN_UPDATE_ERROR",
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/admins/:id
+ * Permanently delete an admin account
+ *
+ * Submissions keep their reviewedBy reference; deactivating is usually
+ * the better choice when the reviewer history matters.
+ */
+router.delete("/:id", async (req, res) => {
+    try {
+        const admin = await findAdminOr404(req, res);
+        if (!admin) return;
+
+        if (admin._id.equals(req.admin._id)) {
+            return res.status(400).json({
+                error: "You cannot delete your own account",
+                code: "CANNOT_DELETE_SELF",
+            });
+        }
+
+        if (await removesLastSuperadmin(admin, { isActive: false })) {
+            return res.status(400).json({
+                error: "At least one active superadmin is required",
+                code: "LAST_SUPERADMIN",
+            });
+        }
+
+        await admin.deleteOne();
+
+        await recordAdminAction(req, {
+            action: "admin.delete",
+            targetType: "admin",
+            before: admin.toSafeObject(),
+        });
+
+        console.log(
+            `📊 Admin action: Admin account "${admin.username}" deleted by ${req.admin.username}`
+        );
+
+        res.json({
+            success: true,
+            message: "Admin account deleted",
+        });
+    } catch (error) {
+        console.error("Error deleting admin account:", error);
+        res.status(500).json({
+            error: "Failed to delete admin account",
+            code: "ADMIN_DELETE_ERROR",
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+// server/routes/admin/audit.js
+const express = require("express");
+const mongoose = require("mongoose");
+const AdminAuditLog = require("../../models/AdminAuditLog");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
+const router = express.Router();
+
+/**
+ * Admin Audit Log Routes
+ *
+ * Read-only access to AdminAuditLog: a filterable, paginated list for the
+ * admin panel and a CSV/JSON export of the same filters. Entries are only
+ * ever written by services/auditLogService.js.
+ */
+
+// Apply admin authentication and audit permission to all routes
+router.use(verifyAdmin);
+router.use(requirePermission("audit:read"));
+
+// Most rows a single export returns
+const EXPORT_LIMIT = 10000;
+
+// Helper: escape regex special characters in free-text filters
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper: reject unparseable dateFrom/dateTo before they reach the query
+const validateDateRange = (req, res, next) => {
+    const invalid = ["dateFrom", "dateTo"].find(
+        (param) =>
+            req.query[param] &&
+            Number.isNaN(new Date(req.query[param]).getTime())
+    );
+
+    if (invalid) {
+        return res.status(400).json({
+            error: `${invalid} is not a valid date`,
+            code: "INVALID_DATE",
+        });
+    }
+
+    next();
+};
+
+/**
+ * Build the MongoDB filter shared by the list and export endpoints
+ * Query params: actor, action, targetType, targetId, search, dateFrom, dateTo
+ */
+const buildAuditFilter = (query) => {
+    const { actor, action, targetType, targetId, search, dateFrom, dateTo } =
+        query;
+    const filter = {};
+
+    if (actor) {
+        filter["actor.username"] = actor;
+    }
+
+    if (action) {
+        // "business" matches every business.* action
+        filter.action = action.includes(".")
+            ? action
+            : new RegExp(`^${escapeRegex(action)}\\.`);
+    }
+
+    if (targetType) {
+        filter.targetType = targetType;
+    }
+
+    if (targetId && mongoose.Types.ObjectId.isValid(targetId)) {
+        filter.targetId = targetId;
+    }
+
+    if (search && search.trim()) {
+        filter.targetLabel = new RegExp(escapeRegex(search.trim()), "i");
+    }
+
+    if (dateFrom || dateTo) {
+        filter.createdAt = {};
+        if (dateFrom) {
+            filter.createdAt.$gte = new Date(dateFrom);
+        }
+        if (dateTo) {
+            // Include the whole "to" day
+            const end = new Date(dateTo);
+            end.setHours(23, 59, 59, 999);
+            filter.createdAt.$lte = end;
+        }
+    }
+
+    return filter;
+};
+
+// Helper: one CSV cell, quoted when needed. Labels and metadata come from
+// user content, so cells a spreadsheet would run as a formula get a
+// leading apostrophe.
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return "";
+    let text = typeof value === "string" ? value : JSON.stringify(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper: "field: before → after; ..." summary of an entry's changes
+const summarizeChanges = (changes = []) =>
+    changes
+        .map(
+            ({ field, before, after }) =>
+                `${field}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`
+        )
+        .join("; ");
+
+/**
+ * GET /api/admin/audit
+ * Paginated audit log, newest first
+ * Query params: page, limit + the filters from buildAuditFilter
+ */
+router.get("/", validateDateRange, async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(
+            100,
+            Math.max(1, parseInt(req.query.limit) || 25)
+        );
+        const filter = buildAuditFilter(req.query);
+
+        const [entries, totalEntries] = await Promise.all([
+            AdminAuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            AdminAuditLog.countDocuments(filter),
+        ]);
+
+        const totalPages = Math.ceil(totalEntries / limit);
+
+        res.json({
+            success: true,
+            entries,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalEntries,
+                hasNext: page < totalPages,
+                hasPrev: page > 1,
+            },
+        });
+    } catch (error) {
+        console.error("Error fetching audit log:", error);
+        res.status(500).json({
+            error: "Failed to fetch audit log",
+            code: "AUDIT_FETCH_ERROR",
+        });
+    }
+});
+
+/**
+ * GET /api/admin/audit/filters
+ * Distinct actors, actions and target types for the filter dropdowns
+ */
+router.get("/filters", async (req, res) => {
+    try {
+        const [actors, actions, targetTypes] = await Promise.all([
+            AdminAuditLog.distinct("actor.username"),
+            AdminAuditLog.distinct("action"),
+            AdminAuditLog.distinct("targetType"),
+        ]);
+
+        res.json({
+            success: true,
+            actors: actors.sort(),
+            actions: actions.sort(),
+            targetTypes: targetTypes.sort(),
+        });
+    } catch (error) {
+        console.error("Error fetching audit filters:", error);
+        res.status(500).json({
+            error: "Failed to fetch audit filters",
+            code: "AUDIT_FILTERS_ERROR",
+        });
+    }
+});
+
+/**
+ * GET /api/admin/audit/export
+ * Download the filtered audit log (newest first, up to EXPORT_LIMIT rows)
+ * Query params: format (csv|json, default csv) + the filters from buildAuditFilter
+ */
+router.get("/export", validateDateRange, async (req, res) => {
+    try {
+        const format = req.query.format === "json" ? "json" : "csv";
+        const entries = await AdminAuditLog.find(buildAuditFilter(req.query))
+            .sort({ createdAt: -1 })
+            .limit(EXPORT_LIMIT)
+            .lean();
+
+        const date = new Date().toISOString().slice(0, 10);
+        const filename = `audit-log-${date}.${format}`;
+        res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="${filename}"`
+        );
+
+        if (format === "json") {
+            return res.json(entries);
+        }
+
+        const header = [
+            "timestamp",
+            "actor",
+            "role",
+            "action",
+            "targetType",
+            "targetId",
+            "target",
+            "changes",
+            "metadata",
+            "ipAddress",
+        ];
+
+        const rows = entries.map((entry) =>
+            [
+                entry.createdAt.toISOString(),
+                entry.actor.username,
+                entry.actor.role,
+                entry.action,
+                entry.targetType,
+                entry.targetId?.toString(),
+                entry.targetLabel,
+                summarizeChanges(entry.changes),
+                entry.metadata,
+                entry.ipAddress,
+            ]
+                .map(toCsvCell)
+                .join(",")
+        );
+
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.send([header.join(","), ...rows].join("\n"));
+    } catch (error) {
+        console.error("Error exporting audit log:", error);
+        res.status(500).json({
+            error: "Failed to export audit log",
+            code: "AUDIT_EXPORT_ERROR",
+        });
+    }
+});
+
+module.exports = router;
@@ -1,28 +1,64 @@
 // server/routes/admin/auth.js
 const express = require("express");
-const { ADMIN_CREDENTIALS, generateToken } = require("../../middleware/auth");
+const AdminUser = require("../../models/AdminUser");
+const { generateToken, verifyAdmin } = require("../../middleware/auth");
+const { adminLoginLimiter } = require("../../middleware/rateLimit");
 const router = express.Router();
 
 // Admin login
-router.post("/login", (req, res) => {
-    const { username, password } = req.body;
-
-    if (
-        username === ADMIN_CREDENTIALS.username &&
-        password === ADMIN_CREDENTIALS.password
-    ) {
-        const token = generateToken(username);
+router.post("/login", adminLoginLimiter, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (typeof username !== "string" || typeof password !== "string") {
+            return res.status(401).json({
+                success: false,
+                message: "Invalid credentials",
+            });
+        }
+
+        const admin = await AdminUser.findOne({
+            username: username.trim().toLowerCase(),
+        }).select("+password");
+
+        if (
+            !admin ||
+            !admin.isActive ||
+            !(await admin.comparePassword(password))
+        ) {
+            return res.status(401).json({
+                success: false,
+                message: "Invalid credentials",
+            });
+        }
+
+        admin.lastLoginAt = new Date();
+        await admin.save();
+
         res.json({
             success: true,
-            token,
+            token: generateToken(admin),
+            admin: admin.toSafeObject(),
             message: "Login successful",
         });
-    } else {
-        res.status(401).json({
+    } catch (error) {
+        console.error("Admin login error:", error);
+        res.status(500).json({
             success: false,
-            message: "Invalid credentials",
+            message: "Login failed",
         });
     }
 });
 
+/**
+ * GET /api/admin/auth/me
+ * Current admin account with role and permissions
+ */
+router.get("/me", verifyAdmin, (req, res) => {
+    res.json({
+        success: true,
+        admin: req.admin.toSafeObject(),
+    });
+});
+
 module.exports = router;
@@ -1,48 +1,43 @@
 // server/routes/admin/businesses.js - Complete fixed version
 const express = require("express");
 const Business = require("../../models/Business");
-const { verifyAdmin } = require("../../middleware/auth");
-const { upload, processImage } = require("../../middleware/upload");
+const Rating = require("../../models/Rating");
+const Review = require("../../models/Review");
+const BusinessClaim = require("../../models/BusinessClaim");
+const BusinessEditRequest = require("../../models/BusinessEditRequest");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
+const { upload } = require("../../middleware/upload");
 const { validateBusiness } = require("../../middleware/validation");
-const fs = require("fs");
-const path = require("path");
+const { recordAdminAction } = require("../../services/auditLogService");
+const {
+    MAX_GALLERY_PHOTOS,
+    normalizeCaption,
+    getRemainingSlots,
+    addGalleryPhotos,
+    removeGalleryPhoto,
+    reorderGalleryPhotos,
+    deleteAllGalleryPhotos,
+} = require("../../services/galleryService");
+const {
+    processProfileImage,
+    deleteProfileImage,
+} = require("../../services/businessImageService");
 const router = express.Router();
 
-// Helper function to clean up image files
-const cleanupImageFile = (imagePath, context = "operation") => {
-    if (imagePath && imagePath.startsWith("/uploads/")) {
-        const fullPath = path.join(__dirname, "../../", imagePath);
-        
-        try {
-            if (fs.existsSync(fullPath)) {
-                fs.unlinkSync(fullPath);
-            }
-        } catch (fileError) {
-            console.error(`File deletion error during ${context}:`, fileError);
-            // Continue anyway - main operation already completed
-        }
-    }
-};
-
 // Helper function to process social links
 const processSocialLinks = (socialLinks) => {
     return socialLinks ? JSON.parse(socialLinks) : undefined;
 };
 
-// Helper function to handle image upload
-const handleImageUpload = async (file) => {
-    if (file) {
-        const filename = `${Date.now()}-${file.originalname}`;
-        return await processImage(file.buffer, filename);
-    }
-    return null;
-};
-
 // Apply auth middleware to all admin routes
 router.use(verifyAdmin);
 
+// Role permissions (see ROLE_PERMISSIONS in models/AdminUser.js)
+const canRead = requirePermission("businesses:read");
+const canWrite = requirePermission("businesses:write");
+
 // Get all businesses for admin with full details
-router.get("/", async (req, res) => {
+router.get("/", canRead, async (req, res) => {
     try {
         const { page = 1, limit = 20, search = "" } = req.query;
 
@@ -86,7 +81,7 @@ router.get("/", async (req, res) => {
 });
 
 // Get single business by ID for editing (ADD THIS - IT WAS MISSING!)
-router.get("/:id", async (req, res) => {
+router.get("/:id", canRead, async (req, res) => {
     try {
         const business = await Business.findById(req.params.id);
 
@@ -109,6 +104,7 @@ router.get("/:id", async (req, res) => {
 // Create new business
 router.post(
     "/",
+    canWrite,
     upload.single("profileImage"),
     validateBusiness,
     async (req, res) => {
@@ -119,12 +115,26 @@ router.post(
             const socialLinks = processSocialLinks(req.body.socialLinks);
             if (socialLinks) businessData.socialLinks = socialLinks;
 
-            // Handle image upload
-            const imagePath = await handleImageUpload(req.file);
-            if (imagePath) businessData.profileImage = imagePath;
-
             const business = new Business(businessData);
-            await business.save();
+
+            // Image files are named after the listing, so process them once it has an id
+            const images = req.file
+                ? await processProfileImage(req.file.buffer, business._id)
+                : null;
+            if (images) business.set(images);
+
+            try {
+                await business.save();
+            } catch (error) {
+                await deleteProfileImage(images);
+                throw error;
+            }
+
+            await recordAdminAction(req, {
+                action: "business.create",
+                targetType: "business",
+                after: business,
+            });
 
             res.status(201).json(business);
         } catch (error) {
@@ -136,6 +146,7 @@ router.post(
 // Update business
 router.put(
     "/:id",
+    canWrite,
     upload.single("profileImage"),
     validateBusiness,
     async (req, res) => {
@@ -146,20 +157,44 @@ router.put(
             const socialLinks = processSocialLinks(req.body.socialLinks);
             if (socialLinks) updateData.socialLinks = socialLinks;
 
-            // Handle image upload
-            const imagePath = await handleImageUpload(req.file);
-            if (imagePath) updateData.profileImage = imagePath;
+            const before = await Business.findById(req.params.id).lean();
 
-            const business = await Business.findByIdAndUpdate(
-                req.params.id,
-                updateData,
-                { new: true, runValidators: true }
-            );
+            if (!before) {
+                return res.status(404).json({ error: "Business not found" });
+            }
+
+            const images = req.file
+                ? await processProfileImage(req.file.buffer, before._id)
+                : null;
+            if (images) Object.assign(updateData, images);
+
+            let business;
+            try {
+                business = await Business.findByIdAndUpdate(
+                    req.params.id,
+                    updateData,
+                    { new: true, runValidators: true }
+                );
+            } catch (error) {
+                await deleteProfileImage(images);
+                throw error;
+            }
 
             if (!business) {
+                await deleteProfileImage(images);
                 return res.status(404).json({ error: "Business not found" });
             }
 
+            // The new image replaced the old one
+            if (images) await deleteProfileImage(before);
+
+            await recordAdminAction(req, {
+                action: "business.update",
+                targetType: "business",
+                before,
+                after: business,
+            });
+
             res.json(business);
         } catch (error) {
             res.status(400).json({ error: error.message });
@@ -168,7 +203,7 @@ router.put(
 );
 
 // Delete business
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canWrite, async (req, res) => {
     try {
         // First find the business to get image path before deletion
         const business = await Business.findById(req.params.id);
@@ -177,13 +212,23 @@ router.delete("/:id", async (req, res) => {
             return res.status(404).json({ error: "Business not found" });
         }
 
-        const imagePath = business.profileImage;
-
-        // Delete business from database
+        // Delete business from database along with its ratings, reviews
+        // and ownership records
         await Business.findByIdAndDelete(req.params.id);
-
-        // Clean up associated image file
-        cleanupImageFile(imagePath, "business deletion");
+        await Rating.deleteMany({ business: req.params.id });
+        await Review.deleteMany({ business: req.params.id });
+        await BusinessClaim.deleteMany({ business: req.params.id });
+        await BusinessEditRequest.deleteMany({ business: req.params.id });
+
+        // Clean up associated image files
+        await deleteProfileImage(business);
+        await deleteAllGalleryPhotos(business);
+
+        await recordAdminAction(req, {
+            action: "business.delete",
+            targetType: "business",
+            before: business,
+        });
 
         res.json({
             message: "Business and associated image deleted successfully",
@@ -194,7 +239,7 @@ router.delete("/:id", async (req, res) => {
 });
 
 // Delete business image
-router.delete("/:id/image", async (req, res) => {
+router.delete("/:id/image", canWrite, async (req, res) => {
     try {
         const business = await Business.findById(req.params.id);
 
@@ -206,14 +251,23 @@ router.delete("/:id/image", async (req, res) => {
             return res.status(400).json({ error: "No image to delete" });
         }
 
-        const imagePath = business.profileImage;
+        const before = business.toObject();
 
-        // Remove image reference from database
+        // Remove image references from database
         business.profileImage = "";
+        business.profileImageAvif = "";
+        business.profileImageManifest = null;
         await business.save();
 
         // Clean up file system
-        cleanupImageFile(imagePath, "image deletion");
+        await deleteProfileImage(before);
+
+        await recordAdminAction(req, {
+            action: "business.image_delete",
+            targetType: "business",
+            before,
+            after: business,
+        });
 
         res.json({
             message: "Image deleted successfully",
@@ -224,8 +278,173 @@ router.delete("/:id/image", async (req, res) => {
     }
 });
 
+// Helper: parse the captions sent with a multipart upload (JSON array)
+const parseCaptions = (captions) => {
+    try {
+        const parsed = JSON.parse(captions || "[]");
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+};
+
+// Upload gallery photos (live immediately)
+// Body (multipart): photos[] files, captions (JSON array, one per file)
+router.post(
+    "/:id/photos",
+    canWrite,
+    upload.array("photos", MAX_GALLERY_PHOTOS),
+    async (req, res) => {
+        try {
+            const business = await Business.findById(req.params.id);
+
+            if (!business) {
+                return res.status(404).json({ error: "Business not found" });
+            }
+
+            if (!req.files?.length) {
+                return res.status(400).json({ error: "No photos uploaded" });
+            }
+
+            if (req.files.length > getRemainingSlots(business)) {
+                return res.status(400).json({
+                    error: `A gallery holds up to ${MAX_GALLERY_PHOTOS} photos (${getRemainingSlots(business)} left)`,
+                });
+            }
+
+            const photos = await addGalleryPhotos(business, req.files, {
+                captions: parseCaptions(req.body.captions),
+            });
+
+            await recordAdminAction(req, {
+                action: "business.photo_add",
+                targetType: "business",
+                targetId: business._id,
+                targetLabel: business.businessName,
+                metadata: { photoIds: photos.map((photo) => photo._id) },
+            });
+
+            res.status(201).json({ photos: business.photos });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    }
+);
+
+// Reorder the gallery
+// Body: { photoIds: [...] } - every photo id, in the new order
+router.put("/:id/photos/order", canWrite, async (req, res) => {
+    try {
+        const business = await Business.findById(req.params.id);
+
+        if (!business) {
+            return res.status(404).json({ error: "Business not found" });
+        }
+
+        if (!reorderGalleryPhotos(business, req.body.photoIds)) {
+            return res.status(400).json({
+                error: "photoIds must list every photo of the gallery once",
+            });
+        }
+        await business.save();
+
+        await recordAdminAction(req, {
+            action: "business.photos_reorder",
+            targetType: "business",
+            targetId: business._id,
+            targetLabel: business.businessName,
+            metadata: { photoIds: req.body.photoIds },
+        });
+
+        res.json({ photos: business.photos });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Edit a photo's caption and/or approve a pending (owner) photo
+// Body: { caption?, status?: "approved" }
+router.patch("/:id/photos/:photoId", canWrite, async (req, res) => {
+    try {
+        const business = await Business.findById(req.params.id);
+        const photo = business?.photos.id(req.params.photoId);
+
+        if (!photo) {
+            return res.status(404).json({ error: "Photo not found" });
+        }
+
+        const { caption, status } = req.body;
+        if (status !== undefined && status !== "approved") {
+            return res.status(400).json({
+                error: "Status can only be set to approved - delete a photo to reject it",
+            });
+        }
+
+        const before = photo.toObject();
+        if (caption !== undefined) photo.caption = normalizeCaption(caption);
+        if (status) photo.status = status;
+        await business.save();
+
+        await recordAdminAction(req, {
+            action:
+                before.status === "pending" && photo.status === "approved"
+                    ? "business.photo_approve"
+                    : "business.photo_update",
+            targetType: "business",
+            targetId: business._id,
+            targetLabel: business.businessName,
+            before: { caption: before.caption, status: before.status },
+            after: { caption: photo.caption, status: photo.status },
+            metadata: { photoId: photo._id },
+        });
+
+        res.json({ photo, photos: business.photos });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Delete (or reject) a gallery photo
+router.delete("/:id/photos/:photoId", canWrite, async (req, res) => {
+    try {
+        const business = await Business.findById(req.params.id);
+
+        if (!business) {
+            return res.status(404).json({ error: "Business not found" });
+        }
+
+        const removed = await removeGalleryPhoto(business, req.params.photoId);
+
+        if (!removed) {
+            return res.status(404).json({ error: "Photo not found" });
+        }
+
+        await recordAdminAction(req, {
+            action:
+                removed.status === "pending"
+                    ? "business.photo_reject"
+                    : "business.photo_delete",
+            targetType: "business",
+            targetId: business._id,
+            targetLabel: business.businessName,
+            before: { caption: removed.caption, status: removed.status },
+            metadata: { photoId: removed._id, uploadedBy: removed.uploadedBy },
+        });
+
+        res.json({
+            message:
+                removed.status === "pending"
+                    ? "Photo rejected and deleted"
+                    : "Photo deleted",
+            photos: business.photos,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Toggle business verification
-router.patch("/:id/verify", async (req, res) => {
+router.patch("/:id/verify", canWrite, async (req, res) => {
     try {
         const business = await Business.findById(req.params.id);
 
@@ -233,9 +452,17 @@ router.patch("/:id/verify", async (req, res) => {
             return res.status(404).json({ error: "Business not found" });
         }
 
+        const before = business.toObject();
         business.verified = !business.verified;
         await business.save();
 
+        await recordAdminAction(req, {
+            action: business.verified ? "business.verify" : "business.unverify",
+            targetType: "business",
+            before,
+            after: business,
+        });
+
         res.json(business);
     } catch (error) {
         res.status(500).json({ error: error.message });
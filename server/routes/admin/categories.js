@@ -2,15 +2,20 @@
 const express = require("express");
 const Category = require("../../models/Category");
 const Business = require("../../models/Business"); // ADD THIS IMPORT
-const { verifyAdmin } = require("../../middleware/auth");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
 const { validateCategory } = require("../../middleware/validation");
+const { recordAdminAction } = require("../../services/auditLogService");
 const router = express.Router();
 
 // Apply auth middleware
 router.use(verifyAdmin);
 
+// Role permissions (see ROLE_PERMISSIONS in models/AdminUser.js)
+const canRead = requirePermission("categories:read");
+const canWrite = requirePermission("categories:write");
+
 // Get all categories
-router.get("/", async (req, res) => {
+router.get("/", canRead, async (req, res) => {
     try {
         const categories = await Category.find().sort({ name: 1 });
         res.json(categories);
@@ -20,10 +25,17 @@ router.get("/", async (req, res) => {
 });
 
 // Create category
-router.post("/", validateCategory, async (req, res) => {
+router.post("/", canWrite, validateCategory, async (req, res) => {
     try {
         const category = new Category(req.body);
         await category.save();
+
+        await recordAdminAction(req, {
+            action: "category.create",
+            targetType: "category",
+            after: category,
+        });
+
         res.status(201).json(category);
     } catch (error) {
         res.status(400).json({ error: error.message });
@@ -31,7 +43,7 @@ router.post("/", validateCategory, async (req, res) => {
 });
 
 // NEW: Get businesses count for a category (for confirmation dialog)
-router.get("/:id/businesses-count", async (req, res) => {
+router.get("/:id/businesses-count", canRead, async (req, res) => {
     try {
         const category = await Category.findById(req.params.id);
         if (!category) {
@@ -52,7 +64,7 @@ router.get("/:id/businesses-count", async (req, res) => {
 });
 
 // Enhanced Update category with CASCADE UPDATE
-router.put("/:id", validateCategory, async (req, res) => {
+router.put("/:id", canWrite, validateCategory, async (req, res) => {
     try {
         // Get the old category first
         const oldCategory = await Category.findById(req.params.id);
@@ -70,6 +82,14 @@ router.put("/:id", validateCategory, async (req, res) => {
                 req.body,
                 { new: true, runValidators: true }
             );
+
+            await recordAdminAction(req, {
+                action: "category.update",
+                targetType: "category",
+                before: oldCategory,
+                after: category,
+            });
+
             return res.json({
                 category,
                 migratedBusinesses: 0,
@@ -90,7 +110,7 @@ router.put("/:id", validateCategory, async (req, res) => {
 
         // Count businesses that will be affected
         const businessesToMigrate = await Business.countDocuments({
-            category: oldName,
+            categories: oldName,
         });
 
         // Update the category
@@ -101,26 +121,41 @@ router.put("/:id", validateCategory, async (req, res) => {
         );
 
         // CASCADE UPDATE: Update all businesses with the old category name
-        const updateResult = await Business.updateMany(
-            { category: oldName },
-            { category: newName }
+        // (a listing that already has the new name just drops the old one)
+        const mergeResult = await Business.updateMany(
+            { categories: { $all: [oldName, newName] } },
+            { $pull: { categories: oldName } }
         );
+        const renameResult = await Business.updateMany(
+            { categories: oldName },
+            { $set: { "categories.$": newName } }
+        );
+        const migratedBusinesses =
+            mergeResult.modifiedCount + renameResult.modifiedCount;
 
         // Log the migration for debugging
         if (process.env.NODE_ENV === "development") {
             console.log(`✅ Category Migration Complete:
                 Old Name: "${oldName}"
                 New Name: "${newName}"  
-                Businesses Updated: ${updateResult.modifiedCount}
+                Businesses Updated: ${migratedBusinesses}
                 Expected: ${businessesToMigrate}
             `);
         }
 
+        await recordAdminAction(req, {
+            action: "category.rename",
+            targetType: "category",
+            before: oldCategory,
+            after: category,
+            metadata: { migratedBusinesses },
+        });
+
         res.json({
             category,
-            migratedBusinesses: updateResult.modifiedCount,
+            migratedBusinesses,
             expectedMigrations: businessesToMigrate,
-            message: `Category updated successfully. ${updateResult.modifiedCount} businesses migrated from "${oldName}" to "${newName}".`,
+            message: `Category updated successfully. ${migratedBusinesses} businesses migrated from "${oldName}" to "${newName}".`,
         });
     } catch (error) {
         console.error("Error updating category:", error);
@@ -129,7 +164,7 @@ router.put("/:id", validateCategory, async (req, res) => {
 });
 
 // Toggle category status
-router.patch("/:id/toggle", async (req, res) => {
+router.patch("/:id/toggle", canWrite, async (req, res) => {
     try {
         const category = await Category.findById(req.params.id);
 
@@ -137,9 +172,19 @@ router.patch("/:id/toggle", async (req, res) => {
             return res.status(404).json({ error: "Category not found" });
         }
 
+        const before = category.toObject();
         category.isActive = !category.isActive;
         await category.save();
 
+        await recordAdminAction(req, {
+            action: category.isActive
+                ? "category.activate"
+                : "category.deactivate",
+            targetType: "category",
+            before,
+            after: category,
+        });
+
         res.json(category);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -150,7 +195,7 @@ router.patch("/:id/toggle", async (req, res) => {
  * DELETE /api/admin/categories/:id
  * Delete category (only if no businesses are using it)
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canWrite, async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -165,7 +210,7 @@ router.delete("/:id", async (req, res) => {
 
         // Check if any businesses are using this category
         const businessCount = await Business.countDocuments({
-            category: category.name
+            categories: category.name
         });
 
         if (businessCount > 0) {
@@ -183,6 +228,12 @@ router.delete("/:id", async (req, res) => {
         // Safe to delete - no businesses using this category
         await Category.findByIdAndDelete(id);
 
+        await recordAdminAction(req, {
+            action: "category.delete",
+            targetType: "category",
+            before: category,
+        });
+
         res.json({
             success: true,
             message: `Category "${category.name}" deleted successfully`,
@@ -205,7 +256,7 @@ router.delete("/:id", async (req, res) => {
  * GET /api/admin/categories/submission-available
  * Get categories available for user submissions (admin controlled)
  */
-router.get("/submission-available", async (req, res) => {
+router.get("/submission-available", canRead, async (req, res) => {
     try {
         // For now, return all active categories
         // Later, this can be enhanced with a 'availableForSubmissions' field
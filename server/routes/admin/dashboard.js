@@ -3,18 +3,26 @@ const express = require("express");
 const Business = require("../../models/Business");
 const Category = require("../../models/Category");
 const User = require("../../models/User"); // NEW: Import User model
-const { verifyAdmin } = require("../../middleware/auth");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
 const { getHealthStatus } = require("../../config/database"); // Import health status
 const userCleanupService = require("../../services/userCleanupService"); // NEW: Import cleanup service
-const fs = require("fs");
-const path = require("path");
+const tempRegistrationService = require("../../services/tempRegistrationService");
+const { recordAdminAction } = require("../../services/auditLogService");
+const { getStorageUsage } = require("../../services/storageService");
 const router = express.Router();
 
 // Apply auth middleware
 router.use(verifyAdmin);
 
+// Overview numbers are open to every role; server health, user data and
+// the cleanup job are superadmin-only (ROLE_PERMISSIONS in models/AdminUser.js)
+const canReadDashboard = requirePermission("dashboard:read");
+const canReadSystem = requirePermission("system:read");
+const canReadUsers = requirePermission("users:read");
+const canManageUsers = requirePermission("users:manage");
+
 // Basic stats
-router.get("/stats", async (req, res) => {
+router.get("/stats", canReadDashboard, async (req, res) => {
     try {
         const totalBusinesses = await Business.countDocuments();
         const verifiedCount = await Business.countDocuments({ verified: true });
@@ -25,6 +33,7 @@ router.get("/stats", async (req, res) => {
         const totalUsers = await User.countDocuments();
         const verifiedUsers = await User.countDocuments({ isEmailVerified: true });
         const pendingDeletions = await User.countPendingDeletions();
+        const registrationStats = await tempRegistrationService.getServiceStats();
 
         // New businesses this month
         const startOfMonth = new Date();
@@ -52,6 +61,8 @@ router.get("/stats", async (req, res) => {
             unverifiedUsers: totalUsers - verifiedUsers,
             pendingDeletions,
             newUsersThisMonth,
+            // Sign-ups waiting for email verification
+            pendingRegistrations: registrationStats.validRegistrations,
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -59,12 +70,12 @@ router.get("/stats", async (req, res) => {
 });
 
 // Recent businesses
-router.get("/recent", async (req, res) => {
+router.get("/recent", canReadDashboard, async (req, res) => {
     try {
         const recentBusinesses = await Business.find()
             .sort({ createdAt: -1 })
             .limit(5)
-            .select("businessName category city verified createdAt");
+            .select("businessName categories cities verified createdAt");
 
         res.json(recentBusinesses);
     } catch (error) {
@@ -73,17 +84,19 @@ router.get("/recent", async (req, res) => {
 });
 
 // Chart data
-router.get("/charts", async (req, res) => {
+router.get("/charts", canReadDashboard, async (req, res) => {
     try {
-        // Businesses by category
+        // Businesses by category (a listing counts once per category)
         const categoryStats = await Business.aggregate([
-            { $group: { _id: "$category", count: { $sum: 1 } } },
+            { $unwind: "$categories" },
+            { $group: { _id: "$categories", count: { $sum: 1 } } },
             { $sort: { count: -1 } },
         ]);
 
-        // Businesses by city
+        // Businesses by city (a listing counts once per service area)
         const cityStats = await Business.aggregate([
-            { $group: { _id: "$city", count: { $sum: 1 } } },
+            { $unwind: "$cities" },
+            { $group: { _id: "$cities", count: { $sum: 1 } } },
             { $sort: { count: -1 } },
         ]);
 
@@ -116,28 +129,36 @@ router.get("/charts", async (req, res) => {
 });
 
 // Enhanced system status with database health
-router.get("/system", async (req, res) => {
+router.get("/system", canReadSystem, async (req, res) => {
     try {
         // Get enhanced database health status
         const dbHealth = await getHealthStatus();
 
-        // Calculate storage used
-        let storageUsed = 0;
-        const uploadsPath = path.join(__dirname, "../../uploads/businesses");
+        // Uploaded images on the active storage backend (local or S3);
+        // an unreachable bucket shouldn't hide the rest of the status
+        let storage;
+        try {
+            const usage = await getStorageUsage();
+            const toMB = (bytes) =>
+                parseFloat((bytes / (1024 * 1024)).toFixed(2));
 
-        if (fs.existsSync(uploadsPath)) {
-            const files = fs.readdirSync(uploadsPath);
-            files.forEach((file) => {
-                const filePath = path.join(uploadsPath, file);
-                if (fs.statSync(filePath).isFile()) {
-                    storageUsed += fs.statSync(filePath).size;
-                }
-            });
+            storage = {
+                driver: usage.driver,
+                location: usage.location,
+                usedMB: toMB(usage.totalBytes),
+                totalFiles: usage.totalFiles,
+                areas: Object.fromEntries(
+                    Object.entries(usage.areas).map(([area, { files, bytes }]) => [
+                        area,
+                        { files, usedMB: toMB(bytes) },
+                    ])
+                ),
+            };
+        } catch (storageError) {
+            console.error("Error measuring storage:", storageError);
+            storage = { usedMB: 0, totalFiles: 0, error: storageError.message };
         }
 
-        // Convert to MB
-        const storageMB = (storageUsed / (1024 * 1024)).toFixed(2);
-
         // System health
         const memoryUsage = process.memoryUsage();
         const uptime = process.uptime();
@@ -155,12 +176,7 @@ router.get("/system", async (req, res) => {
                 maxRetries: dbHealth.stats.maxRetries,
                 lastHealthCheck: dbHealth.timestamp,
             },
-            storage: {
-                usedMB: parseFloat(storageMB),
-                totalFiles: fs.existsSync(uploadsPath)
-                    ? fs.readdirSync(uploadsPath).length
-                    : 0,
-            },
+            storage,
             system: {
                 uptime: Math.floor(uptime / 60), // minutes
                 memoryMB: Math.round(memoryUsage.heapUsed / 1024 / 1024),
@@ -189,7 +205,7 @@ router.get("/system", async (req, res) => {
  * GET /api/admin/dashboard/users/pending-deletions
  * Get list of users with pending deletions
  */
-router.get("/users/pending-deletions", async (req, res) => {
+router.get("/users/pending-deletions", canReadUsers, async (req, res) => {
     try {
         const pendingUsers = await User.findPendingDeletions();
         
@@ -220,11 +236,12 @@ router.get("/users/pending-deletions", async (req, res) => {
  * GET /api/admin/dashboard/users/stats
  * Get detailed user statistics
  */
-router.get("/users/stats", async (req, res) => {
+router.get("/users/stats", canReadUsers, async (req, res) => {
     try {
         const totalUsers = await User.countDocuments();
         const verifiedUsers = await User.countDocuments({ isEmailVerified: true });
         const pendingDeletions = await User.countPendingDeletions();
+        const registrationStats = await tempRegistrationService.getServiceStats();
         
         // Users created in different time periods
         const now = new Date();
@@ -246,6 +263,13 @@ router.get("/users/stats", async (req, res) => {
                 thisWeek: newThisWeek,
                 thisMonth: newThisMonth
             },
+            // Sign-ups waiting for email verification (no User yet)
+            pendingRegistrations: {
+                total: registrationStats.validRegistrations,
+                createdToday: registrationStats.createdToday,
+                expiringSoon: registrationStats.expiringSoon,
+                expiryHours: registrationStats.expiryTimeHours
+            },
             verificationRate: totalUsers > 0 ? ((verifiedUsers / totalUsers) * 100).toFixed(1) : 0
         });
     } catch (error) {
@@ -258,7 +282,7 @@ router.get("/users/stats", async (req, res) => {
  * GET /api/admin/dashboard/cleanup-service/status
  * Get user cleanup service status and statistics
  */
-router.get("/cleanup-service/status", async (req, res) => {
+router.get("/cleanup-service/status", canReadSystem, async (req, res) => {
     try {
         const status = userCleanupService.getStatus();
         const stats = userCleanupService.getStats();
@@ -281,11 +305,18 @@ router.get("/cleanup-service/status", async (req, res) => {
  * POST /api/admin/dashboard/cleanup-service/manual-run
  * Manually trigger cleanup service (for admin testing)
  */
-router.post("/cleanup-service/manual-run", async (req, res) => {
+router.post("/cleanup-service/manual-run", canManageUsers, async (req, res) => {
     try {
         console.log("🔧 Admin triggered manual cleanup");
         const result = await userCleanupService.manualCleanup();
-        
+
+        await recordAdminAction(req, {
+            action: "system.cleanup_run",
+            targetType: "system",
+            targetLabel: "User cleanup service",
+            metadata: result,
+        });
+
         res.json({
             success: true,
             message: "Manual cleanup completed",
@@ -0,0 +1,213 @@
+// server/routes/admin/emails.js
+const express = require("express");
+const mongoose = require("mongoose");
+const EmailMessage = require("../../models/EmailMessage");
+const { EMAIL_CATEGORIES } = require("../../models/EmailMessage");
+const emailOutboxService = require("../../services/emailOutboxService");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
+const { recordAdminAction } = require("../../services/auditLogService");
+const router = express.Router();
+
+/**
+ * Admin Email Outbox Routes
+ *
+ * Every email the app sends goes through the outbox (models/EmailMessage.js,
+ * services/emailOutboxService.js). Admins can follow each message's
+ * delivery attempts and queue failed messages again. Bodies of sensitive
+ * messages (sign-in links and codes) are never returned.
+ */
+
+// Apply admin authentication to all routes
+router.use(verifyAdmin);
+
+const EMAIL_STATUSES = ["queued", "sending", "sent", "failed"];
+
+// Helper: escape regex special characters in free-text filters
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper: reject malformed ids before they reach a query
+const validateMessageId = (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({
+            error: "Invalid message ID",
+            code: "INVALID_ID",
+        });
+    }
+    next();
+};
+
+/**
+ * GET /api/admin/emails
+ * Paginated outbox, newest first (without bodies)
+ * Query params: page, limit, status, category, search (recipient)
+ */
+router.get("/", requirePermission("emails:read"), async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(
+            100,
+            Math.max(1, parseInt(req.query.limit) || 25)
+        );
+        const { status, category, search } = req.query;
+        const filter = {};
+
+        if (EMAIL_STATUSES.includes(status)) {
+            filter.status = status;
+        }
+        if (EMAIL_CATEGORIES.includes(category)) {
+            filter.category = category;
+        }
+        if (search && search.trim()) {
+            filter.to = new RegExp(escapeRegex(search.trim()), "i");
+        }
+
+        const [messages, totalMessages] = await Promise.all([
+            EmailMessage.find(filter)
+                .select("-html -text")
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            EmailMessage.countDocuments(filter),
+        ]);
+
+        const totalPages = Math.ceil(totalMessages / limit);
+
+        res.json({
+            success: true,
+            messages,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalMessages,
+                hasNext: page < totalPages,
+                hasPrev: page > 1,
+            },
+        });
+    } catch (error) {
+        console.error("Error fetching email outbox:", error);
+        res.status(500).json({
+            error: "Failed to fetch email outbox",
+            code: "EMAIL_FETCH_ERROR",
+        });
+    }
+});
+
+/**
+ * GET /api/admin/emails/stats
+ * Message counts per status, the categories and the worker status
+ */
+router.get("/stats", requirePermission("emails:read"), async (req, res) => {
+    try {
+        const counts = await emailOutboxService.getQueueStats();
+
+        res.json({
+            success: true,
+            counts,
+            categories: EMAIL_CATEGORIES,
+            worker: emailOutboxService.getStatus(),
+        });
+    } catch (error) {
+        console.error("Error fetching email outbox stats:", error);
+        res.status(500).json({
+            error: "Failed to fetch email outbox stats",
+            code: "EMAIL_STATS_ERROR",
+        });
+    }
+});
+
+/**
+ * GET /api/admin/emails/:id
+ * One message with its body (unless sensitive) and delivery log
+ */
+router.get(
+    "/:id",
+    requirePermission("emails:read"),
+    validateMessageId,
+    async (req, res) => {
+        try {
+            const message = await EmailMessage.findById(req.params.id).lean();
+
+            if (!message) {
+                return res.status(404).json({
+                    error: "Message not found",
+                    code: "MESSAGE_NOT_FOUND",
+                });
+            }
+
+            if (message.sensitive) {
+                delete message.html;
+                delete message.text;
+            }
+
+            res.json({ success: true, message });
+        } catch (error) {
+            console.error("Error fetching email message:", error);
+            res.status(500).json({
+                error: "Failed to fetch message",
+                code: "EMAIL_FETCH_ERROR",
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/admin/emails/:id/resend
+ * Queue a failed message again with a fresh set of attempts
+ */
+router.post(
+    "/:id/resend",
+    requirePermission("emails:write"),
+    validateMessageId,
+    async (req, res) => {
+        try {
+            const message = await emailOutboxService.resend(req.params.id);
+
+            if (!message) {
+                const exists = await EmailMessage.exists({
+                    _id: req.params.id,
+                });
+                return exists
+                    ? res.status(409).json({
+                          error: "Only failed messages can be resent",
+                          code: "MESSAGE_NOT_FAILED",
+                      })
+                    : res.status(404).json({
+                          error: "Message not found",
+                          code: "MESSAGE_NOT_FOUND",
+                      });
+            }
+
+            await recordAdminAction(req, {
+                action: "email.resend",
+                targetType: "email",
+                targetId: message._id,
+                targetLabel: `${message.subject} → ${message.to}`,
+                metadata: {
+                    category: message.category,
+                    resendCount: message.resendCount,
+                },
+            });
+
+            res.json({
+                success: true,
+                message: "Message queued again",
+                email: {
+                    _id: message._id,
+                    status: message.status,
+                    attempts: message.attempts,
+                    nextAttemptAt: message.nextAttemptAt,
+                    resendCount: message.resendCount,
+                },
+            });
+        } catch (error) {
+            console.error("Error resending email message:", error);
+            res.status(500).json({
+                error: "Failed to resend message",
+                code: "EMAIL_RESEND_ERROR",
+            });
+        }
+    }
+);
+
+module.exports = router;
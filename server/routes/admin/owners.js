@@ -0,0 +1,519 @@
+// server/routes/admin/owners.js
+const express = require("express");
+const mongoose = require("mongoose");
+const Business = require("../../models/Business");
+const BusinessClaim = require("../../models/BusinessClaim");
+const BusinessEditRequest = require("../../models/BusinessEditRequest");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
+const { recordAdminAction } = require("../../services/auditLogService");
+const router = express.Router();
+
+/**
+ * Admin Business Owner Routes
+ *
+ * Review queues for the owner flow:
+ * - Ownership claims that could not be verified by submitter email
+ * - Owner edit requests, shown as a before/after diff and applied to the
+ *   listing on approval
+ * - Gallery photos uploaded by owners (approved or deleted through
+ *   /api/admin/businesses/:id/photos/:photoId)
+ * - Removing an owner from a listing
+ */
+
+// Apply admin authentication to all routes
+router.use(verifyAdmin);
+
+// Role permissions (see ROLE_PERMISSIONS in models/AdminUser.js)
+const canRead = requirePermission("businesses:read");
+const canWrite = requirePermission("businesses:write");
+
+// Helper: page/limit query params
+const getPagination = (query) => {
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+const buildPagination = (page, limit, total) => {
+    const totalPages = Math.ceil(total / limit);
+    return {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+    };
+};
+
+// Helper: validate :id, or send the error response
+const isValidIdOr400 = (req, res) => {
+    if (mongoose.Types.ObjectId.isValid(req.params.id)) return true;
+
+    res.status(400).json({
+        error: "Invalid ID format",
+        code: "INVALID_ID",
+    });
+    return false;
+};
+
+/**
+ * GET /api/admin/owners/stats
+ * Pending counts for the queue tabs
+ */
+router.get("/stats", canRead, async (req, res) => {
+    try {
+        const [pendingClaims, pendingEdits, ownedListings, [photoCount]] =
+            await Promise.all([
+                BusinessClaim.countDocuments({ status: "pending" }),
+                BusinessEditRequest.countDocuments({ status: "pending" }),
+                Business.countDocuments({ owner: { $ne: null } }),
+                Business.aggregate([
+                    { $match: { "photos.status": "pending" } },
+                    { $unwind: "$photos" },
+                    { $match: { "photos.status": "pending" } },
+                    { $count: "count" },
+                ]),
+            ]);
+
+        res.json({
+            pendingClaims,
+            pendingEdits,
+            pendingPhotos: photoCount?.count || 0,
+            ownedListings,
+        });
+    } catch (error) {
+        console.error("Error fetching owner stats:", error);
+        res.status(500).json({
+            error: "Failed to fetch owner statistics",
+            code: "OWNER_STATS_ERROR",
+        });
+    }
+});
+
+/**
+ * GET /api/admin/owners/claims
+ * Ownership claims, newest first
+ * Query params: page, limit, status (pending|approved|rejected|all, default pending)
+ */
+router.get("/claims", canRead, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPagination(req.query);
+        const status = req.query.status || "pending";
+        const filter = status === "all" ? {} : { status };
+
+        const [claims, total] = await Promise.all([
+            BusinessClaim.find(filter)
+                .populate("user", "name email")
+                .populate("business", "businessId businessName cities owner")
+                .populate("reviewedBy", "username")
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            BusinessClaim.countDocuments(filter),
+        ]);
+
+        res.json({
+            success: true,
+            claims,
+            pagination: buildPagination(page, limit, total),
+        });
+    } catch (error) {
+        console.error("Error fetching claims:", error);
+        res.status(500).json({
+            error: "Failed to fetch claims",
+            code: "CLAIMS_FETCH_ERROR",
+        });
+    }
+});
+
+/**
+ * PATCH /api/admin/owners/claims/:id/status
+ * Approve or reject a pending claim
+ * Body: { status: "approved" | "rejected", rejectionReason? }
+ */
+router.patch("/claims/:id/status", canWrite, async (req, res) => {
+    try {
+        if (!isValidIdOr400(req, res)) return;
+
+        const { status, rejectionReason } = req.body;
+
+        if (!["approved", "rejected"].includes(status)) {
+            return res.status(400).json({
+                error: "Status must be approved or rejected",
+                code: "INVALID_STATUS",
+            });
+        }
+
+        if (status === "rejected" && !rejectionReason?.trim()) {
+            return res.status(400).json({
+                error: "Rejection reason is required when rejecting a claim",
+                code: "REJECTION_REASON_REQUIRED",
+            });
+        }
+
+        const claim = await BusinessClaim.findById(req.params.id);
+        if (!claim || claim.status !== "pending") {
+            return res.status(404).json({
+                error: "Pending claim not found",
+                code: "CLAIM_NOT_FOUND",
+            });
+        }
+
+        const before = claim.toObject();
+        let business = null;
+
+        if (status === "approved") {
+            // Only an unclaimed listing can be assigned
+            business = await Business.findOneAndUpdate(
+                { _id: claim.business, owner: null },
+                { owner: claim.user, ownerSince: new Date() },
+                { new: true }
+            );
+
+            if (!business) {
+                return res.status(409).json({
+                    error: "This listing no longer exists or already has an owner",
+                    code: "ALREADY_CLAIMED",
+                });
+            }
+        }
+
+        claim.status = status;
+        claim.reviewedAt = new Date();
+        claim.reviewedBy = req.admin._id;
+        claim.rejectionReason =
+            status === "rejected" ? rejectionReason.trim() : undefined;
+        await claim.save();
+
+        // Other open claims for the same listing can't succeed any more
+        if (business) {
+            await BusinessClaim.updateMany(
+                { business: claim.business, status: "pending" },
+                {
+                    $set: {
+                        status: "rejected",
+                        reviewedAt: new Date(),
+                        reviewedBy: req.admin._id,
+                        rejectionReason:
+                            "Another ownership claim for this listing was approved",
+                    },
+                }
+            );
+        }
+
+        await recordAdminAction(req, {
+            action: status === "approved" ? "claim.approve" : "claim.reject",
+            targetType: "claim",
+            targetLabel: business?.businessName || "",
+            before,
+            after: claim,
+        });
+
+        res.json({
+            success: true,
+            message:
+                status === "approved"
+                    ? "Claim approved. The user now owns this listing."
+                    : "Claim rejected",
+            claim,
+        });
+    } catch (error) {
+        console.error("Error updating claim status:", error);
+        res.status(500).json({
+            error: "Failed to update claim",
+            code: "CLAIM_UPDATE_ERROR",
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/owners/businesses/:id/owner
+ * Remove the owner from a listing (pending edits are rejected)
+ */
+router.delete("/businesses/:id/owner", canWrite, async (req, res) => {
+    try {
+        if (!isValidIdOr400(req, res)) return;
+
+        const business = await Business.findById(req.params.id);
+        if (!business || !business.owner) {
+            return res.status(404).json({
+                error: "Listing not found or has no owner",
+                code: "OWNER_NOT_FOUND",
+            });
+        }
+
+        const before = business.toObject();
+        business.owner = null;
+        business.ownerSince = null;
+        await business.save();
+
+        await BusinessEditRequest.updateMany(
+            { business: business._id, status: "pending" },
+            {
+                $set: {
+                    status: "rejected",
+                    reviewedAt: new Date(),
+                    reviewedBy: req.admin._id,
+                    rejectionReason: "Listing ownership was removed",
+                },
+            }
+        );
+
+        await recordAdminAction(req, {
+            action: "business.owner_remove",
+            targetType: "business",
+            before,
+            after: business,
+        });
+
+        res.json({
+            success: true,
+            message: "Owner removed from listing",
+        });
+    } catch (error) {
+        console.error("Error removing owner:", error);
+        res.status(500).json({
+            error: "Failed to remove owner",
+            code: "OWNER_REMOVE_ERROR",
+        });
+    }
+});
+
+/**
+ * GET /api/admin/owners/photos
+ * Pending gallery photos uploaded by owners, oldest first
+ * Query params: page, limit
+ */
+router.get("/photos", canRead, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPagination(req.query);
+
+        const [result] = await Business.aggregate([
+            { $match: { "photos.status": "pending" } },
+            { $unwind: "$photos" },
+            { $match: { "photos.status": "pending" } },
+            { $sort: { "photos.createdAt": 1 } },
+            {
+                $facet: {
+                    photos: [
+                        { $skip: skip },
+                        { $limit: limit },
+                        {
+                            $lookup: {
+                                from: "users",
+                                localField: "photos.uploadedBy",
+                                foreignField: "_id",
+                                as: "uploader",
+                            },
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                photo: "$photos",
+                                business: {
+                                    _id: "$_id",
+                                    businessId: "$businessId",
+                                    businessName: "$businessName",
+                                },
+                                uploadedBy: {
+                                    name: { $arrayElemAt: ["$uploader.name", 0] },
+                                    email: {
+                                        $arrayElemAt: ["$uploader.email", 0],
+                                    },
+                                },
+                            },
+                        },
+                    ],
+                    total: [{ $count: "count" }],
+                },
+            },
+        ]);
+
+        res.json({
+            success: true,
+            photos: result.photos,
+            pagination: buildPagination(
+                page,
+                limit,
+                result.total[0]?.count || 0
+            ),
+        });
+    } catch (error) {
+        console.error("Error fetching pending photos:", error);
+        res.status(500).json({
+            error: "Failed to fetch pending photos",
+            code: "PHOTOS_FETCH_ERROR",
+        });
+    }
+});
+
+/**
+ * GET /api/admin/owners/edits
+ * Owner edit requests with the listing's current values
+ * Query params: page, limit, status (pending|approved|rejected|withdrawn|all, default pending)
+ *
+ * staleFields lists fields whose live value changed since the owner
+ * proposed the edit, so the admin doesn't overwrite newer data unknowingly.
+ */
+router.get("/edits", canRead, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPagination(req.query);
+        const status = req.query.status || "pending";
+        const filter = status === "all" ? {} : { status };
+
+        const [editRequests, total] = await Promise.all([
+            BusinessEditRequest.find(filter)
+                .populate("owner", "name email")
+                .populate(
+                    "business",
+                    "businessId businessName shortDescription translations mobile socialLinks"
+                )
+                .populate("reviewedBy", "username")
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            BusinessEditRequest.countDocuments(filter),
+        ]);
+
+        res.json({
+            success: true,
+            editRequests: editRequests.map((request) => ({
+                ...request.toObject(),
+                staleFields:
+                    request.status === "pending" && request.business
+                        ? request.getStaleFields(request.business)
+                        : [],
+            })),
+            pagination: buildPagination(page, limit, total),
+        });
+    } catch (error) {
+        console.error("Error fetching edit requests:", error);
+        res.status(500).json({
+            error: "Failed to fetch edit requests",
+            code: "EDITS_FETCH_ERROR",
+        });
+    }
+});
+
+/**
+ * PATCH /api/admin/owners/edits/:id/status
+ * Approve (apply to the listing) or reject an owner edit
+ * Body: { status: "approved" | "rejected", rejectionReason? }
+ *
+ * An edit whose fields changed on the live listing since it was proposed
+ * (staleFields) can't be approved, so newer admin edits are never
+ * overwritten; reject it and let the owner propose again.
+ */
+router.patch("/edits/:id/status", canWrite, async (req, res) => {
+    try {
+        if (!isValidIdOr400(req, res)) return;
+
+        const { status, rejectionReason } = req.body;
+
+        if (!["approved", "rejected"].includes(status)) {
+            return res.status(400).json({
+                error: "Status must be approved or rejected",
+                code: "INVALID_STATUS",
+            });
+        }
+
+        if (status === "rejected" && !rejectionReason?.trim()) {
+            return res.status(400).json({
+                error: "Rejection reason is required when rejecting an edit",
+                code: "REJECTION_REASON_REQUIRED",
+            });
+        }
+
+        const editRequest = await BusinessEditRequest.findById(req.params.id);
+        if (!editRequest || editRequest.status !== "pending") {
+            return res.status(404).json({
+                error: "Pending edit request not found",
+                code: "EDIT_REQUEST_NOT_FOUND",
+            });
+        }
+
+        const business = await Business.findById(editRequest.business);
+        if (!business) {
+            return res.status(404).json({
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        if (status === "approved") {
+            if (!business.owner?.equals(editRequest.owner)) {
+                return res.status(409).json({
+                    error: "The requester no longer owns this listing",
+                    code: "NOT_BUSINESS_OWNER",
+                });
+            }
+
+            const staleFields = editRequest.getStaleFields(business);
+            if (staleFields.length > 0) {
+                return res.status(409).json({
+                    error: `The listing changed since this edit was proposed (${staleFields.join(", ")})`,
+                    code: "EDIT_CONFLICT",
+                    staleFields,
+                });
+            }
+
+            const before = business.toObject();
+            editRequest.changes.forEach((change) => {
+                business.set(change.field, change.after);
+            });
+            await business.save();
+
+            await recordAdminAction(req, {
+                action: "business.owner_edit_approve",
+                targetType: "business",
+                before,
+                after: business,
+                metadata: { editRequestId: editRequest._id },
+            });
+        } else {
+            await recordAdminAction(req, {
+                action: "business.owner_edit_reject",
+                targetType: "business",
+                targetId: business._id,
+                targetLabel: business.businessName,
+                metadata: {
+                    editRequestId: editRequest._id,
+                    rejectionReason: rejectionReason.trim(),
+                },
+            });
+        }
+
+        editRequest.status = status;
+        editRequest.reviewedAt = new Date();
+        editRequest.reviewedBy = req.admin._id;
+        editRequest.rejectionReason =
+            status === "rejected" ? rejectionReason.trim() : undefined;
+        await editRequest.save();
+
+        res.json({
+            success: true,
+            message:
+                status === "approved"
+                    ? "Changes applied to the listing"
+                    : "Edit request rejected",
+            editRequest,
+        });
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json({
+                error: "The proposed changes are not valid for this listing",
+                code: "VALIDATION_ERROR",
+                details: Object.values(error.errors).map((err) => err.message),
+            });
+        }
+
+        console.error("Error updating edit request:", error);
+        res.status(500).json({
+            error: "Failed to update edit request",
+            code: "EDIT_UPDATE_ERROR",
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,277 @@
+// server/routes/admin/reportReasons.js
+const express = require("express");
+const mongoose = require("mongoose");
+const ReportReason = require("../../models/ReportReason");
+const BusinessReport = require("../../models/BusinessReport");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
+const { validateReportReason } = require("../../middleware/validation");
+const { recordAdminAction } = require("../../services/auditLogService");
+const {
+    ensureDefaultReasons,
+    refreshReportPriorities,
+} = require("../../services/reportReasonService");
+const router = express.Router();
+
+/**
+ * Admin Report Reasons Routes
+ *
+ * The issue types visitors can report (models/ReportReason.js):
+ * - Inactive reasons disappear from the report dialog, existing reports
+ *   keep them
+ * - Delete is only possible while no report uses the reason
+ * - Changing a severity re-prioritizes the pending reports using it
+ */
+
+router.use(verifyAdmin);
+
+// Role permissions (see ROLE_PERMISSIONS in models/AdminUser.js)
+const canRead = requirePermission("reports:read");
+const canWrite = requirePermission("reports:write");
+
+// Helper: editable fields from the request body
+const getReasonFields = (body) => {
+    const fields = { label: body.label.trim() };
+    if (body.description !== undefined) {
+        fields.description = body.description.trim();
+    }
+    if (body.severity !== undefined) fields.severity = body.severity;
+    if (body.requiresText !== undefined) {
+        fields.requiresText = body.requiresText;
+    }
+    if (body.sortOrder !== undefined) fields.sortOrder = Number(body.sortOrder);
+    return fields;
+};
+
+// Helper: load the reason from :id or answer 400/404
+const findReasonOr404 = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({
+            error: "Invalid reason ID format",
+            code: "INVALID_REASON_ID",
+        });
+        return null;
+    }
+
+    const reason = await ReportReason.findById(req.params.id);
+    if (!reason) {
+        res.status(404).json({
+            error: "Report reason not found",
+            code: "REASON_NOT_FOUND",
+        });
+        return null;
+    }
+    return reason;
+};
+
+/**
+ * GET /api/admin/report-reasons
+ * All reasons in dialog order, each with the number of reports using it
+ */
+router.get("/", canRead, async (req, res) => {
+    try {
+        await ensureDefaultReasons();
+
+        const [reasons, usage] = await Promise.all([
+            ReportReason.find().sort({ sortOrder: 1, label: 1 }).lean(),
+            BusinessReport.aggregate([
+                { $unwind: "$issueTypes" },
+                { $group: { _id: "$issueTypes", count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        const counts = new Map(usage.map((item) => [item._id, item.count]));
+
+        res.json({
+            reasons: reasons.map((reason) => ({
+                ...reason,
+                reportCount: counts.get(reason.key) || 0,
+            })),
+        });
+    } catch (error) {
+        console.error("Error fetching report reasons:", error);
+        res.status(500).json({
+            error: "Failed to fetch report reasons",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+/**
+ * POST /api/admin/report-reasons
+ * Body: { key, label, description?, severity?, requiresText?, sortOrder? }
+ */
+router.post("/", canWrite, validateReportReason, async (req, res) => {
+    try {
+        const reason = new ReportReason({
+            key: req.body.key.trim(),
+            ...getReasonFields(req.body),
+        });
+        await reason.save();
+
+        await recordAdminAction(req, {
+            action: "report_reason.create",
+            targetType: "report",
+            targetLabel: `Report reason: ${reason.label}`,
+            after: reason,
+        });
+
+        res.status(201).json({ success: true, reason });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: "A reason with this key already exists",
+                code: "DUPLICATE_REASON",
+            });
+        }
+        if (error.name === "ValidationError") {
+            return res.status(400).json({
+                error: "Validation failed",
+                details: Object.values(error.errors).map((e) => e.message),
+            });
+        }
+
+        console.error("Error creating report reason:", error);
+        res.status(500).json({
+            error: "Failed to create report reason",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/report-reasons/:id
+ * Body: { label, description?, severity?, requiresText?, sortOrder? }
+ */
+router.put("/:id", canWrite, validateReportReason, async (req, res) => {
+    try {
+        const reason = await findReasonOr404(req, res);
+        if (!reason) return;
+
+        const before = reason.toObject();
+        reason.set(getReasonFields(req.body));
+        await reason.save();
+
+        const reprioritized =
+            before.severity !== reason.severity
+                ? await refreshReportPriorities(reason.key)
+                : 0;
+
+        await recordAdminAction(req, {
+            action: "report_reason.update",
+            targetType: "report",
+            targetLabel: `Report reason: ${reason.label}`,
+            before,
+            after: reason,
+            metadata: reprioritized ? { reprioritized } : null,
+        });
+
+        res.json({ success: true, reason, reprioritized });
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json({
+                error: "Validation failed",
+                details: Object.values(error.errors).map((e) => e.message),
+            });
+        }
+
+        console.error("Error updating report reason:", error);
+        res.status(500).json({
+            error: "Failed to update report reason",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+/**
+ * PATCH /api/admin/report-reasons/:id/toggle
+ * Show or hide the reason in the report dialog
+ */
+router.patch("/:id/toggle", canWrite, async (req, res) => {
+    try {
+        const reason = await findReasonOr404(req, res);
+        if (!reason) return;
+
+        const before = reason.toObject();
+        reason.isActive = !reason.isActive;
+        await reason.save();
+
+        await recordAdminAction(req, {
+            action: reason.isActive
+                ? "report_reason.activate"
+                : "report_reason.deactivate",
+            targetType: "report",
+            targetLabel: `Report reason: ${reason.label}`,
+            before,
+            after: reason,
+        });
+
+        res.json({ success: true, reason });
+    } catch (error) {
+        console.error("Error toggling report reason:", error);
+        res.status(500).json({
+            error: "Failed to update report reason",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/report-reasons/:id
+ * Only while no report uses the reason - deactivate it otherwise
+ */
+router.delete("/:id", canWrite, async (req, res) => {
+    try {
+        const reason = await findReasonOr404(req, res);
+        if (!reason) return;
+
+        const reportCount = await BusinessReport.countDocuments({
+            issueTypes: reason.key,
+        });
+        if (reportCount > 0) {
+            return res.status(400).json({
+                error: `${reportCount} report${
+                    reportCount === 1 ? " uses" : "s use"
+                } this reason. Deactivate it instead.`,
+                code: "REASON_IN_USE",
+                reportCount,
+            });
+        }
+
+        await ReportReason.findByIdAndDelete(reason._id);
+
+        await recordAdminAction(req, {
+            action: "report_reason.delete",
+            targetType: "report",
+            targetLabel: `Report reason: ${reason.label}`,
+            before: reason,
+        });
+
+        res.json({
+            success: true,
+            message: `Report reason "${reason.label}" deleted`,
+        });
+    } catch (error) {
+        console.error("Error deleting report reason:", error);
+        res.status(500).json({
+            error: "Failed to delete report reason",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+module.exports = router;
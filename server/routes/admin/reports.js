@@ -3,8 +3,14 @@ const express = require("express");
 const mongoose = require("mongoose");
 const BusinessReport = require("../../models/BusinessReport");
 const Business = require("../../models/Business");
-const { verifyAdmin } = require("../../middleware/auth");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
 const { validateReportStatusUpdate } = require("../../middleware/validation");
+const { recordAdminAction } = require("../../services/auditLogService");
+const { SYSTEM_USER } = require("../../services/reportAutomationService");
+const { REPORT_RULES } = require("../../config/reportRules");
+const {
+    notifyReportOutcome,
+} = require("../../services/outcomeNotificationService");
 const router = express.Router();
 
 /**
@@ -21,23 +27,30 @@ const router = express.Router();
 // Apply admin authentication to all routes
 router.use(verifyAdmin);
 
+// Role permissions (see ROLE_PERMISSIONS in models/AdminUser.js)
+const canRead = requirePermission("reports:read");
+const canWrite = requirePermission("reports:write");
+
 /**
  * GET /api/admin/reports
  * Get all reports with pagination and filtering for admin dashboard
  *
  * Follows your pagination pattern from admin/businesses.js with enhanced filtering
+ * Most severe first (report.priority) unless sort=newest
  */
-router.get("/", async (req, res) => {
+router.get("/", canRead, async (req, res) => {
     try {
         const {
             page = 1,
             limit = 20,
             status = "",
             issueType = "",
+            autoAction = "",
             businessId = "",
             search = "",
             dateFrom = "",
             dateTo = "",
+            sort = "priority",
         } = req.query;
 
         // Build query object following your filtering patterns
@@ -53,6 +66,11 @@ router.get("/", async (req, res) => {
             query.issueTypes = { $in: [issueType] };
         }
 
+        // Reports the report rules acted on (see config/reportRules.js)
+        if (["image_check", "listing_hidden"].includes(autoAction)) {
+            query["autoActions.type"] = autoAction;
+        }
+
         // Business ID filtering for business-specific reports
         if (businessId && mongoose.Types.ObjectId.isValid(businessId)) {
             query.businessId = businessId;
@@ -99,9 +117,13 @@ router.get("/", async (req, res) => {
         let reportsQuery = BusinessReport.find(query)
             .populate(
                 "businessId",
-                "businessName businessId category city profileImage"
+                "businessName businessId categories cities profileImage hiddenAt hiddenReason"
+            )
+            .sort(
+                sort === "newest"
+                    ? { createdAt: -1 }
+                    : { priority: -1, createdAt: -1 }
             )
-            .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit));
 
@@ -170,10 +192,12 @@ router.get("/", async (req, res) => {
             filters: {
                 status,
                 issueType,
+                autoAction,
                 businessId,
                 search,
                 dateFrom,
                 dateTo,
+                sort,
             },
         });
     } catch (error) {
@@ -194,7 +218,7 @@ router.get("/", async (req, res) => {
  *
  * Enhanced version of public stats with admin-specific details
  */
-router.get("/stats", async (req, res) => {
+router.get("/stats", canRead, async (req, res) => {
     try {
         const stats = await BusinessReport.getReportStats();
 
@@ -220,8 +244,18 @@ router.get("/stats", async (req, res) => {
             },
         ]);
 
+        const [autoResolved, hiddenBusinesses] = await Promise.all([
+            BusinessReport.countDocuments({
+                status: "resolved",
+                resolvedBy: SYSTEM_USER,
+            }),
+            Business.countDocuments({ hiddenAt: { $ne: null } }),
+        ]);
+
         res.json({
             ...stats,
+            autoResolved,
+            hiddenBusinesses,
             issueTypeBreakdown: issueTypeStats,
             recentReports: recentReports.map((report) => ({
                 _id: report._id,
@@ -250,7 +284,7 @@ router.get("/stats", async (req, res) => {
  *
  * Following your single item pattern from admin/businesses.js
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", canRead, async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -286,75 +320,108 @@ router.get("/:id", async (req, res) => {
 /**
  * PATCH /api/admin/reports/:id/status
  * Update report status (resolve, dismiss, reopen)
+ * Body: { status, adminNotes?, outcomeMessage? } - outcomeMessage is for
+ * the reporter (emailed if they left an address, and shown on the status
+ * page); reopening clears it
  *
  * Following your update pattern with validation middleware
  */
-router.patch("/:id/status", validateReportStatusUpdate, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { status, adminNotes } = req.body;
+router.patch(
+    "/:id/status",
+    canWrite,
+    validateReportStatusUpdate,
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { status, adminNotes, outcomeMessage } = req.body;
+
+            if (!mongoose.Types.ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    error: "Invalid report ID format",
+                    code: "INVALID_REPORT_ID",
+                });
+            }
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                error: "Invalid report ID format",
-                code: "INVALID_REPORT_ID",
-            });
-        }
+            const report = await BusinessReport.findById(id);
+            if (!report) {
+                return res.status(404).json({
+                    error: "Report not found",
+                    code: "REPORT_NOT_FOUND",
+                });
+            }
 
-        const report = await BusinessReport.findById(id);
-        if (!report) {
-            return res.status(404).json({
-                error: "Report not found",
-                code: "REPORT_NOT_FOUND",
-            });
-        }
+            // Update report using model methods when available
+            const adminUser = req.admin?.username || "admin";
+            const before = report.toObject();
+
+            try {
+                // Saved together with the status change below; a reopened
+                // report has no outcome yet
+                report.outcomeMessage =
+                    status === "pending" ? "" : outcomeMessage || "";
+                if (status === "pending") {
+                    report.outcomeNotifiedAt = null;
+                }
 
-        // Update report using model methods when available
-        const adminUser = req.user?.username || req.user?.email || "admin";
+                if (status === "resolved") {
+                    await report.resolveReport(adminUser, adminNotes);
+                } else if (status === "dismissed") {
+                    await report.dismissReport(adminUser, adminNotes);
+                } else {
+                    // For pending status or direct updates
+                    report.status = status;
+                    if (adminNotes) {
+                        report.adminNotes = adminNotes;
+                    }
+                    await report.save();
+                }
 
-        try {
-            if (status === "resolved") {
-                await report.resolveReport(adminUser, adminNotes);
-            } else if (status === "dismissed") {
-                await report.dismissReport(adminUser, adminNotes);
-            } else {
-                // For pending status or direct updates
-                report.status = status;
-                if (adminNotes) {
-                    report.adminNotes = adminNotes;
+                await recordAdminAction(req, {
+                    action: "report.status",
+                    targetType: "report",
+                    targetLabel: `Report (${report.issueTypes.join(", ")})`,
+                    before,
+                    after: report,
+                });
+
+                // Log admin action for auditing
+                console.log(
+                    `📊 Admin action: Report ${id} status changed to ${status} by ${adminUser}`
+                );
+
+                // Sent in the background, never fails the status change
+                const notifyingReporter =
+                    status !== "pending" && !!report.reporterEmail;
+                if (notifyingReporter) {
+                    notifyReportOutcome(report);
                 }
-                await report.save();
-            }
 
-            // Log admin action for auditing
-            console.log(
-                `📊 Admin action: Report ${id} status changed to ${status} by ${adminUser}`
-            );
-
-            res.json({
-                success: true,
-                message: `Report ${status} successfully`,
-                report: await BusinessReport.findById(id).populate(
-                    "businessId"
-                ),
-            });
-        } catch (modelError) {
-            return res.status(400).json({
-                error: modelError.message,
-                code: "INVALID_STATUS_CHANGE",
+                res.json({
+                    success: true,
+                    message: `Report ${status} successfully`,
+                    notifyingReporter,
+                    report: await BusinessReport.findById(id).populate(
+                        "businessId"
+                    ),
+                });
+            } catch (modelError) {
+                return res.status(400).json({
+                    error: modelError.message,
+                    code: "INVALID_STATUS_CHANGE",
+                });
+            }
+        } catch (error) {
+            console.error("Error updating report status:", error);
+            res.status(500).json({
+                error: "Failed to update report status",
+                details:
+                    process.env.NODE_ENV === "development"
+                        ? error.message
+                        : undefined,
             });
         }
-    } catch (error) {
-        console.error("Error updating report status:", error);
-        res.status(500).json({
-            error: "Failed to update report status",
-            details:
-                process.env.NODE_ENV === "development"
-                    ? error.message
-                    : undefined,
-        });
     }
-});
+);
 
 /**
  * DELETE /api/admin/reports/:id
@@ -362,7 +429,7 @@ router.patch("/:id/status", validateReportStatusUpdate, async (req, res) => {
  *
  * Following your delete pattern with proper authorization
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canWrite, async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -383,8 +450,15 @@ router.delete("/:id", async (req, res) => {
 
         await BusinessReport.findByIdAndDelete(id);
 
+        await recordAdminAction(req, {
+            action: "report.delete",
+            targetType: "report",
+            targetLabel: `Report (${report.issueTypes.join(", ")})`,
+            before: report,
+        });
+
         // Log deletion for auditing
-        const adminUser = req.user?.username || req.user?.email || "admin";
+        const adminUser = req.admin?.username || "admin";
         console.log(`🗑️ Admin action: Report ${id} deleted by ${adminUser}`);
 
         res.json({
@@ -409,7 +483,7 @@ router.delete("/:id", async (req, res) => {
  *
  * Useful for business investigation and pattern detection
  */
-router.get("/business/:businessId", async (req, res) => {
+router.get("/business/:businessId", canRead, async (req, res) => {
     try {
         const { businessId } = req.params;
 
@@ -447,8 +521,10 @@ router.get("/business/:businessId", async (req, res) => {
                 _id: business._id,
                 businessName: business.businessName,
                 businessId: business.businessId,
-                category: business.category,
-                city: business.city,
+                categories: business.categories,
+                cities: business.cities,
+                hiddenAt: business.hiddenAt,
+                hiddenReason: business.hiddenReason,
             },
             reports,
             stats,
@@ -465,4 +541,95 @@ router.get("/business/:businessId", async (req, res) => {
     }
 });
 
+/**
+ * POST /api/admin/reports/business/:businessId/restore
+ * Show a listing hidden by the report auto-hide rule again
+ *
+ * The pending "no longer exists" reports that hid it are dismissed, so they
+ * don't count towards hiding it a second time.
+ * Body: { adminNotes? }
+ */
+router.post("/business/:businessId/restore", canWrite, async (req, res) => {
+    try {
+        const { businessId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(businessId)) {
+            return res.status(400).json({
+                error: "Invalid business ID format",
+                code: "INVALID_BUSINESS_ID",
+            });
+        }
+
+        const business = await Business.findById(businessId);
+        if (!business) {
+            return res.status(404).json({
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        if (!business.hiddenAt) {
+            return res.status(400).json({
+                error: "Business is not hidden",
+                code: "BUSINESS_NOT_HIDDEN",
+            });
+        }
+
+        const adminUser = req.admin?.username || "admin";
+        const adminNotes =
+            typeof req.body?.adminNotes === "string" &&
+            req.body.adminNotes.trim()
+                ? req.body.adminNotes.trim().slice(0, 500)
+                : "Listing restored";
+        const before = business.toObject();
+
+        business.hiddenAt = null;
+        business.hiddenReason = "";
+        await business.save();
+
+        const dismissed = await BusinessReport.updateMany(
+            {
+                businessId: business._id,
+                issueTypes: REPORT_RULES.autoHide.issueType,
+                status: "pending",
+            },
+            {
+                $set: {
+                    status: "dismissed",
+                    resolvedBy: adminUser,
+                    resolvedAt: new Date(),
+                    adminNotes,
+                },
+            }
+        );
+
+        await recordAdminAction(req, {
+            action: "business.restore",
+            targetType: "business",
+            before,
+            after: business,
+            metadata: { dismissedReports: dismissed.modifiedCount },
+        });
+
+        console.log(
+            `👁️ Admin action: Business ${business.businessId} restored by ${adminUser}`
+        );
+
+        res.json({
+            success: true,
+            message: "Listing restored",
+            dismissedReports: dismissed.modifiedCount,
+        });
+    } catch (error) {
+        console.error("Error restoring business:", error);
+        res.status(500).json({
+            error: "Failed to restore business",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,296 @@
+// server/routes/admin/reviews.js
+const express = require("express");
+const mongoose = require("mongoose");
+const Review = require("../../models/Review");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
+const { recordAdminAction } = require("../../services/auditLogService");
+const router = express.Router();
+
+/**
+ * Admin Review Moderation Routes
+ *
+ * - Moderation queue with reported reviews first
+ * - Hide/restore a review (hidden reviews disappear from business pages)
+ * - Dismiss open abuse reports without changing visibility
+ * - Permanent delete
+ *
+ * Every moderation action resets openReportCount so the queue only shows
+ * reviews with reports the admin hasn't looked at yet.
+ */
+
+// Apply admin authentication to all routes
+router.use(verifyAdmin);
+
+// Role permissions (see ROLE_PERMISSIONS in models/AdminUser.js)
+const canRead = requirePermission("reviews:read");
+const canWrite = requirePermission("reviews:write");
+
+// Helper: validate :id and load the review, or send the error response
+const findReviewOr404 = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({
+            error: "Invalid review ID format",
+            code: "INVALID_REVIEW_ID",
+        });
+        return null;
+    }
+
+    const review = await Review.findById(id);
+    if (!review) {
+        res.status(404).json({
+            error: "Review not found",
+            code: "REVIEW_NOT_FOUND",
+        });
+        return null;
+    }
+
+    return review;
+};
+
+// Helper: audit log label for a review (start of its text)
+const reviewLabel = (review) =>
+    review.text.length > 60 ? `${review.text.slice(0, 60)}…` : review.text;
+
+// Helper: populate the fields the moderation table displays
+const populateForAdmin = (query) =>
+    query
+        .populate("user", "name email")
+        .populate("business", "businessName businessId")
+        .populate("reports.user", "name email");
+
+/**
+ * GET /api/admin/reviews
+ * Moderation queue with pagination and filtering
+ * Query params: page, limit, status (visible|hidden), reported (true), search
+ */
+router.get("/", canRead, async (req, res) => {
+    try {
+        const { status = "", reported = "", search = "" } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const skip = (page - 1) * limit;
+
+        const query = {};
+
+        if (["visible", "hidden"].includes(status)) {
+            query.status = status;
+        }
+
+        if (reported === "true") {
+            query.openReportCount = { $gt: 0 };
+        }
+
+        if (search && search.trim()) {
+            const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+            query.text = { $regex: escaped, $options: "i" };
+        }
+
+        const [reviews, total] = await Promise.all([
+            populateForAdmin(
+                Review.find(query)
+                    .sort({ openReportCount: -1, createdAt: -1 })
+                    .skip(skip)
+                    .limit(limit)
+            ).lean(),
+            Review.countDocuments(query),
+        ]);
+
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            reviews,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalReviews: total,
+                hasNext: page < totalPages,
+                hasPrev: page > 1,
+            },
+        });
+    } catch (error) {
+        console.error("Error fetching admin reviews:", error);
+        res.status(500).json({
+            error: "Failed to fetch reviews",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+/**
+ * GET /api/admin/reviews/stats
+ * Counts for the moderation queue header
+ */
+router.get("/stats", canRead, async (req, res) => {
+    try {
+        const [total, hidden, reported] = await Promise.all([
+            Review.countDocuments(),
+            Review.countDocuments({ status: "hidden" }),
+            Review.countDocuments({ openReportCount: { $gt: 0 } }),
+        ]);
+
+        res.json({
+            total,
+            visible: total - hidden,
+            hidden,
+            reported,
+        });
+    } catch (error) {
+        console.error("Error fetching review stats:", error);
+        res.status(500).json({
+            error: "Failed to fetch review statistics",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+/**
+ * PATCH /api/admin/reviews/:id/status
+ * Hide or restore a review
+ * Body: { status: "visible" | "hidden", moderationNote? }
+ */
+router.patch("/:id/status", canWrite, async (req, res) => {
+    try {
+        const { status, moderationNote } = req.body;
+
+        if (!["visible", "hidden"].includes(status)) {
+            return res.status(400).json({
+                error: "Status must be visible or hidden",
+                code: "INVALID_STATUS",
+            });
+        }
+
+        const review = await findReviewOr404(req, res);
+        if (!review) return;
+
+        const adminUser = req.admin?.username || "admin";
+        const before = review.toObject();
+
+        review.status = status;
+        review.openReportCount = 0;
+        review.moderatedAt = new Date();
+        review.moderatedBy = adminUser;
+        if (typeof moderationNote === "string") {
+            review.moderationNote = moderationNote.trim();
+        }
+        await review.save();
+
+        await recordAdminAction(req, {
+            action: "review.status",
+            targetType: "review",
+            targetLabel: reviewLabel(review),
+            before,
+            after: review,
+        });
+
+        console.log(
+            `📊 Admin action: Review ${review._id} set to ${status} by ${adminUser}`
+        );
+
+        res.json({
+            success: true,
+            message: status === "hidden" ? "Review hidden" : "Review restored",
+            review: await populateForAdmin(Review.findById(review._id)).lean(),
+        });
+    } catch (error) {
+        console.error("Error updating review status:", error);
+        res.status(500).json({
+            error: "Failed to update review status",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+/**
+ * PATCH /api/admin/reviews/:id/dismiss-reports
+ * Clear open abuse reports and keep the review as it is
+ */
+router.patch("/:id/dismiss-reports", canWrite, async (req, res) => {
+    try {
+        const review = await findReviewOr404(req, res);
+        if (!review) return;
+
+        const adminUser = req.admin?.username || "admin";
+        const before = review.toObject();
+
+        review.openReportCount = 0;
+        review.moderatedAt = new Date();
+        review.moderatedBy = adminUser;
+        await review.save();
+
+        await recordAdminAction(req, {
+            action: "review.dismiss_reports",
+            targetType: "review",
+            targetLabel: reviewLabel(review),
+            before,
+            after: review,
+        });
+
+        console.log(
+            `📊 Admin action: Reports on review ${review._id} dismissed by ${adminUser}`
+        );
+
+        res.json({
+            success: true,
+            message: "Reports dismissed",
+        });
+    } catch (error) {
+        console.error("Error dismissing review reports:", error);
+        res.status(500).json({
+            error: "Failed to dismiss reports",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/reviews/:id
+ * Permanently delete a review
+ */
+router.delete("/:id", canWrite, async (req, res) => {
+    try {
+        const review = await findReviewOr404(req, res);
+        if (!review) return;
+
+        await review.deleteOne();
+
+        await recordAdminAction(req, {
+            action: "review.delete",
+            targetType: "review",
+            targetLabel: reviewLabel(review),
+            before: review,
+        });
+
+        const adminUser = req.admin?.username || "admin";
+        console.log(`🗑️ Admin action: Review ${review._id} deleted by ${adminUser}`);
+
+        res.json({
+            success: true,
+            message: "Review deleted successfully",
+        });
+    } catch (error) {
+        console.error("Error deleting review:", error);
+        res.status(500).json({
+            error: "Failed to delete review",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+module.exports = router;
@@ -2,19 +2,38 @@
 const express = require("express");
 const BusinessSubmission = require("../../models/BusinessSubmission");
 const Business = require("../../models/Business");
-const { verifyAdmin } = require("../../middleware/auth");
+const { verifyAdmin, requirePermission } = require("../../middleware/auth");
 const duplicateDetectionService = require("../../services/duplicateDetectionService");
+const {
+    publishSubmission,
+    unpublishBusiness,
+    withdrawSubmission
+} = require("../../services/submissionPublishingService");
+const { recordAdminAction } = require("../../services/auditLogService");
+const { notifySubmissionOutcome } = require("../../services/outcomeNotificationService");
 const router = express.Router();
 
 // Apply auth middleware to all routes
 router.use(verifyAdmin);
 
+// Role permissions (see ROLE_PERMISSIONS in models/AdminUser.js)
+const canRead = requirePermission("submissions:read");
+const canReview = requirePermission("submissions:review");
+const canDelete = requirePermission("submissions:delete");
+
+// Audit log action for each status a submission can be moved to
+const SUBMISSION_STATUS_ACTIONS = {
+    approved: 'submission.approve',
+    rejected: 'submission.reject',
+    pending: 'submission.reopen'
+};
+
 /**
  * GET /api/admin/submissions
  * Get paginated submissions with filtering and sorting
  * Query params: page, limit, status, category, dateFrom, dateTo, search
  */
-router.get("/", async (req, res) => {
+router.get("/", canRead, async (req, res) => {
     try {
         const {
             page = 1,
@@ -73,6 +92,7 @@ router.get("/", async (req, res) => {
                 .skip(skip)
                 .limit(limitNum)
                 .select('-submitterIp -__v') // Exclude sensitive/unnecessary fields
+                .populate('reviewedBy', 'username role')
                 .lean(),
             BusinessSubmission.countDocuments(filter)
         ]);
@@ -106,7 +126,7 @@ router.get("/", async (req, res) => {
  * GET /api/admin/submissions/stats
  * Get submission statistics for dashboard
  */
-router.get("/stats", async (req, res) => {
+router.get("/stats", canRead, async (req, res) => {
     try {
         const now = new Date();
         const startOfWeek = new Date(now.setDate(now.getDate() - now.getDay()));
@@ -160,11 +180,13 @@ router.get("/stats", async (req, res) => {
  * GET /api/admin/submissions/:id
  * Get individual submission details
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", canRead, async (req, res) => {
     try {
         const { id } = req.params;
 
-        const submission = await BusinessSubmission.findById(id).lean();
+        const submission = await BusinessSubmission.findById(id)
+            .populate('reviewedBy', 'username role')
+            .lean();
 
         if (!submission) {
             return res.status(404).json({
@@ -190,8 +212,12 @@ router.get("/:id", async (req, res) => {
 /**
  * PUT /api/admin/submissions/:id/status
  * Update submission status (approve/reject)
+ * Approving creates the Business listing and returns its id; rejecting or
+ * reopening an approved submission hides that listing again
+ * The submitter is emailed the decision (with the rejection reason)
+ * whenever it changes
  */
-router.put("/:id/status", async (req, res) => {
+router.put("/:id/status", canReview, async (req, res) => {
     try {
         const { id } = req.params;
         const { status, rejectionReason } = req.body;
@@ -221,9 +247,55 @@ router.put("/:id/status", async (req, res) => {
             });
         }
 
+        const before = submission.toObject();
+
+        // Approval publishes the submission as a live Business listing
+        let publishResult = null;
+
+        if (status === 'approved') {
+            // Claim the approval first, so two concurrent approvals can't
+            // both publish a listing
+            const claimed = await BusinessSubmission.findOneAndUpdate(
+                { _id: submission._id, status: { $ne: 'approved' } },
+                { $set: { status: 'approved' } }
+            );
+
+            if (!claimed) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Submission is already approved'
+                });
+            }
+
+            try {
+                publishResult = await publishSubmission(submission);
+            } catch (publishError) {
+                console.error('Error publishing submission:', publishError);
+
+                await BusinessSubmission.updateOne(
+                    { _id: submission._id, status: 'approved' },
+                    { $set: { status: before.status } }
+                );
+
+                if (publishError.name === 'ValidationError') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Submission cannot be published as a listing',
+                        details: Object.values(publishError.errors).map(err => err.message)
+                    });
+                }
+
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to publish submission as a listing'
+                });
+            }
+        }
+
         // Update submission
         submission.status = status;
         submission.reviewedAt = new Date();
+        submission.reviewedBy = req.admin._id;
 
         if (status === 'rejected') {
             submission.rejectionReason = rejectionReason.trim();
@@ -231,18 +303,88 @@ router.put("/:id/status", async (req, res) => {
             submission.rejectionReason = undefined;
         }
 
-        await submission.save();
+        // A reopened submission has no decision to notify about yet
+        if (status === 'pending') {
+            submission.outcomeNotifiedAt = undefined;
+        }
+
+        try {
+            await submission.save();
+        } catch (saveError) {
+            // Don't leave an orphan listing behind if the submission can't record it
+            if (publishResult?.created) {
+                await unpublishBusiness(publishResult.business);
+            }
+            if (status === 'approved') {
+                await BusinessSubmission.updateOne(
+                    { _id: submission._id, status: 'approved' },
+                    { $set: { status: before.status } }
+                );
+            }
+            throw saveError;
+        }
+
+        const business = publishResult?.business;
+
+        // An approval taken back takes the listing out of the directory
+        const hiddenBusiness = before.status === 'approved' && status !== 'approved'
+            ? await withdrawSubmission(submission)
+            : null;
+
+        await recordAdminAction(req, {
+            action: SUBMISSION_STATUS_ACTIONS[status],
+            targetType: 'submission',
+            before,
+            after: submission,
+            metadata: business ? {
+                publishedBusiness: business._id,
+                businessId: business.businessId,
+                created: publishResult.created
+            } : hiddenBusiness ? {
+                hiddenBusiness: hiddenBusiness._id,
+                businessId: hiddenBusiness.businessId
+            } : null
+        });
+
+        // Sent in the background, never fails the status change
+        const notifyingSubmitter = status !== 'pending' &&
+            (before.status !== status || before.rejectionReason !== submission.rejectionReason);
+        if (notifyingSubmitter) {
+            notifySubmissionOutcome(submission, business);
+        }
 
         res.json({
             success: true,
-            message: `Submission ${status} successfully`,
+            notifyingSubmitter,
+            message: business
+                ? `Submission approved and published as listing ${business.businessId}`
+                : hiddenBusiness
+                    ? `Submission ${status}; listing ${hiddenBusiness.businessId} hidden from the directory`
+                    : `Submission ${status} successfully`,
             submission: {
                 id: submission._id,
                 submissionId: submission.submissionId,
                 status: submission.status,
                 reviewedAt: submission.reviewedAt,
-                rejectionReason: submission.rejectionReason
-            }
+                reviewedBy: {
+                    _id: req.admin._id,
+                    username: req.admin.username,
+                    role: req.admin.role
+                },
+                rejectionReason: submission.rejectionReason,
+                publishedBusiness: submission.publishedBusiness || null
+            },
+            business: business ? {
+                _id: business._id,
+                businessId: business.businessId,
+                businessName: business.businessName,
+                created: publishResult.created
+            } : null,
+            hiddenBusiness: hiddenBusiness ? {
+                _id: hiddenBusiness._id,
+                businessId: hiddenBusiness.businessId,
+                businessName: hiddenBusiness.businessName
+            } : null
         });
 
     } catch (error) {
@@ -258,7 +400,7 @@ router.put("/:id/status", async (req, res) => {
  * GET /api/admin/submissions/:id/duplicates
  * Check for duplicates of a specific submission
  */
-router.get("/:id/duplicates", async (req, res) => {
+router.get("/:id/duplicates", canRead, async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -290,7 +432,7 @@ router.get("/:id/duplicates", async (req, res) => {
  * POST /api/admin/submissions/batch-duplicates
  * Check for duplicates across multiple submissions
  */
-router.post("/batch-duplicates", async (req, res) => {
+router.post("/batch-duplicates", canRead, async (req, res) => {
     try {
         const { submissionIds } = req.body;
 
@@ -339,7 +481,7 @@ router.post("/batch-duplicates", async (req, res) => {
  * DELETE /api/admin/submissions
  * Bulk delete submissions
  */
-router.delete("/", async (req, res) => {
+router.delete("/", canDelete, async (req, res) => {
     try {
         const { submissionIds } = req.body;
 
@@ -360,11 +502,27 @@ router.delete("/", async (req, res) => {
             });
         }
 
+        // Keep names for the audit log before the documents are gone
+        const deletedSubmissions = await BusinessSubmission
+            .find({ _id: { $in: submissionIds } })
+            .select('submissionId businessName status')
+            .lean();
+
         // Delete submissions
         const deleteResult = await BusinessSubmission.deleteMany({
             _id: { $in: submissionIds }
         });
 
+        await recordAdminAction(req, {
+            action: 'submission.bulk_delete',
+            targetType: 'submission',
+            targetLabel: `${deleteResult.deletedCount} submissions`,
+            metadata: {
+                deletedCount: deleteResult.deletedCount,
+                submissions: deletedSubmissions
+            }
+        });
+
         res.json({
             success: true,
             message: `${deleteResult.deletedCount} submissions deleted successfully`,
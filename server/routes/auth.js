@@ -1,8 +1,9 @@
 // server/routes/auth.js
 const express = require("express");
 const User = require("../models/User");
+const UserSession = require("../models/UserSession");
 const {
-    generateTokenPair,
+    createUserSession,
     verifyAccessToken,
     refreshAccessToken,
 } = require("../middleware/userAuth");
@@ -13,6 +14,11 @@ const {
     validateResetPassword,
     validateEmailChange,
 } = require("../middleware/validation");
+const {
+    registerLimiter,
+    loginLimiter,
+    forgotPasswordLimiter,
+} = require("../middleware/rateLimit");
 // NEW: Email verification and password reset services
 const {
     sendVerificationEmail,
@@ -26,6 +32,10 @@ const {
     storeTempRegistration,
     hasEmailPendingRegistration,
 } = require("../services/tempRegistrationService");
+const {
+    getRequestLanguage,
+    normalizeLanguage,
+} = require("../config/languages");
 const router = express.Router();
 
 /**
@@ -53,7 +63,7 @@ const router = express.Router();
  * - Email verification token generation and email sending
  * - NO database user creation until email is verified
  */
-router.post("/register", validateUserRegistration, async (req, res) => {
+router.post("/register", registerLimiter, validateUserRegistration, async (req, res) => {
     try {
         const { email, password, name, phone } = req.body;
 
@@ -70,7 +80,7 @@ router.post("/register", validateUserRegistration, async (req, res) => {
         }
 
         // NEW: Check if email has a pending registration in temporary storage
-        if (hasEmailPendingRegistration(email)) {
+        if (await hasEmailPendingRegistration(email)) {
             return res.status(409).json({
                 error: "A registration is already pending for this email address",
                 code: "REGISTRATION_PENDING",
@@ -92,6 +102,8 @@ router.post("/register", validateUserRegistration, async (req, res) => {
             password, // Will be hashed by tempRegistrationService
             name: name.trim(),
             phone: phone ? phone.trim() : undefined,
+            // Explicit choice from the form, else the browser's language
+            language: getRequestLanguage(req),
             // Additional metadata for security tracking
             ipAddress: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0],
             userAgent: req.headers['user-agent'] || 'unknown'
@@ -114,7 +126,8 @@ router.post("/register", validateUserRegistration, async (req, res) => {
                 registrationData.email,
                 registrationData.name,
                 verificationToken,
-                registrationData.ipAddress
+                registrationData.ipAddress,
+                registrationData.language
             );
 
             // Log successful temporary registration for monitoring
@@ -174,7 +187,7 @@ router.post("/register", validateUserRegistration, async (req, res) => {
  * - EMAIL VERIFICATION CHECK (new requirement)
  * - JWT token generation for session management (only if verified)
  */
-router.post("/login", validateUserLogin, async (req, res) => {
+router.post("/login", loginLimiter, validateUserLogin, async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -246,8 +259,8 @@ router.post("/login", validateUserLogin, async (req, res) => {
             console.log(`✅ Deletion cancellation saved to database for: ${user.email}`);
         }
 
-        // Generate new token pair for this login session
-        const tokens = generateTokenPair(user._id);
+        // Start a new session (device) and issue its token pair
+        const tokens = await createUserSession(user._id, req);
 
         // Log successful login for security monitoring
         console.log(`User login: ${user.email} at ${new Date().toISOString()}`);
@@ -266,6 +279,7 @@ router.post("/login", validateUserLogin, async (req, res) => {
                 email: user.email,
                 name: user.name,
                 phone: user.phone,
+                language: user.language,
                 isEmailVerified: user.isEmailVerified,
                 lastLoginAt: user.lastLoginAt,
                 favorites: user.favorites,
@@ -314,6 +328,7 @@ router.get("/me", verifyAccessToken, async (req, res) => {
                 email: req.user.email,
                 name: req.user.name,
                 phone: req.user.phone,
+                language: req.user.language,
                 isEmailVerified: req.user.isEmailVerified,
                 favorites: req.user.favorites,
                 favoritesCount: req.user.favorites.length,
@@ -333,24 +348,26 @@ router.get("/me", verifyAccessToken, async (req, res) => {
 
 /**
  * POST /api/auth/logout
- * Logout user (currently client-side only)
+ * Logout user from the current device
  *
- * With JWT tokens, logout is primarily handled on the client side
- * by removing tokens from storage. This endpoint exists for:
- * - Logging logout events
- * - Future token blacklisting features
- * - Consistent API design
+ * Revokes the session the access token belongs to, so its refresh token
+ * can no longer be used and its access tokens stop working immediately.
+ * The client still removes tokens from storage.
  */
 router.post("/logout", verifyAccessToken, async (req, res) => {
     try {
+        if (req.sessionId) {
+            await UserSession.updateOne(
+                { _id: req.sessionId, user: req.user._id, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+            );
+        }
+
         // Log logout event for security monitoring
         console.log(
             `User logout: ${req.user.email} at ${new Date().toISOString()}`
         );
 
-        // TODO Phase 4: Add token to blacklist for enhanced security
-        // await blacklistToken(req.headers.authorization.split(' ')[1]);
-
         res.json({
             success: true,
             message: "Logged out successfully",
@@ -365,16 +382,46 @@ router.post("/logout", verifyAccessToken, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/auth/logout-all
+ * Logout user from all devices, including the current one
+ */
+router.post("/logout-all", verifyAccessToken, async (req, res) => {
+    try {
+        const revokedSessions = await UserSession.revokeAllForUser(
+            req.user._id,
+            "logout_all"
+        );
+
+        console.log(
+            `User logout from all devices: ${req.user.email} (${revokedSessions} sessions) at ${new Date().toISOString()}`
+        );
+
+        res.json({
+            success: true,
+            message: "Logged out of all devices",
+            revokedSessions,
+        });
+    } catch (error) {
+        console.error("Logout all error:", error);
+
+        res.status(500).json({
+            error: "Error during logout",
+            code: "LOGOUT_ERROR",
+        });
+    }
+});
+
 /**
  * PUT /api/auth/profile
  * Update user profile information
  *
- * Allows users to update their name and phone number.
+ * Allows users to update their name, phone number and language.
  * Email changes require separate verification process (future feature).
  */
 router.put("/profile", verifyAccessToken, async (req, res) => {
     try {
-        const { name, phone } = req.body;
+        const { name, phone, language } = req.body;
         const updateData = {};
 
         // Validate and prepare update data
@@ -398,6 +445,17 @@ router.put("/profile", verifyAccessToken, async (req, res) => {
             updateData.phone = phone ? phone.trim() : "";
         }
 
+        if (language !== undefined) {
+            const normalizedLanguage = normalizeLanguage(language);
+            if (!normalizedLanguage) {
+                return res.status(400).json({
+                    error: "Language must be one of: ka, en, ru",
+                    code: "INVALID_LANGUAGE",
+                });
+            }
+            updateData.language = normalizedLanguage;
+        }
+
         // Update user profile
         const updatedUser = await User.findByIdAndUpdate(
             req.user._id,
@@ -413,6 +471,7 @@ router.put("/profile", verifyAccessToken, async (req, res) => {
                 email: updatedUser.email,
                 name: updatedUser.name,
                 phone: updatedUser.phone,
+                language: updatedUser.language,
                 isEmailVerified: updatedUser.isEmailVerified,
                 favorites: updatedUser.favorites,
                 favoritesCount: updatedUser.favorites.length,
@@ -516,7 +575,7 @@ router.post("/change-email", verifyAccessToken, validateEmailChange, async (req,
         
         // Send code to current email
         const emailService = require('../services/emailService');
-        await emailService.sendEmailChangeCode(user.email, user.name, code, newEmail);
+        await emailService.sendEmailChangeCode(user.email, user.name, code, newEmail, user.language);
         
         res.json({
             success: true,
@@ -542,7 +601,7 @@ router.post("/change-email", verifyAccessToken, validateEmailChange, async (req,
  * - Only sends email if account exists and is verified
  * - Uses 30-minute token expiration for security
  */
-router.post("/forgot-password", validateForgotPassword, async (req, res) => {
+router.post("/forgot-password", forgotPasswordLimiter, validateForgotPassword, async (req, res) => {
     try {
         const { email } = req.body;
         
@@ -586,7 +645,8 @@ router.post("/forgot-password", validateForgotPassword, async (req, res) => {
                 user.email,
                 user.name,
                 resetToken,
-                clientIp
+                clientIp,
+                user.language
             );
             
             console.log(`Password reset email sent to: ${user.email}`);
@@ -676,6 +736,9 @@ router.post("/reset-password/:token", validateResetPassword, async (req, res) =>
             
             // Save all changes
             await user.save();
+
+            // Sign out every device - whoever knew the old password loses access
+            await UserSession.revokeAllForUser(user._id, "password_reset");
             
             console.log(`Password reset successful for: ${user.email}`);
             
@@ -714,6 +777,7 @@ router.post("/reset-password/:token", validateResetPassword, async (req, res) =>
  * - Validates current password before change
  * - Enforces password strength requirements
  * - Updates password with proper hashing
+ * - Signs out all other devices (revokes their sessions)
  * - Logs password change for security audit
  */
 router.post("/change-password", verifyAccessToken, async (req, res) => {
@@ -786,12 +850,20 @@ router.post("/change-password", verifyAccessToken, async (req, res) => {
             
             // Save changes
             await user.save();
+
+            // Sign out every other device; the session that made the change stays signed in
+            const revokedSessions = await UserSession.revokeAllForUser(
+                user._id,
+                "password_change",
+                { exceptSessionId: req.sessionId }
+            );
             
             console.log(`Password changed for user: ${user.email}`);
             
             res.json({
                 success: true,
-                message: "Password changed successfully"
+                message: "Password changed successfully",
+                revokedSessions
             });
             
         } catch (saveError) {
@@ -843,6 +915,7 @@ router.post("/favorites/toggle/:businessId", verifyAccessToken, async (req, res)
         if (isFavorited) {
             // Remove from favorites
             user.favorites = user.favorites.filter(id => id.toString() !== businessId);
+            user.favoritesAddedAt.delete(businessId);
             await user.save();
 
             res.json({
@@ -855,7 +928,10 @@ router.post("/favorites/toggle/:businessId", verifyAccessToken, async (req, res)
             // Add to favorites (using $addToSet to prevent duplicates)
             await User.findByIdAndUpdate(
                 user._id,
-                { $addToSet: { favorites: businessId } },
+                {
+                    $addToSet: { favorites: businessId },
+                    $set: { [`favoritesAddedAt.${businessId}`]: new Date() },
+                },
                 { new: true }
             );
 
@@ -947,6 +1023,7 @@ router.delete("/favorites/:businessId", verifyAccessToken, async (req, res) => {
 
         // Remove from favorites
         user.favorites = user.favorites.filter(id => id.toString() !== businessId);
+        user.favoritesAddedAt.delete(businessId);
         await user.save();
 
         res.json({
@@ -990,6 +1067,7 @@ router.post("/favorites/bulk-delete", verifyAccessToken, async (req, res) => {
         user.favorites = user.favorites.filter(id => 
             !businessIds.includes(id.toString())
         );
+        businessIds.forEach(id => user.favoritesAddedAt.delete(String(id)));
         await user.save();
 
         res.json({
@@ -1054,6 +1132,9 @@ router.delete("/account", verifyAccessToken, async (req, res) => {
             // Schedule the deletion
             const deletionDate = user.scheduleDeletion();
             await user.save();
+
+            // Sign out everywhere; logging in again cancels the deletion
+            await UserSession.revokeAllForUser(user._id, "account_deletion");
             
             // Log scheduled deletion for audit trail
             console.log(`Account deletion scheduled: ${user.email} (ID: ${user._id}) - will be deleted on ${deletionDate.toISOString()}`);
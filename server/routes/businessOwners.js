@@ -0,0 +1,484 @@
+// server/routes/businessOwners.js
+const express = require("express");
+const mongoose = require("mongoose");
+const Business = require("../models/Business");
+const BusinessClaim = require("../models/BusinessClaim");
+const BusinessEditRequest = require("../models/BusinessEditRequest");
+const BusinessSubmission = require("../models/BusinessSubmission");
+const { verifyAccessToken } = require("../middleware/userAuth");
+const { upload } = require("../middleware/upload");
+const {
+    validateBusinessClaim,
+    validateOwnerEdit,
+} = require("../middleware/validation");
+const {
+    CONTENT_LANGUAGES,
+    CONTENT_FIELDS,
+} = require("../services/businessContentService");
+const {
+    MAX_GALLERY_PHOTOS,
+    getRemainingSlots,
+    addGalleryPhotos,
+    removeGalleryPhoto,
+} = require("../services/galleryService");
+const router = express.Router();
+
+/**
+ * Business Owner Routes
+ *
+ * - Claim a listing (auto-approved when the user's verified email matches
+ *   the submission the listing was published from, otherwise queued for
+ *   admin review)
+ * - Owner dashboard data: owned listings, claims and edit requests
+ * - Propose edits to an owned listing; they are stored as a diff and only
+ *   applied once an admin approves them
+ * - Upload gallery photos; they stay pending until an admin approves them
+ */
+
+// Every owner route needs a verified, logged-in user
+router.use(verifyAccessToken);
+
+// Listing fields the owner dashboard shows
+const OWNED_BUSINESS_FIELDS =
+    "businessId businessName categories cities mobile shortDescription translations socialLinks profileImage verified ratingAverage ratingCount ownerSince photos";
+
+// Helper: load a listing the current user owns, or send the error response
+const findOwnedBusinessOr404 = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.businessId)) {
+        res.status(400).json({
+            error: "Invalid business ID format",
+            code: "INVALID_BUSINESS_ID",
+        });
+        return null;
+    }
+
+    const business = await Business.findOne({
+        _id: req.params.businessId,
+        owner: req.user._id,
+    });
+
+    if (!business) {
+        res.status(404).json({
+            error: "You don't own this listing",
+            code: "NOT_BUSINESS_OWNER",
+        });
+        return null;
+    }
+
+    return business;
+};
+
+// Helper: map OWNER_EDITABLE_FIELDS from the request body
+const getProposedValues = (body) => {
+    const proposed = {};
+
+    ["businessName", "shortDescription", "mobile"].forEach((field) => {
+        if (body[field] !== undefined) proposed[field] = body[field];
+    });
+
+    if (body.translations) {
+        CONTENT_LANGUAGES.forEach((language) => {
+            CONTENT_FIELDS.forEach((field) => {
+                const value = body.translations[language]?.[field];
+                if (value !== undefined) {
+                    proposed[`translations.${language}.${field}`] = value;
+                }
+            });
+        });
+    }
+
+    if (body.socialLinks) {
+        ["facebook", "instagram", "tiktok", "youtube"].forEach((platform) => {
+            if (body.socialLinks[platform] !== undefined) {
+                proposed[`socialLinks.${platform}`] =
+                    body.socialLinks[platform];
+            }
+        });
+    }
+
+    return proposed;
+};
+
+/**
+ * POST /api/owner/claims/:businessId
+ * Claim ownership of a listing
+ * Body: { message? } - proof of ownership for the admin
+ */
+router.post(
+    "/claims/:businessId",
+    validateBusinessClaim,
+    async (req, res) => {
+        try {
+            const { businessId } = req.params;
+
+            const business = await Business.findById(businessId);
+            if (!business) {
+                return res.status(404).json({
+                    error: "Business not found",
+                    code: "BUSINESS_NOT_FOUND",
+                });
+            }
+
+            if (business.owner) {
+                const isOwner = business.owner.equals(req.user._id);
+                return res.status(409).json({
+                    error: isOwner
+                        ? "You already own this listing"
+                        : "This listing has already been claimed",
+                    code: isOwner ? "ALREADY_OWNER" : "ALREADY_CLAIMED",
+                });
+            }
+
+            const existingClaim = await BusinessClaim.exists({
+                user: req.user._id,
+                business: businessId,
+                status: "pending",
+            });
+            if (existingClaim) {
+                return res.status(409).json({
+                    error: "Your claim for this listing is already being reviewed",
+                    code: "CLAIM_PENDING",
+                });
+            }
+
+            // The person who submitted the listing can claim it straight away
+            const sourceSubmission = business.sourceSubmission
+                ? await BusinessSubmission.findById(
+                      business.sourceSubmission
+                  ).select("submitterEmail status")
+                : null;
+
+            const emailMatches =
+                sourceSubmission?.status === "approved" &&
+                sourceSubmission.submitterEmail === req.user.email;
+
+            const claim = await BusinessClaim.create({
+                user: req.user._id,
+                business: businessId,
+                message: req.body.message || "",
+                verificationMethod: emailMatches
+                    ? "submitter_email"
+                    : "admin_review",
+                status: emailMatches ? "approved" : "pending",
+                reviewedAt: emailMatches ? new Date() : undefined,
+            });
+
+            if (emailMatches) {
+                // Conditional update so two simultaneous claims can't both win
+                const claimed = await Business.findOneAndUpdate(
+                    { _id: businessId, owner: null },
+                    { owner: req.user._id, ownerSince: new Date() },
+                    { new: true }
+                );
+
+                if (!claimed) {
+                    await claim.deleteOne();
+                    return res.status(409).json({
+                        error: "This listing has already been claimed",
+                        code: "ALREADY_CLAIMED",
+                    });
+                }
+            }
+
+            res.status(201).json({
+                success: true,
+                message: emailMatches
+                    ? "Ownership confirmed. You can now manage this listing from your owner dashboard."
+                    : "Claim submitted. An admin will review it shortly.",
+                claim,
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    error: "Your claim for this listing is already being reviewed",
+                    code: "CLAIM_PENDING",
+                });
+            }
+
+            console.error("Create claim error:", error);
+            res.status(500).json({
+                error: "Internal server error",
+                code: "CLAIM_CREATE_ERROR",
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/owner/claims/:businessId
+ * The current user's ownership status for one listing (detail page button)
+ */
+router.get("/claims/:businessId", async (req, res) => {
+    try {
+        const { businessId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(businessId)) {
+            return res.status(400).json({
+                error: "Invalid business ID format",
+                code: "INVALID_BUSINESS_ID",
+            });
+        }
+
+        const [business, latestClaim] = await Promise.all([
+            Business.findById(businessId).select("owner"),
+            BusinessClaim.findOne({ user: req.user._id, business: businessId })
+                .sort({ createdAt: -1 })
+                .select("status verificationMethod rejectionReason createdAt")
+                .lean(),
+        ]);
+
+        if (!business) {
+            return res.status(404).json({
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        res.json({
+            success: true,
+            isOwner: !!business.owner?.equals(req.user._id),
+            isClaimed: !!business.owner,
+            claim: latestClaim,
+        });
+    } catch (error) {
+        console.error("Get claim status error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "CLAIM_STATUS_ERROR",
+        });
+    }
+});
+
+/**
+ * GET /api/owner/dashboard
+ * Owned listings (each with its pending edit), claims and recent edit requests
+ */
+router.get("/dashboard", async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const [businesses, claims, editRequests] = await Promise.all([
+            Business.find({ owner: userId })
+                .select(OWNED_BUSINESS_FIELDS)
+                .sort({ businessName: 1 })
+                .lean(),
+            BusinessClaim.find({ user: userId })
+                .populate("business", "businessId businessName cities")
+                .sort({ createdAt: -1 })
+                .lean(),
+            BusinessEditRequest.find({ owner: userId })
+                .populate("business", "businessId businessName")
+                .sort({ createdAt: -1 })
+                .limit(50)
+                .lean(),
+        ]);
+
+        const pendingByBusiness = new Map(
+            editRequests
+                .filter((request) => request.status === "pending")
+                .map((request) => [request.business?._id.toString(), request])
+        );
+
+        res.json({
+            success: true,
+            businesses: businesses.map((business) => ({
+                ...business,
+                pendingEdit:
+                    pendingByBusiness.get(business._id.toString()) || null,
+            })),
+            claims: claims.filter((claim) => claim.business),
+            editRequests: editRequests.filter((request) => request.business),
+        });
+    } catch (error) {
+        console.error("Get owner dashboard error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "OWNER_DASHBOARD_ERROR",
+        });
+    }
+});
+
+/**
+ * POST /api/owner/businesses/:businessId/edits
+ * Propose changes to an owned listing
+ * Body: { translations?: { ka?, en? }, businessName?, shortDescription?,
+ *         mobile?, socialLinks?, note? }
+ *
+ * Replaces the listing's pending request if there is one.
+ */
+router.post(
+    "/businesses/:businessId/edits",
+    validateOwnerEdit,
+    async (req, res) => {
+        try {
+            const business = await findOwnedBusinessOr404(req, res);
+            if (!business) return;
+
+            const changes = BusinessEditRequest.buildChanges(
+                business,
+                getProposedValues(req.body)
+            );
+
+            if (changes.length === 0) {
+                return res.status(400).json({
+                    error: "Nothing changed compared to the live listing",
+                    code: "NO_CHANGES",
+                });
+            }
+
+            const editRequest = await BusinessEditRequest.findOneAndUpdate(
+                { business: business._id, status: "pending" },
+                {
+                    $set: {
+                        owner: req.user._id,
+                        changes,
+                        note: req.body.note || "",
+                    },
+                },
+                { new: true, upsert: true, runValidators: true }
+            );
+
+            res.status(201).json({
+                success: true,
+                message:
+                    "Your changes were sent for review. The listing updates once an admin approves them.",
+                editRequest,
+            });
+        } catch (error) {
+            console.error("Create edit request error:", error);
+            res.status(500).json({
+                error: "Internal server error",
+                code: "EDIT_REQUEST_ERROR",
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /api/owner/edits/:id
+ * Withdraw a pending edit request
+ */
+router.delete("/edits/:id", async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                error: "Invalid edit request ID format",
+                code: "INVALID_EDIT_REQUEST_ID",
+            });
+        }
+
+        const editRequest = await BusinessEditRequest.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user._id, status: "pending" },
+            { $set: { status: "withdrawn" } },
+            { new: true }
+        );
+
+        if (!editRequest) {
+            return res.status(404).json({
+                error: "Pending edit request not found",
+                code: "EDIT_REQUEST_NOT_FOUND",
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Edit request withdrawn",
+        });
+    } catch (error) {
+        console.error("Withdraw edit request error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "EDIT_REQUEST_ERROR",
+        });
+    }
+});
+
+/**
+ * POST /api/owner/businesses/:businessId/photos
+ * Upload a gallery photo for admin review
+ * Body (multipart): photo (file), caption?
+ */
+router.post(
+    "/businesses/:businessId/photos",
+    upload.single("photo"),
+    async (req, res) => {
+        try {
+            const business = await findOwnedBusinessOr404(req, res);
+            if (!business) return;
+
+            if (!req.file) {
+                return res.status(400).json({
+                    error: "No photo uploaded",
+                    code: "NO_PHOTO",
+                });
+            }
+
+            if (getRemainingSlots(business) === 0) {
+                return res.status(400).json({
+                    error: `The gallery is full (${MAX_GALLERY_PHOTOS} photos, including ones waiting for review)`,
+                    code: "GALLERY_FULL",
+                });
+            }
+
+            const [photo] = await addGalleryPhotos(business, [req.file], {
+                captions: [req.body.caption],
+                status: "pending",
+                uploadedBy: req.user._id,
+            });
+
+            res.status(201).json({
+                success: true,
+                message:
+                    "Your photo was sent for review. It shows up on the listing once an admin approves it.",
+                photo,
+            });
+        } catch (error) {
+            console.error("Upload owner photo error:", error);
+            res.status(400).json({
+                error: error.message || "Failed to upload photo",
+                code: "PHOTO_UPLOAD_ERROR",
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /api/owner/businesses/:businessId/photos/:photoId
+ * Withdraw a photo that is still waiting for review
+ */
+router.delete("/businesses/:businessId/photos/:photoId", async (req, res) => {
+    try {
+        const business = await findOwnedBusinessOr404(req, res);
+        if (!business) return;
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.photoId)) {
+            return res.status(400).json({
+                error: "Invalid photo ID format",
+                code: "INVALID_PHOTO_ID",
+            });
+        }
+
+        const photo = business.photos.id(req.params.photoId);
+        if (!photo || photo.status !== "pending") {
+            return res.status(404).json({
+                error: "Pending photo not found",
+                code: "PHOTO_NOT_FOUND",
+            });
+        }
+
+        await removeGalleryPhoto(business, photo._id);
+
+        res.json({
+            success: true,
+            message: "Photo withdrawn",
+        });
+    } catch (error) {
+        console.error("Withdraw owner photo error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "PHOTO_DELETE_ERROR",
+        });
+    }
+});
+
+module.exports = router;
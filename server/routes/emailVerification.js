@@ -2,7 +2,7 @@
 const express = require("express");
 const User = require("../models/User");
 const {
-    generateTokenPair,
+    createUserSession,
     verifyAccessToken,
 } = require("../middleware/userAuth");
 // NEW: Import temporary registration service
@@ -20,6 +20,7 @@ const {
     checkRateLimit,
     isValidEmail,
 } = require("../services/emailService");
+const { resendVerificationLimiter } = require("../middleware/rateLimit");
 const router = express.Router();
 
 /**
@@ -59,7 +60,7 @@ router.get("/verify-email/:token", async (req, res) => {
         }
 
         // NEW: First check if this is a temporary registration
-        const tempRegistration = retrieveAndRemoveTempRegistration(token);
+        const tempRegistration = await retrieveAndRemoveTempRegistration(token);
 
         if (tempRegistration) {
             // NEW PATH: Create user account from temporary registration
@@ -81,6 +82,7 @@ router.get("/verify-email/:token", async (req, res) => {
                     password: tempRegistration.password, // Already hashed by tempRegistrationService
                     name: tempRegistration.name,
                     phone: tempRegistration.phone,
+                    language: tempRegistration.language,
                     // Set as verified immediately since they clicked the verification link
                     isEmailVerified: true,
                     emailVerifiedAt: new Date(),
@@ -93,7 +95,7 @@ router.get("/verify-email/:token", async (req, res) => {
                 await user.save();
 
                 // Generate JWT tokens for immediate login
-                const tokens = generateTokenPair(user._id);
+                const tokens = await createUserSession(user._id, req);
 
                 console.log(
                     `🎉 User account created and verified: ${user.email} at ${new Date().toISOString()}`
@@ -107,6 +109,7 @@ router.get("/verify-email/:token", async (req, res) => {
                         email: user.email,
                         name: user.name,
                         phone: user.phone,
+                        language: user.language,
                         isEmailVerified: true,
                         emailVerifiedAt: user.emailVerifiedAt,
                         createdAt: user.createdAt,
@@ -155,7 +158,7 @@ router.get("/verify-email/:token", async (req, res) => {
         // Check if user is already verified
         if (user.isEmailVerified) {
             // Generate tokens for already verified user (graceful handling)
-            const tokens = generateTokenPair(user._id);
+            const tokens = await createUserSession(user._id, req);
 
             return res.json({
                 success: true,
@@ -183,7 +186,7 @@ router.get("/verify-email/:token", async (req, res) => {
         await user.save();
 
         // Generate JWT tokens for immediate login
-        const tokens = generateTokenPair(user._id);
+        const tokens = await createUserSession(user._id, req);
 
         // Log successful verification for monitoring
         console.log(
@@ -231,7 +234,7 @@ router.get("/verify-email/:token", async (req, res) => {
  * - Original verification token expired
  * - User entered wrong email initially
  */
-router.post("/resend-verification", async (req, res) => {
+router.post("/resend-verification", resendVerificationLimiter, async (req, res) => {
     try {
         const { email } = req.body;
 
@@ -245,11 +248,11 @@ router.post("/resend-verification", async (req, res) => {
 
         // NEW: Check if there's a pending temporary registration and resend if needed
         const normalizedEmail = email.toLowerCase().trim();
-        const pendingRegistration = getPendingRegistrationByEmail(normalizedEmail);
+        const pendingRegistration = await getPendingRegistrationByEmail(normalizedEmail);
         
         if (pendingRegistration) {
             // Check rate limiting for temp registration resends
-            const rateCheck = checkRateLimit(normalizedEmail);
+            const rateCheck = await checkRateLimit(normalizedEmail);
             if (!rateCheck.allowed) {
                 return res.status(429).json({
                     error: "Too many verification emails sent",
@@ -261,7 +264,7 @@ router.post("/resend-verification", async (req, res) => {
 
             // Generate new verification token (invalidates old one)
             const newVerificationToken = generateVerificationToken();
-            const updatedRegistration = regenerateVerificationToken(normalizedEmail, newVerificationToken);
+            const updatedRegistration = await regenerateVerificationToken(normalizedEmail, newVerificationToken);
             
             if (!updatedRegistration) {
                 return res.status(400).json({
@@ -278,7 +281,8 @@ router.post("/resend-verification", async (req, res) => {
                     updatedRegistration.email,
                     updatedRegistration.name,
                     updatedRegistration.verificationToken,
-                    clientIp
+                    clientIp,
+                    updatedRegistration.language
                 );
 
                 console.log(`📧 Verification email resent with new token for temp registration: ${updatedRegistration.email}`);
@@ -342,7 +346,7 @@ router.post("/resend-verification", async (req, res) => {
         }
 
         // Check rate limiting
-        const rateCheck = checkRateLimit(user.email);
+        const rateCheck = await checkRateLimit(user.email);
         if (!rateCheck.allowed) {
             return res.status(429).json({
                 error: "Too many verification emails sent",
@@ -368,7 +372,8 @@ router.post("/resend-verification", async (req, res) => {
                 user.email,
                 user.name,
                 verificationToken,
-                clientIp
+                clientIp,
+                user.language
             );
 
             console.log(`📧 Verification email resent to: ${user.email}`);
@@ -458,7 +463,7 @@ router.post("/request-email-change", verifyAccessToken, async (req, res) => {
         }
 
         // Check rate limiting for new email
-        const rateCheck = checkRateLimit(normalizedEmail);
+        const rateCheck = await checkRateLimit(normalizedEmail);
         if (!rateCheck.allowed) {
             return res.status(429).json({
                 error: "Too many email change requests",
@@ -485,7 +490,8 @@ router.post("/request-email-change", verifyAccessToken, async (req, res) => {
                 normalizedEmail,
                 currentUser.name,
                 verificationToken,
-                clientIp
+                clientIp,
+                currentUser.language
             );
 
             console.log(
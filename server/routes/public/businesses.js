@@ -4,12 +4,57 @@ const express = require("express");
 const mongoose = require("mongoose");
 const Business = require("../../models/Business");
 const Category = require("../../models/Category");
+const {
+    buildSearchFilter,
+    buildHighlights,
+} = require("../../services/searchService");
+const {
+    getLocalizedContent,
+    localizeBusiness,
+} = require("../../services/businessContentService");
+const { getRequestLanguage } = require("../../config/languages");
+const { NATIONWIDE_CITY } = require("../../config/cities");
+const {
+    getGeorgiaNow,
+    buildOpenNowFilter,
+    getOpenStatus,
+} = require("../../services/openingHoursService");
+const {
+    toLatLng,
+    parseNear,
+    parseRadius,
+    buildWithinFilter,
+} = require("../../services/geoService");
+const {
+    getRelatedBusinesses,
+} = require("../../services/relatedBusinessService");
+const { getPublicPhotos } = require("../../services/galleryService");
+const {
+    getProfileImageSet,
+    withProfileImageSet,
+} = require("../../services/businessImageService");
 const router = express.Router();
 
 // Get all businesses with pagination and multi-select filters
+// search uses the text index (Georgian/Latin transliteration aware, covers
+// every language of the listing text) and sorts by relevance unless
+// sort=newest; results carry highlighted snippets
+// Name/description come in the language from ?lang= or Accept-Language
+// openNow=true keeps listings open right now (Georgian time)
+// near=lat,lng keeps listings within radius meters (default 5km) and sorts
+// them by distance; each result then carries `distance` in meters
 router.get("/", async (req, res) => {
     try {
-        const { page = 1, limit = 12, search = "", verified = "" } = req.query;
+        const {
+            page = 1,
+            limit = 12,
+            search = "",
+            verified = "",
+            sort = "",
+            openNow = "",
+            near = "",
+            radius = "",
+        } = req.query;
 
         const categories =
             req.query["categories[]"] || req.query.categories || "";
@@ -17,16 +62,10 @@ router.get("/", async (req, res) => {
         const businessTypes =
             req.query["businessTypes[]"] || req.query.businessTypes || "";
 
-        const query = {};
+        // Listings hidden pending review (e.g. by the report auto-hide rule)
+        const query = { hiddenAt: null };
 
-        if (search) {
-            query.$or = [
-                { businessName: { $regex: search, $options: "i" } },
-                { shortDescription: { $regex: search, $options: "i" } },
-                { mobile: { $regex: search, $options: "i" } },
-                { businessId: { $regex: search, $options: "i" } },
-            ];
-        }
+        let searchFilter = buildSearchFilter(search);
 
         if (categories) {
             const categoryArray = Array.isArray(categories)
@@ -36,7 +75,7 @@ router.get("/", async (req, res) => {
                 (cat) => cat && cat.trim()
             );
             if (validCategories.length > 0) {
-                query.category = { $in: validCategories };
+                query.categories = { $in: validCategories };
             }
         }
 
@@ -44,7 +83,10 @@ router.get("/", async (req, res) => {
             const cityArray = Array.isArray(cities) ? cities : [cities];
             const validCities = cityArray.filter((city) => city && city.trim());
             if (validCities.length > 0) {
-                query.city = { $in: validCities };
+                // Nationwide listings serve every city
+                query.cities = {
+                    $in: [...new Set([...validCities, NATIONWIDE_CITY])],
+                };
             }
         }
 
@@ -67,14 +109,76 @@ router.get("/", async (req, res) => {
             query.verified = verified === "true";
         }
 
+        // Same moment for the filter and the openStatus in the response
+        const now = getGeorgiaNow();
+        if (openNow === "true") {
+            query.$and = [...(query.$and || []), buildOpenNowFilter(now)];
+        }
+
+        // $text only matches whole words; when no listing has one, match
+        // the typed words as prefixes instead ("res" -> "restaurant")
+        if (
+            searchFilter?.prefixSearch &&
+            !(await Business.exists({ ...query, ...searchFilter.filter }))
+        ) {
+            searchFilter = searchFilter.prefixSearch;
+        }
+        if (searchFilter) {
+            Object.assign(query, searchFilter.filter);
+        }
+
+        const center = parseNear(near);
+        if (near && !center) {
+            return res.status(400).json({
+                error: "near must be \"latitude,longitude\"",
+                code: "INVALID_NEAR",
+            });
+        }
+        const radiusMeters = center ? parseRadius(radius) : null;
+
         const skip = (page - 1) * limit;
-        const sortQuery = { verified: -1, createdAt: -1 };
+        const sortByRelevance =
+            !center && searchFilter?.isTextSearch && sort !== "newest";
+        const sortQuery = sortByRelevance
+            ? { score: { $meta: "textScore" }, verified: -1, createdAt: -1 }
+            : { verified: -1, createdAt: -1 };
+
+        let results;
+        let total;
+        if (center) {
+            ({ results, total } = await findNearby(query, {
+                center,
+                radiusMeters,
+                isTextSearch: !!searchFilter?.isTextSearch,
+                skip,
+                limit: parseInt(limit),
+            }));
+        } else {
+            results = await Business.find(
+                query,
+                sortByRelevance ? { score: { $meta: "textScore" } } : {}
+            )
+                // The gallery (incl. pending photos) is only sent with the detail
+                .select("-photos")
+                .sort(sortQuery)
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean();
+            total = await Business.countDocuments(query);
+        }
 
-        const businesses = await Business.find(query)
-            .sort(sortQuery)
-            .skip(skip)
-            .limit(parseInt(limit));
-        const total = await Business.countDocuments(query);
+        const language = getRequestLanguage(req);
+        const localized = results.map((business) => ({
+            ...withProfileImageSet(localizeBusiness(business, language)),
+            location: toLatLng(business.location),
+            openStatus: getOpenStatus(business.openingHours, now),
+        }));
+        const businesses = searchFilter?.terms.keys.length > 0
+            ? localized.map((business) => ({
+                  ...business,
+                  highlights: buildHighlights(business, searchFilter.terms),
+              }))
+            : localized;
         const totalPages = Math.ceil(total / limit);
 
         if (process.env.NODE_ENV === "development") {
@@ -90,7 +194,7 @@ router.get("/", async (req, res) => {
         res.set({
             'Cache-Control': 'public, max-age=120, s-maxage=300', // 2min browser, 5min CDN
             'ETag': `"businesses-${total}-${page}-${Date.now()}"`,
-            'Vary': 'Accept-Encoding'
+            'Vary': 'Accept-Encoding, Accept-Language'
         });
 
         res.json({
@@ -120,7 +224,15 @@ router.get("/", async (req, res) => {
                         : [businessTypes]
                     : [],
                 verified: verified || null,
+                openNow: openNow === "true",
+                near: center,
+                radius: radiusMeters,
             },
+            sortedBy: center
+                ? "distance"
+                : sortByRelevance
+                ? "relevance"
+                : "newest",
         });
     } catch (error) {
         console.error("Error fetching businesses:", error);
@@ -147,6 +259,7 @@ router.get("/:id", async (req, res) => {
         }
 
         const business = await Business.findById(id);
+        const now = getGeorgiaNow();
 
         if (!business) {
             return res.status(404).json({
@@ -155,21 +268,51 @@ router.get("/:id", async (req, res) => {
             });
         }
 
+        // Hidden pending review, like in the list, related and stats endpoints
+        if (business.hiddenAt) {
+            return res.status(404).json({
+                error: "This listing is under review",
+                code: "BUSINESS_HIDDEN",
+            });
+        }
+
+        const content = getLocalizedContent(
+            business,
+            getRequestLanguage(req)
+        );
+
         const businessData = {
             _id: business._id,
             businessId: business.businessId,
-            businessName: business.businessName,
-            category: business.category,
+            businessName: content.businessName,
+            contentLanguage: content.contentLanguage,
+            categories: business.categories,
             businessType: business.businessType,
-            city: business.city,
+            cities: business.cities,
             mobile: business.mobile,
-            shortDescription: business.shortDescription || "",
+            shortDescription: content.shortDescription,
             verified: business.verified,
+            isClaimed: !!business.owner,
+            ratingAverage: business.ratingAverage || 0,
+            ratingCount: business.ratingCount || 0,
             profileImage: business.profileImage || "",
+            profileImageAvif: business.profileImageAvif || "",
+            profileImageSet: getProfileImageSet(business),
+            photos: getPublicPhotos(business.photos),
+            // Past exceptions are of no interest to visitors
+            openingHours: {
+                weekly: business.openingHours?.weekly || [],
+                exceptions: (business.openingHours?.exceptions || []).filter(
+                    (exception) => exception.endDate >= now.date
+                ),
+            },
+            openStatus: getOpenStatus(business.openingHours, now),
+            location: toLatLng(business.location),
             socialLinks: {
                 facebook: business.socialLinks?.facebook || "",
                 instagram: business.socialLinks?.instagram || "",
                 tiktok: business.socialLinks?.tiktok || "",
+                youtube: business.socialLinks?.youtube || "",
             },
             createdAt: business.createdAt,
             updatedAt: business.updatedAt,
@@ -188,6 +331,7 @@ router.get("/:id", async (req, res) => {
             );
         }
 
+        res.set("Vary", "Accept-Language");
         res.json(businessData);
     } catch (error) {
         console.error("Error fetching business detail:", error);
@@ -198,6 +342,114 @@ router.get("/:id", async (req, res) => {
     }
 });
 
+// Similar businesses for the detail page, best match first
+// (ranking and caching: services/relatedBusinessService.js)
+router.get("/:id/related", async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                error: "Invalid business ID format",
+                code: "INVALID_ID",
+            });
+        }
+
+        const business = await Business.findById(id)
+            .select("businessName categories cities businessType searchKeywords updatedAt hiddenAt")
+            .lean();
+
+        if (!business) {
+            return res.status(404).json({
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        if (business.hiddenAt) {
+            return res.status(404).json({
+                error: "This listing is under review",
+                code: "BUSINESS_HIDDEN",
+            });
+        }
+
+        const related = await getRelatedBusinesses(business, {
+            limit: req.query.limit,
+        });
+
+        const language = getRequestLanguage(req);
+        const now = getGeorgiaNow();
+
+        res.set({
+            "Cache-Control": "public, max-age=600", // 10 minutes
+            Vary: "Accept-Language",
+        });
+
+        res.json({
+            businesses: related.map((item) => ({
+                ...withProfileImageSet(localizeBusiness(item, language)),
+                location: toLatLng(item.location),
+                openStatus: getOpenStatus(item.openingHours, now),
+            })),
+        });
+    } catch (error) {
+        console.error("Error fetching related businesses:", error);
+        res.status(500).json({
+            error: "Unable to fetch related businesses",
+            code: "SERVER_ERROR",
+        });
+    }
+});
+
+// Most text matches ordered by distance - $geoNear can't be combined with $text
+const NEAR_SEARCH_LIMIT = 1000;
+
+// Helper function: Page of listings within radiusMeters of center, nearest
+// first, each with `distance` in meters
+async function findNearby(query, { center, radiusMeters, isTextSearch, skip, limit }) {
+    let geoQuery = query;
+    let total;
+
+    if (isTextSearch) {
+        const matches = await Business.find(
+            { ...query, ...buildWithinFilter(center, radiusMeters) },
+            { _id: 1 }
+        )
+            .limit(NEAR_SEARCH_LIMIT)
+            .lean();
+        geoQuery = { _id: { $in: matches.map((match) => match._id) } };
+        total = matches.length;
+    } else {
+        total = await Business.countDocuments({
+            ...query,
+            ...buildWithinFilter(center, radiusMeters),
+        });
+    }
+
+    const results = await Business.aggregate([
+        {
+            $geoNear: {
+                near: { type: "Point", coordinates: [center.lng, center.lat] },
+                distanceField: "distance",
+                maxDistance: radiusMeters,
+                spherical: true,
+                query: geoQuery,
+            },
+        },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { photos: 0 } },
+    ]);
+
+    return {
+        results: results.map((business) => ({
+            ...business,
+            distance: Math.round(business.distance),
+        })),
+        total,
+    };
+}
+
 // Helper function: Format registration date
 function formatRegistrationDate(createdAt) {
     const date = new Date(createdAt);
@@ -235,7 +487,7 @@ router.get("/categories/list", async (req, res) => {
 // Get unique cities
 router.get("/cities/list", async (req, res) => {
     try {
-        const cities = await Business.distinct("city");
+        const cities = await Business.distinct("cities", { hiddenAt: null });
 
         // Cache cities for moderate duration
         res.set({
@@ -252,22 +504,31 @@ router.get("/cities/list", async (req, res) => {
 // Get filter statistics
 router.get("/filters/stats", async (req, res) => {
     try {
+        // A listing counts once for each of its categories and cities;
+        // hidden listings aren't counted, like in the list
+        const visible = { $match: { hiddenAt: null } };
         const categoryStats = await Business.aggregate([
-            { $group: { _id: "$category", count: { $sum: 1 } } },
+            visible,
+            { $unwind: "$categories" },
+            { $group: { _id: "$categories", count: { $sum: 1 } } },
             { $sort: { count: -1 } },
         ]);
 
         const cityStats = await Business.aggregate([
-            { $group: { _id: "$city", count: { $sum: 1 } } },
+            visible,
+            { $unwind: "$cities" },
+            { $group: { _id: "$cities", count: { $sum: 1 } } },
             { $sort: { count: -1 } },
         ]);
 
         const businessTypeStats = await Business.aggregate([
+            visible,
             { $group: { _id: "$businessType", count: { $sum: 1 } } },
             { $sort: { count: -1 } },
         ]);
 
         const verifiedStats = await Business.aggregate([
+            visible,
             { $group: { _id: "$verified", count: { $sum: 1 } } },
             { $sort: { _id: -1 } },
         ]);
@@ -277,7 +538,7 @@ router.get("/filters/stats", async (req, res) => {
             cities: cityStats,
             businessTypes: businessTypeStats,
             verified: verifiedStats,
-            totalBusinesses: await Business.countDocuments(),
+            totalBusinesses: await Business.countDocuments({ hiddenAt: null }),
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -0,0 +1,197 @@
+// server/routes/ratings.js
+const express = require("express");
+const Rating = require("../models/Rating");
+const Business = require("../models/Business");
+const { verifyAccessToken } = require("../middleware/userAuth");
+const { validateRating } = require("../middleware/validation");
+const router = express.Router();
+
+/**
+ * User Rating Routes for TELO Directory
+ *
+ * Mounted under /api/auth next to favorites, since every endpoint
+ * requires a verified user:
+ * - One rating per user per business (1-10 scale)
+ * - Business.ratingAverage / ratingCount recalculated after each change
+ * - Responses include the fresh aggregates so the client can update StarRating
+ */
+
+// Helper: make sure the rated business exists
+const findBusinessOr404 = async (businessId, res) => {
+    const business = await Business.findById(businessId).select("_id");
+
+    if (!business) {
+        res.status(404).json({
+            error: "Business not found",
+            code: "BUSINESS_NOT_FOUND",
+        });
+        return null;
+    }
+
+    return business;
+};
+
+// Helper: consistent rating payload for responses
+const formatRating = (rating) =>
+    rating
+        ? {
+              _id: rating._id,
+              business: rating.business,
+              score: rating.score,
+              createdAt: rating.createdAt,
+              updatedAt: rating.updatedAt,
+          }
+        : null;
+
+/**
+ * GET /api/auth/ratings/:businessId
+ * Get the current user's rating for a business (null if not rated)
+ */
+router.get("/ratings/:businessId", verifyAccessToken, validateRating, async (req, res) => {
+    try {
+        const rating = await Rating.findOne({
+            user: req.user._id,
+            business: req.params.businessId,
+        });
+
+        res.json({
+            success: true,
+            rating: formatRating(rating),
+        });
+    } catch (error) {
+        console.error("Get rating error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "RATING_ERROR",
+        });
+    }
+});
+
+/**
+ * POST /api/auth/ratings/:businessId
+ * Rate a business for the first time
+ */
+router.post("/ratings/:businessId", verifyAccessToken, validateRating, async (req, res) => {
+    try {
+        const { businessId } = req.params;
+
+        if (!(await findBusinessOr404(businessId, res))) return;
+
+        const existing = await Rating.exists({
+            user: req.user._id,
+            business: businessId,
+        });
+
+        if (existing) {
+            return res.status(409).json({
+                error: "You have already rated this business. Update your rating instead.",
+                code: "RATING_EXISTS",
+            });
+        }
+
+        const rating = await Rating.create({
+            user: req.user._id,
+            business: businessId,
+            score: req.body.score,
+        });
+
+        const businessRating = await Rating.recalculateBusinessRating(businessId);
+
+        res.status(201).json({
+            success: true,
+            message: "Rating saved",
+            rating: formatRating(rating),
+            businessRating,
+        });
+    } catch (error) {
+        // Unique index race: two requests from the same user at once
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: "You have already rated this business. Update your rating instead.",
+                code: "RATING_EXISTS",
+            });
+        }
+
+        console.error("Create rating error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "RATING_ERROR",
+        });
+    }
+});
+
+/**
+ * PUT /api/auth/ratings/:businessId
+ * Change the current user's existing rating
+ */
+router.put("/ratings/:businessId", verifyAccessToken, validateRating, async (req, res) => {
+    try {
+        const { businessId } = req.params;
+
+        const rating = await Rating.findOneAndUpdate(
+            { user: req.user._id, business: businessId },
+            { score: req.body.score },
+            { new: true, runValidators: true }
+        );
+
+        if (!rating) {
+            return res.status(404).json({
+                error: "You have not rated this business yet",
+                code: "RATING_NOT_FOUND",
+            });
+        }
+
+        const businessRating = await Rating.recalculateBusinessRating(businessId);
+
+        res.json({
+            success: true,
+            message: "Rating updated",
+            rating: formatRating(rating),
+            businessRating,
+        });
+    } catch (error) {
+        console.error("Update rating error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "RATING_ERROR",
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/ratings/:businessId
+ * Remove the current user's rating
+ */
+router.delete("/ratings/:businessId", verifyAccessToken, validateRating, async (req, res) => {
+    try {
+        const { businessId } = req.params;
+
+        const rating = await Rating.findOneAndDelete({
+            user: req.user._id,
+            business: businessId,
+        });
+
+        if (!rating) {
+            return res.status(404).json({
+                error: "You have not rated this business yet",
+                code: "RATING_NOT_FOUND",
+            });
+        }
+
+        const businessRating = await Rating.recalculateBusinessRating(businessId);
+
+        res.json({
+            success: true,
+            message: "Rating removed",
+            businessRating,
+        });
+    } catch (error) {
+        console.error("Delete rating error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "RATING_ERROR",
+        });
+    }
+});
+
+module.exports = router;
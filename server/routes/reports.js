@@ -2,11 +2,18 @@
 const express = require("express");
 const mongoose = require("mongoose");
 const BusinessReport = require("../models/BusinessReport");
+const ReportReason = require("../models/ReportReason");
 const Business = require("../models/Business");
+const { validateReport } = require("../middleware/validation");
+const { reportLimiter } = require("../middleware/rateLimit");
+const { getRequestLanguage } = require("../config/languages");
 const {
-    validateReport,
-    validateRateLimit,
-} = require("../middleware/validation");
+    runReportAutomation,
+} = require("../services/reportAutomationService");
+const {
+    getActiveReasons,
+    checkReportReasons,
+} = require("../services/reportReasonService");
 const router = express.Router();
 
 /**
@@ -27,10 +34,11 @@ const router = express.Router();
  * This endpoint handles public report submissions with full validation,
  * rate limiting, and error handling following your existing API patterns.
  */
-router.post("/", validateRateLimit, validateReport, async (req, res) => {
+router.post("/", reportLimiter, validateReport, async (req, res) => {
     try {
-        const { businessId, issueTypes, description } = req.body;
-        const reporterIp = req.reporterIp;
+        const { businessId, issueTypes, description, reporterEmail } =
+            req.body;
+        const reporterIp = req.ip || "unknown";
 
         // Verify the business exists before creating report
         // Following your pattern from GET /:id route in businesses.js
@@ -49,18 +57,38 @@ router.post("/", validateRateLimit, validateReport, async (req, res) => {
             });
         }
 
+        // Issue types must be active reasons (models/ReportReason.js)
+        const trimmedDescription = description ? description.trim() : "";
+        const reasonCheck = await checkReportReasons(
+            issueTypes,
+            trimmedDescription
+        );
+        if (reasonCheck.error) {
+            return res.status(400).json({
+                error: reasonCheck.error,
+                code: reasonCheck.code,
+            });
+        }
+
         // Create the report following your model patterns
         const reportData = {
             businessId: businessId,
-            issueTypes: issueTypes,
-            description: description ? description.trim() : "",
+            issueTypes: reasonCheck.reasons.map((reason) => reason.key),
+            description: trimmedDescription,
+            priority: reasonCheck.priority,
             reporterIp: reporterIp,
+            // Optional - the reporter is emailed when the report is decided
+            reporterEmail: reporterEmail || "",
+            reporterLanguage: getRequestLanguage(req),
             status: "pending", // Default status
         };
 
         const report = new BusinessReport(reportData);
         await report.save();
 
+        // Report rules (auto-hide, image check) - never fails the request
+        const autoActions = await runReportAutomation(report, business);
+
         // Log successful submission for monitoring (development pattern)
         if (process.env.NODE_ENV === "development") {
             console.log("📝 New report submitted:", {
@@ -68,6 +96,7 @@ router.post("/", validateRateLimit, validateReport, async (req, res) => {
                 businessName: business.businessName,
                 issueTypes: issueTypes,
                 reporterIp: reporterIp,
+                autoActions: autoActions.map((action) => action.outcome),
                 timestamp: new Date().toISOString(),
             });
         }
@@ -77,6 +106,8 @@ router.post("/", validateRateLimit, validateReport, async (req, res) => {
             success: true,
             message: "Report submitted successfully",
             reportId: report._id,
+            // Secret link to the public status page
+            statusToken: report.statusToken,
         });
     } catch (error) {
         console.error("Error submitting report:", error);
@@ -109,6 +140,108 @@ router.post("/", validateRateLimit, validateReport, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/reports/reasons
+ * Issue types offered by the report dialog (active ReportReasons in order)
+ */
+router.get("/reasons", async (req, res) => {
+    try {
+        const reasons = await getActiveReasons();
+
+        res.set("Cache-Control", "public, max-age=300"); // 5 minutes
+        res.json({
+            reasons: reasons.map((reason) => ({
+                key: reason.key,
+                label: reason.label,
+                description: reason.description,
+                requiresText: reason.requiresText,
+            })),
+        });
+    } catch (error) {
+        console.error("Error fetching report reasons:", error);
+        res.status(500).json({
+            error: "Failed to fetch report reasons",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
+/**
+ * GET /api/reports/status/:token
+ * Public status page of one report, found by its secret status token.
+ * Shows the outcome and the message for the reporter - never the
+ * reporter's contact or internal admin notes.
+ */
+router.get("/status/:token", async (req, res) => {
+    try {
+        const { token } = req.params;
+
+        if (!/^[a-f0-9]{32}$/.test(token)) {
+            return res.status(404).json({
+                error: "Report not found",
+                code: "REPORT_NOT_FOUND",
+            });
+        }
+
+        const report = await BusinessReport.findOne({ statusToken: token })
+            .select(
+                "businessId issueTypes status outcomeMessage createdAt resolvedAt"
+            )
+            .populate("businessId", "businessName hiddenAt")
+            .lean();
+
+        if (!report) {
+            return res.status(404).json({
+                error: "Report not found",
+                code: "REPORT_NOT_FOUND",
+            });
+        }
+
+        const reasons = await ReportReason.find({
+            key: { $in: report.issueTypes },
+        })
+            .select("key label")
+            .lean();
+        const labels = new Map(
+            reasons.map((reason) => [reason.key, reason.label])
+        );
+        const business = report.businessId;
+
+        res.set("Cache-Control", "no-store");
+        res.json({
+            success: true,
+            report: {
+                status: report.status,
+                issueTypes: report.issueTypes.map(
+                    (key) => labels.get(key) || key
+                ),
+                outcomeMessage: report.outcomeMessage || null,
+                createdAt: report.createdAt,
+                resolvedAt: report.resolvedAt,
+                // Hidden listings are not linked
+                business: business
+                    ? {
+                          _id: business.hiddenAt ? null : business._id,
+                          businessName: business.businessName,
+                      }
+                    : null,
+            },
+        });
+    } catch (error) {
+        console.error("Error fetching report status:", error);
+        res.status(500).json({
+            error: "Failed to fetch report status",
+            details:
+                process.env.NODE_ENV === "development"
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
 /**
  * GET /api/reports/stats
  * Get report statistics for monitoring
@@ -0,0 +1,289 @@
+// server/routes/reviews.js
+const express = require("express");
+const Review = require("../models/Review");
+const Business = require("../models/Business");
+const { verifyAccessToken, optionalAuth } = require("../middleware/userAuth");
+const {
+    validateReview,
+    validateReviewReport,
+} = require("../middleware/validation");
+const router = express.Router();
+
+/**
+ * Review Routes for TELO Directory
+ *
+ * - Anyone can read the visible reviews of a business (paginated)
+ * - Verified users can post one review per business and edit/delete their own
+ * - Verified users can report another user's review for moderation
+ *
+ * Hidden reviews are excluded from public listings; their authors still
+ * see them (flagged as hidden) so they know why the review disappeared.
+ */
+
+// Helper: consistent review payload for responses
+const formatReview = (review, currentUserId = null) => {
+    const author = review.user && review.user._id ? review.user : null;
+    const authorId = author ? author._id : review.user;
+    const isOwn = !!currentUserId && authorId?.toString() === currentUserId.toString();
+
+    return {
+        _id: review._id,
+        business: review.business,
+        text: review.text,
+        status: review.status,
+        author: {
+            _id: authorId,
+            name: author?.name || "Former user",
+        },
+        isOwn,
+        hasReported:
+            !!currentUserId &&
+            !isOwn &&
+            (review.reports || []).some(
+                (report) => report.user.toString() === currentUserId.toString()
+            ),
+        editedAt: review.editedAt,
+        createdAt: review.createdAt,
+        updatedAt: review.updatedAt,
+    };
+};
+
+// Helper: load a review and make sure it belongs to the current user
+const findOwnReviewOr404 = async (req, res) => {
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.user.toString() !== req.user._id.toString()) {
+        res.status(404).json({
+            error: "Review not found",
+            code: "REVIEW_NOT_FOUND",
+        });
+        return null;
+    }
+
+    return review;
+};
+
+/**
+ * GET /api/reviews/business/:businessId
+ * Get visible reviews for a business with pagination
+ * Query params: page, limit
+ */
+router.get("/business/:businessId", optionalAuth, validateReview, async (req, res) => {
+    try {
+        const { businessId } = req.params;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+        const skip = (page - 1) * limit;
+
+        const query = { business: businessId, status: "visible" };
+
+        const [reviews, total, ownReview] = await Promise.all([
+            Review.find(query)
+                .populate("user", "name")
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Review.countDocuments(query),
+            req.user
+                ? Review.findOne({ business: businessId, user: req.user._id })
+                      .populate("user", "name")
+                      .lean()
+                : null,
+        ]);
+
+        const currentUserId = req.user ? req.user._id : null;
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            success: true,
+            reviews: reviews.map((review) => formatReview(review, currentUserId)),
+            myReview: ownReview ? formatReview(ownReview, currentUserId) : null,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalReviews: total,
+                hasNext: page < totalPages,
+                hasPrev: page > 1,
+            },
+        });
+    } catch (error) {
+        console.error("Get reviews error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "REVIEW_ERROR",
+        });
+    }
+});
+
+/**
+ * POST /api/reviews/business/:businessId
+ * Post a review for a business
+ */
+router.post("/business/:businessId", verifyAccessToken, validateReview, async (req, res) => {
+    try {
+        const { businessId } = req.params;
+
+        const business = await Business.findById(businessId).select("_id");
+        if (!business) {
+            return res.status(404).json({
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        const existing = await Review.exists({
+            user: req.user._id,
+            business: businessId,
+        });
+
+        if (existing) {
+            return res.status(409).json({
+                error: "You have already reviewed this business. Edit your review instead.",
+                code: "REVIEW_EXISTS",
+            });
+        }
+
+        const review = await Review.create({
+            user: req.user._id,
+            business: businessId,
+            text: req.body.text,
+        });
+
+        await review.populate("user", "name");
+
+        res.status(201).json({
+            success: true,
+            message: "Review posted",
+            review: formatReview(review, req.user._id),
+        });
+    } catch (error) {
+        // Unique index race: two requests from the same user at once
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: "You have already reviewed this business. Edit your review instead.",
+                code: "REVIEW_EXISTS",
+            });
+        }
+
+        console.error("Create review error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "REVIEW_ERROR",
+        });
+    }
+});
+
+/**
+ * PUT /api/reviews/:id
+ * Edit the current user's review
+ */
+router.put("/:id", verifyAccessToken, validateReview, async (req, res) => {
+    try {
+        const review = await findOwnReviewOr404(req, res);
+        if (!review) return;
+
+        review.text = req.body.text;
+        review.editedAt = new Date();
+        await review.save();
+        await review.populate("user", "name");
+
+        res.json({
+            success: true,
+            message: "Review updated",
+            review: formatReview(review, req.user._id),
+        });
+    } catch (error) {
+        console.error("Update review error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "REVIEW_ERROR",
+        });
+    }
+});
+
+/**
+ * DELETE /api/reviews/:id
+ * Delete the current user's review
+ */
+router.delete("/:id", verifyAccessToken, validateReview, async (req, res) => {
+    try {
+        const review = await findOwnReviewOr404(req, res);
+        if (!review) return;
+
+        await review.deleteOne();
+
+        res.json({
+            success: true,
+            message: "Review deleted",
+        });
+    } catch (error) {
+        console.error("Delete review error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "REVIEW_ERROR",
+        });
+    }
+});
+
+/**
+ * POST /api/reviews/:id/report
+ * Report another user's review as abusive (once per user)
+ */
+router.post("/:id/report", verifyAccessToken, validateReviewReport, async (req, res) => {
+    try {
+        const review = await Review.findById(req.params.id);
+
+        if (!review || review.status !== "visible") {
+            return res.status(404).json({
+                error: "Review not found",
+                code: "REVIEW_NOT_FOUND",
+            });
+        }
+
+        if (review.user.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                error: "You cannot report your own review",
+                code: "CANNOT_REPORT_OWN_REVIEW",
+            });
+        }
+
+        if (review.hasReportFrom(req.user._id)) {
+            return res.status(409).json({
+                error: "You have already reported this review",
+                code: "ALREADY_REPORTED",
+            });
+        }
+
+        // Atomic update so concurrent reports can't lose each other
+        const updated = await Review.updateOne(
+            { _id: review._id, "reports.user": { $ne: req.user._id } },
+            {
+                $push: {
+                    reports: { user: req.user._id, reason: req.body.reason || "" },
+                },
+                $inc: { openReportCount: 1 },
+            }
+        );
+
+        if (updated.modifiedCount === 0) {
+            return res.status(409).json({
+                error: "You have already reported this review",
+                code: "ALREADY_REPORTED",
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: "Thanks, the review has been reported to our moderators",
+        });
+    } catch (error) {
+        console.error("Report review error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "REVIEW_ERROR",
+        });
+    }
+});
+
+module.exports = router;
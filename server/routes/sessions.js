@@ -0,0 +1,105 @@
+// server/routes/sessions.js
+const express = require("express");
+const mongoose = require("mongoose");
+const UserSession = require("../models/UserSession");
+const { verifyAccessToken } = require("../middleware/userAuth");
+const router = express.Router();
+
+/**
+ * Session Management Routes
+ *
+ * Mounted under /api/auth. Every login creates a UserSession (see
+ * createUserSession in middleware/userAuth.js); these endpoints let a
+ * user see where they are signed in and sign out individual devices.
+ * "Log out of all devices" is POST /api/auth/logout-all in routes/auth.js.
+ */
+
+// Helper: consistent session payload for responses
+const formatSession = (session, currentSessionId) => ({
+    _id: session._id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    isCurrent:
+        !!currentSessionId && session._id.toString() === currentSessionId.toString(),
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's active sessions, most recently used first
+ */
+router.get("/sessions", verifyAccessToken, async (req, res) => {
+    try {
+        const sessions = await UserSession.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        })
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            sessions: sessions.map((session) =>
+                formatSession(session, req.sessionId)
+            ),
+        });
+    } catch (error) {
+        console.error("Get sessions error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "SESSIONS_ERROR",
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke one of the current user's sessions (signs that device out)
+ */
+router.delete("/sessions/:sessionId", verifyAccessToken, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(400).json({
+                error: "Invalid session ID",
+                code: "INVALID_SESSION_ID",
+            });
+        }
+
+        const session = await UserSession.findOneAndUpdate(
+            { _id: sessionId, user: req.user._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: "revoked_by_user" } },
+            { new: true }
+        );
+
+        if (!session) {
+            return res.status(404).json({
+                error: "Session not found or already signed out",
+                code: "SESSION_NOT_FOUND",
+            });
+        }
+
+        const isCurrent =
+            !!req.sessionId && session._id.toString() === req.sessionId.toString();
+
+        res.json({
+            success: true,
+            message: isCurrent
+                ? "You have been signed out of this device"
+                : "Device signed out",
+            currentSessionRevoked: isCurrent,
+        });
+    } catch (error) {
+        console.error("Revoke session error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "SESSIONS_ERROR",
+        });
+    }
+});
+
+module.exports = router;
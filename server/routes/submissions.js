@@ -6,6 +6,18 @@ const { GEORGIAN_CITIES, validateCities } = require('../config/cities');
 const { processSubmissionImage } = require('../services/imageProcessingService');
 const { sendBusinessSubmissionNotification, sendSubmissionConfirmation } = require('../services/emailService');
 const Category = require('../models/Category');
+const { submissionLimiter } = require('../middleware/rateLimit');
+const { getRequestLanguage } = require('../config/languages');
+const {
+    normalizeTranslations,
+    getTranslationErrors,
+    getPrimaryContent
+} = require('../services/businessContentService');
+const {
+    normalizeOpeningHours,
+    getOpeningHoursErrors
+} = require('../services/openingHoursService');
+const { normalizeLocation } = require('../services/geoService');
 
 const router = express.Router();
 
@@ -54,8 +66,21 @@ const validateSubmissionData = (req, res, next) => {
 
     const errors = [];
 
+    // Georgian/English name and description (JSON in multipart forms);
+    // plain businessName/shortDescription are still accepted without them
+    const translations = normalizeTranslations(req.body.translations);
+    if (req.body.translations && !translations) {
+        errors.push('Translations must be valid JSON');
+    }
+    if (translations) {
+        errors.push(...getTranslationErrors(translations, { descriptionMaxLength: 200 }));
+    }
+    const primary = translations ? getPrimaryContent(translations) : {};
+    const name = primary.businessName ?? businessName;
+    const description = primary.shortDescription ?? shortDescription;
+
     // Required fields validation
-    if (!businessName?.trim()) errors.push('Business name is required');
+    if (!translations && !name?.trim()) errors.push('Business name is required');
 
     // Categories validation
     let parsedCategories = [];
@@ -103,10 +128,29 @@ const validateSubmissionData = (req, res, next) => {
     }
 
     // Description length validation
-    if (shortDescription && shortDescription.length > 200) {
+    if (description && description.length > 200) {
         errors.push('Description cannot exceed 200 characters');
     }
 
+    // Optional opening hours (JSON in multipart forms)
+    const openingHours = req.body.openingHours
+        ? normalizeOpeningHours(req.body.openingHours)
+        : null;
+    if (req.body.openingHours && !openingHours) {
+        errors.push('Opening hours must be valid JSON');
+    }
+    if (openingHours) {
+        errors.push(...getOpeningHoursErrors(openingHours));
+    }
+
+    // Optional map position ({ lat, lng } as JSON)
+    const { location, error: locationError } = req.body.location
+        ? normalizeLocation(req.body.location)
+        : { location: null, error: null };
+    if (locationError) {
+        errors.push(locationError);
+    }
+
     // Certificate validation
     const certStatus = hasCertificate === 'true' || hasCertificate === true;
     if (certStatus && (!certificateDescription || certificateDescription.trim().length === 0)) {
@@ -153,12 +197,15 @@ const validateSubmissionData = (req, res, next) => {
 
     // Add validated data to request
     req.validatedData = {
-        businessName: businessName.trim(),
+        businessName: name.trim(),
         categories: parsedCategories, // Changed from category to categories array
         businessType,
         cities: cityValidation.cities,
         mobile: mobile.trim(),
-        shortDescription: shortDescription?.trim() || '',
+        shortDescription: description?.trim() || '',
+        ...(translations && { translations }),
+        ...(openingHours && { openingHours }),
+        ...(location && { location }),
         hasCertificate: certStatus,
         certificateDescription: certStatus ? certificateDescription?.trim() : '',
         submitterEmail: submitterEmail.toLowerCase().trim(),
@@ -169,7 +216,8 @@ const validateSubmissionData = (req, res, next) => {
             tiktok: parsedSocialLinks.tiktok?.trim() || '',
             youtube: parsedSocialLinks.youtube?.trim() || '',
         },
-        submitterIp: req.ip || req.connection.remoteAddress
+        submitterIp: req.ip || req.connection.remoteAddress,
+        submitterLanguage: getRequestLanguage(req)
     };
 
     next();
@@ -212,7 +260,8 @@ router.get('/categories', async (req, res) => {
             success: true,
             categories: categories.map(cat => ({
                 _id: cat._id,
-                name: cat.name
+                name: cat.name,
+                translations: cat.translations
             })),
             count: categories.length,
             message: 'Only active categories available for submissions'
@@ -230,7 +279,7 @@ router.get('/categories', async (req, res) => {
  * POST /api/submissions/create
  * Creates a new business submission
  */
-router.post('/create', upload.single('profileImage'), validateSubmissionData, async (req, res) => {
+router.post('/create', submissionLimiter, upload.single('profileImage'), validateSubmissionData, async (req, res) => {
     console.log('📝 New business submission request received');
 
     try {
@@ -349,7 +398,8 @@ router.post('/create', upload.single('profileImage'), validateSubmissionData, as
 
 /**
  * GET /api/submissions/status/:submissionId
- * Check status of a specific submission (for user follow-up)
+ * Check status of a specific submission (for user follow-up and the
+ * public status page linked from the submitter's emails)
  */
 router.get('/status/:submissionId', async (req, res) => {
     try {
@@ -357,7 +407,7 @@ router.get('/status/:submissionId', async (req, res) => {
 
         const submission = await BusinessSubmission.findOne(
             { submissionId },
-            'submissionId businessName status submittedAt reviewedAt rejectionReason'
+            'submissionId businessName status submittedAt reviewedAt rejectionReason publishedBusiness'
         );
 
         if (!submission) {
@@ -375,7 +425,11 @@ router.get('/status/:submissionId', async (req, res) => {
                 status: submission.status,
                 submittedAt: submission.submittedAt,
                 reviewedAt: submission.reviewedAt,
-                rejectionReason: submission.rejectionReason || null
+                rejectionReason: submission.rejectionReason || null,
+                // Live listing of an approved submission
+                publishedBusiness: submission.status === 'approved'
+                    ? submission.publishedBusiness || null
+                    : null
             }
         });
 
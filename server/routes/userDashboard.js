@@ -0,0 +1,141 @@
+// server/routes/userDashboard.js
+const express = require("express");
+const User = require("../models/User");
+const Rating = require("../models/Rating");
+const Review = require("../models/Review");
+const { verifyAccessToken } = require("../middleware/userAuth");
+const { getRequestLanguage } = require("../config/languages");
+const router = express.Router();
+
+/**
+ * User Dashboard Routes
+ *
+ * Mounted under /api/auth. Collects everything the user dashboard shows
+ * in one request: favorites, ratings and reviews, each with the linked
+ * business summary and a human-readable "time ago".
+ */
+
+// Business fields the dashboard lists need
+const BUSINESS_SUMMARY_FIELDS =
+    "businessId businessName categories cities profileImage ratingAverage ratingCount";
+
+// Helper: "3 days ago" style label in the request language (null when the
+// date is unknown)
+const formatTimeAgo = (date, now = new Date(), language = "en") => {
+    if (!date) return null;
+
+    const formatter = new Intl.RelativeTimeFormat(language, { numeric: "auto" });
+
+    const seconds = Math.max(0, Math.floor((now - new Date(date)) / 1000));
+    const units = [
+        ["year", 365 * 24 * 60 * 60],
+        ["month", 30 * 24 * 60 * 60],
+        ["week", 7 * 24 * 60 * 60],
+        ["day", 24 * 60 * 60],
+        ["hour", 60 * 60],
+        ["minute", 60],
+    ];
+
+    for (const [unit, unitSeconds] of units) {
+        const value = Math.floor(seconds / unitSeconds);
+        if (value >= 1) {
+            return formatter.format(-value, unit);
+        }
+    }
+
+    return formatter.format(0, "second");
+};
+
+// Helper: compact business payload shared by all three lists
+const formatBusiness = (business) => ({
+    _id: business._id,
+    businessId: business.businessId,
+    businessName: business.businessName,
+    categories: business.categories,
+    cities: business.cities,
+    profileImage: business.profileImage,
+    ratingAverage: business.ratingAverage,
+    ratingCount: business.ratingCount,
+});
+
+/**
+ * GET /api/auth/dashboard
+ * Get the current user's favorites, ratings and reviews
+ */
+router.get("/dashboard", verifyAccessToken, async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const [user, ratings, reviews] = await Promise.all([
+            User.findById(userId)
+                .select("favorites favoritesAddedAt")
+                .populate("favorites", BUSINESS_SUMMARY_FIELDS),
+            Rating.find({ user: userId })
+                .populate("business", BUSINESS_SUMMARY_FIELDS)
+                .sort({ updatedAt: -1 })
+                .lean(),
+            Review.find({ user: userId })
+                .populate("business", BUSINESS_SUMMARY_FIELDS)
+                .sort({ createdAt: -1 })
+                .lean(),
+        ]);
+
+        if (!user) {
+            return res.status(404).json({
+                error: "User not found",
+                code: "USER_NOT_FOUND",
+            });
+        }
+
+        const now = new Date();
+        const language = getRequestLanguage(req);
+
+        // Populate leaves null for businesses deleted since they were favorited;
+        // newest first, favorites without a recorded date go last
+        const favorites = user.favorites
+            .filter(Boolean)
+            .map((business) => {
+                const addedAt =
+                    user.favoritesAddedAt.get(business._id.toString()) || null;
+                return {
+                    business: formatBusiness(business),
+                    addedAt,
+                    timeAgo: formatTimeAgo(addedAt, now, language),
+                };
+            })
+            .sort((a, b) => (b.addedAt || 0) - (a.addedAt || 0));
+
+        res.json({
+            success: true,
+            favorites,
+            ratings: ratings
+                .filter((rating) => rating.business)
+                .map((rating) => ({
+                    _id: rating._id,
+                    business: formatBusiness(rating.business),
+                    score: rating.score,
+                    ratedAt: rating.updatedAt,
+                    timeAgo: formatTimeAgo(rating.updatedAt, now, language),
+                })),
+            reviews: reviews
+                .filter((review) => review.business)
+                .map((review) => ({
+                    _id: review._id,
+                    business: formatBusiness(review.business),
+                    text: review.text,
+                    status: review.status,
+                    editedAt: review.editedAt,
+                    createdAt: review.createdAt,
+                    timeAgo: formatTimeAgo(review.createdAt, now, language),
+                })),
+        });
+    } catch (error) {
+        console.error("Get dashboard error:", error);
+        res.status(500).json({
+            error: "Internal server error",
+            code: "DASHBOARD_ERROR",
+        });
+    }
+});
+
+module.exports = router;
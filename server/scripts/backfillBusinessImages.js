@@ -0,0 +1,174 @@
+// server/scripts/backfillBusinessImages.js
+const mongoose = require("mongoose");
+const Business = require("../models/Business");
+const {
+    processProfileImage,
+    deleteProfileImage,
+} = require("../services/businessImageService");
+const {
+    processGalleryImage,
+    deleteGalleryImages,
+} = require("../services/imageProcessingService");
+const { readUpload } = require("../services/storageService");
+require("dotenv").config();
+
+/**
+ * Reprocess listing images created before the responsive pipeline:
+ * - profile images without a manifest (400x400 JPEGs from the old admin
+ *   upload, WebP/AVIF copies of published submissions)
+ * - gallery photos without a manifest
+ *
+ * Every image is rebuilt from its largest stored file. The old files are
+ * deleted once the listing is updated, unless --keep-originals is given.
+ * Images whose file is missing are reported and left alone.
+ *
+ * Usage: node scripts/backfillBusinessImages.js [--dry-run] [--keep-originals]
+ */
+
+const hasManifest = (manifest) => manifest?.variants?.length > 0;
+
+const backfillBusinessImages = async () => {
+    const dryRun = process.argv.includes("--dry-run");
+    const keepOriginals = process.argv.includes("--keep-originals");
+
+    const stats = { scanned: 0, profiles: 0, photos: 0, missing: 0, failed: 0 };
+
+    try {
+        console.log(
+            `🚀 Backfilling responsive business images${dryRun ? " (dry run)" : ""}...`
+        );
+
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log("✅ Connected to MongoDB");
+
+        const cursor = Business.find({
+            $or: [
+                {
+                    profileImage: { $nin: ["", null] },
+                    "profileImageManifest.variants.0": { $exists: false },
+                },
+                {
+                    photos: {
+                        $elemMatch: { "manifest.variants.0": { $exists: false } },
+                    },
+                },
+            ],
+        })
+            .select(
+                "businessId profileImage profileImageAvif profileImageManifest photos"
+            )
+            .cursor();
+
+        // One listing at a time - image processing is CPU heavy
+        for await (const business of cursor) {
+            stats.scanned++;
+            const label = `${business.businessId} (${business._id})`;
+            // Old files, deleted once the listing is saved
+            let replacedProfile = null;
+            const replacedPhotos = [];
+
+            try {
+                if (
+                    business.profileImage &&
+                    !hasManifest(business.profileImageManifest)
+                ) {
+                    const buffer =
+                        (await readUpload(business.profileImage)) ||
+                        (await readUpload(business.profileImageAvif));
+
+                    if (!buffer) {
+                        stats.missing++;
+                        console.warn(
+                            `⚠️  ${label}: profile image ${business.profileImage} not found`
+                        );
+                    } else if (dryRun) {
+                        stats.profiles++;
+                    } else {
+                        replacedProfile = {
+                            profileImage: business.profileImage,
+                            profileImageAvif: business.profileImageAvif,
+                        };
+                        business.set(
+                            await processProfileImage(buffer, business._id)
+                        );
+                        stats.profiles++;
+                    }
+                }
+
+                for (const photo of business.photos) {
+                    if (hasManifest(photo.manifest)) continue;
+
+                    const buffer =
+                        (await readUpload(photo.webp)) ||
+                        (await readUpload(photo.avif));
+
+                    if (!buffer) {
+                        stats.missing++;
+                        console.warn(
+                            `⚠️  ${label}: gallery photo ${photo.webp} not found`
+                        );
+                    } else if (dryRun) {
+                        stats.photos++;
+                    } else {
+                        replacedPhotos.push({ webp: photo.webp, avif: photo.avif });
+                        photo.set(
+                            await processGalleryImage(buffer, business._id)
+                        );
+                        stats.photos++;
+                    }
+                }
+
+                if (!dryRun && business.isModified()) {
+                    // Not an edit of the listing - keep updatedAt
+                    await business.save({ timestamps: false });
+
+                    if (!keepOriginals) {
+                        await deleteProfileImage(replacedProfile);
+                        await Promise.all(replacedPhotos.map(deleteGalleryImages));
+                    }
+                }
+            } catch (error) {
+                stats.failed++;
+                console.error(`❌ ${label}: ${error.message}`);
+
+                // Drop the files written for this listing
+                if (business.isModified("profileImageManifest")) {
+                    await deleteProfileImage({
+                        profileImageManifest: business.profileImageManifest,
+                    });
+                }
+                await Promise.all(
+                    business.photos
+                        .filter((photo) => photo.isModified("manifest"))
+                        .map((photo) =>
+                            deleteGalleryImages({ manifest: photo.manifest })
+                        )
+                );
+            }
+        }
+
+        console.log(
+            `🎉 Done: ${stats.scanned} businesses scanned, ${stats.profiles} profile images and ${stats.photos} gallery photos ${dryRun ? "would be " : ""}reprocessed`
+        );
+        if (stats.missing > 0) {
+            console.log(`⚠️  ${stats.missing} images skipped (file not found)`);
+        }
+        if (stats.failed > 0) {
+            console.log(`❌ ${stats.failed} businesses failed`);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error("❌ Backfill failed:", error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        console.log("📴 Disconnected from MongoDB");
+    }
+};
+
+// Run if called directly
+if (require.main === module) {
+    backfillBusinessImages();
+}
+
+module.exports = { backfillBusinessImages };
@@ -0,0 +1,74 @@
+// server/scripts/backfillSearchKeywords.js
+const mongoose = require("mongoose");
+const Business = require("../models/Business");
+const { buildSearchKeywords } = require("../services/searchService");
+const { getAllContentValues } = require("../services/businessContentService");
+require("dotenv").config();
+
+/**
+ * Fill Business.searchKeywords for listings created before full-text search
+ * (or after changing the transliteration rules in services/searchService.js).
+ *
+ * Usage: node scripts/backfillSearchKeywords.js
+ * Run scripts/setupDatabase.js afterwards if text_search_index is outdated.
+ */
+const BATCH_SIZE = 500;
+
+const backfillSearchKeywords = async () => {
+    try {
+        console.log("🚀 Backfilling business search keywords...");
+
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log("✅ Connected to MongoDB");
+
+        const cursor = Business.find()
+            .select("businessName shortDescription translations searchKeywords")
+            .lean()
+            .cursor();
+
+        let operations = [];
+        let scanned = 0;
+        let updated = 0;
+
+        const flush = async () => {
+            if (operations.length === 0) return;
+            const result = await Business.bulkWrite(operations);
+            updated += result.modifiedCount;
+            operations = [];
+        };
+
+        for await (const business of cursor) {
+            scanned++;
+            const searchKeywords = buildSearchKeywords(
+                ...getAllContentValues(business)
+            );
+
+            if (searchKeywords !== business.searchKeywords) {
+                operations.push({
+                    updateOne: {
+                        filter: { _id: business._id },
+                        update: { $set: { searchKeywords } },
+                    },
+                });
+            }
+
+            if (operations.length >= BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        console.log(`🎉 Done: ${updated} of ${scanned} businesses updated`);
+    } catch (error) {
+        console.error("❌ Backfill failed:", error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        console.log("📴 Disconnected from MongoDB");
+    }
+};
+
+// Run if called directly
+if (require.main === module) {
+    backfillSearchKeywords();
+}
+
+module.exports = { backfillSearchKeywords };
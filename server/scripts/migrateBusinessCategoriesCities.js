@@ -0,0 +1,171 @@
+// server/scripts/migrateBusinessCategoriesCities.js
+const mongoose = require("mongoose");
+const Business = require("../models/Business");
+const BusinessSubmission = require("../models/BusinessSubmission");
+const { NATIONWIDE_CITY } = require("../config/cities");
+require("dotenv").config();
+
+/**
+ * Move listings from the single `category`/`city` fields to the
+ * `categories[]`/`cities[]` arrays.
+ *
+ * The old value stays first. Listings published from a submission also get
+ * the other categories and cities that were selected on it (publishing used
+ * to keep only the first of each). Indexes built on the old fields are
+ * dropped - run scripts/setupDatabase.js afterwards to recreate them.
+ *
+ * Usage: node scripts/migrateBusinessCategoriesCities.js [--dry-run]
+ */
+const BATCH_SIZE = 500;
+const STALE_INDEX_FIELDS = ["category", "city"];
+
+const unique = (values) => [
+    ...new Set(values.filter((value) => typeof value === "string" && value.trim())),
+];
+
+/**
+ * "All Georgia" cannot be combined with specific cities
+ * (see validateCities in config/cities.js)
+ */
+const resolveCities = (cities, primaryCity) => {
+    if (!cities.includes(NATIONWIDE_CITY) || cities.length === 1) return cities;
+    return primaryCity === NATIONWIDE_CITY
+        ? [NATIONWIDE_CITY]
+        : cities.filter((city) => city !== NATIONWIDE_CITY);
+};
+
+const migrateBusinessCategoriesCities = async () => {
+    const dryRun = process.argv.includes("--dry-run");
+
+    try {
+        console.log(
+            `🚀 Migrating business categories and cities${dryRun ? " (dry run)" : ""}...`
+        );
+
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log("✅ Connected to MongoDB");
+
+        // Raw collection: the model no longer knows the old fields
+        const cursor = Business.collection.find(
+            {
+                $or: [
+                    { category: { $exists: true } },
+                    { city: { $exists: true } },
+                ],
+            },
+            {
+                projection: {
+                    category: 1,
+                    city: 1,
+                    categories: 1,
+                    cities: 1,
+                    sourceSubmission: 1,
+                },
+            }
+        );
+
+        let operations = [];
+        let scanned = 0;
+        let updated = 0;
+        let restored = 0;
+
+        const flush = async () => {
+            if (operations.length === 0) return;
+            if (!dryRun) {
+                const result = await Business.collection.bulkWrite(operations);
+                updated += result.modifiedCount;
+            } else {
+                updated += operations.length;
+            }
+            operations = [];
+        };
+
+        for await (const business of cursor) {
+            scanned++;
+
+            const submission = business.sourceSubmission
+                ? await BusinessSubmission.findById(business.sourceSubmission)
+                      .select("categories cities")
+                      .lean()
+                : null;
+
+            const currentCategories = unique([
+                business.category,
+                ...(business.categories || []),
+            ]);
+            const currentCities = unique([
+                business.city,
+                ...(business.cities || []),
+            ]);
+            const categories = unique([
+                ...currentCategories,
+                ...(submission?.categories || []),
+            ]);
+            const cities = resolveCities(
+                unique([...currentCities, ...(submission?.cities || [])]),
+                business.city
+            );
+
+            if (categories.length === 0 || cities.length === 0) {
+                console.warn(
+                    `⚠️  ${business._id}: no category or city to migrate - fix it in the admin panel`
+                );
+            }
+            if (
+                categories.length > currentCategories.length ||
+                cities.some((city) => !currentCities.includes(city))
+            ) {
+                restored++;
+            }
+
+            operations.push({
+                updateOne: {
+                    filter: { _id: business._id },
+                    update: {
+                        $set: { categories, cities },
+                        $unset: { category: "", city: "" },
+                    },
+                },
+            });
+
+            if (operations.length >= BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        console.log(
+            `🎉 Done: ${updated} of ${scanned} businesses ${dryRun ? "would be " : ""}updated, ${restored} with values restored from submissions`
+        );
+
+        // Indexes on the old fields are useless now
+        const indexes = await Business.collection.listIndexes().toArray();
+        const staleIndexes = indexes.filter((index) =>
+            Object.keys(index.key).some((field) =>
+                STALE_INDEX_FIELDS.includes(field)
+            )
+        );
+        for (const index of staleIndexes) {
+            if (!dryRun) await Business.collection.dropIndex(index.name);
+            console.log(
+                `🗑️  ${dryRun ? "Would drop" : "Dropped"} index ${index.name}: ${JSON.stringify(index.key)}`
+            );
+        }
+        if (staleIndexes.length > 0) {
+            console.log(
+                "👉 Recreate the indexes: node scripts/setupDatabase.js"
+            );
+        }
+    } catch (error) {
+        console.error("❌ Migration failed:", error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        console.log("📴 Disconnected from MongoDB");
+    }
+};
+
+// Run if called directly
+if (require.main === module) {
+    migrateBusinessCategoriesCities();
+}
+
+module.exports = { migrateBusinessCategoriesCities };
@@ -0,0 +1,103 @@
+// server/scripts/migrateReportReasons.js
+const mongoose = require("mongoose");
+const BusinessReport = require("../models/BusinessReport");
+const ReportReason = require("../models/ReportReason");
+const {
+    ensureDefaultReasons,
+    LEGACY_ISSUE_TYPES,
+} = require("../services/reportReasonService");
+require("dotenv").config();
+
+/**
+ * Move reports to admin-managed report reasons:
+ * - create the default reasons if the collection is empty
+ * - replace the old issue type labels ("Broken Image", ...) in
+ *   report.issueTypes with the reason keys
+ * - set report.priority from the severity of the reasons
+ *
+ * Safe to run more than once. Reports keep their updatedAt.
+ *
+ * Usage: node scripts/migrateReportReasons.js [--dry-run]
+ */
+const migrateReportReasons = async () => {
+    const dryRun = process.argv.includes("--dry-run");
+
+    try {
+        console.log(
+            `🚀 Migrating report issue types${dryRun ? " (dry run)" : ""}...`
+        );
+
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log("✅ Connected to MongoDB");
+
+        if (dryRun) {
+            const reasonCount = await ReportReason.countDocuments();
+            console.log(
+                reasonCount === 0
+                    ? "📋 Default report reasons would be created"
+                    : `📋 ${reasonCount} report reasons exist`
+            );
+        } else {
+            const created = await ensureDefaultReasons();
+            console.log(
+                created > 0
+                    ? `✅ Created ${created} default report reasons`
+                    : "✅ Report reasons already exist"
+            );
+        }
+
+        for (const [label, key] of Object.entries(LEGACY_ISSUE_TYPES)) {
+            const filter = { issueTypes: label };
+
+            if (dryRun) {
+                const count = await BusinessReport.countDocuments(filter);
+                console.log(`  - "${label}" -> ${key}: ${count} reports`);
+                continue;
+            }
+
+            const result = await BusinessReport.updateMany(
+                filter,
+                { $set: { "issueTypes.$[type]": key } },
+                { arrayFilters: [{ type: label }], timestamps: false }
+            );
+            console.log(
+                `  - "${label}" -> ${key}: ${result.modifiedCount} reports`
+            );
+        }
+
+        if (dryRun) {
+            console.log("🎉 Dry run done - priorities are set after the keys");
+            return;
+        }
+
+        // Most severe reason wins: raise every report to the rank of each
+        // of its reasons
+        const reasons = await ReportReason.find().select("key severity").lean();
+        let prioritized = 0;
+
+        for (const reason of reasons) {
+            const rank = ReportReason.getSeverityRank(reason.severity);
+            const result = await BusinessReport.updateMany(
+                { issueTypes: reason.key, priority: { $lt: rank } },
+                { $set: { priority: rank } },
+                { timestamps: false }
+            );
+            prioritized += result.modifiedCount;
+        }
+
+        console.log(`🎉 Done: ${prioritized} report priorities updated`);
+    } catch (error) {
+        console.error("❌ Migration failed:", error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        console.log("📴 Disconnected from MongoDB");
+    }
+};
+
+// Run if called directly
+if (require.main === module) {
+    migrateReportReasons();
+}
+
+module.exports = { migrateReportReasons };
@@ -0,0 +1,127 @@
+// server/scripts/migrateStorage.js
+const {
+    createStorageDriver,
+    getContentType,
+} = require("../services/storageService");
+const { STORAGE_DRIVERS } = require("../config/storage");
+require("dotenv").config();
+
+/**
+ * Copy uploaded images from one storage backend to another, e.g. from the
+ * local uploads folder to an S3 bucket before switching STORAGE_DRIVER.
+ * Both backends are configured as in config/storage.js.
+ *
+ * Stored image paths ("/uploads/...") don't depend on the backend, so the
+ * database is not touched: copy, set STORAGE_DRIVER, restart the server.
+ *
+ * Files that already exist in the target with the same size are skipped,
+ * unless --overwrite is given. With --delete-source, each file is removed
+ * from the source once it is copied (or found in the target).
+ * Safe to run more than once.
+ *
+ * Usage: node scripts/migrateStorage.js --from <local|s3> --to <local|s3>
+ *   [--prefix businesses/] [--dry-run] [--overwrite] [--delete-source]
+ */
+
+// Value of a "--name value" argument
+const getArg = (name) => {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const migrateStorage = async () => {
+    const from = getArg("--from");
+    const to = getArg("--to");
+    const prefix = getArg("--prefix") || "";
+    const dryRun = process.argv.includes("--dry-run");
+    const overwrite = process.argv.includes("--overwrite");
+    const deleteSource = process.argv.includes("--delete-source");
+
+    const stats = { scanned: 0, copied: 0, skipped: 0, deleted: 0, failed: 0, bytes: 0 };
+
+    try {
+        if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to)) {
+            throw new Error(
+                `--from and --to must be one of: ${STORAGE_DRIVERS.join(", ")}`
+            );
+        }
+        if (from === to) {
+            throw new Error("--from and --to must be different backends");
+        }
+
+        const source = createStorageDriver(from);
+        const target = createStorageDriver(to);
+
+        await source.check();
+        await target.check();
+
+        console.log(
+            `🚀 Copying uploads${prefix ? ` under "${prefix}"` : ""} from ${source.location} to ${target.location}${dryRun ? " (dry run)" : ""}...`
+        );
+
+        // One file at a time keeps memory use flat
+        for await (const { key, size } of source.list(prefix)) {
+            stats.scanned++;
+
+            try {
+                const existing = overwrite ? null : await target.stat(key);
+
+                if (existing && existing.size === size) {
+                    stats.skipped++;
+                } else if (dryRun) {
+                    stats.copied++;
+                    stats.bytes += size;
+                } else {
+                    const buffer = await source.get(key);
+                    if (!buffer) {
+                        // Deleted since it was listed
+                        stats.skipped++;
+                        continue;
+                    }
+
+                    await target.put(key, buffer, {
+                        contentType: getContentType(key),
+                    });
+                    stats.copied++;
+                    stats.bytes += buffer.length;
+                }
+
+                if (deleteSource && !dryRun) {
+                    await source.delete(key);
+                    stats.deleted++;
+                }
+            } catch (error) {
+                stats.failed++;
+                console.error(`❌ ${key}: ${error.message}`);
+            }
+
+            if (stats.scanned % 100 === 0) {
+                console.log(`  ... ${stats.scanned} files`);
+            }
+        }
+
+        const copiedMB = (stats.bytes / (1024 * 1024)).toFixed(2);
+        console.log(
+            `🎉 Done: ${stats.scanned} files scanned, ${stats.copied} ${dryRun ? "would be " : ""}copied (${copiedMB} MB), ${stats.skipped} already in ${to}`
+        );
+        if (stats.deleted > 0) {
+            console.log(`🗑️ ${stats.deleted} files deleted from ${from}`);
+        }
+        if (stats.failed > 0) {
+            console.log(`❌ ${stats.failed} files failed`);
+            process.exitCode = 1;
+        } else if (!dryRun) {
+            console.log(`👉 Set STORAGE_DRIVER=${to} and restart the server`);
+        }
+    } catch (error) {
+        console.error("❌ Storage migration failed:", error.message);
+        process.exitCode = 1;
+    }
+};
+
+// Run if called directly
+if (require.main === module) {
+    migrateStorage();
+}
+
+module.exports = { migrateStorage };
@@ -61,9 +61,21 @@ const setupDatabase = async () => {
 
         console.log("\n🎉 Database setup completed successfully!");
         console.log("\n📋 Next steps:");
-        console.log("1. Start your development server: npm run dev");
-        console.log("2. Test the multi-select filters on the frontend");
-        console.log("3. Monitor query performance in development");
+        console.log(
+            "1. Fill search keywords: node scripts/backfillSearchKeywords.js"
+        );
+        console.log(
+            "2. If listings still have a single category/city, migrate them (before or after this setup): node scripts/migrateBusinessCategoriesCities.js"
+        );
+        console.log(
+            "3. Reprocess old listing images: node scripts/backfillBusinessImages.js"
+        );
+        console.log(
+            "4. Move reports to managed report reasons: node scripts/migrateReportReasons.js"
+        );
+        console.log("5. Start your development server: npm run dev");
+        console.log("6. Test the multi-select filters on the frontend");
+        console.log("7. Monitor query performance in development");
     } catch (error) {
         console.error("❌ Database setup failed:", error.message);
 
@@ -1,21 +1,23 @@
 // server/server.js - Updated integration
 const express = require("express");
 const cors = require("cors");
-const path = require("path");
 require("dotenv").config();
 
+const { EMAIL_CONFIG, EMAIL_OUTBOX } = require("./config/email");
+
 // Environment Variables Validation
 const validateEnvironment = () => {
     const requiredVars = [
         "MONGODB_URI",
         "JWT_ACCESS_SECRET",
         "JWT_REFRESH_SECRET",
-        "ADMIN_USERNAME",
-        "ADMIN_PASSWORD",
-        "EMAIL_USER",
-        "EMAIL_PASS",
     ];
 
+    // The file transport (EMAIL_TRANSPORT=file) needs no mail account
+    if (EMAIL_CONFIG.transport === "smtp") {
+        requiredVars.push("EMAIL_USER", "EMAIL_PASS");
+    }
+
     const missing = requiredVars.filter((varName) => !process.env[varName]);
 
     if (missing.length > 0) {
@@ -37,6 +39,7 @@ validateEnvironment();
 
 const { connectDB } = require("./config/database");
 const errorHandler = require("./middleware/errorHandler");
+const AdminUser = require("./models/AdminUser");
 
 // Import routes
 const publicBusinessesRoutes = require("./routes/public/businesses");
@@ -52,36 +55,77 @@ const emailVerificationRoutes = require("./routes/emailVerification");
 // NEW: Import report routes
 const reportsRoutes = require("./routes/reports");
 const adminReportsRoutes = require("./routes/admin/reports");
+const adminReportReasonsRoutes = require("./routes/admin/reportReasons");
 const adminSubmissionsRoutes = require("./routes/admin/submissions");
 
 // NEW: Import user cleanup service for delayed deletion
 const userCleanupService = require("./services/userCleanupService");
 
+// Upload storage backend (local folder or S3-compatible bucket)
+const { serveUploads, checkStorage } = require("./services/storageService");
+
+// Email outbox worker (sends queued emails, retries failed ones)
+const emailOutboxService = require("./services/emailOutboxService");
+
 // NEW: Import submission routes
 const submissionRoutes = require("./routes/submissions");
 
+// User ratings, dashboard and session routes (mounted under /api/auth)
+const ratingsRoutes = require("./routes/ratings");
+const userDashboardRoutes = require("./routes/userDashboard");
+const sessionsRoutes = require("./routes/sessions");
+
+// User reviews (public + authenticated) and admin moderation routes
+const reviewsRoutes = require("./routes/reviews");
+const adminReviewsRoutes = require("./routes/admin/reviews");
+
+// Admin account management (superadmin only)
+const adminAdminsRoutes = require("./routes/admin/admins");
+const adminAuditRoutes = require("./routes/admin/audit");
+const adminEmailsRoutes = require("./routes/admin/emails");
+
+// Listing ownership claims, owner edits and their admin review queues
+const businessOwnersRoutes = require("./routes/businessOwners");
+const adminOwnersRoutes = require("./routes/admin/owners");
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy/load balancer, req.ip (used for rate limits) has to
+// come from X-Forwarded-For. TRUST_PROXY is a hop count or an Express preset.
+if (process.env.TRUST_PROXY) {
+    app.set(
+        "trust proxy",
+        Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+    );
+}
+
 // Connect to MongoDB with enhanced error handling
 const startServer = async () => {
     try {
         // Attempt database connection
         await connectDB();
 
+        // First run: create the initial superadmin from ADMIN_USERNAME / ADMIN_PASSWORD
+        await AdminUser.ensureBootstrapAdmin();
+
         // Middleware
         app.use(cors({
-            origin: process.env.FRONTEND_URL || "http://localhost:3001"
+            origin: process.env.FRONTEND_URL || "http://localhost:3001",
+            // Let the client read rate limit state (middleware/rateLimit.js)
+            exposedHeaders: [
+                "RateLimit-Limit",
+                "RateLimit-Remaining",
+                "RateLimit-Reset",
+                "Retry-After",
+            ],
         }));
         app.use(express.json());
         app.use(express.urlencoded({ extended: true }));
 
-        // Serve uploaded images statically with cache headers
-        app.use("/uploads", express.static(path.join(__dirname, "uploads"), {
-            maxAge: '1d', // Cache for 1 day
-            etag: true,   // Enable ETags for 304 responses
-            lastModified: true // Enable Last-Modified headers
-        }));
+        // Serve uploaded images with cache headers (local folder, or the
+        // S3 bucket behind STORAGE_DRIVER=s3)
+        app.use("/uploads", serveUploads());
 
         // Health check routes (should be first for monitoring)
         app.use("/api/health", healthRoutes);
@@ -100,6 +144,15 @@ const startServer = async () => {
 
         // Add this line with your other route registrations
         app.use("/api/auth", emailVerificationRoutes);
+        app.use("/api/auth", ratingsRoutes);
+        app.use("/api/auth", userDashboardRoutes);
+        app.use("/api/auth", sessionsRoutes);
+
+        // User reviews on business detail pages
+        app.use("/api/reviews", reviewsRoutes);
+
+        // Listing owners: claims and proposed edits
+        app.use("/api/owner", businessOwnersRoutes);
 
         // Admin routes
         app.use("/api/admin/auth", adminAuthRoutes);
@@ -109,7 +162,13 @@ const startServer = async () => {
 
         // NEW: Admin reports routes (for report management)
         app.use("/api/admin/reports", adminReportsRoutes);
+        app.use("/api/admin/report-reasons", adminReportReasonsRoutes);
         app.use("/api/admin/submissions", adminSubmissionsRoutes);
+        app.use("/api/admin/reviews", adminReviewsRoutes);
+        app.use("/api/admin/admins", adminAdminsRoutes);
+        app.use("/api/admin/audit", adminAuditRoutes);
+        app.use("/api/admin/emails", adminEmailsRoutes);
+        app.use("/api/admin/owners", adminOwnersRoutes);
 
         // Test route
         app.get("/api/test", (req, res) => {
@@ -161,6 +220,16 @@ const startServer = async () => {
             }, CLEANUP_INTERVAL);
         };
 
+        // Email outbox: send what was queued before a restart, then poll for
+        // retries (new messages start a run themselves when queued)
+        const startEmailOutboxJob = () => {
+            emailOutboxService.kick();
+
+            setInterval(() => {
+                emailOutboxService.kick();
+            }, EMAIL_OUTBOX.pollIntervalMs);
+        };
+
         // Start server
         app.listen(PORT, () => {
             console.log(`🚀 Server running on port ${PORT}`);
@@ -172,6 +241,17 @@ const startServer = async () => {
             // Start background cleanup job
             startUserCleanupJob();
             console.log(`🗑️ User cleanup service: Active (delay: ${process.env.USER_DELETION_DELAY_DAYS || 5} days)`);
+
+            startEmailOutboxJob();
+            console.log(`📬 Email outbox worker: Active (every ${EMAIL_OUTBOX.pollIntervalMs / 1000}s)`);
+
+            checkStorage()
+                .then(({ driver, location }) =>
+                    console.log(`🗄️ Upload storage: ${driver} (${location})`)
+                )
+                .catch((error) =>
+                    console.error(`❌ Upload storage not available: ${error.message}`)
+                );
         });
     } catch (error) {
         console.error("❌ Failed to start server:", error.message);
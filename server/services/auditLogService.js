@@ -0,0 +1,135 @@
+// server/services/auditLogService.js
+const AdminAuditLog = require("../models/AdminAuditLog");
+
+/**
+ * Audit Log Service
+ *
+ * Records mutating admin actions in AdminAuditLog. Route handlers pass
+ * before/after snapshots of the record they changed and this service
+ * stores a field-level diff alongside the actor and request details.
+ *
+ * Writing the entry never fails the admin request: errors are logged
+ * and the action itself has already happened by the time we get here.
+ */
+
+// Fields that change on every save or must never be copied into the log
+const IGNORED_FIELDS = new Set([
+    "_id",
+    "__v",
+    "createdAt",
+    "updatedAt",
+    "password",
+]);
+
+// Helper: Mongoose document or plain object -> JSON-safe plain object
+const toSnapshot = (value) => {
+    if (!value) return null;
+    const plain =
+        typeof value.toObject === "function"
+            ? value.toObject({ depopulate: true })
+            : value;
+    return JSON.parse(JSON.stringify(plain));
+};
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Field-level diff of two snapshots
+ * Nested objects (e.g. socialLinks) are compared per key with dotted paths;
+ * arrays are compared as a whole.
+ *
+ * @param {Object|null} before - Snapshot before the change (null on create)
+ * @param {Object|null} after - Snapshot after the change (null on delete)
+ * @returns {Array<{field, before, after}>}
+ */
+const diffSnapshots = (before, after, prefix = "") => {
+    const changes = [];
+    const keys = new Set([
+        ...Object.keys(before || {}),
+        ...Object.keys(after || {}),
+    ]);
+
+    for (const key of keys) {
+        if (!prefix && IGNORED_FIELDS.has(key)) continue;
+
+        const field = prefix ? `${prefix}.${key}` : key;
+        const oldValue = before?.[key] ?? null;
+        const newValue = after?.[key] ?? null;
+
+        if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+            changes.push(...diffSnapshots(oldValue, newValue, field));
+        } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field, before: oldValue, after: newValue });
+        }
+    }
+
+    return changes;
+};
+
+// Helper: readable name for the target taken from whichever snapshot exists
+const getTargetLabel = (snapshot) =>
+    snapshot?.businessName ||
+    snapshot?.name ||
+    snapshot?.username ||
+    snapshot?.submissionId ||
+    snapshot?.businessId ||
+    "";
+
+const getClientIp = (req) =>
+    req.ip ||
+    req.connection?.remoteAddress ||
+    req.headers["x-forwarded-for"]?.split(",")[0] ||
+    "";
+
+/**
+ * Record an admin action
+ *
+ * @param {Object} req - Express request (req.admin is set by verifyAdmin)
+ * @param {Object} entry
+ * @param {string} entry.action - "<targetType>.<verb>", e.g. "business.verify"
+ * @param {string} entry.targetType - business | category | submission | report | review | admin | system
+ * @param {*} [entry.targetId] - ID of the changed record
+ * @param {string} [entry.targetLabel] - Overrides the label derived from the snapshots
+ * @param {Object} [entry.before] - Record before the change (document or plain object)
+ * @param {Object} [entry.after] - Record after the change (document or plain object)
+ * @param {Object} [entry.metadata] - Extra context (bulk IDs, results, ...)
+ * @returns {AdminAuditLog|null}
+ */
+const recordAdminAction = async (
+    req,
+    { action, targetType, targetId, targetLabel, before, after, metadata = null }
+) => {
+    try {
+        const beforeSnapshot = toSnapshot(before);
+        const afterSnapshot = toSnapshot(after);
+
+        return await AdminAuditLog.create({
+            actor: {
+                adminId: req.admin?._id || null,
+                username: req.admin?.username || "unknown",
+                role: req.admin?.role || null,
+            },
+            action,
+            targetType,
+            targetId:
+                targetId || afterSnapshot?._id || beforeSnapshot?._id || null,
+            targetLabel:
+                targetLabel ??
+                (getTargetLabel(afterSnapshot) || getTargetLabel(beforeSnapshot)),
+            changes: diffSnapshots(beforeSnapshot, afterSnapshot),
+            metadata,
+            ipAddress: getClientIp(req),
+            userAgent: (req.get?.("user-agent") || "").slice(0, 500),
+        });
+    } catch (error) {
+        console.error(`❌ Failed to write audit log entry (${action}):`, error);
+        return null;
+    }
+};
+
+module.exports = {
+    recordAdminAction,
+    diffSnapshots,
+    toSnapshot,
+};
@@ -0,0 +1,188 @@
+// server/services/businessContentService.js
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+
+/**
+ * Business Content Service
+ *
+ * Listing text (name and description) is stored per language in
+ * `translations.{ka,en}`. `businessName` / `shortDescription` keep the
+ * primary version - derived from the translations, default language first -
+ * for admin screens, emails, sorting and listings created before
+ * translations existed.
+ *
+ * - Normalizing translations sent by forms (object or JSON string)
+ * - Deriving the primary fields
+ * - Picking the variant for the request language, with a fallback chain
+ */
+
+// Languages listing text can be written in
+const CONTENT_LANGUAGES = ['ka', 'en'];
+const CONTENT_FIELDS = ['businessName', 'shortDescription'];
+
+/**
+ * Languages to try for `language`, in order
+ * e.g. "ka" -> ka, en; "ru" -> en, ka
+ */
+const getFallbackChain = (language) =>
+    [...new Set([language, DEFAULT_LANGUAGE, ...CONTENT_LANGUAGES])].filter(
+        (code) => CONTENT_LANGUAGES.includes(code)
+    );
+
+const getTranslatedValue = (translations, code, field) => {
+    const value = translations?.[code]?.[field];
+    return typeof value === 'string' ? value.trim() : '';
+};
+
+/**
+ * Normalize translations from a request body
+ * Accepts an object or a JSON string (multipart forms).
+ *
+ * @param {Object|string} input
+ * @returns {Object|null} - { ka: { businessName, shortDescription }, en: {...} },
+ *          null when missing or not parseable
+ */
+const normalizeTranslations = (input) => {
+    if (input === undefined || input === null || input === '') return null;
+
+    let parsed = input;
+    if (typeof input === 'string') {
+        try {
+            parsed = JSON.parse(input);
+        } catch {
+            return null;
+        }
+    }
+
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        return null;
+    }
+
+    const translations = {};
+    CONTENT_LANGUAGES.forEach((code) => {
+        translations[code] = {};
+        CONTENT_FIELDS.forEach((field) => {
+            translations[code][field] = getTranslatedValue(parsed, code, field);
+        });
+    });
+
+    return translations;
+};
+
+const LANGUAGE_NAMES = { ka: 'Georgian', en: 'English' };
+
+/**
+ * Validation messages for normalized translations
+ *
+ * @param {Object} translations - From normalizeTranslations
+ * @param {Object} options
+ * @param {number} options.nameMaxLength
+ * @param {number} options.descriptionMaxLength
+ * @param {boolean} options.requireName - At least one language needs a name
+ * @returns {string[]}
+ */
+const getTranslationErrors = (
+    translations,
+    { nameMaxLength = 100, descriptionMaxLength = 500, requireName = true } = {}
+) => {
+    const errors = [];
+
+    CONTENT_LANGUAGES.forEach((code) => {
+        const { businessName, shortDescription } = translations[code];
+        if (businessName.length > nameMaxLength) {
+            errors.push(`${LANGUAGE_NAMES[code]} business name cannot exceed ${nameMaxLength} characters`);
+        }
+        if (shortDescription.length > descriptionMaxLength) {
+            errors.push(`${LANGUAGE_NAMES[code]} description cannot exceed ${descriptionMaxLength} characters`);
+        }
+    });
+
+    if (requireName && !CONTENT_LANGUAGES.some((code) => translations[code].businessName)) {
+        errors.push('Business name is required in Georgian or English');
+    }
+
+    return errors;
+};
+
+/**
+ * Pick name and description for `language`
+ * Each field falls back separately: requested language, default language,
+ * any other language, then the primary field.
+ *
+ * @param {Object} business - Business or BusinessSubmission (document or lean)
+ * @param {string} language - Supported interface language
+ * @returns {{ businessName: string, shortDescription: string, contentLanguage: string|null }}
+ *          contentLanguage - language the name was taken from (null = primary field)
+ */
+const getLocalizedContent = (business, language = DEFAULT_LANGUAGE) => {
+    const chain = getFallbackChain(language);
+    const content = { contentLanguage: null };
+
+    CONTENT_FIELDS.forEach((field) => {
+        const code = chain.find((candidate) =>
+            getTranslatedValue(business.translations, candidate, field)
+        );
+
+        content[field] = code
+            ? getTranslatedValue(business.translations, code, field)
+            : business[field] || '';
+
+        if (field === 'businessName' && code) content.contentLanguage = code;
+    });
+
+    return content;
+};
+
+/**
+ * Primary field values for a set of translations
+ * A field empty in every language is cleared. Translations without any
+ * text (listings created before translations existed) return nothing, so
+ * their primary values are kept.
+ */
+const getPrimaryContent = (translations) => {
+    const hasContent = CONTENT_LANGUAGES.some((code) =>
+        CONTENT_FIELDS.some((field) => getTranslatedValue(translations, code, field))
+    );
+    if (!hasContent) return {};
+
+    const primary = {};
+
+    CONTENT_FIELDS.forEach((field) => {
+        const code = getFallbackChain(DEFAULT_LANGUAGE).find((candidate) =>
+            getTranslatedValue(translations, candidate, field)
+        );
+        primary[field] = code ? getTranslatedValue(translations, code, field) : '';
+    });
+
+    return primary;
+};
+
+/**
+ * Lean business with name/description in `language`
+ * (for public API responses)
+ */
+const localizeBusiness = (business, language) => ({
+    ...business,
+    ...getLocalizedContent(business, language),
+});
+
+/**
+ * Every name/description variant, for search keywords
+ */
+const getAllContentValues = (business) => [
+    business.businessName,
+    business.shortDescription,
+    ...CONTENT_LANGUAGES.flatMap((code) =>
+        CONTENT_FIELDS.map((field) => getTranslatedValue(business.translations, code, field))
+    ),
+].filter(Boolean);
+
+module.exports = {
+    CONTENT_LANGUAGES,
+    CONTENT_FIELDS,
+    normalizeTranslations,
+    getTranslationErrors,
+    getLocalizedContent,
+    getPrimaryContent,
+    localizeBusiness,
+    getAllContentValues,
+};
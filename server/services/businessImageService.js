@@ -0,0 +1,73 @@
+// server/services/businessImageService.js
+const {
+    processResponsiveImage,
+    getResponsiveImageData,
+    getLargestVariant,
+    deleteResponsiveImage,
+} = require('./imageProcessingService');
+
+/**
+ * Business Image Service
+ *
+ * Listing profile images. Admin uploads, published submissions and
+ * scripts/backfillBusinessImages.js all run them through the responsive
+ * pipeline; the variant manifest lives in Business.profileImageManifest.
+ * profileImage/profileImageAvif keep the largest WebP/AVIF for places that
+ * show a single file (admin panel, emails, user dashboard).
+ */
+
+/**
+ * Process a profile image
+ *
+ * @param {Buffer} imageBuffer
+ * @param {ObjectId|string} businessId
+ * @returns {Promise<Object>} - Business fields to set:
+ *   { profileImage, profileImageAvif, profileImageManifest }
+ */
+const processProfileImage = async (imageBuffer, businessId) => {
+    const manifest = await processResponsiveImage(imageBuffer, {
+        preset: 'profile',
+        ownerId: businessId,
+    });
+
+    return {
+        profileImage: getLargestVariant(manifest, 'webp').path,
+        profileImageAvif: getLargestVariant(manifest, 'avif')?.path || '',
+        profileImageManifest: manifest,
+    };
+};
+
+/**
+ * Delete the files of a profile image
+ * Accepts a Business or the fields returned by processProfileImage.
+ */
+const deleteProfileImage = async (images) => {
+    if (!images) return;
+    await deleteResponsiveImage(images.profileImageManifest, [
+        images.profileImage,
+        images.profileImageAvif,
+    ]);
+};
+
+/**
+ * srcset-ready profile image of a listing, null until the image is
+ * reprocessed (see getResponsiveImageData)
+ */
+const getProfileImageSet = (business) =>
+    getResponsiveImageData(business.profileImageManifest);
+
+/**
+ * Public API shape of a lean listing: the stored manifest is replaced by
+ * `profileImageSet`
+ */
+const withProfileImageSet = (business) => {
+    const { profileImageManifest: _manifest, ...rest } = business;
+    return { ...rest, profileImageSet: getProfileImageSet(business) };
+};
+
+module.exports = {
+    processProfileImage,
+    deleteProfileImage,
+    getProfileImageSet,
+    withProfileImageSet,
+};
@@ -0,0 +1,322 @@
+// server/services/emailOutboxService.js
+const EmailMessage = require("../models/EmailMessage");
+const { deliverEmail } = require("./emailTransport");
+const { EMAIL_OUTBOX } = require("../config/email");
+
+/**
+ * Email Outbox Service
+ *
+ * Sends the messages queued in the EmailMessage collection. Requests only
+ * enqueue (fast, and nothing is lost when the mail server is down); this
+ * worker delivers them in the background:
+ * - enqueue() stores the message and starts a run right away
+ * - server.js also runs the worker every EMAIL_OUTBOX_POLL_MS for retries
+ * - failed attempts are retried with exponential backoff until
+ *   maxAttempts, then the message is "failed" until an admin resends it
+ * - every attempt is written to the message's attemptLog
+ *
+ * Messages are claimed atomically (queued -> sending), so several server
+ * instances can run the worker side by side.
+ */
+
+// Wait before retry n: retryBaseMs * 2^(n-1), capped at retryMaxMs
+const getRetryDelay = (attempts) =>
+    Math.min(
+        EMAIL_OUTBOX.retryBaseMs * Math.pow(2, Math.max(attempts - 1, 0)),
+        EMAIL_OUTBOX.retryMaxMs
+    );
+
+class EmailOutboxService {
+    constructor() {
+        this.isRunning = false;
+        this.rerunRequested = false;
+        this.lastRunAt = null;
+        this.runCount = 0;
+        this.deliveryStats = {
+            totalSent: 0,
+            totalFailedAttempts: 0,
+            totalGivenUp: 0,
+        };
+    }
+
+    /**
+     * Queue a message for delivery
+     *
+     * @param {Object} mailOptions - { from, to, subject, html, text }
+     * @param {Object} options - { category, sensitive }
+     * @returns {Object} - The queued EmailMessage
+     */
+    async enqueue(mailOptions, { category, sensitive = false }) {
+        const message = await EmailMessage.create({
+            to: mailOptions.to,
+            from: mailOptions.from,
+            subject: mailOptions.subject,
+            html: mailOptions.html,
+            text: mailOptions.text,
+            category,
+            sensitive,
+            maxAttempts: EMAIL_OUTBOX.maxAttempts,
+        });
+
+        console.log(`📬 Email queued for ${message.to} (${category}, ${message._id})`);
+
+        this.kick();
+        return message;
+    }
+
+    /**
+     * Start a worker run without waiting for it - the poll interval picks up
+     * anything this run doesn't get to
+     */
+    kick() {
+        setImmediate(() => {
+            this.processQueue().catch((error) => {
+                console.error("❌ Email outbox run failed:", error);
+            });
+        });
+    }
+
+    /**
+     * Deliver due messages, up to batchSize per run
+     *
+     * @returns {Object} - Statistics about the run
+     */
+    async processQueue() {
+        if (this.isRunning) {
+            // Messages queued during a run are sent right after it
+            this.rerunRequested = true;
+            return {
+                skipped: true,
+                reason: "Outbox run already in progress"
+            };
+        }
+
+        this.isRunning = true;
+        this.rerunRequested = false;
+        this.runCount++;
+
+        const runStats = { released: 0, processed: 0, sent: 0, failed: 0 };
+
+        try {
+            runStats.released = await this._releaseStale();
+
+            while (runStats.processed < EMAIL_OUTBOX.batchSize) {
+                const message = await this._claimNext();
+                if (!message) break;
+
+                runStats.processed++;
+                const sent = await this._deliver(message);
+                if (sent) {
+                    runStats.sent++;
+                } else {
+                    runStats.failed++;
+                }
+            }
+
+            if (runStats.processed > 0) {
+                console.log(`📤 Email outbox: ${runStats.sent}/${runStats.processed} messages sent`);
+            }
+        } finally {
+            this.isRunning = false;
+            this.lastRunAt = new Date();
+        }
+
+        if (this.rerunRequested) {
+            this.kick();
+        }
+
+        return runStats;
+    }
+
+    /**
+     * Queue a failed message again, with a fresh set of attempts
+     *
+     * @param {string} id - EmailMessage id
+     * @returns {Object|null} - The queued message, null unless it had failed
+     */
+    async resend(id) {
+        const message = await EmailMessage.findOneAndUpdate(
+            { _id: id, status: "failed" },
+            {
+                $set: {
+                    status: "queued",
+                    attempts: 0,
+                    nextAttemptAt: new Date(),
+                    lockedAt: null,
+                },
+                $inc: { resendCount: 1 },
+            },
+            { new: true }
+        );
+
+        if (message) {
+            console.log(`🔁 Email ${message._id} to ${message.to} queued again`);
+            this.kick();
+        }
+
+        return message;
+    }
+
+    /**
+     * Message counts per status, for the admin outbox view
+     *
+     * @returns {Object} - { queued, sending, sent, failed }
+     */
+    async getQueueStats() {
+        const counts = await EmailMessage.aggregate([
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]);
+
+        const stats = { queued: 0, sending: 0, sent: 0, failed: 0 };
+        counts.forEach(({ _id, count }) => {
+            stats[_id] = count;
+        });
+        return stats;
+    }
+
+    /**
+     * Get outbox worker status
+     *
+     * @returns {Object} - Current status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            lastRunAt: this.lastRunAt,
+            runCount: this.runCount,
+            pollIntervalMs: EMAIL_OUTBOX.pollIntervalMs,
+            ...this.deliveryStats,
+        };
+    }
+
+    /**
+     * Queue messages again whose worker stopped mid-send (server restart)
+     *
+     * @returns {number} - Number of messages released
+     */
+    async _releaseStale() {
+        const result = await EmailMessage.updateMany(
+            {
+                status: "sending",
+                lockedAt: {
+                    $lt: new Date(Date.now() - EMAIL_OUTBOX.sendingTimeoutMs),
+                },
+            },
+            { $set: { status: "queued", lockedAt: null, nextAttemptAt: new Date() } }
+        );
+
+        if (result.modifiedCount > 0) {
+            console.warn(`⚠️ Email outbox: released ${result.modifiedCount} stale messages`);
+        }
+        return result.modifiedCount;
+    }
+
+    /**
+     * Claim the oldest due message for this worker
+     *
+     * @returns {Object|null} - The claimed message (attempts already counted)
+     */
+    async _claimNext() {
+        const now = new Date();
+
+        return EmailMessage.findOneAndUpdate(
+            { status: "queued", nextAttemptAt: { $lte: now } },
+            {
+                $set: { status: "sending", lockedAt: now },
+                $inc: { attempts: 1 },
+            },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+    }
+
+    /**
+     * Make one delivery attempt and record its outcome
+     *
+     * @param {Object} message - Claimed EmailMessage
+     * @returns {boolean} - Whether the message was sent
+     */
+    async _deliver(message) {
+        const startedAt = Date.now();
+
+        try {
+            const info = await deliverEmail({
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                text: message.text,
+            });
+
+            const update = {
+                status: "sent",
+                sentAt: new Date(),
+                messageId: info.messageId || "",
+                lockedAt: null,
+                lastError: "",
+            };
+            // Links and codes in sensitive messages aren't kept once delivered
+            if (message.sensitive) {
+                update.html = "";
+                update.text = "";
+            }
+
+            await EmailMessage.updateOne(
+                { _id: message._id },
+                {
+                    $set: update,
+                    $push: {
+                        attemptLog: {
+                            outcome: "sent",
+                            messageId: info.messageId || "",
+                            durationMs: Date.now() - startedAt,
+                        },
+                    },
+                }
+            );
+
+            this.deliveryStats.totalSent++;
+            console.log(`✅ Email sent to ${message.to} (${message.category}):`, info.messageId);
+            return true;
+        } catch (error) {
+            const givingUp = message.attempts >= message.maxAttempts;
+            const retryDelay = getRetryDelay(message.attempts);
+
+            await EmailMessage.updateOne(
+                { _id: message._id },
+                {
+                    $set: {
+                        status: givingUp ? "failed" : "queued",
+                        nextAttemptAt: new Date(Date.now() + retryDelay),
+                        lockedAt: null,
+                        lastError: error.message,
+                    },
+                    $push: {
+                        attemptLog: {
+                            outcome: "failed",
+                            error: error.message,
+                            durationMs: Date.now() - startedAt,
+                        },
+                    },
+                }
+            );
+
+            this.deliveryStats.totalFailedAttempts++;
+            if (givingUp) {
+                this.deliveryStats.totalGivenUp++;
+                console.error(
+                    `❌ Email to ${message.to} failed after ${message.attempts} attempts: ${error.message}`
+                );
+            } else {
+                console.warn(
+                    `⚠️ Email attempt ${message.attempts}/${message.maxAttempts} to ${message.to} failed, retrying in ${Math.round(retryDelay / 1000)}s: ${error.message}`
+                );
+            }
+            return false;
+        }
+    }
+}
+
+// Create singleton instance
+const emailOutboxService = new EmailOutboxService();
+
+module.exports = emailOutboxService;
@@ -1,9 +1,13 @@
 // server/services/emailService.js
-const nodemailer = require("nodemailer");
 const crypto = require("crypto");
-
-// Load environment variables
-require("dotenv").config();
+const { createRateLimiter } = require("../middleware/rateLimit");
+const { DEFAULT_LANGUAGE } = require("../config/languages");
+const { getEmailTranslations } = require("../config/emailTranslations");
+const { getCityDisplayName } = require("../config/cities");
+const { EMAIL_CONFIG } = require("../config/email");
+const Category = require("../models/Category");
+const { getSubmissionImageUrl } = require("./imageProcessingService");
+const emailOutboxService = require("./emailOutboxService");
 
 /**
  * Email Service for TELO Directory
@@ -13,82 +17,30 @@ require("dotenv").config();
  * - Email change verification for existing users
  * - Password reset emails (future enhancement)
  * - Business submission notifications (admin + user confirmations)
+ * - Outcome emails for reporters and submitters (approved/rejected,
+ *   resolved/dismissed) linking to the public status page
  *
  * Features:
- * - Retry logic with exponential backoff
+ * - Delivery through the email outbox (queued, retried with backoff)
  * - Rate limiting helpers
  * - HTML email templates with personalization
  * - Secure token generation
- * - Environment-based configuration
+ * - Environment-based configuration (config/email.js)
  */
 
-// Email configuration from environment variables
-const EMAIL_CONFIG = {
-    service: process.env.EMAIL_SERVICE || "gmail",
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-    fromName: process.env.EMAIL_FROM_NAME || "TELO Directory",
-    fromAddress: process.env.EMAIL_FROM_ADDRESS,
-    baseUrl: process.env.EMAIL_BASE_URL || "http://localhost:3001",
-    verificationExpiry: process.env.EMAIL_VERIFICATION_EXPIRY || "24h",
-    tokenLength: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_LENGTH) || 32,
-};
-
-// Rate limiting storage (in production, use Redis)
-const emailRateLimit = new Map();
+// Email-based rate limit: 1 email per minute to the same address
+const emailAddressLimiter = createRateLimiter({
+    name: "email_address",
+    windowMs: 60 * 1000,
+    max: 1,
+});
 
-// IP-based rate limiting for additional security (in production, use Redis)
-const ipRateLimit = new Map();
-
-/**
- * Create and configure nodemailer transporter
- * Supports Gmail and SMTP configurations
- */
-const createTransporter = () => {
-    console.log("📧 Creating email transporter with config:", {
-        service: EMAIL_CONFIG.service,
-        user: EMAIL_CONFIG.user
-            ? `${EMAIL_CONFIG.user.substring(0, 3)}***@${
-                  EMAIL_CONFIG.user.split("@")[1]
-              }`
-            : "undefined",
-        fromAddress: EMAIL_CONFIG.fromAddress,
-    });
-
-    const config = {
-        service: EMAIL_CONFIG.service,
-        auth: {
-            user: EMAIL_CONFIG.user,
-            pass: EMAIL_CONFIG.pass,
-        },
-        // Security options for Gmail
-        secure: EMAIL_CONFIG.service === "gmail",
-        tls: {
-            rejectUnauthorized: false, // For development only
-        },
-    };
-
-    // For non-Gmail services, use SMTP configuration
-    if (EMAIL_CONFIG.service !== "gmail") {
-        delete config.service;
-        config.host = process.env.SMTP_HOST;
-        config.port = parseInt(process.env.SMTP_PORT) || 587;
-        config.secure = false; // Use STARTTLS for port 587
-    }
-
-    const transporter = nodemailer.createTransport(config);
-
-    // Verify transporter configuration
-    transporter.verify((error, success) => {
-        if (error) {
-            console.error("❌ Email transporter verification failed:", error);
-        } else {
-            console.log("✅ Email transporter verified and ready");
-        }
-    });
-
-    return transporter;
-};
+// IP-based rate limit: 10 emails per hour from same IP (prevents bulk abuse)
+const emailIpLimiter = createRateLimiter({
+    name: "email_ip",
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+});
 
 /**
  * Generate secure random token for email verification
@@ -122,14 +74,20 @@ const getTokenExpiration = () => {
  * HTML Email Template for Email Verification
  * Professional, mobile-responsive design
  */
-const createVerificationEmailTemplate = (userName, verificationUrl) => {
+const createVerificationEmailTemplate = (
+    userName,
+    verificationUrl,
+    language = DEFAULT_LANGUAGE
+) => {
+    const { verification: t, common } = getEmailTranslations(language);
+
     return `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${language}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Verify Your Email - TELO Directory</title>
+        <title>${t.title}</title>
         <style>
             * { margin: 0; padding: 0; box-sizing: border-box; }
             body { 
@@ -211,49 +169,46 @@ const createVerificationEmailTemplate = (userName, verificationUrl) => {
         <div class="container">
             <div class="header">
                 <h1>🎯 TELO Directory</h1>
-                <p>Welcome to Georgia's Business Network</p>
+                <p>${t.tagline}</p>
             </div>
             
             <div class="content">
-                <div class="greeting">Hello ${userName}! 👋</div>
+                <div class="greeting">${t.greeting(userName)}</div>
                 
                 <div class="message">
-                    <p>Thank you for registering with TELO Directory! We're excited to have you join Georgia's premier business networking platform.</p>
+                    <p>${t.intro}</p>
                     
-                    <p>To complete your registration and access your account, please verify your email address by clicking the button below:</p>
+                    <p>${t.instruction}</p>
                 </div>
                 
                 <div style="text-align: center;">
                     <a href="${verificationUrl}" class="verify-button">
-                        ✅ Verify My Email Address
+                        ${t.button}
                     </a>
                 </div>
                 
                 <div class="security-note">
-                    <strong>🔒 Security Note:</strong> This verification link will expire in 24 hours for your security. If you didn't create an account with TELO Directory, please ignore this email.
+                    <strong>${common.securityLabel}</strong> ${t.securityNote}
                 </div>
                 
                 <div class="message">
-                    <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+                    <p>${common.copyLink}</p>
                     <p style="word-break: break-all; color: #667eea; font-size: 14px;">${verificationUrl}</p>
                 </div>
                 
                 <div class="message">
-                    <p>After verification, you'll be able to:</p>
+                    <p>${t.benefitsTitle}</p>
                     <ul style="margin: 10px 0 0 20px; color: #4a5568;">
-                        <li>Access your personalized dashboard</li>
-                        <li>Save and manage your favorite businesses</li>
-                        <li>Connect with other business professionals</li>
-                        <li>List your own business (coming soon)</li>
+                        ${t.benefits.map((item) => `<li>${item}</li>`).join("")}
                     </ul>
                 </div>
             </div>
             
             <div class="footer">
-                <p><strong>TELO Directory Team</strong></p>
-                <p>Connecting businesses across Georgia 🇬🇪</p>
+                <p><strong>${common.team}</strong></p>
+                <p>${common.footerTagline}</p>
                 <p style="margin-top: 15px; font-size: 12px;">
-                    If you have any questions, reply to this email or contact our support team.
+                    ${common.footerNote}
                 </p>
             </div>
         </div>
@@ -265,46 +220,32 @@ const createVerificationEmailTemplate = (userName, verificationUrl) => {
 /**
  * Check rate limiting for email sending
  * Prevents spam and abuse with both email and IP-based limits
+ * (counters are shared across server processes, see middleware/rateLimit.js)
  */
-const checkRateLimit = (email, ipAddress = null) => {
-    const now = Date.now();
-    const rateLimitKey = `email_${email}`;
-    const lastSent = emailRateLimit.get(rateLimitKey);
-
-    // Email-based rate limit: 1 minute between emails to same address
-    if (lastSent && now - lastSent < 60000) {
-        const remainingTime = Math.ceil((60000 - (now - lastSent)) / 1000);
-        return {
-            allowed: false,
-            remainingSeconds: remainingTime,
-            reason: "email_rate_limit",
-        };
-    }
-
-    // IP-based rate limit: 10 emails per hour from same IP (prevents bulk abuse)
-    if (ipAddress) {
-        const ipKey = `ip_${ipAddress}`;
-        const ipRequests = ipRateLimit.get(ipKey) || [];
-
-        // Clean up requests older than 1 hour
-        const hourAgo = now - 3600000;
-        const recentRequests = ipRequests.filter(
-            (timestamp) => timestamp > hourAgo
-        );
-
-        if (recentRequests.length >= 10) {
+const checkRateLimit = async (email, ipAddress = null) => {
+    try {
+        const addressCheck = await emailAddressLimiter.peek(email);
+        if (!addressCheck.allowed) {
             return {
                 allowed: false,
-                remainingSeconds: Math.ceil(
-                    (recentRequests[0] + 3600000 - now) / 1000
-                ),
-                reason: "ip_rate_limit",
+                remainingSeconds: addressCheck.resetSeconds,
+                reason: "email_rate_limit",
             };
         }
 
-        // Update IP request log
-        recentRequests.push(now);
-        ipRateLimit.set(ipKey, recentRequests);
+        if (ipAddress) {
+            const ipCheck = await emailIpLimiter.consume(ipAddress);
+            if (!ipCheck.allowed) {
+                return {
+                    allowed: false,
+                    remainingSeconds: ipCheck.resetSeconds,
+                    reason: "ip_rate_limit",
+                };
+            }
+        }
+    } catch (error) {
+        // Don't block emails if the rate limit store is unavailable
+        console.error("Email rate limit check failed:", error.message);
     }
 
     return { allowed: true };
@@ -313,56 +254,30 @@ const checkRateLimit = (email, ipAddress = null) => {
 /**
  * Update rate limit record
  */
-const updateRateLimit = (email) => {
-    const rateLimitKey = `email_${email}`;
-    emailRateLimit.set(rateLimitKey, Date.now());
+const updateRateLimit = async (email) => {
+    try {
+        await emailAddressLimiter.consume(email);
+    } catch (error) {
+        console.error("Email rate limit update failed:", error.message);
+    }
 };
 
 /**
- * Send email with retry logic
- * Implements exponential backoff for failed attempts
+ * Queue an email in the outbox
+ * The outbox worker sends it in the background and retries failed attempts,
+ * so this only fails when the message can't be stored
  */
-const sendEmailWithRetry = async (mailOptions, maxRetries = 3) => {
-    const transporter = createTransporter();
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            console.log(
-                `Email send attempt ${attempt}/${maxRetries} to ${mailOptions.to}`
-            );
-
-            const result = await transporter.sendMail(mailOptions);
-
-            console.log(
-                `✅ Email sent successfully to ${mailOptions.to}:`,
-                result.messageId
-            );
-            return {
-                success: true,
-                messageId: result.messageId,
-                attempt,
-            };
-        } catch (error) {
-            console.error(
-                `❌ Email send attempt ${attempt} failed:`,
-                error.message
-            );
-
-            // If this is the last attempt, throw the error
-            if (attempt === maxRetries) {
-                throw {
-                    success: false,
-                    error: error.message,
-                    attempts: maxRetries,
-                };
-            }
+const queueEmail = async (mailOptions, { category, sensitive = false }) => {
+    const message = await emailOutboxService.enqueue(mailOptions, {
+        category,
+        sensitive,
+    });
 
-            // Exponential backoff: wait longer between retries
-            const waitTime = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
-            console.log(`⏳ Waiting ${waitTime}ms before retry...`);
-            await new Promise((resolve) => setTimeout(resolve, waitTime));
-        }
-    }
+    return {
+        success: true,
+        queued: true,
+        messageId: message._id.toString(),
+    };
 };
 
 /**
@@ -373,10 +288,11 @@ const sendVerificationEmail = async (
     userEmail,
     userName,
     verificationToken,
-    ipAddress = null
+    ipAddress = null,
+    language = DEFAULT_LANGUAGE
 ) => {
     // Check rate limiting (both email and IP-based)
-    const rateCheck = checkRateLimit(userEmail, ipAddress);
+    const rateCheck = await checkRateLimit(userEmail, ipAddress);
     if (!rateCheck.allowed) {
         const errorMessage =
             rateCheck.reason === "ip_rate_limit"
@@ -395,39 +311,47 @@ const sendVerificationEmail = async (
     // Create verification URL - pointing to the frontend route that will handle API call
     const verificationUrl = `${EMAIL_CONFIG.baseUrl}/verify-email/confirm/${verificationToken}`;
 
-    // Create email content
+    // Create email content in the recipient's language
+    const { verification: t, common } = getEmailTranslations(language);
     const mailOptions = {
         from: `"${EMAIL_CONFIG.fromName}" <${EMAIL_CONFIG.fromAddress}>`,
         to: userEmail,
-        subject: `🎯 Verify your TELO Directory account - Welcome ${userName}!`,
-        html: createVerificationEmailTemplate(userName, verificationUrl),
+        subject: t.subject(userName),
+        html: createVerificationEmailTemplate(
+            userName,
+            verificationUrl,
+            language
+        ),
         // Fallback text version
         text: `
-            Hello ${userName}!
+            ${t.greeting(userName)}
             
-            Welcome to TELO Directory! Please verify your email address by visiting:
+            ${t.textIntro}
             ${verificationUrl}
             
-            This link will expire in 24 hours.
+            ${t.textExpiry}
             
-            If you didn't create this account, please ignore this email.
+            ${t.textIgnore}
             
-            Best regards,
-            TELO Directory Team
+            ${common.regards}
+            ${common.team}
         `,
     };
 
     try {
-        const result = await sendEmailWithRetry(mailOptions);
+        const result = await queueEmail(mailOptions, {
+            category: "verification",
+            sensitive: true,
+        });
 
-        // Update rate limit on successful send
-        updateRateLimit(userEmail);
+        // Update rate limit once the email is queued
+        await updateRateLimit(userEmail);
 
         return result;
     } catch (error) {
         // Log error for debugging
         console.error(
-            "Failed to send verification email after all retries:",
+            "Failed to queue verification email:",
             error
         );
         throw error;
@@ -442,10 +366,11 @@ const sendEmailChangeVerification = async (
     newEmail,
     userName,
     verificationToken,
-    ipAddress = null
+    ipAddress = null,
+    language = DEFAULT_LANGUAGE
 ) => {
     // Similar to main verification but different template
-    const rateCheck = checkRateLimit(newEmail, ipAddress);
+    const rateCheck = await checkRateLimit(newEmail, ipAddress);
     if (!rateCheck.allowed) {
         const errorMessage =
             rateCheck.reason === "ip_rate_limit"
@@ -463,32 +388,36 @@ const sendEmailChangeVerification = async (
 
     const verificationUrl = `${EMAIL_CONFIG.baseUrl}/verify-email/confirm/${verificationToken}`;
 
+    const { emailChange: t } = getEmailTranslations(language);
     const mailOptions = {
         from: `"${EMAIL_CONFIG.fromName}" <${EMAIL_CONFIG.fromAddress}>`,
         to: newEmail,
-        subject: `🔄 Verify your new email address - TELO Directory`,
+        subject: t.subject,
         html: `
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <h2>Email Change Verification</h2>
-                <p>Hello ${userName},</p>
-                <p>You requested to change your email address for your TELO Directory account.</p>
-                <p>Please click the button below to verify your new email address:</p>
+                <h2>${t.heading}</h2>
+                <p>${t.greeting(userName)}</p>
+                <p>${t.intro}</p>
+                <p>${t.instruction}</p>
                 <a href="${verificationUrl}" style="background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
-                    Verify New Email
+                    ${t.button}
                 </a>
-                <p>This link will expire in 24 hours.</p>
-                <p>If you didn't request this change, please ignore this email.</p>
+                <p>${t.expiry}</p>
+                <p>${t.ignore}</p>
             </div>
         `,
-        text: `Hello ${userName}, please verify your new email: ${verificationUrl}`,
+        text: `${t.textIntro(userName)} ${verificationUrl}`,
     };
 
     try {
-        const result = await sendEmailWithRetry(mailOptions);
-        updateRateLimit(newEmail);
+        const result = await queueEmail(mailOptions, {
+            category: "email_change",
+            sensitive: true,
+        });
+        await updateRateLimit(newEmail);
         return result;
     } catch (error) {
-        console.error("Failed to send email change verification:", error);
+        console.error("Failed to queue email change verification:", error);
         throw error;
     }
 };
@@ -497,32 +426,42 @@ const sendEmailChangeVerification = async (
  * Send 6-digit verification code for email change (simplified approach)
  * Sends code to current email for security
  */
-const sendEmailChangeCode = async (currentEmail, userName, code, newEmail) => {
+const sendEmailChangeCode = async (
+    currentEmail,
+    userName,
+    code,
+    newEmail,
+    language = DEFAULT_LANGUAGE
+) => {
+    const { emailChange: t } = getEmailTranslations(language);
     const mailOptions = {
         from: `"${EMAIL_CONFIG.fromName}" <${EMAIL_CONFIG.fromAddress}>`,
         to: currentEmail,
-        subject: `🔑 Email Change Verification Code - TELO Directory`,
+        subject: t.codeSubject,
         html: `
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: #f8f9fa; border-radius: 8px;">
-                <h2 style="color: #333; text-align: center;">Email Change Request</h2>
-                <p>Hello ${userName},</p>
-                <p>You requested to change your email address to:</p>
+                <h2 style="color: #333; text-align: center;">${t.codeHeading}</h2>
+                <p>${t.greeting(userName)}</p>
+                <p>${t.codeIntro}</p>
                 <p style="background: #e9ecef; padding: 10px; border-radius: 4px; font-family: monospace;">${newEmail}</p>
-                <p>Please enter this verification code to complete the change:</p>
+                <p>${t.codeInstruction}</p>
                 <div style="text-align: center; margin: 30px 0;">
                     <span style="background: #007bff; color: white; padding: 15px 30px; font-size: 24px; font-weight: bold; border-radius: 6px; font-family: monospace; letter-spacing: 2px;">${code}</span>
                 </div>
-                <p style="color: #666; font-size: 14px;">This code expires in 10 minutes for security.</p>
-                <p style="color: #666; font-size: 14px;">If you didn't request this change, please ignore this email.</p>
+                <p style="color: #666; font-size: 14px;">${t.codeExpiry}</p>
+                <p style="color: #666; font-size: 14px;">${t.ignore}</p>
             </div>
         `,
-        text: `Email change verification code: ${code}. New email: ${newEmail}. Code expires in 10 minutes.`,
+        text: t.codeText(code, newEmail),
     };
 
     try {
-        return await sendEmailWithRetry(mailOptions);
+        return await queueEmail(mailOptions, {
+            category: "email_change_code",
+            sensitive: true,
+        });
     } catch (error) {
-        console.error("Failed to send email change code:", error);
+        console.error("Failed to queue email change code:", error);
         throw error;
     }
 };
@@ -531,14 +470,20 @@ const sendEmailChangeCode = async (currentEmail, userName, code, newEmail) => {
  * HTML Email Template for Password Reset
  * Professional, mobile-responsive design matching verification template
  */
-const createPasswordResetEmailTemplate = (userName, resetUrl) => {
+const createPasswordResetEmailTemplate = (
+    userName,
+    resetUrl,
+    language = DEFAULT_LANGUAGE
+) => {
+    const { passwordReset: t, common } = getEmailTranslations(language);
+
     return `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${language}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Reset Your Password - TELO Directory</title>
+        <title>${t.title}</title>
         <style>
             * { margin: 0; padding: 0; box-sizing: border-box; }
             body { 
@@ -627,54 +572,51 @@ const createPasswordResetEmailTemplate = (userName, resetUrl) => {
     <body>
         <div class="container">
             <div class="header">
-                <h1>🔐 Password Reset</h1>
-                <p>TELO Directory Security</p>
+                <h1>${t.heading}</h1>
+                <p>${t.tagline}</p>
             </div>
             
             <div class="content">
-                <div class="greeting">Hello ${userName}! 👋</div>
+                <div class="greeting">${t.greeting(userName)}</div>
                 
                 <div class="message">
-                    <p>We received a request to reset your password for your TELO Directory account.</p>
+                    <p>${t.intro}</p>
                     
-                    <p>If you requested this password reset, please click the button below to create a new password:</p>
+                    <p>${t.instruction}</p>
                 </div>
                 
                 <div style="text-align: center;">
                     <a href="${resetUrl}" class="reset-button">
-                        🔄 Reset My Password
+                        ${t.button}
                     </a>
                 </div>
                 
                 <div class="security-note">
-                    <strong>🔒 Security Note:</strong> This password reset link will expire in 30 minutes for your security. If you didn't request a password reset, please ignore this email and your password will remain unchanged.
+                    <strong>${common.securityLabel}</strong> ${t.securityNote}
                 </div>
                 
                 <div class="warning-note">
-                    <strong>⚠️ Important:</strong> If you continue to receive password reset emails that you didn't request, please contact our support team immediately.
+                    <strong>${common.importantLabel}</strong> ${t.warningNote}
                 </div>
                 
                 <div class="message">
-                    <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+                    <p>${common.copyLink}</p>
                     <p style="word-break: break-all; color: #e53e3e; font-size: 14px;">${resetUrl}</p>
                 </div>
                 
                 <div class="message">
-                    <p>For your security, please:</p>
+                    <p>${t.tipsTitle}</p>
                     <ul style="margin: 10px 0 0 20px; color: #4a5568;">
-                        <li>Choose a strong, unique password</li>
-                        <li>Don't share this reset link with anyone</li>
-                        <li>Complete the reset within 30 minutes</li>
-                        <li>Log out of other devices if you suspect unauthorized access</li>
+                        ${t.tips.map((item) => `<li>${item}</li>`).join("")}
                     </ul>
                 </div>
             </div>
             
             <div class="footer">
-                <p><strong>TELO Directory Security Team</strong></p>
-                <p>Protecting businesses across Georgia 🇬🇪</p>
+                <p><strong>${t.team}</strong></p>
+                <p>${t.footerTagline}</p>
                 <p style="margin-top: 15px; font-size: 12px;">
-                    If you have any questions or concerns, please contact our support team immediately.
+                    ${t.footerNote}
                 </p>
             </div>
         </div>
@@ -691,10 +633,11 @@ const sendPasswordResetEmail = async (
     userEmail,
     userName,
     resetToken,
-    ipAddress = null
+    ipAddress = null,
+    language = DEFAULT_LANGUAGE
 ) => {
     // Check rate limiting (stricter for password resets)
-    const rateCheck = checkRateLimit(userEmail, ipAddress);
+    const rateCheck = await checkRateLimit(userEmail, ipAddress);
     if (!rateCheck.allowed) {
         const errorMessage =
             rateCheck.reason === "ip_rate_limit"
@@ -713,42 +656,46 @@ const sendPasswordResetEmail = async (
     // Create password reset URL - pointing to frontend reset page
     const resetUrl = `${EMAIL_CONFIG.baseUrl}/reset-password/${resetToken}`;
 
-    // Create email content
+    // Create email content in the recipient's language
+    const { passwordReset: t, common } = getEmailTranslations(language);
     const mailOptions = {
         from: `"${EMAIL_CONFIG.fromName} Security" <${EMAIL_CONFIG.fromAddress}>`,
         to: userEmail,
-        subject: `🔐 Password Reset Request - TELO Directory`,
-        html: createPasswordResetEmailTemplate(userName, resetUrl),
+        subject: t.subject,
+        html: createPasswordResetEmailTemplate(userName, resetUrl, language),
         // Fallback text version
         text: `
-            Hello ${userName}!
+            ${t.greeting(userName)}
             
-            We received a request to reset your password for your TELO Directory account.
+            ${t.textIntro}
             
-            To reset your password, visit: ${resetUrl}
+            ${t.textAction} ${resetUrl}
             
-            This link will expire in 30 minutes for security.
+            ${t.textExpiry}
             
-            If you didn't request this reset, please ignore this email.
+            ${t.textIgnore}
             
-            For security questions, contact our support team.
+            ${t.textSupport}
             
-            Best regards,
-            TELO Directory Security Team
+            ${common.regards}
+            ${t.team}
         `,
     };
 
     try {
-        const result = await sendEmailWithRetry(mailOptions);
+        const result = await queueEmail(mailOptions, {
+            category: "password_reset",
+            sensitive: true,
+        });
 
-        // Update rate limit on successful send
-        updateRateLimit(userEmail);
+        // Update rate limit once the email is queued
+        await updateRateLimit(userEmail);
 
         return result;
     } catch (error) {
         // Log error for debugging
         console.error(
-            "Failed to send password reset email after all retries:",
+            "Failed to queue password reset email:",
             error
         );
         throw error;
@@ -763,6 +710,28 @@ const isValidEmail = (email) => {
     return emailRegex.test(email);
 };
 
+/**
+ * Escape text typed by visitors or admins before putting it into HTML
+ */
+const escapeHtml = (text = '') =>
+    String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+// Plain text version of translated copy that contains markup
+const stripTags = (html) => html.replace(/<[^>]+>/g, '');
+
+/**
+ * Public status page of a report or submission (client /status/:type/:id)
+ * @param {'report'|'submission'} type
+ * @param {string} id - Report status token or submission ID
+ */
+const getStatusPageUrl = (type, id) =>
+    `${EMAIL_CONFIG.baseUrl}/status/${type}/${encodeURIComponent(id)}`;
+
 /**
  * HTML Email Template for Business Submission (Admin Notification)
  */
@@ -894,7 +863,7 @@ const createBusinessSubmissionEmailTemplate = (submission) => {
                         ${submission.profileImageWebp ? `
                             <div style="margin-bottom: 8px;">
                                 <strong>WebP:</strong>
-                                <a href="${EMAIL_CONFIG.baseUrl}/uploads/${submission.profileImageWebp}"
+                                <a href="${getSubmissionImageUrl(submission.profileImageWebp, EMAIL_CONFIG.baseUrl)}"
                                    target="_blank"
                                    style="color: #007bff; text-decoration: none;">
                                     📸 View WebP Image
@@ -904,7 +873,7 @@ const createBusinessSubmissionEmailTemplate = (submission) => {
                         ${submission.profileImageAvif ? `
                             <div style="margin-bottom: 8px;">
                                 <strong>AVIF:</strong>
-                                <a href="${EMAIL_CONFIG.baseUrl}/uploads/${submission.profileImageAvif}"
+                                <a href="${getSubmissionImageUrl(submission.profileImageAvif, EMAIL_CONFIG.baseUrl)}"
                                    target="_blank"
                                    style="color: #007bff; text-decoration: none;">
                                     📸 View AVIF Image
@@ -941,15 +910,27 @@ YouTube: ${submission.socialLinks.youtube}` : ''}</div>
 
 /**
  * HTML Email Template for Business Submission Confirmation (User)
+ * `categoryNames` are the submission's categories already localized
+ * (see sendSubmissionConfirmation)
  */
-const createSubmissionConfirmationTemplate = (submission) => {
+const createSubmissionConfirmationTemplate = (
+    submission,
+    language = DEFAULT_LANGUAGE,
+    categoryNames = submission.categories
+) => {
+    const { submissionConfirmation: t, common } =
+        getEmailTranslations(language);
+    const cityNames = submission.cities.map((city) =>
+        getCityDisplayName(city, language)
+    );
+
     return `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${language}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Submission Received - TELO Directory</title>
+        <title>${t.title}</title>
         <style>
             body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; background: #f8f9fa; margin: 0; padding: 20px; }
             .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); overflow: hidden; }
@@ -971,42 +952,43 @@ const createSubmissionConfirmationTemplate = (submission) => {
     <body>
         <div class="container">
             <div class="header">
-                <h1>✅ Submission Received!</h1>
-                <p>Thank you, ${submission.submitterName}</p>
+                <h1>${t.heading}</h1>
+                <p>${t.thanks(submission.submitterName)}</p>
             </div>
 
             <div class="content">
-                <p>Your business listing submission has been successfully received and is now under review by our team.</p>
+                <p>${t.intro}</p>
 
                 <div class="submission-details">
-                    <h3>📋 Submission Details</h3>
-                    <p><strong>Submission ID:</strong> ${submission.submissionId}</p>
-                    <p><strong>Business Name:</strong> ${submission.businessName}</p>
-                    <p><strong>Categories:</strong> ${submission.categories.join(', ')}</p>
-                    <p><strong>Cities:</strong> ${submission.cities.join(', ')}</p>
-                    <p><strong>Status:</strong> <span style="color: #ffc107; font-weight: bold;">Pending Review</span></p>
+                    <h3>${t.detailsTitle}</h3>
+                    <p><strong>${t.submissionId}:</strong> ${submission.submissionId}</p>
+                    <p><strong>${t.businessName}:</strong> ${submission.businessName}</p>
+                    <p><strong>${t.categories}:</strong> ${categoryNames.join(', ')}</p>
+                    <p><strong>${t.cities}:</strong> ${cityNames.join(', ')}</p>
+                    <p><strong>${t.status}:</strong> <span style="color: #ffc107; font-weight: bold;">${t.pendingReview}</span></p>
                 </div>
 
                 <div class="next-steps">
-                    <h3>🔄 What happens next?</h3>
+                    <h3>${t.nextStepsTitle}</h3>
                     <ol>
-                        <li>Our team will review your submission within <strong>2-3 business days</strong></li>
-                        <li>We may contact you if additional information is needed</li>
-                        <li>Once approved, your business will appear in our directory</li>
-                        <li>You'll receive a confirmation email when your listing goes live</li>
+                        ${t.nextSteps.map((step) => `<li>${step}</li>`).join('')}
                     </ol>
                 </div>
 
-                <p><strong>Important:</strong> Please save this email for your records. Your submission ID is <code>${submission.submissionId}</code>.</p>
+                <p><strong>${t.important}</strong> ${t.saveNote(submission.submissionId)}</p>
 
-                <p>If you have any questions about your submission, please reply to this email and include your submission ID.</p>
+                <p>${t.trackStatus}<br>
+                    <a href="${getStatusPageUrl('submission', submission.submissionId)}">${getStatusPageUrl('submission', submission.submissionId)}</a>
+                </p>
+
+                <p>${t.questions}</p>
             </div>
 
             <div class="footer">
-                <p><strong>TELO Directory Team</strong></p>
-                <p>Connecting businesses across Georgia 🇬🇪</p>
+                <p><strong>${common.team}</strong></p>
+                <p>${common.footerTagline}</p>
                 <p style="margin-top: 15px; font-size: 12px;">
-                    This is an automated confirmation. Please do not reply unless you have questions.
+                    ${t.footerNote}
                 </p>
             </div>
         </div>
@@ -1048,11 +1030,13 @@ Review at: ${EMAIL_CONFIG.baseUrl}/admin/submissions
     };
 
     try {
-        const result = await sendEmailWithRetry(adminMailOptions);
-        console.log(`✅ Admin notification sent successfully for submission: ${submission.submissionId}`);
+        const result = await queueEmail(adminMailOptions, {
+            category: "submission_notification",
+        });
+        console.log(`✅ Admin notification queued for submission: ${submission.submissionId}`);
         return result;
     } catch (error) {
-        console.error(`❌ Failed to send admin notification for submission ${submission.submissionId}:`, error);
+        console.error(`❌ Failed to queue admin notification for submission ${submission.submissionId}:`, error);
         throw error;
     }
 };
@@ -1063,45 +1047,319 @@ Review at: ${EMAIL_CONFIG.baseUrl}/admin/submissions
 const sendSubmissionConfirmation = async (submission) => {
     console.log(`📧 Sending submission confirmation to: ${submission.submitterEmail}`);
 
+    // Written in the language the submission form was filled in
+    const language = submission.submitterLanguage || DEFAULT_LANGUAGE;
+    const { submissionConfirmation: t, common } =
+        getEmailTranslations(language);
+    const categoryNames = await Category.localizeNames(
+        submission.categories,
+        language
+    );
+    const cityNames = submission.cities.map((city) =>
+        getCityDisplayName(city, language)
+    );
     const userMailOptions = {
         from: `"${EMAIL_CONFIG.fromName}" <${EMAIL_CONFIG.fromAddress}>`,
         to: submission.submitterEmail,
-        subject: `✅ Business Submission Received - ${submission.businessName}`,
-        html: createSubmissionConfirmationTemplate(submission),
+        subject: t.subject(submission.businessName),
+        html: createSubmissionConfirmationTemplate(
+            submission,
+            language,
+            categoryNames
+        ),
+        // Text fallback
+        text: `
+${t.greeting(submission.submitterName)}
+
+${t.textReceived}
+
+${stripTags(t.detailsTitle)}:
+- ${t.submissionId}: ${submission.submissionId}
+- ${t.businessName}: ${submission.businessName}
+- ${t.categories}: ${categoryNames.join(', ')}
+- ${t.cities}: ${cityNames.join(', ')}
+- ${t.status}: ${t.pendingReview}
+
+${t.nextStepsTitle}
+${t.nextSteps.map((step, index) => `${index + 1}. ${stripTags(step)}`).join('\n')}
+
+${t.textSave}
+
+${t.trackStatus}
+${getStatusPageUrl('submission', submission.submissionId)}
+
+${t.textQuestions(submission.submissionId)}
+
+${common.regards}
+${common.team}
+        `.trim(),
+    };
+
+    try {
+        const result = await queueEmail(userMailOptions, {
+            category: "submission_confirmation",
+        });
+        console.log(`✅ Confirmation queued for: ${submission.submitterEmail}`);
+        return result;
+    } catch (error) {
+        console.error(`❌ Failed to queue confirmation for ${submission.submitterEmail}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * HTML Email Template for a Report Outcome (Reporter)
+ * `reasonLabels` are the labels of the reported issue types
+ */
+const createReportOutcomeTemplate = (
+    report,
+    { businessName, reasonLabels, statusUrl },
+    language = DEFAULT_LANGUAGE
+) => {
+    const { reportOutcome: t, common } = getEmailTranslations(language);
+    const outcomeColor = report.status === 'resolved' ? '#28a745' : '#6c757d';
+
+    return `
+    <!DOCTYPE html>
+    <html lang="${language}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${t.title}</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; background: #f8f9fa; margin: 0; padding: 20px; }
+            .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); overflow: hidden; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 40px 30px; text-align: center; }
+            .header h1 { font-size: 28px; margin: 0; font-weight: 600; }
+            .content { padding: 40px 30px; }
+            .report-details { background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .outcome-message { background: #f1f3f5; padding: 15px 20px; border-radius: 4px; margin: 20px 0; border-left: 4px solid ${outcomeColor}; }
+            .status-button { display: inline-block; background: #667eea; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: 600; margin: 20px 0; }
+            .footer { background: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; border-top: 1px solid #e2e8f0; }
+            @media (max-width: 600px) {
+                .container { margin: 10px; border-radius: 8px; }
+                .header, .content { padding: 30px 20px; }
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>${t.heading}</h1>
+            </div>
+
+            <div class="content">
+                <p>${t.greeting}</p>
+                <p>${t.intro(escapeHtml(businessName))}</p>
+
+                <div class="report-details">
+                    <p><strong>${t.reportedIssues}:</strong> ${reasonLabels.map(escapeHtml).join(', ')}</p>
+                    <p><strong>${t.outcome}:</strong> <span style="color: ${outcomeColor}; font-weight: bold;">${t.outcomes[report.status]}</span></p>
+                </div>
+
+                ${report.outcomeMessage ? `
+                <div class="outcome-message">
+                    <strong>${t.messageLabels[report.status]}:</strong><br>
+                    ${escapeHtml(report.outcomeMessage)}
+                </div>
+                ` : ''}
+
+                <div style="text-align: center;">
+                    <a href="${statusUrl}" class="status-button">${t.button}</a>
+                </div>
+
+                <p>${common.copyLink}</p>
+                <p style="word-break: break-all; color: #667eea; font-size: 14px;">${statusUrl}</p>
+            </div>
+
+            <div class="footer">
+                <p><strong>${common.team}</strong></p>
+                <p>${common.footerTagline}</p>
+                <p style="margin-top: 15px; font-size: 12px;">
+                    ${t.footerNote}
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+};
+
+/**
+ * HTML Email Template for a Submission Outcome (Submitter)
+ * `listingUrl` is set for approved submissions
+ */
+const createSubmissionOutcomeTemplate = (
+    submission,
+    { listingUrl, statusUrl },
+    language = DEFAULT_LANGUAGE
+) => {
+    const { submissionOutcome: t, common } = getEmailTranslations(language);
+    const approved = submission.status === 'approved';
+    const headerColors = approved
+        ? '#28a745 0%, #20c997 100%'
+        : '#6c757d 0%, #495057 100%';
+
+    return `
+    <!DOCTYPE html>
+    <html lang="${language}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${t.title}</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; background: #f8f9fa; margin: 0; padding: 20px; }
+            .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); overflow: hidden; }
+            .header { background: linear-gradient(135deg, ${headerColors}); color: white; padding: 40px 30px; text-align: center; }
+            .header h1 { font-size: 28px; margin: 0; font-weight: 600; }
+            .content { padding: 40px 30px; }
+            .rejection-reason { background: #fff3cd; padding: 15px 20px; border-radius: 4px; margin: 20px 0; border-left: 4px solid #ffc107; }
+            .status-button { display: inline-block; background: #28a745; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: 600; margin: 20px 0; }
+            .footer { background: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; border-top: 1px solid #e2e8f0; }
+            @media (max-width: 600px) {
+                .container { margin: 10px; border-radius: 8px; }
+                .header, .content { padding: 30px 20px; }
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>${t.headings[submission.status]}</h1>
+            </div>
+
+            <div class="content">
+                <p>${t.greeting(escapeHtml(submission.submitterName))}</p>
+                <p>${t.intros[submission.status](escapeHtml(submission.businessName))}</p>
+                <p><strong>${t.submissionId}:</strong> <code>${submission.submissionId}</code></p>
+
+                ${approved ? '' : `
+                <div class="rejection-reason">
+                    <strong>${t.reasonLabel}:</strong><br>
+                    ${escapeHtml(submission.rejectionReason)}
+                </div>
+                <p>${t.resubmit}</p>
+                `}
+
+                <div style="text-align: center;">
+                    <a href="${listingUrl || statusUrl}" class="status-button">
+                        ${listingUrl ? t.viewListing : t.viewStatus}
+                    </a>
+                </div>
+
+                <p>${common.copyLink}</p>
+                <p style="word-break: break-all; color: #28a745; font-size: 14px;">${listingUrl || statusUrl}</p>
+            </div>
+
+            <div class="footer">
+                <p><strong>${common.team}</strong></p>
+                <p>${common.footerTagline}</p>
+                <p style="margin-top: 15px; font-size: 12px;">
+                    ${t.footerNote}
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+};
+
+/**
+ * Send the outcome of a report to the reporter (resolved or dismissed)
+ * @param {Object} report - BusinessReport with reporterEmail and statusToken
+ * @param {Object} details - { businessName, reasonLabels }
+ */
+const sendReportOutcomeEmail = async (report, { businessName, reasonLabels }) => {
+    console.log(`📧 Sending report outcome (${report.status}) to: ${report.reporterEmail}`);
+
+    const language = report.reporterLanguage || DEFAULT_LANGUAGE;
+    const { reportOutcome: t, common } = getEmailTranslations(language);
+    const statusUrl = getStatusPageUrl('report', report.statusToken);
+
+    const mailOptions = {
+        from: `"${EMAIL_CONFIG.fromName}" <${EMAIL_CONFIG.fromAddress}>`,
+        to: report.reporterEmail,
+        subject: t.subject(businessName),
+        html: createReportOutcomeTemplate(
+            report,
+            { businessName, reasonLabels, statusUrl },
+            language
+        ),
         // Text fallback
         text: `
-Hello ${submission.submitterName},
+${t.greeting}
 
-Your business listing submission has been received!
+${stripTags(t.intro(businessName))}
 
-Submission Details:
-- Submission ID: ${submission.submissionId}
-- Business Name: ${submission.businessName}
-- Categories: ${submission.categories.join(', ')}
-- Cities: ${submission.cities.join(', ')}
-- Status: Pending Review
+- ${t.reportedIssues}: ${reasonLabels.join(', ')}
+- ${t.outcome}: ${t.outcomes[report.status]}
+${report.outcomeMessage ? `\n${t.messageLabels[report.status]}: ${report.outcomeMessage}\n` : ''}
+${t.button}: ${statusUrl}
 
-What happens next:
-1. Our team will review your submission within 2-3 business days
-2. We may contact you if additional information is needed
-3. Once approved, your business will appear in our directory
-4. You'll receive a confirmation email when your listing goes live
+${common.regards}
+${common.team}
+        `.trim(),
+    };
+
+    try {
+        const result = await queueEmail(mailOptions, {
+            category: 'report_outcome',
+        });
+        console.log(`✅ Report outcome queued for: ${report.reporterEmail}`);
+        return result;
+    } catch (error) {
+        console.error(`❌ Failed to queue report outcome for ${report.reporterEmail}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Send the review decision to the submitter (approved or rejected)
+ * @param {Object} submission - BusinessSubmission after the status change
+ * @param {Object|null} business - Published listing of an approved submission
+ */
+const sendSubmissionOutcomeEmail = async (submission, business = null) => {
+    console.log(`📧 Sending submission outcome (${submission.status}) to: ${submission.submitterEmail}`);
+
+    const language = submission.submitterLanguage || DEFAULT_LANGUAGE;
+    const { submissionOutcome: t, common } = getEmailTranslations(language);
+    const statusUrl = getStatusPageUrl('submission', submission.submissionId);
+    const listingUrl = business
+        ? `${EMAIL_CONFIG.baseUrl}/business/${business._id}`
+        : null;
+
+    const mailOptions = {
+        from: `"${EMAIL_CONFIG.fromName}" <${EMAIL_CONFIG.fromAddress}>`,
+        to: submission.submitterEmail,
+        subject: t.subjects[submission.status](submission.businessName),
+        html: createSubmissionOutcomeTemplate(
+            submission,
+            { listingUrl, statusUrl },
+            language
+        ),
+        // Text fallback
+        text: `
+${t.greeting(submission.submitterName)}
 
-Please save this email for your records.
+${stripTags(t.intros[submission.status](submission.businessName))}
 
-If you have questions, reply to this email and include your submission ID: ${submission.submissionId}
+${t.submissionId}: ${submission.submissionId}
+${submission.status === 'rejected' ? `\n${t.reasonLabel}: ${submission.rejectionReason}\n\n${t.resubmit}\n` : ''}
+${stripTags(listingUrl ? t.viewListing : t.viewStatus)}: ${listingUrl || statusUrl}
 
-Best regards,
-TELO Directory Team
+${common.regards}
+${common.team}
         `.trim(),
     };
 
     try {
-        const result = await sendEmailWithRetry(userMailOptions);
-        console.log(`✅ Confirmation sent successfully to: ${submission.submitterEmail}`);
+        const result = await queueEmail(mailOptions, {
+            category: 'submission_outcome',
+        });
+        console.log(`✅ Submission outcome queued for: ${submission.submitterEmail}`);
         return result;
     } catch (error) {
-        console.error(`❌ Failed to send confirmation to ${submission.submitterEmail}:`, error);
+        console.error(`❌ Failed to queue submission outcome for ${submission.submitterEmail}:`, error);
         throw error;
     }
 };
@@ -1114,6 +1372,9 @@ module.exports = {
     sendPasswordResetEmail,
     sendBusinessSubmissionNotification,
     sendSubmissionConfirmation,
+    sendReportOutcomeEmail,
+    sendSubmissionOutcomeEmail,
+    getStatusPageUrl,
     generateVerificationToken,
     getTokenExpiration,
     isValidEmail,
@@ -1123,5 +1384,7 @@ module.exports = {
     createPasswordResetEmailTemplate,
     createBusinessSubmissionEmailTemplate,
     createSubmissionConfirmationTemplate,
+    createReportOutcomeTemplate,
+    createSubmissionOutcomeTemplate,
     EMAIL_CONFIG,
 };
@@ -0,0 +1,128 @@
+// server/services/emailTransport.js
+const nodemailer = require('nodemailer');
+const path = require('path');
+const fs = require('fs').promises;
+const { EMAIL_CONFIG } = require('../config/email');
+
+/**
+ * Email Transport
+ *
+ * Hands one message to the configured transport (EMAIL_TRANSPORT):
+ * - smtp: Gmail, or any SMTP server from SMTP_HOST / SMTP_PORT
+ * - file: writes the message as an .eml file to EMAIL_FILE_DIR, for
+ *   development without mail credentials (open the file in a mail client)
+ *
+ * Only services/emailOutboxService.js sends through here - everything else
+ * queues messages in the outbox.
+ */
+
+let transporter = null;
+
+/**
+ * Create and configure nodemailer transporter
+ * Supports Gmail and SMTP configurations
+ */
+const createSmtpTransporter = () => {
+    console.log('📧 Creating email transporter with config:', {
+        service: EMAIL_CONFIG.service,
+        user: EMAIL_CONFIG.user
+            ? `${EMAIL_CONFIG.user.substring(0, 3)}***@${
+                  EMAIL_CONFIG.user.split('@')[1]
+              }`
+            : 'undefined',
+        fromAddress: EMAIL_CONFIG.fromAddress,
+    });
+
+    const config = {
+        service: EMAIL_CONFIG.service,
+        auth: {
+            user: EMAIL_CONFIG.user,
+            pass: EMAIL_CONFIG.pass,
+        },
+        // Security options for Gmail
+        secure: EMAIL_CONFIG.service === 'gmail',
+        tls: {
+            rejectUnauthorized: false, // For development only
+        },
+    };
+
+    // For non-Gmail services, use SMTP configuration
+    if (EMAIL_CONFIG.service !== 'gmail') {
+        delete config.service;
+        config.host = process.env.SMTP_HOST;
+        config.port = parseInt(process.env.SMTP_PORT) || 587;
+        config.secure = false; // Use STARTTLS for port 587
+    }
+
+    const smtpTransporter = nodemailer.createTransport(config);
+
+    // Verify transporter configuration
+    smtpTransporter.verify((error) => {
+        if (error) {
+            console.error('❌ Email transporter verification failed:', error);
+        } else {
+            console.log('✅ Email transporter verified and ready');
+        }
+    });
+
+    return smtpTransporter;
+};
+
+// "2024-05-01T10-00-00-000Z-jane_example.com.eml"
+const getEmlFileName = (to) =>
+    `${new Date().toISOString().replace(/[:.]/g, '-')}-${String(to)
+        .replace(/[^a-zA-Z0-9.@-]/g, '_')
+        .replace('@', '_')
+        .slice(0, 80)}.eml`;
+
+/**
+ * Transport that renders the full MIME message and writes it to disk
+ */
+const createFileTransporter = () => {
+    const streamTransporter = nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: 'unix',
+    });
+
+    console.log(`📧 Email file transport: writing .eml files to ${EMAIL_CONFIG.fileDir}`);
+
+    return {
+        sendMail: async (mailOptions) => {
+            const info = await streamTransporter.sendMail(mailOptions);
+            const filePath = path.join(
+                EMAIL_CONFIG.fileDir,
+                getEmlFileName(mailOptions.to)
+            );
+
+            await fs.mkdir(EMAIL_CONFIG.fileDir, { recursive: true });
+            await fs.writeFile(filePath, info.message);
+
+            return { messageId: info.messageId, file: filePath };
+        },
+    };
+};
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter =
+            EMAIL_CONFIG.transport === 'file'
+                ? createFileTransporter()
+                : createSmtpTransporter();
+    }
+    return transporter;
+};
+
+/**
+ * Send one message, a single attempt - retries are the outbox's job
+ * @param {Object} mailOptions - nodemailer message ({ from, to, subject, html, text })
+ * @returns {Promise<{messageId: string, file?: string}>}
+ */
+const deliverEmail = async (mailOptions) => {
+    const info = await getTransporter().sendMail(mailOptions);
+    return { messageId: info.messageId, file: info.file };
+};
+
+module.exports = {
+    deliverEmail,
+};
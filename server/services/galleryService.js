@@ -0,0 +1,147 @@
+// server/services/galleryService.js
+const {
+    processGalleryImage,
+    deleteGalleryImages,
+    getResponsiveImageData,
+} = require('./imageProcessingService');
+
+/**
+ * Gallery Service
+ *
+ * Business photo galleries (Business.photos, see models/galleryPhotoSchema.js):
+ * - Admin uploads go live immediately, owner uploads stay "pending" until
+ *   an admin approves them
+ * - The array order is the display order
+ * - Visitors only see approved photos
+ *
+ * Pending photos count towards MAX_GALLERY_PHOTOS so owners cannot queue
+ * more than the gallery can hold.
+ */
+
+const MAX_GALLERY_PHOTOS = parseInt(process.env.MAX_GALLERY_PHOTOS) || 12;
+const MAX_CAPTION_LENGTH = 200;
+
+const normalizeCaption = (caption) =>
+    typeof caption === 'string' ? caption.trim().slice(0, MAX_CAPTION_LENGTH) : '';
+
+/**
+ * Free gallery slots of a business
+ */
+const getRemainingSlots = (business) =>
+    Math.max(MAX_GALLERY_PHOTOS - (business.photos?.length || 0), 0);
+
+/**
+ * Process uploaded files and append them to the gallery
+ *
+ * @param {Document} business - Business document (saved here)
+ * @param {Array} files - Multer files (memory storage)
+ * @param {Object} [options]
+ * @param {string[]} [options.captions] - Caption per file
+ * @param {string} [options.status] - "approved" | "pending"
+ * @param {ObjectId} [options.uploadedBy] - Owner uploading the photos
+ * @returns {Promise<Object[]>} - The added photo subdocuments
+ */
+const addGalleryPhotos = async (
+    business,
+    files,
+    { captions = [], status = 'approved', uploadedBy = null } = {}
+) => {
+    const processed = [];
+
+    try {
+        for (const file of files) {
+            processed.push(await processGalleryImage(file.buffer, business._id));
+        }
+
+        const startIndex = business.photos.length;
+        processed.forEach((images, index) => {
+            business.photos.push({
+                ...images,
+                caption: normalizeCaption(captions[index]),
+                status,
+                uploadedBy,
+            });
+        });
+        await business.save();
+
+        return business.photos.slice(startIndex);
+    } catch (error) {
+        await Promise.all(processed.map(deleteGalleryImages));
+        throw error;
+    }
+};
+
+/**
+ * Remove a photo and its files
+ *
+ * @returns {Promise<Object|null>} - The removed photo, null if not found
+ */
+const removeGalleryPhoto = async (business, photoId) => {
+    const photo = business.photos.id(photoId);
+    if (!photo) return null;
+
+    const removed = photo.toObject();
+    business.photos.pull(photoId);
+    await business.save();
+    await deleteGalleryImages(removed);
+
+    return removed;
+};
+
+/**
+ * Put the gallery in the order of `photoIds`
+ * `photoIds` must list every photo exactly once.
+ *
+ * @returns {boolean} - false when the ids do not match the gallery
+ */
+const reorderGalleryPhotos = (business, photoIds) => {
+    if (
+        !Array.isArray(photoIds) ||
+        photoIds.length !== business.photos.length ||
+        new Set(photoIds.map(String)).size !== photoIds.length
+    ) {
+        return false;
+    }
+
+    const photos = photoIds.map((id) => business.photos.id(id));
+    if (photos.some((photo) => !photo)) return false;
+
+    business.photos = photos.map((photo) => photo.toObject());
+    return true;
+};
+
+/**
+ * Approved photos in display order, as sent to visitors
+ * `image` is srcset-ready (null for photos that were never reprocessed)
+ */
+const getPublicPhotos = (photos = []) =>
+    photos
+        .filter((photo) => photo.status === 'approved')
+        .map(({ _id, webp, avif, width, height, caption, manifest }) => ({
+            _id,
+            webp,
+            avif,
+            width,
+            height,
+            caption,
+            image: getResponsiveImageData(manifest),
+        }));
+
+/**
+ * Delete the files of every photo (the business itself is being deleted)
+ */
+const deleteAllGalleryPhotos = async (business) => {
+    await Promise.all((business.photos || []).map(deleteGalleryImages));
+};
+
+module.exports = {
+    MAX_GALLERY_PHOTOS,
+    MAX_CAPTION_LENGTH,
+    normalizeCaption,
+    getRemainingSlots,
+    addGalleryPhotos,
+    removeGalleryPhoto,
+    reorderGalleryPhotos,
+    getPublicPhotos,
+    deleteAllGalleryPhotos,
+};
@@ -0,0 +1,119 @@
+// server/services/geoService.js
+
+/**
+ * Geo Service
+ *
+ * Listings may carry `location`, a GeoJSON Point ([longitude, latitude]
+ * order) with a 2dsphere index (config/indexes.js). Forms and the API use
+ * { lat, lng } objects instead; this service converts between the two and
+ * builds the near/radius queries for GET /api/businesses.
+ */
+
+const DEFAULT_RADIUS_METERS = 5000;
+const MAX_RADIUS_METERS = 100000;
+
+// Mean equatorial radius MongoDB uses for $centerSphere
+const EARTH_RADIUS_METERS = 6378100;
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+/**
+ * GeoJSON Point for a { lat, lng } pair
+ */
+const toPoint = ({ lat, lng }) => ({
+    type: 'Point',
+    coordinates: [lng, lat],
+});
+
+/**
+ * { lat, lng } for a stored GeoJSON Point (for API responses)
+ *
+ * @returns {{ lat: number, lng: number }|null}
+ */
+const toLatLng = (location) => {
+    const [lng, lat] = location?.coordinates || [];
+    return isLatitude(lat) && isLongitude(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Parse the `near` query parameter - "lat,lng", e.g. "41.7151,44.8271"
+ *
+ * @returns {{ lat: number, lng: number }|null} - null when missing or invalid
+ */
+const parseNear = (near) => {
+    if (typeof near !== 'string' || !near.includes(',')) return null;
+
+    const [lat, lng] = near.split(',').map((part) => Number(part.trim()));
+    return isLatitude(lat) && isLongitude(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Parse the `radius` query parameter (meters), clamped to MAX_RADIUS_METERS
+ */
+const parseRadius = (radius) => {
+    const meters = Number(radius);
+    if (!Number.isFinite(meters) || meters <= 0) return DEFAULT_RADIUS_METERS;
+    return Math.min(meters, MAX_RADIUS_METERS);
+};
+
+/**
+ * Normalize a location from a request body
+ * Accepts { lat, lng } or a GeoJSON Point, as an object or a JSON string
+ * (multipart forms). An empty value clears the location.
+ *
+ * @returns {{ location: Object|null, error: string|null }}
+ *          location - GeoJSON Point, null to clear
+ */
+const normalizeLocation = (input) => {
+    if (input === null || input === '' || input === 'null') {
+        return { location: null, error: null };
+    }
+
+    let parsed = input;
+    if (typeof input === 'string') {
+        try {
+            parsed = JSON.parse(input);
+        } catch {
+            return { location: null, error: 'Location must be valid JSON' };
+        }
+    }
+
+    if (parsed === null) return { location: null, error: null };
+
+    const point = Array.isArray(parsed?.coordinates)
+        ? { lat: Number(parsed.coordinates[1]), lng: Number(parsed.coordinates[0]) }
+        : { lat: Number(parsed?.lat), lng: Number(parsed?.lng) };
+
+    if (!isLatitude(point.lat) || !isLongitude(point.lng)) {
+        return {
+            location: null,
+            error: 'Location needs a latitude (-90 to 90) and longitude (-180 to 180)',
+        };
+    }
+
+    return { location: toPoint(point), error: null };
+};
+
+/**
+ * Filter for listings within `radius` meters of `center`
+ * Unlike $nearSphere it works with countDocuments and $text.
+ */
+const buildWithinFilter = (center, radius) => ({
+    location: {
+        $geoWithin: {
+            $centerSphere: [[center.lng, center.lat], radius / EARTH_RADIUS_METERS],
+        },
+    },
+});
+
+module.exports = {
+    DEFAULT_RADIUS_METERS,
+    MAX_RADIUS_METERS,
+    toPoint,
+    toLatLng,
+    parseNear,
+    parseRadius,
+    normalizeLocation,
+    buildWithinFilter,
+};
@@ -1,11 +1,17 @@
 // server/services/imageProcessingService.js
 const sharp = require('sharp');
-const path = require('path');
-const fs = require('fs').promises;
 const crypto = require('crypto');
+const { saveUpload, deleteUpload, getUploadUrl } = require('./storageService');
 
 /**
- * Image Processing Service for Business Submissions
+ * Image Processing Service
+ *
+ * Submission images are processed once for admin review. Every image shown
+ * on a Business (profile image, gallery photos) goes through the responsive
+ * pipeline instead (processResponsiveImage).
+ *
+ * Files are written through services/storageService.js (local folder or
+ * S3 bucket); paths returned here are upload paths ("/uploads/...").
  *
  * Features:
  * - Immediate processing on upload
@@ -40,30 +46,36 @@ const PROCESSING_CONFIG = {
     // Supported input formats
     supportedFormats: ['jpeg', 'jpg', 'png', 'webp', 'avif', 'tiff', 'gif'],
 
-    // Upload directories
+    // Upload path of submission images ("/uploads/submissions/<filename>")
     submissionsDir: 'uploads/submissions',
-    tempDir: 'uploads/temp',
 };
 
-/**
- * Ensure upload directories exist
- */
-const ensureDirectories = async () => {
-    const dirs = [
-        path.join(__dirname, '..', PROCESSING_CONFIG.submissionsDir),
-        path.join(__dirname, '..', PROCESSING_CONFIG.tempDir),
-    ];
-
-    for (const dir of dirs) {
-        try {
-            await fs.mkdir(dir, { recursive: true });
-        } catch (error) {
-            console.error(`Failed to create directory ${dir}:`, error);
-            throw error;
-        }
-    }
+// Responsive pipeline for Business images
+// Each width is a bounding box (width x width * heightRatio); images keep
+// their aspect ratio and are never upscaled.
+const RESPONSIVE_CONFIG = {
+    formats: ['avif', 'webp'], // Order of the <source> elements, webp is the fallback
+    placeholderWidth: 16, // Tiny preview inlined as a data URI (blurred by the client)
+    presets: {
+        profile: {
+            dir: 'uploads/businesses',
+            prefix: 'business',
+            widths: [160, 320, 640, 960],
+            heightRatio: 1,
+        },
+        gallery: {
+            dir: 'uploads/gallery',
+            prefix: 'gallery',
+            widths: [320, 640, 1024, 1600],
+            heightRatio: 0.75,
+        },
+    },
 };
 
+// Helper: upload path of a processed submission image
+const getSubmissionImagePath = (filename) =>
+    `/${PROCESSING_CONFIG.submissionsDir}/${filename}`;
+
 /**
  * Generate secure filename
  */
@@ -152,11 +164,11 @@ const processToWebP = async (imageBuffer, outputPath) => {
                 .webp({ ...PROCESSING_CONFIG.webp, quality: 70 })
                 .toBuffer();
 
-            await fs.writeFile(outputPath, retryBuffer);
+            await saveUpload(outputPath, retryBuffer);
             return { success: true, size: retryBuffer.length, quality: 70 };
         }
 
-        await fs.writeFile(outputPath, webpBuffer);
+        await saveUpload(outputPath, webpBuffer);
         return { success: true, size: webpBuffer.length, quality: PROCESSING_CONFIG.webp.quality };
 
     } catch (error) {
@@ -197,11 +209,11 @@ const processToAVIF = async (imageBuffer, outputPath) => {
                 .avif({ ...PROCESSING_CONFIG.avif, quality: 65 })
                 .toBuffer();
 
-            await fs.writeFile(outputPath, retryBuffer);
+            await saveUpload(outputPath, retryBuffer);
             return { success: true, size: retryBuffer.length, quality: 65 };
         }
 
-        await fs.writeFile(outputPath, avifBuffer);
+        await saveUpload(outputPath, avifBuffer);
         return { success: true, size: avifBuffer.length, quality: PROCESSING_CONFIG.avif.quality };
 
     } catch (error) {
@@ -216,10 +228,14 @@ const processToAVIF = async (imageBuffer, outputPath) => {
 const processSubmissionImage = async (imageBuffer, submissionId, originalFilename = 'image') => {
     console.log(`🖼️ Processing image for submission: ${submissionId}`);
 
-    try {
-        // Ensure directories exist
-        await ensureDirectories();
+    // Generate secure filenames
+    const webpFilename = generateSecureFilename(submissionId, 'webp');
+    const avifFilename = generateSecureFilename(submissionId, 'avif');
+
+    const webpPath = getSubmissionImagePath(webpFilename);
+    const avifPath = getSubmissionImagePath(avifFilename);
 
+    try {
         // Validate the image
         const validation = await validateImage(imageBuffer);
         if (!validation.valid) {
@@ -228,13 +244,6 @@ const processSubmissionImage = async (imageBuffer, submissionId, originalFilenam
 
         console.log(`✅ Image validation passed:`, validation.metadata);
 
-        // Generate secure filenames
-        const webpFilename = generateSecureFilename(submissionId, 'webp');
-        const avifFilename = generateSecureFilename(submissionId, 'avif');
-
-        const webpPath = path.join(__dirname, '..', PROCESSING_CONFIG.submissionsDir, webpFilename);
-        const avifPath = path.join(__dirname, '..', PROCESSING_CONFIG.submissionsDir, avifFilename);
-
         // Process both formats concurrently
         console.log(`🔄 Processing to WebP and AVIF formats...`);
 
@@ -271,16 +280,10 @@ const processSubmissionImage = async (imageBuffer, submissionId, originalFilenam
         console.error(`❌ Image processing failed for submission ${submissionId}:`, error);
 
         // Clean up any partial files
-        const webpFilename = generateSecureFilename(submissionId, 'webp');
-        const avifFilename = generateSecureFilename(submissionId, 'avif');
-
-        const webpPath = path.join(__dirname, '..', PROCESSING_CONFIG.submissionsDir, webpFilename);
-        const avifPath = path.join(__dirname, '..', PROCESSING_CONFIG.submissionsDir, avifFilename);
-
         try {
             await Promise.all([
-                fs.unlink(webpPath).catch(() => {}), // Ignore if file doesn't exist
-                fs.unlink(avifPath).catch(() => {}),
+                deleteUpload(webpPath).catch(() => {}), // Ignore if file doesn't exist
+                deleteUpload(avifPath).catch(() => {}),
             ]);
         } catch (cleanupError) {
             console.error('Cleanup error:', cleanupError);
@@ -295,14 +298,205 @@ const processSubmissionImage = async (imageBuffer, submissionId, originalFilenam
     }
 };
 
+/**
+ * Output widths for an image of the given (oriented) size
+ * Duplicates collapse, e.g. a small image yields a single variant.
+ */
+const getVariantWidths = (preset, width, height) => {
+    const widths = preset.widths.map((boxWidth) => {
+        const boxHeight = Math.round(boxWidth * preset.heightRatio);
+        const scale = Math.min(1, boxWidth / width, boxHeight / height);
+        return Math.max(1, Math.round(width * scale));
+    });
+    return [...new Set(widths)].sort((a, b) => a - b);
+};
+
+/**
+ * Main function: Process a Business image into responsive variants
+ *
+ * Writes every preset width in every format (RESPONSIVE_CONFIG.formats) and
+ * returns the manifest stored on the Business (models/imageManifestSchema.js):
+ * { width, height, placeholder, variants: [{ format, width, height, path }] }
+ * width/height are those of the largest variant, paths are upload paths
+ * ("/uploads/businesses/...").
+ *
+ * @param {Buffer} imageBuffer
+ * @param {Object} options
+ * @param {string} options.preset - Key of RESPONSIVE_CONFIG.presets
+ * @param {string} options.ownerId - Business id, used in the filenames
+ */
+const processResponsiveImage = async (imageBuffer, { preset: presetName, ownerId }) => {
+    const preset = RESPONSIVE_CONFIG.presets[presetName];
+    if (!preset) {
+        throw new Error(`Unknown image preset: ${presetName}`);
+    }
+
+    const validation = await validateImage(imageBuffer);
+    if (!validation.valid) {
+        throw new Error(`Image validation failed: ${validation.error}`);
+    }
+
+    // EXIF orientations 5-8 are rotated by 90 degrees
+    const { orientation } = await sharp(imageBuffer).metadata();
+    const rotated = orientation >= 5;
+    const width = rotated ? validation.metadata.height : validation.metadata.width;
+    const height = rotated ? validation.metadata.width : validation.metadata.height;
+
+    const timestamp = Date.now();
+    const random = crypto.randomBytes(4).toString('hex');
+    const baseName = `${preset.prefix}-${ownerId}-${timestamp}-${random}`;
+
+    const variants = [];
+
+    try {
+        for (const variantWidth of getVariantWidths(preset, width, height)) {
+            // Both formats of one width at a time keeps memory use low
+            const results = await Promise.all(
+                RESPONSIVE_CONFIG.formats.map(async (format) => {
+                    const imagePath = `/${preset.dir}/${baseName}-${variantWidth}.${format}`;
+                    const { data, info } = await sharp(imageBuffer)
+                        .rotate()
+                        .resize({ width: variantWidth, withoutEnlargement: true })
+                        [format](PROCESSING_CONFIG[format])
+                        .toBuffer({ resolveWithObject: true });
+
+                    await saveUpload(imagePath, data);
+
+                    return {
+                        format,
+                        width: info.width,
+                        height: info.height,
+                        path: imagePath,
+                    };
+                })
+            );
+            variants.push(...results);
+        }
+
+        const placeholder = await sharp(imageBuffer)
+            .rotate()
+            .resize({ width: RESPONSIVE_CONFIG.placeholderWidth })
+            .webp({ quality: 40 })
+            .toBuffer();
+
+        const largest = variants[variants.length - 1];
+
+        console.log(`🖼️ Processed ${presetName} image ${baseName}: ${variants.length} variants`);
+
+        return {
+            width: largest.width,
+            height: largest.height,
+            placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+            variants,
+        };
+    } catch (error) {
+        await deleteResponsiveImage({ variants });
+        throw error;
+    }
+};
+
+/**
+ * Largest variant of a format (the plain src / fallback)
+ */
+const getLargestVariant = (manifest, format) =>
+    (manifest?.variants || [])
+        .filter((variant) => variant.format === format)
+        .reduce((largest, variant) => (!largest || variant.width > largest.width ? variant : largest), null);
+
+/**
+ * srcset-ready data for the API
+ *
+ * @returns {Object|null} - { src, width, height, placeholder,
+ *   sources: [{ type: 'image/avif', srcset: '/uploads/x-320.avif 320w, ...' }] }
+ */
+const getResponsiveImageData = (manifest) => {
+    const fallback = getLargestVariant(manifest, 'webp');
+    if (!fallback) return null;
+
+    const sources = RESPONSIVE_CONFIG.formats
+        .map((format) => {
+            const variants = manifest.variants
+                .filter((variant) => variant.format === format)
+                .sort((a, b) => a.width - b.width);
+
+            return variants.length > 0
+                ? {
+                      type: `image/${format}`,
+                      srcset: variants.map((variant) => `${variant.path} ${variant.width}w`).join(', '),
+                  }
+                : null;
+        })
+        .filter(Boolean);
+
+    return {
+        src: fallback.path,
+        width: manifest.width,
+        height: manifest.height,
+        placeholder: manifest.placeholder || '',
+        sources,
+    };
+};
+
+/**
+ * Delete the files of a manifest (and any extra public paths, e.g. the
+ * single-file images of listings that were never reprocessed)
+ */
+const deleteResponsiveImage = async (manifest, extraPaths = []) => {
+    const paths = new Set([
+        ...(manifest?.variants || []).map((variant) => variant.path),
+        ...extraPaths,
+    ]);
+
+    await Promise.all(
+        [...paths]
+            .filter((imagePath) => imagePath && imagePath.startsWith('/uploads/'))
+            .map((imagePath) =>
+                deleteUpload(imagePath).catch((err) => {
+                    console.warn(`Failed to delete image ${imagePath}: ${err.message}`);
+                })
+            )
+    );
+};
+
+/**
+ * Process a business gallery photo
+ * Returns the manifest plus the largest WebP/AVIF paths and dimensions.
+ */
+const processGalleryImage = async (imageBuffer, businessId) => {
+    const manifest = await processResponsiveImage(imageBuffer, {
+        preset: 'gallery',
+        ownerId: businessId,
+    });
+
+    return {
+        webp: getLargestVariant(manifest, 'webp').path,
+        avif: getLargestVariant(manifest, 'avif')?.path || '',
+        width: manifest.width,
+        height: manifest.height,
+        manifest,
+    };
+};
+
+/**
+ * Delete the files of a gallery photo
+ */
+const deleteGalleryImages = async ({ webp, avif, manifest }) => {
+    await deleteResponsiveImage(manifest, [webp, avif]);
+};
+
 /**
  * Get optimized image URL for frontend
+ * Files served by the server get `baseUrl` in front; a public bucket's
+ * URL is already absolute.
  */
 const getSubmissionImageUrl = (filename, baseUrl = '') => {
     if (!filename) return null;
 
+    const url = getUploadUrl(getSubmissionImagePath(filename));
+    if (/^https?:\/\//.test(url)) return url;
+
     const cleanBaseUrl = baseUrl.replace(/\/$/, ''); // Remove trailing slash
-    return `${cleanBaseUrl}/${PROCESSING_CONFIG.submissionsDir}/${filename}`;
+    return `${cleanBaseUrl}${url}`;
 };
 
 /**
@@ -312,13 +506,13 @@ const deleteSubmissionImages = async (webpFilename, avifFilename) => {
     const deletions = [];
 
     if (webpFilename) {
-        const webpPath = path.join(__dirname, '..', PROCESSING_CONFIG.submissionsDir, webpFilename);
-        deletions.push(fs.unlink(webpPath).catch(err => console.warn(`Failed to delete WebP: ${err.message}`)));
+        const webpPath = getSubmissionImagePath(webpFilename);
+        deletions.push(deleteUpload(webpPath).catch(err => console.warn(`Failed to delete WebP: ${err.message}`)));
     }
 
     if (avifFilename) {
-        const avifPath = path.join(__dirname, '..', PROCESSING_CONFIG.submissionsDir, avifFilename);
-        deletions.push(fs.unlink(avifPath).catch(err => console.warn(`Failed to delete AVIF: ${err.message}`)));
+        const avifPath = getSubmissionImagePath(avifFilename);
+        deletions.push(deleteUpload(avifPath).catch(err => console.warn(`Failed to delete AVIF: ${err.message}`)));
     }
 
     await Promise.all(deletions);
@@ -340,9 +534,17 @@ const getProcessingStats = () => {
 
 module.exports = {
     processSubmissionImage,
+    processResponsiveImage,
+    getResponsiveImageData,
+    getLargestVariant,
+    deleteResponsiveImage,
+    processGalleryImage,
+    deleteGalleryImages,
     getSubmissionImageUrl,
+    getSubmissionImagePath,
     deleteSubmissionImages,
     getProcessingStats,
     validateImage,
     PROCESSING_CONFIG,
+    RESPONSIVE_CONFIG,
 };
\ No newline at end of file
@@ -0,0 +1,248 @@
+// server/services/openingHoursService.js
+
+/**
+ * Opening Hours Service
+ *
+ * Listings store `openingHours`:
+ * - weekly: periods { day, open, close } - day 0 = Sunday ... 6 = Saturday
+ *   (as Date#getDay), times "HH:MM" in Georgian time, close up to "24:00".
+ *   A day may have several periods (lunch break); a day without periods is
+ *   closed. Past-midnight hours are two periods ("20:00-24:00" and
+ *   "00:00-02:00" next day).
+ * - exceptions: { startDate, endDate, closed, open, close, note } for
+ *   holidays and temporary closures, dates "YYYY-MM-DD". An exception
+ *   replaces the weekly hours on its days: closed, or open open-close.
+ *
+ * Everything is evaluated in Georgia's timezone, whatever the server's is.
+ */
+
+const GEORGIA_TIMEZONE = 'Asia/Tbilisi';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CLOSE_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_WEEKLY_PERIODS = 21;
+const MAX_EXCEPTIONS = 30;
+const MAX_NOTE_LENGTH = 100;
+
+const WEEKDAY_NUMBERS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const georgiaFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: GEORGIA_TIMEZONE,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+});
+
+/**
+ * Current day, date and time in Georgia
+ *
+ * @param {Date} [at]
+ * @returns {{ day: number, date: string, time: string }}
+ *          e.g. { day: 1, date: "2025-01-06", time: "14:05" }
+ */
+const getGeorgiaNow = (at = new Date()) => {
+    const parts = Object.fromEntries(
+        georgiaFormatter.formatToParts(at).map(({ type, value }) => [type, value])
+    );
+
+    return {
+        day: WEEKDAY_NUMBERS[parts.weekday],
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`,
+    };
+};
+
+/**
+ * Mongo filter for listings open at `now` (from getGeorgiaNow)
+ * Listings without opening hours never match.
+ */
+const buildOpenNowFilter = (now = getGeorgiaNow()) => {
+    const coversToday = {
+        startDate: { $lte: now.date },
+        endDate: { $gte: now.date },
+    };
+
+    return {
+        $or: [
+            // Special hours today
+            {
+                'openingHours.exceptions': {
+                    $elemMatch: {
+                        ...coversToday,
+                        closed: false,
+                        open: { $lte: now.time },
+                        close: { $gt: now.time },
+                    },
+                },
+            },
+            // Regular hours, unless an exception covers today
+            {
+                'openingHours.weekly': {
+                    $elemMatch: {
+                        day: now.day,
+                        open: { $lte: now.time },
+                        close: { $gt: now.time },
+                    },
+                },
+                'openingHours.exceptions': {
+                    $not: { $elemMatch: coversToday },
+                },
+            },
+        ],
+    };
+};
+
+/**
+ * Hours that apply on one date
+ *
+ * @returns {{ periods: Array<{open, close}>, exception: Object|null }}
+ */
+const getHoursForDate = (openingHours, day, date) => {
+    const exception = (openingHours?.exceptions || []).find(
+        (item) => item.startDate <= date && item.endDate >= date
+    );
+
+    if (exception) {
+        return {
+            periods: exception.closed
+                ? []
+                : [{ open: exception.open, close: exception.close }],
+            exception,
+        };
+    }
+
+    return {
+        periods: (openingHours?.weekly || [])
+            .filter((period) => period.day === day)
+            .map(({ open, close }) => ({ open, close }))
+            .sort((a, b) => a.open.localeCompare(b.open)),
+        exception: null,
+    };
+};
+
+/**
+ * Whether a listing is open now, with today's hours
+ * (for API responses - the list filter uses buildOpenNowFilter)
+ *
+ * @returns {{ hasHours: boolean, isOpen: boolean, today: Array, exception: Object|null }}
+ */
+const getOpenStatus = (openingHours, now = getGeorgiaNow()) => {
+    const hasHours = (openingHours?.weekly || []).length > 0;
+    const { periods, exception } = getHoursForDate(openingHours, now.day, now.date);
+
+    return {
+        hasHours,
+        isOpen: periods.some(
+            (period) => period.open <= now.time && period.close > now.time
+        ),
+        today: periods,
+        exception: exception
+            ? { closed: exception.closed, note: exception.note || '' }
+            : null,
+    };
+};
+
+/**
+ * Normalize opening hours from a request body
+ * Accepts an object or a JSON string (multipart forms). Exceptions without
+ * an end date last one day.
+ *
+ * @returns {Object|null} - { weekly, exceptions }, null when not parseable
+ */
+const normalizeOpeningHours = (input) => {
+    let parsed = input;
+    if (typeof input === 'string') {
+        try {
+            parsed = JSON.parse(input);
+        } catch {
+            return null;
+        }
+    }
+
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        return null;
+    }
+
+    const weekly = Array.isArray(parsed.weekly) ? parsed.weekly : [];
+    const exceptions = Array.isArray(parsed.exceptions) ? parsed.exceptions : [];
+
+    return {
+        weekly: weekly.map((period) => ({
+            day: Number(period?.day),
+            open: String(period?.open || ''),
+            close: String(period?.close || ''),
+        })),
+        exceptions: exceptions.map((exception) => {
+            const closed = exception?.closed !== false;
+            return {
+                startDate: String(exception?.startDate || ''),
+                endDate: String(exception?.endDate || exception?.startDate || ''),
+                closed,
+                open: closed ? '' : String(exception?.open || ''),
+                close: closed ? '' : String(exception?.close || ''),
+                note: String(exception?.note || '').trim(),
+            };
+        }),
+    };
+};
+
+const isValidPeriod = (open, close) =>
+    TIME_PATTERN.test(open) && CLOSE_TIME_PATTERN.test(close) && open < close;
+
+/**
+ * Validation messages for normalized opening hours
+ *
+ * @param {Object} openingHours - From normalizeOpeningHours
+ * @returns {string[]}
+ */
+const getOpeningHoursErrors = ({ weekly, exceptions }) => {
+    const errors = [];
+
+    if (weekly.length > MAX_WEEKLY_PERIODS) {
+        errors.push(`Opening hours can have at most ${MAX_WEEKLY_PERIODS} periods`);
+    }
+    if (weekly.some((period) => !Number.isInteger(period.day) || period.day < 0 || period.day > 6)) {
+        errors.push('Opening hours day must be 0 (Sunday) to 6 (Saturday)');
+    }
+    if (weekly.some((period) => !isValidPeriod(period.open, period.close))) {
+        errors.push('Opening hours need HH:MM times with closing after opening');
+    }
+
+    if (exceptions.length > MAX_EXCEPTIONS) {
+        errors.push(`Opening hours can have at most ${MAX_EXCEPTIONS} exceptions`);
+    }
+    exceptions.forEach((exception) => {
+        if (!DATE_PATTERN.test(exception.startDate) || !DATE_PATTERN.test(exception.endDate)) {
+            errors.push('Exception dates must be YYYY-MM-DD');
+        } else if (exception.endDate < exception.startDate) {
+            errors.push('Exception end date cannot be before its start date');
+        }
+        if (!exception.closed && !isValidPeriod(exception.open, exception.close)) {
+            errors.push('Special opening hours need HH:MM times with closing after opening');
+        }
+        if (exception.note.length > MAX_NOTE_LENGTH) {
+            errors.push(`Exception note cannot exceed ${MAX_NOTE_LENGTH} characters`);
+        }
+    });
+
+    return [...new Set(errors)];
+};
+
+module.exports = {
+    GEORGIA_TIMEZONE,
+    TIME_PATTERN,
+    CLOSE_TIME_PATTERN,
+    DATE_PATTERN,
+    getGeorgiaNow,
+    buildOpenNowFilter,
+    getHoursForDate,
+    getOpenStatus,
+    normalizeOpeningHours,
+    getOpeningHoursErrors,
+};
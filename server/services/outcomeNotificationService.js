@@ -0,0 +1,94 @@
+// server/services/outcomeNotificationService.js
+const Business = require('../models/Business');
+const BusinessReport = require('../models/BusinessReport');
+const BusinessSubmission = require('../models/BusinessSubmission');
+const ReportReason = require('../models/ReportReason');
+const {
+    sendReportOutcomeEmail,
+    sendSubmissionOutcomeEmail,
+} = require('./emailService');
+
+/**
+ * Outcome Notification Service
+ *
+ * Tells people how their case ended once an admin decides it:
+ * - reports: reporters who left an email hear about resolved/dismissed,
+ *   with the admin's outcomeMessage (the reason for a dismissal)
+ * - submissions: submitters hear about approved/rejected, with the
+ *   rejection reason or a link to the new listing
+ *
+ * Reopening a case sends nothing. Notifications never fail the admin's
+ * status change: errors are logged, and the public status page shows the
+ * outcome either way. outcomeNotifiedAt records when the email was queued
+ * (the email outbox delivers it and retries failed attempts).
+ */
+
+const REPORT_OUTCOMES = ['resolved', 'dismissed'];
+const SUBMISSION_OUTCOMES = ['approved', 'rejected'];
+
+/**
+ * Email the reporter about a resolved or dismissed report
+ * @param {Document} report - BusinessReport after the status change
+ * @returns {Promise<boolean>} - Whether an email was queued
+ */
+const notifyReportOutcome = async (report) => {
+    if (!report.reporterEmail || !REPORT_OUTCOMES.includes(report.status)) {
+        return false;
+    }
+
+    try {
+        const [business, reasons] = await Promise.all([
+            Business.findById(report.businessId).select('businessName').lean(),
+            ReportReason.find({ key: { $in: report.issueTypes } })
+                .select('key label')
+                .lean(),
+        ]);
+        const labels = new Map(reasons.map((reason) => [reason.key, reason.label]));
+
+        await sendReportOutcomeEmail(report, {
+            businessName: business?.businessName || '',
+            reasonLabels: report.issueTypes.map((key) => labels.get(key) || key),
+        });
+
+        await BusinessReport.updateOne(
+            { _id: report._id },
+            { $set: { outcomeNotifiedAt: new Date() } },
+            { timestamps: false }
+        );
+        return true;
+    } catch (error) {
+        console.error(`⚠️ Outcome email failed for report ${report._id}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Email the submitter about an approved or rejected submission
+ * @param {Document} submission - BusinessSubmission after the status change
+ * @param {Document|null} business - Listing published from an approval
+ * @returns {Promise<boolean>} - Whether an email was queued
+ */
+const notifySubmissionOutcome = async (submission, business = null) => {
+    if (!SUBMISSION_OUTCOMES.includes(submission.status)) return false;
+
+    try {
+        await sendSubmissionOutcomeEmail(submission, business);
+
+        await BusinessSubmission.updateOne(
+            { _id: submission._id },
+            { $set: { outcomeNotifiedAt: new Date() } },
+            { timestamps: false }
+        );
+        return true;
+    } catch (error) {
+        console.error(`⚠️ Outcome email failed for submission ${submission.submissionId}:`, error);
+        return false;
+    }
+};
+
+module.exports = {
+    notifyReportOutcome,
+    notifySubmissionOutcome,
+    REPORT_OUTCOMES,
+    SUBMISSION_OUTCOMES,
+};
@@ -0,0 +1,197 @@
+// server/services/relatedBusinessService.js
+const Business = require('../models/Business');
+const { buildSearchKeywords } = require('./searchService');
+const { NATIONWIDE_CITY } = require('../config/cities');
+
+/**
+ * Related Business Service
+ *
+ * "Similar businesses" for the detail page (GET /api/businesses/:id/related).
+ * Candidates share a category or city, or match the listing's name in the
+ * text index; hidden listings (Business.hiddenAt) are left out. Each is
+ * scored on:
+ * - shared categories, shared cities (nationwide "All Georgia" listings
+ *   count for less) and the same business type
+ * - text similarity - overlap of the folded `searchKeywords`, so Georgian
+ *   and Latin spellings of the same words match
+ * - verification and rating, as a small bonus
+ *
+ * Results are cached in memory per listing for CACHE_TTL_MS. The key
+ * includes the listing's updatedAt, so editing it refreshes its list;
+ * changes to other listings show up once the entry expires.
+ */
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+const STRUCTURAL_CANDIDATES = 200;
+const TEXT_CANDIDATES = 50;
+const MAX_NAME_KEYWORDS = 5;
+
+const WEIGHTS = {
+    category: 5,
+    city: 3,
+    nationwideCity: 1.5,
+    businessType: 1,
+    text: 4,
+    verified: 1.5,
+    rating: 0.5,
+};
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+// Fields the detail page strip needs (BusinessCard)
+const CARD_FIELDS =
+    'businessId businessName shortDescription translations categories businessType cities mobile verified profileImage profileImageAvif profileImageManifest socialLinks ratingAverage ratingCount openingHours location searchKeywords createdAt';
+
+// key -> { expiresAt, businesses }; Map keeps insertion order for eviction
+const cache = new Map();
+
+const getCached = (key) => {
+    const entry = cache.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        cache.delete(key);
+        return null;
+    }
+    return entry.businesses;
+};
+
+const setCached = (key, businesses) => {
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { expiresAt: Date.now() + CACHE_TTL_MS, businesses });
+};
+
+const toKeywordSet = (searchKeywords = '') =>
+    new Set(searchKeywords.split(' ').filter((key) => key.length > 2));
+
+/**
+ * Jaccard similarity of two keyword sets, 0..1
+ */
+const getTextSimilarity = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach((key) => {
+        if (b.has(key)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+};
+
+const sharesAny = (a = [], b = []) => a.some((value) => b.includes(value));
+
+const scoreCandidate = (business, candidate, businessKeywords) => {
+    let score = 0;
+
+    if (sharesAny(candidate.categories, business.categories)) {
+        score += WEIGHTS.category;
+    }
+
+    if (sharesAny(candidate.cities, business.cities)) {
+        score += WEIGHTS.city;
+    } else if (
+        candidate.cities?.includes(NATIONWIDE_CITY) ||
+        business.cities?.includes(NATIONWIDE_CITY)
+    ) {
+        score += WEIGHTS.nationwideCity;
+    }
+
+    if (candidate.businessType === business.businessType) score += WEIGHTS.businessType;
+
+    score +=
+        WEIGHTS.text *
+        getTextSimilarity(businessKeywords, toKeywordSet(candidate.searchKeywords));
+
+    if (candidate.verified) score += WEIGHTS.verified;
+    score += WEIGHTS.rating * ((candidate.ratingAverage || 0) / 10);
+
+    return score;
+};
+
+/**
+ * Listings whose name shares words with the business (text index)
+ */
+const findTextCandidates = async (business) => {
+    const nameKeywords = [...toKeywordSet(buildSearchKeywords(business.businessName))]
+        .slice(0, MAX_NAME_KEYWORDS);
+    if (nameKeywords.length === 0) return [];
+
+    return Business.find(
+        {
+            _id: { $ne: business._id },
+            hiddenAt: null,
+            $text: { $search: nameKeywords.join(' ') },
+        },
+        { score: { $meta: 'textScore' } }
+    )
+        .select(CARD_FIELDS)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(TEXT_CANDIDATES)
+        .lean();
+};
+
+/**
+ * Listings similar to `business`, best match first
+ *
+ * @param {Object} business - Business document or lean object
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>} - Lean businesses (with searchKeywords removed)
+ */
+const getRelatedBusinesses = async (business, { limit = DEFAULT_LIMIT } = {}) => {
+    const count = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const key = `${business._id}:${new Date(business.updatedAt).getTime()}:${count}`;
+
+    const cached = getCached(key);
+    if (cached) return cached;
+
+    const [structural, textual] = await Promise.all([
+        Business.find({
+            _id: { $ne: business._id },
+            hiddenAt: null,
+            $or: [
+                { categories: { $in: business.categories || [] } },
+                { cities: { $in: [...(business.cities || []), NATIONWIDE_CITY] } },
+            ],
+        })
+            .select(CARD_FIELDS)
+            .sort({ verified: -1, ratingAverage: -1, createdAt: -1 })
+            .limit(STRUCTURAL_CANDIDATES)
+            .lean(),
+        // The text index may be missing (e.g. before setup) - skip text matches then
+        findTextCandidates(business).catch(() => []),
+    ]);
+
+    const candidates = new Map();
+    [...structural, ...textual].forEach((candidate) => {
+        candidates.set(String(candidate._id), candidate);
+    });
+
+    const businessKeywords = toKeywordSet(business.searchKeywords);
+    const related = [...candidates.values()]
+        .map((candidate) => ({
+            candidate,
+            score: scoreCandidate(business, candidate, businessKeywords),
+        }))
+        .sort(
+            (a, b) =>
+                b.score - a.score ||
+                new Date(b.candidate.createdAt) - new Date(a.candidate.createdAt)
+        )
+        .slice(0, count)
+        .map(({ candidate }) => {
+            const item = { ...candidate };
+            delete item.searchKeywords;
+            delete item.score;
+            return item;
+        });
+
+    setCached(key, related);
+    return related;
+};
+
+module.exports = {
+    getRelatedBusinesses,
+};
@@ -0,0 +1,199 @@
+// server/services/reportAutomationService.js
+const sharp = require('sharp');
+const Business = require('../models/Business');
+const BusinessReport = require('../models/BusinessReport');
+const { REPORT_RULES } = require('../config/reportRules');
+const { readUpload } = require('./storageService');
+
+/**
+ * Report Automation Service
+ *
+ * Rules from config/reportRules.js, applied to every new public report:
+ * - autoHide: enough different IPs report a listing as no longer existing
+ *   within the window -> the listing is hidden from the directory
+ *   (Business.hiddenAt) until an admin restores it
+ * - imageCheck: a broken image report -> every image file of the listing
+ *   is checked in storage; if all are fine and nothing else was reported, the
+ *   report is resolved by "system"
+ *
+ * What happened is stored in report.autoActions for Reports Management.
+ * Automation never fails the report submission: errors are logged and the
+ * report simply stays pending for an admin.
+ */
+
+const SYSTEM_USER = 'system';
+
+// Public paths of every image file the listing shows to visitors
+const getImagePaths = (business) => {
+    const paths = [
+        business.profileImage,
+        business.profileImageAvif,
+        ...(business.profileImageManifest?.variants || []).map((v) => v.path),
+    ];
+
+    (business.photos || [])
+        .filter((photo) => photo.status === 'approved')
+        .forEach((photo) => {
+            paths.push(
+                photo.webp,
+                photo.avif,
+                ...(photo.manifest?.variants || []).map((v) => v.path)
+            );
+        });
+
+    return [...new Set(paths.filter((p) => p && p.startsWith('/uploads/')))];
+};
+
+/**
+ * Check one uploaded image
+ * @returns {Promise<string|null>} - Why the file is broken, null if it is fine
+ */
+const checkImageFile = async (publicPath) => {
+    // Storage errors (e.g. the bucket is unreachable) end the check instead
+    // of marking the file broken
+    const buffer = await readUpload(publicPath);
+    if (!buffer) return 'missing';
+    if (buffer.length === 0) return 'empty file';
+
+    try {
+        const metadata = await sharp(buffer).metadata();
+        if (!metadata.width || !metadata.height) return 'not an image';
+
+        return null;
+    } catch {
+        return 'unreadable';
+    }
+};
+
+/**
+ * Check every image file of a listing
+ * @returns {Promise<{checked: number, broken: Array<{path, reason}>}>}
+ */
+const checkBusinessImages = async (business) => {
+    const paths = getImagePaths(business);
+    const broken = [];
+
+    for (const imagePath of paths) {
+        const reason = await checkImageFile(imagePath);
+        if (reason) broken.push({ path: imagePath, reason });
+    }
+
+    return { checked: paths.length, broken };
+};
+
+const runImageCheck = async (report, business) => {
+    const { checked, broken } = await checkBusinessImages(business);
+
+    let action;
+    if (checked === 0) {
+        action = {
+            type: 'image_check',
+            outcome: 'no_image',
+            message: 'The listing has no uploaded images to check',
+        };
+    } else if (broken.length > 0) {
+        action = {
+            type: 'image_check',
+            outcome: 'broken',
+            message: `${broken.length} of ${checked} image files broken: ${broken
+                .map((file) => `${file.path} (${file.reason})`)
+                .join(', ')}`,
+        };
+    } else {
+        action = {
+            type: 'image_check',
+            outcome: 'ok',
+            message: `All ${checked} image files are readable`,
+        };
+    }
+
+    report.autoActions.push(action);
+
+    // Other reported issues still need an admin
+    if (
+        action.outcome === 'ok' &&
+        report.issueTypes.length === 1 &&
+        report.canBeResolved()
+    ) {
+        report.status = 'resolved';
+        report.resolvedBy = SYSTEM_USER;
+        report.resolvedAt = new Date();
+    }
+
+    await report.save();
+    return action;
+};
+
+const runAutoHide = async (business) => {
+    const { issueType, threshold, windowHours } = REPORT_RULES.autoHide;
+    if (threshold === 0 || business.hiddenAt) return null;
+
+    const reportFilter = {
+        businessId: business._id,
+        issueTypes: issueType,
+        status: 'pending',
+        createdAt: { $gte: new Date(Date.now() - windowHours * 60 * 60 * 1000) },
+    };
+
+    const reporterIps = await BusinessReport.distinct('reporterIp', reportFilter);
+    if (reporterIps.length < threshold) return null;
+
+    const hiddenReason = `Reported as no longer existing from ${reporterIps.length} different IPs within ${windowHours}h`;
+
+    // Only the first of concurrent reports hides the listing
+    const result = await Business.updateOne(
+        { _id: business._id, hiddenAt: null },
+        { $set: { hiddenAt: new Date(), hiddenReason } }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    const action = {
+        type: 'listing_hidden',
+        outcome: 'hidden',
+        message: `Listing hidden from the directory: ${hiddenReason}`,
+        at: new Date(),
+    };
+
+    // Shown on every report that counted towards the threshold
+    await BusinessReport.updateMany(reportFilter, {
+        $push: { autoActions: action },
+    });
+
+    console.log(`🙈 Business ${business.businessId} hidden: ${hiddenReason}`);
+    return action;
+};
+
+/**
+ * Apply the report rules to a newly saved report
+ *
+ * @param {Document} report - The saved BusinessReport
+ * @param {Document} business - The reported Business
+ * @returns {Promise<Object[]>} - Actions taken
+ */
+const runReportAutomation = async (report, business) => {
+    const actions = [];
+
+    try {
+        if (
+            REPORT_RULES.imageCheck.enabled &&
+            report.issueTypes.includes(REPORT_RULES.imageCheck.issueType)
+        ) {
+            actions.push(await runImageCheck(report, business));
+        }
+
+        if (report.issueTypes.includes(REPORT_RULES.autoHide.issueType)) {
+            const action = await runAutoHide(business);
+            if (action) actions.push(action);
+        }
+    } catch (error) {
+        console.error(`❌ Report automation failed for report ${report._id}:`, error);
+    }
+
+    return actions;
+};
+
+module.exports = {
+    runReportAutomation,
+    checkBusinessImages,
+    SYSTEM_USER,
+};
@@ -0,0 +1,176 @@
+// server/services/reportReasonService.js
+const ReportReason = require('../models/ReportReason');
+const BusinessReport = require('../models/BusinessReport');
+
+/**
+ * Report Reason Service
+ *
+ * Issue types for public business reports (models/ReportReason.js):
+ * - the active reasons are what the report dialog offers
+ * - a submitted report is checked against them and gets the priority of
+ *   its most severe reason
+ * - the defaults below are created when the collection is empty, so a
+ *   fresh database accepts reports without any setup
+ *
+ * config/reportRules.js refers to the default keys.
+ */
+
+const DEFAULT_REASONS = [
+    {
+        key: 'broken-image',
+        label: 'Broken Image',
+        description: 'The photo of this business does not load',
+        severity: 'low',
+        sortOrder: 10,
+    },
+    {
+        key: 'business-closed',
+        label: 'Business No Longer Exists',
+        description: 'The business has closed or cannot be reached',
+        severity: 'high',
+        sortOrder: 20,
+    },
+    {
+        key: 'other',
+        label: 'Other Issue',
+        description: 'Something else is wrong - please tell us what',
+        severity: 'medium',
+        requiresText: true,
+        sortOrder: 100,
+    },
+];
+
+// Issue types stored before reasons were admin-managed
+const LEGACY_ISSUE_TYPES = {
+    'Broken Image': 'broken-image',
+    'Business No Longer Exists': 'business-closed',
+    'Other Issue': 'other',
+};
+
+// Fields the report dialog needs
+const PUBLIC_FIELDS = 'key label description requiresText';
+
+/**
+ * Create the default reasons if there are none at all
+ * @returns {Promise<number>} - Number of reasons created
+ */
+const ensureDefaultReasons = async () => {
+    if ((await ReportReason.estimatedDocumentCount()) > 0) return 0;
+
+    try {
+        await ReportReason.insertMany(DEFAULT_REASONS, { ordered: false });
+    } catch (error) {
+        // Another request seeded them first
+        if (error.code !== 11000) throw error;
+    }
+    return DEFAULT_REASONS.length;
+};
+
+/**
+ * Active reasons in dialog order
+ * @returns {Promise<Object[]>} - Lean reasons with PUBLIC_FIELDS
+ */
+const getActiveReasons = async () => {
+    await ensureDefaultReasons();
+
+    return ReportReason.find({ isActive: true })
+        .select(PUBLIC_FIELDS)
+        .sort({ sortOrder: 1, label: 1 })
+        .lean();
+};
+
+/**
+ * Check the reasons picked for a new report
+ *
+ * @param {string[]} keys - Selected reason keys
+ * @param {string} description - Reporter's text (already trimmed)
+ * @returns {Promise<{reasons, priority}|{error, code}>}
+ */
+const checkReportReasons = async (keys, description = '') => {
+    await ensureDefaultReasons();
+
+    const uniqueKeys = [...new Set(keys)];
+    const reasons = await ReportReason.find({
+        key: { $in: uniqueKeys },
+        isActive: true,
+    }).lean();
+
+    if (reasons.length !== uniqueKeys.length) {
+        const known = new Set(reasons.map((reason) => reason.key));
+        return {
+            error: `Invalid issue types: ${uniqueKeys
+                .filter((key) => !known.has(key))
+                .join(', ')}`,
+            code: 'INVALID_ISSUE_TYPE',
+        };
+    }
+
+    const needsText = reasons.find((reason) => reason.requiresText);
+    if (needsText && !description) {
+        return {
+            error: `Please describe the issue for "${needsText.label}"`,
+            code: 'DESCRIPTION_REQUIRED',
+        };
+    }
+
+    return {
+        reasons,
+        priority: Math.max(
+            ...reasons.map((reason) =>
+                ReportReason.getSeverityRank(reason.severity)
+            )
+        ),
+    };
+};
+
+/**
+ * Recalculate the priority of pending reports that use `key`, after its
+ * severity changed. Closed reports keep the priority they were handled with.
+ * @returns {Promise<number>} - Number of reports updated
+ */
+const refreshReportPriorities = async (key) => {
+    const [reasons, reports] = await Promise.all([
+        ReportReason.find().select('key severity').lean(),
+        BusinessReport.find({ issueTypes: key, status: 'pending' })
+            .select('issueTypes priority')
+            .lean(),
+    ]);
+
+    const ranks = new Map(
+        reasons.map((reason) => [
+            reason.key,
+            ReportReason.getSeverityRank(reason.severity),
+        ])
+    );
+
+    const updates = reports
+        .map((report) => ({
+            _id: report._id,
+            priority: Math.max(
+                0,
+                ...report.issueTypes.map((type) => ranks.get(type) || 0)
+            ),
+            current: report.priority,
+        }))
+        .filter((report) => report.priority !== report.current)
+        .map((report) => ({
+            updateOne: {
+                filter: { _id: report._id },
+                update: { $set: { priority: report.priority } },
+            },
+        }));
+
+    if (updates.length > 0) {
+        await BusinessReport.bulkWrite(updates);
+    }
+    return updates.length;
+};
+
+module.exports = {
+    getActiveReasons,
+    checkReportReasons,
+    ensureDefaultReasons,
+    refreshReportPriorities,
+    DEFAULT_REASONS,
+    LEGACY_ISSUE_TYPES,
+};
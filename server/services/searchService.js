@@ -0,0 +1,301 @@
+// server/services/searchService.js
+
+/**
+ * Business Search Service
+ *
+ * Helpers for full-text search over the `text_search_index`
+ * (see config/indexes.js):
+ * - Folding Georgian and Latin spellings to one "search key" so that
+ *   "სახლი", "saxli" and "sakhli" find the same listing
+ * - Building the `$text` query from raw user input, with a word-prefix
+ *   fallback for partly typed words ("res" -> "restaurant")
+ * - Highlighted snippets for the result list
+ */
+
+// Georgian (Mkhedruli) to Latin, national romanization system
+const GEORGIAN_TO_LATIN = {
+    ა: "a",
+    ბ: "b",
+    გ: "g",
+    დ: "d",
+    ე: "e",
+    ვ: "v",
+    ზ: "z",
+    თ: "t",
+    ი: "i",
+    კ: "k",
+    ლ: "l",
+    მ: "m",
+    ნ: "n",
+    ო: "o",
+    პ: "p",
+    ჟ: "zh",
+    რ: "r",
+    ს: "s",
+    ტ: "t",
+    უ: "u",
+    ფ: "p",
+    ქ: "k",
+    ღ: "gh",
+    ყ: "q",
+    შ: "sh",
+    ჩ: "ch",
+    ც: "ts",
+    ძ: "dz",
+    წ: "ts",
+    ჭ: "ch",
+    ხ: "kh",
+    ჯ: "j",
+    ჰ: "h",
+};
+
+// Informal Latin spellings people type for the same Georgian sounds.
+// Applied in order after romanization, to both indexed text and queries.
+const SPELLING_FOLDS = [
+    [/tch/g, "ch"],
+    [/x/g, "kh"],
+    [/w/g, "v"],
+    [/c(?!h)/g, "ts"],
+    [/q/g, "k"],
+    [/gh/g, "g"],
+    [/y/g, "i"],
+    [/(.)\1+/g, "$1"], // "sakhlli" -> "sakhli"
+];
+
+const MAX_SEARCH_LENGTH = 100;
+const MAX_SEARCH_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+
+// Phone numbers and listing IDs aren't words, so they skip the text index
+const PHONE_PATTERN = /^[+]?[0-9\s\-()]{6,}$/;
+const BUSINESS_ID_PATTERN = /^[A-Za-z0-9_-]{10}$/;
+
+/**
+ * Fold a word or phrase to its search key
+ * Lowercases, strips diacritics, romanizes Georgian and normalizes
+ * common Latin spelling variants.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const toSearchKey = (text = "") => {
+    let key = String(text)
+        .toLowerCase()
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[\u10d0-\u10f0]/g, (char) => GEORGIAN_TO_LATIN[char] || "");
+
+    SPELLING_FOLDS.forEach(([pattern, replacement]) => {
+        key = key.replace(pattern, replacement);
+    });
+
+    return key;
+};
+
+/**
+ * Split text into words (Latin, Georgian and digits)
+ */
+const tokenize = (text = "") =>
+    String(text).match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Build the `searchKeywords` value stored on a Business
+ * Unique search keys of every word in the given fields.
+ *
+ * @param {...string} fields - e.g. businessName, shortDescription
+ * @returns {string}
+ */
+const buildSearchKeywords = (...fields) => {
+    const keys = new Set();
+
+    fields.forEach((field) => {
+        tokenize(field).forEach((word) => {
+            const key = toSearchKey(word);
+            if (key.length > 1) keys.add(key);
+        });
+    });
+
+    return [...keys].join(" ");
+};
+
+/**
+ * Words of a search query, as typed and folded
+ *
+ * @param {string} search - Raw user input
+ * @returns {{ words: string[], keys: string[] }}
+ */
+const getSearchTerms = (search = "") => {
+    const words = tokenize(String(search).slice(0, MAX_SEARCH_LENGTH))
+        .map((word) => word.toLowerCase())
+        .slice(0, MAX_SEARCH_TERMS);
+
+    const keys = words.map(toSearchKey).filter((key) => key.length > 0);
+
+    return {
+        words: [...new Set(words)],
+        keys: [...new Set(keys)],
+    };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Word-prefix filter on searchKeywords: every query key has to start one
+ * of the listing's keywords. Slower than $text and unscored, so only used
+ * when $text (whole words) finds nothing.
+ *
+ * @param {string[]} keys - Folded query terms
+ * @returns {Object}
+ */
+const buildPrefixFilter = (keys) => ({
+    searchKeywords: {
+        $all: keys.map((key) => new RegExp(`(?:^| )${escapeRegex(key)}`)),
+    },
+});
+
+/**
+ * Build the Mongo filter for a search query
+ *
+ * Word searches come with `prefixSearch`, the same search as word
+ * prefixes, for callers to fall back to when the `$text` filter matches
+ * nothing.
+ *
+ * @param {string} search - Raw user input
+ * @returns {{ filter: Object, isTextSearch: boolean, terms: Object,
+ *            prefixSearch?: Object } | null}
+ *          null when the query has nothing searchable
+ */
+const buildSearchFilter = (search = "") => {
+    const trimmed = String(search).trim().slice(0, MAX_SEARCH_LENGTH);
+    if (!trimmed) return null;
+
+    if (PHONE_PATTERN.test(trimmed)) {
+        // Digits in order, ignoring the separators the number was saved with
+        const digits = trimmed.replace(/\D/g, "").split("");
+        return {
+            filter: { mobile: { $regex: digits.join("[\\s\\-()]*") } },
+            isTextSearch: false,
+            terms: { words: [], keys: [] },
+        };
+    }
+
+    const terms = getSearchTerms(trimmed);
+    if (terms.words.length === 0) return null;
+
+    // Original words hit businessName/shortDescription, folded keys hit
+    // searchKeywords; $text ORs them and scores listings matching more
+    const textFilter = {
+        $text: {
+            $search: [...new Set([...terms.words, ...terms.keys])].join(" "),
+        },
+    };
+
+    return {
+        filter: BUSINESS_ID_PATTERN.test(trimmed)
+            ? { $or: [textFilter, { businessId: trimmed }] }
+            : textFilter,
+        isTextSearch: true,
+        terms,
+        prefixSearch:
+            terms.keys.length > 0
+                ? {
+                      filter: buildPrefixFilter(terms.keys),
+                      isTextSearch: false,
+                      terms,
+                  }
+                : null,
+    };
+};
+
+/**
+ * Split text into segments, marking words that match the search
+ * A word matches when its search key starts with one of the query keys.
+ *
+ * @param {string} text
+ * @param {string[]} keys - Folded query terms
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+const highlightText = (text = "", keys = []) => {
+    const segments = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let lastIndex = 0;
+    let match;
+
+    const push = (segmentText, isMatch) => {
+        if (!segmentText) return;
+        const last = segments[segments.length - 1];
+        if (last && last.match === isMatch) {
+            last.text += segmentText;
+        } else {
+            segments.push({ text: segmentText, match: isMatch });
+        }
+    };
+
+    while ((match = pattern.exec(text)) !== null) {
+        const wordKey = toSearchKey(match[0]);
+        const isMatch = keys.some((key) => wordKey.startsWith(key));
+
+        push(text.slice(lastIndex, match.index), false);
+        push(match[0], isMatch);
+        lastIndex = match.index + match[0].length;
+    }
+    push(text.slice(lastIndex), false);
+
+    return segments;
+};
+
+/**
+ * Cut a description down to a snippet around its first match
+ */
+const getSnippet = (text = "", keys = []) => {
+    if (text.length <= SNIPPET_LENGTH) return text;
+
+    const segments = highlightText(text, keys);
+    let offset = 0;
+    let firstMatch = -1;
+
+    for (const segment of segments) {
+        if (segment.match) {
+            firstMatch = offset;
+            break;
+        }
+        offset += segment.text.length;
+    }
+
+    const start = Math.max(
+        0,
+        Math.min(firstMatch - SNIPPET_LENGTH / 4, text.length - SNIPPET_LENGTH)
+    );
+    // Don't cut words in half
+    const from = start > 0 ? text.indexOf(" ", start) + 1 || start : 0;
+    const to = text.lastIndexOf(" ", from + SNIPPET_LENGTH);
+    const end = to > from ? to : from + SNIPPET_LENGTH;
+
+    return `${from > 0 ? "…" : ""}${text.slice(from, end).trim()}${
+        end < text.length ? "…" : ""
+    }`;
+};
+
+/**
+ * Highlighted name and description snippet for a search result
+ *
+ * @param {Object} business - Lean business document
+ * @param {{ keys: string[] }} terms - From getSearchTerms
+ * @returns {{ businessName: Array, shortDescription: Array }}
+ */
+const buildHighlights = (business, terms) => ({
+    businessName: highlightText(business.businessName || "", terms.keys),
+    shortDescription: highlightText(
+        getSnippet(business.shortDescription || "", terms.keys),
+        terms.keys
+    ),
+});
+
+module.exports = {
+    toSearchKey,
+    buildSearchKeywords,
+    getSearchTerms,
+    buildSearchFilter,
+    highlightText,
+    buildHighlights,
+};
@@ -0,0 +1,90 @@
+// server/services/storage/localDriver.js
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+
+/**
+ * Local Storage Driver
+ *
+ * Keeps uploads in a folder of the server ("businesses/x.webp" ->
+ * <root>/businesses/x.webp), served by express.static under /uploads.
+ * Same interface as s3Driver.js (see services/storageService.js).
+ */
+const createLocalDriver = ({ root }) => {
+    const rootPath = path.resolve(root);
+
+    // Keys never leave the root folder
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootPath, key);
+        if (!filePath.startsWith(`${rootPath}${path.sep}`)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const ignoreMissing = (error) => {
+        if (error.code !== 'ENOENT') throw error;
+        return null;
+    };
+
+    return {
+        name: 'local',
+        root: rootPath,
+        location: rootPath,
+
+        async check() {
+            await fsp.mkdir(rootPath, { recursive: true });
+        },
+
+        async put(key, buffer) {
+            const filePath = resolveKey(key);
+            await fsp.mkdir(path.dirname(filePath), { recursive: true });
+            await fsp.writeFile(filePath, buffer);
+        },
+
+        async get(key) {
+            return fsp.readFile(resolveKey(key)).catch(ignoreMissing);
+        },
+
+        async stat(key) {
+            const stats = await fsp.stat(resolveKey(key)).catch(ignoreMissing);
+            if (!stats || !stats.isFile()) return null;
+            return { size: stats.size, modifiedAt: stats.mtime };
+        },
+
+        async open(key) {
+            const stats = await this.stat(key);
+            if (!stats) return null;
+            return { ...stats, stream: fs.createReadStream(resolveKey(key)) };
+        },
+
+        async delete(key) {
+            await fsp.unlink(resolveKey(key)).catch(ignoreMissing);
+        },
+
+        // Every file under a key prefix ("" for all, "gallery/" for one area)
+        async *list(prefix = '') {
+            const entries = await fsp
+                .readdir(rootPath, { recursive: true, withFileTypes: true })
+                .catch(ignoreMissing);
+
+            for (const entry of entries || []) {
+                if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+                const key = path
+                    .relative(rootPath, path.join(entry.parentPath, entry.name))
+                    .split(path.sep)
+                    .join('/');
+                if (!key.startsWith(prefix)) continue;
+
+                const stats = await fsp.stat(path.join(entry.parentPath, entry.name));
+                yield { key, size: stats.size };
+            }
+        },
+
+        // Served by the /uploads route of the server itself
+        getUrl: (key) => `/uploads/${key}`,
+    };
+};
+
+module.exports = { createLocalDriver };
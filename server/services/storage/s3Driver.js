@@ -0,0 +1,156 @@
+// server/services/storage/s3Driver.js
+const {
+    S3Client,
+    HeadBucketCommand,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+
+/**
+ * S3 Storage Driver
+ *
+ * Keeps uploads in an S3-compatible bucket (AWS S3, MinIO, R2, ...) under
+ * an optional key prefix. With a publicUrl, images are linked straight to
+ * the bucket or its CDN; without one, the server's /uploads route streams
+ * them from the bucket (e.g. a private local MinIO bucket).
+ * Same interface as localDriver.js (see services/storageService.js).
+ */
+const createS3Driver = (
+    {
+        bucket,
+        region,
+        endpoint,
+        forcePathStyle,
+        accessKeyId,
+        secretAccessKey,
+        prefix = '',
+        publicUrl = '',
+    },
+    { cacheMaxAgeSeconds }
+) => {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        // Without keys the SDK's default chain applies (env, IAM role, ...)
+        credentials: accessKeyId
+            ? { accessKeyId, secretAccessKey }
+            : undefined,
+    });
+
+    const toObjectKey = (key) => `${prefix}${key}`;
+
+    const isNotFound = (error) =>
+        error.name === 'NoSuchKey' ||
+        error.name === 'NotFound' ||
+        error.$metadata?.httpStatusCode === 404;
+
+    const ignoreMissing = (error) => {
+        if (!isNotFound(error)) throw error;
+        return null;
+    };
+
+    return {
+        name: 's3',
+        bucket,
+        publicUrl,
+        location: `s3://${bucket}/${prefix}${endpoint ? ` (${endpoint})` : ''}`,
+
+        async check() {
+            try {
+                await client.send(new HeadBucketCommand({ Bucket: bucket }));
+            } catch (error) {
+                throw new Error(
+                    isNotFound(error)
+                        ? `S3 bucket "${bucket}" does not exist`
+                        : `S3 bucket "${bucket}" is not reachable: ${error.name}`
+                );
+            }
+        },
+
+        async put(key, buffer, { contentType } = {}) {
+            await client.send(
+                new PutObjectCommand({
+                    Bucket: bucket,
+                    Key: toObjectKey(key),
+                    Body: buffer,
+                    ContentType: contentType,
+                    CacheControl: `public, max-age=${cacheMaxAgeSeconds}`,
+                })
+            );
+        },
+
+        async get(key) {
+            const object = await client
+                .send(new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }))
+                .catch(ignoreMissing);
+            if (!object) return null;
+
+            return Buffer.from(await object.Body.transformToByteArray());
+        },
+
+        async stat(key) {
+            const head = await client
+                .send(new HeadObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }))
+                .catch(ignoreMissing);
+            if (!head) return null;
+
+            return { size: head.ContentLength, modifiedAt: head.LastModified };
+        },
+
+        async open(key) {
+            const object = await client
+                .send(new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }))
+                .catch(ignoreMissing);
+            if (!object) return null;
+
+            return {
+                size: object.ContentLength,
+                modifiedAt: object.LastModified,
+                stream: object.Body,
+            };
+        },
+
+        // Deleting a missing object succeeds in S3
+        async delete(key) {
+            await client.send(
+                new DeleteObjectCommand({ Bucket: bucket, Key: toObjectKey(key) })
+            );
+        },
+
+        // Every object under a key prefix ("" for all, "gallery/" for one area)
+        async *list(keyPrefix = '') {
+            let continuationToken;
+
+            do {
+                const page = await client.send(
+                    new ListObjectsV2Command({
+                        Bucket: bucket,
+                        Prefix: toObjectKey(keyPrefix),
+                        ContinuationToken: continuationToken,
+                    })
+                );
+
+                for (const object of page.Contents || []) {
+                    yield { key: object.Key.slice(prefix.length), size: object.Size };
+                }
+
+                continuationToken = page.IsTruncated
+                    ? page.NextContinuationToken
+                    : undefined;
+            } while (continuationToken);
+        },
+
+        getUrl: (key) =>
+            publicUrl ? `${publicUrl}/${toObjectKey(key)}` : `/uploads/${key}`,
+    };
+};
+
+module.exports = { createS3Driver };
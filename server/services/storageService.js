@@ -0,0 +1,267 @@
+// server/services/storageService.js
+const path = require('path');
+const express = require('express');
+const { STORAGE_CONFIG, STORAGE_DRIVERS } = require('../config/storage');
+const { createLocalDriver } = require('./storage/localDriver');
+const { createS3Driver } = require('./storage/s3Driver');
+
+/**
+ * Storage Service
+ *
+ * Every uploaded image is read and written through here, so the backend
+ * (STORAGE_DRIVER, see config/storage.js) can change without touching the
+ * image code:
+ * - local: the server's uploads folder (services/storage/localDriver.js)
+ * - s3: an S3-compatible bucket (services/storage/s3Driver.js)
+ *
+ * Callers use upload paths, the "/uploads/<key>" strings stored on
+ * listings, submissions and gallery photos. getUploadUrl() turns them into
+ * the URL of the active backend; the /uploads route (serveUploads) answers
+ * for both, so stored paths keep working after a migration
+ * (scripts/migrateStorage.js).
+ */
+
+const UPLOAD_PATH_PREFIX = '/uploads/';
+
+// Content types of the files the image pipeline writes
+const CONTENT_TYPES = {
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+};
+
+// Storage usage is listed from the backend at most this often
+const USAGE_CACHE_MS = 5 * 60 * 1000;
+
+let activeDriver = null;
+let usageCache = null;
+
+/**
+ * Create a driver by name (scripts/migrateStorage.js uses two at once)
+ *
+ * @param {string} name - "local" or "s3"
+ * @param {Object} [overrides] - Driver settings replacing STORAGE_CONFIG ones
+ */
+const createStorageDriver = (name, overrides = {}) => {
+    switch (name) {
+        case 'local':
+            return createLocalDriver({ ...STORAGE_CONFIG.local, ...overrides });
+        case 's3':
+            return createS3Driver(
+                { ...STORAGE_CONFIG.s3, ...overrides },
+                { cacheMaxAgeSeconds: STORAGE_CONFIG.cacheMaxAgeSeconds }
+            );
+        default:
+            throw new Error(
+                `Unknown storage driver "${name}" (expected ${STORAGE_DRIVERS.join(' or ')})`
+            );
+    }
+};
+
+// The configured driver, created on first use
+const getStorageDriver = () => {
+    if (!activeDriver) {
+        activeDriver = createStorageDriver(STORAGE_CONFIG.driver);
+    }
+    return activeDriver;
+};
+
+/**
+ * "/uploads/gallery/x.webp" -> "gallery/x.webp"
+ * Returns null for anything that isn't an upload path.
+ */
+const toStorageKey = (uploadPath) => {
+    if (typeof uploadPath !== 'string' || !uploadPath.startsWith(UPLOAD_PATH_PREFIX)) {
+        return null;
+    }
+
+    const key = uploadPath.slice(UPLOAD_PATH_PREFIX.length);
+    if (!key || key.split('/').some((part) => !part || part === '..')) {
+        return null;
+    }
+    return key;
+};
+
+// "gallery/x.webp" -> "/uploads/gallery/x.webp"
+const toUploadPath = (key) => `${UPLOAD_PATH_PREFIX}${key}`;
+
+const getContentType = (key) =>
+    CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// Helper: storage key of an upload path, or an error for anything else
+const requireStorageKey = (uploadPath) => {
+    const key = toStorageKey(uploadPath);
+    if (!key) {
+        throw new Error(`Not an upload path: ${uploadPath}`);
+    }
+    return key;
+};
+
+/**
+ * Write a file
+ * @param {string} uploadPath - "/uploads/<area>/<filename>"
+ * @param {Buffer} buffer
+ */
+const saveUpload = async (uploadPath, buffer) => {
+    const key = requireStorageKey(uploadPath);
+    await getStorageDriver().put(key, buffer, { contentType: getContentType(key) });
+    usageCache = null;
+};
+
+/**
+ * Read a file
+ * @returns {Promise<Buffer|null>} - null when the file doesn't exist
+ */
+const readUpload = async (uploadPath) => {
+    const key = toStorageKey(uploadPath);
+    return key ? getStorageDriver().get(key) : null;
+};
+
+/**
+ * Size of a file
+ * @returns {Promise<{size: number, modifiedAt: Date}|null>} - null when missing
+ */
+const statUpload = async (uploadPath) => {
+    const key = toStorageKey(uploadPath);
+    return key ? getStorageDriver().stat(key) : null;
+};
+
+/**
+ * Delete a file; missing files and non-upload paths are ignored
+ */
+const deleteUpload = async (uploadPath) => {
+    const key = toStorageKey(uploadPath);
+    if (!key) return;
+
+    await getStorageDriver().delete(key);
+    usageCache = null;
+};
+
+/**
+ * URL of an upload on the active backend: the path itself for files served
+ * by /uploads, an absolute URL for a public bucket
+ */
+const getUploadUrl = (uploadPath) => {
+    const key = toStorageKey(uploadPath);
+    return key ? getStorageDriver().getUrl(key) : uploadPath;
+};
+
+/**
+ * Files and bytes per area ("businesses", "gallery", "submissions")
+ *
+ * @returns {Promise<Object>} - { driver, location, totalFiles, totalBytes,
+ *   areas: { [area]: { files, bytes } } }
+ */
+const getStorageUsage = async () => {
+    if (usageCache && Date.now() - usageCache.at < USAGE_CACHE_MS) {
+        return usageCache.usage;
+    }
+
+    const driver = getStorageDriver();
+    const usage = {
+        driver: driver.name,
+        location: driver.location,
+        totalFiles: 0,
+        totalBytes: 0,
+        areas: {},
+    };
+
+    for await (const { key, size } of driver.list()) {
+        const area = key.includes('/') ? key.split('/')[0] : '';
+        usage.areas[area] = usage.areas[area] || { files: 0, bytes: 0 };
+        usage.areas[area].files++;
+        usage.areas[area].bytes += size;
+        usage.totalFiles++;
+        usage.totalBytes += size;
+    }
+
+    usageCache = { at: Date.now(), usage };
+    return usage;
+};
+
+/**
+ * Check that the backend is reachable (logged at startup)
+ */
+const checkStorage = async () => {
+    const driver = getStorageDriver();
+    await driver.check();
+    return { driver: driver.name, location: driver.location };
+};
+
+/**
+ * Express handler for /uploads
+ * - local: the uploads folder, with cache headers
+ * - s3 with a public URL: redirect to the bucket/CDN
+ * - s3 without one: stream the object from the bucket
+ */
+const serveUploads = () => {
+    const driver = getStorageDriver();
+    const maxAgeMs = STORAGE_CONFIG.cacheMaxAgeSeconds * 1000;
+
+    if (driver.name === 'local') {
+        return express.static(driver.root, {
+            maxAge: maxAgeMs,
+            etag: true, // Enable ETags for 304 responses
+            lastModified: true, // Enable Last-Modified headers
+        });
+    }
+
+    return async (req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+        let key = null;
+        try {
+            key = toStorageKey(`${UPLOAD_PATH_PREFIX}${decodeURIComponent(req.path.slice(1))}`);
+        } catch {
+            // Malformed escape sequence
+        }
+        if (!key) return next();
+
+        if (driver.publicUrl) {
+            return res.redirect(302, driver.getUrl(key));
+        }
+
+        try {
+            const file = await driver.open(key);
+            if (!file) return next();
+
+            res.set({
+                'Content-Type': getContentType(key),
+                'Content-Length': file.size,
+                'Cache-Control': `public, max-age=${STORAGE_CONFIG.cacheMaxAgeSeconds}`,
+            });
+            if (file.modifiedAt) {
+                res.set('Last-Modified', file.modifiedAt.toUTCString());
+            }
+
+            if (req.method === 'HEAD') {
+                file.stream.destroy();
+                return res.end();
+            }
+
+            file.stream.on('error', next);
+            file.stream.pipe(res);
+        } catch (error) {
+            console.error(`❌ Failed to stream upload ${key}:`, error.message);
+            next(error);
+        }
+    };
+};
+
+module.exports = {
+    createStorageDriver,
+    getStorageDriver,
+    toStorageKey,
+    toUploadPath,
+    getContentType,
+    saveUpload,
+    readUpload,
+    statUpload,
+    deleteUpload,
+    getUploadUrl,
+    getStorageUsage,
+    checkStorage,
+    serveUploads,
+};
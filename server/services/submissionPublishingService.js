@@ -0,0 +1,151 @@
+// server/services/submissionPublishingService.js
+const Business = require('../models/Business');
+const { getSubmissionImagePath } = require('./imageProcessingService');
+const { readUpload } = require('./storageService');
+const {
+    processProfileImage,
+    deleteProfileImage,
+} = require('./businessImageService');
+const { normalizeTranslations } = require('./businessContentService');
+
+/**
+ * Submission Publishing Service
+ *
+ * Turns an approved BusinessSubmission into a live Business listing:
+ * - Maps submission fields onto the Business model
+ * - Runs the submission image through the responsive pipeline into the
+ *   businesses upload folder, so deleting the submission later never breaks
+ *   the listing
+ * - Links the listing and the submission to each other
+ *
+ * Taking an approval back (rejecting or reopening the submission) hides the
+ * listing instead of deleting it, so edits, reviews and owner claims made
+ * in the meantime survive; approving again shows it again.
+ */
+
+// Business.hiddenReason of listings hidden by withdrawSubmission()
+const WITHDRAWN_REASON = 'Submission approval withdrawn';
+
+/**
+ * Read the submission's processed image (WebP, else AVIF)
+ * Returns null when the submission has no image.
+ */
+const readSubmissionImage = async (submission) => {
+    const filename = submission.profileImageWebp || submission.profileImageAvif;
+    if (!filename) return null;
+
+    const buffer = await readUpload(getSubmissionImagePath(filename));
+    if (!buffer) {
+        throw new Error(`Submission image not found: ${filename}`);
+    }
+    return buffer;
+};
+
+/**
+ * Map submission fields onto the Business schema
+ */
+const mapSubmissionToBusiness = (submission) => ({
+    businessName: submission.businessName,
+    categories: [...(submission.categories || [])],
+    businessType: submission.businessType,
+    cities: [...(submission.cities || [])],
+    mobile: submission.mobile,
+    shortDescription: submission.shortDescription || '',
+    translations: normalizeTranslations(submission.translations) || undefined,
+    openingHours: submission.openingHours?.toObject() || undefined,
+    location: submission.location?.toObject() || undefined,
+    socialLinks: {
+        facebook: submission.socialLinks?.facebook || '',
+        instagram: submission.socialLinks?.instagram || '',
+        tiktok: submission.socialLinks?.tiktok || '',
+        youtube: submission.socialLinks?.youtube || '',
+    },
+    sourceSubmission: submission._id,
+});
+
+/**
+ * Main function: Publish submission as a Business listing
+ *
+ * Reuses the existing listing if the submission was already published and
+ * that listing still exists. The submission itself is not saved here -
+ * the caller sets the status and saves it together with publishedBusiness.
+ *
+ * @param {Object} submission - BusinessSubmission document
+ * @returns {Object} - { business, created }
+ */
+const publishSubmission = async (submission) => {
+    if (submission.publishedBusiness) {
+        const existing = await Business.findById(submission.publishedBusiness);
+        if (existing) {
+            // Hidden when the approval was withdrawn; other hides (e.g. the
+            // report auto-hide rule) are left for the reports page
+            if (existing.hiddenAt && existing.hiddenReason === WITHDRAWN_REASON) {
+                existing.hiddenAt = null;
+                existing.hiddenReason = '';
+                await existing.save();
+            }
+            return { business: existing, created: false };
+        }
+    }
+
+    const business = new Business(mapSubmissionToBusiness(submission));
+
+    let images = null;
+
+    try {
+        const imageBuffer = await readSubmissionImage(submission);
+        if (imageBuffer) {
+            images = await processProfileImage(imageBuffer, business._id);
+            business.set(images);
+        }
+
+        await business.save();
+    } catch (error) {
+        await deleteProfileImage(images);
+        throw error;
+    }
+
+    submission.publishedBusiness = business._id;
+
+    console.log(`📢 Submission ${submission.submissionId} published as business ${business.businessId}`);
+
+    return { business, created: true };
+};
+
+/**
+ * Undo a publish that could not be recorded on the submission
+ */
+const unpublishBusiness = async (business) => {
+    await Business.findByIdAndDelete(business._id);
+    await deleteProfileImage(business);
+};
+
+/**
+ * Hide the listing of a submission whose approval is taken back
+ *
+ * @param {Object} submission - BusinessSubmission document
+ * @returns {Object|null} - The hidden listing, or null if there was none
+ *   (or it was already hidden)
+ */
+const withdrawSubmission = async (submission) => {
+    if (!submission.publishedBusiness) return null;
+
+    const business = await Business.findOneAndUpdate(
+        { _id: submission.publishedBusiness, hiddenAt: null },
+        { $set: { hiddenAt: new Date(), hiddenReason: WITHDRAWN_REASON } },
+        { new: true }
+    );
+
+    if (business) {
+        console.log(`🙈 Business ${business.businessId} hidden: submission ${submission.submissionId} no longer approved`);
+    }
+
+    return business;
+};
+
+module.exports = {
+    publishSubmission,
+    unpublishBusiness,
+    withdrawSubmission,
+    mapSubmissionToBusiness,
+};
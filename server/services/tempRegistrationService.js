@@ -1,30 +1,25 @@
 /**
  * Temporary Registration Storage Service
- * 
+ *
  * This service implements the "verify-before-save" architecture by storing
- * registration data in memory until email verification is completed.
- * 
+ * registration data until email verification is completed.
+ *
  * Key Benefits:
- * - Zero database pollution from unverified registrations
- * - Fast in-memory operations 
- * - Automatic cleanup of expired registrations
- * - Memory-efficient storage
- * 
+ * - Zero pollution of the users collection from unverified registrations
+ * - Pending registrations survive restarts and deploys, so verification
+ *   links keep working
+ * - Shared by every server process
+ *
  * Architecture:
- * - In-memory Map for O(1) token lookup
- * - Automatic expiration handling
- * - Periodic cleanup to prevent memory leaks
- * - Thread-safe operations
+ * - PendingRegistration collection, looked up by a hash of the token
+ * - One pending registration per email (unique index)
+ * - Expired registrations are ignored by every lookup and removed by a
+ *   TTL index, so no cleanup interval is needed
  */
 
 const bcrypt = require('bcryptjs');
-
-/**
- * In-memory storage for temporary registrations
- * Key: verification token (string)
- * Value: registration data object
- */
-const tempRegistrations = new Map();
+const crypto = require('crypto');
+const PendingRegistration = require('../models/PendingRegistration');
 
 /**
  * Configuration constants
@@ -33,69 +28,64 @@ const CONFIG = {
     // How long registration data is kept before expiration
     REGISTRATION_EXPIRY_MS: 24 * 60 * 60 * 1000, // 24 hours
 
-    // How often to run cleanup of expired registrations
-    CLEANUP_INTERVAL_MS: 60 * 60 * 1000, // 1 hour
-
-    // Maximum number of temporary registrations to prevent memory exhaustion
-    MAX_TEMP_REGISTRATIONS: 10000,
-
     // Bcrypt rounds for password hashing (same as User model)
     BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
 };
 
+// Tokens are stored hashed, like passwords
+const hashToken = (token) =>
+    crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => email.toLowerCase().trim();
+
+// Filter for registrations whose link hasn't expired yet
+const notExpired = () => ({ expiresAt: { $gt: new Date() } });
+
 /**
  * Store registration data temporarily until email verification
- * 
+ *
  * @param {string} verificationToken - Unique token for this registration
  * @param {Object} registrationData - User registration data
  * @param {string} registrationData.email - User email
  * @param {string} registrationData.password - Plain text password (will be hashed)
  * @param {string} registrationData.name - User name
  * @param {string} [registrationData.phone] - Optional phone number
+ * @param {string} [registrationData.language] - Preferred language (ka/en/ru)
  * @returns {Promise<boolean>} - True if stored successfully
  */
 async function storeTempRegistration(verificationToken, registrationData) {
     try {
-        // Check if we're at maximum capacity
-        if (tempRegistrations.size >= CONFIG.MAX_TEMP_REGISTRATIONS) {
-            console.warn(`⚠️  Temporary registrations at maximum capacity (${CONFIG.MAX_TEMP_REGISTRATIONS}). Running cleanup...`);
-            await cleanupExpiredRegistrations();
-            
-            // If still at capacity after cleanup, reject new registration
-            if (tempRegistrations.size >= CONFIG.MAX_TEMP_REGISTRATIONS) {
-                console.error('🚨 Cannot store temporary registration - memory limit reached');
-                return false;
-            }
-        }
-        
+        const email = normalizeEmail(registrationData.email);
+
+        // An expired registration the TTL monitor hasn't removed yet
+        // would block the unique email index
+        await PendingRegistration.deleteMany({
+            email,
+            expiresAt: { $lte: new Date() },
+        });
+
         // Hash the password before storing
         const salt = await bcrypt.genSalt(CONFIG.BCRYPT_ROUNDS);
         const hashedPassword = await bcrypt.hash(registrationData.password, salt);
-        
-        // Create registration record
-        const registrationRecord = {
-            email: registrationData.email.toLowerCase().trim(),
+
+        await PendingRegistration.create({
+            email,
             password: hashedPassword, // Store hashed password
             name: registrationData.name.trim(),
             phone: registrationData.phone ? registrationData.phone.trim() : undefined,
-            
-            // Metadata
-            createdAt: new Date(),
+            language: registrationData.language,
+            verificationTokenHash: hashToken(verificationToken),
             expiresAt: new Date(Date.now() + CONFIG.REGISTRATION_EXPIRY_MS),
-            verificationToken: verificationToken,
-            
+
             // Security tracking
             ipAddress: registrationData.ipAddress || 'unknown',
             userAgent: registrationData.userAgent || 'unknown'
-        };
-        
-        // Store in memory
-        tempRegistrations.set(verificationToken, registrationRecord);
-        
-        console.log(`📝 Temporary registration stored for ${registrationData.email} (expires in 24h)`);
-        
+        });
+
+        console.log(`📝 Temporary registration stored for ${email} (expires in 24h)`);
+
         return true;
-        
+
     } catch (error) {
         console.error('❌ Failed to store temporary registration:', error);
         return false;
@@ -104,141 +94,123 @@ async function storeTempRegistration(verificationToken, registrationData) {
 
 /**
  * Retrieve and remove temporary registration data
- * 
+ *
  * @param {string} verificationToken - Token to look up
- * @returns {Object|null} - Registration data or null if not found/expired
+ * @returns {Promise<Object|null>} - Registration data (with the hashed password) or null if not found/expired
  */
-function retrieveAndRemoveTempRegistration(verificationToken) {
+async function retrieveAndRemoveTempRegistration(verificationToken) {
     if (!verificationToken || typeof verificationToken !== 'string') {
         return null;
     }
-    
-    const registration = tempRegistrations.get(verificationToken);
-    
+
+    // Atomic, so a link opened twice at once only creates one account
+    const registration = await PendingRegistration.findOneAndDelete({
+        verificationTokenHash: hashToken(verificationToken),
+        ...notExpired(),
+    })
+        .select('+password')
+        .lean();
+
     if (!registration) {
         return null;
     }
-    
-    // Check if registration has expired
-    if (registration.expiresAt < new Date()) {
-        tempRegistrations.delete(verificationToken);
-        console.log(`🕐 Expired temporary registration removed: ${registration.email}`);
-        return null;
-    }
-    
-    // Remove from temporary storage (consume the token)
-    tempRegistrations.delete(verificationToken);
-    
+
     console.log(`✅ Retrieved temporary registration: ${registration.email}`);
-    
-    return registration;
+
+    return { ...registration, verificationToken };
 }
 
 /**
  * Check if a temporary registration exists for a token
  * Does not consume/remove the registration
- * 
+ *
  * @param {string} verificationToken - Token to check
- * @returns {boolean} - True if valid registration exists
+ * @returns {Promise<boolean>} - True if valid registration exists
  */
-function hasTempRegistration(verificationToken) {
-    if (!verificationToken) return false;
-    
-    const registration = tempRegistrations.get(verificationToken);
-    
-    if (!registration) return false;
-    
-    // Check expiration
-    if (registration.expiresAt < new Date()) {
-        tempRegistrations.delete(verificationToken);
+async function hasTempRegistration(verificationToken) {
+    if (!verificationToken || typeof verificationToken !== 'string') {
         return false;
     }
-    
-    return true;
+
+    const exists = await PendingRegistration.exists({
+        verificationTokenHash: hashToken(verificationToken),
+        ...notExpired(),
+    });
+
+    return !!exists;
 }
 
 /**
  * Check if an email has a pending registration
  * Useful for preventing duplicate registrations
- * 
+ *
  * @param {string} email - Email to check
- * @returns {boolean} - True if email has pending registration
+ * @returns {Promise<boolean>} - True if email has pending registration
  */
-function hasEmailPendingRegistration(email) {
+async function hasEmailPendingRegistration(email) {
     if (!email) return false;
-    
-    const normalizedEmail = email.toLowerCase().trim();
-    
-    for (const [token, registration] of tempRegistrations) {
-        if (registration.email === normalizedEmail) {
-            // Check if still valid
-            if (registration.expiresAt >= new Date()) {
-                return true;
-            } else {
-                // Clean up expired registration
-                tempRegistrations.delete(token);
-            }
-        }
-    }
-    
-    return false;
+
+    const exists = await PendingRegistration.exists({
+        email: normalizeEmail(email),
+        ...notExpired(),
+    });
+
+    return !!exists;
 }
 
 /**
- * Clean up expired temporary registrations
- * Prevents memory leaks by removing old data
+ * Remove expired temporary registrations now
+ * The TTL index does this on its own (about once a minute); this is for
+ * manual/admin use.
  *
  * @returns {Promise<number>} - Number of registrations cleaned up
  */
 async function cleanupExpiredRegistrations() {
-    const currentTime = new Date();
-    let cleanedCount = 0;
-
-    for (const [token, registration] of tempRegistrations) {
-        if (registration.expiresAt < currentTime) {
-            tempRegistrations.delete(token);
-            cleanedCount++;
-        }
-    }
+    const result = await PendingRegistration.deleteMany({
+        expiresAt: { $lte: new Date() },
+    });
 
-    if (cleanedCount > 0) {
+    if (result.deletedCount > 0) {
         console.log(
-            `🧹 Cleaned up ${cleanedCount} expired temporary registrations`
+            `🧹 Cleaned up ${result.deletedCount} expired temporary registrations`
         );
     }
 
-    return cleanedCount;
+    return result.deletedCount;
 }
 
 /**
  * Get service statistics
- * Useful for monitoring and debugging
+ * Used by the admin dashboard
  *
- * @returns {Object} - Service statistics
+ * @returns {Promise<Object>} - Service statistics
  */
-function getServiceStats() {
+async function getServiceStats() {
     const now = new Date();
-    let expiredCount = 0;
-    let validCount = 0;
-
-    for (const registration of tempRegistrations.values()) {
-        if (registration.expiresAt < now) {
-            expiredCount++;
-        } else {
-            validCount++;
-        }
-    }
+    const inOneHour = new Date(now.getTime() + 60 * 60 * 1000);
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    const [validRegistrations, expiringSoon, createdToday, totalRegistrations] =
+        await Promise.all([
+            PendingRegistration.countDocuments(notExpired()),
+            PendingRegistration.countDocuments({
+                expiresAt: { $gt: now, $lte: inOneHour },
+            }),
+            PendingRegistration.countDocuments({
+                createdAt: { $gte: startOfDay },
+                ...notExpired(),
+            }),
+            PendingRegistration.estimatedDocumentCount(),
+        ]);
 
     return {
-        totalRegistrations: tempRegistrations.size,
-        validRegistrations: validCount,
-        expiredRegistrations: expiredCount,
-        maxCapacity: CONFIG.MAX_TEMP_REGISTRATIONS,
-        memoryUsagePercent: Math.round(
-            (tempRegistrations.size / CONFIG.MAX_TEMP_REGISTRATIONS) * 100
-        ),
+        totalRegistrations,
+        validRegistrations,
+        // Expired but not yet removed by the TTL monitor
+        expiredRegistrations: Math.max(0, totalRegistrations - validRegistrations),
+        expiringSoon,
+        createdToday,
         expiryTimeHours: CONFIG.REGISTRATION_EXPIRY_MS / (60 * 60 * 1000),
-        cleanupIntervalHours: CONFIG.CLEANUP_INTERVAL_MS / (60 * 60 * 1000),
     };
 }
 
@@ -246,98 +218,63 @@ function getServiceStats() {
  * Clear all temporary registrations
  * Used for testing and emergency cleanup
  *
- * @returns {number} - Number of registrations cleared
+ * @returns {Promise<number>} - Number of registrations cleared
  */
-function clearAllTempRegistrations() {
-    const count = tempRegistrations.size;
-    tempRegistrations.clear();
-    console.log(`🗑️  Cleared all ${count} temporary registrations`);
-    return count;
+async function clearAllTempRegistrations() {
+    const result = await PendingRegistration.deleteMany({});
+    console.log(`🗑️  Cleared all ${result.deletedCount} temporary registrations`);
+    return result.deletedCount;
 }
 
 /**
  * Get pending registration data by email (for resending verification)
- * Returns the registration data if found and not expired
+ * Returns the registration data if found and not expired. The password
+ * hash and verification token are not included; use
+ * regenerateVerificationToken to get a new token.
  *
  * @param {string} email - Email to look up
- * @returns {Object|null} - Registration data or null if not found/expired
+ * @returns {Promise<Object|null>} - Registration data or null if not found/expired
  */
-function getPendingRegistrationByEmail(email) {
+async function getPendingRegistrationByEmail(email) {
     if (!email) return null;
-    
-    const normalizedEmail = email.toLowerCase().trim();
-    const now = new Date();
-    
-    for (const [token, registration] of tempRegistrations) {
-        if (registration.email === normalizedEmail) {
-            // Check if still valid
-            if (registration.expiresAt >= now) {
-                return {
-                    ...registration,
-                    verificationToken: token // Include the token for resending
-                };
-            } else {
-                // Clean up expired registration
-                tempRegistrations.delete(token);
-            }
-        }
-    }
-    
-    return null;
+
+    return PendingRegistration.findOne({
+        email: normalizeEmail(email),
+        ...notExpired(),
+    }).lean();
 }
 
 /**
  * Regenerate verification token for existing temporary registration
  * This invalidates the old token and creates a new one for security
- * 
+ *
  * @param {string} email - Email to regenerate token for
  * @param {string} newVerificationToken - New token to use
- * @returns {Object|null} - Updated registration data or null if not found/expired
+ * @returns {Promise<Object|null>} - Updated registration data or null if not found/expired
  */
-function regenerateVerificationToken(email, newVerificationToken) {
+async function regenerateVerificationToken(email, newVerificationToken) {
     if (!email || !newVerificationToken) return null;
-    
-    const normalizedEmail = email.toLowerCase().trim();
-    const now = new Date();
-    
-    // Find existing registration
-    let oldToken = null;
-    let registration = null;
-    
-    for (const [token, reg] of tempRegistrations) {
-        if (reg.email === normalizedEmail) {
-            // Check if still valid
-            if (reg.expiresAt >= now) {
-                oldToken = token;
-                registration = reg;
-                break;
-            } else {
-                // Clean up expired registration
-                tempRegistrations.delete(token);
+
+    const normalizedEmail = normalizeEmail(email);
+
+    const updatedRegistration = await PendingRegistration.findOneAndUpdate(
+        { email: normalizedEmail, ...notExpired() },
+        {
+            $set: {
+                verificationTokenHash: hashToken(newVerificationToken),
+                expiresAt: new Date(Date.now() + CONFIG.REGISTRATION_EXPIRY_MS), // Reset expiry to full 24h
+                tokenRegeneratedAt: new Date() // Track when token was regenerated
             }
-        }
-    }
-    
-    if (!registration || !oldToken) {
+        },
+        { new: true }
+    ).lean();
+
+    if (!updatedRegistration) {
         return null;
     }
-    
-    // Remove old token entry
-    tempRegistrations.delete(oldToken);
-    
-    // Update registration with new token and reset expiry
-    const updatedRegistration = {
-        ...registration,
-        verificationToken: newVerificationToken,
-        expiresAt: new Date(Date.now() + CONFIG.REGISTRATION_EXPIRY_MS), // Reset expiry to full 24h
-        tokenRegeneratedAt: new Date() // Track when token was regenerated
-    };
-    
-    // Store with new token
-    tempRegistrations.set(newVerificationToken, updatedRegistration);
-    
+
     console.log(`🔄 Verification token regenerated for ${normalizedEmail} (old token invalidated)`);
-    
+
     return {
         ...updatedRegistration,
         verificationToken: newVerificationToken
@@ -345,45 +282,29 @@ function regenerateVerificationToken(email, newVerificationToken) {
 }
 
 /**
- * Get all pending emails (for admin monitoring)
- * Returns only email addresses, not full registration data for privacy
+ * Get pending registrations (for admin monitoring)
+ * Returns only email addresses and timing, not full registration data for privacy
  *
- * @returns {Array<Object>} - Array of pending registration info
+ * @param {number} [limit=100] - Maximum number of registrations
+ * @returns {Promise<Array<Object>>} - Array of pending registration info
  */
-function getPendingRegistrations() {
-    const pending = [];
+async function getPendingRegistrations(limit = 100) {
     const now = new Date();
 
-    for (const registration of tempRegistrations.values()) {
-        if (registration.expiresAt >= now) {
-            pending.push({
-                email: registration.email,
-                createdAt: registration.createdAt,
-                expiresAt: registration.expiresAt,
-                timeRemaining: Math.round(
-                    (registration.expiresAt - now) / (60 * 1000)
-                ), // minutes
-            });
-        }
-    }
-
-    return pending.sort((a, b) => b.createdAt - a.createdAt);
-}
-
-/**
- * Start automatic cleanup interval
- * Called once when server starts
- */
-function startCleanupInterval() {
-    setInterval(async () => {
-        await cleanupExpiredRegistrations();
-    }, CONFIG.CLEANUP_INTERVAL_MS);
-
-    console.log(
-        `🔄 Started temporary registration cleanup (every ${
-            CONFIG.CLEANUP_INTERVAL_MS / (60 * 1000)
-        } minutes)`
-    );
+    const registrations = await PendingRegistration.find(notExpired())
+        .select('email createdAt expiresAt')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+
+    return registrations.map((registration) => ({
+        email: registration.email,
+        createdAt: registration.createdAt,
+        expiresAt: registration.expiresAt,
+        timeRemaining: Math.round(
+            (registration.expiresAt - now) / (60 * 1000)
+        ), // minutes
+    }));
 }
 
 /**
@@ -391,12 +312,9 @@ function startCleanupInterval() {
  * Called once when server starts
  */
 function initService() {
-    console.log(`🚀 Temporary Registration Service initialized`);
-    console.log(`   - Max capacity: ${CONFIG.MAX_TEMP_REGISTRATIONS} registrations`);
+    console.log(`🚀 Temporary Registration Service initialized (MongoDB)`);
     console.log(`   - Registration expiry: ${CONFIG.REGISTRATION_EXPIRY_MS / (60 * 60 * 1000)} hours`);
-    console.log(`   - Cleanup interval: ${CONFIG.CLEANUP_INTERVAL_MS / (60 * 1000)} minutes`);
-    
-    startCleanupInterval();
+    console.log(`   - Expired registrations removed by TTL index`);
 }
 
 // Initialize service if not in test environment
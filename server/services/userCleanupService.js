@@ -1,5 +1,11 @@
 // server/services/userCleanupService.js
 const User = require("../models/User");
+const Rating = require("../models/Rating");
+const Review = require("../models/Review");
+const UserSession = require("../models/UserSession");
+const Business = require("../models/Business");
+const BusinessClaim = require("../models/BusinessClaim");
+const BusinessEditRequest = require("../models/BusinessEditRequest");
 
 /**
  * User Cleanup Service for Delayed Deletion System
@@ -131,13 +137,28 @@ class UserCleanupService {
         }
 
         try {
-            // Future-proof: Clean up associated data
+            // Clean up associated data
+            // Ratings live in their own collection - remove them and refresh
+            // the affected business averages
+            const removedRatings = await Rating.removeUserRatings(userId);
+
+            // Reviews written by the user, and their reports on other reviews
+            const removedReviews = await Review.removeUserReviews(userId);
+
+            // Sessions were revoked when deletion was scheduled; drop them entirely
+            await UserSession.deleteMany({ user: userId });
+
+            // Owned listings stay published but become claimable again
+            await Business.updateMany(
+                { owner: userId },
+                { $set: { owner: null, ownerSince: null } }
+            );
+            await BusinessClaim.deleteMany({ user: userId });
+            await BusinessEditRequest.deleteMany({ owner: userId });
+
             // This is where you would add cleanup for:
-            // - Business reviews/ratings by this user
-            // - Comments or posts by this user
             // - Any other user-related data
-            
-            // For now, we focus on the user record itself
+
             // The user's favorites are embedded, so they'll be deleted with the user
 
             // Perform the actual deletion
@@ -152,6 +173,8 @@ class UserCleanupService {
             console.log(`   - Originally scheduled: ${scheduledAt?.toISOString()}`);
             console.log(`   - Deletion deadline: ${scheduledFor.toISOString()}`);
             console.log(`   - Account age: ${this._calculateAccountAge(deleteResult.createdAt)} days`);
+            console.log(`   - Ratings removed: ${removedRatings}`);
+            console.log(`   - Reviews removed: ${removedReviews}`);
 
         } catch (error) {
             // Re-throw with additional context
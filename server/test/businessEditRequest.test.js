@@ -0,0 +1,105 @@
+// server/test/businessEditRequest.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const BusinessClaim = require("../models/BusinessClaim");
+const BusinessEditRequest = require("../models/BusinessEditRequest");
+
+const listing = () => ({
+    businessName: "Nino's Bakery",
+    shortDescription: "Fresh bread every morning",
+    mobile: "555123456",
+    socialLinks: { facebook: "https://facebook.com/ninos" },
+});
+
+const findIndex = (Model, name) =>
+    Model.schema.indexes().find(([, options]) => options.name === name);
+
+describe("BusinessEditRequest.buildChanges", () => {
+    it("keeps only the fields that differ, with their live value", () => {
+        const changes = BusinessEditRequest.buildChanges(listing(), {
+            businessName: "Nino's Bakery",
+            mobile: "555000000",
+            "socialLinks.instagram": "https://instagram.com/ninos",
+        });
+
+        assert.deepEqual(changes, [
+            { field: "mobile", before: "555123456", after: "555000000" },
+            {
+                field: "socialLinks.instagram",
+                before: "",
+                after: "https://instagram.com/ninos",
+            },
+        ]);
+    });
+
+    it("ignores fields owners can't edit", () => {
+        assert.deepEqual(
+            BusinessEditRequest.buildChanges(listing(), { verified: "true" }),
+            []
+        );
+    });
+});
+
+describe("BusinessEditRequest#getStaleFields", () => {
+    const proposeEdit = (business, proposed) =>
+        new BusinessEditRequest({
+            business: new mongoose.Types.ObjectId(),
+            owner: new mongoose.Types.ObjectId(),
+            changes: BusinessEditRequest.buildChanges(business, proposed),
+        });
+
+    it("is empty while the listing is unchanged", () => {
+        const business = listing();
+        const editRequest = proposeEdit(business, { mobile: "555000000" });
+
+        assert.deepEqual(editRequest.getStaleFields(business), []);
+    });
+
+    it("lists fields an admin changed after the edit was proposed", () => {
+        const business = listing();
+        const editRequest = proposeEdit(business, {
+            businessName: "Nino's Bakery & Cafe",
+            mobile: "555000000",
+        });
+
+        business.mobile = "555999999";
+
+        assert.deepEqual(editRequest.getStaleFields(business), ["mobile"]);
+    });
+
+    it("ignores admin changes to fields the edit doesn't touch", () => {
+        const business = listing();
+        const editRequest = proposeEdit(business, { mobile: "555000000" });
+
+        business.shortDescription = "Bread and pastries";
+        business.socialLinks.facebook = "";
+
+        assert.deepEqual(editRequest.getStaleFields(business), []);
+    });
+});
+
+describe("one pending request at a time", () => {
+    it("allows one pending claim per user and listing", () => {
+        const [fields, options] = findIndex(
+            BusinessClaim,
+            "one_pending_claim_per_user_business"
+        );
+
+        assert.deepEqual(fields, { user: 1, business: 1 });
+        assert.equal(options.unique, true);
+        assert.deepEqual(options.partialFilterExpression, { status: "pending" });
+    });
+
+    it("allows one pending edit per listing", () => {
+        const [fields, options] = findIndex(
+            BusinessEditRequest,
+            "one_pending_edit_per_business"
+        );
+
+        assert.deepEqual(fields, { business: 1 });
+        assert.equal(options.unique, true);
+        assert.deepEqual(options.partialFilterExpression, { status: "pending" });
+    });
+});
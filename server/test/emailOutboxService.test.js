@@ -0,0 +1,155 @@
+// server/test/emailOutboxService.test.js
+const { describe, it, mock, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const EmailMessage = require("../models/EmailMessage");
+const emailTransport = require("../services/emailTransport");
+const { EMAIL_OUTBOX } = require("../config/email");
+
+// Mocked before the outbox service picks deliverEmail up
+const deliverEmail = mock.method(emailTransport, "deliverEmail", async () => ({
+    messageId: "<sent@test>",
+}));
+const emailOutboxService = require("../services/emailOutboxService");
+
+const NOW = Date.parse("2025-01-06T10:00:00Z");
+
+const claimedMessage = (fields = {}) => ({
+    _id: "message-1",
+    to: "user@example.com",
+    from: "TELO <noreply@example.com>",
+    subject: "Subject",
+    html: "<p>Code 123456</p>",
+    text: "Code 123456",
+    category: "verification",
+    sensitive: false,
+    attempts: 1,
+    maxAttempts: EMAIL_OUTBOX.maxAttempts,
+    ...fields,
+});
+
+describe("emailOutboxService._deliver", () => {
+    let updateOne;
+
+    beforeEach((t) => {
+        t.mock.method(Date, "now", () => NOW);
+        t.mock.method(console, "log", () => {});
+        t.mock.method(console, "warn", () => {});
+        t.mock.method(console, "error", () => {});
+        updateOne = t.mock.method(EmailMessage, "updateOne", async () => ({}));
+        deliverEmail.mock.mockImplementation(async () => ({
+            messageId: "<sent@test>",
+        }));
+    });
+
+    const failDelivery = () =>
+        deliverEmail.mock.mockImplementation(async () => {
+            throw new Error("Connection timeout");
+        });
+
+    const lastSet = () => updateOne.mock.calls.at(-1).arguments[1].$set;
+
+    it("marks a delivered message sent", async () => {
+        deliverEmail.mock.mockImplementation(async () => ({ messageId: "<id@test>" }));
+
+        assert.equal(await emailOutboxService._deliver(claimedMessage()), true);
+        assert.equal(lastSet().status, "sent");
+        assert.equal(lastSet().messageId, "<id@test>");
+        assert.equal(lastSet().lockedAt, null);
+    });
+
+    it("drops the body of sensitive messages once delivered", async () => {
+        await emailOutboxService._deliver(claimedMessage({ sensitive: true }));
+
+        assert.equal(lastSet().html, "");
+        assert.equal(lastSet().text, "");
+    });
+
+    it("retries with exponential backoff", async () => {
+        failDelivery();
+        const delays = [];
+
+        for (let attempts = 1; attempts < EMAIL_OUTBOX.maxAttempts; attempts++) {
+            assert.equal(
+                await emailOutboxService._deliver(claimedMessage({ attempts })),
+                false
+            );
+            assert.equal(lastSet().status, "queued");
+            delays.push(lastSet().nextAttemptAt.getTime() - NOW);
+        }
+
+        assert.deepEqual(
+            delays,
+            delays.map((_, i) =>
+                Math.min(EMAIL_OUTBOX.retryBaseMs * 2 ** i, EMAIL_OUTBOX.retryMaxMs)
+            )
+        );
+    });
+
+    it("caps the retry delay at retryMaxMs", async () => {
+        failDelivery();
+
+        await emailOutboxService._deliver(
+            claimedMessage({ attempts: 30, maxAttempts: 40 })
+        );
+
+        assert.equal(lastSet().nextAttemptAt.getTime() - NOW, EMAIL_OUTBOX.retryMaxMs);
+    });
+
+    it("gives up after maxAttempts", async () => {
+        failDelivery();
+
+        await emailOutboxService._deliver(
+            claimedMessage({ attempts: EMAIL_OUTBOX.maxAttempts })
+        );
+
+        assert.equal(lastSet().status, "failed");
+        assert.equal(lastSet().lastError, "Connection timeout");
+        const { attemptLog } = updateOne.mock.calls.at(-1).arguments[1].$push;
+        assert.equal(attemptLog.outcome, "failed");
+    });
+});
+
+describe("emailOutboxService claiming", () => {
+    it("claims only due queued messages and counts the attempt", async (t) => {
+        const findOneAndUpdate = t.mock.method(EmailMessage, "findOneAndUpdate", async () => null);
+
+        await emailOutboxService._claimNext();
+
+        const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+        assert.equal(filter.status, "queued");
+        assert.ok(filter.nextAttemptAt.$lte instanceof Date);
+        assert.equal(update.$set.status, "sending");
+        assert.deepEqual(update.$inc, { attempts: 1 });
+        assert.deepEqual(options.sort, { nextAttemptAt: 1 });
+    });
+
+    it("queues messages again that were left sending past the timeout", async (t) => {
+        t.mock.method(Date, "now", () => NOW);
+        t.mock.method(console, "warn", () => {});
+        const updateMany = t.mock.method(EmailMessage, "updateMany", async () => ({
+            modifiedCount: 2,
+        }));
+
+        assert.equal(await emailOutboxService._releaseStale(), 2);
+
+        const [filter, update] = updateMany.mock.calls[0].arguments;
+        assert.equal(filter.status, "sending");
+        assert.equal(NOW - filter.lockedAt.$lt.getTime(), EMAIL_OUTBOX.sendingTimeoutMs);
+        assert.equal(update.$set.status, "queued");
+    });
+
+    it("runs once at a time and reruns for messages queued meanwhile", async (t) => {
+        t.mock.method(console, "error", () => {});
+        t.mock.method(EmailMessage, "updateMany", async () => ({ modifiedCount: 0 }));
+        t.mock.method(EmailMessage, "findOneAndUpdate", async () => null);
+        const kick = t.mock.method(emailOutboxService, "kick", () => {});
+
+        const first = emailOutboxService.processQueue();
+        const second = await emailOutboxService.processQueue();
+        await first;
+
+        assert.equal(second.skipped, true);
+        assert.equal(kick.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,137 @@
+// server/test/openingHoursService.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    getGeorgiaNow,
+    getOpenStatus,
+    normalizeOpeningHours,
+    getOpeningHoursErrors,
+} = require("../services/openingHoursService");
+
+// Mon-Fri 09:00-13:00 and 14:00-18:00, Saturday past midnight
+const openingHours = {
+    weekly: [
+        ...[1, 2, 3, 4, 5].flatMap((day) => [
+            { day, open: "09:00", close: "13:00" },
+            { day, open: "14:00", close: "18:00" },
+        ]),
+        { day: 6, open: "20:00", close: "24:00" },
+        { day: 0, open: "00:00", close: "02:00" },
+    ],
+    exceptions: [
+        {
+            startDate: "2025-01-07",
+            endDate: "2025-01-07",
+            closed: true,
+            note: "Christmas",
+        },
+        {
+            startDate: "2025-01-08",
+            endDate: "2025-01-08",
+            closed: false,
+            open: "10:00",
+            close: "12:00",
+        },
+    ],
+};
+
+const statusAt = (isoString) =>
+    getOpenStatus(openingHours, getGeorgiaNow(new Date(isoString)));
+
+describe("getGeorgiaNow", () => {
+    it("uses Georgian time (UTC+4), not the server's timezone", () => {
+        assert.deepEqual(getGeorgiaNow(new Date("2025-01-06T10:05:00Z")), {
+            day: 1,
+            date: "2025-01-06",
+            time: "14:05",
+        });
+    });
+
+    it("moves to the next day after 20:00 UTC", () => {
+        // Sunday evening in UTC is already Monday in Tbilisi
+        assert.deepEqual(getGeorgiaNow(new Date("2025-01-05T20:30:00Z")), {
+            day: 1,
+            date: "2025-01-06",
+            time: "00:30",
+        });
+    });
+});
+
+describe("getOpenStatus", () => {
+    it("is open inside a weekly period", () => {
+        const status = statusAt("2025-01-06T06:00:00Z"); // Mon 10:00
+
+        assert.equal(status.hasHours, true);
+        assert.equal(status.isOpen, true);
+        assert.deepEqual(status.today, [
+            { open: "09:00", close: "13:00" },
+            { open: "14:00", close: "18:00" },
+        ]);
+        assert.equal(status.exception, null);
+    });
+
+    it("is closed during a lunch break", () => {
+        assert.equal(statusAt("2025-01-06T09:30:00Z").isOpen, false); // Mon 13:30
+    });
+
+    it("treats opening time as open and closing time as closed", () => {
+        assert.equal(statusAt("2025-01-06T05:00:00Z").isOpen, true); // Mon 09:00
+        assert.equal(statusAt("2025-01-06T14:00:00Z").isOpen, false); // Mon 18:00
+    });
+
+    it("covers past-midnight hours with the next day's period", () => {
+        assert.equal(statusAt("2025-01-11T19:59:00Z").isOpen, true); // Sat 23:59
+        assert.equal(statusAt("2025-01-11T21:30:00Z").isOpen, true); // Sun 01:30
+        assert.equal(statusAt("2025-01-11T22:00:00Z").isOpen, false); // Sun 02:00
+    });
+
+    it("lets a closed exception replace the weekly hours", () => {
+        const status = statusAt("2025-01-07T06:00:00Z"); // Tue 10:00
+
+        assert.equal(status.isOpen, false);
+        assert.deepEqual(status.today, []);
+        assert.deepEqual(status.exception, { closed: true, note: "Christmas" });
+    });
+
+    it("uses special hours from an exception", () => {
+        assert.equal(statusAt("2025-01-08T06:30:00Z").isOpen, true); // Wed 10:30
+        assert.equal(statusAt("2025-01-08T09:00:00Z").isOpen, false); // Wed 13:00
+    });
+
+    it("is never open without opening hours", () => {
+        const status = getOpenStatus(undefined, getGeorgiaNow());
+
+        assert.equal(status.hasHours, false);
+        assert.equal(status.isOpen, false);
+    });
+});
+
+describe("getOpeningHoursErrors", () => {
+    it("accepts valid hours, including a 24:00 close", () => {
+        assert.deepEqual(getOpeningHoursErrors(normalizeOpeningHours(openingHours)), []);
+    });
+
+    it("rejects closing before opening and bad exception dates", () => {
+        const errors = getOpeningHoursErrors(
+            normalizeOpeningHours({
+                weekly: [{ day: 1, open: "18:00", close: "09:00" }],
+                exceptions: [{ startDate: "2025-01-08", endDate: "2025-01-07" }],
+            })
+        );
+
+        assert.deepEqual(errors, [
+            "Opening hours need HH:MM times with closing after opening",
+            "Exception end date cannot be before its start date",
+        ]);
+    });
+
+    it("makes an exception without an end date last one day", () => {
+        const { exceptions } = normalizeOpeningHours(
+            JSON.stringify({ exceptions: [{ startDate: "2025-01-07" }] })
+        );
+
+        assert.equal(exceptions[0].endDate, "2025-01-07");
+        assert.equal(exceptions[0].closed, true);
+    });
+});
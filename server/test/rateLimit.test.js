@@ -0,0 +1,237 @@
+// server/test/rateLimit.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const RateLimitCounter = require("../models/RateLimitCounter");
+const {
+    createRateLimiter,
+    setStore,
+    MemoryStore,
+    MongoStore,
+} = require("../middleware/rateLimit");
+
+const MINUTE = 60 * 1000;
+
+// Returns a function that moves the mocked clock forward
+const useFakeClock = (t, start = Date.parse("2025-01-06T10:00:00Z")) => {
+    let now = start;
+    t.mock.method(Date, "now", () => now);
+    return (ms) => {
+        now += ms;
+    };
+};
+
+describe("createRateLimiter (MemoryStore)", () => {
+    beforeEach(() => {
+        setStore(new MemoryStore());
+    });
+
+    it("allows max hits per window, then blocks", async (t) => {
+        useFakeClock(t);
+        const limiter = createRateLimiter({ name: "test", windowMs: MINUTE, max: 3 });
+
+        const results = [];
+        for (let i = 0; i < 4; i++) results.push(await limiter.consume("ip"));
+
+        assert.deepEqual(
+            results.map(({ allowed, remaining }) => ({ allowed, remaining })),
+            [
+                { allowed: true, remaining: 2 },
+                { allowed: true, remaining: 1 },
+                { allowed: true, remaining: 0 },
+                { allowed: false, remaining: 0 },
+            ]
+        );
+    });
+
+    it("counts the window from the first hit, not from the last", async (t) => {
+        const advance = useFakeClock(t);
+        const limiter = createRateLimiter({ name: "test", windowMs: MINUTE, max: 2 });
+
+        await limiter.consume("ip");
+        advance(40 * 1000);
+        const second = await limiter.consume("ip");
+        assert.equal(second.resetSeconds, 20);
+
+        advance(20 * 1000);
+        const afterReset = await limiter.consume("ip");
+        assert.equal(afterReset.allowed, true);
+        assert.equal(afterReset.remaining, 1);
+        assert.equal(afterReset.resetSeconds, 60);
+    });
+
+    it("keeps separate counters per key and limiter", async (t) => {
+        useFakeClock(t);
+        const login = createRateLimiter({ name: "login", windowMs: MINUTE, max: 1 });
+        const register = createRateLimiter({ name: "register", windowMs: MINUTE, max: 1 });
+
+        await login.consume("ip-1");
+
+        assert.equal((await login.consume("ip-2")).allowed, true);
+        assert.equal((await register.consume("ip-1")).allowed, true);
+        assert.equal((await login.consume("ip-1")).allowed, false);
+    });
+
+    it("peeks without counting a hit", async (t) => {
+        useFakeClock(t);
+        const limiter = createRateLimiter({ name: "test", windowMs: MINUTE, max: 1 });
+
+        assert.equal((await limiter.peek("ip")).allowed, true);
+        assert.equal((await limiter.peek("ip")).allowed, true);
+        await limiter.consume("ip");
+        assert.equal((await limiter.peek("ip")).allowed, false);
+    });
+});
+
+describe("createRateLimiter middleware", () => {
+    const createResponse = () => {
+        const listeners = {};
+        return {
+            headers: {},
+            statusCode: 200,
+            set(name, value) {
+                if (typeof name === "object") Object.assign(this.headers, name);
+                else this.headers[name] = value;
+                return this;
+            },
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(body) {
+                this.body = body;
+                return this;
+            },
+            on(event, listener) {
+                listeners[event] = listener;
+            },
+            emit(event) {
+                listeners[event]?.();
+            },
+        };
+    };
+
+    const run = async (middleware) => {
+        const res = createResponse();
+        let calledNext = false;
+        await middleware({ ip: "1.2.3.4" }, res, () => {
+            calledNext = true;
+        });
+        return { res, calledNext };
+    };
+
+    beforeEach(() => {
+        setStore(new MemoryStore());
+    });
+
+    it("sets RateLimit headers and answers 429 with Retry-After", async (t) => {
+        useFakeClock(t);
+        const { middleware } = createRateLimiter({
+            name: "test",
+            windowMs: 15 * MINUTE,
+            max: 1,
+        });
+
+        const first = await run(middleware);
+        assert.equal(first.calledNext, true);
+        assert.equal(first.res.headers["RateLimit-Remaining"], "0");
+        assert.equal(first.res.headers["RateLimit-Policy"], "1;w=900");
+
+        const second = await run(middleware);
+        assert.equal(second.calledNext, false);
+        assert.equal(second.res.statusCode, 429);
+        assert.equal(second.res.headers["Retry-After"], "900");
+        assert.equal(second.res.body.code, "RATE_LIMIT_EXCEEDED");
+    });
+
+    it("only counts failed requests with skipSuccessfulRequests", async (t) => {
+        useFakeClock(t);
+        const limiter = createRateLimiter({
+            name: "login",
+            windowMs: MINUTE,
+            max: 1,
+            skipSuccessfulRequests: true,
+        });
+
+        const success = await run(limiter.middleware);
+        success.res.emit("finish");
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.equal((await limiter.peek("1.2.3.4")).allowed, true);
+
+        const failure = await run(limiter.middleware);
+        failure.res.statusCode = 401;
+        failure.res.emit("finish");
+
+        assert.equal((await limiter.peek("1.2.3.4")).allowed, false);
+    });
+
+    it("lets requests through when the store fails", async (t) => {
+        t.mock.method(console, "error", () => {});
+        setStore({
+            increment: async () => {
+                throw new Error("store down");
+            },
+        });
+        const { middleware } = createRateLimiter({ name: "test", windowMs: MINUTE, max: 1 });
+
+        assert.equal((await run(middleware)).calledNext, true);
+    });
+});
+
+describe("MongoStore", () => {
+    const lean = (value) => ({ lean: async () => value });
+    const resetAt = new Date("2025-01-06T10:01:00Z");
+
+    it("counts in the open window", async (t) => {
+        const findOneAndUpdate = t.mock.method(RateLimitCounter, "findOneAndUpdate", () =>
+            lean({ count: 4, resetAt })
+        );
+
+        assert.deepEqual(await new MongoStore().increment("login:ip", MINUTE), {
+            count: 4,
+            resetAt,
+        });
+        assert.equal(findOneAndUpdate.mock.callCount(), 1);
+    });
+
+    it("starts a new window once the previous one expired", async (t) => {
+        const findOneAndUpdate = t.mock.method(RateLimitCounter, "findOneAndUpdate");
+        findOneAndUpdate.mock.mockImplementationOnce(() => lean(null), 0);
+        findOneAndUpdate.mock.mockImplementationOnce(
+            () => lean({ count: 1, resetAt }),
+            1
+        );
+
+        const counter = await new MongoStore().increment("login:ip", MINUTE);
+
+        assert.equal(counter.count, 1);
+        const [filter, update, options] = findOneAndUpdate.mock.calls[1].arguments;
+        assert.ok(filter.resetAt.$lte instanceof Date);
+        assert.equal(update.$set.count, 1);
+        assert.equal(options.upsert, true);
+    });
+
+    it("counts in the window another process just started", async (t) => {
+        // Both processes miss the open window; the other one upserts first
+        const findOneAndUpdate = t.mock.method(RateLimitCounter, "findOneAndUpdate");
+        findOneAndUpdate.mock.mockImplementationOnce(() => lean(null), 0);
+        findOneAndUpdate.mock.mockImplementationOnce(
+            () => ({
+                lean: async () => {
+                    throw Object.assign(new Error("duplicate key"), { code: 11000 });
+                },
+            }),
+            1
+        );
+        findOneAndUpdate.mock.mockImplementationOnce(
+            () => lean({ count: 2, resetAt }),
+            2
+        );
+
+        const counter = await new MongoStore().increment("login:ip", MINUTE);
+
+        assert.equal(counter.count, 2);
+        assert.equal(findOneAndUpdate.mock.callCount(), 3);
+    });
+});
@@ -0,0 +1,143 @@
+// server/test/ratings.test.js
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || "test-access-secret";
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "test-refresh-secret";
+
+const Business = require("../models/Business");
+const Rating = require("../models/Rating");
+const User = require("../models/User");
+const { JWT_ACCESS_SECRET } = require("../middleware/userAuth");
+const ratingRoutes = require("../routes/ratings");
+
+const userId = new mongoose.Types.ObjectId();
+const businessId = new mongoose.Types.ObjectId();
+
+describe("Rating.recalculateBusinessRating", () => {
+    it("stores the average rounded to one decimal and the count", async (t) => {
+        t.mock.method(Rating, "aggregate", async () => [
+            { _id: businessId, average: 7.25, count: 4 },
+        ]);
+        const updateOne = t.mock.method(Business, "updateOne", async () => ({}));
+
+        const aggregates = await Rating.recalculateBusinessRating(businessId);
+
+        assert.deepEqual(aggregates, { average: 7.3, count: 4 });
+        assert.deepEqual(updateOne.mock.calls[0].arguments[1], {
+            $set: { ratingAverage: 7.3, ratingCount: 4 },
+        });
+    });
+
+    it("resets the aggregates once the last rating is gone", async (t) => {
+        t.mock.method(Rating, "aggregate", async () => []);
+        const updateOne = t.mock.method(Business, "updateOne", async () => ({}));
+
+        assert.deepEqual(await Rating.recalculateBusinessRating(businessId), {
+            average: 0,
+            count: 0,
+        });
+        assert.deepEqual(updateOne.mock.calls[0].arguments[1], {
+            $set: { ratingAverage: 0, ratingCount: 0 },
+        });
+    });
+
+    it("allows one rating per user and business", () => {
+        const [fields, options] = Rating.schema
+            .indexes()
+            .find(([, indexOptions]) => indexOptions.name === "one_rating_per_user_business");
+
+        assert.deepEqual(fields, { user: 1, business: 1 });
+        assert.equal(options.unique, true);
+    });
+});
+
+describe("POST /api/auth/ratings/:businessId", () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use("/api/auth", ratingRoutes);
+        server = app.listen(0);
+        await new Promise((resolve) => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach((t) => {
+        t.mock.method(console, "error", () => {});
+        t.mock.method(User, "findById", () => ({
+            select: async () => ({ _id: userId, isEmailVerified: true }),
+        }));
+        t.mock.method(Business, "findById", () => ({
+            select: async () => ({ _id: businessId }),
+        }));
+        t.mock.method(Rating, "exists", async () => null);
+        t.mock.method(Rating, "recalculateBusinessRating", async () => ({
+            average: 8,
+            count: 1,
+        }));
+    });
+
+    const rate = (score) => {
+        const token = jwt.sign(
+            { userId: userId.toString(), type: "access" },
+            JWT_ACCESS_SECRET
+        );
+        return fetch(`${baseUrl}/api/auth/ratings/${businessId}`, {
+            method: "POST",
+            headers: {
+                Authorization: `Bearer ${token}`,
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ score }),
+        });
+    };
+
+    it("saves the rating and returns the new aggregates", async (t) => {
+        t.mock.method(Rating, "create", async (fields) => ({
+            _id: new mongoose.Types.ObjectId(),
+            ...fields,
+        }));
+
+        const res = await rate(8);
+        const body = await res.json();
+
+        assert.equal(res.status, 201);
+        assert.equal(body.rating.score, 8);
+        assert.deepEqual(body.businessRating, { average: 8, count: 1 });
+    });
+
+    it("answers 409 to the loser of two simultaneous first ratings", async (t) => {
+        // Both requests pass the exists() check; the unique index rejects one
+        const create = t.mock.method(Rating, "create", async (fields) => ({
+            _id: new mongoose.Types.ObjectId(),
+            ...fields,
+        }));
+        create.mock.mockImplementationOnce(async () => {
+            throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+        }, 1);
+
+        const responses = await Promise.all([rate(8), rate(9)]);
+        const statuses = responses.map((res) => res.status).sort();
+
+        assert.deepEqual(statuses, [201, 409]);
+        const conflict = responses.find((res) => res.status === 409);
+        assert.equal((await conflict.json()).code, "RATING_EXISTS");
+    });
+
+    it("rejects scores outside 1-10", async () => {
+        const res = await rate(11);
+
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, "VALIDATION_ERROR");
+    });
+});
@@ -0,0 +1,100 @@
+// server/test/reportAutomationService.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Business = require("../models/Business");
+const BusinessReport = require("../models/BusinessReport");
+const { REPORT_RULES } = require("../config/reportRules");
+const { runReportAutomation } = require("../services/reportAutomationService");
+
+const HOUR = 60 * 60 * 1000;
+
+const closedReport = () => ({
+    _id: "report-1",
+    issueTypes: [REPORT_RULES.autoHide.issueType],
+    autoActions: [],
+});
+
+describe("runReportAutomation - auto-hide", () => {
+    let business;
+
+    beforeEach(() => {
+        business = { _id: "business-1", businessId: "B-1", hiddenAt: null };
+    });
+
+    const mockReporterIps = (t, ips) =>
+        t.mock.method(BusinessReport, "distinct", async () => ips);
+
+    it("waits for reports from threshold different IPs", async (t) => {
+        const { threshold } = REPORT_RULES.autoHide;
+        mockReporterIps(t, Array.from({ length: threshold - 1 }, (_, i) => `ip-${i}`));
+        const updateOne = t.mock.method(Business, "updateOne", async () => ({}));
+
+        assert.deepEqual(await runReportAutomation(closedReport(), business), []);
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+
+    it("only counts pending reports within the window", async (t) => {
+        t.mock.method(Date, "now", () => Date.parse("2025-01-06T10:00:00Z"));
+        const distinct = mockReporterIps(t, []);
+
+        await runReportAutomation(closedReport(), business);
+
+        const [field, filter] = distinct.mock.calls[0].arguments;
+        assert.equal(field, "reporterIp");
+        assert.equal(filter.businessId, "business-1");
+        assert.equal(filter.status, "pending");
+        assert.equal(
+            Date.parse("2025-01-06T10:00:00Z") - filter.createdAt.$gte.getTime(),
+            REPORT_RULES.autoHide.windowHours * HOUR
+        );
+    });
+
+    it("hides the listing at the threshold and marks the counted reports", async (t) => {
+        t.mock.method(console, "log", () => {});
+        const { threshold } = REPORT_RULES.autoHide;
+        mockReporterIps(t, Array.from({ length: threshold }, (_, i) => `ip-${i}`));
+        const updateOne = t.mock.method(Business, "updateOne", async () => ({
+            modifiedCount: 1,
+        }));
+        const updateMany = t.mock.method(BusinessReport, "updateMany", async () => ({}));
+
+        const [action] = await runReportAutomation(closedReport(), business);
+
+        assert.equal(action.type, "listing_hidden");
+        const [filter, update] = updateOne.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: "business-1", hiddenAt: null });
+        assert.ok(update.$set.hiddenAt instanceof Date);
+        assert.match(update.$set.hiddenReason, new RegExp(`from ${threshold} different IPs`));
+        assert.deepEqual(updateMany.mock.calls[0].arguments[1], {
+            $push: { autoActions: action },
+        });
+    });
+
+    it("leaves it to the first of concurrent reports to hide the listing", async (t) => {
+        const { threshold } = REPORT_RULES.autoHide;
+        mockReporterIps(t, Array.from({ length: threshold }, (_, i) => `ip-${i}`));
+        t.mock.method(Business, "updateOne", async () => ({ modifiedCount: 0 }));
+        const updateMany = t.mock.method(BusinessReport, "updateMany", async () => ({}));
+
+        assert.deepEqual(await runReportAutomation(closedReport(), business), []);
+        assert.equal(updateMany.mock.callCount(), 0);
+    });
+
+    it("skips listings that are already hidden", async (t) => {
+        const distinct = mockReporterIps(t, []);
+        business.hiddenAt = new Date();
+
+        assert.deepEqual(await runReportAutomation(closedReport(), business), []);
+        assert.equal(distinct.mock.callCount(), 0);
+    });
+
+    it("never fails the report when automation fails", async (t) => {
+        t.mock.method(console, "error", () => {});
+        t.mock.method(BusinessReport, "distinct", async () => {
+            throw new Error("database down");
+        });
+
+        assert.deepEqual(await runReportAutomation(closedReport(), business), []);
+    });
+});
@@ -0,0 +1,199 @@
+// server/test/reviews.test.js
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || "test-access-secret";
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "test-refresh-secret";
+
+const Business = require("../models/Business");
+const Review = require("../models/Review");
+const User = require("../models/User");
+const { JWT_ACCESS_SECRET } = require("../middleware/userAuth");
+const reviewRoutes = require("../routes/reviews");
+
+const userId = new mongoose.Types.ObjectId();
+const authorId = new mongoose.Types.ObjectId();
+const businessId = new mongoose.Types.ObjectId();
+const reviewId = new mongoose.Types.ObjectId();
+
+const REVIEW_TEXT = "Friendly staff and fair prices.";
+
+describe("review routes", () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use("/api/reviews", reviewRoutes);
+        server = app.listen(0);
+        await new Promise((resolve) => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach((t) => {
+        t.mock.method(console, "error", () => {});
+        t.mock.method(User, "findById", () => ({
+            select: async () => ({ _id: userId, isEmailVerified: true }),
+        }));
+    });
+
+    const request = (method, path, body) => {
+        const token = jwt.sign(
+            { userId: userId.toString(), type: "access" },
+            JWT_ACCESS_SECRET
+        );
+        return fetch(`${baseUrl}/api/reviews${path}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify(body),
+        });
+    };
+
+    describe("POST /business/:businessId", () => {
+        beforeEach((t) => {
+            t.mock.method(Business, "findById", () => ({
+                select: async () => ({ _id: businessId }),
+            }));
+            t.mock.method(Review, "exists", async () => null);
+        });
+
+        it("answers 409 to the loser of two simultaneous first reviews", async (t) => {
+            // Both requests pass the exists() check; the unique index rejects one
+            const create = t.mock.method(Review, "create", async (fields) => ({
+                _id: reviewId,
+                ...fields,
+                populate: async () => {},
+            }));
+            create.mock.mockImplementationOnce(async () => {
+                throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+            }, 1);
+
+            const responses = await Promise.all([
+                request("POST", `/business/${businessId}`, { text: REVIEW_TEXT }),
+                request("POST", `/business/${businessId}`, { text: REVIEW_TEXT }),
+            ]);
+
+            assert.deepEqual(responses.map((res) => res.status).sort(), [201, 409]);
+            const conflict = responses.find((res) => res.status === 409);
+            assert.equal((await conflict.json()).code, "REVIEW_EXISTS");
+        });
+
+        it("allows one review per user and business", () => {
+            const [fields, options] = Review.schema
+                .indexes()
+                .find(([, indexOptions]) => indexOptions.name === "one_review_per_user_business");
+
+            assert.deepEqual(fields, { user: 1, business: 1 });
+            assert.equal(options.unique, true);
+        });
+    });
+
+    describe("PUT /:id", () => {
+        it("marks the review as edited", async (t) => {
+            const review = new Review({
+                _id: reviewId,
+                user: userId,
+                business: businessId,
+                text: REVIEW_TEXT,
+            });
+            t.mock.method(review, "save", async () => review);
+            t.mock.method(review, "populate", async () => review);
+            t.mock.method(Review, "findById", async () => review);
+
+            const res = await request("PUT", `/${reviewId}`, {
+                text: "Friendly staff, fair prices and quick service.",
+            });
+
+            assert.equal(res.status, 200);
+            assert.ok(review.editedAt instanceof Date);
+            assert.equal(review.text, "Friendly staff, fair prices and quick service.");
+        });
+
+        it("doesn't let users edit someone else's review", async (t) => {
+            const review = new Review({
+                _id: reviewId,
+                user: authorId,
+                business: businessId,
+                text: REVIEW_TEXT,
+            });
+            const save = t.mock.method(review, "save", async () => review);
+            t.mock.method(Review, "findById", async () => review);
+
+            const res = await request("PUT", `/${reviewId}`, { text: "Changed by someone else" });
+
+            assert.equal(res.status, 404);
+            assert.equal(save.mock.callCount(), 0);
+        });
+    });
+
+    describe("POST /:id/report", () => {
+        const visibleReview = (fields = {}) =>
+            new Review({
+                _id: reviewId,
+                user: authorId,
+                business: businessId,
+                text: REVIEW_TEXT,
+                ...fields,
+            });
+
+        it("adds the report and counts it in one update", async (t) => {
+            t.mock.method(Review, "findById", async () => visibleReview());
+            const updateOne = t.mock.method(Review, "updateOne", async () => ({
+                modifiedCount: 1,
+            }));
+
+            const res = await request("POST", `/${reviewId}/report`, { reason: "Spam" });
+
+            assert.equal(res.status, 201);
+            const [filter, update] = updateOne.mock.calls[0].arguments;
+            assert.deepEqual(filter["reports.user"], { $ne: userId });
+            assert.deepEqual(update.$inc, { openReportCount: 1 });
+        });
+
+        it("counts only one of two simultaneous reports by the same user", async (t) => {
+            // Both requests see no report from the user yet
+            t.mock.method(Review, "findById", async () => visibleReview());
+            const updateOne = t.mock.method(Review, "updateOne", async () => ({
+                modifiedCount: 0,
+            }));
+            updateOne.mock.mockImplementationOnce(async () => ({ modifiedCount: 1 }), 0);
+
+            const responses = await Promise.all([
+                request("POST", `/${reviewId}/report`, {}),
+                request("POST", `/${reviewId}/report`, {}),
+            ]);
+
+            assert.deepEqual(responses.map((res) => res.status).sort(), [201, 409]);
+            const conflict = responses.find((res) => res.status === 409);
+            assert.equal((await conflict.json()).code, "ALREADY_REPORTED");
+        });
+
+        it("rejects reports on the user's own review", async (t) => {
+            t.mock.method(Review, "findById", async () => visibleReview({ user: userId }));
+
+            const res = await request("POST", `/${reviewId}/report`, {});
+
+            assert.equal(res.status, 400);
+            assert.equal((await res.json()).code, "CANNOT_REPORT_OWN_REVIEW");
+        });
+
+        it("doesn't accept reports on hidden reviews", async (t) => {
+            t.mock.method(Review, "findById", async () => visibleReview({ status: "hidden" }));
+
+            const res = await request("POST", `/${reviewId}/report`, {});
+
+            assert.equal(res.status, 404);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+// server/test/submissionPublishingService.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Business = require("../models/Business");
+const BusinessSubmission = require("../models/BusinessSubmission");
+const {
+    publishSubmission,
+    withdrawSubmission,
+} = require("../services/submissionPublishingService");
+
+const createSubmission = (fields = {}) =>
+    new BusinessSubmission({
+        submissionId: "SUB-1",
+        businessName: "Nino's Bakery",
+        categories: ["Bakery"],
+        cities: ["Tbilisi"],
+        businessType: "company",
+        mobile: "555123456",
+        submitterEmail: "owner@example.com",
+        ...fields,
+    });
+
+describe("publishSubmission", () => {
+    beforeEach((t) => {
+        t.mock.method(console, "log", () => {});
+    });
+
+    it("creates a listing and links it to the submission", async (t) => {
+        const save = t.mock.method(Business.prototype, "save", async function () {
+            return this;
+        });
+        const submission = createSubmission();
+
+        const { business, created } = await publishSubmission(submission);
+
+        assert.equal(created, true);
+        assert.equal(save.mock.callCount(), 1);
+        assert.equal(business.businessName, "Nino's Bakery");
+        assert.deepEqual([...business.categories], ["Bakery"]);
+        assert.deepEqual([...business.cities], ["Tbilisi"]);
+        assert.equal(business.sourceSubmission, submission._id);
+        assert.equal(submission.publishedBusiness, business._id);
+    });
+
+    it("reuses the listing of a submission approved before", async (t) => {
+        const existing = new Business({ businessName: "Nino's Bakery" });
+        t.mock.method(Business, "findById", async () => existing);
+        const save = t.mock.method(Business.prototype, "save", async function () {
+            return this;
+        });
+
+        const { business, created } = await publishSubmission(
+            createSubmission({ publishedBusiness: existing._id })
+        );
+
+        assert.equal(created, false);
+        assert.equal(business, existing);
+        assert.equal(save.mock.callCount(), 0);
+    });
+
+    it("publishes again when the earlier listing was deleted", async (t) => {
+        t.mock.method(Business, "findById", async () => null);
+        t.mock.method(Business.prototype, "save", async function () {
+            return this;
+        });
+        const submission = createSubmission({
+            publishedBusiness: new mongoose.Types.ObjectId(),
+        });
+
+        const { business, created } = await publishSubmission(submission);
+
+        assert.equal(created, true);
+        assert.equal(submission.publishedBusiness, business._id);
+    });
+
+    it("leaves the submission unlinked when the listing can't be saved", async (t) => {
+        t.mock.method(Business.prototype, "save", async () => {
+            throw new Error("validation failed");
+        });
+        const submission = createSubmission();
+
+        await assert.rejects(publishSubmission(submission), /validation failed/);
+        assert.equal(submission.publishedBusiness, undefined);
+    });
+});
+
+describe("withdrawSubmission", () => {
+    beforeEach((t) => {
+        t.mock.method(console, "log", () => {});
+    });
+
+    it("hides the listing only if nothing else hid it first", async (t) => {
+        const businessId = new mongoose.Types.ObjectId();
+        const findOneAndUpdate = t.mock.method(Business, "findOneAndUpdate", async () => ({
+            _id: businessId,
+            businessId: "B-1",
+        }));
+
+        const hidden = await withdrawSubmission(
+            createSubmission({ publishedBusiness: businessId })
+        );
+
+        assert.equal(hidden._id, businessId);
+        const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: businessId, hiddenAt: null });
+        assert.ok(update.$set.hiddenAt instanceof Date);
+        assert.equal(update.$set.hiddenReason, "Submission approval withdrawn");
+    });
+
+    it("does nothing for a submission that was never published", async (t) => {
+        const findOneAndUpdate = t.mock.method(Business, "findOneAndUpdate", async () => null);
+
+        assert.equal(await withdrawSubmission(createSubmission()), null);
+        assert.equal(findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it("shows a withdrawn listing again when the submission is approved again", async (t) => {
+        const existing = new Business({
+            businessName: "Nino's Bakery",
+            hiddenAt: new Date(),
+            hiddenReason: "Submission approval withdrawn",
+        });
+        t.mock.method(Business, "findById", async () => existing);
+        t.mock.method(existing, "save", async () => existing);
+
+        await publishSubmission(createSubmission({ publishedBusiness: existing._id }));
+
+        assert.equal(existing.hiddenAt, null);
+    });
+
+    it("keeps listings hidden for other reasons hidden", async (t) => {
+        const hiddenAt = new Date();
+        const existing = new Business({
+            businessName: "Nino's Bakery",
+            hiddenAt,
+            hiddenReason: "Reported as no longer existing from 3 different IPs within 72h",
+        });
+        t.mock.method(Business, "findById", async () => existing);
+        const save = t.mock.method(existing, "save", async () => existing);
+
+        await publishSubmission(createSubmission({ publishedBusiness: existing._id }));
+
+        assert.equal(existing.hiddenAt, hiddenAt);
+        assert.equal(save.mock.callCount(), 0);
+    });
+});
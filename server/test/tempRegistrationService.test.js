@@ -0,0 +1,168 @@
+// server/test/tempRegistrationService.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+process.env.NODE_ENV = "test";
+process.env.BCRYPT_ROUNDS = "4";
+
+const PendingRegistration = require("../models/PendingRegistration");
+const {
+    storeTempRegistration,
+    retrieveAndRemoveTempRegistration,
+    regenerateVerificationToken,
+} = require("../services/tempRegistrationService");
+
+const NOW = Date.parse("2025-01-06T10:00:00Z");
+const DAY = 24 * 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+describe("tempRegistrationService", () => {
+    beforeEach((t) => {
+        t.mock.method(Date, "now", () => NOW);
+        t.mock.method(console, "log", () => {});
+        t.mock.method(console, "error", () => {});
+    });
+
+    describe("storeTempRegistration", () => {
+        it("stores a hashed token and password that expire in 24 hours", async (t) => {
+            t.mock.method(PendingRegistration, "deleteMany", async () => ({}));
+            const create = t.mock.method(PendingRegistration, "create", async () => ({}));
+
+            const stored = await storeTempRegistration("raw-token", {
+                email: " User@Example.com ",
+                password: "Secret123",
+                name: " Nino ",
+                language: "ka",
+            });
+
+            assert.equal(stored, true);
+            const [registration] = create.mock.calls[0].arguments;
+            assert.equal(registration.email, "user@example.com");
+            assert.equal(registration.verificationTokenHash, sha256("raw-token"));
+            assert.equal(registration.expiresAt.getTime(), NOW + DAY);
+            assert.equal(await bcrypt.compare("Secret123", registration.password), true);
+        });
+
+        it("removes an expired registration for the email the TTL monitor missed", async (t) => {
+            const deleteMany = t.mock.method(PendingRegistration, "deleteMany", async () => ({}));
+            t.mock.method(PendingRegistration, "create", async () => ({}));
+
+            await storeTempRegistration("raw-token", {
+                email: "user@example.com",
+                password: "Secret123",
+                name: "Nino",
+            });
+
+            const [filter] = deleteMany.mock.calls[0].arguments;
+            assert.equal(filter.email, "user@example.com");
+            assert.ok(filter.expiresAt.$lte instanceof Date);
+        });
+
+        it("reports failure when the email is already pending", async (t) => {
+            t.mock.method(PendingRegistration, "deleteMany", async () => ({}));
+            t.mock.method(PendingRegistration, "create", async () => {
+                throw Object.assign(new Error("duplicate key"), { code: 11000 });
+            });
+
+            assert.equal(
+                await storeTempRegistration("raw-token", {
+                    email: "user@example.com",
+                    password: "Secret123",
+                    name: "Nino",
+                }),
+                false
+            );
+        });
+    });
+
+    describe("retrieveAndRemoveTempRegistration", () => {
+        const mockFindOneAndDelete = (t, registration) =>
+            t.mock.method(PendingRegistration, "findOneAndDelete", () => ({
+                select: () => ({ lean: async () => registration }),
+            }));
+
+        it("consumes an unexpired registration by token hash in one step", async (t) => {
+            const findOneAndDelete = mockFindOneAndDelete(t, {
+                email: "user@example.com",
+            });
+
+            const registration = await retrieveAndRemoveTempRegistration("raw-token");
+
+            assert.equal(registration.email, "user@example.com");
+            assert.equal(registration.verificationToken, "raw-token");
+            const [filter] = findOneAndDelete.mock.calls[0].arguments;
+            assert.equal(filter.verificationTokenHash, sha256("raw-token"));
+            assert.ok(filter.expiresAt.$gt instanceof Date);
+        });
+
+        it("lets only the first of two concurrent verifications succeed", async (t) => {
+            const findOneAndDelete = mockFindOneAndDelete(t, null);
+            findOneAndDelete.mock.mockImplementationOnce(
+                () => ({
+                    select: () => ({
+                        lean: async () => ({ email: "user@example.com" }),
+                    }),
+                }),
+                0
+            );
+
+            const results = await Promise.all([
+                retrieveAndRemoveTempRegistration("raw-token"),
+                retrieveAndRemoveTempRegistration("raw-token"),
+            ]);
+
+            assert.equal(results.filter(Boolean).length, 1);
+        });
+
+        it("ignores tokens that aren't strings", async (t) => {
+            const findOneAndDelete = mockFindOneAndDelete(t, null);
+
+            assert.equal(await retrieveAndRemoveTempRegistration({ $ne: "" }), null);
+            assert.equal(findOneAndDelete.mock.callCount(), 0);
+        });
+    });
+
+    describe("regenerateVerificationToken", () => {
+        it("replaces the token and restarts the 24 hours", async (t) => {
+            const findOneAndUpdate = t.mock.method(
+                PendingRegistration,
+                "findOneAndUpdate",
+                () => ({ lean: async () => ({ email: "user@example.com" }) })
+            );
+
+            const registration = await regenerateVerificationToken(
+                "User@Example.com",
+                "new-token"
+            );
+
+            assert.equal(registration.verificationToken, "new-token");
+            const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+            assert.equal(filter.email, "user@example.com");
+            assert.ok(filter.expiresAt.$gt instanceof Date);
+            assert.equal(update.$set.verificationTokenHash, sha256("new-token"));
+            assert.equal(update.$set.expiresAt.getTime(), NOW + DAY);
+        });
+
+        it("doesn't revive an expired registration", async (t) => {
+            t.mock.method(PendingRegistration, "findOneAndUpdate", () => ({
+                lean: async () => null,
+            }));
+
+            assert.equal(
+                await regenerateVerificationToken("user@example.com", "new-token"),
+                null
+            );
+        });
+    });
+
+    it("removes registrations with a TTL index on expiresAt", () => {
+        const ttlIndex = PendingRegistration.schema
+            .indexes()
+            .find(([fields]) => fields.expiresAt === 1);
+
+        assert.equal(ttlIndex[1].expireAfterSeconds, 0);
+    });
+});
@@ -0,0 +1,187 @@
+// server/test/userAuth.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || "test-access-secret";
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "test-refresh-secret";
+
+const User = require("../models/User");
+const UserSession = require("../models/UserSession");
+const {
+    generateTokenPair,
+    verifyAccessToken,
+    optionalAuth,
+    refreshAccessToken,
+} = require("../middleware/userAuth");
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+
+const createResponse = () => ({
+    statusCode: 200,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+});
+
+const createRequest = (fields = {}) => ({
+    headers: {},
+    body: {},
+    ip: "1.2.3.4",
+    get: () => "",
+    ...fields,
+});
+
+const verifiedUser = { _id: userId, email: "user@example.com", isEmailVerified: true };
+
+describe("refreshAccessToken", () => {
+    let session;
+    let findOneAndUpdate;
+
+    beforeEach((t) => {
+        t.mock.method(console, "warn", () => {});
+        session = {
+            _id: sessionId,
+            user: userId,
+            tokenId: "current-token-id",
+            revokedAt: null,
+            revoke: t.mock.fn(async function (reason) {
+                this.revokedAt = new Date();
+                this.revokedReason = reason;
+            }),
+        };
+        t.mock.method(UserSession, "findById", async () => session);
+        t.mock.method(User, "findById", async () => verifiedUser);
+        findOneAndUpdate = t.mock.method(UserSession, "findOneAndUpdate", async () => session);
+    });
+
+    const refresh = async (tokenId) => {
+        const { refreshToken } = generateTokenPair(userId, { sessionId, tokenId });
+        const res = createResponse();
+        await refreshAccessToken(createRequest({ body: { refreshToken } }), res);
+        return res;
+    };
+
+    it("rotates the session's token ID", async () => {
+        const res = await refresh("current-token-id");
+
+        assert.equal(res.statusCode, 200);
+        const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter, {
+            _id: sessionId,
+            tokenId: "current-token-id",
+            revokedAt: null,
+        });
+
+        const newTokenId = update.$set.tokenId;
+        assert.notEqual(newTokenId, "current-token-id");
+        const decoded = jwt.decode(res.body.refreshToken);
+        assert.equal(decoded.jti, newTokenId);
+        assert.equal(decoded.sid, sessionId.toString());
+        assert.equal(update.$set.expiresAt.getTime(), decoded.exp * 1000);
+    });
+
+    it("revokes the session when an already rotated token is used", async () => {
+        const res = await refresh("old-token-id");
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.code, "REFRESH_TOKEN_REUSED");
+        assert.deepEqual(session.revoke.mock.calls[0].arguments, ["token_reuse"]);
+        assert.equal(findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it("lets only one of two concurrent refreshes with the same token win", async () => {
+        // Both read the session before either rotated it
+        findOneAndUpdate.mock.mockImplementationOnce(async () => session, 0);
+        findOneAndUpdate.mock.mockImplementationOnce(async () => null, 1);
+
+        const [first, second] = await Promise.all([
+            refresh("current-token-id"),
+            refresh("current-token-id"),
+        ]);
+
+        assert.deepEqual(
+            [first.statusCode, second.statusCode].sort(),
+            [200, 401]
+        );
+        assert.equal(
+            [first, second].find((res) => res.statusCode === 401).body.code,
+            "REFRESH_TOKEN_REUSED"
+        );
+    });
+
+    it("rejects refresh tokens of revoked sessions", async () => {
+        session.revokedAt = new Date();
+
+        const res = await refresh("current-token-id");
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.code, "SESSION_REVOKED");
+        assert.equal(session.revoke.mock.callCount(), 0);
+    });
+
+    it("rejects refresh tokens issued before sessions existed", async () => {
+        const refreshToken = jwt.sign(
+            { userId: userId.toString(), type: "refresh" },
+            process.env.JWT_REFRESH_SECRET
+        );
+        const res = createResponse();
+
+        await refreshAccessToken(createRequest({ body: { refreshToken } }), res);
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.code, "INVALID_REFRESH_TOKEN");
+    });
+});
+
+describe("access tokens of revoked sessions", () => {
+    const bearer = () => {
+        const { accessToken } = generateTokenPair(userId, {
+            sessionId,
+            tokenId: "token-id",
+        });
+        return { authorization: `Bearer ${accessToken}` };
+    };
+
+    beforeEach((t) => {
+        t.mock.method(User, "findById", () => ({ select: async () => verifiedUser }));
+    });
+
+    it("are rejected by verifyAccessToken", async (t) => {
+        t.mock.method(UserSession, "isSessionActive", async () => false);
+        const res = createResponse();
+        let calledNext = false;
+
+        await verifyAccessToken(createRequest({ headers: bearer() }), res, () => {
+            calledNext = true;
+        });
+
+        assert.equal(calledNext, false);
+        assert.equal(res.body.code, "SESSION_REVOKED");
+    });
+
+    it("count as signed out in optionalAuth", async (t) => {
+        t.mock.method(UserSession, "isSessionActive", async () => false);
+        const req = createRequest({ headers: bearer() });
+
+        await optionalAuth(req, createResponse(), () => {});
+
+        assert.equal(req.user, null);
+    });
+
+    it("of active sessions sign the user in", async (t) => {
+        t.mock.method(UserSession, "isSessionActive", async () => true);
+        const req = createRequest({ headers: bearer() });
+
+        await optionalAuth(req, createResponse(), () => {});
+
+        assert.equal(req.user, verifiedUser);
+    });
+});